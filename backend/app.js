@@ -14,6 +14,9 @@ const swaggerSpecs = require('./src/config/swagger');
 const { errorHandler, notFound } = require('./src/middlewares/errorMiddleware');
 const { sanitizeInput } = require('./src/middlewares/validateMiddleware');
 
+// Register service request status side effects (notifications, payments, reviews)
+require('./src/services/requestStatusHooks');
+
 // Import routes
 const authRoutes = require('./src/routes/authRoutes');
 const customerRoutes = require('./src/routes/customerRoutes');
@@ -22,6 +25,8 @@ const adminRoutes = require('./src/routes/adminRoutes');
 const paymentRoutes = require('./src/routes/paymentRoutes');
 const chatRoutes = require('./src/routes/chatRoutes');
 const reviewRoutes = require('./src/routes/reviewRoutes');
+const notificationRoutes = require('./src/routes/notificationRoutes');
+const publicRoutes = require('./src/routes/publicRoutes');
 
 const app = express();
 
@@ -149,6 +154,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/public', publicRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -0,0 +1,46 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const quotationCalibrationService = require('./src/services/quotationCalibrationService');
+
+/**
+ * Offline quotation calibration, meant to run nightly or weekly (e.g. from cron):
+ *  1. Read completed service requests of the last QUOTATION_CALIBRATION_WINDOW_DAYS with what was paid for them
+ *  2. Fit price percentiles and duration quartiles per issue type, vehicle and pricing region
+ *  3. Store them as the next calibration version, which quotations pick up within ten minutes
+ *
+ * Options: --days=<window in days> --min-samples=<jobs a segment needs before quotations use it>
+ */
+const readOption = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? (parseInt(arg.split('=')[1], 10) || undefined) : undefined;
+};
+
+async function calibrateQuotations() {
+  try {
+    console.log('📊 Calibrating quotations from completed jobs...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/roadguard');
+    console.log('✅ Connected to MongoDB\n');
+
+    const calibration = await quotationCalibrationService.calibrate({
+      windowDays: readOption('days'),
+      minSamples: readOption('min-samples')
+    });
+
+    const usable = calibration.segments.filter(segment => segment.price.samples >= calibration.minSamples);
+    console.log(`🧾 ${calibration.requestCount} completed jobs, ${calibration.pricedCount} with payments`);
+    console.log(`🗂️  ${calibration.segments.length} segments, ${usable.length} with at least ${calibration.minSamples} priced jobs`);
+    usable.forEach(segment => {
+      console.log(`   ${segment.key}: p10 ₹${segment.price.p10}, median ₹${segment.price.p50}, p90 ₹${segment.price.p90} (${segment.price.samples} jobs)`);
+    });
+
+    console.log(`\n✅ Calibration v${calibration.version} stored`);
+  } catch (error) {
+    console.error('❌ Calibration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+calibrateQuotations();
@@ -0,0 +1,60 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./src/models/User');
+const ServiceArea = require('./src/models/ServiceArea');
+
+// Radius of the circle given to mechanics who never set up a service area
+const DEFAULT_RADIUS_KM = parseFloat(process.env.DEFAULT_SERVICE_AREA_RADIUS_KM) || 10;
+
+/**
+ * One-off migration:
+ *  1. Give every mechanic without a service area a default circle around their saved location,
+ *     so dispatch (which only offers requests inside service areas) keeps reaching them
+ *  2. Report mechanics that have no location and so still need to set an area themselves
+ *  3. Rebuild ServiceArea indexes
+ * Safe to run again: mechanics that already have an area are left alone.
+ */
+async function migrateServiceAreas() {
+  try {
+    console.log('🔄 Creating default service areas...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/roadguard');
+    console.log('✅ Connected to MongoDB\n');
+
+    await ServiceArea.syncIndexes();
+    console.log('🗂️  ServiceArea indexes rebuilt');
+
+    const withArea = await ServiceArea.distinct('mechanicId');
+    const mechanics = await User.find({ role: 'mechanic', _id: { $nin: withArea } })
+      .select('name location')
+      .lean();
+
+    const located = mechanics.filter(mechanic => mechanic.location?.coordinates?.length === 2);
+
+    if (located.length > 0) {
+      await ServiceArea.insertMany(located.map(mechanic => ({
+        mechanicId: mechanic._id,
+        name: 'Default area',
+        shape: 'circle',
+        geometry: { type: 'Point', coordinates: mechanic.location.coordinates },
+        radius: DEFAULT_RADIUS_KM,
+        description: 'Created automatically around the saved location'
+      })));
+    }
+    console.log(`📍 Created ${located.length} default areas of ${DEFAULT_RADIUS_KM} km`);
+
+    const missing = mechanics.length - located.length;
+    if (missing > 0) {
+      console.log(`⚠️  ${missing} mechanics have no saved location and receive no dispatch offers until they add an area`);
+    }
+
+    console.log('\n✅ Migration complete');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateServiceAreas();
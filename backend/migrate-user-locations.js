@@ -0,0 +1,76 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./src/models/User');
+const ServiceRequest = require('./src/models/ServiceRequest');
+
+/**
+ * One-off migration:
+ *  1. Convert legacy { lat, lng } user locations into GeoJSON Points
+ *  2. Drop empty/invalid locations that would break the 2dsphere index
+ *  3. Backfill completedJobs for mechanics from completed service requests
+ *  4. Rebuild User indexes
+ */
+async function migrateUserLocations() {
+  try {
+    console.log('🔄 Migrating user locations to GeoJSON...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/roadguard');
+    console.log('✅ Connected to MongoDB\n');
+
+    const users = mongoose.connection.collection('users');
+
+    const converted = await users.updateMany(
+      {
+        'location.lat': { $type: 'number' },
+        'location.lng': { $type: 'number' }
+      },
+      [
+        {
+          $set: {
+            location: {
+              type: 'Point',
+              coordinates: ['$location.lng', '$location.lat']
+            }
+          }
+        }
+      ]
+    );
+    console.log(`📍 Converted ${converted.modifiedCount} legacy locations`);
+
+    const cleared = await users.updateMany(
+      {
+        location: { $exists: true },
+        'location.coordinates.1': { $exists: false }
+      },
+      { $unset: { location: '' } }
+    );
+    console.log(`🧹 Removed ${cleared.modifiedCount} empty locations`);
+
+    const jobCounts = await ServiceRequest.aggregate([
+      { $match: { status: 'completed', mechanicId: { $ne: null } } },
+      { $group: { _id: '$mechanicId', count: { $sum: 1 } } }
+    ]);
+
+    if (jobCounts.length > 0) {
+      await users.bulkWrite(jobCounts.map(({ _id, count }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $set: { completedJobs: count } }
+        }
+      })));
+    }
+    console.log(`🔧 Backfilled completedJobs for ${jobCounts.length} mechanics`);
+
+    await User.syncIndexes();
+    console.log('🗂️  User indexes rebuilt\n');
+
+    console.log('✅ Migration complete');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateUserLocations();
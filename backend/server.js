@@ -9,6 +9,13 @@ const { gracefulShutdown } = require('./src/middlewares/errorMiddleware');
 
 // Socket.IO imports
 const requestSocket = require('./src/socket/requestSocket');
+const trackingSocket = require('./src/socket/trackingSocket');
+const dispatchService = require('./src/services/dispatchService');
+const schedulingService = require('./src/services/schedulingService');
+const notificationService = require('./src/services/notificationService');
+const trackingService = require('./src/services/trackingService');
+const emergencyService = require('./src/services/emergencyService');
+const trackingShareService = require('./src/services/trackingShareService');
 
 // Environment validation
 const requiredEnvVars = [
@@ -50,6 +57,13 @@ const socketHandlers = requestSocket(io);
 // Make io and socket handlers available to other modules
 app.set('io', io);
 app.set('socketHandlers', socketHandlers);
+dispatchService.setSocketHandlers(socketHandlers);
+notificationService.setSocketHandlers(socketHandlers);
+trackingService.setSocketHandlers(socketHandlers);
+emergencyService.setSocketHandlers(socketHandlers);
+
+// Read-only namespace for shared tracking links
+trackingShareService.setSocketHandlers(trackingSocket(io));
 
 // Connect to Database
 connectDB().then(() => {
@@ -74,6 +88,27 @@ connectDB().then(() => {
     logger.info('  Real-time features: Service requests, Location tracking, Status updates');
   });
 
+  // Re-arm dispatch waves that were waiting on mechanics before a restart
+  dispatchService.resumePendingDispatches()
+    .then(count => {
+      if (count > 0) {
+        logger.info(`Resumed dispatch for ${count} pending requests`);
+      }
+    })
+    .catch(error => logger.error('Failed to resume pending dispatches:', error));
+
+  // Remind customers and mechanics of upcoming bookings and start due ones
+  setInterval(async () => {
+    try {
+      const { reminded, activated } = await schedulingService.processDueBookings();
+      if (reminded > 0 || activated > 0) {
+        logger.info(`Scheduled bookings: ${reminded} reminded, ${activated} activated`);
+      }
+    } catch (error) {
+      logger.error('Scheduled booking task failed:', error);
+    }
+  }, 60 * 1000); // Run every minute
+
   // Socket.IO connection handling
   io.on('connection', (socket) => {
     logger.debug('Client connected:', socket.id);
@@ -0,0 +1,109 @@
+// GST settings for invoices issued on behalf of mechanics
+
+// GST state codes; the first two digits of a GSTIN are the supplier's state code
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Other spellings people type into addresses
+const STATE_ALIASES = {
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'orissa': '21',
+  'pondicherry': '34',
+  'j&k': '01',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'andaman and nicobar': '35'
+};
+
+// Union territories without a legislature levy UTGST instead of SGST
+const UNION_TERRITORY_CODES = ['04', '26', '31', '35', '38'];
+
+// SAC code and invoice line description per issue type
+const SERVICE_CODES = {
+  flat_tire: { sac: '998714', description: 'Roadside tyre repair / replacement service' },
+  battery_dead: { sac: '998714', description: 'Roadside battery jump-start / replacement service' },
+  engine_trouble: { sac: '998714', description: 'Engine diagnosis and repair service' },
+  fuel_empty: { sac: '996799', description: 'Roadside fuel delivery service' },
+  key_locked: { sac: '998714', description: 'Vehicle lockout assistance' },
+  accident: { sac: '998714', description: 'Accident assistance and repair service' },
+  overheating: { sac: '998714', description: 'Cooling system repair service' },
+  brake_failure: { sac: '998714', description: 'Brake system repair service' },
+  transmission_issue: { sac: '998714', description: 'Transmission repair service' },
+  other: { sac: '998714', description: 'Vehicle maintenance and repair service' }
+};
+
+// Repair and roadside services are all in the 18% slab
+const GST_RATE = 18;
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const STATE_NAMES = [
+  ...Object.entries(GST_STATES).map(([code, name]) => [normalize(name), code]),
+  ...Object.entries(STATE_ALIASES)
+].sort((a, b) => b[0].length - a[0].length); // longest first so "West Bengal" wins over shorter matches
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// State code for a state name, or for the first state name found in a free-text address
+const findStateCode = (text) => {
+  const value = normalize(text);
+  if (!value) return null;
+
+  for (const [name, code] of STATE_NAMES) {
+    if (value === name || new RegExp(`(^|[^a-z])${escapeRegExp(name)}([^a-z]|$)`).test(value)) {
+      return code;
+    }
+  }
+  return null;
+};
+
+const stateCodeFromGstin = (gstin) => {
+  const code = gstin ? String(gstin).slice(0, 2) : null;
+  return GST_STATES[code] ? code : null;
+};
+
+module.exports = {
+  GST_STATES,
+  UNION_TERRITORY_CODES,
+  SERVICE_CODES,
+  GST_RATE,
+  findStateCode,
+  stateCodeFromGstin
+};
@@ -0,0 +1,83 @@
+// Delivery channels a user can switch on or off per event
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'push', 'inApp'];
+
+// Events notificationService sends, with the channels used when the user has not chosen
+const NOTIFICATION_EVENTS = {
+  request_created: {
+    label: 'Request created',
+    defaults: { email: true, sms: true, push: false, inApp: true }
+  },
+  request_assigned: {
+    label: 'Mechanic assigned',
+    defaults: { email: true, sms: true, push: true, inApp: true }
+  },
+  status_update: {
+    label: 'Service status updates',
+    defaults: { email: false, sms: true, push: true, inApp: true }
+  },
+  request_rejected: {
+    label: 'Request declined',
+    defaults: { email: true, sms: false, push: true, inApp: true }
+  },
+  review_prompt: {
+    label: 'Review reminders',
+    defaults: { email: false, sms: false, push: true, inApp: true }
+  },
+  quote_update: {
+    label: 'Quotes',
+    defaults: { email: false, sms: true, push: true, inApp: true }
+  },
+  payment_success: {
+    label: 'Payment receipts',
+    defaults: { email: true, sms: true, push: false, inApp: true }
+  },
+  refund_update: {
+    label: 'Refund updates',
+    defaults: { email: true, sms: false, push: true, inApp: true }
+  },
+  cash_payment: {
+    label: 'Cash payments',
+    defaults: { email: false, sms: true, push: true, inApp: true }
+  },
+  new_request: {
+    label: 'New requests nearby',
+    defaults: { email: false, sms: true, push: true, inApp: true }
+  },
+  direct_booking: {
+    label: 'Direct bookings',
+    defaults: { email: false, sms: true, push: true, inApp: true }
+  },
+  booking_scheduled: {
+    label: 'Scheduled bookings',
+    defaults: { email: true, sms: false, push: true, inApp: true }
+  },
+  booking_reminder: {
+    label: 'Booking reminders',
+    defaults: { email: false, sms: true, push: true, inApp: true }
+  },
+  emergency_alert: {
+    label: 'SOS updates',
+    defaults: { email: false, sms: true, push: true, inApp: true }
+  }
+};
+
+const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_EVENTS);
+
+// Effective channels for an event: the user's saved choices over the defaults
+const resolveChannels = (preferences, type) => {
+  const defaults = NOTIFICATION_EVENTS[type]?.defaults || { email: true, sms: true, push: true, inApp: true };
+  const saved = preferences instanceof Map ? preferences.get(type) : preferences?.[type];
+
+  return NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+    const value = saved?.[channel];
+    channels[channel] = typeof value === 'boolean' ? value : defaults[channel];
+    return channels;
+  }, {});
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_TYPES,
+  resolveChannels
+};
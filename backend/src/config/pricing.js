@@ -0,0 +1,105 @@
+// Built-in pricing, used for quotations until an admin publishes a pricing rule (reported as version 0)
+
+// Octagons of roughly 20 km (city) and 50 km (metro area) around each city centre; [lng, lat] like GeoJSON
+const polygon = (ring) => ({ type: 'Polygon', coordinates: [[...ring, ring[0]]] });
+
+const DEFAULT_PRICING = {
+  version: 0,
+  baseRates: {
+    flat_tire: { min: 500, max: 1500, base: 800 },
+    battery_dead: { min: 300, max: 800, base: 500 },
+    engine_trouble: { min: 1000, max: 5000, base: 2000 },
+    fuel_empty: { min: 200, max: 500, base: 300 },
+    key_locked: { min: 400, max: 1000, base: 600 },
+    accident: { min: 2000, max: 10000, base: 4000 },
+    overheating: { min: 800, max: 2500, base: 1200 },
+    brake_failure: { min: 1500, max: 4000, base: 2200 },
+    transmission_issue: { min: 2000, max: 8000, base: 3500 },
+    other: { min: 500, max: 2000, base: 1000 }
+  },
+
+  vehicleMultipliers: {
+    car: 1.0,
+    motorcycle: 0.7,
+    truck: 1.5,
+    bus: 1.8,
+    other: 1.2
+  },
+
+  priorityMultipliers: {
+    low: 0.8,
+    medium: 1.0,
+    high: 1.3,
+    emergency: 1.8
+  },
+
+  timeMultipliers: {
+    peak: 1.4, // 7-10 AM, 5-8 PM
+    normal: 1.0, // 10 AM - 5 PM
+    night: 1.6, // 8 PM - 7 AM
+    weekend: 1.2 // Saturday, Sunday
+  },
+
+  weatherMultipliers: {
+    clear: 1.0,
+    rain: 1.3,
+    storm: 1.6,
+    fog: 1.2,
+    snow: 1.8
+  },
+
+  // Checked in order and the first region containing the location applies, so cities come before their metro areas
+  regions: [
+    {
+      name: 'Delhi',
+      multiplier: 1.3,
+      area: polygon([[77.2873, 28.7799], [77.3981, 28.6827], [77.3981, 28.5451], [77.2873, 28.4479], [77.1307, 28.4479], [77.0199, 28.5451], [77.0199, 28.6827], [77.1307, 28.7799]])
+    },
+    {
+      name: 'Mumbai',
+      multiplier: 1.3,
+      area: polygon([[72.9504, 19.242], [73.0533, 19.1448], [73.0533, 19.0072], [72.9504, 18.91], [72.805, 18.91], [72.7021, 19.0072], [72.7021, 19.1448], [72.805, 19.242]])
+    },
+    {
+      name: 'Bangalore',
+      multiplier: 1.3,
+      area: polygon([[77.6652, 13.1376], [77.7649, 13.0404], [77.7649, 12.9028], [77.6652, 12.8056], [77.524, 12.8056], [77.4243, 12.9028], [77.4243, 13.0404], [77.524, 13.1376]])
+    },
+    {
+      name: 'Chennai',
+      multiplier: 1.3,
+      area: polygon([[80.3413, 13.2487], [80.4411, 13.1515], [80.4411, 13.0139], [80.3413, 12.9167], [80.2001, 12.9167], [80.1003, 13.0139], [80.1003, 13.1515], [80.2001, 13.2487]])
+    },
+    {
+      name: 'Delhi NCR',
+      multiplier: 1.1,
+      area: polygon([[77.4048, 29.0289], [77.6817, 28.7858], [77.6817, 28.442], [77.4048, 28.1989], [77.0132, 28.1989], [76.7363, 28.442], [76.7363, 28.7858], [77.0132, 29.0289]])
+    },
+    {
+      name: 'Mumbai Metropolitan Region',
+      multiplier: 1.1,
+      area: polygon([[73.0596, 19.491], [73.3168, 19.2479], [73.3168, 18.9041], [73.0596, 18.661], [72.6958, 18.661], [72.4386, 18.9041], [72.4386, 19.2479], [72.6958, 19.491]])
+    },
+    {
+      name: 'Bangalore Metropolitan Region',
+      multiplier: 1.1,
+      area: polygon([[77.771, 13.3866], [78.0204, 13.1435], [78.0204, 12.7997], [77.771, 12.5566], [77.4182, 12.5566], [77.1688, 12.7997], [77.1688, 13.1435], [77.4182, 13.3866]])
+    },
+    {
+      name: 'Chennai Metropolitan Area',
+      multiplier: 1.1,
+      area: polygon([[80.4472, 13.4977], [80.6967, 13.2546], [80.6967, 12.9108], [80.4472, 12.6677], [80.0942, 12.6677], [79.8447, 12.9108], [79.8447, 13.2546], [80.0942, 13.4977]])
+    }
+  ],
+
+  // Locations outside every region
+  defaultRegionMultiplier: 1.0
+};
+
+// How long a loaded rule is trusted before the next quotation reads the database again
+const PRICING_RULE_CACHE_SECONDS = 60;
+
+module.exports = {
+  DEFAULT_PRICING,
+  PRICING_RULE_CACHE_SECONDS
+};
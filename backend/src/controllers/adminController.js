@@ -4,6 +4,8 @@ const ServiceRequest = require('../models/ServiceRequest');
 const Review = require('../models/Review');
 const logger = require('../config/logger');
 const { csvExportService } = require('../utils/csvExport');
+const notificationService = require('../services/notificationService');
+const jobQueue = require('../services/jobQueue');
 const mongoose = require('mongoose');
 
 /**
@@ -707,7 +709,18 @@ const getServiceRequests = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, success, failed, refunded]
+ *           enum: [pending, processing, success, failed, partially_refunded, refunded]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [UPI, Card, NetBanking, Wallet, Cash]
+ *       - in: query
+ *         name: cashStatus
+ *         description: Reconciliation state of cash payments
+ *         schema:
+ *           type: string
+ *           enum: [awaiting_confirmation, confirmed, disputed, resolved, rejected]
  *       - in: query
  *         name: dateFrom
  *         schema:
@@ -733,6 +746,8 @@ const getPayments = async (req, res) => {
       page = 1,
       limit = 10,
       status,
+      method,
+      cashStatus,
       dateFrom,
       dateTo,
       export: exportFormat
@@ -742,6 +757,11 @@ const getPayments = async (req, res) => {
     const filter = {};
     
     if (status) filter.status = status;
+    if (method) filter.method = method;
+    if (cashStatus) {
+      filter.method = 'Cash';
+      filter['cash.status'] = cashStatus;
+    }
     
     if (dateFrom || dateTo) {
       filter.createdAt = {};
@@ -753,7 +773,8 @@ const getPayments = async (req, res) => {
     if (exportFormat === 'csv') {
       const payments = await Payment.find(filter)
         .populate('customerId', 'name email phone')
-        .populate('serviceRequest', 'issueType status')
+        .populate('mechanicId', 'name phone')
+        .populate('requestId', 'issueType status')
         .lean();
 
       const csvData = await csvExportService.exportPayments(payments);
@@ -769,7 +790,8 @@ const getPayments = async (req, res) => {
     const [payments, totalPayments] = await Promise.all([
       Payment.find(filter)
         .populate('customerId', 'name email phone')
-        .populate('serviceRequest', 'issueType status')
+        .populate('mechanicId', 'name phone')
+        .populate('requestId', 'issueType status')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
@@ -791,6 +813,18 @@ const getPayments = async (req, res) => {
           },
           failedPayments: {
             $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
+          },
+          // Cash is reconciled apart from gateway payments
+          cashCollected: {
+            $sum: {
+              $cond: [{ $and: [{ $eq: ['$method', 'Cash'] }, { $eq: ['$status', 'success'] }] }, '$amount', 0]
+            }
+          },
+          cashAwaitingConfirmation: {
+            $sum: { $cond: [{ $eq: ['$cash.status', 'awaiting_confirmation'] }, 1, 0] }
+          },
+          cashDisputed: {
+            $sum: { $cond: [{ $eq: ['$cash.status', 'disputed'] }, 1, 0] }
           }
         }
       }
@@ -814,7 +848,14 @@ const getPayments = async (req, res) => {
           hasNext: parseInt(page) < totalPages,
           hasPrev: parseInt(page) > 1
         },
-        summary: summaryStats[0] || { totalAmount: 0, successfulPayments: 0, failedPayments: 0 }
+        summary: summaryStats[0] || {
+          totalAmount: 0,
+          successfulPayments: 0,
+          failedPayments: 0,
+          cashCollected: 0,
+          cashAwaitingConfirmation: 0,
+          cashDisputed: 0
+        }
       }
     });
 
@@ -1174,6 +1215,11 @@ const getSystemHealth = async (req, res) => {
       ServiceRequest.countDocuments().catch(() => 0)
     ]);
 
+    const queue = await notificationService.getQueueStatus().catch((error) => {
+      logger.error('Error getting queue status:', error);
+      return null;
+    });
+
     const systemHealth = {
       server: {
         uptime: Math.floor(uptime),
@@ -1190,6 +1236,7 @@ const getSystemHealth = async (req, res) => {
         users: dbHealth[0],
         requests: dbHealth[1]
       },
+      queue,
       timestamp: new Date().toISOString()
     };
 
@@ -1209,6 +1256,86 @@ const getSystemHealth = async (req, res) => {
   }
 };
 
+/**
+ * List dead-lettered queue jobs
+ */
+const getDeadLetterJobs = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { jobs, total } = await jobQueue.getDeadJobs({ type: req.query.type, page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Dead-letter jobs retrieved successfully',
+      data: {
+        jobs,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching dead-letter jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dead-letter jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Put a dead-lettered job back on the queue
+ */
+const replayDeadLetterJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    const job = await jobQueue.replay(jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead-letter job not found'
+      });
+    }
+
+    logger.info('Queue job replayed by admin:', {
+      adminId: req.user.id,
+      jobId,
+      type: job.type
+    });
+
+    res.json({
+      success: true,
+      message: 'Job queued for replay',
+      data: { job }
+    });
+
+  } catch (error) {
+    logger.error('Error replaying dead-letter job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getUsers,
@@ -1218,5 +1345,7 @@ module.exports = {
   getServiceRequests,
   getPayments,
   getAnalytics,
-  getSystemHealth
+  getSystemHealth,
+  getDeadLetterJobs,
+  replayDeadLetterJob
 };
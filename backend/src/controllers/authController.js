@@ -11,8 +11,6 @@ const {
   isValidPhone
 } = require('../utils/response');
 const { 
-  generateToken, 
-  generateRefreshToken,
   authRateLimit,
   otpRateLimit,
   loginRateLimit
@@ -20,8 +18,16 @@ const {
 const notificationService = require('../services/notificationService');
 const emailService = require('../services/emailService');
 const otpService = require('../services/otpService');
+const tokenService = require('../services/tokenService');
 const logger = require('../config/logger');
 
+// Device details stored on the session a login or refresh creates
+const getSessionMeta = (req) => ({
+  deviceId: req.body.deviceId,
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
 /**
  * @swagger
  * /auth/register:
@@ -234,8 +240,7 @@ const login = [
     }
 
     // For verified users, login directly
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { accessToken, refreshToken } = await tokenService.createSession(user, getSessionMeta(req));
 
     // Update last login
     user.lastLogin = new Date();
@@ -327,8 +332,7 @@ const verifyLoginOTP = [
       }
 
       // Generate tokens
-      const accessToken = generateToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+      const { accessToken, refreshToken } = await tokenService.createSession(user, getSessionMeta(req));
 
       // Mark user as verified and update last login
       user.isVerified = true;
@@ -712,9 +716,8 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.passwordChangedAt = new Date();
   await user.save();
 
-  // Generate new tokens
-  const accessToken = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+  // Generate new tokens; sessions from before the reset stop refreshing
+  const { accessToken, refreshToken } = await tokenService.createSession(user, getSessionMeta(req));
 
   logger.info('Password reset successfully:', {
     userId: user._id,
@@ -739,7 +742,8 @@ const resetPassword = asyncHandler(async (req, res) => {
  * @swagger
  * /auth/refresh-token:
  *   post:
- *     summary: Refresh access token
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: The refresh token rotates on every call. Sending an already-used token revokes the whole session.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -752,6 +756,11 @@ const resetPassword = asyncHandler(async (req, res) => {
  *             properties:
  *               refreshToken:
  *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       401:
+ *         description: Invalid, revoked or reused refresh token
  */
 const refreshToken = asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
@@ -760,15 +769,19 @@ const refreshToken = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 400, 'Refresh token is required');
   }
 
-  // This is handled by middleware
+  const rotated = await tokenService.rotateRefreshToken(refreshToken, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
   sendSuccessResponse(res, 200, 'Token refreshed successfully', {
-    accessToken: req.newToken,
-    refreshToken: refreshToken, // Return the same refresh token
+    accessToken: rotated.accessToken,
+    refreshToken: rotated.refreshToken,
     user: {
-      id: req.user._id,
-      name: req.user.name,
-      email: req.user.email,
-      role: req.user.role
+      id: rotated.user._id,
+      name: rotated.user.name,
+      email: rotated.user.email,
+      role: rotated.user.role
     }
   });
 });
@@ -839,17 +852,47 @@ const changePassword = asyncHandler(async (req, res) => {
  *       - bearerAuth: []
  */
 const logout = asyncHandler(async (req, res) => {
-  // In a production app, you might want to blacklist the token
-  // For this hackathon version, we'll just return success
-  
+  if (req.token.sid) {
+    await tokenService.revokeSessionById(req.token.sid, 'logout');
+  } else {
+    await tokenService.revokeAccessToken(req.token, 'logout');
+  }
+
   logger.info('User logged out:', {
     userId: req.user._id,
-    email: req.user.email
+    email: req.user.email,
+    sessionId: req.token.sid
   });
 
   sendSuccessResponse(res, 200, 'Logged out successfully');
 });
 
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const revokedSessions = await tokenService.revokeAllSessions(req.user._id, 'logout_all');
+
+  // Tokens issued before sessions existed are not covered by a session
+  if (!req.token.sid) {
+    await tokenService.revokeAccessToken(req.token, 'logout_all');
+  }
+
+  logger.info('User logged out of all devices:', {
+    userId: req.user._id,
+    email: req.user.email,
+    revokedSessions
+  });
+
+  sendSuccessResponse(res, 200, 'Logged out of all devices', { revokedSessions });
+});
+
 /**
  * @swagger
  * /auth/me:
@@ -879,5 +922,6 @@ module.exports = {
   refreshToken,
   changePassword,
   logout,
+  logoutAll,
   getCurrentUser
 };
@@ -0,0 +1,263 @@
+const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../utils/response');
+const cashPaymentService = require('../services/cashPaymentService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CashPayment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         method:
+ *           type: string
+ *           enum: [Cash]
+ *         status:
+ *           type: string
+ *           enum: [processing, success, failed]
+ *         cash:
+ *           type: object
+ *           properties:
+ *             collectedAmount:
+ *               type: number
+ *               description: Amount the mechanic recorded
+ *             confirmedAmount:
+ *               type: number
+ *               description: Amount the customer says they paid
+ *             status:
+ *               type: string
+ *               enum: [awaiting_confirmation, confirmed, disputed, resolved, rejected]
+ *             disputeReason:
+ *               type: string
+ *             resolutionNote:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/mechanic/requests/{requestId}/cash:
+ *   post:
+ *     summary: Record cash collected from the customer for a completed service
+ *     tags: [Mechanic - Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Cash recorded and sent to the customer to confirm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CashPayment'
+ *       400:
+ *         description: The service is not completed, or the amount differs from what is owed under the approved quote
+ *       409:
+ *         description: The service is already paid or cash is awaiting confirmation
+ */
+const recordCollection = asyncHandler(async (req, res) => {
+  const payment = await cashPaymentService.recordCollection(req.user._id, req.params.requestId, req.body);
+
+  sendSuccessResponse(res, 201, 'Cash recorded. The customer has been asked to confirm it.', payment);
+});
+
+/**
+ * @swagger
+ * /api/payments/requests/{requestId}/cash:
+ *   get:
+ *     summary: Get the cash payment recorded for a service
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cash payment retrieved
+ *       404:
+ *         description: No cash recorded for this service
+ */
+const getCashPayment = asyncHandler(async (req, res) => {
+  const payment = await cashPaymentService.getCashPayment(req.params.requestId, req.user);
+
+  if (!payment) {
+    return sendErrorResponse(res, 404, 'No cash recorded for this service');
+  }
+
+  sendSuccessResponse(res, 200, 'Cash payment retrieved', payment);
+});
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/cash/confirm:
+ *   post:
+ *     summary: Confirm paying the cash the mechanic recorded
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cash confirmed and the service marked as paid
+ *       409:
+ *         description: Cash payment is no longer waiting for confirmation
+ */
+const confirmCollection = asyncHandler(async (req, res) => {
+  const payment = await cashPaymentService.confirmCollection(req.user._id, req.params.paymentId);
+
+  sendSuccessResponse(res, 200, 'Cash payment confirmed', payment);
+});
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/cash/dispute:
+ *   post:
+ *     summary: Dispute the cash the mechanic recorded
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Cash the customer actually paid, 0 if none
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute raised for an admin to review
+ *       409:
+ *         description: Cash payment is no longer waiting for confirmation
+ */
+const disputeCollection = asyncHandler(async (req, res) => {
+  const payment = await cashPaymentService.disputeCollection(req.user._id, req.params.paymentId, req.body);
+
+  sendSuccessResponse(res, 200, 'Dispute raised. Our team will review it shortly.', payment);
+});
+
+/**
+ * @swagger
+ * /api/admin/payments/{paymentId}/cash/resolve:
+ *   post:
+ *     summary: Accept a cash payment, optionally at a different amount
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the amount the mechanic recorded
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cash accepted and the service marked as paid
+ *       409:
+ *         description: Cash payment has already been settled
+ */
+const resolveCollection = asyncHandler(async (req, res) => {
+  const payment = await cashPaymentService.resolveCollection(req.user._id, req.params.paymentId, req.body);
+
+  sendSuccessResponse(res, 200, 'Cash payment resolved', payment);
+});
+
+/**
+ * @swagger
+ * /api/admin/payments/{paymentId}/cash/reject:
+ *   post:
+ *     summary: Reject a cash payment so the service has to be paid online
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Shown to the customer and the mechanic
+ *     responses:
+ *       200:
+ *         description: Cash payment rejected
+ *       409:
+ *         description: Cash payment has already been settled
+ */
+const rejectCollection = asyncHandler(async (req, res) => {
+  const payment = await cashPaymentService.rejectCollection(req.user._id, req.params.paymentId, req.body);
+
+  sendSuccessResponse(res, 200, 'Cash payment rejected', payment);
+});
+
+module.exports = {
+  recordCollection,
+  getCashPayment,
+  confirmCollection,
+  disputeCollection,
+  resolveCollection,
+  rejectCollection
+};
@@ -4,32 +4,94 @@ const Payment = require('../models/Payment');
 const logger = require('../config/logger');
 const mongoose = require('mongoose');
 
+// Server-side sort options for nearby mechanic search
+const NEARBY_SORT_FIELDS = {
+  distance: { field: 'distance', order: 1 },
+  rating: { field: 'rating', order: -1 },
+  completedJobs: { field: 'completedJobs', order: -1 },
+  name: { field: 'name', order: 1 }
+};
+
+// What any customer may see of a mechanic in search results; contact details stay private
+const PUBLIC_MECHANIC_FIELDS = {
+  name: 1,
+  rating: 1,
+  totalReviews: 1,
+  completedJobs: 1,
+  specializations: 1,
+  specialties: 1,
+  location: 1,
+  distance: 1
+};
+
+// Jobs that keep a mechanic busy
+const ACTIVE_JOB_STATUSES = ['assigned', 'enroute', 'in_progress'];
+
+// Opaque keyset cursor: last sort value + last _id
+const encodeCursor = (value, id) => {
+  return Buffer.from(JSON.stringify({ v: value, id: id.toString() })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (v === undefined || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { value: v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
- * Get nearby mechanics within specified distance
+ * Get nearby mechanics within specified distance using a $geoNear aggregation.
+ * Supports cursor pagination and sorting by distance, rating, completedJobs or name.
  */
 const getNearbyMechanics = async (req, res) => {
   try {
-    console.log('getNearbyMechanics called with query params:', req.query);
-    
     const { 
       latitude, 
       longitude, 
       maxDistance = 25, 
       search, 
       rating, 
-      sortBy = 'distance' 
+      sortBy = 'distance',
+      cursor,
+      limit = 20
     } = req.query;
 
-    console.log('Extracted params:', { latitude, longitude, maxDistance, search, rating, sortBy });
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
 
-    if (!latitude || !longitude) {
-      console.log('Missing latitude or longitude:', { latitude, longitude });
+    if (isNaN(lat) || isNaN(lng)) {
       return res.status(400).json({
         success: false,
         message: 'Latitude and longitude are required'
       });
     }
 
+    const sort = NEARBY_SORT_FIELDS[sortBy];
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${Object.keys(NEARBY_SORT_FIELDS).join(', ')}`
+      });
+    }
+
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
+      }
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
+
     // Build filter for mechanics
     const filter = { role: 'mechanic', isVerified: true, isActive: true };
     
@@ -44,69 +106,98 @@ const getNearbyMechanics = async (req, res) => {
       filter.rating = { $gte: parseFloat(rating) };
     }
 
-    // Get mechanics from database
-    const mechanics = await User.find(filter).lean();
-    
-    console.log('Found mechanics:', mechanics.length);
-    console.log('Filter used:', filter);
-
-    // Calculate distances and filter by maxDistance
-    const mechanicsWithDistance = mechanics
-      .map(mechanic => {
-        if (mechanic.location && mechanic.location.lat && mechanic.location.lng) {
-          const distance = calculateDistance(
-            parseFloat(latitude),
-            parseFloat(longitude),
-            mechanic.location.lat, // latitude
-            mechanic.location.lng  // longitude
-          );
-          console.log(`Mechanic ${mechanic.name}: distance = ${distance}km`);
-          return { ...mechanic, distance };
+    const geoNear = {
+      near: { type: 'Point', coordinates: [lng, lat] },
+      key: 'location',
+      distanceField: 'distance',
+      distanceMultiplier: 0.001, // meters -> kilometers
+      maxDistance: parseFloat(maxDistance) * 1000,
+      spherical: true,
+      query: filter
+    };
+
+    // Skip straight past earlier pages when paging by distance
+    if (after && sort.field === 'distance') {
+      geoNear.minDistance = Math.max(0, after.value * 1000 - 1);
+    }
+
+    const pipeline = [
+      { $geoNear: geoNear },
+      {
+        $addFields: {
+          rating: { $ifNull: ['$rating', 0] },
+          completedJobs: { $ifNull: ['$completedJobs', 0] }
         }
-        console.log(`Mechanic ${mechanic.name}: no location data`);
-        return { ...mechanic, distance: null };
-      })
-      .filter(mechanic => mechanic.distance !== null && mechanic.distance <= parseFloat(maxDistance))
-      .sort((a, b) => {
-        switch (sortBy) {
-          case 'rating':
-            return (b.rating || 0) - (a.rating || 0);
-          case 'completedJobs':
-            return (b.completedJobs || 0) - (a.completedJobs || 0);
-          case 'name':
-            return a.name.localeCompare(b.name);
-          case 'distance':
-          default:
-            return a.distance - b.distance;
+      }
+    ];
+
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { [sort.field]: { [sort.order === 1 ? '$gt' : '$lt']: after.value } },
+            { [sort.field]: after.value, _id: { $gt: after.id } }
+          ]
         }
       });
+    }
 
-    // Add availability status based on current active requests
-    const mechanicsWithAvailability = mechanicsWithDistance.map(mechanic => {
-      const isAvailable = !mechanic.currentRequests || mechanic.currentRequests.length === 0;
-      return {
-        ...mechanic,
-        isAvailable
-      };
+    pipeline.push(
+      { $sort: { [sort.field]: sort.order, _id: 1 } },
+      { $limit: pageSize + 1 },
+      { $project: PUBLIC_MECHANIC_FIELDS },
+      {
+        $addFields: {
+          'location.lat': { $arrayElemAt: ['$location.coordinates', 1] },
+          'location.lng': { $arrayElemAt: ['$location.coordinates', 0] }
+        }
+      }
+    );
+
+    const results = await User.aggregate(pipeline);
+
+    const hasMore = results.length > pageSize;
+    const page = hasMore ? results.slice(0, pageSize) : results;
+    const last = page[page.length - 1];
+
+    // Cursor carries the raw (unrounded) sort value so ties resolve exactly
+    const nextCursor = hasMore ? encodeCursor(last[sort.field], last._id) : null;
+
+    // A mechanic is available while not on a job, the same load dispatch ranks by
+    const busy = await ServiceRequest.distinct('mechanicId', {
+      mechanicId: { $in: page.map(mechanic => mechanic._id) },
+      status: { $in: ACTIVE_JOB_STATUSES }
     });
+    const busyIds = new Set(busy.map(id => id.toString()));
 
-    console.log('Final mechanics with availability:', mechanicsWithAvailability.length);
+    const mechanics = page.map(mechanic => ({
+      ...mechanic,
+      distance: Math.round(mechanic.distance * 100) / 100,
+      isAvailable: !busyIds.has(mechanic._id.toString())
+    }));
 
     logger.info('Nearby mechanics retrieved', {
       customerId: req.user?.id,
-      latitude,
-      longitude,
+      latitude: lat,
+      longitude: lng,
       maxDistance,
-      count: mechanicsWithAvailability.length
+      sortBy,
+      count: mechanics.length,
+      hasMore
     });
 
     res.json({
       success: true,
       message: 'Nearby mechanics retrieved successfully',
       data: {
-        mechanics: mechanicsWithAvailability,
-        total: mechanicsWithAvailability.length,
-        userLocation: { latitude, longitude }
+        mechanics,
+        pagination: {
+          limit: pageSize,
+          nextCursor,
+          hasMore
+        },
+        sortBy,
+        userLocation: { latitude: lat, longitude: lng }
       }
     });
 
@@ -294,24 +385,6 @@ const getServiceRequests = async (req, res) => {
   }
 };
 
-// Helper function to calculate distance between two points
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371; // Radius of the Earth in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLng = deg2rad(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c; // Distance in km
-  return distance;
-};
-
-const deg2rad = (deg) => {
-  return deg * (Math.PI / 180);
-};
-
 /**
  * Get customer's saved vehicles
  */
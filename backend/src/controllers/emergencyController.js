@@ -0,0 +1,551 @@
+const { asyncHandler, sendSuccessResponse } = require('../utils/response');
+const emergencyService = require('../services/emergencyService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrustedContact:
+ *       type: object
+ *       description: Someone alerted when the customer raises an SOS. A phone, an email or both are required.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         email:
+ *           type: string
+ *         relationship:
+ *           type: string
+ *           example: Sister
+ *     SosLocation:
+ *       type: object
+ *       required: [lat, lng]
+ *       properties:
+ *         lat:
+ *           type: number
+ *         lng:
+ *           type: number
+ *         accuracy:
+ *           type: number
+ *           description: Metres, as reported by the Geolocation API
+ *     EmergencyIncident:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         reference:
+ *           type: string
+ *           example: SOS-1042
+ *         customerId:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [sos_button, accident_request, socket]
+ *         message:
+ *           type: string
+ *         location:
+ *           type: object
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *             address:
+ *               type: string
+ *         lastLocation:
+ *           $ref: '#/components/schemas/SosLocation'
+ *         vehicle:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             type:
+ *               type: string
+ *             make:
+ *               type: string
+ *             model:
+ *               type: string
+ *             plate:
+ *               type: string
+ *             color:
+ *               type: string
+ *         status:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *         acknowledgedAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         resolutionNote:
+ *           type: string
+ *         contactAlerts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [sms, email]
+ *               to:
+ *                 type: string
+ *               delivered:
+ *                 type: boolean
+ *               error:
+ *                 type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/customer/trusted-contacts:
+ *   get:
+ *     summary: List the customer's trusted contacts
+ *     tags: [Customer - SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trusted contacts retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrustedContact'
+ */
+const getTrustedContacts = asyncHandler(async (req, res) => {
+  const contacts = await emergencyService.getTrustedContacts(req.user._id);
+
+  sendSuccessResponse(res, 200, 'Trusted contacts retrieved', contacts);
+});
+
+/**
+ * @swagger
+ * /api/customer/trusted-contacts:
+ *   post:
+ *     summary: Add a trusted contact (at most 5)
+ *     tags: [Customer - SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TrustedContact'
+ *     responses:
+ *       201:
+ *         description: Trusted contact added
+ *       400:
+ *         description: Invalid contact or 5 contacts already saved
+ */
+const addTrustedContact = asyncHandler(async (req, res) => {
+  const contact = await emergencyService.addTrustedContact(req.user._id, req.body);
+
+  sendSuccessResponse(res, 201, 'Trusted contact added', contact);
+});
+
+/**
+ * @swagger
+ * /api/customer/trusted-contacts/{contactId}:
+ *   put:
+ *     summary: Replace a trusted contact's details
+ *     tags: [Customer - SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TrustedContact'
+ *     responses:
+ *       200:
+ *         description: Trusted contact updated
+ *       404:
+ *         description: Trusted contact not found
+ */
+const updateTrustedContact = asyncHandler(async (req, res) => {
+  const contact = await emergencyService.updateTrustedContact(req.user._id, req.params.contactId, req.body);
+
+  sendSuccessResponse(res, 200, 'Trusted contact updated', contact);
+});
+
+/**
+ * @swagger
+ * /api/customer/trusted-contacts/{contactId}:
+ *   delete:
+ *     summary: Remove a trusted contact
+ *     tags: [Customer - SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trusted contact removed
+ *       404:
+ *         description: Trusted contact not found
+ */
+const removeTrustedContact = asyncHandler(async (req, res) => {
+  await emergencyService.removeTrustedContact(req.user._id, req.params.contactId);
+
+  sendSuccessResponse(res, 200, 'Trusted contact removed');
+});
+
+/**
+ * @swagger
+ * /api/customer/sos:
+ *   post:
+ *     summary: Raise an SOS
+ *     description: >
+ *       Records an emergency incident, texts and emails the customer's trusted contacts a link to follow
+ *       their live location and alerts the admin incident console. While an incident is still open a
+ *       repeated SOS returns it and only records the new location.
+ *     tags: [Customer - SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [location]
+ *             properties:
+ *               location:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/SosLocation'
+ *                   - type: object
+ *                     properties:
+ *                       address:
+ *                         type: string
+ *               requestId:
+ *                 type: string
+ *                 description: Service request the customer is on
+ *               vehicleId:
+ *                 type: string
+ *                 description: Saved vehicle; defaults to the request's vehicle, then the default vehicle
+ *               message:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 enum: [sos_button, accident_request]
+ *     responses:
+ *       201:
+ *         description: SOS raised; `shareUrl` is the link sent to trusted contacts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 incident:
+ *                   $ref: '#/components/schemas/EmergencyIncident'
+ *                 shareUrl:
+ *                   type: string
+ *       200:
+ *         description: An SOS is already active; its location was updated
+ */
+const raiseSos = asyncHandler(async (req, res) => {
+  const { incident, shareUrl, created } = await emergencyService.raiseIncident(req.user._id, req.body);
+
+  sendSuccessResponse(
+    res,
+    created ? 201 : 200,
+    created ? 'SOS raised, your trusted contacts have been alerted' : 'Your SOS is already active',
+    { incident, shareUrl }
+  );
+});
+
+/**
+ * @swagger
+ * /api/customer/sos:
+ *   get:
+ *     summary: List the customer's SOS incidents, newest first
+ *     tags: [Customer - SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: SOS incidents retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EmergencyIncident'
+ */
+const getMySosIncidents = asyncHandler(async (req, res) => {
+  const incidents = await emergencyService.getCustomerIncidents(req.user._id, req.query);
+
+  sendSuccessResponse(res, 200, 'SOS incidents retrieved', incidents);
+});
+
+/**
+ * @swagger
+ * /api/customer/sos/{incidentId}/location:
+ *   post:
+ *     summary: Share the customer's current position while an SOS is active
+ *     tags: [Customer - SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SosLocation'
+ *     responses:
+ *       200:
+ *         description: Location recorded
+ *       404:
+ *         description: No active SOS with this ID
+ */
+const updateSosLocation = asyncHandler(async (req, res) => {
+  const location = await emergencyService.updateLocation(req.params.incidentId, req.user._id, req.body);
+
+  sendSuccessResponse(res, 200, 'Location recorded', location);
+});
+
+/**
+ * @swagger
+ * /api/customer/sos/{incidentId}/resolve:
+ *   post:
+ *     summary: Tell support the customer is safe; the shared location link stops working
+ *     tags: [Customer - SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: SOS resolved
+ *       409:
+ *         description: Already resolved
+ */
+const resolveMySos = asyncHandler(async (req, res) => {
+  const incident = await emergencyService.resolveIncident(req.params.incidentId, req.user._id, {
+    note: req.body.note || 'Marked safe by the customer',
+    customerId: req.user._id
+  });
+
+  sendSuccessResponse(res, 200, 'Glad you are safe. Your SOS has been closed', incident);
+});
+
+/**
+ * @swagger
+ * /api/public/sos/{token}:
+ *   get:
+ *     summary: Follow a customer's SOS from the link sent to their trusted contacts
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Incident status with the customer's latest location and recent trail
+ *       404:
+ *         description: Unknown link
+ *       410:
+ *         description: The SOS was resolved or the link expired
+ */
+const getSharedIncident = asyncHandler(async (req, res) => {
+  const incident = await emergencyService.getSharedIncident(req.params.token);
+
+  sendSuccessResponse(res, 200, 'Emergency retrieved', incident);
+});
+
+/**
+ * @swagger
+ * /api/admin/incidents:
+ *   get:
+ *     summary: List SOS incidents, newest first
+ *     tags: [Admin - Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Incidents retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EmergencyIncident'
+ */
+const getIncidents = asyncHandler(async (req, res) => {
+  const { incidents, pagination } = await emergencyService.listIncidents(req.query);
+
+  sendSuccessResponse(res, 200, 'Incidents retrieved', incidents, pagination);
+});
+
+/**
+ * @swagger
+ * /api/admin/incidents/{incidentId}:
+ *   get:
+ *     summary: Get an SOS incident with the customer's full location trail
+ *     tags: [Admin - Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Incident retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmergencyIncident'
+ *       404:
+ *         description: Incident not found
+ */
+const getIncident = asyncHandler(async (req, res) => {
+  const incident = await emergencyService.getIncident(req.params.incidentId);
+
+  sendSuccessResponse(res, 200, 'Incident retrieved', incident);
+});
+
+/**
+ * @swagger
+ * /api/admin/incidents/{incidentId}/acknowledge:
+ *   post:
+ *     summary: Take ownership of an open SOS incident
+ *     tags: [Admin - Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Incident acknowledged; the customer is told support is on it
+ *       404:
+ *         description: Incident not found
+ *       409:
+ *         description: Already acknowledged or resolved
+ */
+const acknowledgeIncident = asyncHandler(async (req, res) => {
+  const incident = await emergencyService.acknowledgeIncident(req.params.incidentId, req.user._id);
+
+  sendSuccessResponse(res, 200, `Incident ${incident.reference} acknowledged`, incident);
+});
+
+/**
+ * @swagger
+ * /api/admin/incidents/{incidentId}/resolve:
+ *   post:
+ *     summary: Close an SOS incident
+ *     tags: [Admin - Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: What happened, kept on the incident and sent to the customer
+ *     responses:
+ *       200:
+ *         description: Incident resolved; the shared location link stops working
+ *       404:
+ *         description: Incident not found
+ *       409:
+ *         description: Already resolved
+ */
+const resolveIncident = asyncHandler(async (req, res) => {
+  const incident = await emergencyService.resolveIncident(req.params.incidentId, req.user._id, {
+    note: req.body.note
+  });
+
+  sendSuccessResponse(res, 200, `Incident ${incident.reference} resolved`, incident);
+});
+
+module.exports = {
+  getTrustedContacts,
+  addTrustedContact,
+  updateTrustedContact,
+  removeTrustedContact,
+  raiseSos,
+  getMySosIncidents,
+  updateSosLocation,
+  resolveMySos,
+  getSharedIncident,
+  getIncidents,
+  getIncident,
+  acknowledgeIncident,
+  resolveIncident
+};
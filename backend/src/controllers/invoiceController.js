@@ -0,0 +1,177 @@
+const { asyncHandler, sendSuccessResponse } = require('../utils/response');
+const invoiceService = require('../services/invoiceService');
+
+const sendPdf = (res, document) => {
+  const filename = `${document.number || document._id}.pdf`.replace(/\//g, '-');
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(invoiceService.renderPdf(document));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *         title:
+ *           type: string
+ *           description: Tax Invoice, Bill of Supply (unregistered supplier) or Credit Note
+ *         number:
+ *           type: string
+ *           example: INV/26-27/000042
+ *         supplier:
+ *           type: object
+ *           description: The mechanic's shop, with GSTIN and state
+ *         recipient:
+ *           type: object
+ *         placeOfSupply:
+ *           type: object
+ *           properties:
+ *             state:
+ *               type: string
+ *             stateCode:
+ *               type: string
+ *         supplyType:
+ *           type: string
+ *           enum: [intra_state, inter_state]
+ *         lineItems:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               sac:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               taxableValue:
+ *                 type: number
+ *               taxRate:
+ *                 type: number
+ *         taxableAmount:
+ *           type: number
+ *         cgst:
+ *           type: number
+ *         sgst:
+ *           type: number
+ *         utgst:
+ *           type: number
+ *         igst:
+ *           type: number
+ *         totalTax:
+ *           type: number
+ *         total:
+ *           type: number
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/invoice:
+ *   get:
+ *     summary: Download the GST invoice of a payment
+ *     description: The invoice is issued with the next sequential number the first time it is needed. JSON responses also list credit notes issued for refunds.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invoice:
+ *                   $ref: '#/components/schemas/Invoice'
+ *                 creditNotes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Payment has not succeeded
+ *       404:
+ *         description: Payment not found
+ */
+const getInvoice = asyncHandler(async (req, res) => {
+  const { invoice, creditNotes } = await invoiceService.getPaymentInvoice(req.params.paymentId, req.user);
+
+  if (req.query.format === 'pdf') {
+    return sendPdf(res, invoice);
+  }
+
+  sendSuccessResponse(res, 200, 'Invoice retrieved', { invoice, creditNotes });
+});
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/credit-notes/{creditNoteId}:
+ *   get:
+ *     summary: Download a credit note issued for a refund
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Credit note retrieved
+ *       404:
+ *         description: Credit note not found
+ */
+const getCreditNote = asyncHandler(async (req, res) => {
+  const creditNote = await invoiceService.getCreditNote(req.params.paymentId, req.params.creditNoteId, req.user);
+
+  if (req.query.format === 'pdf') {
+    return sendPdf(res, creditNote);
+  }
+
+  sendSuccessResponse(res, 200, 'Credit note retrieved', creditNote);
+});
+
+module.exports = {
+  getInvoice,
+  getCreditNote
+};
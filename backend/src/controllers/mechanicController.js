@@ -2,11 +2,78 @@ const User = require('../models/User');
 const ServiceRequest = require('../models/ServiceRequest');
 const Payment = require('../models/Payment');
 const Review = require('../models/Review');
+const ServiceArea = require('../models/ServiceArea');
 const logger = require('../config/logger');
 const aiQuotationService = require('../services/aiQuotationService');
-const notificationService = require('../services/notificationService');
+const dispatchService = require('../services/dispatchService');
+const ledgerService = require('../services/ledgerService');
+const cashPaymentService = require('../services/cashPaymentService');
+const quoteService = require('../services/quoteService');
+const requestStateMachine = require('../services/requestStateMachine');
+const { InvalidTransitionError } = require('../utils/response');
 const mongoose = require('mongoose');
 
+// MongoDB's "Can't extract geo keys" error for geometry a 2dsphere index refuses
+const GEO_KEY_ERROR = 16755;
+
+// Respond with a typed status-transition error the frontend can display
+const sendTransitionError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  code: error.code,
+  details: error.details
+});
+
+// Work only starts on a quote the customer accepted
+const sendQuoteNotAccepted = (res, request) => res.status(409).json({
+  success: false,
+  message: 'The customer has to accept a quote before work can start',
+  code: 'QUOTE_NOT_ACCEPTED',
+  details: { quoteStatus: request.quote?.status || null }
+});
+
+// Respond to a failed service area save: schema and geometry problems are the mechanic's to fix
+const sendServiceAreaError = (res, error, failureMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  // MongoDB cannot index some geometry the model accepts, e.g. repeated vertices
+  if (error.code === GEO_KEY_ERROR) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: ['Service area shape is not a valid polygon']
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: failureMessage
+  });
+};
+
+// Answer a retried accept for a request the mechanic already holds without assigning it again
+const sendAlreadyAccepted = async (res, request) => {
+  await request.populate('customerId', 'name email phone');
+  res.json({
+    success: true,
+    message: 'Service request already accepted',
+    data: {
+      requestId: request._id,
+      status: request.status,
+      quotation: request.quotation,
+      quote: request.quote,
+      acceptedAt: request.acceptedAt,
+      customer: request.customerId
+    }
+  });
+};
+
 /**
  * @swagger
  * components:
@@ -431,10 +498,10 @@ const getEarningsSummary = async (req, res) => {
 
     // Get payments for the period
     const payments = await Payment.find({
-      mechanic: mechanicId,
+      mechanicId,
       status: 'success',
-      createdAt: { $gte: startDate, $lte: endDate }
-    }).populate('serviceRequest', 'issueType status');
+      paidAt: { $gte: startDate, $lte: endDate }
+    }).populate('requestId', 'issueType status');
 
     const totalEarnings = payments.reduce((sum, payment) => sum + payment.amount, 0);
     const totalRequests = payments.length;
@@ -446,11 +513,14 @@ const getEarningsSummary = async (req, res) => {
     previousStartDate.setTime(previousStartDate.getTime() - (endDate.getTime() - startDate.getTime()));
 
     const previousPayments = await Payment.find({
-      mechanic: mechanicId,
+      mechanicId,
       status: 'success',
-      createdAt: { $gte: previousStartDate, $lt: startDate }
+      paidAt: { $gte: previousStartDate, $lt: startDate }
     });
 
+    // What the mechanic actually keeps after commission, cash collected and refunds
+    const ledger = await ledgerService.getPeriodTotals(mechanicId, startDate, endDate);
+
     const previousEarnings = previousPayments.reduce((sum, payment) => sum + payment.amount, 0);
     const growth = previousEarnings > 0 
       ? ((totalEarnings - previousEarnings) / previousEarnings) * 100 
@@ -464,7 +534,11 @@ const getEarningsSummary = async (req, res) => {
         averageEarning: Math.round(averageEarning * 100) / 100,
         thisMonth: totalEarnings,
         lastMonth: previousEarnings,
-        growth: Math.round(growth * 100) / 100
+        growth: Math.round(growth * 100) / 100,
+        commission: Math.round((ledger.platform_commission - ledger.commission_reversal) * 100) / 100,
+        cashCollected: ledger.cash_collected,
+        refunds: ledger.refund,
+        netEarnings: ledger.net
       }
     });
 
@@ -794,6 +868,15 @@ const getAssignedRequests = async (req, res) => {
     try {
       // For now, use simple filter to avoid complex query issues
       filter = { mechanicId: mechanicId };
+      if (includeAvailable === 'true' || includeAvailable === true) {
+        // Include broadcast requests currently offered to this mechanic
+        filter = {
+          $or: [
+            { mechanicId: mechanicId },
+            { mechanicId: null, status: 'pending', 'dispatch.currentOffer': mechanicId }
+          ]
+        };
+      }
       if (status) {
         filter.status = status;
       }
@@ -907,11 +990,15 @@ const getAssignedRequests = async (req, res) => {
  *                 description: Service quotation amount
  *     responses:
  *       200:
- *         description: Request accepted successfully
+ *         description: Request accepted successfully, or already accepted by this mechanic
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Request is not currently offered to this mechanic
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Request was already accepted by another mechanic
  */
 const acceptRequest = async (req, res) => {
   try {
@@ -926,21 +1013,39 @@ const acceptRequest = async (req, res) => {
       });
     }
 
-    const request = await ServiceRequest.findOne({
-      _id: requestId,
-      mechanicId: mechanicId,
-      status: 'pending'
-    }).populate('customerId', 'name email phone');
+    const request = await ServiceRequest.findById(requestId);
 
     if (!request) {
       return res.status(404).json({
         success: false,
-        message: 'Service request not found or already processed'
+        message: 'Service request not found'
+      });
+    }
+
+    if (request.isAcceptedBy(mechanicId)) {
+      return sendAlreadyAccepted(res, request);
+    }
+
+    if (request.status !== 'pending' || (request.mechanicId && request.mechanicId.toString() !== mechanicId)) {
+      dispatchService.notifyRequestTaken(requestId, mechanicId);
+      return res.status(409).json({
+        success: false,
+        message: 'This request has already been accepted by another mechanic'
+      });
+    }
+
+    // Broadcast requests can only be accepted while the dispatcher is offering them to this mechanic
+    const isOffered = (request.dispatch?.currentOffer || []).some(id => id.toString() === mechanicId);
+    if (!request.mechanicId && !isOffered) {
+      return res.status(403).json({
+        success: false,
+        message: 'This request is not currently offered to you'
       });
     }
 
     // Generate AI quotation if not provided
     let finalQuotation = quotation;
+    let pricingRuleVersion;
     if (!finalQuotation) {
       try {
         const quotationResult = await aiQuotationService.generateQuotation({
@@ -951,41 +1056,61 @@ const acceptRequest = async (req, res) => {
           priority: request.priority
         });
         finalQuotation = quotationResult.quotation;
+        pricingRuleVersion = quotationResult.ruleVersion;
       } catch (aiError) {
         logger.warn('AI quotation failed, using fallback', { error: aiError.message });
         finalQuotation = 1500; // Fallback amount
       }
     }
 
-    // Update request status
-    request.status = 'assigned';
-    request.acceptedAt = new Date();
-    request.estimatedArrival = estimatedArrival || 30; // Default 30 minutes if not provided
-    request.quotation = finalQuotation;
-    
-    // Add timeline entry
-    if (!request.history) request.history = [];
-    request.history.push({
-      status: 'assigned',
-      timestamp: new Date(),
-      description: `Service accepted by mechanic. ETA: ${request.estimatedArrival} minutes`,
-      updatedBy: mechanicId
+    const eta = estimatedArrival || 30; // Default 30 minutes if not provided
+
+    // The quotation is offered to the customer as the first revision of the quote
+    const updates = { quotation: finalQuotation };
+    if (pricingRuleVersion !== undefined) {
+      updates.pricingRuleVersion = pricingRuleVersion;
+    }
+    if (finalQuotation >= 1) {
+      updates.quote = quoteService.buildInitialQuote(mechanicId, { amount: finalQuotation });
+    }
+
+    // Single conditional update - only one mechanic can move the request out of pending
+    const acceptedRequest = await ServiceRequest.claimForMechanic(requestId, mechanicId, {
+      updates,
+      note: `Service accepted by mechanic. ETA: ${eta} minutes`
     });
 
-    await request.save();
+    if (!acceptedRequest) {
+      // The same mechanic's other accept got there first
+      const current = await ServiceRequest.findById(requestId);
+      if (current?.isAcceptedBy(mechanicId)) {
+        return sendAlreadyAccepted(res, current);
+      }
 
-    // Send notification to customer
-    try {
-      await notificationService.notifyRequestAccepted(request.customerId, request, req.user);
-    } catch (notificationError) {
-      logger.error('Failed to send acceptance notification:', notificationError);
+      dispatchService.notifyRequestTaken(requestId, mechanicId);
+      return res.status(409).json({
+        success: false,
+        message: 'This request has already been accepted by another mechanic'
+      });
     }
 
+    await acceptedRequest.populate('customerId', 'name email phone');
+    dispatchService.completeDispatch(acceptedRequest, mechanicId, { estimatedArrival: eta });
+
+    // The claim bypasses updateStatus, so run the assignment hooks (customer notification) here
+    await requestStateMachine.runHooks(acceptedRequest, {
+      from: 'pending',
+      to: 'assigned',
+      updatedBy: mechanicId,
+      role: 'mechanic'
+    });
+    await quoteService.notify(acceptedRequest, 'customerId');
+
     logger.info('Service request accepted', {
       requestId,
       mechanicId,
-      customerId: request.customerId,
-      estimatedArrival: request.estimatedArrival,
+      customerId: acceptedRequest.customerId._id,
+      estimatedArrival: eta,
       quotation: finalQuotation
     });
 
@@ -995,10 +1120,11 @@ const acceptRequest = async (req, res) => {
       data: {
         requestId,
         status: 'assigned',
-        estimatedArrival: request.estimatedArrival,
+        estimatedArrival: eta,
         quotation: finalQuotation,
-        acceptedAt: request.acceptedAt,
-        customer: request.customerId
+        quote: acceptedRequest.quote,
+        acceptedAt: acceptedRequest.acceptedAt,
+        customer: acceptedRequest.customerId
       }
     });
 
@@ -1040,6 +1166,8 @@ const acceptRequest = async (req, res) => {
  *     responses:
  *       200:
  *         description: Work started successfully
+ *       409:
+ *         description: The customer has not accepted a quote (QUOTE_NOT_ACCEPTED), or the request cannot start from its status
  */
 const startWork = async (req, res) => {
   try {
@@ -1049,48 +1177,40 @@ const startWork = async (req, res) => {
 
     const request = await ServiceRequest.findOne({
       _id: requestId,
-      assignedMechanic: mechanicId,
-      status: 'active'
-    }).populate('customer', 'name email phone');
+      mechanicId
+    }).populate('customerId', 'name email phone');
 
     if (!request) {
       return res.status(404).json({
         success: false,
-        message: 'Service request not found or not in active status'
+        message: 'Service request not found'
       });
     }
 
-    // Update request
-    request.workStartedAt = new Date();
-    if (arrivalLocation) request.arrivalLocation = arrivalLocation;
-    if (workStartNotes) request.workStartNotes = workStartNotes;
-
-    // Add timeline entry
-    request.timeline.push({
-      status: 'work_started',
-      timestamp: new Date(),
-      description: workStartNotes || 'Mechanic arrived and started working',
-      location: arrivalLocation || request.location
-    });
+    if (!quoteService.isAccepted(request)) {
+      return sendQuoteNotAccepted(res, request);
+    }
 
-    await request.save();
+    const note = arrivalLocation?.address
+      ? `${workStartNotes || 'Mechanic arrived and started working'} (at ${arrivalLocation.address})`
+      : workStartNotes || 'Mechanic arrived and started working';
+    await request.updateStatus('in_progress', mechanicId, note, 'mechanic');
 
     // Real-time notifications
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`customer_${request.customer._id}`).emit('workStarted', {
-        requestId,
-        mechanicName: req.user.name,
-        startTime: request.workStartedAt,
-        notes: workStartNotes,
-        timestamp: new Date().toISOString()
+    const socketHandlers = req.app.get('socketHandlers');
+    if (socketHandlers) {
+      socketHandlers.emitToRequest(requestId, 'work-started', {
+        mechanicId,
+        arrivalTime: request.startedAt,
+        status: 'in_progress',
+        timestamp: new Date()
       });
     }
 
     logger.info('Work started on service request', {
       requestId,
       mechanicId,
-      customerId: request.customer._id
+      customerId: request.customerId._id
     });
 
     res.json({
@@ -1098,12 +1218,16 @@ const startWork = async (req, res) => {
       message: 'Work started successfully',
       data: {
         requestId,
-        workStartedAt: request.workStartedAt,
+        workStartedAt: request.startedAt,
         notes: workStartNotes
       }
     });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return sendTransitionError(res, error);
+    }
+
     logger.error('Error starting work:', error);
     res.status(500).json({
       success: false,
@@ -1156,6 +1280,9 @@ const startWork = async (req, res) => {
  *               recommendations:
  *                 type: string
  *                 maxLength: 500
+ *               cashCollected:
+ *                 type: number
+ *                 description: Cash taken from the customer, sent to them to confirm instead of an online payment
  *     responses:
  *       200:
  *         description: Service completed successfully
@@ -1163,73 +1290,81 @@ const startWork = async (req, res) => {
  *         $ref: '#/components/responses/BadRequest'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: finalAmount is above the approved quote (QUOTE_EXCEEDED)
  */
 const completeRequest = async (req, res) => {
   try {
     const mechanicId = req.user.id;
     const { requestId } = req.params;
-    const { workSummary, finalAmount, partsUsed, recommendations } = req.body;
+    const { workSummary, finalAmount, partsUsed, recommendations, cashCollected } = req.body;
 
     const request = await ServiceRequest.findOne({
       _id: requestId,
-      assignedMechanic: mechanicId,
-      status: 'active'
-    }).populate('customer', 'name email phone');
+      mechanicId
+    }).populate('customerId', 'name email phone');
 
     if (!request) {
       return res.status(404).json({
         success: false,
-        message: 'Service request not found or not in active status'
+        message: 'Service request not found'
       });
     }
 
-    // Update request
-    request.status = 'completed';
-    request.completedAt = new Date();
-    request.workSummary = workSummary;
-    request.finalAmount = finalAmount;
-    request.partsUsed = partsUsed || [];
-    request.recommendations = recommendations;
+    // Anything above the approved quote needs an accepted supplementary quote first
+    if (quoteService.exceedsApproved(request, finalAmount)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The final amount is above the approved quote. Propose a supplementary quote for the customer to accept',
+        code: 'QUOTE_EXCEEDED',
+        details: {
+          approvedAmount: request.quote.approvedAmount,
+          finalAmount,
+          quoteStatus: request.quote.status
+        }
+      });
+    }
 
-    // Calculate work duration
-    if (request.workStartedAt) {
-      request.workDuration = Math.round((request.completedAt - request.workStartedAt) / (1000 * 60)); // in minutes
+    request.finalAmount = finalAmount;
+    if (recommendations) {
+      request.notes.push({ text: recommendations, addedBy: mechanicId });
     }
 
-    // Add timeline entry
-    request.timeline.push({
-      status: 'completed',
-      timestamp: new Date(),
-      description: `Service completed. ${workSummary}`,
-      location: request.arrivalLocation || request.location
-    });
+    const partsNote = partsUsed?.length
+      ? ` Parts: ${partsUsed.map(part => part.name).join(', ')}.`
+      : '';
 
-    await request.save();
+    // Completion hooks update job counts, open the payment order and prompt for a review
+    await request.updateStatus('completed', mechanicId, `Service completed. ${workSummary}${partsNote}`, 'mechanic');
 
-    // Update mechanic statistics
-    await User.findByIdAndUpdate(mechanicId, {
-      $inc: { 'stats.completedJobs': 1 }
-    });
+    // Cash replaces the online payment order; the mechanic can record it again later if this fails
+    let cashPayment = null;
+    if (cashCollected) {
+      try {
+        cashPayment = await cashPaymentService.recordCollection(mechanicId, requestId, { amount: cashCollected });
+      } catch (error) {
+        logger.warn('Failed to record cash at completion:', { requestId, error: error.message });
+      }
+    }
 
     // Real-time notifications
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`customer_${request.customer._id}`).emit('requestCompleted', {
-        requestId,
-        mechanicName: req.user.name,
+    const socketHandlers = req.app.get('socketHandlers');
+    if (socketHandlers) {
+      socketHandlers.emitToRequest(requestId, 'work-completed', {
         workSummary,
         finalAmount,
-        completedAt: request.completedAt,
-        timestamp: new Date().toISOString()
+        completionTime: request.completedAt,
+        status: 'completed',
+        timestamp: new Date()
       });
     }
 
     logger.info('Service request completed', {
       requestId,
       mechanicId,
-      customerId: request.customer._id,
+      customerId: request.customerId._id,
       finalAmount,
-      workDuration: request.workDuration
+      workDuration: request.actualDuration
     });
 
     res.json({
@@ -1240,11 +1375,16 @@ const completeRequest = async (req, res) => {
         status: 'completed',
         completedAt: request.completedAt,
         finalAmount,
-        workDuration: request.workDuration
+        workDuration: request.actualDuration,
+        cashPayment
       }
     });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return sendTransitionError(res, error);
+    }
+
     logger.error('Error completing service request:', error);
     res.status(500).json({
       success: false,
@@ -1400,45 +1540,18 @@ const updateRequestStatus = async (req, res) => {
       });
     }
 
-    // Validate status transition
-    const validTransitions = {
-      'assigned': ['enroute', 'cancelled'],
-      'enroute': ['in_progress', 'cancelled'],
-      'in_progress': ['completed', 'cancelled'],
-      'completed': [],
-      'cancelled': []
-    };
-
-    const currentStatus = serviceRequest.status;
-    if (!validTransitions[currentStatus]?.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid status transition from ${currentStatus} to ${status}`
-      });
+    if (status === 'in_progress' && !quoteService.isAccepted(serviceRequest)) {
+      return sendQuoteNotAccepted(res, serviceRequest);
     }
 
-    // Update the request status
+    // Guarded by the state machine; transition hooks handle notifications and job counts
     const previousStatus = serviceRequest.status;
-    serviceRequest.status = status;
-
-    // Add to history
-    serviceRequest.history.push({
+    await serviceRequest.updateStatus(
       status,
-      timestamp: new Date(),
-      note: `Status updated from ${previousStatus} to ${status}`,
-      updatedBy: mechanicId
-    });
-
-    // Update relevant timestamps
-    if (status === 'enroute') {
-      serviceRequest.startedAt = new Date();
-    } else if (status === 'completed') {
-      serviceRequest.completedAt = new Date();
-    } else if (status === 'cancelled') {
-      serviceRequest.cancelledAt = new Date();
-    }
-
-    await serviceRequest.save();
+      mechanicId,
+      `Status updated from ${previousStatus} to ${status}`,
+      'mechanic'
+    );
 
     logger.info('Service request status updated', {
       requestId,
@@ -1456,6 +1569,10 @@ const updateRequestStatus = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return sendTransitionError(res, error);
+    }
+
     logger.error('Error updating request status:', error);
     res.status(500).json({
       success: false,
@@ -1483,32 +1600,15 @@ const getServiceAreas = async (req, res) => {
   try {
     const mechanicId = req.user.id;
 
-    // For now, we'll return the mechanic's service radius and location
-    // In a full implementation, you'd have a separate ServiceArea model
-    const mechanic = await User.findById(mechanicId);
-    
-    if (!mechanic) {
-      return res.status(404).json({
-        success: false,
-        message: 'Mechanic not found'
-      });
-    }
-
-    // Create a default service area based on mechanic's location
-    const serviceAreas = [{
-      _id: 'default',
-      name: 'Primary Service Area',
-      radius: mechanic.serviceRadius || 10,
-      isActive: true,
-      center: {
-        lat: mechanic.location?.lat || 0,
-        lng: mechanic.location?.lng || 0
-      }
-    }];
+    const serviceAreas = await ServiceArea.find({ mechanicId })
+      .sort({ createdAt: 1 });
 
     res.json({
       success: true,
-      data: serviceAreas
+      data: {
+        serviceAreas,
+        activeCount: serviceAreas.filter(area => area.isActive).length
+      }
     });
 
   } catch (error) {
@@ -1536,63 +1636,171 @@ const getServiceAreas = async (req, res) => {
  *             type: object
  *             required:
  *               - name
- *               - radius
  *             properties:
  *               name:
  *                 type: string
  *                 description: Name of the service area
+ *               shape:
+ *                 type: string
+ *                 enum: [circle, polygon]
+ *                 default: circle
+ *               center:
+ *                 $ref: '#/components/schemas/Location'
  *               radius:
  *                 type: number
- *                 description: Service radius in kilometers
+ *                 description: Service radius in kilometers (circle only)
+ *               points:
+ *                 type: array
+ *                 description: Polygon vertices (polygon only)
+ *                 items:
+ *                   $ref: '#/components/schemas/Location'
+ *               address:
+ *                 type: string
+ *               basePrice:
+ *                 type: number
+ *               description:
+ *                 type: string
  *               isActive:
  *                 type: boolean
  *                 description: Whether the area is active
  *     responses:
  *       201:
  *         description: Service area added successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
 const addServiceArea = async (req, res) => {
   try {
     const mechanicId = req.user.id;
-    const { name, radius, isActive = true } = req.body;
+    const { name, shape = 'circle', center, points, radius, address, basePrice, description, isActive = true } = req.body;
 
-    if (!name || !radius) {
+    const geometry = ServiceArea.buildGeometry(shape, { center, points });
+    if (!geometry) {
       return res.status(400).json({
         success: false,
-        message: 'Name and radius are required'
+        message: shape === 'polygon'
+          ? 'Polygon areas require at least 3 points'
+          : 'Circle areas require a center location'
       });
     }
 
-    // In a full implementation, you'd save this to a ServiceArea model
-    // For now, we'll update the mechanic's service radius
-    await User.findByIdAndUpdate(mechanicId, {
-      serviceRadius: radius
+    const serviceArea = await ServiceArea.create({
+      mechanicId,
+      name,
+      shape,
+      geometry,
+      radius: shape === 'circle' ? radius : undefined,
+      address,
+      basePrice,
+      description,
+      isActive
     });
 
-    const newServiceArea = {
-      _id: Date.now().toString(),
-      name,
-      radius,
-      isActive,
-      center: {
-        lat: 0,
-        lng: 0
-      }
-    };
+    logger.info('Service area added', {
+      mechanicId,
+      areaId: serviceArea._id,
+      shape
+    });
 
     res.status(201).json({
       success: true,
-      data: newServiceArea
+      message: 'Service area added successfully',
+      data: { serviceArea }
     });
 
   } catch (error) {
     logger.error('Error adding service area:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to add service area'
+
+    sendServiceAreaError(res, error, 'Failed to add service area');
+  }
+};
+
+/**
+ * @swagger
+ * /api/mechanic/service-areas/{areaId}:
+ *   put:
+ *     summary: Update or toggle a service area
+ *     tags: [Mechanic]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: areaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service area ID
+ *     responses:
+ *       200:
+ *         description: Service area updated successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+const updateServiceArea = async (req, res) => {
+  try {
+    const { areaId } = req.params;
+    const mechanicId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(areaId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service area ID'
+      });
+    }
+
+    const serviceArea = await ServiceArea.findOne({ _id: areaId, mechanicId });
+
+    if (!serviceArea) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service area not found'
+      });
+    }
+
+    const { name, shape, center, points, radius, address, basePrice, description, isActive } = req.body;
+
+    if (shape || center || points) {
+      const nextShape = shape || serviceArea.shape;
+      const geometry = ServiceArea.buildGeometry(nextShape, { center, points });
+      if (!geometry) {
+        return res.status(400).json({
+          success: false,
+          message: nextShape === 'polygon'
+            ? 'Polygon areas require at least 3 points'
+            : 'Circle areas require a center location'
+        });
+      }
+      serviceArea.shape = nextShape;
+      serviceArea.geometry = geometry;
+    }
+
+    if (name !== undefined) serviceArea.name = name;
+    if (radius !== undefined) serviceArea.radius = radius;
+    if (address !== undefined) serviceArea.address = address;
+    if (basePrice !== undefined) serviceArea.basePrice = basePrice;
+    if (description !== undefined) serviceArea.description = description;
+    if (isActive !== undefined) serviceArea.isActive = isActive;
+
+    await serviceArea.save();
+
+    logger.info('Service area updated', {
+      mechanicId,
+      areaId,
+      isActive: serviceArea.isActive
     });
+
+    res.json({
+      success: true,
+      message: 'Service area updated successfully',
+      data: { serviceArea }
+    });
+
+  } catch (error) {
+    logger.error('Error updating service area:', error);
+
+    sendServiceAreaError(res, error, 'Failed to update service area');
   }
 };
 
@@ -1616,21 +1824,35 @@ const addServiceArea = async (req, res) => {
  *         description: Service area removed successfully
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  */
 const removeServiceArea = async (req, res) => {
   try {
     const { areaId } = req.params;
     const mechanicId = req.user.id;
 
-    // In a full implementation, you'd delete from ServiceArea model
-    // For now, we'll just return success
-    if (areaId === 'default') {
+    if (!mongoose.Types.ObjectId.isValid(areaId)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot remove default service area'
+        message: 'Invalid service area ID'
       });
     }
 
+    const serviceArea = await ServiceArea.findOneAndDelete({ _id: areaId, mechanicId });
+
+    if (!serviceArea) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service area not found'
+      });
+    }
+
+    logger.info('Service area removed', {
+      mechanicId,
+      areaId
+    });
+
     res.json({
       success: true,
       message: 'Service area removed successfully'
@@ -1718,6 +1940,7 @@ module.exports = {
   exportEarnings,
   getServiceAreas,
   addServiceArea,
+  updateServiceArea,
   removeServiceArea,
   updateAvailability
 };
@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const notificationService = require('../services/notificationService');
+const webPushService = require('../services/webPushService');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS, resolveChannels } = require('../config/notificationEvents');
+const logger = require('../config/logger');
+
+// Delivery reports posted by the SMS provider (Twilio status callbacks)
+const handleSmsStatusCallback = async (req, res) => {
+  try {
+    const accepted = notificationService.handleSmsStatusCallback(req.params.provider, {
+      params: req.body,
+      signature: req.headers['x-twilio-signature']
+    });
+
+    if (!accepted) {
+      logger.warn('Rejected SMS status callback', { provider: req.params.provider });
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid status callback'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Status recorded'
+    });
+  } catch (error) {
+    logger.error('SMS status callback failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process status callback',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// VAPID public key the browser needs to subscribe
+const getPushPublicKey = async (req, res) => {
+  if (!webPushService.isConfigured) {
+    return res.status(503).json({
+      success: false,
+      message: 'Push notifications are not configured'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      publicKey: webPushService.publicKey
+    }
+  });
+};
+
+const subscribePush = async (req, res) => {
+  try {
+    const { subscription, deviceId } = req.body;
+    const userAgent = req.body.userAgent || req.get('user-agent');
+
+    const saved = await webPushService.subscribe(req.user._id, { subscription, deviceId, userAgent });
+
+    logger.info('Push subscription saved', { userId: req.user._id, deviceId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Push notifications enabled',
+      data: {
+        subscriptionId: saved._id,
+        deviceId: saved.deviceId
+      }
+    });
+  } catch (error) {
+    logger.error('Push subscription failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable push notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const unsubscribePush = async (req, res) => {
+  try {
+    const removed = await webPushService.unsubscribe(req.user._id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: removed > 0 ? 'Push notifications disabled' : 'No matching push subscription',
+      data: { removed }
+    });
+  } catch (error) {
+    logger.error('Push unsubscribe failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable push notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Inbox for the current user, newest first
+const getNotifications = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const userId = req.user._id;
+
+    const filter = { userId };
+    if (status === 'unread') filter.isRead = false;
+    if (status === 'read') filter.isRead = true;
+    if (type) filter.type = String(type);
+
+    const skip = (page - 1) * limit;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId, isRead: false })
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalNotifications: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Mark one notification read (or unread again with { isRead: false })
+const markNotificationRead = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const isRead = req.body?.isRead !== false;
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { $set: { isRead, readAt: isRead ? new Date() : null } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: isRead ? 'Notification marked as read' : 'Notification marked as unread',
+      data: { notification }
+    });
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    logger.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const deleteNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    logger.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Effective channels for every event, with labels for the settings screen
+const buildPreferences = (storedPreferences) => Object.entries(NOTIFICATION_EVENTS).map(([type, event]) => ({
+  type,
+  label: event.label,
+  channels: resolveChannels(storedPreferences, type)
+}));
+
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        channels: NOTIFICATION_CHANNELS,
+        preferences: buildPreferences(user?.notificationPreferences)
+      }
+    });
+  } catch (error) {
+    logger.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Merge channel choices, e.g. { preferences: { status_update: { sms: false } } }
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const updates = Object.entries(req.body.preferences).reduce((acc, [type, channels]) => {
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        acc[`notificationPreferences.${type}.${channel}`] = enabled;
+      });
+      return acc;
+    }, {});
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: {
+        channels: NOTIFICATION_CHANNELS,
+        preferences: buildPreferences(user?.notificationPreferences)
+      }
+    });
+  } catch (error) {
+    logger.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  handleSmsStatusCallback,
+  getPushPublicKey,
+  subscribePush,
+  unsubscribePush
+};
@@ -1,10 +1,17 @@
 const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
 const ServiceRequest = require('../models/ServiceRequest');
 const User = require('../models/User');
 const logger = require('../config/logger');
 const paymentService = require('../services/paymentService');
+const refundService = require('../services/refundService');
+const walletService = require('../services/walletService');
+const quoteService = require('../services/quoteService');
+const ledgerService = require('../services/ledgerService');
+const invoiceService = require('../services/invoiceService');
 const notificationService = require('../services/notificationService');
-const crypto = require('crypto');
+const webhookEventService = require('../services/webhookEventService');
+const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../utils/response');
 
 /**
  * @swagger
@@ -27,6 +34,10 @@ const crypto = require('crypto');
  *           type: string
  *           default: INR
  *           enum: [INR]
+ *         useWallet:
+ *           type: boolean
+ *           default: false
+ *           description: Pay what the wallet balance covers from it and the rest through the gateway
  *     PaymentResponse:
  *       type: object
  *       properties:
@@ -43,12 +54,26 @@ const crypto = require('crypto');
  *               type: string
  *             amount:
  *               type: number
+ *               description: Amount left to pay through the gateway
+ *             walletAmount:
+ *               type: number
+ *               description: Amount paid from the wallet
+ *             totalAmount:
+ *               type: number
+ *             status:
+ *               type: string
+ *               description: success when the wallet covered the whole amount and there is nothing to check out
  *             currency:
  *               type: string
  *             razorpayOrderId:
  *               type: string
  *             razorpayKey:
  *               type: string
+ *               description: Checkout key of the active gateway
+ *             gateway:
+ *               type: string
+ *               enum: [razorpay, mock]
+ *               description: Gateway to check out with; mock orders are paid through /api/payments/mock/orders/{orderId}/pay
  */
 
 /**
@@ -59,6 +84,13 @@ const crypto = require('crypto');
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Repeats with the same key get the first response back instead of a new order
  *     requestBody:
  *       required: true
  *       content:
@@ -66,8 +98,10 @@ const crypto = require('crypto');
  *           schema:
  *             $ref: '#/components/schemas/PaymentRequest'
  *     responses:
+ *       200:
+ *         description: The service already has an unpaid order, which is returned
  *       201:
- *         description: Payment order created successfully
+ *         description: Payment order created, or the service paid from the wallet
  *         content:
  *           application/json:
  *             schema:
@@ -81,109 +115,250 @@ const crypto = require('crypto');
  */
 const createPaymentOrder = async (req, res) => {
   try {
-    const { serviceRequestId, amount, currency = 'INR' } = req.body;
+    const { serviceRequestId, amount, currency = 'INR', paymentMethod, useWallet } = req.body;
     const customerId = req.user.id;
 
     // Validate service request
     const serviceRequest = await ServiceRequest.findOne({
       _id: serviceRequestId,
-      customer: customerId,
+      customerId,
       status: 'completed'
-    }).populate('assignedMechanic', 'name email');
+    }).populate('mechanicId', 'name email');
 
-    if (!serviceRequest) {
+    if (!serviceRequest || !serviceRequest.mechanicId) {
       return res.status(404).json({
         success: false,
         message: 'Service request not found or not eligible for payment'
       });
     }
 
-    // Check if payment already exists
-    const existingPayment = await Payment.findOne({
-      serviceRequest: serviceRequestId,
-      status: { $in: ['success', 'pending'] }
-    });
-
-    if (existingPayment) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment already exists for this service request',
-        data: {
-          paymentId: existingPayment._id,
-          status: existingPayment.status
-        }
-      });
+    // Hand back the order the customer already opened instead of creating another
+    const existingPayment = await findOpenPayment(serviceRequestId);
+    if (existingPayment && !(await replaceForWallet(existingPayment, customerId, useWallet || paymentMethod === 'wallet'))) {
+      return respondWithExistingPayment(res, existingPayment, serviceRequest);
     }
 
     // Validate amount against service request
-    if (amount !== serviceRequest.finalAmount) {
+    const amountDue = getAmountDue(serviceRequest);
+    if (amount !== amountDue) {
       return res.status(400).json({
         success: false,
         message: 'Payment amount does not match service amount',
-        expected: serviceRequest.finalAmount,
+        expected: amountDue,
         provided: amount
       });
     }
 
-    // Create Razorpay order
-    const razorpayOrder = await paymentService.createOrder({
-      amount: amount * 100, // Convert to paise
+    await openPaymentOrder(res, serviceRequest, {
+      customerId,
+      amount,
       currency,
-      receipt: `order_${serviceRequestId}_${Date.now()}`,
+      method: PAYMENT_METHODS[paymentMethod] || 'Card',
+      useWallet: useWallet || paymentMethod === 'wallet',
       notes: {
         serviceRequestId,
         customerId,
-        mechanicId: serviceRequest.assignedMechanic._id.toString()
+        mechanicId: serviceRequest.mechanicId._id.toString()
       }
     });
 
-    // Create payment record
-    const payment = new Payment({
-      customer: customerId,
-      serviceRequest: serviceRequestId,
-      amount,
-      currency,
-      razorpayOrderId: razorpayOrder.id,
-      status: 'pending',
-      createdAt: new Date()
+  } catch (error) {
+    logger.error('Error creating payment order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payment order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
 
-    await payment.save();
+// Client payment method -> Payment.method
+const PAYMENT_METHODS = {
+  card: 'Card',
+  upi: 'UPI',
+  wallet: 'Wallet'
+};
 
-    logger.info('Payment order created', {
-      paymentId: payment._id,
-      customerId,
-      serviceRequestId,
-      amount,
-      razorpayOrderId: razorpayOrder.id
-    });
+// What the customer owes: the approved quote, or for requests from before quotes the amount the job was completed at
+const getAmountDue = (serviceRequest) => quoteService.amountDue(serviceRequest) ?? serviceRequest.finalAmount;
+
+// The payment a service is already being paid with, if any
+const findOpenPayment = (serviceRequestId) => Payment.findOne({
+  requestId: serviceRequestId,
+  status: { $in: ['pending', 'processing', 'success', 'partially_refunded'] }
+}).sort({ createdAt: -1 });
+
+// Checkout details for a gateway order; serviceRequest needs mechanicId populated.
+// amount is what is left to check out once the wallet share is taken off.
+const buildOrderData = (payment, serviceRequest) => ({
+  paymentId: payment._id,
+  orderId: payment.razorpayOrderId,
+  amount: payment.gatewayAmount,
+  walletAmount: payment.walletAmount || 0,
+  totalAmount: payment.amount + (payment.processingFee || 0),
+  status: payment.status,
+  currency: payment.currency,
+  razorpayOrderId: payment.razorpayOrderId,
+  razorpayKey: paymentService.gateway.checkoutKey,
+  gateway: payment.gateway || paymentService.gateway.name,
+  serviceRequest: {
+    id: serviceRequest._id,
+    issueType: serviceRequest.issueType,
+    mechanic: serviceRequest.mechanicId.name,
+    description: serviceRequest.description,
+    completedAt: serviceRequest.completedAt
+  }
+});
 
-    res.status(201).json({
+// An unpaid order is reused so a double click or a second tab cannot open another one;
+// anything else means the service is paid or being paid some other way
+const respondWithExistingPayment = (res, payment, serviceRequest) => {
+  if (payment.status === 'pending' && payment.razorpayOrderId) {
+    return res.json({
       success: true,
-      message: 'Payment order created successfully',
-      data: {
-        paymentId: payment._id,
-        orderId: razorpayOrder.id,
-        amount,
-        currency,
-        razorpayOrderId: razorpayOrder.id,
-        razorpayKey: process.env.RAZORPAY_KEY_ID,
-        serviceRequest: {
-          id: serviceRequest._id,
-          issueType: serviceRequest.issueType,
-          mechanic: serviceRequest.assignedMechanic.name
-        }
-      }
+      message: 'Payment order already created',
+      data: buildOrderData(payment, serviceRequest)
     });
+  }
 
+  return res.status(400).json({
+    success: false,
+    message: 'Payment already exists for this service request',
+    data: {
+      paymentId: payment._id,
+      status: payment.status
+    }
+  });
+};
+
+// The order opened when the job was completed charges the gateway in full. A customer who now asks to pay
+// from a wallet with a balance gets it cancelled so a new order can take the wallet share.
+// Resolves to true when the open order was cancelled.
+const replaceForWallet = async (payment, customerId, useWallet) => {
+  if (!useWallet || payment.status !== 'pending' || payment.walletAmount > 0) {
+    return false;
+  }
+
+  const coverable = await walletService.getCoverableAmount(customerId, payment.amount);
+  if (!coverable) {
+    return false;
+  }
+
+  return failPendingPayment(payment, 'Replaced by an order paid partly from the wallet');
+};
+
+// Save a new pending payment; if a concurrent request saved one for the same service first, resolve to that one
+const savePendingPayment = async (payment) => {
+  try {
+    return await payment.save();
   } catch (error) {
-    logger.error('Error creating payment order:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create payment order',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    if (error.code !== 11000 || !error.keyPattern?.requestId) throw error;
+
+    logger.info('Concurrent payment order discarded', {
+      requestId: payment.requestId,
+      razorpayOrderId: payment.razorpayOrderId
+    });
+    return findOpenPayment(payment.requestId);
+  }
+};
+
+/**
+ * Open the order for a service and send it. With useWallet the customer's balance pays what it can and
+ * the gateway is charged the rest; when the wallet covers everything the service is paid here and there
+ * is nothing to check out.
+ */
+const openPaymentOrder = async (res, serviceRequest, { customerId, amount, currency, method, useWallet, notes, receipt }) => {
+  const walletAmount = useWallet ? await walletService.getCoverableAmount(customerId, amount) : 0;
+  const gatewayAmount = Math.round((amount - walletAmount) * 100) / 100;
+
+  const razorpayOrder = gatewayAmount > 0
+    ? await paymentService.createOrder({
+      amount: Math.round(gatewayAmount * 100), // Convert to paise
+      currency,
+      receipt: receipt || `order_${serviceRequest._id}_${Date.now()}`,
+      notes
+    })
+    : null;
+
+  const payment = new Payment({
+    customerId,
+    requestId: serviceRequest._id,
+    mechanicId: serviceRequest.mechanicId._id,
+    amount,
+    currency,
+    method: razorpayOrder ? method : PAYMENT_METHODS.wallet,
+    walletAmount,
+    ...(razorpayOrder && {
+      gateway: paymentService.gateway.name,
+      razorpayOrderId: razorpayOrder.id
+    }),
+    ...(receipt && { receipt }),
+    status: 'pending'
+  });
+
+  const saved = await savePendingPayment(payment);
+  if (saved !== payment) {
+    return respondWithExistingPayment(res, saved, serviceRequest);
+  }
+
+  // Take the wallet share now so the same balance cannot pay for two orders
+  if (walletAmount > 0) {
+    try {
+      await walletService.holdForPayment(payment);
+    } catch (error) {
+      await failPendingPayment(payment, error.message);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to create payment order'
+      });
+    }
+  }
+
+  logger.info('Payment order created', {
+    paymentId: payment._id,
+    customerId,
+    serviceRequestId: serviceRequest._id,
+    amount,
+    walletAmount,
+    razorpayOrderId: payment.razorpayOrderId
+  });
+
+  if (!razorpayOrder) {
+    const paid = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      { $set: { status: 'success', paidAt: new Date() } },
+      { new: true }
+    );
+    await recordSuccessfulPayment(paid);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Service paid from wallet',
+      data: buildOrderData(paid, serviceRequest)
     });
   }
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment order created successfully',
+    data: buildOrderData(payment, serviceRequest)
+  });
+};
+
+// Fail a payment that is still pending and give back the wallet share it held.
+// Resolves to false when something else settled the payment first.
+const failPendingPayment = async (payment, failureReason, gatewayResponse) => {
+  const { modifiedCount } = await Payment.updateOne(
+    { _id: payment._id, status: 'pending' },
+    { $set: { status: 'failed', failureReason, ...(gatewayResponse && { gatewayResponse }) } }
+  );
+
+  if (!modifiedCount) {
+    return false;
+  }
+
+  await walletService.releasePayment(payment);
+  return true;
 };
 
 /**
@@ -234,16 +409,12 @@ const verifyPayment = async (req, res) => {
     // Find payment record
     const payment = await Payment.findOne({
       _id: paymentId,
-      customer: customerId,
+      customerId,
       razorpayOrderId,
       status: 'pending'
-    }).populate({
-      path: 'serviceRequest',
-      populate: {
-        path: 'assignedMechanic',
-        select: 'name email phone'
-      }
-    });
+    })
+      .populate('mechanicId', 'name email phone')
+      .populate('requestId', 'issueType');
 
     if (!payment) {
       return res.status(404).json({
@@ -253,18 +424,8 @@ const verifyPayment = async (req, res) => {
     }
 
     // Verify signature
-    const body = razorpayOrderId + '|' + razorpayPaymentId;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
-
-    if (expectedSignature !== razorpaySignature) {
-      // Update payment status to failed
-      payment.status = 'failed';
-      payment.failureReason = 'Invalid signature';
-      payment.updatedAt = new Date();
-      await payment.save();
+    if (!paymentService.verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+      await failPendingPayment(payment, 'Invalid signature');
 
       logger.warn('Payment signature verification failed', {
         paymentId,
@@ -278,135 +439,137 @@ const verifyPayment = async (req, res) => {
       });
     }
 
-    // Verify payment with Razorpay
+    // Make sure the gateway has the money, capturing it if it was only authorized
+    let gatewayPayment;
     try {
-      const razorpayPayment = await paymentService.getPayment(razorpayPaymentId);
-      
-      if (razorpayPayment.status !== 'captured') {
-        throw new Error(`Payment not captured. Status: ${razorpayPayment.status}`);
-      }
-
-      // Update payment record
-      payment.status = 'success';
-      payment.razorpayPaymentId = razorpayPaymentId;
-      payment.razorpaySignature = razorpaySignature;
-      payment.paidAt = new Date();
-      payment.updatedAt = new Date();
-      payment.gatewayResponse = razorpayPayment;
+      gatewayPayment = await paymentService.capturePayment(razorpayPaymentId, {
+        amount: Math.round(payment.gatewayAmount * 100),
+        currency: payment.currency
+      });
+    } catch (gatewayError) {
+      await failPendingPayment(payment, gatewayError.error?.description || gatewayError.message);
 
-      await payment.save();
+      logger.error('Gateway payment verification failed:', {
+        error: gatewayError.message,
+        paymentId,
+        razorpayPaymentId
+      });
 
-      // Update service request payment status
-      await ServiceRequest.findByIdAndUpdate(payment.serviceRequest._id, {
-        paymentStatus: 'paid',
-        paidAt: new Date()
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed',
+        error: gatewayError.error?.description || gatewayError.message
       });
+    }
 
-      // Send notifications
-      try {
-        // Notify customer
-        await notificationService.sendEmail(
-          req.user.email,
-          'Payment Successful - RoadGuard',
-          'payment-success',
-          {
-            customerName: req.user.name,
-            amount: payment.amount,
-            serviceType: payment.serviceRequest.issueType,
-            paymentId: razorpayPaymentId,
-            mechanicName: payment.serviceRequest.assignedMechanic.name
-          }
-        );
-
-        // Notify mechanic
-        await notificationService.sendEmail(
-          payment.serviceRequest.assignedMechanic.email,
-          'Payment Received - RoadGuard',
-          'payment-received',
-          {
-            mechanicName: payment.serviceRequest.assignedMechanic.name,
-            amount: payment.amount,
-            customerName: req.user.name,
-            serviceType: payment.serviceRequest.issueType
-          }
-        );
+    // The payment.captured webhook may have got here first; only one of them settles the payment
+    const paidAt = new Date();
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      {
+        $set: {
+          status: 'success',
+          razorpayPaymentId,
+          razorpaySignature,
+          paidAt,
+          gatewayResponse: gatewayPayment
+        }
+      },
+      { new: true }
+    );
 
-      } catch (notificationError) {
-        logger.warn('Failed to send payment notifications:', notificationError);
-      }
+    if (claimed) {
+      await recordSuccessfulPayment(claimed);
+    }
 
-      // Real-time updates
-      const io = req.app.get('io');
-      if (io) {
-        // Notify customer
-        io.to(`customer_${customerId}`).emit('paymentSuccess', {
-          paymentId,
-          razorpayPaymentId,
+    const serviceRequest = payment.requestId;
+    const mechanic = payment.mechanicId;
+
+    // Send notifications
+    try {
+      // Notify customer
+      await notificationService.sendEmail(
+        req.user.email,
+        'Payment Successful - RoadGuard',
+        'payment-success',
+        {
+          customerName: req.user.name,
           amount: payment.amount,
-          timestamp: new Date().toISOString()
-        });
+          serviceType: serviceRequest.issueType,
+          paymentId: razorpayPaymentId,
+          mechanicName: mechanic.name
+        }
+      );
 
-        // Notify mechanic
-        io.to(`mechanic_${payment.serviceRequest.assignedMechanic._id}`).emit('paymentReceived', {
-          paymentId,
+      // Notify mechanic
+      await notificationService.sendEmail(
+        mechanic.email,
+        'Payment Received - RoadGuard',
+        'payment-received',
+        {
+          mechanicName: mechanic.name,
           amount: payment.amount,
           customerName: req.user.name,
-          timestamp: new Date().toISOString()
-        });
+          serviceType: serviceRequest.issueType
+        }
+      );
 
-        // Admin dashboard update
-        io.emit('paymentCompleted', {
-          paymentId,
-          amount: payment.amount,
-          serviceRequestId: payment.serviceRequest._id,
-          timestamp: new Date().toISOString()
-        });
-      }
+    } catch (notificationError) {
+      logger.warn('Failed to send payment notifications:', notificationError);
+    }
 
-      logger.info('Payment verified successfully', {
+    // Real-time updates
+    const io = req.app.get('io');
+    if (io) {
+      // Notify customer
+      io.to(`customer_${customerId}`).emit('paymentSuccess', {
         paymentId,
         razorpayPaymentId,
-        customerId,
         amount: payment.amount,
-        serviceRequestId: payment.serviceRequest._id
+        timestamp: new Date().toISOString()
       });
 
-      res.json({
-        success: true,
-        message: 'Payment verified successfully',
-        data: {
-          paymentId,
-          razorpayPaymentId,
-          amount: payment.amount,
-          status: 'success',
-          paidAt: payment.paidAt,
-          serviceRequest: {
-            id: payment.serviceRequest._id,
-            issueType: payment.serviceRequest.issueType
-          }
-        }
-      });
-
-    } catch (razorpayError) {
-      // Update payment status to failed
-      payment.status = 'failed';
-      payment.failureReason = razorpayError.message;
-      payment.updatedAt = new Date();
-      await payment.save();
-
-      logger.error('Razorpay payment verification failed:', {
-        error: razorpayError.message,
+      // Notify mechanic
+      io.to(`mechanic_${mechanic._id}`).emit('paymentReceived', {
         paymentId,
-        razorpayPaymentId
+        amount: payment.amount,
+        customerName: req.user.name,
+        timestamp: new Date().toISOString()
       });
 
-      return res.status(400).json({
-        success: false,
-        message: 'Payment verification failed',
-        error: razorpayError.message
+      // Admin dashboard update
+      io.emit('paymentCompleted', {
+        paymentId,
+        amount: payment.amount,
+        serviceRequestId: serviceRequest._id,
+        timestamp: new Date().toISOString()
       });
     }
 
+    logger.info('Payment verified successfully', {
+      paymentId,
+      razorpayPaymentId,
+      customerId,
+      amount: payment.amount,
+      serviceRequestId: serviceRequest._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment verified successfully',
+      data: {
+        paymentId,
+        razorpayPaymentId,
+        amount: payment.amount,
+        status: 'success',
+        paidAt: claimed ? claimed.paidAt : paidAt,
+        serviceRequest: {
+          id: serviceRequest._id,
+          issueType: serviceRequest.issueType
+        }
+      }
+    });
+
   } catch (error) {
     logger.error('Error verifying payment:', error);
     res.status(500).json({
@@ -443,7 +606,7 @@ const verifyPayment = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, success, failed, refunded]
+ *           enum: [pending, success, failed, partially_refunded, refunded]
  *     responses:
  *       200:
  *         description: Payment history retrieved successfully
@@ -457,11 +620,9 @@ const getPaymentHistory = async (req, res) => {
     const filter = {};
     
     if (req.user.role === 'customer') {
-      filter.customer = userId;
+      filter.customerId = req.user._id;
     } else if (req.user.role === 'mechanic') {
-      // Get payments for service requests assigned to this mechanic
-      const mechanicRequests = await ServiceRequest.find({ assignedMechanic: userId }).select('_id');
-      filter.serviceRequest = { $in: mechanicRequests.map(req => req._id) };
+      filter.mechanicId = req.user._id;
     }
 
     if (status) filter.status = status;
@@ -470,15 +631,9 @@ const getPaymentHistory = async (req, res) => {
 
     const [payments, totalPayments] = await Promise.all([
       Payment.find(filter)
-        .populate('customer', 'name email')
-        .populate({
-          path: 'serviceRequest',
-          select: 'issueType completedAt location',
-          populate: {
-            path: 'assignedMechanic',
-            select: 'name email'
-          }
-        })
+        .populate('customerId', 'name email')
+        .populate('mechanicId', 'name email')
+        .populate('requestId', 'issueType vehicleInfo completedAt location')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
@@ -486,6 +641,16 @@ const getPaymentHistory = async (req, res) => {
       Payment.countDocuments(filter)
     ]);
 
+    // Latest refund request of each payment, so the history can show its progress
+    const refunds = await Refund.find({ paymentId: { $in: payments.map(payment => payment._id) } })
+      .select('paymentId amount approvedAmount refundableAmount status reason adminNote processedAt createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+    const refundByPayment = new Map(refunds.map(refund => [refund.paymentId.toString(), refund]));
+    payments.forEach(payment => {
+      payment.refund = refundByPayment.get(payment._id.toString()) || null;
+    });
+
     const totalPages = Math.ceil(totalPayments / parseInt(limit));
 
     // Calculate summary statistics
@@ -494,10 +659,12 @@ const getPaymentHistory = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, '$amount', 0] } },
-          totalTransactions: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } },
+          totalAmount: { $sum: { $cond: [{ $in: ['$status', ['success', 'partially_refunded']] }, '$amount', 0] } },
+          totalTransactions: { $sum: { $cond: [{ $in: ['$status', ['success', 'partially_refunded']] }, 1, 0] } },
           pendingAmount: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] } },
-          failedTransactions: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } }
+          failedTransactions: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          // Payments refunded before partial refunds existed only carry refundAmount
+          refundedAmount: { $sum: { $ifNull: ['$refundedAmount', { $ifNull: ['$refundAmount', 0] }] } }
         }
       }
     ]);
@@ -525,7 +692,8 @@ const getPaymentHistory = async (req, res) => {
           totalAmount: 0,
           totalTransactions: 0,
           pendingAmount: 0,
-          failedTransactions: 0
+          failedTransactions: 0,
+          refundedAmount: 0
         }
       }
     });
@@ -619,10 +787,17 @@ const getPaymentDetails = async (req, res) => {
 
 /**
  * @swagger
- * /api/payments/webhook/razorpay:
+ * /api/payments/webhook/{gateway}:
  *   post:
- *     summary: Handle Razorpay webhook events
+ *     summary: Handle payment gateway webhook events
  *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: gateway
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [razorpay, mock]
  *     requestBody:
  *       required: true
  *       content:
@@ -634,54 +809,49 @@ const getPaymentDetails = async (req, res) => {
  *         description: Webhook processed successfully
  *       400:
  *         description: Invalid webhook
+ *       404:
+ *         description: The gateway is not the active one
  */
-const handleRazorpayWebhook = async (req, res) => {
+const handleGatewayWebhook = async (req, res) => {
   try {
-    const signature = req.headers['x-razorpay-signature'];
-    const body = JSON.stringify(req.body);
+    const { gateway } = paymentService;
+
+    if (req.params.gateway !== gateway.name) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment gateway is not enabled'
+      });
+    }
 
     // Verify webhook signature
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
-      .update(body)
-      .digest('hex');
+    const event = gateway.parseWebhook({ body: req.body, headers: req.headers });
 
-    if (signature !== expectedSignature) {
-      logger.warn('Invalid Razorpay webhook signature');
+    if (!event) {
+      logger.warn('Invalid payment webhook signature', { gateway: gateway.name });
       return res.status(400).json({
         success: false,
         message: 'Invalid webhook signature'
       });
     }
 
-    const event = req.body;
-    
-    logger.info('Razorpay webhook received', {
+    logger.info('Payment webhook received', {
+      gateway: gateway.name,
       event: event.event,
-      paymentId: event.payload?.payment?.entity?.id
+      eventId: event.eventId,
+      paymentId: event.body.payload?.payment?.entity?.id
     });
 
-    switch (event.event) {
-      case 'payment.captured':
-        await handlePaymentCaptured(event.payload.payment.entity);
-        break;
-        
-      case 'payment.failed':
-        await handlePaymentFailed(event.payload.payment.entity);
-        break;
-        
-      case 'order.paid':
-        await handleOrderPaid(event.payload.order.entity);
-        break;
-        
-      default:
-        logger.info('Unhandled webhook event:', event.event);
-    }
+    const webhookEvent = await webhookEventService.record(gateway.name, event.eventId, event.event, event.body);
+    const processed = await webhookEventService.process(webhookEvent, dispatchGatewayEvent);
 
-    res.json({ success: true, message: 'Webhook processed successfully' });
+    res.json({
+      success: true,
+      message: processed ? 'Webhook processed successfully' : 'Webhook already received'
+    });
 
   } catch (error) {
-    logger.error('Error processing Razorpay webhook:', error);
+    // A non-2xx makes the gateway redeliver; the failed event can also be replayed by an admin
+    logger.error('Error processing payment webhook:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to process webhook'
@@ -689,68 +859,109 @@ const handleRazorpayWebhook = async (req, res) => {
   }
 };
 
-// Helper function to handle payment captured event
-const handlePaymentCaptured = async (paymentEntity) => {
+// Apply a stored gateway event; throws so the event is marked failed and can be replayed.
+// Every gateway delivers Razorpay-shaped events.
+const dispatchGatewayEvent = async (webhookEvent) => {
+  const { event, payload } = webhookEvent.body;
+
+  switch (event) {
+    case 'payment.captured':
+      await handlePaymentCaptured(payload.payment.entity);
+      break;
+
+    case 'payment.failed':
+      await handlePaymentFailed(payload.payment.entity);
+      break;
+
+    case 'order.paid':
+      await handleOrderPaid(payload.order.entity);
+      break;
+
+    case 'refund.processed':
+    case 'refund.failed':
+      await refundService.handleGatewayRefund(payload.refund.entity);
+      break;
+
+    default:
+      logger.info('Unhandled webhook event:', event);
+  }
+};
+
+// Mark the service paid, credit the mechanic's ledger and issue the GST invoice. The last two may not
+// fail the payment: settlement batches backfill the ledger and invoices are issued on first download.
+const recordSuccessfulPayment = async (payment) => {
+  await ServiceRequest.updateOne(
+    { _id: payment.requestId },
+    { $set: { paymentStatus: 'paid', paidAt: payment.paidAt } }
+  );
+
   try {
-    const payment = await Payment.findOne({
-      razorpayOrderId: paymentEntity.order_id
-    }).populate('customer serviceRequest');
-
-    if (payment && payment.status === 'pending') {
-      payment.status = 'success';
-      payment.razorpayPaymentId = paymentEntity.id;
-      payment.paidAt = new Date();
-      payment.gatewayResponse = paymentEntity;
-      await payment.save();
-
-      logger.info('Payment status updated via webhook', {
-        paymentId: payment._id,
-        razorpayPaymentId: paymentEntity.id
-      });
-    }
+    await ledgerService.recordPayment(payment);
+  } catch (error) {
+    logger.error('Failed to post payment to ledger:', { paymentId: payment._id, error: error.message });
+  }
+
+  try {
+    await invoiceService.issueInvoice(payment);
   } catch (error) {
-    logger.error('Error handling payment captured webhook:', error);
+    logger.error('Failed to issue invoice:', { paymentId: payment._id, error: error.message });
+  }
+};
+
+// Helper function to handle payment captured event
+const handlePaymentCaptured = async (paymentEntity) => {
+  // Claimed atomically, as the checkout's verify call may be settling the same payment
+  const payment = await Payment.findOneAndUpdate(
+    { razorpayOrderId: paymentEntity.order_id, status: 'pending' },
+    {
+      $set: {
+        status: 'success',
+        razorpayPaymentId: paymentEntity.id,
+        paidAt: new Date(),
+        gatewayResponse: paymentEntity
+      }
+    },
+    { new: true }
+  );
+
+  if (payment) {
+    await recordSuccessfulPayment(payment);
+
+    logger.info('Payment status updated via webhook', {
+      paymentId: payment._id,
+      razorpayPaymentId: paymentEntity.id
+    });
   }
 };
 
 // Helper function to handle payment failed event
 const handlePaymentFailed = async (paymentEntity) => {
-  try {
-    const payment = await Payment.findOne({
-      razorpayOrderId: paymentEntity.order_id
-    });
+  const payment = await Payment.findOne({
+    razorpayOrderId: paymentEntity.order_id
+  });
 
-    if (payment && payment.status === 'pending') {
-      payment.status = 'failed';
-      payment.failureReason = paymentEntity.error_description || 'Payment failed';
-      payment.gatewayResponse = paymentEntity;
-      await payment.save();
+  if (!payment) return;
 
-      logger.info('Payment marked as failed via webhook', {
-        paymentId: payment._id,
-        reason: payment.failureReason
-      });
-    }
-  } catch (error) {
-    logger.error('Error handling payment failed webhook:', error);
+  const failureReason = paymentEntity.error_description || 'Payment failed';
+  if (await failPendingPayment(payment, failureReason, paymentEntity)) {
+    logger.info('Payment marked as failed via webhook', {
+      paymentId: payment._id,
+      reason: failureReason
+    });
   }
 };
 
 // Helper function to handle order paid event
 const handleOrderPaid = async (orderEntity) => {
-  try {
-    const payment = await Payment.findOne({
-      razorpayOrderId: orderEntity.id
-    });
+  const payment = await Payment.findOne({
+    razorpayOrderId: orderEntity.id
+  });
 
-    if (payment) {
-      logger.info('Order paid webhook received', {
-        paymentId: payment._id,
-        orderId: orderEntity.id
-      });
-    }
-  } catch (error) {
-    logger.error('Error handling order paid webhook:', error);
+  if (payment) {
+    logger.info('Order paid webhook received', {
+      paymentId: payment._id,
+      orderId: orderEntity.id
+    });
   }
 };
 
@@ -759,7 +970,7 @@ const handleOrderPaid = async (orderEntity) => {
  */
 const createPostCompletionPaymentOrder = async (req, res) => {
   try {
-    const { serviceRequestId } = req.body;
+    const { serviceRequestId, useWallet } = req.body;
     const customerId = req.user.id;
 
     console.log('Creating post-completion payment order:', {
@@ -790,28 +1001,17 @@ const createPostCompletionPaymentOrder = async (req, res) => {
       });
     }
 
-    // Check if payment already exists
-    const existingPayment = await Payment.findOne({
-      requestId: serviceRequestId,
-      status: { $in: ['success', 'pending'] }
-    });
-
-    if (existingPayment) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment already exists for this service request',
-        data: {
-          paymentId: existingPayment._id,
-          status: existingPayment.status
-        }
-      });
+    // Hand back the order the customer already opened instead of creating another
+    const existingPayment = await findOpenPayment(serviceRequestId);
+    if (existingPayment && !(await replaceForWallet(existingPayment, customerId, useWallet))) {
+      return respondWithExistingPayment(res, existingPayment, serviceRequest);
     }
 
-    // Get the final amount (quotation or negotiated amount)
-    const finalAmount = serviceRequest.quotation || serviceRequest.finalAmount || 500; // Default amount for testing
+    // Charge what the customer approved, the same amount the mechanic may collect in cash
+    const finalAmount = getAmountDue(serviceRequest);
     
     console.log('Payment amount calculation:', {
-      quotation: serviceRequest.quotation,
+      approvedAmount: serviceRequest.quote?.approvedAmount,
       finalAmount: serviceRequest.finalAmount,
       selectedAmount: finalAmount,
       serviceRequestId,
@@ -823,86 +1023,24 @@ const createPostCompletionPaymentOrder = async (req, res) => {
         success: false,
         message: 'No amount specified for payment. Please contact the mechanic for pricing.',
         debug: {
-          quotation: serviceRequest.quotation,
+          approvedAmount: serviceRequest.quote?.approvedAmount,
           finalAmount: serviceRequest.finalAmount
         }
       });
     }
 
-    // Create Razorpay order (with fallback for testing)
-    let razorpayOrder;
-    try {
-      console.log('Attempting to create Razorpay order...');
-      razorpayOrder = await paymentService.createOrder({
-        amount: finalAmount * 100, // Convert to paise
-        currency: 'INR',
-        receipt: `order_${serviceRequestId}_${Date.now()}`,
-        notes: {
-          serviceRequestId,
-          customerId,
-          mechanicId: serviceRequest.mechanicId._id.toString(),
-          serviceType: serviceRequest.issueType
-        }
-      });
-      console.log('Razorpay order created successfully:', razorpayOrder.id);
-    } catch (error) {
-      console.log('Razorpay error, creating test order:', error.message);
-      // Create test order for development
-      razorpayOrder = {
-        id: `order_test_${Date.now()}`,
-        amount: finalAmount * 100,
-        currency: 'INR',
-        receipt: `order_${serviceRequestId}_${Date.now()}`
-      };
-      console.log('Test order created:', razorpayOrder.id);
-    }
-
-    // Create payment record
-    const payment = new Payment({
-      customerId: customerId,
-      requestId: serviceRequestId,
-      mechanicId: serviceRequest.mechanicId._id,
+    await openPaymentOrder(res, serviceRequest, {
+      customerId,
       amount: finalAmount,
       currency: 'INR',
-      razorpayOrderId: razorpayOrder.id,
-      status: 'pending',
       method: 'Card', // Using 'Card' as per Payment model enum
-      receipt: `order_${serviceRequestId}_${Date.now()}`
-    });
-
-    try {
-      await payment.save();
-      console.log('Payment record saved successfully:', payment._id);
-    } catch (saveError) {
-      console.error('Error saving payment record:', saveError);
-      throw new Error('Failed to save payment record');
-    }
-
-    logger.info('Post-completion payment order created', {
-      paymentId: payment._id,
-      customerId,
-      serviceRequestId,
-      amount: finalAmount,
-      razorpayOrderId: razorpayOrder.id
-    });
-
-    res.status(201).json({
-      success: true,
-      message: 'Payment order created successfully',
-      data: {
-        paymentId: payment._id,
-        orderId: razorpayOrder.id,
-        amount: finalAmount,
-        currency: 'INR',
-        razorpayOrderId: razorpayOrder.id,
-        razorpayKey: process.env.RAZORPAY_KEY_ID,
-        serviceRequest: {
-          id: serviceRequest._id,
-          issueType: serviceRequest.issueType,
-          mechanic: serviceRequest.mechanicId.name,
-          description: serviceRequest.description,
-          completedAt: serviceRequest.completedAt
-        }
+      useWallet,
+      receipt: `order_${serviceRequestId}_${Date.now()}`,
+      notes: {
+        serviceRequestId,
+        customerId,
+        mechanicId: serviceRequest.mechanicId._id.toString(),
+        serviceType: serviceRequest.issueType
       }
     });
 
@@ -1054,6 +1192,8 @@ const confirmPayment = async (req, res) => {
       });
     }
 
+    await recordSuccessfulPayment(payment);
+
     res.json({
       success: true,
       message: 'Payment confirmed successfully',
@@ -1146,15 +1286,203 @@ const getPaymentAnalytics = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           enum: [razorpay, mock]
+ *         eventId:
+ *           type: string
+ *           description: The gateway's event ID, shared by every redelivery
+ *         event:
+ *           type: string
+ *           example: payment.captured
+ *         status:
+ *           type: string
+ *           enum: [received, processing, processed, failed]
+ *         deliveries:
+ *           type: integer
+ *           description: Times the gateway delivered the event
+ *         attempts:
+ *           type: integer
+ *           description: Times we tried to process it
+ *         lastError:
+ *           type: string
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/payments/webhooks:
+ *   get:
+ *     summary: List received payment gateway webhook events
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processing, processed, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook events retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookEvent'
+ */
+const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { events, pagination } = await webhookEventService.getEvents(req.query);
+
+  sendSuccessResponse(res, 200, 'Webhook events retrieved', events, pagination);
+});
+
+/**
+ * @swagger
+ * /api/admin/payments/webhooks/{eventId}/replay:
+ *   post:
+ *     summary: Process a failed webhook event again
+ *     description: The event comes back with status processed, or failed with the new lastError.
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         description: ID of the stored webhook event
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook event replayed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEvent'
+ *       404:
+ *         description: Webhook event not found
+ *       409:
+ *         description: Webhook event has already been processed or is being processed
+ */
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const webhookEvent = await webhookEventService.replay(req.params.eventId, req.user._id, dispatchGatewayEvent);
+  const message = webhookEvent.status === 'processed'
+    ? 'Webhook event processed'
+    : 'Webhook event failed again';
+
+  sendSuccessResponse(res, 200, message, webhookEvent);
+});
+
+/**
+ * @swagger
+ * /api/payments/mock/orders/{orderId}/pay:
+ *   post:
+ *     summary: Pay an order on the mock gateway, standing in for the Razorpay checkout
+ *     description: Only available when PAYMENT_GATEWAY is mock. The result is passed to /api/payments/verify as usual.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, failure, authorize]
+ *                 description: Defaults to MOCK_GATEWAY_OUTCOME
+ *     responses:
+ *       200:
+ *         description: Payment made; contains razorpayPaymentId, razorpayOrderId and razorpaySignature
+ *       402:
+ *         description: The mock gateway declined the payment
+ *       404:
+ *         description: Mock gateway not enabled, or order not found
+ */
+const payMockOrder = asyncHandler(async (req, res) => {
+  const { gateway } = paymentService;
+  const { orderId } = req.params;
+
+  if (gateway.name !== 'mock') {
+    return sendErrorResponse(res, 404, 'Mock checkout is not enabled');
+  }
+
+  const payment = await Payment.findOne({
+    razorpayOrderId: orderId,
+    customerId: req.user._id,
+    status: 'pending'
+  });
+
+  if (!payment) {
+    return sendErrorResponse(res, 404, 'Payment order not found or already processed');
+  }
+
+  let result;
+  try {
+    result = await gateway.pay(orderId, { outcome: req.body.outcome });
+  } catch (error) {
+    // Orders only live as long as the server process does
+    if (!error.statusCode) throw error;
+    return sendErrorResponse(res, error.statusCode, error.error.description);
+  }
+
+  if (!result.signature) {
+    return sendErrorResponse(res, 402, result.payment.error_description);
+  }
+
+  sendSuccessResponse(res, 200, 'Mock payment completed', {
+    razorpayPaymentId: result.payment.id,
+    razorpayOrderId: orderId,
+    razorpaySignature: result.signature,
+    status: result.payment.status
+  });
+});
+
 module.exports = {
   createPaymentOrder,
   verifyPayment,
   getPaymentHistory,
   getPaymentDetails,
-  handleRazorpayWebhook,
+  handleGatewayWebhook,
   createPostCompletionPaymentOrder,
   getPaymentMethods,
   createPaymentIntent,
   confirmPayment,
-  getPaymentAnalytics
+  getPaymentAnalytics,
+  getWebhookEvents,
+  replayWebhookEvent,
+  payMockOrder
 };
@@ -0,0 +1,328 @@
+const { asyncHandler, sendSuccessResponse } = require('../utils/response');
+const ledgerService = require('../services/ledgerService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LedgerEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [credit, debit]
+ *         category:
+ *           type: string
+ *           enum: [job_earning, platform_commission, cash_collected, refund, commission_reversal, payout, payout_reversal, adjustment]
+ *         amount:
+ *           type: number
+ *         description:
+ *           type: string
+ *         paymentId:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         payoutId:
+ *           type: string
+ *           nullable: true
+ *           description: Set once a settlement batch has included the entry
+ *         postedAt:
+ *           type: string
+ *           format: date-time
+ *     Payout:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         batchId:
+ *           type: string
+ *         mechanicId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         totalCredits:
+ *           type: number
+ *         totalDebits:
+ *           type: number
+ *         entryCount:
+ *           type: integer
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, failed]
+ *         reference:
+ *           type: string
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/mechanic/earnings/balance:
+ *   get:
+ *     summary: Get the mechanic's unsettled balance and payout totals
+ *     tags: [Mechanic - Earnings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Balance retrieved
+ */
+const getBalance = asyncHandler(async (req, res) => {
+  const balance = await ledgerService.getBalance(req.user._id);
+
+  sendSuccessResponse(res, 200, 'Balance retrieved', balance);
+});
+
+/**
+ * @swagger
+ * /api/mechanic/earnings/ledger:
+ *   get:
+ *     summary: List the mechanic's ledger entries
+ *     tags: [Mechanic - Earnings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: settled
+ *         schema:
+ *           type: boolean
+ *         description: Only settled (true) or unsettled (false) entries
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ledger entries retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LedgerEntry'
+ */
+const getLedgerEntries = asyncHandler(async (req, res) => {
+  const { settled, page, limit } = req.query;
+  const { entries, pagination } = await ledgerService.getEntries(req.user._id, {
+    settled: settled === undefined ? undefined : settled === 'true',
+    page,
+    limit
+  });
+
+  sendSuccessResponse(res, 200, 'Ledger entries retrieved', entries, pagination);
+});
+
+/**
+ * @swagger
+ * /api/mechanic/earnings/payouts:
+ *   get:
+ *     summary: List the mechanic's payouts
+ *     tags: [Mechanic - Earnings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payouts retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Payout'
+ */
+const getMyPayouts = asyncHandler(async (req, res) => {
+  const { payouts, pagination } = await ledgerService.getPayouts({
+    mechanicId: req.user._id,
+    page: req.query.page,
+    limit: req.query.limit
+  });
+
+  sendSuccessResponse(res, 200, 'Payouts retrieved', payouts, pagination);
+});
+
+/**
+ * @swagger
+ * /api/mechanic/earnings/payouts/{payoutId}:
+ *   get:
+ *     summary: Get a payout statement with the ledger entries it settled
+ *     tags: [Mechanic - Earnings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout statement retrieved
+ *       404:
+ *         description: Payout not found
+ */
+const getPayoutStatement = asyncHandler(async (req, res) => {
+  const statement = await ledgerService.getStatement(req.params.payoutId, req.user);
+
+  sendSuccessResponse(res, 200, 'Payout statement retrieved', statement);
+});
+
+/**
+ * @swagger
+ * /api/admin/payouts/batches:
+ *   post:
+ *     summary: Run a settlement batch
+ *     description: Settles every unsettled ledger entry posted before periodEnd into one payout per mechanic. Mechanics with a zero or negative balance are carried forward.
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               periodEnd:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the start of the current week (Monday 00:00)
+ *     responses:
+ *       201:
+ *         description: Settlement batch completed
+ *       409:
+ *         description: A batch already exists for this period
+ */
+const runSettlement = asyncHandler(async (req, res) => {
+  const batch = await ledgerService.runSettlement({
+    periodEnd: req.body.periodEnd,
+    adminId: req.user._id
+  });
+
+  sendSuccessResponse(res, 201, 'Settlement batch completed', batch);
+});
+
+/**
+ * @swagger
+ * /api/admin/payouts/batches:
+ *   get:
+ *     summary: List settlement batches
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settlement batches retrieved
+ */
+const getBatches = asyncHandler(async (req, res) => {
+  const { batches, pagination } = await ledgerService.getBatches(req.query);
+
+  sendSuccessResponse(res, 200, 'Settlement batches retrieved', batches, pagination);
+});
+
+/**
+ * @swagger
+ * /api/admin/payouts:
+ *   get:
+ *     summary: List payouts
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, failed]
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mechanicId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payouts retrieved
+ */
+const getPayouts = asyncHandler(async (req, res) => {
+  const { payouts, pagination } = await ledgerService.getPayouts(req.query);
+
+  sendSuccessResponse(res, 200, 'Payouts retrieved', payouts, pagination);
+});
+
+/**
+ * @swagger
+ * /api/admin/payouts/{payoutId}:
+ *   patch:
+ *     summary: Mark a payout as paid or failed
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [paid, failed]
+ *               reference:
+ *                 type: string
+ *                 description: Bank or UPI transfer reference, required when paid
+ *               reason:
+ *                 type: string
+ *                 description: Required when failed; the amount is owed again in the next batch
+ *     responses:
+ *       200:
+ *         description: Payout updated
+ *       409:
+ *         description: Payout has already been marked paid or failed
+ */
+const updatePayoutStatus = asyncHandler(async (req, res) => {
+  const payout = await ledgerService.updatePayoutStatus(req.params.payoutId, req.user._id, req.body);
+
+  sendSuccessResponse(res, 200, `Payout marked ${payout.status}`, payout);
+});
+
+module.exports = {
+  getBalance,
+  getLedgerEntries,
+  getMyPayouts,
+  getPayoutStatement,
+  runSettlement,
+  getBatches,
+  getPayouts,
+  updatePayoutStatus
+};
@@ -0,0 +1,377 @@
+const { asyncHandler, sendSuccessResponse } = require('../utils/response');
+const pricingRuleService = require('../services/pricingRuleService');
+const aiQuotationService = require('../services/aiQuotationService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PricingRegion:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         multiplier:
+ *           type: number
+ *         area:
+ *           type: object
+ *           description: GeoJSON Polygon; send `points` ([{ lat, lng }]) instead when writing
+ *     PricingRule:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *         effectiveFrom:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [scheduled, active, superseded]
+ *         note:
+ *           type: string
+ *         basedOnVersion:
+ *           type: integer
+ *           description: Version the rule was copied from; 0 is the built-in pricing
+ *         baseRates:
+ *           type: object
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *               base:
+ *                 type: number
+ *               max:
+ *                 type: number
+ *         vehicleMultipliers:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *         priorityMultipliers:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *         weatherMultipliers:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *         timeMultipliers:
+ *           type: object
+ *           properties:
+ *             peak:
+ *               type: number
+ *             normal:
+ *               type: number
+ *             night:
+ *               type: number
+ *             weekend:
+ *               type: number
+ *         regions:
+ *           type: array
+ *           description: Checked in order; the first region containing the location applies
+ *           items:
+ *             $ref: '#/components/schemas/PricingRegion'
+ *         defaultRegionMultiplier:
+ *           type: number
+ *           description: Applies outside every region
+ *     PricingRuleChanges:
+ *       type: object
+ *       description: Any of the tables; keys left out are copied from the rule in force. `regions` replaces the whole list.
+ *       properties:
+ *         baseRates:
+ *           type: object
+ *         vehicleMultipliers:
+ *           type: object
+ *         priorityMultipliers:
+ *           type: object
+ *         weatherMultipliers:
+ *           type: object
+ *         timeMultipliers:
+ *           type: object
+ *         regions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               multiplier:
+ *                 type: number
+ *               points:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lat:
+ *                       type: number
+ *                     lng:
+ *                       type: number
+ *         defaultRegionMultiplier:
+ *           type: number
+ *         note:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules:
+ *   get:
+ *     summary: List pricing rule versions, newest first
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pricing rules retrieved
+ */
+const getPricingRules = asyncHandler(async (req, res) => {
+  const { rules, activeVersion, pagination } = await pricingRuleService.listRules(req.query);
+
+  sendSuccessResponse(res, 200, 'Pricing rules retrieved', { rules, activeVersion }, pagination);
+});
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/active:
+ *   get:
+ *     summary: Get the pricing quotations are made with right now
+ *     description: Version 0 is the built-in pricing, in force until a rule is published.
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active pricing retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PricingRule'
+ */
+const getActivePricingRule = asyncHandler(async (req, res) => {
+  const rule = (await pricingRuleService.findActiveRule()) || await pricingRuleService.getActiveRule();
+
+  sendSuccessResponse(res, 200, 'Active pricing retrieved', rule);
+});
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/{ruleId}:
+ *   get:
+ *     summary: Get a pricing rule version
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pricing rule retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PricingRule'
+ *       404:
+ *         description: Pricing rule not found
+ */
+const getPricingRule = asyncHandler(async (req, res) => {
+  const rule = await pricingRuleService.getRule(req.params.ruleId);
+
+  sendSuccessResponse(res, 200, 'Pricing rule retrieved', rule);
+});
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules:
+ *   post:
+ *     summary: Publish a new pricing rule version
+ *     description: The new version copies the rule in force and applies the changes sent. It takes effect at effectiveFrom (default now), never in the past.
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PricingRuleChanges'
+ *               - type: object
+ *                 properties:
+ *                   effectiveFrom:
+ *                     type: string
+ *                     format: date-time
+ *     responses:
+ *       201:
+ *         description: Pricing rule published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PricingRule'
+ *       400:
+ *         description: Invalid rates, regions or an effectiveFrom in the past
+ */
+const createPricingRule = asyncHandler(async (req, res) => {
+  const rule = await pricingRuleService.createRule(req.user._id, req.body);
+
+  sendSuccessResponse(res, 201, `Pricing rule v${rule.version} published`, rule);
+});
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/{ruleId}:
+ *   put:
+ *     summary: Edit a scheduled pricing rule
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingRuleChanges'
+ *     responses:
+ *       200:
+ *         description: Pricing rule updated
+ *       404:
+ *         description: Pricing rule not found
+ *       409:
+ *         description: The rule is already in effect; publish a new version instead
+ */
+const updatePricingRule = asyncHandler(async (req, res) => {
+  const rule = await pricingRuleService.updateRule(req.params.ruleId, req.user._id, req.body);
+
+  sendSuccessResponse(res, 200, `Pricing rule v${rule.version} updated`, rule);
+});
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/{ruleId}:
+ *   delete:
+ *     summary: Withdraw a scheduled pricing rule
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pricing rule deleted
+ *       404:
+ *         description: Pricing rule not found
+ *       409:
+ *         description: The rule has taken effect and is kept as history
+ */
+const deletePricingRule = asyncHandler(async (req, res) => {
+  const rule = await pricingRuleService.deleteRule(req.params.ruleId, req.user._id);
+
+  sendSuccessResponse(res, 200, `Pricing rule v${rule.version} deleted`);
+});
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/simulate:
+ *   post:
+ *     summary: Preview the quotation a rule change would produce
+ *     description: Prices one sample request with the rule in force and with either a saved version (ruleId) or unsaved changes to the rule in force.
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *             properties:
+ *               ruleId:
+ *                 type: string
+ *               changes:
+ *                 $ref: '#/components/schemas/PricingRuleChanges'
+ *               request:
+ *                 type: object
+ *                 required:
+ *                   - issueType
+ *                   - location
+ *                 properties:
+ *                   issueType:
+ *                     type: string
+ *                   vehicleType:
+ *                     type: string
+ *                     default: car
+ *                   priority:
+ *                     type: string
+ *                     default: medium
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       lat:
+ *                         type: number
+ *                       lng:
+ *                         type: number
+ *                   description:
+ *                     type: string
+ *               factors:
+ *                 type: object
+ *                 properties:
+ *                   timeOfDay:
+ *                     type: string
+ *                     format: date-time
+ *                   weather:
+ *                     type: string
+ *                     enum: [clear, rain, storm, fog, snow]
+ *                   distance:
+ *                     type: number
+ *                   mechanicRating:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Quotation under the current and the candidate rule, and the difference
+ */
+const simulateQuote = asyncHandler(async (req, res) => {
+  const { ruleId, changes, request, factors } = req.body;
+
+  const candidate = ruleId
+    ? await pricingRuleService.getRule(ruleId)
+    : await pricingRuleService.previewRule(changes);
+  const simulation = await aiQuotationService.simulateQuotation(request, candidate, factors);
+
+  sendSuccessResponse(res, 200, 'Quote simulated', simulation);
+});
+
+module.exports = {
+  getPricingRules,
+  getActivePricingRule,
+  getPricingRule,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  simulateQuote
+};
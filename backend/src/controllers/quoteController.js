@@ -0,0 +1,203 @@
+const { asyncHandler, sendSuccessResponse } = require('../utils/response');
+const quoteService = require('../services/quoteService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuoteItem:
+ *       type: object
+ *       required:
+ *         - type
+ *         - description
+ *         - unitPrice
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [labour, parts, travel, surcharge]
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         unitPrice:
+ *           type: number
+ *           minimum: 0
+ *         amount:
+ *           type: number
+ *           readOnly: true
+ *     Quote:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [proposed, accepted, rejected, countered]
+ *           description: State of the latest revision
+ *         currentRevision:
+ *           type: integer
+ *         approvedAmount:
+ *           type: number
+ *           description: Total of the last accepted revision; the most the mechanic can bill
+ *         approvedRevision:
+ *           type: integer
+ *         revisions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *               kind:
+ *                 type: string
+ *                 enum: [initial, supplementary]
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuoteItem'
+ *               total:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [proposed, accepted, rejected, countered, superseded]
+ *               counterAmount:
+ *                 type: number
+ *               responseNote:
+ *                 type: string
+ *               proposedAt:
+ *                 type: string
+ *                 format: date-time
+ *               respondedAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+// Push the new quote to both sides of the request
+const broadcastQuote = (req, serviceRequest) => {
+  const socketHandlers = req.app.get('socketHandlers');
+  if (!socketHandlers) return;
+
+  socketHandlers.emitToRequest(serviceRequest._id.toString(), 'quote-updated', {
+    requestId: serviceRequest._id,
+    quote: serviceRequest.quote,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * @swagger
+ * /api/mechanic/requests/{requestId}/quote:
+ *   post:
+ *     summary: Propose an itemized quote
+ *     description: Replaces any unanswered revision. Proposed after work has started it is a supplementary quote, which the customer has to accept before the job can be billed above the approved amount.
+ *     tags: [Mechanic - Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuoteItem'
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Quote proposed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Quote'
+ *       404:
+ *         description: Service request not found
+ *       409:
+ *         description: The request is finished, or another revision was proposed first
+ */
+const proposeQuote = asyncHandler(async (req, res) => {
+  const serviceRequest = await quoteService.proposeQuote(req.params.requestId, req.user._id, req.body);
+
+  broadcastQuote(req, serviceRequest);
+  sendSuccessResponse(res, 201, 'Quote proposed', serviceRequest.quote);
+});
+
+/**
+ * @swagger
+ * /api/customer/requests/{id}/quote/{action}:
+ *   post:
+ *     summary: Accept, reject or counter the mechanic's quote
+ *     tags: [Customer - Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [accept, reject, counter]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: Revision being answered; it has to be the latest one
+ *               amount:
+ *                 type: number
+ *                 description: Total offered instead, required to counter
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Quote answered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Quote'
+ *       400:
+ *         description: A counter offer is missing or not below the quote
+ *       409:
+ *         description: The revision was already answered or replaced
+ */
+const respondToQuote = asyncHandler(async (req, res) => {
+  const serviceRequest = await quoteService.respondToQuote(req.params.id, req.user._id, {
+    ...req.body,
+    action: req.params.action
+  });
+
+  broadcastQuote(req, serviceRequest);
+  sendSuccessResponse(res, 200, `Quote ${serviceRequest.quote.status}`, serviceRequest.quote);
+});
+
+module.exports = {
+  proposeQuote,
+  respondToQuote
+};
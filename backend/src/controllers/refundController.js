@@ -0,0 +1,227 @@
+const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../utils/response');
+const refundService = require('../services/refundService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         paymentId:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         refundableAmount:
+ *           type: number
+ *         amount:
+ *           type: number
+ *           description: Amount the customer asked for
+ *         approvedAmount:
+ *           type: number
+ *           description: Amount the admin approved
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, processing, processed, denied, failed]
+ *         isPartial:
+ *           type: boolean
+ *         adminNote:
+ *           type: string
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/refund:
+ *   post:
+ *     summary: Request a refund for a paid service
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the full refundable amount
+ *     responses:
+ *       201:
+ *         description: Refund requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Refund'
+ *       409:
+ *         description: A refund request for this payment is already open
+ */
+const requestRefund = asyncHandler(async (req, res) => {
+  const refund = await refundService.requestRefund(req.user._id, req.params.paymentId, req.body);
+
+  sendSuccessResponse(res, 201, 'Refund requested. We will review it shortly.', refund);
+});
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/refund-status:
+ *   get:
+ *     summary: Get the latest refund of a payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund status retrieved
+ *       404:
+ *         description: No refund requested for this payment
+ */
+const getRefundStatus = asyncHandler(async (req, res) => {
+  const refund = await refundService.getRefundStatus(req.params.paymentId, req.user);
+
+  if (!refund) {
+    return sendErrorResponse(res, 404, 'No refund requested for this payment');
+  }
+
+  sendSuccessResponse(res, 200, 'Refund status retrieved', refund);
+});
+
+/**
+ * @swagger
+ * /api/admin/payments/refunds:
+ *   get:
+ *     summary: List refund requests
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, processing, processed, denied, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Refund requests retrieved
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const { refunds, pagination } = await refundService.getRefunds(req.query);
+
+  sendSuccessResponse(res, 200, 'Refund requests retrieved', refunds, pagination);
+});
+
+/**
+ * @swagger
+ * /api/admin/payments/refunds/{refundId}/approve:
+ *   post:
+ *     summary: Approve a refund request in full or in part
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Refund less than requested for a partial refund
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund approved and sent to the payment gateway
+ *       409:
+ *         description: Refund request has already been reviewed
+ *       502:
+ *         description: Payment gateway could not create the refund
+ */
+const approveRefund = asyncHandler(async (req, res) => {
+  const refund = await refundService.approveRefund(req.params.refundId, req.user._id, req.body);
+
+  const message = refund.status === 'processed' ? 'Refund processed' : 'Refund approved and sent for processing';
+  sendSuccessResponse(res, 200, message, refund);
+});
+
+/**
+ * @swagger
+ * /api/admin/payments/refunds/{refundId}/deny:
+ *   post:
+ *     summary: Deny a refund request
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Shown to the customer
+ *     responses:
+ *       200:
+ *         description: Refund request denied
+ */
+const denyRefund = asyncHandler(async (req, res) => {
+  const refund = await refundService.denyRefund(req.params.refundId, req.user._id, req.body);
+
+  sendSuccessResponse(res, 200, 'Refund request denied', refund);
+});
+
+module.exports = {
+  requestRefund,
+  getRefundStatus,
+  getRefunds,
+  approveRefund,
+  denyRefund
+};
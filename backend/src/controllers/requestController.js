@@ -13,9 +13,20 @@ const {
 } = require('../utils/response');
 const aiQuotationService = require('../services/aiQuotationService');
 const notificationService = require('../services/notificationService');
+const dispatchService = require('../services/dispatchService');
+const requestStateMachine = require('../services/requestStateMachine');
+const schedulingService = require('../services/schedulingService');
+const trackingService = require('../services/trackingService');
+const emergencyService = require('../services/emergencyService');
 const uploadService = require('../services/uploadService');
 const logger = require('../config/logger');
 
+// Answer an accept for a request the mechanic already holds without assigning it again
+const sendAlreadyAccepted = async (res, request) => {
+  await request.populate('customerId', 'name phone email');
+  sendSuccessResponse(res, 200, 'Service request already accepted', { request });
+};
+
 /**
  * Upload images for service requests
  */
@@ -82,14 +93,25 @@ const uploadImages = asyncHandler(async (req, res) => {
  *                 type: object
  *               location:
  *                 type: object
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of a free slot of the mechanic (see /customer/mechanics/{mechanicId}/slots). Books the service for later instead of now.
  *               images:
  *                 type: array
  *                 items:
  *                   type: string
  *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Service request created. For accidents `sosOffer` holds the customer's trusted contact count and any active SOS, so the app can offer to raise one.
+ *       400:
+ *         description: Slot outside the mechanic's working hours or too soon
+ *       409:
+ *         description: Slot already booked or blocked out
  */
 const createServiceRequest = asyncHandler(async (req, res) => {
-  const { issueType, description, vehicleInfo, location, priority = 'medium', broadcastRadius = 25, mechanicId, isDirectBooking } = req.body;
+  const { issueType, description, vehicleInfo, location, priority = 'medium', broadcastRadius = 25, mechanicId, isDirectBooking, scheduledFor } = req.body;
 
   // Debug logging
   logger.info('Creating service request:', {
@@ -100,6 +122,7 @@ const createServiceRequest = asyncHandler(async (req, res) => {
     priority,
     mechanicId,
     isDirectBooking,
+    scheduledFor,
     hasFiles: !!req.files,
     fileCount: req.files ? req.files.length : 0
   });
@@ -118,6 +141,18 @@ const createServiceRequest = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 400, 'Invalid JSON format for vehicleInfo or location');
   }
 
+  // Scheduled bookings take one of the chosen mechanic's free slots
+  let slot = null;
+  if (scheduledFor) {
+    if (!mechanicId) {
+      return sendErrorResponse(res, 400, 'Choose a mechanic to book a scheduled service');
+    }
+    if (priority === 'emergency') {
+      return sendErrorResponse(res, 400, 'Emergencies cannot be scheduled for later');
+    }
+    slot = await schedulingService.reserveSlot(mechanicId, scheduledFor);
+  }
+
   // Handle image uploads
   let imageUrls = [];
   if (req.files && req.files.length > 0) {
@@ -132,6 +167,7 @@ const createServiceRequest = asyncHandler(async (req, res) => {
   // Generate AI quotation
   let quotation = null;
   let estimatedDuration = null;
+  let pricingRuleVersion;
   try {
     const quotationResult = await aiQuotationService.generateQuotation({
       issueType,
@@ -146,6 +182,7 @@ const createServiceRequest = asyncHandler(async (req, res) => {
     
     quotation = quotationResult.quotation;
     estimatedDuration = quotationResult.estimatedDuration;
+    pricingRuleVersion = quotationResult.ruleVersion;
   } catch (error) {
     logger.error('AI quotation failed:', error);
     // Continue with default values
@@ -165,7 +202,9 @@ const createServiceRequest = asyncHandler(async (req, res) => {
       priority,
       broadcastRadius,
       quotation,
-      estimatedDuration
+      pricingRuleVersion,
+      estimatedDuration,
+      ...(slot && { status: 'scheduled', schedule: slot })
     });
 
     logger.info('Service request object created:', {
@@ -180,6 +219,9 @@ const createServiceRequest = asyncHandler(async (req, res) => {
     await serviceRequest.save();
     logger.info('Service request saved successfully');
   } catch (error) {
+    if (slot && error.code === 11000) {
+      return sendErrorResponse(res, 409, 'This slot has already been booked');
+    }
     logger.error('Error creating service request:', error);
     return sendErrorResponse(res, 500, `Failed to create service request: ${error.message}`);
   }
@@ -187,15 +229,18 @@ const createServiceRequest = asyncHandler(async (req, res) => {
   // Populate customer info for notifications
   await serviceRequest.populate('customerId', 'name email phone');
 
-  // Initialize nearbyMechanics variable
-  let nearbyMechanics = [];
-
   // Handle notifications based on booking type
   try {
     // Notify customer
     await notificationService.notifyRequestCreated(serviceRequest.customerId, serviceRequest);
     
-    if (isDirectBooking && mechanicId) {
+    if (slot) {
+      // Scheduled booking - the mechanic's slot is taken, nothing to dispatch
+      const mechanic = await User.findById(mechanicId);
+      if (mechanic) {
+        await notificationService.notifyBookingScheduled(mechanic, serviceRequest);
+      }
+    } else if (isDirectBooking && mechanicId) {
       // Direct booking - notify only the specific mechanic
       const mechanic = await User.findById(mechanicId);
       if (mechanic) {
@@ -206,80 +251,33 @@ const createServiceRequest = asyncHandler(async (req, res) => {
         });
       }
     } else {
-      // Broadcast booking - find and notify nearby mechanics within 25km
-      nearbyMechanics = await User.find({
-        role: 'mechanic',
-        isActive: true,
-        location: {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: [parsedLocation.lng, parsedLocation.lat]
-            },
-            $maxDistance: broadcastRadius * 1000 // Convert km to meters
-          }
-        }
-      }).limit(50); // Increased limit to accommodate more mechanics in 25km radius
-
-      if (nearbyMechanics.length > 0) {
-        await notificationService.broadcastToMechanics(serviceRequest, nearbyMechanics);
-        
-        // Real-time socket broadcast to available mechanics
-        const io = req.app.get('io');
-        const socketHandlers = req.app.get('socketHandlers');
-        
-        if (io && socketHandlers) {
-          try {
-            // Use the socket helper function to broadcast
-            socketHandlers.broadcastServiceRequest(serviceRequest, nearbyMechanics);
-            
-            logger.info('Real-time broadcast sent to mechanics:', {
-              requestId: serviceRequest._id,
-              mechanicCount: nearbyMechanics.length,
-              broadcastRadius: broadcastRadius
-            });
-          } catch (socketError) {
-            logger.error('Socket broadcast failed:', socketError);
-            // Fallback to direct emit
-            const requestNamespace = io.of('/requests');
-            requestNamespace.to('available_mechanics').emit('new-request-available', {
-              requestId: serviceRequest._id,
-              location: parsedLocation,
-              issueType: serviceRequest.issueType,
-              priority: serviceRequest.priority,
-              estimatedCost: serviceRequest.quotation,
-              estimatedDuration: serviceRequest.estimatedDuration,
-              vehicleInfo: parsedVehicleInfo,
-              description: serviceRequest.description,
-              customerId: serviceRequest.customerId,
-              broadcastRadius: broadcastRadius,
-              timestamp: new Date()
-            });
-          }
-        } else {
-          logger.warn('Socket handlers not available for real-time broadcast');
-        }
-      } else {
-        logger.warn('No mechanics found within broadcast radius:', {
-          requestId: serviceRequest._id,
-          broadcastRadius: broadcastRadius,
-          location: parsedLocation
-        });
-      }
+      // Broadcast booking - offer to ranked mechanics in waves
+      await dispatchService.startDispatch(serviceRequest);
     }
   } catch (error) {
     logger.error('Notification sending failed:', error);
   }
 
+  const bookingType = slot ? 'scheduled' : isDirectBooking ? 'direct' : 'broadcast';
+
+  // Accidents come with an offer to raise an SOS for this request
+  let sosOffer = null;
+  if (issueType === 'accident') {
+    try {
+      sosOffer = await emergencyService.getSosOffer(req.user._id);
+    } catch (error) {
+      logger.error('Failed to prepare SOS offer:', error);
+    }
+  }
+
   logger.info('Service request created:', {
     requestId: serviceRequest._id,
     customerId: req.user._id,
     issueType,
     location: parsedLocation,
-    bookingType: isDirectBooking ? 'direct' : 'broadcast',
+    bookingType,
     mechanicId: mechanicId || null,
-    broadcastRadius: broadcastRadius,
-    nearbyMechanicsCount: nearbyMechanics ? nearbyMechanics.length : 0
+    broadcastRadius: broadcastRadius
   });
 
   sendSuccessResponse(res, 201, 'Service request created successfully', {
@@ -292,7 +290,8 @@ const createServiceRequest = asyncHandler(async (req, res) => {
       },
       estimatedDuration
     } : null,
-    bookingType: isDirectBooking ? 'direct' : 'broadcast'
+    bookingType,
+    sosOffer
   });
 });
 
@@ -478,18 +477,9 @@ const cancelRequest = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 400, 'Request cannot be cancelled at this stage');
   }
 
-  // Update status
+  // Update status - the cancellation hook stops dispatch and notifies the mechanic
   request.cancellationReason = reason.trim();
-  await request.updateStatus('cancelled', req.user._id, `Cancelled by customer: ${reason}`);
-
-  // Notify mechanic if assigned
-  if (request.mechanicId) {
-    try {
-      await notificationService.notifyStatusUpdate(request.mechanicId, request, 'cancelled');
-    } catch (error) {
-      logger.error('Mechanic notification failed:', error);
-    }
-  }
+  await request.updateStatus('cancelled', req.user._id, `Cancelled by customer: ${reason}`, 'customer');
 
   logger.info('Service request cancelled:', {
     requestId: request._id,
@@ -702,93 +692,94 @@ const getMechanicTasks = asyncHandler(async (req, res) => {
  *                 type: number
  *               estimatedDuration:
  *                 type: number
+ *     responses:
+ *       200:
+ *         description: Request accepted successfully, or already accepted by this mechanic
+ *       403:
+ *         description: Request is not currently offered to this mechanic
+ *       409:
+ *         description: Request was already accepted by another mechanic
  */
 const acceptRequest = asyncHandler(async (req, res) => {
   const { quotation, estimatedDuration } = req.body;
+  const mechanicId = req.user._id;
 
-  const request = await ServiceRequest.findById(req.params.id)
-    .populate('customerId', 'name phone email');
+  const request = await ServiceRequest.findById(req.params.id);
 
   if (!request) {
     return sendErrorResponse(res, 404, 'Service request not found');
   }
 
-  if (request.status !== 'pending') {
-    return sendErrorResponse(res, 400, 'Request is no longer available for acceptance');
+  // A retried accept from the mechanic who already holds the request succeeds again
+  if (request.isAcceptedBy(mechanicId)) {
+    return sendAlreadyAccepted(res, request);
   }
 
-  // Check if this is a direct booking request
-  const isDirectBooking = request.mechanicId && request.mechanicId.toString() === req.user._id.toString();
-
-  // For direct bookings, mechanic is already assigned, just need to accept
-  if (isDirectBooking) {
-    // Update quotation if provided
-    if (quotation && quotation > 0) {
-      request.quotation = quotation;
-    }
-    
-    // Update estimated duration if provided
-    if (estimatedDuration && estimatedDuration > 0) {
-      request.estimatedDuration = estimatedDuration;
-    }
-
-    await request.updateStatus('assigned', req.user._id, 'Direct booking request accepted by mechanic');
-
-    // Notify customer
-    try {
-      await notificationService.notifyMechanicAssigned(request.customerId, req.user, request);
-    } catch (error) {
-      logger.error('Customer notification failed:', error);
-    }
-
-    logger.info('Direct booking request accepted:', {
-      requestId: request._id,
-      mechanicId: req.user._id,
-      customerId: request.customerId._id
-    });
-
-    sendSuccessResponse(res, 200, 'Direct booking request accepted successfully', {
-      request
-    });
-    return;
+  const isTaken = request.status !== 'pending' ||
+    (request.mechanicId && request.mechanicId.toString() !== mechanicId.toString());
+  if (isTaken) {
+    dispatchService.notifyRequestTaken(request._id, mechanicId);
+    return sendErrorResponse(res, 409, 'Request has already been accepted by another mechanic');
   }
 
+  // Check if this is a direct booking request
+  const isDirectBooking = !!request.mechanicId;
+
   // For broadcast requests, check if mechanic has location set
-  if (!req.user.location || !req.user.location.lat || !req.user.location.lng) {
+  if (!isDirectBooking && (!req.user.location || !req.user.location.lat || !req.user.location.lng)) {
     return sendErrorResponse(res, 400, 'Please update your location before accepting requests');
   }
 
-  // Assign mechanic
-  request.mechanicId = req.user._id;
-  
-  // Update quotation if provided
+  const updates = {};
   if (quotation && quotation > 0) {
-    request.quotation = quotation;
+    updates.quotation = quotation;
   }
-  
-  // Update estimated duration if provided
   if (estimatedDuration && estimatedDuration > 0) {
-    request.estimatedDuration = estimatedDuration;
+    updates.estimatedDuration = estimatedDuration;
   }
 
-  await request.updateStatus('assigned', req.user._id, 'Request accepted by mechanic');
+  // Single conditional update - only one mechanic can move the request out of pending
+  const acceptedRequest = await ServiceRequest.claimForMechanic(request._id, mechanicId, {
+    updates,
+    note: isDirectBooking ? 'Direct booking request accepted by mechanic' : 'Request accepted by mechanic'
+  });
 
-  // Notify customer
-  try {
-    await notificationService.notifyMechanicAssigned(request.customerId, req.user, request);
-  } catch (error) {
-    logger.error('Customer notification failed:', error);
+  if (!acceptedRequest) {
+    const current = await ServiceRequest.findById(request._id);
+    // The same mechanic's other accept got there first
+    if (current?.isAcceptedBy(mechanicId)) {
+      return sendAlreadyAccepted(res, current);
+    }
+    if (!isDirectBooking && current?.status === 'pending' && !current.mechanicId) {
+      return sendErrorResponse(res, 403, 'This request is not currently offered to you');
+    }
+    dispatchService.notifyRequestTaken(request._id, mechanicId);
+    return sendErrorResponse(res, 409, 'Request has already been accepted by another mechanic');
   }
 
-  logger.info('Service request accepted:', {
-    requestId: request._id,
-    mechanicId: req.user._id,
-    customerId: request.customerId._id
+  await acceptedRequest.populate('customerId', 'name phone email');
+  dispatchService.completeDispatch(acceptedRequest, mechanicId);
+
+  // The claim bypasses updateStatus, so run the assignment hooks (customer notification) here
+  await requestStateMachine.runHooks(acceptedRequest, {
+    from: 'pending',
+    to: 'assigned',
+    updatedBy: mechanicId,
+    role: 'mechanic'
   });
 
-  sendSuccessResponse(res, 200, 'Service request accepted successfully', {
-    request
+  logger.info(isDirectBooking ? 'Direct booking request accepted:' : 'Service request accepted:', {
+    requestId: acceptedRequest._id,
+    mechanicId,
+    customerId: acceptedRequest.customerId._id
   });
+
+  sendSuccessResponse(
+    res,
+    200,
+    isDirectBooking ? 'Direct booking request accepted successfully' : 'Service request accepted successfully',
+    { request: acceptedRequest }
+  );
 });
 
 /**
@@ -818,15 +809,15 @@ const acceptRequest = asyncHandler(async (req, res) => {
 const rejectRequest = asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
-  const request = await ServiceRequest.findById(req.params.id)
+  const request = await ServiceRequest.findById(req.params.id || req.params.requestId)
     .populate('customerId', 'name phone email');
 
   if (!request) {
     return sendErrorResponse(res, 404, 'Service request not found');
   }
 
-  // Only allow rejection of direct booking requests that are pending
-  if (request.status !== 'pending') {
+  // Only allow rejection of direct bookings that are pending or scheduled for later
+  if (!['pending', 'scheduled'].includes(request.status)) {
     return sendErrorResponse(res, 400, 'Request is no longer available for rejection');
   }
 
@@ -835,15 +826,9 @@ const rejectRequest = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 403, 'You can only reject direct booking requests assigned to you');
   }
 
-  // Update request status to cancelled
-  await request.updateStatus('cancelled', req.user._id, `Request rejected by mechanic: ${reason || 'No reason provided'}`);
-
-  // Notify customer
-  try {
-    await notificationService.notifyRequestRejected(request.customerId, req.user, request, reason);
-  } catch (error) {
-    logger.error('Customer notification failed:', error);
-  }
+  // Update request status to cancelled - the cancellation hook tells the customer
+  request.cancellationReason = reason;
+  await request.updateStatus('cancelled', req.user._id, `Request rejected by mechanic: ${reason || 'No reason provided'}`, 'mechanic');
 
   logger.info('Direct booking request rejected:', {
     requestId: request._id,
@@ -887,6 +872,13 @@ const rejectRequest = asyncHandler(async (req, res) => {
  *                 type: string
  *               quotation:
  *                 type: number
+ *     responses:
+ *       200:
+ *         description: Status updated successfully
+ *       403:
+ *         description: Role may not make this transition (code TRANSITION_FORBIDDEN)
+ *       409:
+ *         description: Transition not allowed from the current status (code INVALID_STATUS_TRANSITION)
  */
 const updateRequestStatus = asyncHandler(async (req, res) => {
   const { status, note, quotation } = req.body;
@@ -903,32 +895,15 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 403, 'You can only update requests assigned to you');
   }
 
-  // Validate status transition
   const currentStatus = request.status;
-  const validTransitions = {
-    'assigned': ['enroute', 'cancelled'],
-    'enroute': ['in_progress', 'cancelled'],
-    'in_progress': ['completed', 'cancelled']
-  };
-
-  if (!validTransitions[currentStatus] || !validTransitions[currentStatus].includes(status)) {
-    return sendErrorResponse(res, 400, `Invalid status transition from ${currentStatus} to ${status}`);
-  }
 
   // Update quotation if provided and status is appropriate
   if (quotation && quotation > 0 && ['enroute', 'in_progress'].includes(status)) {
     request.quotation = quotation;
   }
 
-  // Update status
-  await request.updateStatus(status, req.user._id, note || `Status updated to ${status}`);
-
-  // Notify customer
-  try {
-    await notificationService.notifyStatusUpdate(request.customerId, request, status);
-  } catch (error) {
-    logger.error('Customer notification failed:', error);
-  }
+  // Guarded by the state machine; transition hooks notify the customer
+  await request.updateStatus(status, req.user._id, note || `Status updated to ${status}`, 'mechanic');
 
   logger.info('Service request status updated:', {
     requestId: request._id,
@@ -942,6 +917,102 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /customer/requests/{id}/trail:
+ *   get:
+ *     summary: Get the assigned mechanic's location trail and latest ETA
+ *     tags: [Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Location trail retrieved
+ *       403:
+ *         description: Not the request's customer, assigned mechanic or an admin
+ */
+const getRequestTrail = asyncHandler(async (req, res) => {
+  const tracking = await trackingService.getTrail(req.params.id);
+
+  if (!tracking) {
+    return sendErrorResponse(res, 404, 'Service request not found');
+  }
+
+  const { request, ...trail } = tracking;
+  const userId = req.user._id.toString();
+  const isParticipant = request.customerId.toString() === userId ||
+    (request.mechanicId && request.mechanicId.toString() === userId);
+
+  if (!isParticipant && req.user.role !== 'admin') {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+
+  sendSuccessResponse(res, 200, 'Location trail retrieved', {
+    requestId: request._id,
+    status: request.status,
+    destination: request.location,
+    ...trail
+  });
+});
+
+/**
+ * @swagger
+ * /mechanic/requests/{id}/location:
+ *   post:
+ *     summary: Record the mechanic's live location for an active request
+ *     description: Same as the location-update socket event, for clients without a socket connection
+ *     tags: [Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lat
+ *               - lng
+ *             properties:
+ *               lat:
+ *                 type: number
+ *               lng:
+ *                 type: number
+ *               accuracy:
+ *                 type: number
+ *               heading:
+ *                 type: number
+ *               speed:
+ *                 type: number
+ *                 description: Meters per second
+ *     responses:
+ *       200:
+ *         description: Location recorded with the updated distance and ETA
+ *       404:
+ *         description: No active request assigned to this mechanic
+ */
+const recordLocation = asyncHandler(async (req, res) => {
+  const tracking = await trackingService.recordLocation(req.params.id, req.user._id, req.body);
+
+  if (!tracking) {
+    return sendErrorResponse(res, 404, 'No active request assigned to you with this ID');
+  }
+
+  sendSuccessResponse(res, 200, 'Location recorded', tracking);
+});
+
 module.exports = {
   uploadImages,
   createServiceRequest,
@@ -952,5 +1023,7 @@ module.exports = {
   getMechanicTasks,
   acceptRequest,
   rejectRequest,
-  updateRequestStatus
+  updateRequestStatus,
+  getRequestTrail,
+  recordLocation
 };
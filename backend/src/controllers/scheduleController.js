@@ -0,0 +1,229 @@
+const { asyncHandler, sendSuccessResponse } = require('../utils/response');
+const schedulingService = require('../services/schedulingService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MechanicSchedule:
+ *       type: object
+ *       properties:
+ *         timezone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         slotMinutes:
+ *           type: integer
+ *           enum: [30, 60, 90, 120]
+ *         weeklyHours:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: integer
+ *                 description: 0 = Sunday
+ *               start:
+ *                 type: string
+ *                 example: '09:00'
+ *               end:
+ *                 type: string
+ *                 example: '18:00'
+ *         blockedTimes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *               endAt:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/mechanic/schedule:
+ *   get:
+ *     summary: Get working hours, blocked times and bookings between two dates
+ *     tags: [Mechanic - Schedule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved
+ */
+const getMySchedule = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  const [schedule, bookings] = await Promise.all([
+    schedulingService.getSchedule(req.user._id),
+    schedulingService.getBookings(req.user._id, new Date(from), new Date(to))
+  ]);
+
+  sendSuccessResponse(res, 200, 'Schedule retrieved', { schedule, bookings });
+});
+
+/**
+ * @swagger
+ * /api/mechanic/schedule/hours:
+ *   put:
+ *     summary: Publish weekly working hours customers can book into
+ *     tags: [Mechanic - Schedule]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - weeklyHours
+ *             properties:
+ *               weeklyHours:
+ *                 type: array
+ *                 description: Working windows per weekday (0 = Sunday) as HH:mm, several allowed per day
+ *                 items:
+ *                   type: object
+ *               slotMinutes:
+ *                 type: integer
+ *                 enum: [30, 60, 90, 120]
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Working hours updated
+ *       400:
+ *         description: Hours end before they start or overlap
+ */
+const updateWorkingHours = asyncHandler(async (req, res) => {
+  const schedule = await schedulingService.updateWorkingHours(req.user._id, req.body);
+
+  sendSuccessResponse(res, 200, 'Working hours updated', schedule);
+});
+
+/**
+ * @swagger
+ * /api/mechanic/schedule/blocks:
+ *   post:
+ *     summary: Block out time so it cannot be booked
+ *     tags: [Mechanic - Schedule]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startAt
+ *               - endAt
+ *             properties:
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *               endAt:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Time blocked out
+ *       409:
+ *         description: A scheduled booking falls inside the time
+ */
+const addBlockedTime = asyncHandler(async (req, res) => {
+  const schedule = await schedulingService.addBlockedTime(req.user._id, req.body);
+
+  sendSuccessResponse(res, 201, 'Time blocked out', schedule);
+});
+
+/**
+ * @swagger
+ * /api/mechanic/schedule/blocks/{blockId}:
+ *   delete:
+ *     summary: Remove blocked-out time
+ *     tags: [Mechanic - Schedule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: blockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blocked time removed
+ *       404:
+ *         description: Blocked time not found
+ */
+const removeBlockedTime = asyncHandler(async (req, res) => {
+  const schedule = await schedulingService.removeBlockedTime(req.user._id, req.params.blockId);
+
+  sendSuccessResponse(res, 200, 'Blocked time removed', schedule);
+});
+
+/**
+ * @swagger
+ * /api/customer/mechanics/{mechanicId}/slots:
+ *   get:
+ *     summary: Get a mechanic's free slots for scheduled bookings
+ *     tags: [Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mechanicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: First date (YYYY-MM-DD) in the mechanic's timezone, defaults to today
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 14
+ *           default: 7
+ *     responses:
+ *       200:
+ *         description: Free slots grouped by date
+ */
+const getMechanicSlots = asyncHandler(async (req, res) => {
+  const { from, days } = req.query;
+  const availability = await schedulingService.getAvailableSlots(req.params.mechanicId, { from, days: parseInt(days) || 7 });
+
+  sendSuccessResponse(res, 200, 'Available slots retrieved', availability);
+});
+
+module.exports = {
+  getMySchedule,
+  updateWorkingHours,
+  addBlockedTime,
+  removeBlockedTime,
+  getMechanicSlots
+};
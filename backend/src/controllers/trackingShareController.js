@@ -0,0 +1,172 @@
+const { asyncHandler, sendSuccessResponse } = require('../utils/response');
+const trackingShareService = require('../services/trackingShareService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrackingShareLink:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         label:
+ *           type: string
+ *           description: Who the link was sent to, e.g. "Mum"
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         token:
+ *           type: string
+ *           description: Signed token; also opens the /tracking socket namespace
+ *         url:
+ *           type: string
+ *           description: Read-only tracking page to send
+ */
+
+/**
+ * @swagger
+ * /api/customer/requests/{id}/share-links:
+ *   get:
+ *     summary: List the active tracking links shared for a request
+ *     tags: [Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active links; empty once the request is completed or cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrackingShareLink'
+ *       404:
+ *         description: Not one of the customer's requests
+ */
+const getShareLinks = asyncHandler(async (req, res) => {
+  const links = await trackingShareService.listLinks(req.params.id, req.user._id);
+
+  sendSuccessResponse(res, 200, 'Tracking links retrieved', links);
+});
+
+/**
+ * @swagger
+ * /api/customer/requests/{id}/share-links:
+ *   post:
+ *     summary: Share read-only live tracking of a request with someone without an account
+ *     description: The link stops working when it expires, is revoked, or the request is completed or cancelled.
+ *     tags: [Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 maxLength: 50
+ *               expiresInHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 24
+ *                 default: 4
+ *     responses:
+ *       201:
+ *         description: Link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrackingShareLink'
+ *       400:
+ *         description: Request already finished or 5 links already active
+ *       404:
+ *         description: Not one of the customer's requests
+ */
+const createShareLink = asyncHandler(async (req, res) => {
+  const link = await trackingShareService.createLink(req.params.id, req.user._id, req.body);
+
+  sendSuccessResponse(res, 201, 'Tracking link created', link);
+});
+
+/**
+ * @swagger
+ * /api/customer/requests/{id}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a tracking link; anyone following it is disconnected
+ *     tags: [Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link revoked
+ *       404:
+ *         description: Unknown or already revoked link
+ */
+const revokeShareLink = asyncHandler(async (req, res) => {
+  await trackingShareService.revokeLink(req.params.id, req.user._id, req.params.linkId);
+
+  sendSuccessResponse(res, 200, 'Tracking link revoked');
+});
+
+/**
+ * @swagger
+ * /api/public/track/{token}:
+ *   get:
+ *     summary: Follow a service request from a link the customer shared
+ *     description: Live updates follow on the /tracking socket namespace, authenticated with the same token.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mechanic name, vehicle, status timeline and the mechanic's latest location
+ *       404:
+ *         description: Unknown link
+ *       410:
+ *         description: The link expired or was revoked, or the request is completed or cancelled
+ */
+const getSharedTracking = asyncHandler(async (req, res) => {
+  const tracking = await trackingShareService.getSharedTracking(req.params.token);
+
+  sendSuccessResponse(res, 200, 'Tracking retrieved', tracking);
+});
+
+module.exports = {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  getSharedTracking
+};
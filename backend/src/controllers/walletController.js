@@ -0,0 +1,221 @@
+const { asyncHandler, sendSuccessResponse } = require('../utils/response');
+const walletService = require('../services/walletService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WalletTransaction:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [credit, debit]
+ *         category:
+ *           type: string
+ *           enum: [refund, referral_reward, goodwill, payment, payment_reversal]
+ *         amount:
+ *           type: number
+ *         balanceAfter:
+ *           type: number
+ *           description: Wallet balance right after the transaction
+ *         description:
+ *           type: string
+ *         paymentId:
+ *           type: string
+ *         refundId:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Wallet:
+ *       type: object
+ *       properties:
+ *         balance:
+ *           type: number
+ *         currency:
+ *           type: string
+ *           enum: [INR]
+ *         recentTransactions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WalletTransaction'
+ */
+
+/**
+ * @swagger
+ * /api/customer/wallet:
+ *   get:
+ *     summary: Get the customer's wallet balance and latest transactions
+ *     tags: [Customer - Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wallet'
+ */
+const getMyWallet = asyncHandler(async (req, res) => {
+  const wallet = await walletService.getWallet(req.user._id);
+
+  sendSuccessResponse(res, 200, 'Wallet retrieved', wallet);
+});
+
+/**
+ * @swagger
+ * /api/customer/wallet/transactions:
+ *   get:
+ *     summary: List the customer's wallet transactions
+ *     tags: [Customer - Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [credit, debit]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [refund, referral_reward, goodwill, payment, payment_reversal]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Wallet transactions retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WalletTransaction'
+ */
+const getMyTransactions = asyncHandler(async (req, res) => {
+  const { transactions, pagination } = await walletService.getTransactions(req.user._id, req.query);
+
+  sendSuccessResponse(res, 200, 'Wallet transactions retrieved', transactions, pagination);
+});
+
+/**
+ * @swagger
+ * /api/admin/customers/{customerId}/wallet/transactions:
+ *   get:
+ *     summary: List a customer's wallet transactions
+ *     tags: [Admin - Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [credit, debit]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Wallet transactions retrieved
+ */
+const getCustomerTransactions = asyncHandler(async (req, res) => {
+  const [balance, { transactions, pagination }] = await Promise.all([
+    walletService.getBalance(req.params.customerId),
+    walletService.getTransactions(req.params.customerId, req.query)
+  ]);
+
+  sendSuccessResponse(res, 200, 'Wallet transactions retrieved', { balance, transactions }, pagination);
+});
+
+/**
+ * @swagger
+ * /api/admin/customers/{customerId}/wallet/credits:
+ *   post:
+ *     summary: Grant a goodwill or referral credit to a customer's wallet
+ *     description: Referral rewards are granted here by hand until a referral programme credits them itself.
+ *     tags: [Admin - Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Repeats with the same key get the first response back instead of a second credit
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - note
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 10000
+ *               category:
+ *                 type: string
+ *                 enum: [goodwill, referral_reward]
+ *                 default: goodwill
+ *               note:
+ *                 type: string
+ *                 description: Why the credit was granted; shown to the customer
+ *     responses:
+ *       201:
+ *         description: Wallet credited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WalletTransaction'
+ *       404:
+ *         description: Customer not found
+ */
+const grantCredit = asyncHandler(async (req, res) => {
+  const transaction = await walletService.grantCredit(req.user._id, req.params.customerId, req.body);
+
+  sendSuccessResponse(res, 201, 'Wallet credited', transaction);
+});
+
+module.exports = {
+  getMyWallet,
+  getMyTransactions,
+  getCustomerTransactions,
+  grantCredit
+};
@@ -1,7 +1,45 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
 const { AppError, sendErrorResponse, asyncHandler } = require('../utils/response');
 
+// Verify an access token and load its user; shared by HTTP routes and the socket handshake
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('Token expired.', 401);
+    }
+    throw new AppError('Invalid token.', 401);
+  }
+
+  // Check the denylist filled by logout and refresh-token reuse detection
+  if (await RevokedToken.isRevoked(decoded)) {
+    throw new AppError('Token has been revoked.', 401);
+  }
+
+  // Check if user still exists
+  const user = await User.findById(decoded.id).select('+passwordHash');
+  if (!user) {
+    throw new AppError('User no longer exists.', 401);
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    throw new AppError('User account is deactivated.', 401);
+  }
+
+  // Check if user changed password after token was issued
+  if (user.passwordChangedAt && decoded.iat < parseInt(user.passwordChangedAt.getTime() / 1000, 10)) {
+    throw new AppError('User recently changed password. Please log in again.', 401);
+  }
+
+  return { user, decoded };
+};
+
 // Protect routes - require authentication
 const protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -21,24 +59,7 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check if user still exists
-    const user = await User.findById(decoded.id).select('+passwordHash');
-    if (!user) {
-      return sendErrorResponse(res, 401, 'User no longer exists.');
-    }
-
-    // Check if user is active
-    if (!user.isActive) {
-      return sendErrorResponse(res, 401, 'User account is deactivated.');
-    }
-
-    // Check if user changed password after token was issued
-    if (user.passwordChangedAt && decoded.iat < parseInt(user.passwordChangedAt.getTime() / 1000, 10)) {
-      return sendErrorResponse(res, 401, 'User recently changed password. Please log in again.');
-    }
+    const { user, decoded } = await verifyAccessToken(token);
 
     // Update last login
     user.lastLogin = new Date();
@@ -46,15 +67,10 @@ const protect = asyncHandler(async (req, res, next) => {
 
     // Grant access to protected route
     req.user = user;
+    req.token = decoded;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return sendErrorResponse(res, 401, 'Invalid token.');
-    } else if (error.name === 'TokenExpiredError') {
-      return sendErrorResponse(res, 401, 'Token expired.');
-    }
-    
-    return sendErrorResponse(res, 401, 'Token verification failed.');
+    return sendErrorResponse(res, 401, error.isOperational ? error.message : 'Token verification failed.');
   }
 });
 
@@ -71,7 +87,7 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id);
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !(await RevokedToken.isRevoked(decoded))) {
         req.user = user;
       }
     } catch (error) {
@@ -82,47 +98,22 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   next();
 });
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+// Generate JWT token; sessionId ties it to an AuthSession so logout can revoke it
+const generateToken = (id, { sessionId } = {}) => {
+  return jwt.sign({ id, ...(sessionId && { sid: sessionId.toString() }) }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    jwtid: crypto.randomUUID()
   });
 };
 
-// Generate refresh token
-const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+// Generate refresh token; tokenId is checked against the session on rotation
+const generateRefreshToken = (id, { sessionId, tokenId = crypto.randomUUID() } = {}) => {
+  return jwt.sign({ id, ...(sessionId && { sid: sessionId.toString() }) }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    jwtid: tokenId
   });
 };
 
-// Verify refresh token
-const verifyRefreshToken = asyncHandler(async (req, res, next) => {
-  const { refreshToken } = req.body;
-
-  if (!refreshToken) {
-    return sendErrorResponse(res, 400, 'Refresh token is required.');
-  }
-
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user || !user.isActive) {
-      return sendErrorResponse(res, 401, 'Invalid refresh token.');
-    }
-
-    // Generate new access token
-    const newToken = generateToken(user._id);
-    
-    req.user = user;
-    req.newToken = newToken;
-    next();
-  } catch (error) {
-    return sendErrorResponse(res, 401, 'Invalid refresh token.');
-  }
-});
-
 // Check if user owns resource
 const checkOwnership = (resourceField = 'customerId') => {
   return asyncHandler(async (req, res, next) => {
@@ -237,12 +228,12 @@ const authenticateToken = protect;
 
 module.exports = {
   protect,
+  verifyAccessToken,
   authenticateToken,
   authorize,
   optionalAuth,
   generateToken,
   generateRefreshToken,
-  verifyRefreshToken,
   checkOwnership,
   authRateLimit,
   loginRateLimit,
@@ -55,6 +55,8 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    // Typed operational errors (e.g. invalid status transitions) expose a code for the client
+    ...(err.isOperational && err.code && { code: err.code, details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
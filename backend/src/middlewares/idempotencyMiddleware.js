@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { sendErrorResponse } = require('../utils/response');
+const logger = require('../config/logger');
+
+const KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+// A first request still running after this long is assumed to have died with its worker
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Store what the handler sends before it reaches the client, so a retry that races the response still replays it.
+// Server errors drop the key instead: the request never took effect and may be retried as is.
+const captureResponse = (res, record) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const saved = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body } }
+      );
+
+    saved
+      .catch(error => logger.error('Failed to store idempotent response:', { key: record.key, error: error.message }))
+      .finally(() => json(body));
+    return res;
+  };
+};
+
+// Insert the key for a first request; resolves to null when the key is already taken
+const createRecord = async (req, key, requestHash) => {
+  try {
+    return await IdempotencyKey.create({
+      userId: req.user._id,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return null;
+  }
+};
+
+/**
+ * Honour an optional Idempotency-Key header on authenticated POSTs.
+ * The first request with a key runs normally; repeats get its stored response back with
+ * Idempotent-Replayed: true, 409 while it is still running, or 422 if the body differs.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return sendErrorResponse(res, 400, 'Idempotency-Key cannot exceed 255 characters');
+  }
+
+  const requestHash = hashRequest(req);
+
+  try {
+    let record = await createRecord(req, key, requestHash);
+    let existing = null;
+
+    // The key can expire or be dropped after a server error between the insert and the lookup,
+    // in which case this is a first request after all
+    if (!record) {
+      existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+      if (!existing) {
+        record = await createRecord(req, key, requestHash);
+      }
+    }
+
+    if (!record && !existing) {
+      return sendErrorResponse(res, 409, 'A request with this Idempotency-Key is still being processed');
+    }
+
+    if (!record) {
+      if (existing.requestHash !== requestHash) {
+        return sendErrorResponse(res, 422, 'Idempotency-Key has already been used for a different request');
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      record = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: 'processing',
+          updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) }
+        },
+        { $set: { expiresAt: new Date(Date.now() + KEY_TTL_MS) } },
+        { new: true }
+      );
+
+      if (!record) {
+        return sendErrorResponse(res, 409, 'A request with this Idempotency-Key is still being processed');
+      }
+    }
+
+    captureResponse(res, record);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { idempotent };
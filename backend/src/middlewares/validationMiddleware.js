@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const logger = require('../config/logger');
+const { NOTIFICATION_TYPES } = require('../config/notificationEvents');
 
 /**
  * Validation middleware factory
@@ -51,6 +52,42 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Pricing rule tables; any subset of keys may be sent and the rest is copied from the rule in force
+const pricingMultiplier = Joi.number().min(0.1).max(5);
+const pricingMultipliers = (...keys) => Joi.object().pattern(Joi.string().valid(...keys), pricingMultiplier);
+const geoPoint = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+const pricedIssueType = Joi.string().valid(
+  'flat_tire', 'battery_dead', 'engine_trouble', 'fuel_empty', 'key_locked',
+  'accident', 'overheating', 'brake_failure', 'transmission_issue', 'other'
+);
+
+const pricingTables = {
+  baseRates: Joi.object().pattern(
+    pricedIssueType,
+    Joi.object({
+      min: Joi.number().min(0).max(100000).required(),
+      base: Joi.number().min(0).max(100000).required(),
+      max: Joi.number().min(0).max(100000).required()
+    })
+  ),
+  vehicleMultipliers: pricingMultipliers('car', 'motorcycle', 'truck', 'bus', 'other'),
+  priorityMultipliers: pricingMultipliers('low', 'medium', 'high', 'emergency'),
+  weatherMultipliers: pricingMultipliers('clear', 'rain', 'storm', 'fog', 'snow'),
+  timeMultipliers: pricingMultipliers('peak', 'normal', 'night', 'weekend'),
+  // Replaces the whole region list when sent
+  regions: Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    multiplier: pricingMultiplier.required(),
+    points: Joi.array().items(geoPoint).min(3).max(200).required()
+  })).max(50),
+  defaultRegionMultiplier: pricingMultiplier,
+  note: Joi.string().trim().max(500).allow('')
+};
+
 /**
  * Validation schemas
  */
@@ -69,7 +106,8 @@ const schemas = {
   login: Joi.object({
     email: Joi.string().email().lowercase().required(),
     password: Joi.string().required(),
-    rememberMe: Joi.boolean().default(false)
+    rememberMe: Joi.boolean().default(false),
+    deviceId: Joi.string().trim().max(100)
   }),
 
   verifyOTP: Joi.object({
@@ -87,7 +125,8 @@ const schemas = {
 
   verifyLoginOTP: Joi.object({
     email: Joi.string().email().lowercase().required(),
-    otp: Joi.string().length(6).pattern(/^\d+$/).required()
+    otp: Joi.string().length(6).pattern(/^\d+$/).required(),
+    deviceId: Joi.string().trim().max(100)
   }),
 
   resendLoginOTP: Joi.object({
@@ -331,18 +370,204 @@ const schemas = {
     amount: Joi.number().min(0.01).required(),
     currency: Joi.string().length(3).uppercase().default('USD'),
     paymentMethod: Joi.string().valid('card', 'wallet', 'upi').required(),
-    tip: Joi.number().min(0).default(0)
+    tip: Joi.number().min(0).default(0),
+    useWallet: Joi.boolean().default(false)
   }),
 
   // Post-completion payment schema
   postCompletionPayment: Joi.object({
-    serviceRequestId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    serviceRequestId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    useWallet: Joi.boolean().default(false)
+  }),
+
+  // Checkout on the mock payment gateway
+  mockPayment: Joi.object({
+    outcome: Joi.string().valid('success', 'failure', 'authorize')
+  }),
+
+  // Customer refund request schema
+  refundRequest: Joi.object({
+    reason: Joi.string().trim().min(10).max(500).required(),
+    amount: Joi.number().min(1),
+    toWallet: Joi.boolean().default(false)
+  }),
+
+  // Admin refund review schemas
+  refundApproval: Joi.object({
+    amount: Joi.number().min(1),
+    note: Joi.string().trim().max(500).allow('')
+  }),
+
+  refundDenial: Joi.object({
+    note: Joi.string().trim().min(5).max(500).required()
+  }),
+
+  // Cash payment schemas
+  cashCollection: Joi.object({
+    amount: Joi.number().min(1).max(100000).required()
+  }),
+
+  cashDispute: Joi.object({
+    amount: Joi.number().min(0).max(100000).required(),
+    reason: Joi.string().trim().min(10).max(500).required()
+  }),
+
+  cashResolution: Joi.object({
+    amount: Joi.number().min(1).max(100000),
+    note: Joi.string().trim().max(500).allow('')
+  }),
+
+  cashRejection: Joi.object({
+    note: Joi.string().trim().min(5).max(500).required()
+  }),
+
+  // Admin webhook event log
+  webhookEventQuery: Joi.object({
+    status: Joi.string().valid('received', 'processing', 'processed', 'failed'),
+    event: Joi.string().max(100),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  // Customer wallet
+  walletTransactionQuery: Joi.object({
+    type: Joi.string().valid('credit', 'debit'),
+    category: Joi.string().valid('refund', 'referral_reward', 'goodwill', 'payment', 'payment_reversal'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  walletCredit: Joi.object({
+    amount: Joi.number().min(1).max(10000).precision(2).required(),
+    category: Joi.string().valid('goodwill', 'referral_reward').default('goodwill'),
+    note: Joi.string().trim().min(5).max(300).required()
+  }),
+
+  // Invoice and credit note downloads
+  documentFormat: Joi.object({
+    format: Joi.string().valid('json', 'pdf').default('json')
+  }),
+
+  // Admin payout schemas
+  settlementBatch: Joi.object({
+    periodEnd: Joi.date().iso().max('now')
+  }),
+
+  payoutStatusUpdate: Joi.object({
+    status: Joi.string().valid('paid', 'failed').required(),
+    reference: Joi.string().trim().max(100).when('status', { is: 'paid', then: Joi.required() }),
+    reason: Joi.string().trim().min(5).max(500).when('status', { is: 'failed', then: Joi.required() })
+  }),
+
+  // Admin pricing rules
+  pricingRule: Joi.object({
+    ...pricingTables,
+    effectiveFrom: Joi.date().iso()
+  }),
+
+  updatePricingRule: Joi.object({
+    ...pricingTables,
+    effectiveFrom: Joi.date().iso()
+  }).min(1),
+
+  pricingSimulation: Joi.object({
+    ruleId: Joi.string().hex().length(24),
+    changes: Joi.object(pricingTables),
+    request: Joi.object({
+      issueType: pricedIssueType.required(),
+      vehicleType: Joi.string().valid('car', 'motorcycle', 'truck', 'bus', 'other').default('car'),
+      priority: Joi.string().valid('low', 'medium', 'high', 'emergency').default('medium'),
+      location: geoPoint.required(),
+      description: Joi.string().trim().max(1000).allow('').default('')
+    }).required(),
+    factors: Joi.object({
+      timeOfDay: Joi.date().iso(),
+      weather: Joi.string().valid('clear', 'rain', 'storm', 'fog', 'snow'),
+      distance: Joi.number().min(0).max(200),
+      mechanicRating: Joi.number().min(0).max(5)
+    }).default({})
+  }).xor('ruleId', 'changes'),
+
+  // Itemized quotes
+  quoteProposal: Joi.object({
+    items: Joi.array().items(Joi.object({
+      type: Joi.string().valid('labour', 'parts', 'travel', 'surcharge').required(),
+      description: Joi.string().trim().min(2).max(200).required(),
+      quantity: Joi.number().integer().min(1).max(100).default(1),
+      unitPrice: Joi.number().min(0).max(100000).precision(2).required()
+    })).min(1).max(20).required(),
+    note: Joi.string().trim().max(500).allow('')
+  }),
+
+  quoteResponse: Joi.object({
+    revision: Joi.number().integer().min(1).required(),
+    amount: Joi.number().min(1).max(100000).precision(2),
+    note: Joi.string().trim().max(500).allow('')
+  }),
+
+  // Read-only tracking link for someone without an account
+  trackingShareLink: Joi.object({
+    label: Joi.string().trim().max(50).allow(''),
+    expiresInHours: Joi.number().integer().min(1).max(24)
+  }),
+
+  // Customer SOS
+  trustedContact: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    phone: Joi.string().trim().pattern(/^[+]?[1-9][\d]{7,14}$/).messages({
+      'string.pattern.base': 'Please enter a valid phone number'
+    }),
+    email: Joi.string().trim().email().lowercase(),
+    relationship: Joi.string().trim().max(30).allow('')
+  }).or('phone', 'email'),
+
+  sosAlert: Joi.object({
+    location: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required(),
+      address: Joi.string().trim().max(200).allow(''),
+      accuracy: Joi.number().min(0).allow(null)
+    }).required(),
+    requestId: Joi.string().hex().length(24),
+    vehicleId: Joi.string().hex().length(24),
+    message: Joi.string().trim().max(500).allow(''),
+    source: Joi.string().valid('sos_button', 'accident_request').default('sos_button')
+  }),
+
+  sosLocation: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    accuracy: Joi.number().min(0).allow(null)
+  }),
+
+  sosResolution: Joi.object({
+    note: Joi.string().trim().max(500).allow('')
+  }),
+
+  // Admin incident console
+  incidentQuery: Joi.object({
+    status: Joi.string().valid('open', 'acknowledged', 'resolved'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  incidentResolution: Joi.object({
+    note: Joi.string().trim().min(5).max(500).required()
   }),
 
   // Update request status schema
   updateRequestStatus: Joi.object({
     status: Joi.string().valid('assigned', 'enroute', 'in_progress', 'completed', 'cancelled').required()
   }),
+
+  // Live location of the mechanic assigned to a request
+  trackingLocation: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    accuracy: Joi.number().min(0).allow(null),
+    heading: Joi.number().min(0).max(360).allow(null),
+    speed: Joi.number().min(0).allow(null) // m/s, as reported by the Geolocation API
+  }),
   
   createServiceRequest: Joi.object({
     mechanicId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
@@ -380,7 +605,8 @@ const schemas = {
       Joi.object({
         lat: Joi.number().min(-90).max(90).required(),
         lng: Joi.number().min(-180).max(180).required(),
-        address: Joi.string().max(200).optional()
+        address: Joi.string().max(200).optional(),
+        state: Joi.string().trim().max(50).optional()
       }),
       Joi.string().custom((value, helpers) => {
         if (typeof value === 'object' && value !== null) {
@@ -402,9 +628,74 @@ const schemas = {
     priority: Joi.string().valid('low', 'medium', 'high', 'emergency').default('medium'),
     broadcastRadius: Joi.number().min(1).max(50).default(25),
     isDirectBooking: Joi.boolean().default(false),
+    scheduledFor: Joi.date().iso().greater('now').optional(),
     images: Joi.array().items(Joi.string()).max(5).optional()
   }),
 
+  // Scheduled booking schemas
+  workingHours: Joi.object({
+    weeklyHours: Joi.array().items(Joi.object({
+      day: Joi.number().integer().min(0).max(6).required(),
+      start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+      end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+    })).max(28).required(),
+    slotMinutes: Joi.number().valid(30, 60, 90, 120).optional(),
+    timezone: Joi.string().trim().max(50).optional()
+  }),
+
+  blockedTime: Joi.object({
+    startAt: Joi.date().iso().required(),
+    endAt: Joi.date().iso().greater(Joi.ref('startAt')).required(),
+    reason: Joi.string().trim().max(200).optional().allow('')
+  }),
+
+  scheduleRange: Joi.object({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().greater(Joi.ref('from')).required()
+  }),
+
+  bookingSlots: Joi.object({
+    from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    days: Joi.number().integer().min(1).max(14).default(7)
+  }),
+
+  // Service area schemas
+  serviceArea: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    shape: Joi.string().valid('circle', 'polygon').default('circle'),
+    center: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }).when('shape', { is: 'circle', then: Joi.required() }),
+    radius: Joi.number().min(1).max(50).when('shape', { is: 'circle', then: Joi.required() }),
+    points: Joi.array().items(Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    })).min(3).max(100).when('shape', { is: 'polygon', then: Joi.required() }),
+    address: Joi.string().trim().max(200).optional().allow(''),
+    basePrice: Joi.number().min(0).optional(),
+    description: Joi.string().trim().max(500).optional().allow(''),
+    isActive: Joi.boolean().default(true)
+  }),
+
+  updateServiceArea: Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional(),
+    shape: Joi.string().valid('circle', 'polygon').optional(),
+    center: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }).optional(),
+    radius: Joi.number().min(1).max(50).optional(),
+    points: Joi.array().items(Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    })).min(3).max(100).optional(),
+    address: Joi.string().trim().max(200).optional().allow(''),
+    basePrice: Joi.number().min(0).optional(),
+    description: Joi.string().trim().max(500).optional().allow(''),
+    isActive: Joi.boolean().optional()
+  }),
+
   // Vehicle management schemas
   addVehicle: Joi.object({
     name: Joi.string().trim().min(1).max(50).required(),
@@ -428,6 +719,38 @@ const schemas = {
     isDefault: Joi.boolean().default(false)
   }),
 
+  // Web Push subscription schemas
+  pushSubscription: Joi.object({
+    subscription: Joi.object({
+      endpoint: Joi.string().uri({ scheme: ['https'] }).max(2000).required(),
+      expirationTime: Joi.number().allow(null).optional(),
+      keys: Joi.object({
+        p256dh: Joi.string().required(),
+        auth: Joi.string().required()
+      }).required()
+    }).required(),
+    deviceId: Joi.string().trim().max(100).optional(),
+    userAgent: Joi.string().max(500).optional()
+  }),
+
+  pushUnsubscribe: Joi.object({
+    endpoint: Joi.string().uri().max(2000).optional(),
+    deviceId: Joi.string().trim().max(100).optional()
+  }).or('endpoint', 'deviceId'),
+
+  // Notification preference schemas
+  notificationPreferences: Joi.object({
+    preferences: Joi.object().pattern(
+      Joi.string().valid(...NOTIFICATION_TYPES),
+      Joi.object({
+        email: Joi.boolean(),
+        sms: Joi.boolean(),
+        push: Joi.boolean(),
+        inApp: Joi.boolean()
+      }).min(1)
+    ).min(1).required()
+  }),
+
   // Chat schemas
   sendMessage: Joi.object({
     content: Joi.string().trim().min(1).max(1000).required(),
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One signed-in device; its refresh token rotates on every use
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // jti of the only refresh token that may be exchanged next
+  currentTokenId: {
+    type: String,
+    required: [true, 'Current refresh token ID is required']
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device ID cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: String,
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Session expiry is required']
+  },
+  // Expiry of the newest access token issued for the session
+  accessExpiresAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_change', 'replaced']
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+authSessionSchema.index({ userId: 1, deviceId: 1 });
+// Mongo drops sessions once their refresh token could no longer be used anyway
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Incidents the customer's contacts can still follow and admins still have to close
+const ACTIVE_INCIDENT_STATUSES = ['open', 'acknowledged'];
+
+// Only the newest points are kept so one incident cannot grow without bound
+const MAX_TRAIL_POINTS = 500;
+
+const positionSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  accuracy: Number, // metres
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One SMS or email sent to a trusted contact when the incident was raised
+const contactAlertSchema = new mongoose.Schema({
+  name: String,
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  delivered: {
+    type: Boolean,
+    default: false
+  },
+  messageId: String,
+  error: String,
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * A customer's SOS. Trusted contacts are alerted with a link to follow the customer's live location
+ * until an admin or the customer resolves it.
+ */
+const emergencyIncidentSchema = new mongoose.Schema({
+  // Short reference read out over the phone, e.g. SOS-1042
+  number: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  customerId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required']
+  },
+  // Service request the customer was on, if any
+  requestId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ServiceRequest'
+  },
+  source: {
+    type: String,
+    enum: ['sos_button', 'accident_request', 'socket'],
+    default: 'sos_button'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Where the SOS was raised
+  location: {
+    lat: {
+      type: Number,
+      required: [true, 'Latitude is required'],
+      min: -90,
+      max: 90
+    },
+    lng: {
+      type: Number,
+      required: [true, 'Longitude is required'],
+      min: -180,
+      max: 180
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address cannot exceed 200 characters']
+    },
+    accuracy: Number
+  },
+  // Latest position sent by the customer's device while the incident is active
+  lastLocation: positionSchema,
+  trail: {
+    type: [positionSchema],
+    select: false
+  },
+  // Copied from the customer's vehicle so later edits to it do not change the record
+  vehicle: {
+    name: String,
+    type: { type: String },
+    make: String,
+    model: String,
+    plate: String,
+    color: String
+  },
+  status: {
+    type: String,
+    enum: INCIDENT_STATUSES,
+    default: 'open'
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Resolution note cannot exceed 500 characters']
+  },
+  contactAlerts: [contactAlertSchema],
+  // Link sent to trusted contacts; only the hash of the token is stored
+  share: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+emergencyIncidentSchema.index({ status: 1, createdAt: -1 });
+emergencyIncidentSchema.index({ customerId: 1, createdAt: -1 });
+// One active incident per customer, however many SOS taps or paths race to raise it
+emergencyIncidentSchema.index(
+  { customerId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_INCIDENT_STATUSES } } }
+);
+emergencyIncidentSchema.index({ 'share.tokenHash': 1 }, { sparse: true });
+
+emergencyIncidentSchema.virtual('reference').get(function() {
+  return `SOS-${this.number}`;
+});
+
+emergencyIncidentSchema.statics.STATUSES = INCIDENT_STATUSES;
+emergencyIncidentSchema.statics.ACTIVE_STATUSES = ACTIVE_INCIDENT_STATUSES;
+emergencyIncidentSchema.statics.MAX_TRAIL_POINTS = MAX_TRAIL_POINTS;
+
+module.exports = mongoose.model('EmergencyIncident', emergencyIncidentSchema);
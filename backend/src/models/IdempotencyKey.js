@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Client-supplied Idempotency-Key and the response it produced, so a retried request is answered from here
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  method: String,
+  path: String,
+  // Method, path and body of the first request; the key may not be reused for anything else
+  requestHash: {
+    type: String,
+    required: [true, 'Request hash is required']
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  address: String,
+  phone: String,
+  email: String,
+  state: String,
+  stateCode: String
+}, { _id: false });
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  sac: String,
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Tax invoice for a successful payment, or a credit note for a refund against one
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // Assigned once the document is claimed, so concurrent issues never burn a number
+  number: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  financialYear: String,
+  paymentId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  refundId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Refund'
+  },
+  // Credit notes point at the invoice they reduce
+  originalInvoiceId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice'
+  },
+  requestId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ServiceRequest'
+  },
+  customerId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mechanicId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  supplier: partySchema,
+  recipient: partySchema,
+  placeOfSupply: {
+    state: String,
+    stateCode: String
+  },
+  // intra-state supplies split tax into CGST + SGST/UTGST, inter-state supplies pay IGST
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    required: true
+  },
+  // Unregistered mechanics issue a bill of supply without tax
+  taxable: {
+    type: Boolean,
+    default: true
+  },
+  lineItems: [lineItemSchema],
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  utgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  totalTax: { type: Number, default: 0 },
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  issuedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One invoice per payment and one credit note per refund
+invoiceSchema.index(
+  { paymentId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice' } }
+);
+invoiceSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { type: 'credit_note' } }
+);
+invoiceSchema.index({ customerId: 1, issuedAt: -1 });
+invoiceSchema.index({ mechanicId: 1, issuedAt: -1 });
+
+invoiceSchema.virtual('title').get(function() {
+  if (this.type === 'credit_note') return 'Credit Note';
+  return this.taxable ? 'Tax Invoice' : 'Bill of Supply';
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// What each entry records; credits raise what the platform owes the mechanic, debits lower it
+const LEDGER_CATEGORIES = {
+  job_earning: 'credit', // service amount of a successful payment
+  platform_commission: 'debit', // platform's cut of that payment
+  cash_collected: 'debit', // customer paid the mechanic directly
+  refund: 'debit', // money returned to the customer
+  commission_reversal: 'credit', // platform's cut of the refunded money
+  payout: 'debit', // money sent to the mechanic in a settlement batch
+  payout_reversal: 'credit', // payout that bounced, owed again
+  adjustment: null // manual correction in either direction
+};
+
+const ledgerEntrySchema = new mongoose.Schema({
+  mechanicId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Mechanic ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: Object.keys(LEDGER_CATEGORIES),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Ledger amounts are positive; use the entry type for direction']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  paymentId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payment'
+  },
+  requestId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ServiceRequest'
+  },
+  refundId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Refund'
+  },
+  // Commission rate the entry was posted with
+  commissionRate: Number,
+  // Business date the entry belongs to, e.g. when the payment was made
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once a settlement batch has included the entry
+  payoutId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  settledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ mechanicId: 1, payoutId: 1, postedAt: 1 });
+ledgerEntrySchema.index({ mechanicId: 1, postedAt: -1 });
+ledgerEntrySchema.index({ payoutId: 1 });
+
+// A payment or refund is posted once per category, however many times its event arrives.
+// Refund entries carry refundId only, so the two indexes never overlap.
+ledgerEntrySchema.index(
+  { paymentId: 1, category: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $exists: true } } }
+);
+ledgerEntrySchema.index(
+  { refundId: 1, category: 1 },
+  { unique: true, partialFilterExpression: { refundId: { $exists: true } } }
+);
+
+ledgerEntrySchema.virtual('signedAmount').get(function() {
+  return this.type === 'credit' ? this.amount : -this.amount;
+});
+
+ledgerEntrySchema.statics.CATEGORIES = LEDGER_CATEGORIES;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
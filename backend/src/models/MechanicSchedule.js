@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// One working window on a weekday, in the mechanic's local time
+const workingHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number, // 0 = Sunday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'Start must be HH:mm']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'End must be HH:mm']
+  }
+}, { _id: false });
+
+// Time off that overrides the weekly hours
+const blockedTimeSchema = new mongoose.Schema({
+  startAt: {
+    type: Date,
+    required: true
+  },
+  endAt: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+});
+
+// Weekly working hours and blocked-out times customers can book scheduled services into
+const mechanicScheduleSchema = new mongoose.Schema({
+  mechanicId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  slotMinutes: {
+    type: Number,
+    enum: [30, 60, 90, 120],
+    default: 60
+  },
+  weeklyHours: [workingHoursSchema],
+  blockedTimes: [blockedTimeSchema]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('MechanicSchedule', mechanicScheduleSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notificationEvents');
+
+// Inbox entry written for every event notificationService sends to a user
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  requestId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ServiceRequest'
+  },
+  actionUrl: String,
+  // Channels the event was actually sent on
+  channels: [{
+    type: String,
+    enum: ['email', 'sms', 'push', 'inApp']
+  }],
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -34,9 +34,20 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'success', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'success', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Part of the amount paid from the customer's wallet; the gateway is charged the rest
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet amount cannot be negative']
+  },
+  // Gateway the order was created with; refunds have to go through the same one
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'mock']
+  },
   razorpayOrderId: {
     type: String,
     unique: true,
@@ -69,6 +80,12 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Refund amount cannot be negative']
   },
+  // Total of every refund so far; refundId, refundAmount and refundReason describe the latest one
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
   refundReason: {
     type: String,
     maxlength: [500, 'Refund reason cannot exceed 500 characters']
@@ -91,6 +108,36 @@ const paymentSchema = new mongoose.Schema({
   notes: {
     type: Map,
     of: String
+  },
+  // Cash handed to the mechanic, reconciled against what the customer says they paid
+  cash: {
+    collectedAmount: {
+      type: Number,
+      min: [0, 'Collected amount cannot be negative']
+    },
+    collectedAt: Date,
+    confirmedAmount: {
+      type: Number,
+      min: [0, 'Confirmed amount cannot be negative']
+    },
+    confirmedAt: Date,
+    status: {
+      type: String,
+      enum: ['awaiting_confirmation', 'confirmed', 'disputed', 'resolved', 'rejected']
+    },
+    disputeReason: {
+      type: String,
+      maxlength: [500, 'Dispute reason cannot exceed 500 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    resolutionNote: {
+      type: String,
+      maxlength: [500, 'Resolution note cannot exceed 500 characters']
+    }
   }
 }, {
   timestamps: true,
@@ -106,12 +153,23 @@ paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ razorpayOrderId: 1 });
 paymentSchema.index({ razorpayPaymentId: 1 });
 paymentSchema.index({ transactionId: 1 });
+paymentSchema.index({ method: 1, 'cash.status': 1, createdAt: -1 });
+// One unpaid order per service, however many times checkout is opened
+paymentSchema.index(
+  { requestId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
 
 // Virtual for final amount after processing fee
 paymentSchema.virtual('finalAmount').get(function() {
   return this.amount - (this.processingFee || 0);
 });
 
+// What the gateway charges: the amount plus fee, less the part paid from the wallet
+paymentSchema.virtual('gatewayAmount').get(function() {
+  return Math.round((this.amount + (this.processingFee || 0) - (this.walletAmount || 0)) * 100) / 100;
+});
+
 // Calculate net amount before saving
 paymentSchema.pre('save', function(next) {
   if (this.isModified('amount') || this.isModified('processingFee')) {
@@ -149,6 +207,7 @@ paymentSchema.methods.updateStatus = function(status, additionalData = {}) {
         this.failureReason = additionalData.failureReason;
       }
       break;
+    case 'partially_refunded':
     case 'refunded':
       this.refundedAt = new Date();
       if (additionalData.refundId) {
@@ -170,9 +229,15 @@ paymentSchema.methods.updateStatus = function(status, additionalData = {}) {
   return this.save();
 };
 
+// Amount not refunded yet, after any earlier partial refunds
+paymentSchema.methods.getRemainingRefundable = function() {
+  const maxRefund = this.netAmount || this.amount;
+  return Math.max(Math.round((maxRefund - (this.refundedAmount || 0)) * 100) / 100, 0);
+};
+
 // Check if payment can be refunded
 paymentSchema.methods.canBeRefunded = function() {
-  return this.status === 'success' && !this.refundId && this.paidAt;
+  return ['success', 'partially_refunded'].includes(this.status) && Boolean(this.paidAt) && this.getRemainingRefundable() > 0;
 };
 
 // Calculate refund amount
@@ -181,8 +246,7 @@ paymentSchema.methods.calculateRefundAmount = function(percentage = 100) {
     throw new Error('Payment cannot be refunded');
   }
   
-  const maxRefund = this.netAmount || this.amount;
-  return Math.round((maxRefund * percentage) / 100);
+  return Math.round(this.getRemainingRefundable() * percentage) / 100;
 };
 
 module.exports = mongoose.model('Payment', paymentSchema);
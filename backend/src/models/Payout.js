@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One mechanic's share of a settlement batch
+const payoutSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'SettlementBatch',
+    required: true
+  },
+  mechanicId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Payout amount cannot be negative']
+  },
+  totalCredits: {
+    type: Number,
+    default: 0
+  },
+  totalDebits: {
+    type: Number,
+    default: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  periodStart: Date,
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  // Bank/UPI transfer reference once the money has been sent
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  failureReason: {
+    type: String,
+    maxlength: [500, 'Failure reason cannot exceed 500 characters']
+  },
+  paidAt: Date,
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ mechanicId: 1, createdAt: -1 });
+payoutSchema.index({ batchId: 1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
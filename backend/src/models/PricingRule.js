@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const rateSchema = new mongoose.Schema({
+  min: { type: Number, required: true, min: 0 },
+  base: { type: Number, required: true, min: 0 },
+  max: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Area with its own price level, e.g. a city centre
+const regionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Region name is required'],
+    trim: true,
+    maxlength: [100, 'Region name cannot exceed 100 characters']
+  },
+  multiplier: {
+    type: Number,
+    required: true,
+    min: [0.1, 'Region multiplier must be at least 0.1'],
+    max: [5, 'Region multiplier cannot exceed 5']
+  },
+  // GeoJSON Polygon, outer ring only
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon'],
+      default: 'Polygon'
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Region coordinates are required']
+    }
+  }
+}, { _id: false });
+
+const multiplierMap = {
+  type: Map,
+  of: { type: Number, min: 0.1, max: 5 }
+};
+
+/**
+ * A published version of the quotation pricing. Versions are never changed once they take effect:
+ * the rule in force is the latest one whose effectiveFrom has passed, and requests keep the version
+ * that priced them.
+ */
+const pricingRuleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  // Version this one was copied from before the admin's changes
+  basedOnVersion: Number,
+  baseRates: {
+    type: Map,
+    of: rateSchema
+  },
+  vehicleMultipliers: multiplierMap,
+  priorityMultipliers: multiplierMap,
+  weatherMultipliers: multiplierMap,
+  timeMultipliers: {
+    peak: { type: Number, min: 0.1, max: 5 },
+    normal: { type: Number, min: 0.1, max: 5 },
+    night: { type: Number, min: 0.1, max: 5 },
+    weekend: { type: Number, min: 0.1, max: 5 }
+  },
+  // Checked in order; the first region containing the location applies
+  regions: [regionSchema],
+  defaultRegionMultiplier: {
+    type: Number,
+    min: 0.1,
+    max: 5,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+pricingRuleSchema.index({ effectiveFrom: -1, version: -1 });
+
+pricingRuleSchema.pre('validate', function(next) {
+  this.regions.forEach((region, index) => {
+    const ring = region.area?.coordinates?.[0];
+    const closed = Array.isArray(ring) && ring.length >= 4 &&
+      ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+    if (!closed) {
+      this.invalidate(`regions.${index}.area`, 'Regions require a closed ring of at least 3 points');
+    }
+  });
+
+  for (const [issueType, rate] of this.baseRates || []) {
+    if (rate.min > rate.base || rate.base > rate.max) {
+      this.invalidate(`baseRates.${issueType}`, 'Base rates must satisfy min <= base <= max');
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
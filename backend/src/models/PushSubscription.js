@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription; one per user per device
+const pushSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'Push endpoint is required'],
+    trim: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: [true, 'p256dh key is required']
+    },
+    auth: {
+      type: String,
+      required: [true, 'auth key is required']
+    }
+  },
+  expirationTime: {
+    type: Date,
+    default: null
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device ID cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// The push service endpoint identifies the browser install
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ userId: 1 });
+
+// Browser-shaped subscription for the web-push library
+pushSubscriptionSchema.methods.toWebPush = function() {
+  return {
+    endpoint: this.endpoint,
+    keys: {
+      p256dh: this.keys.p256dh,
+      auth: this.keys.auth
+    }
+  };
+};
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
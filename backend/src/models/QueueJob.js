@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const JOB_PRIORITIES = ['high', 'medium', 'low'];
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead'];
+
+// A unit of background work persisted so it survives restarts
+const queueJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  priority: {
+    type: String,
+    enum: JOB_PRIORITIES,
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: [1, 'A job needs at least one attempt']
+  },
+  // Earliest time the job may be picked up; pushed back after each failure
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  failedAt: Date,
+  completedAt: Date,
+  replayedAt: Date,
+  replayedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+queueJobSchema.index({ status: 1, priority: 1, runAt: 1 });
+queueJobSchema.index({ status: 1, lockedAt: 1 });
+// Completed jobs are only kept for a week
+queueJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+queueJobSchema.statics.PRIORITIES = JOB_PRIORITIES;
+queueJobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('QueueJob', queueJobSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Price and duration distribution of one group of completed jobs
+const segmentSchema = new mongoose.Schema({
+  // e.g. "engine_trouble|car|Delhi"; "*" stands for any vehicle or region
+  key: {
+    type: String,
+    required: true
+  },
+  issueType: {
+    type: String,
+    required: true
+  },
+  vehicleType: {
+    type: String,
+    default: '*'
+  },
+  region: {
+    type: String,
+    default: '*'
+  },
+  // Amounts customers actually paid, in rupees
+  price: {
+    samples: { type: Number, default: 0 },
+    mean: Number,
+    p10: Number,
+    p25: Number,
+    p50: Number,
+    p75: Number,
+    p90: Number
+  },
+  // Minutes from starting work to completion
+  duration: {
+    samples: { type: Number, default: 0 },
+    p25: Number,
+    p50: Number,
+    p75: Number
+  }
+}, { _id: false });
+
+/**
+ * Output of one calibration run over completed jobs. The latest run is what quotations use; older
+ * runs are kept to compare how prices drift.
+ */
+const quotationCalibrationSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Completed jobs between these dates were used
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  // Segments with fewer samples are ignored when quoting
+  minSamples: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  pricedCount: {
+    type: Number,
+    default: 0
+  },
+  // Pricing rule whose regions the jobs were grouped by
+  regionRuleVersion: Number,
+  segments: [segmentSchema]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('QuotationCalibration', quotationCalibrationSchema);
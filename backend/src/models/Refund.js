@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const REFUND_STATUSES = ['requested', 'processing', 'processed', 'denied', 'failed'];
+
+// Requests that block a new refund request on the same payment
+const OPEN_REFUND_STATUSES = ['requested', 'processing'];
+
+const refundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment ID is required']
+  },
+  requestId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ServiceRequest',
+    required: [true, 'Service request ID is required']
+  },
+  customerId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required']
+  },
+  mechanicId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Most that could be refunded when the request was raised
+  refundableAmount: {
+    type: Number,
+    required: true
+  },
+  // Amount the customer asked for
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [1, 'Refund amount must be at least ₹1']
+  },
+  // Amount the admin approved, at most the refundable amount
+  approvedAmount: {
+    type: Number,
+    min: [1, 'Approved amount must be at least ₹1']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true,
+    maxlength: [500, 'Refund reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'requested'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  adminNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Admin note cannot exceed 500 characters']
+  },
+  // Customer asked for the whole refund as wallet credit
+  toWallet: {
+    type: Boolean,
+    default: false
+  },
+  // Part of the approved amount credited to the wallet; the rest goes back the way it was paid
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet amount cannot be negative']
+  },
+  // Cash payments are settled by hand, wallet-only refunds are credited straight away and everything
+  // else goes through the gateway that took the payment
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'mock', 'manual', 'wallet']
+  },
+  gatewayRefundId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  gatewayResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: Date,
+  failureReason: {
+    type: String,
+    maxlength: [500, 'Failure reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+refundSchema.index({ paymentId: 1, createdAt: -1 });
+refundSchema.index({ customerId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+refundSchema.virtual('isPartial').get(function() {
+  return (this.approvedAmount || this.amount) < this.refundableAmount;
+});
+
+refundSchema.statics.STATUSES = REFUND_STATUSES;
+refundSchema.statics.OPEN_STATUSES = OPEN_REFUND_STATUSES;
+
+module.exports = mongoose.model('Refund', refundSchema);
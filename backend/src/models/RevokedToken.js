@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Access-token denylist: a single token (jti) or every token of a session (sessionId)
+const revokedTokenSchema = new mongoose.Schema({
+  jti: String,
+  sessionId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'AuthSession'
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  // No access token outlives this, so the entry can go
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+revokedTokenSchema.index({ jti: 1 }, { sparse: true });
+revokedTokenSchema.index({ sessionId: 1 }, { sparse: true });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Decoded access-token payload -> whether it has been revoked
+revokedTokenSchema.statics.isRevoked = async function({ jti, sid } = {}) {
+  const conditions = [
+    ...(jti ? [{ jti }] : []),
+    ...(sid ? [{ sessionId: sid }] : [])
+  ];
+  if (conditions.length === 0) return false;
+
+  return !!(await this.exists({ $or: conditions }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const { calculateDistance, isPointInPolygon } = require('../utils/response');
+
+// Largest circle a mechanic may publish, used to bound $geoNear lookups
+const MAX_AREA_RADIUS_KM = 50;
+
+// Side of segment p-q that r lies on: 1, -1, or 0 when collinear
+const orientation = ([px, py], [qx, qy], [rx, ry]) => Math.sign((qx - px) * (ry - py) - (qy - py) * (rx - px));
+
+const onSegment = ([px, py], [qx, qy], [rx, ry]) =>
+  Math.min(px, qx) <= rx && rx <= Math.max(px, qx) && Math.min(py, qy) <= ry && ry <= Math.max(py, qy);
+
+const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b));
+};
+
+// Whether two edges of a closed ring that do not share a vertex cross or touch. MongoDB refuses to
+// index such polygons, so they are rejected as invalid input instead.
+const ringSelfIntersects = (ring) => {
+  const edges = ring.length - 1;
+  for (let i = 0; i < edges; i++) {
+    for (let j = i + 2; j < edges; j++) {
+      if (i === 0 && j === edges - 1) continue; // first and last edge share the closing point
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+const serviceAreaSchema = new mongoose.Schema({
+  mechanicId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Mechanic ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Area name is required'],
+    trim: true,
+    maxlength: [100, 'Area name cannot exceed 100 characters']
+  },
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    default: 'circle'
+  },
+  // GeoJSON Point (circle center) or Polygon (outer ring only)
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Point', 'Polygon'],
+      required: true
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Area coordinates are required']
+    }
+  },
+  radius: {
+    type: Number, // kilometers, circles only
+    min: [1, 'Service radius must be at least 1 km'],
+    max: [MAX_AREA_RADIUS_KM, `Service radius cannot exceed ${MAX_AREA_RADIUS_KM} km`]
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  basePrice: {
+    type: Number,
+    min: [0, 'Base price cannot be negative']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+serviceAreaSchema.index({ mechanicId: 1, isActive: 1 });
+serviceAreaSchema.index({ geometry: '2dsphere' });
+
+// Validate shape-specific fields
+serviceAreaSchema.pre('validate', function(next) {
+  if (this.shape === 'circle') {
+    if (this.geometry?.type !== 'Point') {
+      this.invalidate('geometry', 'Circle areas require a Point center');
+    }
+    if (!this.radius) {
+      this.invalidate('radius', 'Circle areas require a radius');
+    }
+  } else {
+    const ring = this.geometry?.coordinates?.[0];
+    if (this.geometry?.type !== 'Polygon' || !Array.isArray(ring) || ring.length < 4) {
+      this.invalidate('geometry', 'Polygon areas require a closed ring of at least 3 points');
+    } else if (ringSelfIntersects(ring)) {
+      this.invalidate('geometry', 'Polygon area edges must not cross each other');
+    }
+    this.radius = undefined;
+  }
+  next();
+});
+
+// Convenience accessor for circle centers
+serviceAreaSchema.virtual('center').get(function() {
+  if (this.shape !== 'circle' || !this.geometry?.coordinates) {
+    return null;
+  }
+  const [lng, lat] = this.geometry.coordinates;
+  return { lat, lng };
+});
+
+// Check whether a point falls inside this area
+serviceAreaSchema.methods.containsPoint = function(lat, lng) {
+  if (this.shape === 'circle') {
+    const [centerLng, centerLat] = this.geometry.coordinates;
+    return calculateDistance(centerLat, centerLng, lat, lng) <= this.radius;
+  }
+
+  // Outer ring only
+  return isPointInPolygon(this.geometry.coordinates[0], lat, lng);
+};
+
+// Build a GeoJSON geometry from API input ({ lat, lng } center or [{ lat, lng }] points)
+serviceAreaSchema.statics.buildGeometry = function(shape, { center, points } = {}) {
+  if (shape === 'polygon') {
+    if (!Array.isArray(points)) return null;
+    const ring = points.map(point => [Number(point.lng), Number(point.lat)]);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+      ring.push([...first]);
+    }
+    return { type: 'Polygon', coordinates: [ring] };
+  }
+
+  if (!center || center.lat === undefined || center.lng === undefined) return null;
+  return { type: 'Point', coordinates: [Number(center.lng), Number(center.lat)] };
+};
+
+// Find IDs of mechanics with an active area covering the given point
+serviceAreaSchema.statics.findMechanicsCovering = async function(lat, lng) {
+  const point = { type: 'Point', coordinates: [lng, lat] };
+
+  const [polygonAreas, circleAreas] = await Promise.all([
+    this.find({
+      shape: 'polygon',
+      isActive: true,
+      geometry: { $geoIntersects: { $geometry: point } }
+    }).select('mechanicId').lean(),
+
+    this.aggregate([
+      {
+        $geoNear: {
+          near: point,
+          key: 'geometry',
+          distanceField: 'distance',
+          maxDistance: MAX_AREA_RADIUS_KM * 1000,
+          query: { shape: 'circle', isActive: true }
+        }
+      },
+      { $match: { $expr: { $lte: ['$distance', { $multiply: ['$radius', 1000] }] } } },
+      { $project: { mechanicId: 1 } }
+    ])
+  ]);
+
+  const ids = new Set([...polygonAreas, ...circleAreas].map(area => area.mechanicId.toString()));
+  return [...ids];
+};
+
+module.exports = mongoose.model('ServiceArea', serviceAreaSchema);
@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
+const requestStateMachine = require('../services/requestStateMachine');
 
 const historySchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'assigned', 'enroute', 'in_progress', 'completed', 'cancelled']
+    enum: ['scheduled', 'pending', 'assigned', 'enroute', 'in_progress', 'completed', 'cancelled']
   },
   timestamp: {
     type: Date,
@@ -17,9 +18,138 @@ const historySchema = new mongoose.Schema({
   updatedBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User'
+  },
+  // Dispatch entries record offers made to mechanics without changing status
+  event: {
+    type: String,
+    enum: ['status_change', 'dispatch_offer', 'dispatch_timeout', 'dispatch_exhausted'],
+    default: 'status_change'
+  },
+  mechanicId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  wave: Number,
+  radius: Number // kilometers
+});
+
+// One breadcrumb of the assigned mechanic's live location
+const trackPointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  accuracy: Number, // meters
+  heading: Number, // degrees from north
+  speed: Number, // km/h
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A link the customer shared so someone without an account can follow the job. The signed
+// token carries this entry's id, so revoking the entry kills the link.
+const shareLinkSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// One line of a quote; amount is quantity x unitPrice
+const quoteItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['labour', 'parts', 'travel', 'surcharge']
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Item description cannot exceed 200 characters']
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Item amount cannot be negative']
+  }
+}, { _id: false });
+
+// A quote the mechanic proposed and how the customer answered it. Every change is a new revision;
+// revisions proposed after work started are supplementary and replace the approved amount once accepted.
+const quoteRevisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['initial', 'supplementary'],
+    default: 'initial'
+  },
+  items: [quoteItemSchema],
+  total: {
+    type: Number,
+    required: true,
+    min: [1, 'Quote total must be at least ₹1'],
+    max: [100000, 'Quote total seems too high']
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  proposedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  proposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'accepted', 'rejected', 'countered', 'superseded'],
+    default: 'proposed'
+  },
+  respondedAt: Date,
+  responseNote: {
+    type: String,
+    maxlength: [500, 'Response note cannot exceed 500 characters']
+  },
+  // Total the customer offered instead
+  counterAmount: Number
+}, { _id: false });
+
 const serviceRequestSchema = new mongoose.Schema({
   customerId: {
     type: mongoose.Schema.ObjectId,
@@ -98,18 +228,44 @@ const serviceRequestSchema = new mongoose.Schema({
     address: {
       type: String,
       maxlength: [200, 'Address cannot exceed 200 characters']
+    },
+    // State the service is done in; the place of supply on GST invoices
+    state: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'State cannot exceed 50 characters']
     }
   },
   status: {
     type: String,
-    enum: ['pending', 'assigned', 'enroute', 'in_progress', 'completed', 'cancelled'],
+    enum: ['scheduled', 'pending', 'assigned', 'enroute', 'in_progress', 'completed', 'cancelled'],
     default: 'pending'
   },
+  // Booked slot of a scheduled request; it becomes an assigned job at startAt
+  schedule: {
+    startAt: Date,
+    endAt: Date,
+    timezone: String, // mechanic's timezone when booked, for reminders
+    reminderSentAt: Date
+  },
   quotation: {
     type: Number,
     min: [0, 'Quotation cannot be negative'],
     max: [100000, 'Quotation seems too high']
   },
+  // Pricing rule version that produced the automatic quotation (0 is the built-in pricing)
+  pricingRuleVersion: Number,
+  // Itemized quote agreed between mechanic and customer; quotation follows the approved amount
+  quote: {
+    status: {
+      type: String,
+      enum: ['proposed', 'accepted', 'rejected', 'countered']
+    },
+    currentRevision: Number,
+    approvedAmount: Number,
+    approvedRevision: Number,
+    revisions: [quoteRevisionSchema]
+  },
   estimatedDuration: {
     type: Number, // in minutes
     min: [5, 'Duration must be at least 5 minutes'],
@@ -129,6 +285,39 @@ const serviceRequestSchema = new mongoose.Schema({
     min: [1, 'Broadcast radius must be at least 1 km'],
     max: [50, 'Broadcast radius cannot exceed 50 km']
   },
+  dispatch: {
+    wave: {
+      type: Number,
+      default: 0
+    },
+    radius: Number, // kilometers searched in the current wave
+    offeredTo: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }],
+    currentOffer: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }],
+    offerExpiresAt: Date,
+    exhaustedAt: Date
+  },
+  // Mechanic's route to the customer; the trail is kept after completion for disputes
+  tracking: {
+    trail: {
+      type: [trackPointSchema],
+      select: false
+    },
+    lastLocation: trackPointSchema,
+    speedKmh: Number, // smoothed travel speed used for the ETA
+    distanceKm: Number, // straight-line distance to the customer
+    etaMinutes: Number,
+    updatedAt: Date
+  },
+  shareLinks: {
+    type: [shareLinkSchema],
+    select: false
+  },
   isDirectChat: {
     type: Boolean,
     default: false
@@ -143,7 +332,7 @@ const serviceRequestSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paidAt: Date,
@@ -191,6 +380,13 @@ serviceRequestSchema.index({ reviewId: 1 });
 serviceRequestSchema.index({ location: '2dsphere' });
 serviceRequestSchema.index({ issueType: 1 });
 serviceRequestSchema.index({ priority: 1, status: 1 });
+serviceRequestSchema.index({ 'dispatch.offeredTo': 1, status: 1 });
+serviceRequestSchema.index({ status: 1, 'schedule.startAt': 1 });
+// A mechanic's slot can only be booked once
+serviceRequestSchema.index(
+  { mechanicId: 1, 'schedule.startAt': 1 },
+  { unique: true, partialFilterExpression: { status: 'scheduled' } }
+);
 
 // Virtual for duration calculation
 serviceRequestSchema.virtual('actualDurationMinutes').get(function() {
@@ -208,9 +404,12 @@ serviceRequestSchema.virtual('responseTimeMinutes').get(function() {
   return null;
 });
 
-// Update status with history tracking
-serviceRequestSchema.methods.updateStatus = function(newStatus, updatedBy, note = '') {
+// Update status with history tracking. Throws InvalidTransitionError when `role`
+// may not make this move; transition hooks run once the change is saved.
+serviceRequestSchema.methods.updateStatus = async function(newStatus, updatedBy, note = '', role = 'system') {
   const previousStatus = this.status;
+  requestStateMachine.assertTransition(previousStatus, newStatus, role);
+
   this.status = newStatus;
   
   // Add to history
@@ -240,12 +439,60 @@ serviceRequestSchema.methods.updateStatus = function(newStatus, updatedBy, note
       break;
   }
 
-  return this.save();
+  await this.save();
+  await requestStateMachine.runHooks(this, {
+    from: previousStatus,
+    to: newStatus,
+    updatedBy,
+    role
+  });
+
+  return this;
+};
+
+// Atomically assign a pending request to a mechanic. Only direct bookings for the
+// mechanic or broadcast requests currently offered to them qualify; resolves null
+// when another mechanic got there first.
+serviceRequestSchema.statics.claimForMechanic = function(requestId, mechanicId, { updates = {}, note = '' } = {}) {
+  const acceptedAt = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: requestId,
+      status: 'pending',
+      $or: [
+        { mechanicId },
+        { mechanicId: null, 'dispatch.currentOffer': mechanicId }
+      ]
+    },
+    {
+      $set: {
+        ...updates,
+        mechanicId,
+        status: 'assigned',
+        acceptedAt
+      },
+      $push: {
+        history: {
+          status: 'assigned',
+          timestamp: acceptedAt,
+          note,
+          updatedBy: mechanicId
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Whether the mechanic already holds the request, as when they retry an accept that went through
+serviceRequestSchema.methods.isAcceptedBy = function(mechanicId) {
+  return this.status === 'assigned' && Boolean(this.mechanicId) && this.mechanicId.toString() === mechanicId.toString();
 };
 
 // Check if request can be cancelled
 serviceRequestSchema.methods.canBeCancelled = function() {
-  return ['pending', 'assigned', 'enroute'].includes(this.status);
+  return requestStateMachine.canTransition(this.status, 'cancelled', 'customer');
 };
 
 // Check if request can be reviewed
@@ -257,9 +504,9 @@ serviceRequestSchema.methods.canBeReviewed = function() {
 serviceRequestSchema.pre('save', function(next) {
   if (this.isNew) {
     this.history.push({
-      status: 'pending',
+      status: this.status,
       timestamp: new Date(),
-      note: 'Service request created'
+      note: this.status === 'scheduled' ? 'Service booked for a scheduled slot' : 'Service request created'
     });
   }
   next();
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A run that settles every mechanic's ledger entries posted before periodEnd
+const settlementBatchSchema = new mongoose.Schema({
+  periodStart: Date,
+  periodEnd: {
+    type: Date,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  totals: {
+    payouts: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    // Mechanics whose balance was zero or owed to the platform, carried into the next batch
+    carriedForward: { type: Number, default: 0 }
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+settlementBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SettlementBatch', settlementBatchSchema);
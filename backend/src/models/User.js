@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { toGeoPoint } = require('../utils/response');
+
+// GeoJSON Point stored as [lng, lat]; lat/lng virtuals keep older readers working
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    validate: {
+      validator: function(v) {
+        return v.length === 2 &&
+          v[0] >= -180 && v[0] <= 180 &&
+          v[1] >= -90 && v[1] <= 90;
+      },
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+pointSchema.virtual('lat').get(function() {
+  return this.coordinates?.[1];
+});
+
+pointSchema.virtual('lng').get(function() {
+  return this.coordinates?.[0];
+});
+
+// Channel choices for one notification event; unset channels use the event defaults
+const channelPreferenceSchema = new mongoose.Schema({
+  email: Boolean,
+  sms: Boolean,
+  push: Boolean,
+  inApp: Boolean
+}, { _id: false });
 
 const vehicleSchema = new mongoose.Schema({
   name: {
@@ -51,6 +92,34 @@ const vehicleSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Someone a customer's SOS alerts go to; reached by SMS, email or both
+const trustedContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Contact name cannot exceed 50 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[+]?[1-9][\d]{7,14}$/, 'Please enter a valid phone number']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  relationship: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Relationship cannot exceed 30 characters']
+  }
+}, {
+  timestamps: true
+});
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -83,18 +152,17 @@ const userSchema = new mongoose.Schema({
     default: 'customer'
   },
   location: {
-    lat: {
-      type: Number,
-      min: -90,
-      max: 90
-    },
-    lng: {
-      type: Number,
-      min: -180,
-      max: 180
-    }
+    type: pointSchema,
+    set: toGeoPoint
   },
   vehicles: [vehicleSchema],
+  trustedContacts: {
+    type: [trustedContactSchema],
+    validate: {
+      validator: (contacts) => contacts.length <= 5,
+      message: 'At most 5 trusted contacts can be saved'
+    }
+  },
   rating: {
     type: Number,
     default: 0,
@@ -105,6 +173,33 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  completedJobs: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Issue types a mechanic specialises in, used to rank dispatch candidates
+  specializations: [{
+    type: String,
+    enum: [
+      'flat_tire',
+      'battery_dead',
+      'engine_trouble',
+      'fuel_empty',
+      'key_locked',
+      'accident',
+      'overheating',
+      'brake_failure',
+      'transmission_issue',
+      'other'
+    ]
+  }],
+  // Notification channel preferences keyed by event type (see config/notificationEvents)
+  notificationPreferences: {
+    type: Map,
+    of: channelPreferenceSchema,
+    default: {}
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -125,6 +220,8 @@ const userSchema = new mongoose.Schema({
 // Index for geospatial queries
 userSchema.index({ location: '2dsphere' });
 userSchema.index({ role: 1, isActive: 1 });
+userSchema.index({ role: 1, rating: -1 });
+userSchema.index({ role: 1, completedJobs: -1 });
 userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 
@@ -138,6 +235,23 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Normalise { lat, lng } locations passed through update queries
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  [update, update.$set].forEach(target => {
+    if (target && target.location !== undefined) {
+      const point = toGeoPoint(target.location);
+      if (point) {
+        target.location = point;
+      } else {
+        delete target.location;
+      }
+    }
+  });
+  this.setUpdate(update);
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.passwordHash);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Running balance of a customer's wallet. Every change is a WalletTransaction; the balance is kept
+// here so a debit can check and spend it in one atomic update.
+const walletSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required'],
+    unique: true
+  },
+  // Whole paise, so repeated credits and debits never drift
+  balancePaise: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    enum: ['INR']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+walletSchema.virtual('balance').get(function() {
+  return this.balancePaise / 100;
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
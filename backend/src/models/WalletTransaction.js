@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// What each transaction records; credits add to the customer's wallet, debits spend it
+const WALLET_CATEGORIES = {
+  refund: 'credit', // refund paid back into the wallet
+  referral_reward: 'credit', // reward for referring another customer
+  goodwill: 'credit', // credit granted by an admin, e.g. after a bad experience
+  payment: 'debit', // wallet share of a service payment
+  payment_reversal: 'credit' // wallet share of a payment that failed or was dropped
+};
+
+const walletTransactionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: Object.keys(WALLET_CATEGORIES),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Wallet amounts are positive; use the transaction type for direction']
+  },
+  // Wallet balance right after this transaction
+  balanceAfter: Number,
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  paymentId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Payment'
+  },
+  requestId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ServiceRequest'
+  },
+  refundId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Refund'
+  },
+  // Admin who granted a goodwill or referral credit
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ customerId: 1, createdAt: -1 });
+walletTransactionSchema.index({ customerId: 1, category: 1, createdAt: -1 });
+
+// A payment's wallet share is held once and given back at most once, even when checkout is retried
+// or the gateway reports a failure more than once
+walletTransactionSchema.index(
+  { paymentId: 1, category: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $exists: true } } }
+);
+// Refund credit is posted once, whether the refund finishes on approval or on a redelivered webhook
+walletTransactionSchema.index(
+  { refundId: 1, category: 1 },
+  { unique: true, partialFilterExpression: { refundId: { $exists: true } } }
+);
+
+walletTransactionSchema.virtual('signedAmount').get(function() {
+  return this.type === 'credit' ? this.amount : -this.amount;
+});
+
+walletTransactionSchema.statics.CATEGORIES = WALLET_CATEGORIES;
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
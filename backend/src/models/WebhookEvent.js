@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Every webhook delivery we accepted, keyed by the provider's event ID so redeliveries are applied once
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay', 'mock'],
+    required: [true, 'Provider is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  event: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  // Parsed request body exactly as the provider sent it
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Event body is required']
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed'],
+    default: 'received'
+  },
+  deliveries: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    maxlength: [1000, 'Error cannot exceed 1000 characters']
+  },
+  processedAt: Date,
+  replayedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  replayedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -4,12 +4,19 @@ const adminController = require('../controllers/adminController');
 const userController = require('../controllers/userController');
 const reviewController = require('../controllers/reviewController');
 const paymentController = require('../controllers/paymentController');
+const refundController = require('../controllers/refundController');
+const cashPaymentController = require('../controllers/cashPaymentController');
+const payoutController = require('../controllers/payoutController');
+const walletController = require('../controllers/walletController');
+const pricingRuleController = require('../controllers/pricingRuleController');
+const emergencyController = require('../controllers/emergencyController');
 const mechanicVerificationController = require('../controllers/mechanicVerificationController');
 const { authenticateToken } = require('../middlewares/authMiddleware');
 const { authorize } = require('../middlewares/authMiddleware');
 const { validate, schemas } = require('../middlewares/validationMiddleware');
 const uploadMiddleware = require('../middlewares/uploadMiddleware');
 const { apiLimiter } = require('../middlewares/rateLimitMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
@@ -130,6 +137,58 @@ router.post('/users/bulk-action', adminController.bulkUserActions);
  */
 router.get('/system/health', adminController.getSystemHealth);
 
+/**
+ * @swagger
+ * /api/admin/system/queue/dead-letter:
+ *   get:
+ *     summary: List background jobs that ran out of retry attempts
+ *     tags: [Admin - System]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by job type, e.g. notification.email
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Dead-letter jobs retrieved successfully
+ */
+router.get('/system/queue/dead-letter', adminController.getDeadLetterJobs);
+
+/**
+ * @swagger
+ * /api/admin/system/queue/dead-letter/{jobId}/replay:
+ *   post:
+ *     summary: Put a dead-lettered job back on the queue with fresh attempts
+ *     tags: [Admin - System]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job queued for replay
+ *       404:
+ *         description: Dead-letter job not found
+ */
+router.post('/system/queue/dead-letter/:jobId/replay', adminController.replayDeadLetterJob);
+
 // User Management Routes
 
 /**
@@ -336,7 +395,18 @@ router.get('/service-requests', adminController.getServiceRequests);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, success, failed, refunded]
+ *           enum: [pending, processing, success, failed, partially_refunded, refunded]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [UPI, Card, NetBanking, Wallet, Cash]
+ *       - in: query
+ *         name: cashStatus
+ *         description: Reconciliation state of cash payments
+ *         schema:
+ *           type: string
+ *           enum: [awaiting_confirmation, confirmed, disputed, resolved, rejected]
  *       - in: query
  *         name: dateFrom
  *         schema:
@@ -358,6 +428,167 @@ router.get('/service-requests', adminController.getServiceRequests);
  */
 router.get('/payments', adminController.getPayments);
 
+/**
+ * @swagger
+ * /api/admin/payments/refunds:
+ *   get:
+ *     summary: List refund requests
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, processing, processed, denied, failed]
+ *     responses:
+ *       200:
+ *         description: Refund requests retrieved
+ */
+router.get('/payments/refunds', refundController.getRefunds);
+
+/**
+ * @swagger
+ * /api/admin/payments/refunds/{refundId}/approve:
+ *   post:
+ *     summary: Approve a refund request, optionally for a lower amount
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund approved
+ */
+router.post('/payments/refunds/:refundId/approve',
+  validate(schemas.refundApproval),
+  refundController.approveRefund
+);
+
+/**
+ * @swagger
+ * /api/admin/payments/refunds/{refundId}/deny:
+ *   post:
+ *     summary: Deny a refund request
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund request denied
+ */
+router.post('/payments/refunds/:refundId/deny',
+  validate(schemas.refundDenial),
+  refundController.denyRefund
+);
+
+/**
+ * @swagger
+ * /api/admin/payments/webhooks:
+ *   get:
+ *     summary: List received payment gateway webhook events
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processing, processed, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook events retrieved
+ */
+router.get('/payments/webhooks',
+  validate(schemas.webhookEventQuery, 'query'),
+  paymentController.getWebhookEvents
+);
+
+/**
+ * @swagger
+ * /api/admin/payments/webhooks/{eventId}/replay:
+ *   post:
+ *     summary: Process a failed webhook event again
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook event replayed
+ *       409:
+ *         description: Webhook event has already been processed
+ */
+router.post('/payments/webhooks/:eventId/replay', paymentController.replayWebhookEvent);
+
+/**
+ * @swagger
+ * /api/admin/payments/{paymentId}/cash/resolve:
+ *   post:
+ *     summary: Accept a cash payment, optionally at a different amount
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cash payment resolved
+ */
+router.post('/payments/:paymentId/cash/resolve',
+  validate(schemas.cashResolution),
+  cashPaymentController.resolveCollection
+);
+
+/**
+ * @swagger
+ * /api/admin/payments/{paymentId}/cash/reject:
+ *   post:
+ *     summary: Reject a cash payment so the service has to be paid online
+ *     tags: [Admin - Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cash payment rejected
+ */
+router.post('/payments/:paymentId/cash/reject',
+  validate(schemas.cashRejection),
+  cashPaymentController.rejectCollection
+);
+
 /**
  * @swagger
  * /api/admin/payments/{paymentId}:
@@ -378,6 +609,323 @@ router.get('/payments', adminController.getPayments);
  */
 router.get('/payments/:paymentId', paymentController.getPaymentDetails);
 
+// Customer Wallet Routes
+/**
+ * @swagger
+ * /api/admin/customers/{customerId}/wallet/transactions:
+ *   get:
+ *     summary: List a customer's wallet balance and transactions
+ *     tags: [Admin - Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet transactions retrieved
+ */
+router.get('/customers/:customerId/wallet/transactions',
+  validate(schemas.walletTransactionQuery, 'query'),
+  walletController.getCustomerTransactions
+);
+
+/**
+ * @swagger
+ * /api/admin/customers/{customerId}/wallet/credits:
+ *   post:
+ *     summary: Grant a goodwill or referral credit
+ *     tags: [Admin - Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Wallet credited
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/customers/:customerId/wallet/credits',
+  validate(schemas.walletCredit),
+  idempotent,
+  walletController.grantCredit
+);
+
+// Pricing Rule Routes
+/**
+ * @swagger
+ * /api/admin/pricing-rules:
+ *   get:
+ *     summary: List pricing rule versions
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pricing rules retrieved
+ */
+router.get('/pricing-rules', pricingRuleController.getPricingRules);
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/active:
+ *   get:
+ *     summary: Get the pricing in force
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active pricing retrieved
+ */
+router.get('/pricing-rules/active', pricingRuleController.getActivePricingRule);
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/simulate:
+ *   post:
+ *     summary: Compare a sample quotation under the current and a candidate rule
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quote simulated
+ */
+router.post('/pricing-rules/simulate',
+  validate(schemas.pricingSimulation),
+  pricingRuleController.simulateQuote
+);
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/{ruleId}:
+ *   get:
+ *     summary: Get a pricing rule version
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pricing rule retrieved
+ */
+router.get('/pricing-rules/:ruleId', pricingRuleController.getPricingRule);
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules:
+ *   post:
+ *     summary: Publish a new pricing rule version
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Pricing rule published
+ */
+router.post('/pricing-rules',
+  validate(schemas.pricingRule),
+  idempotent,
+  pricingRuleController.createPricingRule
+);
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/{ruleId}:
+ *   put:
+ *     summary: Edit a scheduled pricing rule
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pricing rule updated
+ *       409:
+ *         description: Rule already in effect
+ */
+router.put('/pricing-rules/:ruleId',
+  validate(schemas.updatePricingRule),
+  pricingRuleController.updatePricingRule
+);
+
+/**
+ * @swagger
+ * /api/admin/pricing-rules/{ruleId}:
+ *   delete:
+ *     summary: Delete a scheduled pricing rule
+ *     tags: [Admin - Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pricing rule deleted
+ *       409:
+ *         description: Rule already in effect
+ */
+router.delete('/pricing-rules/:ruleId', pricingRuleController.deletePricingRule);
+
+// SOS Incident Routes
+/**
+ * @swagger
+ * /api/admin/incidents:
+ *   get:
+ *     summary: List SOS incidents
+ *     tags: [Admin - Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Incidents retrieved
+ */
+router.get('/incidents', validate(schemas.incidentQuery, 'query'), emergencyController.getIncidents);
+
+/**
+ * @swagger
+ * /api/admin/incidents/{incidentId}:
+ *   get:
+ *     summary: Get an SOS incident with its location trail
+ *     tags: [Admin - Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Incident retrieved
+ */
+router.get('/incidents/:incidentId', emergencyController.getIncident);
+
+/**
+ * @swagger
+ * /api/admin/incidents/{incidentId}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an open SOS incident
+ *     tags: [Admin - Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Incident acknowledged
+ */
+router.post('/incidents/:incidentId/acknowledge', emergencyController.acknowledgeIncident);
+
+/**
+ * @swagger
+ * /api/admin/incidents/{incidentId}/resolve:
+ *   post:
+ *     summary: Resolve an SOS incident
+ *     tags: [Admin - Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Incident resolved
+ */
+router.post('/incidents/:incidentId/resolve', validate(schemas.incidentResolution), emergencyController.resolveIncident);
+
+// Payout Management Routes
+/**
+ * @swagger
+ * /api/admin/payouts/batches:
+ *   post:
+ *     summary: Run the weekly settlement batch
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Settlement batch completed
+ *       409:
+ *         description: A batch already exists for this period
+ */
+router.post('/payouts/batches',
+  validate(schemas.settlementBatch),
+  payoutController.runSettlement
+);
+
+/**
+ * @swagger
+ * /api/admin/payouts/batches:
+ *   get:
+ *     summary: List settlement batches
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settlement batches retrieved
+ */
+router.get('/payouts/batches', payoutController.getBatches);
+
+/**
+ * @swagger
+ * /api/admin/payouts:
+ *   get:
+ *     summary: List payouts by status, batch or mechanic
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payouts retrieved
+ */
+router.get('/payouts', payoutController.getPayouts);
+
+/**
+ * @swagger
+ * /api/admin/payouts/{payoutId}:
+ *   get:
+ *     summary: Get a payout statement
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout statement retrieved
+ */
+router.get('/payouts/:payoutId', payoutController.getPayoutStatement);
+
+/**
+ * @swagger
+ * /api/admin/payouts/{payoutId}:
+ *   patch:
+ *     summary: Mark a payout as paid or failed
+ *     tags: [Admin - Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout updated
+ */
+router.patch('/payouts/:payoutId',
+  validate(schemas.payoutStatusUpdate),
+  payoutController.updatePayoutStatus
+);
+
 // Review Management Routes
 
 /**
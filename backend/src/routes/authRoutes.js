@@ -3,6 +3,7 @@ const router = express.Router();
 const authController = require('../controllers/authController');
 const { validate, schemas } = require('../middlewares/validationMiddleware');
 const { authLimiter, passwordResetLimiter } = require('../middlewares/rateLimitMiddleware');
+const { authenticateToken } = require('../middlewares/authMiddleware');
 
 // Register route
 router.post('/register', 
@@ -60,4 +61,15 @@ router.post('/refresh-token',
   authController.refreshToken
 );
 
+// Logout routes
+router.post('/logout',
+  authenticateToken,
+  authController.logout
+);
+
+router.post('/logout-all',
+  authenticateToken,
+  authController.logoutAll
+);
+
 module.exports = router;
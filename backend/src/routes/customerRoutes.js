@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const customerController = require('../controllers/customerController');
 const requestController = require('../controllers/requestController');
+const scheduleController = require('../controllers/scheduleController');
+const walletController = require('../controllers/walletController');
+const quoteController = require('../controllers/quoteController');
+const emergencyController = require('../controllers/emergencyController');
+const trackingShareController = require('../controllers/trackingShareController');
 const { authenticateToken } = require('../middlewares/authMiddleware');
 const { validate, schemas } = require('../middlewares/validationMiddleware');
 const uploadMiddleware = require('../middlewares/uploadMiddleware');
@@ -12,6 +17,7 @@ router.get('/mechanics/nearby', customerController.getNearbyMechanics);
 // Apply authentication to other customer routes
 router.use(authenticateToken);
 router.get('/mechanics/:mechanicId', customerController.getMechanicDetails);
+router.get('/mechanics/:mechanicId/slots', validate(schemas.bookingSlots, 'query'), scheduleController.getMechanicSlots);
 
 // Service request routes
 router.post('/service-requests', validate(schemas.createServiceRequest), requestController.createServiceRequest);
@@ -20,7 +26,12 @@ router.get('/service-requests', customerController.getServiceRequests);
 // Request management routes (using requestController)
 router.get('/requests', requestController.getMyRequests);
 router.get('/requests/:id', requestController.getRequestDetails);
+router.get('/requests/:id/trail', requestController.getRequestTrail);
 router.patch('/requests/:id/cancel', requestController.cancelRequest);
+router.post('/requests/:id/quote/:action(accept|reject|counter)', validate(schemas.quoteResponse), quoteController.respondToQuote);
+router.get('/requests/:id/share-links', trackingShareController.getShareLinks);
+router.post('/requests/:id/share-links', validate(schemas.trackingShareLink), trackingShareController.createShareLink);
+router.delete('/requests/:id/share-links/:linkId', trackingShareController.revokeShareLink);
 
 // Upload routes
 router.post('/upload/images', uploadMiddleware.serviceImages, requestController.uploadImages);
@@ -32,4 +43,18 @@ router.put('/vehicles/:vehicleId', validate(schemas.updateVehicle), customerCont
 router.delete('/vehicles/:vehicleId', customerController.deleteVehicle);
 router.patch('/vehicles/:vehicleId/default', customerController.setDefaultVehicle);
 
+// Wallet routes
+router.get('/wallet', walletController.getMyWallet);
+router.get('/wallet/transactions', validate(schemas.walletTransactionQuery, 'query'), walletController.getMyTransactions);
+
+// Trusted contacts and SOS routes
+router.get('/trusted-contacts', emergencyController.getTrustedContacts);
+router.post('/trusted-contacts', validate(schemas.trustedContact), emergencyController.addTrustedContact);
+router.put('/trusted-contacts/:contactId', validate(schemas.trustedContact), emergencyController.updateTrustedContact);
+router.delete('/trusted-contacts/:contactId', emergencyController.removeTrustedContact);
+router.get('/sos', emergencyController.getMySosIncidents);
+router.post('/sos', validate(schemas.sosAlert), emergencyController.raiseSos);
+router.post('/sos/:incidentId/location', validate(schemas.sosLocation), emergencyController.updateSosLocation);
+router.post('/sos/:incidentId/resolve', validate(schemas.sosResolution), emergencyController.resolveMySos);
+
 module.exports = router;
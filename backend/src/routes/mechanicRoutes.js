@@ -5,6 +5,10 @@ const requestController = require('../controllers/requestController');
 const userController = require('../controllers/userController');
 const reviewController = require('../controllers/reviewController');
 const paymentController = require('../controllers/paymentController');
+const payoutController = require('../controllers/payoutController');
+const scheduleController = require('../controllers/scheduleController');
+const cashPaymentController = require('../controllers/cashPaymentController');
+const quoteController = require('../controllers/quoteController');
 const mechanicVerificationController = require('../controllers/mechanicVerificationController');
 const { authenticateToken } = require('../middlewares/authMiddleware');
 const { authorize } = require('../middlewares/authMiddleware');
@@ -148,6 +152,50 @@ router.get('/earnings/chart', mechanicController.getEarningsChart);
  */
 router.get('/earnings/export', mechanicController.exportEarnings);
 
+/**
+ * @swagger
+ * /api/mechanic/earnings/balance:
+ *   get:
+ *     summary: Get unsettled balance, payouts in transit and settled totals
+ *     tags: [Mechanic - Earnings]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/earnings/balance', payoutController.getBalance);
+
+/**
+ * @swagger
+ * /api/mechanic/earnings/ledger:
+ *   get:
+ *     summary: Get ledger entries (earnings, commission, cash collected, refunds, payouts)
+ *     tags: [Mechanic - Earnings]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/earnings/ledger', payoutController.getLedgerEntries);
+
+/**
+ * @swagger
+ * /api/mechanic/earnings/payouts:
+ *   get:
+ *     summary: Get payouts from settlement batches
+ *     tags: [Mechanic - Earnings]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/earnings/payouts', payoutController.getMyPayouts);
+
+/**
+ * @swagger
+ * /api/mechanic/earnings/payouts/{payoutId}:
+ *   get:
+ *     summary: Get the statement of one payout
+ *     tags: [Mechanic - Earnings]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/earnings/payouts/:payoutId', payoutController.getPayoutStatement);
+
 /**
  * @swagger
  * /api/mechanic/service-areas:
@@ -168,7 +216,24 @@ router.get('/service-areas', mechanicController.getServiceAreas);
  *     security:
  *       - bearerAuth: []
  */
-router.post('/service-areas', mechanicController.addServiceArea);
+router.post('/service-areas',
+  validate(schemas.serviceArea),
+  mechanicController.addServiceArea
+);
+
+/**
+ * @swagger
+ * /api/mechanic/service-areas/{areaId}:
+ *   put:
+ *     summary: Update or toggle a service area
+ *     tags: [Mechanic - Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/service-areas/:areaId',
+  validate(schemas.updateServiceArea),
+  mechanicController.updateServiceArea
+);
 
 /**
  * @swagger
@@ -327,6 +392,61 @@ router.patch('/availability',
   mechanicController.updateAvailability
 );
 
+// Schedule Routes
+
+/**
+ * @swagger
+ * /api/mechanic/schedule:
+ *   get:
+ *     summary: Get working hours, blocked times and bookings between two dates
+ *     tags: [Mechanic - Schedule]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/schedule',
+  validate(schemas.scheduleRange, 'query'),
+  scheduleController.getMySchedule
+);
+
+/**
+ * @swagger
+ * /api/mechanic/schedule/hours:
+ *   put:
+ *     summary: Publish weekly working hours customers can book into
+ *     tags: [Mechanic - Schedule]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/schedule/hours',
+  validate(schemas.workingHours),
+  scheduleController.updateWorkingHours
+);
+
+/**
+ * @swagger
+ * /api/mechanic/schedule/blocks:
+ *   post:
+ *     summary: Block out time so it cannot be booked
+ *     tags: [Mechanic - Schedule]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/schedule/blocks',
+  validate(schemas.blockedTime),
+  scheduleController.addBlockedTime
+);
+
+/**
+ * @swagger
+ * /api/mechanic/schedule/blocks/{blockId}:
+ *   delete:
+ *     summary: Remove blocked-out time
+ *     tags: [Mechanic - Schedule]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/schedule/blocks/:blockId', scheduleController.removeBlockedTime);
+
 // Service Request Routes
 
 /**
@@ -397,6 +517,8 @@ router.get('/requests', mechanicController.getAssignedRequests);
  *     responses:
  *       200:
  *         description: Request accepted successfully
+ *       409:
+ *         description: Request was already accepted by another mechanic
  */
 router.patch('/requests/:requestId/accept',
   mechanicController.acceptRequest
@@ -433,6 +555,25 @@ router.post('/requests/:requestId/reject',
   requestController.rejectRequest
 );
 
+/**
+ * @swagger
+ * /api/mechanic/requests/{requestId}/quote:
+ *   post:
+ *     summary: Propose an itemized quote (labour, parts, travel, surcharge)
+ *     tags: [Mechanic - Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Quote proposed
+ *       409:
+ *         description: The request is finished, or another revision was proposed first
+ */
+router.post('/requests/:requestId/quote',
+  validate(schemas.quoteProposal),
+  quoteController.proposeQuote
+);
+
 /**
  * @swagger
  * /api/mechanic/requests/{requestId}/start:
@@ -461,6 +602,8 @@ router.post('/requests/:requestId/reject',
  *     responses:
  *       200:
  *         description: Work started successfully
+ *       409:
+ *         description: The customer has not accepted a quote yet
  */
 router.patch('/requests/:requestId/start',
   mechanicController.startWork
@@ -509,14 +652,53 @@ router.patch('/requests/:requestId/start',
  *               recommendations:
  *                 type: string
  *                 maxLength: 500
+ *               cashCollected:
+ *                 type: number
+ *                 description: Cash taken from the customer, sent to them to confirm instead of an online payment
  *     responses:
  *       200:
  *         description: Service completed successfully
+ *       409:
+ *         description: finalAmount is above the approved quote; a supplementary quote has to be accepted first
  */
 router.patch('/requests/:requestId/complete',
   mechanicController.completeRequest
 );
 
+/**
+ * @swagger
+ * /api/mechanic/requests/{requestId}/cash:
+ *   post:
+ *     summary: Record cash collected from the customer for a completed service
+ *     tags: [Mechanic - Service Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Cash recorded and sent to the customer to confirm
+ */
+router.post('/requests/:requestId/cash',
+  validate(schemas.cashCollection),
+  cashPaymentController.recordCollection
+);
+
 /**
  * @swagger
  * /api/mechanic/requests/{requestId}/status:
@@ -546,12 +728,59 @@ router.patch('/requests/:requestId/complete',
  *     responses:
  *       200:
  *         description: Status updated successfully
+ *       403:
+ *         description: Role may not make this transition (code TRANSITION_FORBIDDEN)
+ *       409:
+ *         description: Transition not allowed from the current status (code INVALID_STATUS_TRANSITION), or moving to in_progress without an accepted quote (QUOTE_NOT_ACCEPTED)
  */
 router.patch('/requests/:requestId/status',
   validate(schemas.updateRequestStatus),
   mechanicController.updateRequestStatus
 );
 
+/**
+ * @swagger
+ * /api/mechanic/requests/{id}/location:
+ *   post:
+ *     summary: Record live location for an active request
+ *     tags: [Mechanic - Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Location recorded with the updated distance and ETA
+ */
+router.post('/requests/:id/location',
+  validate(schemas.trackingLocation),
+  requestController.recordLocation
+);
+
+/**
+ * @swagger
+ * /api/mechanic/requests/{id}/trail:
+ *   get:
+ *     summary: Get the stored location trail of a request
+ *     tags: [Mechanic - Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Location trail retrieved
+ */
+router.get('/requests/:id/trail', requestController.getRequestTrail);
+
 // Earnings Routes
 
 /**
@@ -603,7 +832,7 @@ router.get('/earnings', mechanicController.getEarnings);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, success, failed, refunded]
+ *           enum: [pending, success, failed, partially_refunded, refunded]
  *     responses:
  *       200:
  *         description: Payment history retrieved successfully
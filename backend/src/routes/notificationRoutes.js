@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticateToken } = require('../middlewares/authMiddleware');
+const { validate, schemas } = require('../middlewares/validationMiddleware');
+
+// Public provider callback route (authenticated by the provider's signature)
+/**
+ * @swagger
+ * /api/notifications/sms/status/{provider}:
+ *   post:
+ *     summary: Receive SMS delivery status reports
+ *     tags: [Notifications]
+ *     description: Status callback endpoint for the configured SMS provider (set TWILIO_STATUS_CALLBACK_URL to this URL)
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [twilio]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             description: Provider status payload (MessageSid, MessageStatus, ErrorCode)
+ *     responses:
+ *       200:
+ *         description: Status recorded
+ *       403:
+ *         description: Unknown provider or invalid signature
+ */
+router.post('/sms/status/:provider', notificationController.handleSmsStatusCallback);
+
+/**
+ * @swagger
+ * /api/notifications/push/public-key:
+ *   get:
+ *     summary: Get the VAPID public key for Web Push subscriptions
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: VAPID public key
+ *       503:
+ *         description: Web Push is not configured on the server
+ */
+router.get('/push/public-key', notificationController.getPushPublicKey);
+
+// Routes below require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/notifications/push/subscriptions:
+ *   post:
+ *     summary: Register this device for Web Push notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subscription
+ *             properties:
+ *               subscription:
+ *                 type: object
+ *                 description: PushSubscription.toJSON() from the browser
+ *               deviceId:
+ *                 type: string
+ *                 description: Stable identifier for this browser install
+ *     responses:
+ *       201:
+ *         description: Subscription saved
+ *       400:
+ *         description: Validation error
+ *   delete:
+ *     summary: Unregister a device from Web Push notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *               deviceId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ */
+router.post('/push/subscriptions', validate(schemas.pushSubscription), notificationController.subscribePush);
+router.delete('/push/subscriptions', validate(schemas.pushUnsubscribe), notificationController.unsubscribePush);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the current user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [unread, read]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Notifications with unread count and pagination
+ */
+router.get('/', notificationController.getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get channel preferences for each notification event
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Effective email/sms/push/inApp settings per event type
+ *   put:
+ *     summary: Update channel preferences
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preferences
+ *             properties:
+ *               preferences:
+ *                 type: object
+ *                 description: 'Event type mapped to channel flags, e.g. { "status_update": { "sms": false } }'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Validation error
+ */
+router.get('/preferences', notificationController.getNotificationPreferences);
+router.put('/preferences', validate(schemas.notificationPreferences), notificationController.updateNotificationPreferences);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.patch('/read-all', notificationController.markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: 'Mark a notification as read (send { "isRead": false } to mark unread)'
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification updated
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id/read', notificationController.markNotificationRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *       404:
+ *         description: Notification not found
+ */
+router.delete('/:id', notificationController.deleteNotification);
+
+module.exports = router;
@@ -1,35 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
+const refundController = require('../controllers/refundController');
+const invoiceController = require('../controllers/invoiceController');
+const cashPaymentController = require('../controllers/cashPaymentController');
+const paymentService = require('../services/paymentService');
 const { authenticateToken } = require('../middlewares/authMiddleware');
 const { authorize } = require('../middlewares/authMiddleware');
 const { validate, schemas } = require('../middlewares/validationMiddleware');
 const { paymentLimiter } = require('../middlewares/rateLimitMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
 
 // Public webhook route (no authentication required)
 /**
  * @swagger
- * /api/payments/webhook/razorpay:
+ * /api/payments/webhook/{gateway}:
  *   post:
- *     summary: Handle Razorpay webhook events
+ *     summary: Handle payment gateway webhook events
  *     tags: [Payments]
- *     description: Webhook endpoint for Razorpay payment notifications
+ *     description: |
+ *       Webhook endpoint for payment notifications from the active gateway (PAYMENT_GATEWAY).
+ *       Events are stored by x-razorpay-event-id; redeliveries of an event that was already
+ *       processed are acknowledged without being applied again.
+ *     parameters:
+ *       - in: path
+ *         name: gateway
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [razorpay, mock]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             description: Razorpay webhook payload
+ *             description: Razorpay-format webhook payload
  *     responses:
  *       200:
  *         description: Webhook processed successfully
  *       400:
  *         description: Invalid webhook signature
+ *       404:
+ *         description: The gateway is not the active one
  *       500:
  *         description: Webhook processing failed
  */
-router.post('/webhook/razorpay', paymentController.handleRazorpayWebhook);
+router.post('/webhook/:gateway', paymentController.handleGatewayWebhook);
 
 // Test endpoint to check payment system
 router.get('/test', (req, res) => {
@@ -37,6 +54,7 @@ router.get('/test', (req, res) => {
     success: true,
     message: 'Payment system is working',
     data: {
+      gateway: paymentService.gateway.name,
       razorpayConfigured: !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET),
       timestamp: new Date().toISOString()
     }
@@ -55,6 +73,13 @@ router.use(authenticateToken);
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Repeats with the same key get the first response back instead of a new order
  *     requestBody:
  *       required: true
  *       content:
@@ -62,6 +87,8 @@ router.use(authenticateToken);
  *           schema:
  *             $ref: '#/components/schemas/PaymentRequest'
  *     responses:
+ *       200:
+ *         description: The service already has an unpaid order, which is returned
  *       201:
  *         description: Payment order created successfully
  *         content:
@@ -74,11 +101,16 @@ router.use(authenticateToken);
  *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
  */
 router.post('/create-order',
   authorize(['customer']),
   paymentLimiter,
   validate(schemas.payment),
+  idempotent,
   paymentController.createPaymentOrder
 );
 
@@ -90,6 +122,13 @@ router.post('/create-order',
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Repeats with the same key get the first response back instead of a new order
  *     requestBody:
  *       required: true
  *       content:
@@ -102,20 +141,30 @@ router.post('/create-order',
  *               serviceRequestId:
  *                 type: string
  *                 description: ID of the completed service request
+ *               useWallet:
+ *                 type: boolean
+ *                 description: Pay what the wallet balance covers from it and the rest through the gateway
  *     responses:
+ *       200:
+ *         description: The service already has an unpaid order, which is returned
  *       201:
- *         description: Payment order created successfully
+ *         description: Payment order created, or the service paid from the wallet
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
  */
 router.post('/create-post-completion-order',
   authorize(['customer']),
   paymentLimiter,
   validate(schemas.postCompletionPayment),
+  idempotent,
   paymentController.createPostCompletionPaymentOrder
 );
 
@@ -164,6 +213,43 @@ router.post('/verify',
   paymentController.verifyPayment
 );
 
+/**
+ * @swagger
+ * /api/payments/mock/orders/{orderId}/pay:
+ *   post:
+ *     summary: Pay an order on the mock gateway
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, failure, authorize]
+ *     responses:
+ *       200:
+ *         description: Payment made, with the signature to verify
+ *       402:
+ *         description: Payment declined
+ *       404:
+ *         description: Mock gateway not enabled, or order not found
+ */
+router.post('/mock/orders/:orderId/pay',
+  authorize(['customer']),
+  validate(schemas.mockPayment),
+  paymentController.payMockOrder
+);
+
 /**
  * @swagger
  * /api/payments/history:
@@ -190,7 +276,7 @@ router.post('/verify',
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, success, failed, refunded]
+ *           enum: [pending, success, failed, partially_refunded, refunded]
  *     responses:
  *       200:
  *         description: Payment history retrieved successfully
@@ -200,6 +286,181 @@ router.get('/history',
   paymentController.getPaymentHistory
 );
 
+/**
+ * @swagger
+ * /api/payments/{paymentId}/refund:
+ *   post:
+ *     summary: Request a refund for a paid service
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Refund requested
+ */
+router.post('/:paymentId/refund',
+  authorize(['customer']),
+  validate(schemas.refundRequest),
+  refundController.requestRefund
+);
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/refund-status:
+ *   get:
+ *     summary: Get the latest refund of a payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund status retrieved
+ */
+router.get('/:paymentId/refund-status',
+  authorize(['customer', 'admin']),
+  refundController.getRefundStatus
+);
+
+/**
+ * @swagger
+ * /api/payments/requests/{requestId}/cash:
+ *   get:
+ *     summary: Get the cash payment recorded for a service
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cash payment retrieved
+ */
+router.get('/requests/:requestId/cash',
+  authorize(['customer', 'mechanic', 'admin']),
+  cashPaymentController.getCashPayment
+);
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/cash/confirm:
+ *   post:
+ *     summary: Confirm paying the cash the mechanic recorded
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cash payment confirmed
+ */
+router.post('/:paymentId/cash/confirm',
+  authorize(['customer']),
+  cashPaymentController.confirmCollection
+);
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/cash/dispute:
+ *   post:
+ *     summary: Dispute the cash the mechanic recorded
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dispute raised
+ */
+router.post('/:paymentId/cash/dispute',
+  authorize(['customer']),
+  validate(schemas.cashDispute),
+  cashPaymentController.disputeCollection
+);
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/invoice:
+ *   get:
+ *     summary: Download the GST invoice of a payment as JSON or PDF
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved
+ */
+router.get('/:paymentId/invoice',
+  authorize(['customer', 'mechanic', 'admin']),
+  validate(schemas.documentFormat, 'query'),
+  invoiceController.getInvoice
+);
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/credit-notes/{creditNoteId}:
+ *   get:
+ *     summary: Download a refund credit note as JSON or PDF
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit note retrieved
+ */
+router.get('/:paymentId/credit-notes/:creditNoteId',
+  authorize(['customer', 'mechanic', 'admin']),
+  validate(schemas.documentFormat, 'query'),
+  invoiceController.getCreditNote
+);
+
 /**
  * @swagger
  * /api/payments/methods:
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const emergencyController = require('../controllers/emergencyController');
+const trackingShareController = require('../controllers/trackingShareController');
+const { apiLimiter } = require('../middlewares/rateLimitMiddleware');
+
+// Links shared with people who have no RoadGuard account; the token in the URL is the only credential
+router.use(apiLimiter);
+
+// SOS live location, sent to a customer's trusted contacts
+router.get('/sos/:token', emergencyController.getSharedIncident);
+
+// A service request the customer shared, e.g. with family following the mechanic's approach
+router.get('/track/:token', trackingShareController.getSharedTracking);
+
+module.exports = router;
@@ -1,54 +1,16 @@
+const pricingRuleService = require('./pricingRuleService');
+const quotationCalibrationService = require('./quotationCalibrationService');
 const logger = require('../config/logger');
 
-// AI-powered quotation service with rule-based logic
+// AI-powered quotation service with rule-based logic; rates come from the pricing rule in force, and
+// ranges, confidence and durations from the latest calibration over completed jobs when it has enough of them
 class AIQuotationService {
-  constructor() {
-    this.baseRates = {
-      flat_tire: { min: 500, max: 1500, base: 800 },
-      battery_dead: { min: 300, max: 800, base: 500 },
-      engine_trouble: { min: 1000, max: 5000, base: 2000 },
-      fuel_empty: { min: 200, max: 500, base: 300 },
-      key_locked: { min: 400, max: 1000, base: 600 },
-      accident: { min: 2000, max: 10000, base: 4000 },
-      overheating: { min: 800, max: 2500, base: 1200 },
-      brake_failure: { min: 1500, max: 4000, base: 2200 },
-      transmission_issue: { min: 2000, max: 8000, base: 3500 },
-      other: { min: 500, max: 2000, base: 1000 }
-    };
-
-    this.vehicleMultipliers = {
-      car: 1.0,
-      motorcycle: 0.7,
-      truck: 1.5,
-      bus: 1.8,
-      other: 1.2
-    };
-
-    this.priorityMultipliers = {
-      low: 0.8,
-      medium: 1.0,
-      high: 1.3,
-      emergency: 1.8
-    };
-
-    this.timeMultipliers = {
-      peak: 1.4,      // 7-10 AM, 5-8 PM
-      normal: 1.0,    // 10 AM - 5 PM
-      night: 1.6,     // 8 PM - 7 AM
-      weekend: 1.2    // Saturday, Sunday
-    };
-
-    this.weatherMultipliers = {
-      clear: 1.0,
-      rain: 1.3,
-      storm: 1.6,
-      fog: 1.2,
-      snow: 1.8
-    };
-  }
-
   // Generate intelligent quotation based on multiple factors
+  // Pass `pricingRule` in additionalFactors to price with a rule other than the one in force
   async generateQuotation(serviceRequest, additionalFactors = {}) {
+    const rule = additionalFactors.pricingRule || await pricingRuleService.getActiveRule();
+    const calibration = await quotationCalibrationService.getLatestCalibration();
+
     try {
       const {
         issueType,
@@ -67,23 +29,23 @@ class AIQuotationService {
       } = additionalFactors;
 
       // Get base rate for issue type
-      const baseRate = this.baseRates[issueType] || this.baseRates.other;
+      const baseRate = rule.baseRates[issueType] || rule.baseRates.other;
       let quotation = baseRate.base;
 
       // Apply vehicle type multiplier
-      const vehicleMultiplier = this.vehicleMultipliers[vehicleInfo.type] || 1.0;
+      const vehicleMultiplier = rule.vehicleMultipliers[vehicleInfo.type] || 1.0;
       quotation *= vehicleMultiplier;
 
       // Apply priority multiplier
-      const priorityMultiplier = this.priorityMultipliers[priority] || 1.0;
+      const priorityMultiplier = rule.priorityMultipliers[priority] || 1.0;
       quotation *= priorityMultiplier;
 
       // Apply time-based multiplier
-      const timeMultiplier = this.getTimeMultiplier(timeOfDay);
+      const timeMultiplier = this.getTimeMultiplier(timeOfDay, rule.timeMultipliers);
       quotation *= timeMultiplier;
 
       // Apply weather multiplier
-      const weatherMultiplier = this.weatherMultipliers[weather] || 1.0;
+      const weatherMultiplier = rule.weatherMultipliers[weather] || 1.0;
       quotation *= weatherMultiplier;
 
       // Apply distance multiplier (travel cost)
@@ -98,25 +60,46 @@ class AIQuotationService {
       const complexityMultiplier = this.analyzeComplexity(description, issueType);
       quotation *= complexityMultiplier;
 
-      // Apply location-based multiplier (urban vs rural)
-      const locationMultiplier = await this.getLocationMultiplier(location);
+      // Apply the price level of the region the service is in
+      const region = pricingRuleService.findRegion(rule, location);
+      const locationMultiplier = region ? region.multiplier : rule.defaultRegionMultiplier;
       quotation *= locationMultiplier;
 
       // Round to nearest 50 and ensure within bounds
       quotation = Math.round(quotation / 50) * 50;
       quotation = Math.max(baseRate.min, Math.min(baseRate.max, quotation));
 
+      // What customers paid for similar jobs, once enough of them have been completed
+      const segmentRequest = { issueType, vehicleType: vehicleInfo.type, region: region?.name };
+      const priceSegment = quotationCalibrationService.findPriceSegment(calibration, segmentRequest);
+
       // Generate confidence score
-      const confidence = this.calculateConfidence(serviceRequest, additionalFactors);
+      const confidence = priceSegment
+        ? quotationCalibrationService.confidenceFor(priceSegment.price.samples, calibration.minSamples)
+        : this.calculateConfidence(serviceRequest, additionalFactors);
+
+      // Keep the rule-based price inside what similar jobs actually cost, so the estimate sits in its own range
+      if (priceSegment) {
+        quotation = Math.max(Math.round(priceSegment.price.p10), Math.min(Math.round(priceSegment.price.p90), quotation));
+      }
 
       // Generate estimation range
-      const range = {
-        min: Math.round(quotation * 0.8),
-        max: Math.round(quotation * 1.2),
-        estimated: quotation
-      };
+      const range = priceSegment
+        ? {
+          min: Math.round(priceSegment.price.p10),
+          max: Math.round(priceSegment.price.p90),
+          estimated: quotation
+        }
+        : {
+          min: Math.round(quotation * 0.8),
+          max: Math.round(quotation * 1.2),
+          estimated: quotation
+        };
 
       logger.info('Quotation generated:', {
+        ruleVersion: rule.version,
+        region: region?.name,
+        calibrationSegment: priceSegment?.key,
         issueType,
         vehicleType: vehicleInfo.type,
         priority,
@@ -138,6 +121,20 @@ class AIQuotationService {
         quotation,
         range,
         confidence,
+        ruleVersion: rule.version,
+        region: region?.name || null,
+        calibration: priceSegment && {
+          version: calibration.version,
+          segment: priceSegment.key,
+          samples: priceSegment.price.samples,
+          percentiles: {
+            p10: priceSegment.price.p10,
+            p25: priceSegment.price.p25,
+            p50: priceSegment.price.p50,
+            p75: priceSegment.price.p75,
+            p90: priceSegment.price.p90
+          }
+        },
         breakdown: this.generateBreakdown(baseRate.base, quotation, {
           vehicleMultiplier,
           priorityMultiplier,
@@ -148,7 +145,11 @@ class AIQuotationService {
           complexityMultiplier,
           locationMultiplier
         }),
-        estimatedDuration: this.estimateDuration(issueType, complexity),
+        estimatedDuration: this.estimateDuration(
+          issueType,
+          complexity,
+          quotationCalibrationService.findDurationSegment(calibration, segmentRequest)
+        ),
         recommendations: this.generateRecommendations(issueType, quotation)
       };
 
@@ -156,7 +157,7 @@ class AIQuotationService {
       logger.error('Error generating quotation:', error);
       
       // Fallback to basic calculation
-      const baseRate = this.baseRates[serviceRequest.issueType] || this.baseRates.other;
+      const baseRate = rule.baseRates[serviceRequest.issueType] || rule.baseRates.other;
       return {
         quotation: baseRate.base,
         range: {
@@ -165,6 +166,9 @@ class AIQuotationService {
           estimated: baseRate.base
         },
         confidence: 0.6,
+        ruleVersion: rule.version,
+        region: null,
+        calibration: null,
         breakdown: null,
         estimatedDuration: 60,
         recommendations: []
@@ -219,80 +223,27 @@ class AIQuotationService {
   }
 
   // Get time-based multiplier
-  getTimeMultiplier(timeOfDay) {
+  getTimeMultiplier(timeOfDay, timeMultipliers) {
     const hour = timeOfDay.getHours();
     const day = timeOfDay.getDay();
 
     // Weekend multiplier
     if (day === 0 || day === 6) {
-      return this.timeMultipliers.weekend;
+      return timeMultipliers.weekend;
     }
 
     // Peak hours (7-10 AM, 5-8 PM)
     if ((hour >= 7 && hour < 10) || (hour >= 17 && hour < 20)) {
-      return this.timeMultipliers.peak;
+      return timeMultipliers.peak;
     }
 
     // Night hours (8 PM - 7 AM)
     if (hour >= 20 || hour < 7) {
-      return this.timeMultipliers.night;
+      return timeMultipliers.night;
     }
 
     // Normal hours
-    return this.timeMultipliers.normal;
-  }
-
-  // Get location-based multiplier (mock implementation)
-  async getLocationMultiplier(location) {
-    // In a real implementation, this would use geocoding APIs
-    // to determine if the location is urban, suburban, or rural
-    
-    // Mock logic based on coordinates
-    // Urban areas typically have higher costs
-    const { lat, lng } = location;
-    
-    // Major city centers (higher cost)
-    const majorCities = [
-      { lat: 28.6139, lng: 77.2090, name: 'Delhi' },
-      { lat: 19.0760, lng: 72.8777, name: 'Mumbai' },
-      { lat: 12.9716, lng: 77.5946, name: 'Bangalore' },
-      { lat: 13.0827, lng: 80.2707, name: 'Chennai' }
-    ];
-
-    const nearMajorCity = majorCities.some(city => {
-      const distance = this.calculateDistance(lat, lng, city.lat, city.lng);
-      return distance < 20; // Within 20km of major city
-    });
-
-    if (nearMajorCity) {
-      return 1.3; // Urban premium
-    }
-
-    // Suburban areas
-    const nearSuburban = majorCities.some(city => {
-      const distance = this.calculateDistance(lat, lng, city.lat, city.lng);
-      return distance >= 20 && distance < 50;
-    });
-
-    if (nearSuburban) {
-      return 1.1; // Suburban premium
-    }
-
-    // Rural areas (lower cost but higher travel)
-    return 1.0;
-  }
-
-  // Calculate distance between two points
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+    return timeMultipliers.normal;
   }
 
   // Calculate confidence score
@@ -335,8 +286,16 @@ class AIQuotationService {
     };
   }
 
-  // Estimate service duration
-  estimateDuration(issueType, complexity = 'medium') {
+  // Estimate service duration from how long similar jobs took when a calibration segment is given,
+  // otherwise from a fixed guess per issue type
+  estimateDuration(issueType, complexity = 'medium', durationSegment = null) {
+    if (durationSegment) {
+      const { p25, p50, p75 } = durationSegment.duration;
+      const minutes = { low: p25, medium: p50, high: p75 }[complexity] ?? p50;
+      // Within what a service request accepts as an estimate
+      return Math.min(480, Math.max(5, minutes));
+    }
+
     const baseDurations = {
       flat_tire: 30,
       battery_dead: 20,
@@ -425,24 +384,27 @@ class AIQuotationService {
     return results;
   }
 
-  // Update rates based on market data (admin function)
-  updateRates(issueType, newRates) {
-    if (this.baseRates[issueType]) {
-      this.baseRates[issueType] = { ...this.baseRates[issueType], ...newRates };
-      logger.info(`Updated rates for ${issueType}:`, this.baseRates[issueType]);
-      return true;
-    }
-    return false;
-  }
+  // Price the same request with the rule in force and a candidate rule, for previewing a rule change
+  async simulateQuotation(sample, candidateRule, factors = {}) {
+    const request = {
+      issueType: sample.issueType,
+      vehicleInfo: { type: sample.vehicleType },
+      priority: sample.priority,
+      location: sample.location,
+      description: sample.description || ''
+    };
+    // Both prices are taken at the same moment so only the rule differs
+    const sharedFactors = { timeOfDay: new Date(), ...factors };
+
+    const [current, candidate] = await Promise.all([
+      this.generateQuotation(request, sharedFactors),
+      this.generateQuotation(request, { ...sharedFactors, pricingRule: candidateRule })
+    ]);
 
-  // Get current rates
-  getRates() {
     return {
-      baseRates: this.baseRates,
-      vehicleMultipliers: this.vehicleMultipliers,
-      priorityMultipliers: this.priorityMultipliers,
-      timeMultipliers: this.timeMultipliers,
-      weatherMultipliers: this.weatherMultipliers
+      current,
+      candidate,
+      difference: candidate.quotation - current.quotation
     };
   }
 }
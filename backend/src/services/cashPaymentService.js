@@ -0,0 +1,257 @@
+const Payment = require('../models/Payment');
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const ledgerService = require('./ledgerService');
+const invoiceService = require('./invoiceService');
+const walletService = require('./walletService');
+const quoteService = require('./quoteService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+
+// Cash states an admin can still settle
+const OPEN_CASH_STATUSES = ['awaiting_confirmation', 'disputed'];
+
+// Cash collected by mechanics, confirmed by customers and reconciled by admins
+class CashPaymentService {
+  /**
+   * Record cash the mechanic collected for a completed service.
+   * Any unpaid online order for the service is dropped so the customer is not asked to pay twice,
+   * and the wallet share it held goes back to the customer. When the job has an approved quote, the
+   * amount must be what the customer owes under it.
+   */
+  async recordCollection(mechanicId, requestId, { amount }) {
+    const serviceRequest = await ServiceRequest.findOne({ _id: requestId, mechanicId });
+
+    if (!serviceRequest) {
+      throw new AppError('Service request not found', 404);
+    }
+
+    if (serviceRequest.status !== 'completed') {
+      throw new AppError('Cash can only be recorded for completed services', 400);
+    }
+
+    if (['paid', 'partially_refunded'].includes(serviceRequest.paymentStatus)) {
+      throw new AppError('This service has already been paid', 409);
+    }
+
+    // Cash has to match what the customer approved, not just what they later confirm
+    const due = quoteService.amountDue(serviceRequest);
+    if (due !== null && Math.round(amount * 100) / 100 !== due) {
+      throw new AppError(`The cash collected must match the approved amount of ₹${due}`, 400);
+    }
+
+    const existing = await Payment.findOne({
+      requestId: serviceRequest._id,
+      status: { $in: ['processing', 'success'] }
+    });
+
+    if (existing?.status === 'success') {
+      throw new AppError('This service has already been paid', 409);
+    }
+    if (existing) {
+      throw new AppError('Cash for this service is already waiting for the customer to confirm', 409);
+    }
+
+    // A service has at most one pending payment
+    const dropped = await Payment.findOneAndUpdate(
+      { requestId: serviceRequest._id, status: 'pending' },
+      { $set: { status: 'failed', failureReason: 'Superseded by cash payment' } }
+    );
+    if (dropped) {
+      await walletService.releasePayment(dropped);
+    }
+
+    const now = new Date();
+    const payment = await Payment.create({
+      requestId: serviceRequest._id,
+      customerId: serviceRequest.customerId,
+      mechanicId,
+      amount,
+      method: 'Cash',
+      status: 'processing',
+      cash: {
+        collectedAmount: amount,
+        collectedAt: now,
+        status: 'awaiting_confirmation'
+      }
+    });
+
+    logger.info('Cash collection recorded:', { paymentId: payment._id, requestId, mechanicId, amount });
+
+    await this.notify(payment, ['customer']);
+    return payment;
+  }
+
+  // Latest cash payment of a service; customers and mechanics only see their own
+  async getCashPayment(requestId, user) {
+    const filter = { requestId, method: 'Cash' };
+    if (user.role === 'customer') {
+      filter.customerId = user._id;
+    } else if (user.role === 'mechanic') {
+      filter.mechanicId = user._id;
+    }
+
+    return Payment.findOne(filter).sort({ createdAt: -1 });
+  }
+
+  // The customer agrees they paid what the mechanic recorded, which settles the service
+  async confirmCollection(customerId, paymentId) {
+    const payment = await this.findOwnCashPayment(customerId, paymentId);
+    const now = new Date();
+
+    const confirmed = await this.claim(payment, ['awaiting_confirmation'], {
+      status: 'success',
+      paidAt: now,
+      'cash.status': 'confirmed',
+      'cash.confirmedAmount': payment.cash.collectedAmount,
+      'cash.confirmedAt': now
+    });
+
+    await this.settle(confirmed);
+    await this.notify(confirmed, ['mechanic']);
+    return confirmed;
+  }
+
+  // The customer says they paid a different amount (or nothing); an admin has to settle it
+  async disputeCollection(customerId, paymentId, { amount, reason }) {
+    const payment = await this.findOwnCashPayment(customerId, paymentId);
+
+    const disputed = await this.claim(payment, ['awaiting_confirmation'], {
+      'cash.status': 'disputed',
+      'cash.confirmedAmount': amount,
+      'cash.confirmedAt': new Date(),
+      'cash.disputeReason': reason
+    });
+
+    logger.warn('Cash payment disputed:', {
+      paymentId: disputed._id,
+      collectedAmount: disputed.cash.collectedAmount,
+      confirmedAmount: amount
+    });
+
+    await this.notify(disputed, ['mechanic']);
+    return disputed;
+  }
+
+  // Accept the cash at the amount the admin settled on, defaulting to what the mechanic recorded
+  async resolveCollection(adminId, paymentId, { amount, note } = {}) {
+    const payment = await this.findCashPayment(paymentId);
+    const settledAmount = amount || payment.cash.collectedAmount;
+    const now = new Date();
+
+    const resolved = await this.claim(payment, OPEN_CASH_STATUSES, {
+      status: 'success',
+      paidAt: now,
+      amount: settledAmount,
+      netAmount: settledAmount,
+      'cash.status': 'resolved',
+      'cash.resolvedBy': adminId,
+      'cash.resolvedAt': now,
+      ...(note && { 'cash.resolutionNote': note })
+    });
+
+    logger.info('Cash payment resolved:', { paymentId: resolved._id, adminId, amount: settledAmount });
+
+    await this.settle(resolved);
+    await this.notify(resolved, ['customer', 'mechanic']);
+    return resolved;
+  }
+
+  // Refuse the recorded cash; the service goes back to waiting for an online payment
+  async rejectCollection(adminId, paymentId, { note }) {
+    const payment = await this.findCashPayment(paymentId);
+    const now = new Date();
+
+    const rejected = await this.claim(payment, OPEN_CASH_STATUSES, {
+      status: 'failed',
+      failureReason: `Cash payment rejected: ${note}`,
+      'cash.status': 'rejected',
+      'cash.resolvedBy': adminId,
+      'cash.resolvedAt': now,
+      'cash.resolutionNote': note
+    });
+
+    logger.info('Cash payment rejected:', { paymentId: rejected._id, adminId });
+
+    await this.notify(rejected, ['customer', 'mechanic']);
+    return rejected;
+  }
+
+  async findOwnCashPayment(customerId, paymentId) {
+    const payment = await Payment.findOne({ _id: paymentId, customerId, method: 'Cash' });
+
+    if (!payment) {
+      throw new AppError('Cash payment not found', 404);
+    }
+
+    return payment;
+  }
+
+  async findCashPayment(paymentId) {
+    const payment = await Payment.findOne({ _id: paymentId, method: 'Cash' });
+
+    if (!payment) {
+      throw new AppError('Cash payment not found', 404);
+    }
+
+    return payment;
+  }
+
+  // Move the cash on from one of `from` so a double submit or a second admin cannot settle it twice
+  async claim(payment, from, update) {
+    const conflict = from.includes('disputed')
+      ? 'Cash payment has already been settled'
+      : 'Cash payment is no longer waiting for confirmation';
+
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'cash.status': { $in: from } },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!claimed) {
+      throw new AppError(conflict, 409);
+    }
+
+    return claimed;
+  }
+
+  // Mark the service paid and post the cash to the mechanic's ledger, where it counts against their payout
+  async settle(payment) {
+    await ServiceRequest.updateOne(
+      { _id: payment.requestId },
+      { $set: { paymentStatus: 'paid', paidAt: payment.paidAt } }
+    );
+
+    // Settlement batches backfill the ledger if this fails
+    try {
+      await ledgerService.recordPayment(payment);
+    } catch (error) {
+      logger.error('Failed to post cash payment to ledger:', { paymentId: payment._id, error: error.message });
+    }
+
+    try {
+      await invoiceService.issueInvoice(payment);
+    } catch (error) {
+      logger.error('Failed to issue invoice:', { paymentId: payment._id, error: error.message });
+    }
+  }
+
+  async notify(payment, audiences) {
+    try {
+      const users = await Promise.all(audiences.map(audience => (
+        User.findById(audience === 'customer' ? payment.customerId : payment.mechanicId)
+          .select('name email phone role notificationPreferences')
+      )));
+
+      await Promise.all(users
+        .filter(Boolean)
+        .map(user => notificationService.notifyCashPaymentUpdate(user, payment)));
+    } catch (error) {
+      logger.warn('Failed to send cash payment notification:', { paymentId: payment._id, error: error.message });
+    }
+  }
+}
+
+module.exports = new CashPaymentService();
@@ -0,0 +1,364 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequest');
+const ServiceArea = require('../models/ServiceArea');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const logger = require('../config/logger');
+
+// Statuses that count towards a mechanic's current load
+const ACTIVE_JOB_STATUSES = ['assigned', 'enroute', 'in_progress'];
+
+// Relative weight of each ranking factor (sums to 1)
+const SCORE_WEIGHTS = {
+  distance: 0.4,
+  rating: 0.3,
+  load: 0.2,
+  specialty: 0.1
+};
+
+// Offers broadcast requests to the best-ranked mechanics in widening waves
+class DispatchService {
+  constructor() {
+    this.socketHandlers = null;
+    this.timers = new Map();
+
+    this.config = {
+      waveSize: parseInt(process.env.DISPATCH_WAVE_SIZE) || 3,
+      acceptWindowMs: (parseInt(process.env.DISPATCH_ACCEPT_WINDOW_SECONDS) || 45) * 1000,
+      initialRadius: parseFloat(process.env.DISPATCH_INITIAL_RADIUS_KM) || 5,
+      radiusStep: parseFloat(process.env.DISPATCH_RADIUS_STEP_KM) || 5
+    };
+  }
+
+  setSocketHandlers(socketHandlers) {
+    this.socketHandlers = socketHandlers;
+  }
+
+  // Search radius for a wave, widening each round up to the request's broadcastRadius
+  getWaveRadius(wave, broadcastRadius = 25) {
+    const radius = this.config.initialRadius + this.config.radiusStep * (wave - 1);
+    return Math.min(radius, broadcastRadius);
+  }
+
+  // Score a candidate between 0 and 1
+  scoreCandidate(candidate, { issueType, radius }) {
+    const distanceScore = radius > 0 ? Math.max(0, 1 - candidate.distance / radius) : 0;
+    const ratingScore = Math.min(candidate.rating || 0, 5) / 5;
+    const loadScore = 1 / (1 + (candidate.activeJobs || 0));
+    const specialtyScore = (candidate.specializations || []).includes(issueType) ? 1 : 0;
+
+    const score = SCORE_WEIGHTS.distance * distanceScore +
+      SCORE_WEIGHTS.rating * ratingScore +
+      SCORE_WEIGHTS.load * loadScore +
+      SCORE_WEIGHTS.specialty * specialtyScore;
+
+    return Math.round(score * 1000) / 1000;
+  }
+
+  // Mechanics covering the request within the radius, best first
+  async rankCandidates(serviceRequest, radius, excludeIds = []) {
+    const { lat, lng } = serviceRequest.location;
+    const excluded = new Set(excludeIds.map(id => id.toString()));
+
+    const coveringIds = await ServiceArea.findMechanicsCovering(lat, lng);
+    const eligibleIds = coveringIds
+      .filter(id => !excluded.has(id))
+      .map(id => new mongoose.Types.ObjectId(id));
+
+    if (eligibleIds.length === 0) {
+      return [];
+    }
+
+    const candidates = await User.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          key: 'location',
+          distanceField: 'distance',
+          distanceMultiplier: 0.001, // meters -> km
+          maxDistance: radius * 1000,
+          spherical: true,
+          query: { _id: { $in: eligibleIds }, role: 'mechanic', isActive: true }
+        }
+      },
+      { $project: { name: 1, phone: 1, rating: 1, specializations: 1, distance: 1 } }
+    ]);
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const loads = await ServiceRequest.aggregate([
+      {
+        $match: {
+          mechanicId: { $in: candidates.map(candidate => candidate._id) },
+          status: { $in: ACTIVE_JOB_STATUSES }
+        }
+      },
+      { $group: { _id: '$mechanicId', count: { $sum: 1 } } }
+    ]);
+    const loadById = new Map(loads.map(load => [load._id.toString(), load.count]));
+
+    return candidates
+      .map(candidate => {
+        const activeJobs = loadById.get(candidate._id.toString()) || 0;
+        return {
+          ...candidate,
+          activeJobs,
+          score: this.scoreCandidate({ ...candidate, activeJobs }, {
+            issueType: serviceRequest.issueType,
+            radius
+          })
+        };
+      })
+      .sort((a, b) => b.score - a.score || a.distance - b.distance);
+  }
+
+  // Begin dispatching a newly created broadcast request
+  async startDispatch(serviceRequest) {
+    try {
+      await this.runWave(serviceRequest._id, 1);
+    } catch (error) {
+      logger.error('Dispatch failed to start:', { requestId: serviceRequest._id, error: error.message });
+    }
+  }
+
+  // Offer the request to the next group of untried mechanics
+  async runWave(requestId, wave) {
+    this.clearTimer(requestId);
+
+    const request = await ServiceRequest.findOne({ _id: requestId, status: 'pending', mechanicId: null });
+    if (!request) {
+      return;
+    }
+
+    const maxRadius = request.broadcastRadius || 25;
+    const radius = this.getWaveRadius(wave, maxRadius);
+    const ranked = await this.rankCandidates(request, radius, request.dispatch?.offeredTo || []);
+    const offered = ranked.slice(0, this.config.waveSize);
+
+    if (offered.length === 0) {
+      if (radius < maxRadius) {
+        return this.runWave(requestId, wave + 1);
+      }
+      return this.markExhausted(request, wave, radius);
+    }
+
+    const offerExpiresAt = new Date(Date.now() + this.config.acceptWindowMs);
+    const offeredIds = offered.map(candidate => candidate._id);
+
+    // Conditional so a wave never overwrites an acceptance or cancellation
+    const result = await ServiceRequest.updateOne(
+      { _id: requestId, status: 'pending', mechanicId: null },
+      {
+        $set: {
+          'dispatch.wave': wave,
+          'dispatch.radius': radius,
+          'dispatch.currentOffer': offeredIds,
+          'dispatch.offerExpiresAt': offerExpiresAt
+        },
+        $addToSet: { 'dispatch.offeredTo': { $each: offeredIds } },
+        $push: {
+          history: {
+            $each: offered.map(candidate => ({
+              status: 'pending',
+              event: 'dispatch_offer',
+              mechanicId: candidate._id,
+              wave,
+              radius,
+              note: `Offered to ${candidate.name} (score ${candidate.score}, ${candidate.distance.toFixed(1)} km away)`
+            }))
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return;
+    }
+
+    const offer = { wave, radius, expiresAt: offerExpiresAt };
+    if (this.socketHandlers) {
+      this.socketHandlers.broadcastServiceRequest(request, offered, offer);
+    } else {
+      logger.warn('Socket handlers not available for dispatch offer');
+    }
+
+    try {
+      await notificationService.broadcastToMechanics(request, offered);
+    } catch (error) {
+      logger.error('Dispatch notification failed:', error);
+    }
+
+    logger.info('Dispatch wave offered:', {
+      requestId,
+      wave,
+      radius,
+      mechanicIds: offeredIds
+    });
+
+    this.scheduleTimeout(requestId, wave, this.config.acceptWindowMs);
+  }
+
+  // Record the expired wave and move on to the next one
+  async handleTimeout(requestId, wave) {
+    this.timers.delete(requestId.toString());
+
+    const conditions = { _id: requestId, status: 'pending', mechanicId: null, 'dispatch.wave': wave };
+    const request = await ServiceRequest.findOne(conditions).select('dispatch');
+    if (!request) {
+      return;
+    }
+
+    const expiredIds = request.dispatch.currentOffer || [];
+    const result = await ServiceRequest.updateOne(conditions, {
+      $set: { 'dispatch.currentOffer': [], 'dispatch.offerExpiresAt': null },
+      $push: {
+        history: {
+          $each: expiredIds.map(mechanicId => ({
+            status: 'pending',
+            event: 'dispatch_timeout',
+            mechanicId,
+            wave,
+            radius: request.dispatch.radius,
+            note: 'Offer expired without a response'
+          }))
+        }
+      }
+    });
+
+    if (result.modifiedCount === 0) {
+      return;
+    }
+
+    if (this.socketHandlers) {
+      expiredIds.forEach(mechanicId => {
+        this.socketHandlers.emitToMechanic(mechanicId, 'request-offer-expired', { requestId });
+      });
+    }
+
+    logger.info('Dispatch wave expired:', { requestId, wave, mechanicCount: expiredIds.length });
+
+    await this.runWave(requestId, wave + 1);
+  }
+
+  // Nobody left to ask within broadcastRadius
+  async markExhausted(request, wave, radius) {
+    const result = await ServiceRequest.updateOne(
+      { _id: request._id, status: 'pending', mechanicId: null },
+      {
+        $set: {
+          'dispatch.wave': wave,
+          'dispatch.radius': radius,
+          'dispatch.currentOffer': [],
+          'dispatch.offerExpiresAt': null,
+          'dispatch.exhaustedAt': new Date()
+        },
+        $push: {
+          history: {
+            status: 'pending',
+            event: 'dispatch_exhausted',
+            wave,
+            radius,
+            note: `No mechanic accepted within ${radius} km`
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0 && this.socketHandlers) {
+      this.socketHandlers.emitToUser(request.customerId, 'dispatch-exhausted', {
+        requestId: request._id,
+        radius
+      });
+    }
+
+    logger.warn('Dispatch exhausted without acceptance:', { requestId: request._id, wave, radius });
+  }
+
+  // Stop dispatching once a mechanic accepts, withdraw the other offers and tell the customer
+  completeDispatch(serviceRequest, mechanicId, details = {}) {
+    this.clearTimer(serviceRequest._id);
+    this.withdrawOffers(serviceRequest, 'request-taken', mechanicId);
+
+    if (!this.socketHandlers) {
+      return;
+    }
+
+    const acceptance = {
+      requestId: serviceRequest._id,
+      mechanicId,
+      status: 'assigned',
+      acceptedAt: serviceRequest.acceptedAt,
+      ...details
+    };
+    const customerId = serviceRequest.customerId?._id || serviceRequest.customerId;
+
+    this.socketHandlers.emitToRequest(serviceRequest._id, 'request-accepted', acceptance);
+    this.socketHandlers.emitToUser(customerId, 'request-accepted', acceptance);
+  }
+
+  // Tell a mechanic who lost the race for a request that it is gone
+  notifyRequestTaken(requestId, mechanicId) {
+    if (this.socketHandlers) {
+      this.socketHandlers.emitToMechanic(mechanicId, 'request-taken', { requestId });
+    }
+  }
+
+  // Stop dispatching a cancelled request
+  cancelDispatch(serviceRequest) {
+    this.clearTimer(serviceRequest._id);
+    this.withdrawOffers(serviceRequest, 'request-cancelled');
+  }
+
+  withdrawOffers(serviceRequest, event, exceptMechanicId = null) {
+    if (!this.socketHandlers) {
+      return;
+    }
+
+    (serviceRequest.dispatch?.currentOffer || [])
+      .filter(id => !exceptMechanicId || id.toString() !== exceptMechanicId.toString())
+      .forEach(id => {
+        this.socketHandlers.emitToMechanic(id, event, { requestId: serviceRequest._id });
+      });
+  }
+
+  scheduleTimeout(requestId, wave, delay) {
+    const timer = setTimeout(() => {
+      this.handleTimeout(requestId, wave).catch(error => {
+        logger.error('Dispatch timeout handling failed:', { requestId, wave, error: error.message });
+      });
+    }, delay);
+
+    if (timer.unref) {
+      timer.unref();
+    }
+    this.timers.set(requestId.toString(), timer);
+  }
+
+  clearTimer(requestId) {
+    const key = requestId.toString();
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+      this.timers.delete(key);
+    }
+  }
+
+  // Re-arm acceptance windows for waves that were open when the server stopped
+  async resumePendingDispatches() {
+    const requests = await ServiceRequest.find({
+      status: 'pending',
+      mechanicId: null,
+      'dispatch.offerExpiresAt': { $ne: null }
+    }).select('dispatch');
+
+    requests.forEach(request => {
+      const delay = Math.max(0, request.dispatch.offerExpiresAt - Date.now());
+      this.scheduleTimeout(request._id, request.dispatch.wave, delay);
+    });
+
+    return requests.length;
+  }
+}
+
+module.exports = new DispatchService();
@@ -0,0 +1,457 @@
+const crypto = require('crypto');
+const EmergencyIncident = require('../models/EmergencyIncident');
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const notificationService = require('./notificationService');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+
+const MAX_TRUSTED_CONTACTS = 5;
+
+// How long trusted contacts can follow an incident that nobody resolves
+const SHARE_TTL_HOURS = parseInt(process.env.SOS_SHARE_TTL_HOURS, 10) || 24;
+
+// Points the shared page draws; the full trail stays on the incident for admins
+const SHARED_TRAIL_POINTS = 100;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const describeVehicle = (vehicle) => {
+  if (!vehicle) return '';
+  const name = [vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+  return [name, vehicle.plate].filter(Boolean).join(', ');
+};
+
+const toVehicleSnapshot = (vehicle) => vehicle && {
+  name: vehicle.name,
+  type: vehicle.type,
+  make: vehicle.make,
+  model: vehicle.model,
+  plate: vehicle.plate,
+  color: vehicle.color
+};
+
+/**
+ * Customer SOS: trusted contacts, raising an incident that alerts them with a live-location link,
+ * and the admin acknowledge/resolve workflow.
+ */
+class EmergencyService {
+  constructor() {
+    this.socketHandlers = null;
+  }
+
+  setSocketHandlers(socketHandlers) {
+    this.socketHandlers = socketHandlers;
+  }
+
+  async findCustomer(customerId) {
+    const customer = await User.findById(customerId);
+    if (!customer || customer.role !== 'customer') {
+      throw new AppError('Customer not found', 404);
+    }
+    return customer;
+  }
+
+  async getTrustedContacts(customerId) {
+    const customer = await this.findCustomer(customerId);
+    return customer.trustedContacts;
+  }
+
+  async addTrustedContact(customerId, contact) {
+    const customer = await this.findCustomer(customerId);
+
+    if (customer.trustedContacts.length >= MAX_TRUSTED_CONTACTS) {
+      throw new AppError(`At most ${MAX_TRUSTED_CONTACTS} trusted contacts can be saved`, 400);
+    }
+
+    customer.trustedContacts.push(contact);
+    await customer.save();
+    return customer.trustedContacts[customer.trustedContacts.length - 1];
+  }
+
+  // Replaces the contact's details; a phone or email left out is removed
+  async updateTrustedContact(customerId, contactId, details) {
+    const customer = await this.findCustomer(customerId);
+    const contact = customer.trustedContacts.id(contactId);
+
+    if (!contact) {
+      throw new AppError('Trusted contact not found', 404);
+    }
+
+    contact.set({ phone: undefined, email: undefined, relationship: undefined, ...details });
+    await customer.save();
+    return contact;
+  }
+
+  async removeTrustedContact(customerId, contactId) {
+    const customer = await this.findCustomer(customerId);
+    const contact = customer.trustedContacts.id(contactId);
+
+    if (!contact) {
+      throw new AppError('Trusted contact not found', 404);
+    }
+
+    customer.trustedContacts.pull(contactId);
+    await customer.save();
+  }
+
+  // What the app offers a customer who just reported an accident
+  async getSosOffer(customerId) {
+    const [customer, activeIncident] = await Promise.all([
+      User.findById(customerId).select('trustedContacts').lean(),
+      EmergencyIncident.findOne({ customerId, status: { $in: EmergencyIncident.ACTIVE_STATUSES } }).select('_id').lean()
+    ]);
+
+    return {
+      trustedContacts: customer?.trustedContacts?.length || 0,
+      activeIncidentId: activeIncident?._id || null
+    };
+  }
+
+  // The chosen saved vehicle, else the one on the request, else the customer's default
+  resolveVehicle(customer, { vehicleId, request }) {
+    if (vehicleId) {
+      const vehicle = customer.vehicles.id(vehicleId);
+      if (!vehicle) {
+        throw new AppError('Vehicle not found', 404);
+      }
+      return toVehicleSnapshot(vehicle);
+    }
+
+    if (request?.vehicleInfo) {
+      return toVehicleSnapshot(request.vehicleInfo);
+    }
+
+    return toVehicleSnapshot(customer.vehicles.find(vehicle => vehicle.isDefault) || customer.vehicles[0]);
+  }
+
+  /**
+   * Record an SOS, alert the customer's trusted contacts with a live-location link and put it on the
+   * admin incident console. While an incident is still active a repeated SOS only adds the location.
+   */
+  async raiseIncident(customerId, { location, requestId, vehicleId, message, source = 'sos_button' }) {
+    const customer = await this.findCustomer(customerId);
+
+    const active = await this.findActiveIncident(customerId);
+    if (active) {
+      return this.addToActiveIncident(active, customerId, location);
+    }
+
+    let request = null;
+    if (requestId) {
+      request = await ServiceRequest.findOne({ _id: requestId, customerId }).select('vehicleInfo');
+      if (!request) {
+        throw new AppError('Service request not found', 404);
+      }
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const position = { lat: location.lat, lng: location.lng, accuracy: location.accuracy, recordedAt: new Date() };
+
+    const incident = new EmergencyIncident({
+      number: await Counter.next('emergencyIncident'),
+      customerId,
+      requestId: request?._id,
+      source,
+      message,
+      location: {
+        lat: location.lat,
+        lng: location.lng,
+        address: location.address,
+        accuracy: location.accuracy
+      },
+      lastLocation: position,
+      trail: [position],
+      vehicle: this.resolveVehicle(customer, { vehicleId, request }),
+      share: {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + SHARE_TTL_HOURS * 60 * 60 * 1000)
+      }
+    });
+    try {
+      await incident.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Another SOS from the same customer created the incident first
+      return this.addToActiveIncident(await this.findActiveIncident(customerId), customerId, location);
+    }
+
+    const shareUrl = `${process.env.FRONTEND_URL}/sos/${token}`;
+    incident.contactAlerts = await this.alertContacts(customer, incident, shareUrl);
+    await incident.save();
+
+    logger.warn('SOS raised:', {
+      incidentId: incident._id,
+      reference: incident.reference,
+      customerId,
+      requestId: incident.requestId,
+      source,
+      contactsAlerted: incident.contactAlerts.filter(alert => alert.delivered).length
+    });
+
+    if (this.socketHandlers) {
+      this.socketHandlers.emitToAdmins('sos-incident', this.toSummary(incident, customer));
+
+      // The mechanic on the job hears about it too
+      if (incident.requestId) {
+        this.socketHandlers.emitToRequest(incident.requestId, 'emergency-alert', {
+          requestId: incident.requestId,
+          incidentId: incident._id,
+          location: incident.location,
+          message,
+          timestamp: incident.createdAt
+        });
+      }
+    }
+
+    return { incident, shareUrl, created: true };
+  }
+
+  findActiveIncident(customerId) {
+    return EmergencyIncident.findOne({
+      customerId,
+      status: { $in: EmergencyIncident.ACTIVE_STATUSES }
+    });
+  }
+
+  async addToActiveIncident(incident, customerId, location) {
+    await this.updateLocation(incident._id, customerId, location);
+    return { incident, shareUrl: null, created: false };
+  }
+
+  // Text every trusted contact and email those with an address; a failed send never blocks the SOS
+  async alertContacts(customer, incident, shareUrl) {
+    const vehicle = describeVehicle(incident.vehicle);
+    const place = incident.location.address || `${incident.location.lat.toFixed(5)}, ${incident.location.lng.toFixed(5)}`;
+    const smsText = `SOS: ${customer.name} needs help${vehicle ? ` (${vehicle})` : ''} near ${place}. ` +
+      `Live location: ${shareUrl} Call them on ${customer.phone}`;
+
+    const sends = customer.trustedContacts.flatMap(contact => [
+      contact.phone && notificationService.sendSMS({ to: contact.phone, message: smsText, priority: 'high' })
+        .then(result => ({ name: contact.name, channel: 'sms', to: contact.phone, result })),
+      contact.email && notificationService.sendEmail({
+        to: contact.email,
+        subject: `SOS from ${customer.name} - RoadGuard`,
+        template: 'sos-alert',
+        data: {
+          contactName: contact.name,
+          customerName: customer.name,
+          customerPhone: customer.phone,
+          address: place,
+          vehicle: vehicle || 'Not provided',
+          message: incident.message || 'No message',
+          shareUrl
+        },
+        priority: 'high'
+      }).then(result => ({ name: contact.name, channel: 'email', to: contact.email, result }))
+    ].filter(Boolean));
+
+    const outcomes = await Promise.all(sends);
+    return outcomes.map(({ name, channel, to, result }) => ({
+      name,
+      channel,
+      to,
+      delivered: !!result.success,
+      messageId: result.messageId,
+      error: result.success ? undefined : (result.error || result.message)
+    }));
+  }
+
+  // Add a position from the customer's device to an active incident
+  async updateLocation(incidentId, customerId, location) {
+    const position = { lat: location.lat, lng: location.lng, accuracy: location.accuracy, recordedAt: new Date() };
+
+    const incident = await EmergencyIncident.findOneAndUpdate(
+      { _id: incidentId, customerId, status: { $in: EmergencyIncident.ACTIVE_STATUSES } },
+      {
+        $set: { lastLocation: position },
+        $push: { trail: { $each: [position], $slice: -EmergencyIncident.MAX_TRAIL_POINTS } }
+      },
+      { new: true }
+    );
+
+    if (!incident) {
+      throw new AppError('No active emergency found', 404);
+    }
+
+    if (this.socketHandlers) {
+      this.socketHandlers.emitToAdmins('sos-incident-updated', {
+        incidentId: incident._id,
+        status: incident.status,
+        lastLocation: incident.lastLocation
+      });
+    }
+
+    return incident.lastLocation;
+  }
+
+  async acknowledgeIncident(incidentId, adminId) {
+    const incident = await EmergencyIncident.findOneAndUpdate(
+      { _id: incidentId, status: 'open' },
+      { $set: { status: 'acknowledged', acknowledgedBy: adminId, acknowledgedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!incident) {
+      const exists = await EmergencyIncident.exists({ _id: incidentId });
+      throw exists
+        ? new AppError('Incident has already been acknowledged or resolved', 409)
+        : new AppError('Incident not found', 404);
+    }
+
+    logger.info('SOS acknowledged:', { incidentId: incident._id, adminId });
+    await this.announceUpdate(incident);
+    return incident;
+  }
+
+  // Close an incident; customers may only close their own, which stops the shared location
+  async resolveIncident(incidentId, userId, { note, customerId } = {}) {
+    const filter = { _id: incidentId, status: { $in: EmergencyIncident.ACTIVE_STATUSES } };
+    if (customerId) {
+      filter.customerId = customerId;
+    }
+
+    const incident = await EmergencyIncident.findOneAndUpdate(
+      filter,
+      { $set: { status: 'resolved', resolvedBy: userId, resolvedAt: new Date(), resolutionNote: note } },
+      { new: true }
+    );
+
+    if (!incident) {
+      const exists = await EmergencyIncident.exists({ _id: incidentId, ...(customerId && { customerId }) });
+      throw exists
+        ? new AppError('Incident has already been resolved', 409)
+        : new AppError('Incident not found', 404);
+    }
+
+    logger.info('SOS resolved:', { incidentId: incident._id, resolvedBy: userId, byCustomer: !!customerId });
+    await this.announceUpdate(incident, { notifyCustomer: !customerId });
+    return incident;
+  }
+
+  async announceUpdate(incident, { notifyCustomer = true } = {}) {
+    if (this.socketHandlers) {
+      const update = {
+        incidentId: incident._id,
+        status: incident.status,
+        acknowledgedAt: incident.acknowledgedAt,
+        resolvedAt: incident.resolvedAt,
+        resolutionNote: incident.resolutionNote
+      };
+      this.socketHandlers.emitToAdmins('sos-incident-updated', update);
+      this.socketHandlers.emitToUser(incident.customerId, 'sos-incident-updated', update);
+    }
+
+    if (notifyCustomer) {
+      try {
+        const customer = await User.findById(incident.customerId).select('name email phone notificationPreferences');
+        if (customer) {
+          await notificationService.notifySosUpdate(customer, incident);
+        }
+      } catch (error) {
+        logger.error('Failed to notify customer about SOS update:', { incidentId: incident._id, error: error.message });
+      }
+    }
+  }
+
+  async listIncidents({ status, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [incidents, total] = await Promise.all([
+      EmergencyIncident.find(filter)
+        .populate('customerId', 'name phone email')
+        .populate('requestId', 'issueType status mechanicId')
+        .populate('acknowledgedBy resolvedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      EmergencyIncident.countDocuments(filter)
+    ]);
+
+    return {
+      incidents,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        total
+      }
+    };
+  }
+
+  // One incident with its full location trail, for the admin console
+  async getIncident(incidentId) {
+    const incident = await EmergencyIncident.findById(incidentId)
+      .select('+trail')
+      .populate('customerId', 'name phone email trustedContacts')
+      .populate('requestId', 'issueType status mechanicId')
+      .populate('acknowledgedBy resolvedBy', 'name');
+
+    if (!incident) {
+      throw new AppError('Incident not found', 404);
+    }
+    return incident;
+  }
+
+  async getCustomerIncidents(customerId, { limit = 20 } = {}) {
+    return EmergencyIncident.find({ customerId })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100));
+  }
+
+  /**
+   * What a trusted contact sees behind the shared link. The link stops working once the incident is
+   * resolved or SOS_SHARE_TTL_HOURS have passed.
+   */
+  async getSharedIncident(token) {
+    const incident = await EmergencyIncident.findOne({ 'share.tokenHash': hashToken(token) })
+      .select('+trail')
+      .populate('customerId', 'name');
+
+    if (!incident) {
+      throw new AppError('Emergency link not found', 404);
+    }
+
+    if (incident.status === 'resolved' || incident.share.expiresAt <= new Date()) {
+      throw new AppError('This emergency link has expired', 410);
+    }
+
+    return {
+      reference: incident.reference,
+      status: incident.status,
+      customerName: incident.customerId?.name,
+      vehicle: incident.vehicle,
+      message: incident.message,
+      location: incident.location,
+      lastLocation: incident.lastLocation,
+      trail: incident.trail.slice(-SHARED_TRAIL_POINTS),
+      raisedAt: incident.createdAt,
+      acknowledgedAt: incident.acknowledgedAt,
+      expiresAt: incident.share.expiresAt
+    };
+  }
+
+  // What the admin console needs to show a new incident without fetching it
+  toSummary(incident, customer) {
+    return {
+      incidentId: incident._id,
+      reference: incident.reference,
+      status: incident.status,
+      source: incident.source,
+      customer: { _id: customer._id, name: customer.name, phone: customer.phone },
+      requestId: incident.requestId,
+      location: incident.location,
+      vehicle: incident.vehicle,
+      message: incident.message,
+      contactsAlerted: incident.contactAlerts.filter(alert => alert.delivered).length,
+      createdAt: incident.createdAt
+    };
+  }
+}
+
+module.exports = new EmergencyService();
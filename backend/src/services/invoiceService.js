@@ -0,0 +1,355 @@
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const MechanicVerification = require('../models/MechanicVerification');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const PdfDocument = require('../utils/pdfDocument');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+const {
+  GST_STATES,
+  UNION_TERRITORY_CODES,
+  SERVICE_CODES,
+  GST_RATE,
+  findStateCode,
+  stateCodeFromGstin
+} = require('../config/gst');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Document number prefixes; GST caps document numbers at 16 characters
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+// Indian financial year, e.g. 26-27 for April 2026 to March 2027
+const financialYear = (date) => {
+  const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${String(start).slice(-2)}-${String(start + 1).slice(-2)}`;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatAmount = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// GST invoices for successful payments and credit notes for their refunds
+class InvoiceService {
+  // Split a GST-inclusive amount into its taxable value and CGST/SGST(UTGST) or IGST
+  calculateTax(total, { rate, interState, unionTerritory }) {
+    const taxableAmount = roundAmount((total * 100) / (100 + rate));
+    const totalTax = roundAmount(total - taxableAmount);
+    const taxes = { cgst: 0, sgst: 0, utgst: 0, igst: 0 };
+
+    if (interState) {
+      taxes.igst = totalTax;
+    } else {
+      taxes.cgst = roundAmount(totalTax / 2);
+      taxes[unionTerritory ? 'utgst' : 'sgst'] = roundAmount(totalTax - taxes.cgst);
+    }
+
+    return { taxableAmount, totalTax, ...taxes };
+  }
+
+  // Supplier is the mechanic's shop; place of supply is where the service was done
+  async buildParties(payment) {
+    const [request, customer, mechanic, shop] = await Promise.all([
+      ServiceRequest.findById(payment.requestId).select('issueType location'),
+      User.findById(payment.customerId).select('name email phone'),
+      User.findById(payment.mechanicId).select('name email phone'),
+      MechanicVerification.findOne({ mechanicId: payment.mechanicId }).select('shopName shopAddress gstNumber')
+    ]);
+
+    const address = shop?.shopAddress;
+    const supplierStateCode = stateCodeFromGstin(shop?.gstNumber) || findStateCode(address?.state);
+    const placeOfSupplyCode = findStateCode(request?.location?.state)
+      || findStateCode(request?.location?.address)
+      || supplierStateCode;
+
+    return {
+      issueType: request?.issueType || 'other',
+      supplier: {
+        name: shop?.shopName || mechanic?.name,
+        gstin: shop?.gstNumber,
+        address: address ? [address.street, address.city, `${address.state} ${address.zipCode}`].join(', ') : undefined,
+        phone: mechanic?.phone,
+        email: mechanic?.email,
+        state: GST_STATES[supplierStateCode] || address?.state,
+        stateCode: supplierStateCode
+      },
+      recipient: {
+        name: customer?.name,
+        address: request?.location?.address,
+        phone: customer?.phone,
+        email: customer?.email
+      },
+      placeOfSupply: {
+        state: GST_STATES[placeOfSupplyCode],
+        stateCode: placeOfSupplyCode
+      }
+    };
+  }
+
+  // Invoice of a payment, issued on first use; safe to call again for the same payment
+  async issueInvoice(payment) {
+    const existing = await Invoice.findOne({ paymentId: payment._id, type: 'invoice' });
+    if (existing) {
+      return existing.number ? existing : this.assignNumber(existing);
+    }
+
+    if (!['success', 'partially_refunded', 'refunded'].includes(payment.status)) {
+      throw new AppError('Invoices are only issued for successful payments', 400);
+    }
+
+    const { issueType, supplier, recipient, placeOfSupply } = await this.buildParties(payment);
+    const taxable = Boolean(supplier.gstin);
+    const rate = taxable ? GST_RATE : 0;
+    const interState = Boolean(supplier.stateCode && placeOfSupply.stateCode && supplier.stateCode !== placeOfSupply.stateCode);
+    const tax = this.calculateTax(payment.amount, {
+      rate,
+      interState,
+      unionTerritory: UNION_TERRITORY_CODES.includes(placeOfSupply.stateCode)
+    });
+    const service = SERVICE_CODES[issueType] || SERVICE_CODES.other;
+
+    return this.createDocument({
+      type: 'invoice',
+      paymentId: payment._id,
+      requestId: payment.requestId,
+      customerId: payment.customerId,
+      mechanicId: payment.mechanicId,
+      supplier,
+      recipient,
+      placeOfSupply,
+      supplyType: interState ? 'inter_state' : 'intra_state',
+      taxable,
+      lineItems: [{
+        description: service.description,
+        sac: service.sac,
+        quantity: 1,
+        taxableValue: tax.taxableAmount,
+        taxRate: rate
+      }],
+      ...tax,
+      total: roundAmount(payment.amount)
+    }, { paymentId: payment._id, type: 'invoice' });
+  }
+
+  // Credit note reducing the payment's invoice by the refunded amount
+  async issueCreditNote(refund) {
+    const existing = await Invoice.findOne({ refundId: refund._id, type: 'credit_note' });
+    if (existing) {
+      return existing.number ? existing : this.assignNumber(existing);
+    }
+
+    const payment = await Payment.findById(refund.paymentId);
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    const original = await this.issueInvoice(payment);
+    const amount = roundAmount(refund.approvedAmount ?? refund.amount);
+    const rate = original.lineItems[0]?.taxRate || 0;
+    const tax = this.calculateTax(amount, {
+      rate,
+      interState: original.supplyType === 'inter_state',
+      unionTerritory: UNION_TERRITORY_CODES.includes(original.placeOfSupply?.stateCode)
+    });
+
+    return this.createDocument({
+      type: 'credit_note',
+      paymentId: payment._id,
+      refundId: refund._id,
+      originalInvoiceId: original._id,
+      requestId: original.requestId,
+      customerId: original.customerId,
+      mechanicId: original.mechanicId,
+      supplier: original.supplier,
+      recipient: original.recipient,
+      placeOfSupply: original.placeOfSupply,
+      supplyType: original.supplyType,
+      taxable: original.taxable,
+      lineItems: [{
+        description: `Refund against invoice ${original.number || ''}`.trim(),
+        sac: original.lineItems[0]?.sac,
+        quantity: 1,
+        taxableValue: tax.taxableAmount,
+        taxRate: rate
+      }],
+      ...tax,
+      total: amount
+    }, { refundId: refund._id, type: 'credit_note' });
+  }
+
+  // Only the caller that creates the document numbers it, so numbers stay consecutive
+  async createDocument(data, uniqueFilter) {
+    let document;
+    try {
+      document = await Invoice.create({ ...data, issuedAt: new Date() });
+    } catch (error) {
+      if (isDuplicateKeyError(error)) {
+        return Invoice.findOne(uniqueFilter);
+      }
+      throw error;
+    }
+
+    return this.assignNumber(document);
+  }
+
+  async assignNumber(document) {
+    const fy = financialYear(document.issuedAt || new Date());
+    const sequence = await Counter.next(`${document.type}:${fy}`);
+    const number = `${NUMBER_PREFIXES[document.type]}/${fy}/${String(sequence).padStart(6, '0')}`;
+
+    const numbered = await Invoice.findOneAndUpdate(
+      { _id: document._id, number: { $exists: false } },
+      { $set: { number, financialYear: fy } },
+      { new: true }
+    );
+
+    if (!numbered) {
+      logger.warn('Invoice was numbered concurrently; sequence number skipped:', { invoiceId: document._id, number });
+      return Invoice.findById(document._id);
+    }
+
+    logger.info('Invoice issued:', { invoiceId: numbered._id, number, type: numbered.type, total: numbered.total });
+    return numbered;
+  }
+
+  // Only the customer, the mechanic and admins may read a payment's invoices
+  async getAccessiblePayment(paymentId, user) {
+    const payment = await Payment.findById(paymentId);
+    const isParty = payment && (
+      user.role === 'admin'
+      || [payment.customerId, payment.mechanicId].some(id => id && id.toString() === user._id.toString())
+    );
+
+    if (!isParty) {
+      throw new AppError('Payment not found', 404);
+    }
+    return payment;
+  }
+
+  // Invoice of a payment and the credit notes issued against it
+  async getPaymentInvoice(paymentId, user) {
+    const payment = await this.getAccessiblePayment(paymentId, user);
+    const invoice = await this.issueInvoice(payment);
+
+    // Refunds processed before invoicing existed still get their credit notes
+    const refunds = await Refund.find({ paymentId: payment._id, status: 'processed' });
+    for (const refund of refunds) {
+      await this.issueCreditNote(refund);
+    }
+
+    const creditNotes = await Invoice.find({ paymentId: payment._id, type: 'credit_note' }).sort({ issuedAt: 1 });
+    return { invoice, creditNotes };
+  }
+
+  async getCreditNote(paymentId, creditNoteId, user) {
+    const payment = await this.getAccessiblePayment(paymentId, user);
+    const creditNote = await Invoice.findOne({ _id: creditNoteId, paymentId: payment._id, type: 'credit_note' })
+      .populate('originalInvoiceId', 'number issuedAt');
+
+    if (!creditNote) {
+      throw new AppError('Credit note not found', 404);
+    }
+    return creditNote;
+  }
+
+  // Credit notes need originalInvoiceId populated to print the invoice they reduce
+  renderPdf(document) {
+    const pdf = new PdfDocument();
+    const left = 40;
+    const right = PdfDocument.PAGE_WIDTH - 40;
+    const middle = 320;
+
+    pdf.text(document.title.toUpperCase(), left, 60, { size: 18, bold: true });
+    pdf.text(`${document.type === 'credit_note' ? 'Credit note' : 'Invoice'} no: ${document.number || '-'}`, right, 50, { align: 'right' });
+    pdf.text(`Date: ${formatDate(document.issuedAt)}`, right, 64, { align: 'right' });
+    const originalInvoice = document.originalInvoiceId;
+    if (originalInvoice?.number) {
+      pdf.text(`Against invoice: ${originalInvoice.number} (${formatDate(originalInvoice.issuedAt)})`, right, 78, { align: 'right' });
+    }
+    pdf.line(left, 92, right, 92);
+
+    const party = (heading, details, x) => {
+      let y = 112;
+      pdf.text(heading, x, y, { size: 9, bold: true });
+      details.filter(Boolean).forEach((detail, index) => {
+        pdf.text(String(detail).slice(0, 48), x, y + 16 + index * 14, { size: index === 0 ? 11 : 9, bold: index === 0 });
+      });
+    };
+
+    const { supplier, recipient, placeOfSupply } = document;
+    party('SUPPLIER', [
+      supplier?.name,
+      supplier?.address,
+      supplier?.gstin ? `GSTIN: ${supplier.gstin}` : 'Not registered under GST',
+      supplier?.state && `State: ${supplier.state}${supplier.stateCode ? ` (${supplier.stateCode})` : ''}`
+    ], left);
+    party('BILL TO', [
+      recipient?.name,
+      recipient?.address,
+      recipient?.phone,
+      placeOfSupply?.state && `Place of supply: ${placeOfSupply.state} (${placeOfSupply.stateCode})`
+    ], middle);
+
+    let y = 200;
+    pdf.line(left, y, right, y);
+    pdf.text('Description', left, y + 14, { size: 9, bold: true });
+    pdf.text('SAC', 330, y + 14, { size: 9, bold: true });
+    pdf.text('Qty', 400, y + 14, { size: 9, bold: true, align: 'right' });
+    pdf.text('Taxable value', right, y + 14, { size: 9, bold: true, align: 'right' });
+    pdf.line(left, y + 22, right, y + 22);
+
+    y += 38;
+    for (const item of document.lineItems) {
+      pdf.text(item.description.slice(0, 55), left, y);
+      pdf.text(item.sac || '-', 330, y);
+      pdf.text(String(item.quantity), 400, y, { align: 'right' });
+      pdf.text(formatAmount(item.taxableValue), right, y, { align: 'right' });
+      y += 16;
+    }
+    pdf.line(left, y, right, y);
+
+    const rate = document.lineItems[0]?.taxRate || 0;
+    const totals = [['Taxable amount', document.taxableAmount]];
+    if (document.taxable) {
+      if (document.supplyType === 'inter_state') {
+        totals.push([`IGST @ ${rate}%`, document.igst]);
+      } else {
+        totals.push([`CGST @ ${rate / 2}%`, document.cgst]);
+        totals.push(document.utgst > 0 ? [`UTGST @ ${rate / 2}%`, document.utgst] : [`SGST @ ${rate / 2}%`, document.sgst]);
+      }
+    }
+
+    y += 20;
+    for (const [label, amount] of totals) {
+      pdf.text(label, 400, y, { align: 'right' });
+      pdf.text(formatAmount(amount), right, y, { align: 'right' });
+      y += 16;
+    }
+    pdf.line(300, y - 8, right, y - 8);
+    pdf.text(document.type === 'credit_note' ? 'Total credit' : 'Total', 400, y + 6, { bold: true, align: 'right' });
+    pdf.text(formatAmount(document.total), right, y + 6, { bold: true, align: 'right' });
+
+    const notes = [
+      'All amounts in INR.',
+      document.taxable ? 'Tax is included in the amount paid.' : 'Supplier is not registered under GST; no tax has been charged.',
+      'Issued through RoadGuard on behalf of the supplier. This is a computer-generated document and needs no signature.'
+    ];
+    notes.forEach((note, index) => pdf.text(note, left, 760 + index * 12, { size: 8 }));
+
+    return pdf.toBuffer();
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const QueueJob = require('../models/QueueJob');
+const logger = require('../config/logger');
+
+// How often each priority is polled, and how many jobs one poll may run
+const POLL_INTERVALS = {
+  high: 1000,
+  medium: 5000,
+  low: 30000
+};
+const BATCH_SIZE = 10;
+
+// A job stuck in 'processing' this long belongs to a worker that died mid-run
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Mongo-backed job queue with priorities, exponential backoff and a dead-letter state
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.timers = [];
+    this.running = {};
+    this.baseDelayMs = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 30 * 1000;
+    this.maxDelayMs = parseInt(process.env.JOB_RETRY_MAX_DELAY_MS, 10) || 60 * 60 * 1000;
+  }
+
+  // Register the function that runs jobs of a type; it should throw to trigger a retry
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue(type, payload, { priority = 'medium', maxAttempts, runAt } = {}) {
+    const job = await QueueJob.create({
+      type,
+      payload,
+      priority: QueueJob.PRIORITIES.includes(priority) ? priority : 'medium',
+      ...(maxAttempts && { maxAttempts }),
+      ...(runAt && { runAt })
+    });
+
+    logger.debug(`Queued ${priority} priority ${type} job ${job._id}`);
+    return job;
+  }
+
+  // Delay before the next attempt: base * 2^(attempts - 1), capped
+  getBackoffDelay(attempts) {
+    const delay = this.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, this.maxDelayMs);
+  }
+
+  // Atomically take the next due job so two workers never run the same one
+  claimNext(priority) {
+    const now = new Date();
+
+    return QueueJob.findOneAndUpdate(
+      { status: 'pending', priority, runAt: { $lte: now } },
+      { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+      { sort: { runAt: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      await handler(job.payload, job);
+
+      await QueueJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedAt: 1 } }
+      );
+      logger.info(`${job.priority} priority ${job.type} job processed from queue`);
+      return true;
+    } catch (error) {
+      await this.recordFailure(job, error);
+      return false;
+    }
+  }
+
+  // Schedule a retry, or dead-letter the job once it is out of attempts
+  async recordFailure(job, error) {
+    const now = new Date();
+    const exhausted = job.attempts >= job.maxAttempts;
+    const update = exhausted
+      ? { status: 'dead', failedAt: now, lastError: error.message }
+      : {
+        status: 'pending',
+        runAt: new Date(now.getTime() + this.getBackoffDelay(job.attempts)),
+        lastError: error.message
+      };
+
+    await QueueJob.updateOne({ _id: job._id }, { $set: update, $unset: { lockedAt: 1 } });
+
+    if (exhausted) {
+      logger.error(`Job ${job._id} (${job.type}) moved to dead letter after ${job.attempts} attempts:`, error.message);
+    } else {
+      logger.warn(`Job ${job._id} (${job.type}) failed attempt ${job.attempts}/${job.maxAttempts}, retrying at ${update.runAt.toISOString()}:`, error.message);
+    }
+
+    return update.status;
+  }
+
+  async processQueue(priority) {
+    if (this.running[priority] || mongoose.connection.readyState !== 1) return 0;
+
+    this.running[priority] = true;
+    let processed = 0;
+
+    try {
+      while (processed < BATCH_SIZE) {
+        const job = await this.claimNext(priority);
+        if (!job) break;
+
+        await this.runJob(job);
+        processed++;
+      }
+    } catch (error) {
+      logger.error(`Queue processing failed for ${priority} priority jobs:`, error);
+    } finally {
+      this.running[priority] = false;
+    }
+
+    return processed;
+  }
+
+  // Hand jobs left in 'processing' by a crashed worker back to the queue
+  async recoverStaleJobs() {
+    if (mongoose.connection.readyState !== 1) return 0;
+
+    try {
+      const result = await QueueJob.updateMany(
+        { status: 'processing', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+        { $set: { status: 'pending', runAt: new Date() }, $unset: { lockedAt: 1 } }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.warn(`Recovered ${result.modifiedCount} stale queue jobs`);
+      }
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Failed to recover stale queue jobs:', error);
+      return 0;
+    }
+  }
+
+  start() {
+    if (this.timers.length > 0) return;
+
+    this.timers = [
+      ...Object.entries(POLL_INTERVALS).map(([priority, interval]) =>
+        setInterval(() => this.processQueue(priority), interval)
+      ),
+      setInterval(() => this.recoverStaleJobs(), LOCK_TIMEOUT_MS)
+    ];
+
+    // The HTTP server keeps the process alive; scripts and tests should be able to exit
+    this.timers.forEach(timer => timer.unref());
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // Job counts by status, with pending jobs broken down by priority
+  async getStats() {
+    const counts = await QueueJob.aggregate([
+      { $group: { _id: { status: '$status', priority: '$priority' }, count: { $sum: 1 } } }
+    ]);
+
+    const stats = {
+      pending: { high: 0, medium: 0, low: 0, total: 0 },
+      processing: 0,
+      completed: 0,
+      dead: 0
+    };
+
+    counts.forEach(({ _id, count }) => {
+      if (_id.status === 'pending') {
+        stats.pending[_id.priority] = (stats.pending[_id.priority] || 0) + count;
+        stats.pending.total += count;
+      } else if (_id.status in stats) {
+        stats[_id.status] += count;
+      }
+    });
+
+    const oldestPending = await QueueJob.findOne({ status: 'pending' })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+      .lean();
+    stats.oldestPendingAt = oldestPending ? oldestPending.createdAt : null;
+
+    return stats;
+  }
+
+  async getDeadJobs({ type, page = 1, limit = 20 } = {}) {
+    const query = { status: 'dead', ...(type && { type }) };
+    const skip = (page - 1) * limit;
+
+    const [jobs, total] = await Promise.all([
+      QueueJob.find(query).sort({ failedAt: -1 }).skip(skip).limit(limit).lean(),
+      QueueJob.countDocuments(query)
+    ]);
+
+    return { jobs, total };
+  }
+
+  // Put a dead-lettered job back on the queue with a fresh set of attempts
+  replay(jobId, replayedBy) {
+    return QueueJob.findOneAndUpdate(
+      { _id: jobId, status: 'dead' },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          runAt: new Date(),
+          replayedAt: new Date(),
+          replayedBy
+        },
+        $unset: { failedAt: 1 }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,432 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const Refund = require('../models/Refund');
+const SettlementBatch = require('../models/SettlementBatch');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+
+const DEFAULT_COMMISSION_RATE = 0.15;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Signed sum of credits minus debits, for $group stages
+const SIGNED_AMOUNT = { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] };
+
+// Monday 00:00 of the week containing `date`; settlement batches close on this boundary
+const startOfWeek = (date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// What the platform owes each mechanic: a ledger of credits and debits settled by weekly payout batches
+class LedgerService {
+  getCommissionRate() {
+    const rate = parseFloat(process.env.PLATFORM_COMMISSION_RATE);
+    return Number.isFinite(rate) && rate >= 0 && rate < 1 ? rate : DEFAULT_COMMISSION_RATE;
+  }
+
+  // Post a successful payment; safe to call again for the same payment
+  async recordPayment(payment, { allowRefunded = false } = {}) {
+    const paid = payment?.status === 'success' || (allowRefunded && ['partially_refunded', 'refunded'].includes(payment?.status));
+    if (!paid || !payment.mechanicId) {
+      return [];
+    }
+
+    const rate = this.getCommissionRate();
+    const earning = roundAmount(payment.netAmount ?? payment.amount);
+    const commission = roundAmount(earning * rate);
+    const base = {
+      mechanicId: payment.mechanicId,
+      paymentId: payment._id,
+      requestId: payment.requestId,
+      postedAt: payment.paidAt || new Date()
+    };
+
+    const entries = [
+      { ...base, type: 'credit', category: 'job_earning', amount: earning, description: `Payment via ${payment.method}` },
+      { ...base, type: 'debit', category: 'platform_commission', amount: commission, commissionRate: rate, description: `Platform commission (${roundAmount(rate * 100)}%)` }
+    ];
+
+    // The mechanic already holds cash payments, so it counts against what we owe them
+    if (payment.method === 'Cash') {
+      entries.push({ ...base, type: 'debit', category: 'cash_collected', amount: roundAmount(payment.amount), description: 'Cash collected from customer' });
+    }
+
+    return this.insertEntries(entries, { paymentId: payment._id });
+  }
+
+  // Post a processed refund against the mechanic and give back the commission on it
+  async recordRefund(refund) {
+    if (!refund || refund.status !== 'processed' || !refund.mechanicId) {
+      return [];
+    }
+
+    const amount = roundAmount(refund.approvedAmount ?? refund.amount);
+    const commissionEntry = await LedgerEntry.findOne({ paymentId: refund.paymentId, category: 'platform_commission' });
+    const rate = commissionEntry?.commissionRate ?? this.getCommissionRate();
+    const base = {
+      mechanicId: refund.mechanicId,
+      refundId: refund._id,
+      requestId: refund.requestId,
+      postedAt: refund.processedAt || new Date()
+    };
+
+    return this.insertEntries([
+      { ...base, type: 'debit', category: 'refund', amount, description: refund.isPartial ? 'Partial refund to customer' : 'Refund to customer' },
+      { ...base, type: 'credit', category: 'commission_reversal', amount: roundAmount(amount * rate), commissionRate: rate, description: 'Commission returned on refund' }
+    ], { refundId: refund._id });
+  }
+
+  // Entries are unique per source and category, so a repeated event posts nothing new
+  async insertEntries(entries, source) {
+    try {
+      return await LedgerEntry.insertMany(entries.filter(entry => entry.amount > 0), { ordered: false });
+    } catch (error) {
+      if (!isDuplicateKeyError(error) && !error.writeErrors?.every(isDuplicateKeyError)) {
+        throw error;
+      }
+      logger.info('Ledger entries already posted:', source);
+      return error.insertedDocs || [];
+    }
+  }
+
+  // Post payments and refunds that never reached the ledger, e.g. from before it existed
+  async postMissingEntries(before) {
+    const [payments, refunds] = await Promise.all([
+      Payment.find({ status: { $in: ['success', 'partially_refunded', 'refunded'] }, paidAt: { $lt: before } })
+        .select('_id requestId mechanicId amount netAmount method status paidAt'),
+      Refund.find({ status: 'processed', processedAt: { $lt: before } })
+    ]);
+    const [postedPayments, postedRefunds] = await Promise.all([
+      LedgerEntry.distinct('paymentId', { category: 'job_earning', paymentId: { $in: payments.map(payment => payment._id) } }),
+      LedgerEntry.distinct('refundId', { category: 'refund', refundId: { $in: refunds.map(refund => refund._id) } })
+    ]);
+
+    const isPosted = (ids) => {
+      const posted = new Set(ids.map(id => id.toString()));
+      return (doc) => posted.has(doc._id.toString());
+    };
+    const paymentPosted = isPosted(postedPayments);
+    const refundPosted = isPosted(postedRefunds);
+    const missingPayments = payments.filter(payment => !paymentPosted(payment));
+    const missingRefunds = refunds.filter(refund => !refundPosted(refund));
+
+    // A refunded payment was successful before it was refunded
+    for (const payment of missingPayments) {
+      await this.recordPayment(payment, { allowRefunded: true });
+    }
+    for (const refund of missingRefunds) {
+      await this.recordRefund(refund);
+    }
+
+    if (missingPayments.length + missingRefunds.length > 0) {
+      logger.info('Backfilled ledger entries:', { payments: missingPayments.length, refunds: missingRefunds.length });
+    }
+  }
+
+  async getBalance(mechanicId) {
+    const id = new mongoose.Types.ObjectId(mechanicId);
+    const [[unsettled], payouts, lastPayout] = await Promise.all([
+      LedgerEntry.aggregate([
+        { $match: { mechanicId: id, payoutId: null } },
+        { $group: { _id: null, balance: { $sum: SIGNED_AMOUNT }, entries: { $sum: 1 } } }
+      ]),
+      Payout.aggregate([
+        { $match: { mechanicId: id } },
+        { $group: { _id: '$status', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ]),
+      Payout.findOne({ mechanicId: id, status: 'paid' }).sort({ paidAt: -1 })
+    ]);
+
+    const byStatus = Object.fromEntries(payouts.map(group => [group._id, group]));
+
+    return {
+      pendingBalance: roundAmount(unsettled?.balance || 0),
+      unsettledEntries: unsettled?.entries || 0,
+      inTransit: roundAmount(byStatus.pending?.amount || 0),
+      totalSettled: roundAmount(byStatus.paid?.amount || 0),
+      payoutsReceived: byStatus.paid?.count || 0,
+      lastPayout,
+      nextSettlementAt: new Date(startOfWeek().getTime() + 7 * 24 * 60 * 60 * 1000),
+      commissionRate: this.getCommissionRate()
+    };
+  }
+
+  // Totals per category for entries posted in [start, end]; net leaves out payouts themselves
+  async getPeriodTotals(mechanicId, start, end) {
+    const groups = await LedgerEntry.aggregate([
+      {
+        $match: {
+          mechanicId: new mongoose.Types.ObjectId(mechanicId),
+          postedAt: { $gte: start, $lte: end }
+        }
+      },
+      { $group: { _id: '$category', amount: { $sum: '$amount' }, signed: { $sum: SIGNED_AMOUNT } } }
+    ]);
+
+    const totals = Object.fromEntries(Object.keys(LedgerEntry.CATEGORIES).map(category => [category, 0]));
+    let net = 0;
+    for (const group of groups) {
+      totals[group._id] = roundAmount(group.amount);
+      if (group._id !== 'payout' && group._id !== 'payout_reversal') {
+        net += group.signed;
+      }
+    }
+
+    return { ...totals, net: roundAmount(net) };
+  }
+
+  async getEntries(mechanicId, { settled, page = 1, limit = 20 } = {}) {
+    const filter = { mechanicId };
+    if (settled !== undefined) {
+      filter.payoutId = settled ? { $ne: null } : null;
+    }
+
+    const options = this.pageOptions(page, limit);
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .populate('requestId', 'issueType vehicleInfo')
+        .sort({ postedAt: -1 })
+        .skip(options.skip)
+        .limit(options.pageSize),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    return { entries, pagination: this.paginate(options, total) };
+  }
+
+  // Payouts of one mechanic, or of everyone for admins
+  async getPayouts({ mechanicId, batchId, status, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (mechanicId) filter.mechanicId = mechanicId;
+    if (batchId) filter.batchId = batchId;
+    if (status) filter.status = status;
+
+    const options = this.pageOptions(page, limit);
+    const [payouts, total] = await Promise.all([
+      Payout.find(filter)
+        .populate('mechanicId', 'name email phone')
+        .sort({ createdAt: -1 })
+        .skip(options.skip)
+        .limit(options.pageSize),
+      Payout.countDocuments(filter)
+    ]);
+
+    return { payouts, pagination: this.paginate(options, total) };
+  }
+
+  // A payout with every ledger entry it settled
+  async getStatement(payoutId, user) {
+    const payout = await Payout.findById(payoutId).populate('batchId', 'periodStart periodEnd completedAt');
+
+    if (!payout || (user.role !== 'admin' && payout.mechanicId.toString() !== user._id.toString())) {
+      throw new AppError('Payout not found', 404);
+    }
+
+    const entries = await LedgerEntry.find({ payoutId: payout._id })
+      .populate('requestId', 'issueType vehicleInfo')
+      .sort({ postedAt: 1 });
+
+    return { payout, entries };
+  }
+
+  async getBatches({ page = 1, limit = 20 } = {}) {
+    const options = this.pageOptions(page, limit);
+    const [batches, total] = await Promise.all([
+      SettlementBatch.find()
+        .populate('createdBy', 'name email')
+        .sort({ periodEnd: -1 })
+        .skip(options.skip)
+        .limit(options.pageSize),
+      SettlementBatch.countDocuments()
+    ]);
+
+    return { batches, pagination: this.paginate(options, total) };
+  }
+
+  // Settle every entry posted before periodEnd into one payout per mechanic.
+  // Mechanics who net to zero or owe the platform are carried into the next batch.
+  async runSettlement({ periodEnd, adminId } = {}) {
+    const end = periodEnd ? new Date(periodEnd) : startOfWeek();
+
+    if (end > new Date()) {
+      throw new AppError('A settlement period cannot end in the future', 400);
+    }
+
+    const batch = await this.openBatch(end, adminId);
+
+    try {
+      await this.postMissingEntries(end);
+
+      const balances = await LedgerEntry.aggregate([
+        { $match: { payoutId: null, postedAt: { $lt: end } } },
+        {
+          $group: {
+            _id: '$mechanicId',
+            credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+            debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+            entryIds: { $push: '$_id' }
+          }
+        }
+      ]);
+
+      for (const balance of balances) {
+        const amount = roundAmount(balance.credits - balance.debits);
+
+        if (amount <= 0) {
+          batch.totals.carriedForward += 1;
+          continue;
+        }
+
+        await this.createPayout(batch, balance, amount);
+        batch.totals.payouts += 1;
+        batch.totals.amount = roundAmount(batch.totals.amount + amount);
+      }
+
+      batch.status = 'completed';
+      batch.completedAt = new Date();
+      batch.error = undefined;
+      await batch.save();
+
+      logger.info('Settlement batch completed:', {
+        batchId: batch._id,
+        periodEnd: end,
+        payouts: batch.totals.payouts,
+        amount: batch.totals.amount
+      });
+
+      return batch;
+    } catch (error) {
+      batch.status = 'failed';
+      batch.error = error.message;
+      await batch.save();
+
+      logger.error('Settlement batch failed:', { batchId: batch._id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Only one batch per period; a failed batch is resumed rather than duplicated
+  async openBatch(periodEnd, adminId) {
+    const existing = await SettlementBatch.findOne({ periodEnd });
+
+    if (existing) {
+      if (existing.status !== 'failed') {
+        throw new AppError('A settlement batch already exists for this period', 409);
+      }
+      existing.status = 'running';
+      await existing.save();
+      return existing;
+    }
+
+    const previous = await SettlementBatch.findOne({ periodEnd: { $lt: periodEnd } }).sort({ periodEnd: -1 });
+
+    try {
+      return await SettlementBatch.create({
+        periodStart: previous?.periodEnd,
+        periodEnd,
+        createdBy: adminId
+      });
+    } catch (error) {
+      if (isDuplicateKeyError(error)) {
+        throw new AppError('A settlement batch already exists for this period', 409);
+      }
+      throw error;
+    }
+  }
+
+  async createPayout(batch, balance, amount) {
+    const settledAt = new Date();
+    const payout = await Payout.create({
+      batchId: batch._id,
+      mechanicId: balance._id,
+      amount,
+      totalCredits: roundAmount(balance.credits),
+      totalDebits: roundAmount(balance.debits),
+      entryCount: balance.entryIds.length,
+      periodStart: batch.periodStart,
+      periodEnd: batch.periodEnd
+    });
+
+    await LedgerEntry.updateMany(
+      { _id: { $in: balance.entryIds }, payoutId: null },
+      { $set: { payoutId: payout._id, settledAt } }
+    );
+
+    // The payout itself is settled by the batch that made it
+    await LedgerEntry.create({
+      mechanicId: balance._id,
+      type: 'debit',
+      category: 'payout',
+      amount,
+      description: 'Weekly payout',
+      postedAt: batch.periodEnd,
+      payoutId: payout._id,
+      settledAt,
+      createdBy: batch.createdBy
+    });
+
+    return payout;
+  }
+
+  // Record the outcome of the bank transfer; a failed payout is owed again in the next batch
+  async updatePayoutStatus(payoutId, adminId, { status, reference, reason }) {
+    const update = { status, updatedBy: adminId };
+    if (status === 'paid') {
+      update.paidAt = new Date();
+      update.reference = reference;
+    } else {
+      update.failureReason = reason;
+    }
+
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: 'pending' },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!payout) {
+      const exists = await Payout.exists({ _id: payoutId });
+      throw exists
+        ? new AppError('Payout has already been marked paid or failed', 409)
+        : new AppError('Payout not found', 404);
+    }
+
+    if (status === 'failed') {
+      await LedgerEntry.create({
+        mechanicId: payout.mechanicId,
+        type: 'credit',
+        category: 'payout_reversal',
+        amount: payout.amount,
+        description: reason ? `Payout failed: ${reason}` : 'Payout failed',
+        createdBy: adminId
+      });
+    }
+
+    logger.info('Payout updated:', { payoutId: payout._id, status, amount: payout.amount });
+    return payout;
+  }
+
+  // Clamp page/limit query params the way the other list endpoints do
+  pageOptions(page, limit) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    return { pageNumber, pageSize, skip: (pageNumber - 1) * pageSize };
+  }
+
+  paginate({ pageNumber, pageSize }, total) {
+    return {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      total
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -1,11 +1,22 @@
 const nodemailer = require('nodemailer');
 const logger = require('../config/logger');
+const { createSmsProvider, FINAL_SMS_STATUSES } = require('./sms');
+const webPushService = require('./webPushService');
+const jobQueue = require('./jobQueue');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { resolveChannels } = require('../config/notificationEvents');
 
 // Notification service for email, SMS, and push notifications
 class NotificationService {
   constructor() {
     this.emailTransporter = null;
+    this.socketHandlers = null;
     this.initializeEmailTransporter();
+
+    // SMS delivery through the provider selected by SMS_PROVIDER
+    this.smsProvider = createSmsProvider();
+    this.smsDeliveries = new Map();
     
     // Notification templates
     this.templates = {
@@ -63,13 +74,6 @@ class NotificationService {
       }
     };
 
-    // Notification queues for different priorities
-    this.queues = {
-      high: [],     // OTP, emergency requests
-      medium: [],   // Status updates, assignments
-      low: []       // Marketing, tips
-    };
-
     // Rate limiting
     this.rateLimits = new Map();
     
@@ -143,7 +147,7 @@ class NotificationService {
         
         return { success: true, messageId: result.messageId };
       } else {
-        this.addToQueue(priority, 'email', mailOptions);
+        await this.addToQueue(priority, 'email', mailOptions);
         return { success: true, queued: true };
       }
 
@@ -157,7 +161,7 @@ class NotificationService {
     }
   }
 
-  // Send SMS notification (simulated for hackathon)
+  // Send SMS notification
   async sendSMS({ to, message, priority = 'medium' }) {
     try {
       // Check rate limiting
@@ -166,31 +170,32 @@ class NotificationService {
         return { success: false, message: 'Rate limited' };
       }
 
-      // In production, integrate with Twilio, AWS SNS, or other SMS service
-      // For hackathon, we'll simulate SMS sending
-      
       const smsData = {
         to,
         message,
         timestamp: new Date(),
-        provider: 'simulated'
+        provider: this.smsProvider.name
       };
 
       if (priority === 'high') {
-        // Simulate immediate SMS sending
-        await new Promise(resolve => setTimeout(resolve, 100));
+        const result = await this.deliverSMS(smsData);
         this.updateRateLimit('sms', to);
         
-        logger.info('High priority SMS sent (simulated):', smsData);
+        logger.info('High priority SMS sent:', {
+          to,
+          messageId: result.messageId,
+          provider: result.provider,
+          status: result.status
+        });
         
-        // In production, this would be the actual SMS API response
         return {
           success: true,
-          messageId: `sms_${Date.now()}`,
-          provider: 'simulated'
+          messageId: result.messageId,
+          provider: result.provider,
+          status: result.status
         };
       } else {
-        this.addToQueue(priority, 'sms', smsData);
+        await this.addToQueue(priority, 'sms', smsData);
         return { success: true, queued: true };
       }
 
@@ -204,6 +209,70 @@ class NotificationService {
     }
   }
 
+  // Hand an SMS to the provider and start tracking its delivery
+  async deliverSMS({ to, message }) {
+    const result = await this.smsProvider.send({ to, message });
+    this.recordSmsStatus(result.messageId, {
+      to,
+      provider: result.provider,
+      status: result.status
+    });
+    return result;
+  }
+
+  recordSmsStatus(messageId, { status, to, provider, errorCode = null }) {
+    if (!messageId) return;
+
+    const existing = this.smsDeliveries.get(messageId) || {};
+    const delivery = {
+      ...existing,
+      ...(to && { to }),
+      provider: provider || existing.provider || this.smsProvider.name,
+      status,
+      errorCode,
+      updatedAt: new Date()
+    };
+
+    // Keep the most recent deliveries only
+    this.smsDeliveries.delete(messageId);
+    this.smsDeliveries.set(messageId, delivery);
+    if (this.smsDeliveries.size > 1000) {
+      this.smsDeliveries.delete(this.smsDeliveries.keys().next().value);
+    }
+
+    if (['failed', 'undelivered'].includes(status)) {
+      logger.warn('SMS delivery failed:', { messageId, ...delivery });
+    }
+
+    return delivery;
+  }
+
+  // Latest known delivery status, asking the provider when it is not final yet
+  async getSmsDeliveryStatus(messageId) {
+    const delivery = this.smsDeliveries.get(messageId);
+    if (delivery && FINAL_SMS_STATUSES.includes(delivery.status)) {
+      return { messageId, ...delivery };
+    }
+
+    const report = await this.smsProvider.getStatus(messageId);
+    return { messageId, ...this.recordSmsStatus(messageId, report) };
+  }
+
+  // Delivery report pushed by the provider; false when it is not for us or not genuine
+  handleSmsStatusCallback(providerName, { params, signature }) {
+    if (providerName !== this.smsProvider.name || !this.smsProvider.parseStatusCallback) {
+      return false;
+    }
+
+    const report = this.smsProvider.parseStatusCallback({ params, signature });
+    if (!report) {
+      return false;
+    }
+
+    this.recordSmsStatus(report.messageId, report);
+    return true;
+  }
+
   // Send push notification
   async sendPushNotification({ userId, title, body, data = {}, priority = 'medium' }) {
     try {
@@ -221,20 +290,19 @@ class NotificationService {
         timestamp: new Date()
       };
 
-      // In production, integrate with FCM, APNs, or other push service
-      // For hackathon, we'll log the notification
-      
       if (priority === 'high') {
+        const result = await this.deliverPush(pushData, 'high');
         this.updateRateLimit('push', userId);
         
-        logger.info('High priority push notification sent (simulated):', pushData);
+        logger.info('High priority push notification sent:', { userId, title, ...result });
         
         return {
           success: true,
-          notificationId: `push_${Date.now()}`
+          notificationId: `push_${Date.now()}`,
+          delivered: result.sent
         };
       } else {
-        this.addToQueue(priority, 'push', pushData);
+        await this.addToQueue(priority, 'push', pushData);
         return { success: true, queued: true };
       }
 
@@ -248,6 +316,11 @@ class NotificationService {
     }
   }
 
+  // Deliver to every browser the user subscribed for Web Push
+  async deliverPush({ userId, title, body, data }, urgency = 'normal') {
+    return webPushService.sendToUser(userId, { title, body, data }, { urgency });
+  }
+
   // Send OTP notification
   async sendOTP(identifier, code, type = 'phone') {
     try {
@@ -277,84 +350,144 @@ class NotificationService {
     }
   }
 
-  // Service request notifications
-  async notifyRequestCreated(customer, serviceRequest) {
-    const notifications = [];
+  // Live socket events for in-app notifications
+  setSocketHandlers(socketHandlers) {
+    this.socketHandlers = socketHandlers;
+  }
 
-    // Email to customer
-    if (customer.email) {
-      notifications.push(
-        this.sendEmail({
-          to: customer.email,
-          subject: this.templates.email.requestCreated.subject,
-          template: 'request-created',
-          data: {
-            customerName: customer.name,
-            requestId: serviceRequest._id,
-            issueType: serviceRequest.issueType,
-            location: serviceRequest.location.address || 'Location shared',
-            estimatedCost: serviceRequest.quotation || 'TBD'
-          }
-        })
-      );
-    }
+  // Channels the user wants for this event, loading their preferences when not on the document
+  async getChannelPreferences(user, type) {
+    let preferences = user.notificationPreferences;
 
-    // SMS to customer
-    if (customer.phone) {
-      const message = this.templates.sms.requestCreated
-        .replace('{{requestId}}', serviceRequest._id.toString().slice(-6));
-      
-      notifications.push(
-        this.sendSMS({
-          to: customer.phone,
-          message
-        })
-      );
+    if (preferences === undefined) {
+      try {
+        const stored = await User.findById(user._id).select('notificationPreferences').lean();
+        preferences = stored?.notificationPreferences;
+      } catch (error) {
+        logger.warn('Could not load notification preferences, using defaults:', { userId: user._id, error: error.message });
+      }
     }
 
-    return await Promise.allSettled(notifications);
+    return resolveChannels(preferences, type);
   }
 
-  async notifyMechanicAssigned(customer, mechanic, serviceRequest) {
+  // Send one event to one user on the channels they allow and record it in their inbox
+  async notifyUser(user, type, { title, message, data = {}, priority = 'medium', email = null, sms = null, push = true }) {
+    const channels = await this.getChannelPreferences(user, type);
     const notifications = [];
+    const sentOn = [];
+
+    if (email && channels.email && user.email) {
+      notifications.push(this.sendEmail({ to: user.email, ...email }));
+      sentOn.push('email');
+    }
 
-    // Notify customer
-    if (customer.email) {
+    if (sms && channels.sms && user.phone) {
+      notifications.push(this.sendSMS({ to: user.phone, ...sms }));
+      sentOn.push('sms');
+    }
+
+    if (push && channels.push) {
       notifications.push(
-        this.sendEmail({
-          to: customer.email,
-          subject: this.templates.email.requestAssigned.subject,
-          template: 'request-assigned',
-          data: {
-            customerName: customer.name,
-            mechanicName: mechanic.name,
-            mechanicPhone: mechanic.phone,
-            requestId: serviceRequest._id,
-            issueType: serviceRequest.issueType,
-            estimatedArrival: '20-30 minutes'
-          }
+        this.sendPushNotification({
+          userId: user._id,
+          title,
+          body: message,
+          data: { ...data, type },
+          priority
         })
       );
+      sentOn.push('push');
     }
 
-    if (customer.phone) {
-      const message = this.templates.sms.mechanicAssigned
-        .replace('{{mechanicName}}', mechanic.name)
-        .replace('{{requestId}}', serviceRequest._id.toString().slice(-6));
-      
+    // The inbox entry is the in-app channel, so nothing is stored when the user switched it off
+    if (channels.inApp) {
+      sentOn.push('inApp');
       notifications.push(
-        this.sendSMS({
-          to: customer.phone,
-          message
-        })
+        this.recordNotification(user, type, { title, message, data, priority, channels: sentOn })
       );
     }
 
     return await Promise.allSettled(notifications);
   }
 
+  async recordNotification(user, type, { title, message, data, priority, channels }) {
+    const notification = await Notification.create({
+      userId: user._id,
+      type,
+      title,
+      message,
+      data,
+      requestId: data.requestId,
+      actionUrl: data.actionUrl,
+      channels,
+      priority: priority === 'high' ? 'high' : 'medium'
+    });
+
+    if (this.socketHandlers) {
+      this.socketHandlers.emitToUser(user._id, 'new_notification', notification.toObject());
+    }
+
+    return notification;
+  }
+
+  // Service request notifications
+  async notifyRequestCreated(customer, serviceRequest) {
+    const shortId = serviceRequest._id.toString().slice(-6);
+
+    return this.notifyUser(customer, 'request_created', {
+      title: this.templates.email.requestCreated.subject,
+      message: this.templates.sms.requestCreated.replace('{{requestId}}', shortId),
+      data: { requestId: serviceRequest._id },
+      email: {
+        subject: this.templates.email.requestCreated.subject,
+        template: 'request-created',
+        data: {
+          customerName: customer.name,
+          requestId: serviceRequest._id,
+          issueType: serviceRequest.issueType,
+          location: serviceRequest.location.address || 'Location shared',
+          estimatedCost: serviceRequest.quotation || 'TBD'
+        }
+      },
+      sms: {
+        message: this.templates.sms.requestCreated.replace('{{requestId}}', shortId)
+      },
+      push: false
+    });
+  }
+
+  async notifyMechanicAssigned(customer, mechanic, serviceRequest) {
+    return this.notifyUser(customer, 'request_assigned', {
+      title: this.templates.push.requestAssigned.title,
+      message: this.templates.push.requestAssigned.body
+        .replace('{{mechanicName}}', mechanic.name),
+      data: {
+        requestId: serviceRequest._id,
+        mechanicId: mechanic._id
+      },
+      priority: 'high',
+      email: {
+        subject: this.templates.email.requestAssigned.subject,
+        template: 'request-assigned',
+        data: {
+          customerName: customer.name,
+          mechanicName: mechanic.name,
+          mechanicPhone: mechanic.phone,
+          requestId: serviceRequest._id,
+          issueType: serviceRequest.issueType,
+          estimatedArrival: '20-30 minutes'
+        }
+      },
+      sms: {
+        message: this.templates.sms.mechanicAssigned
+          .replace('{{mechanicName}}', mechanic.name)
+          .replace('{{requestId}}', serviceRequest._id.toString().slice(-6))
+      }
+    });
+  }
+
   async notifyStatusUpdate(customer, serviceRequest, status) {
-    const notifications = [];
     let message = '';
 
     switch (status) {
@@ -370,187 +503,300 @@ class NotificationService {
         message = `Your service request status has been updated to: ${status}`;
     }
 
-    if (customer.phone && message) {
-      notifications.push(
-        this.sendSMS({
-          to: customer.phone,
-          message
-        })
-      );
-    }
+    return this.notifyUser(customer, 'status_update', {
+      title: this.templates.push.statusUpdate.title,
+      message: this.templates.push.statusUpdate.body.replace('{{status}}', status),
+      data: {
+        requestId: serviceRequest._id,
+        status
+      },
+      sms: { message }
+    });
+  }
+
+  // Direct booking notification to specific mechanic
+  async notifyDirectBooking(mechanic, serviceRequest) {
+    const isEmergency = serviceRequest.priority === 'emergency';
+
+    return this.notifyUser(mechanic, 'direct_booking', {
+      title: 'New Direct Booking Request',
+      message: `You have a new direct booking request for ${serviceRequest.issueType}`,
+      data: {
+        requestId: serviceRequest._id,
+        issueType: serviceRequest.issueType,
+        location: serviceRequest.location,
+        priority: serviceRequest.priority,
+        estimatedCost: serviceRequest.quotation
+      },
+      priority: isEmergency ? 'high' : 'medium',
+      // SMS for critical/emergency requests
+      sms: isEmergency && {
+        message: `URGENT: Direct booking request for ${serviceRequest.issueType}. Check your app immediately!`,
+        priority: 'high'
+      }
+    });
+  }
 
-    // Push notification
-    notifications.push(
-      this.sendPushNotification({
-        userId: customer._id,
-        title: this.templates.push.statusUpdate.title,
-        body: this.templates.push.statusUpdate.body.replace('{{status}}', status),
+  // Tell the mechanic a customer booked one of their slots
+  async notifyBookingScheduled(mechanic, serviceRequest) {
+    const when = this.formatBookingTime(serviceRequest.schedule);
+
+    return this.notifyUser(mechanic, 'booking_scheduled', {
+      title: 'New scheduled booking',
+      message: `${serviceRequest.issueType} booked for ${when}`,
+      data: {
+        requestId: serviceRequest._id,
+        issueType: serviceRequest.issueType,
+        scheduledFor: serviceRequest.schedule.startAt
+      },
+      email: {
+        subject: 'New scheduled booking - RoadGuard',
+        template: 'booking-scheduled',
         data: {
-          requestId: serviceRequest._id,
-          status,
-          type: 'status_update'
+          name: mechanic.name,
+          issueType: serviceRequest.issueType,
+          when,
+          location: serviceRequest.location?.address || 'Location shared'
         }
-      })
-    );
+      }
+    });
+  }
 
-    return await Promise.allSettled(notifications);
+  // Remind the customer or mechanic of a booking that starts soon
+  async notifyBookingReminder(user, serviceRequest) {
+    const when = this.formatBookingTime(serviceRequest.schedule);
+    const message = `Reminder: your ${serviceRequest.issueType.replace(/_/g, ' ')} booking starts at ${when}`;
+
+    return this.notifyUser(user, 'booking_reminder', {
+      title: 'Upcoming booking',
+      message,
+      data: {
+        requestId: serviceRequest._id,
+        scheduledFor: serviceRequest.schedule.startAt
+      },
+      priority: 'high',
+      sms: { message }
+    });
   }
 
-  // Direct booking notification to specific mechanic
-  async notifyDirectBooking(mechanic, serviceRequest) {
-    const notifications = [];
+  // Broadcast notification to mechanics
+  async broadcastToMechanics(serviceRequest, nearbyMechanics) {
+    const isEmergency = serviceRequest.priority === 'emergency';
 
-    // Push notification for real-time alert
-    notifications.push(
-      this.sendPushNotification({
-        userId: mechanic._id,
-        title: 'New Direct Booking Request',
-        body: `You have a new direct booking request for ${serviceRequest.issueType}`,
+    const results = await Promise.all(nearbyMechanics.map(mechanic =>
+      this.notifyUser(mechanic, 'new_request', {
+        title: this.templates.push.newRequest.title,
+        message: this.templates.push.newRequest.body
+          .replace('{{issueType}}', serviceRequest.issueType),
         data: {
           requestId: serviceRequest._id,
           issueType: serviceRequest.issueType,
           location: serviceRequest.location,
           priority: serviceRequest.priority,
-          estimatedCost: serviceRequest.quotation,
-          type: 'direct_booking'
+          estimatedCost: serviceRequest.quotation
         },
-        priority: serviceRequest.priority === 'emergency' ? 'high' : 'medium'
-      })
-    );
-
-    // SMS for critical/emergency requests
-    if (serviceRequest.priority === 'emergency' && mechanic.phone) {
-      notifications.push(
-        this.sendSMS({
-          to: mechanic.phone,
-          message: `URGENT: Direct booking request for ${serviceRequest.issueType}. Check your app immediately!`,
+        priority: isEmergency ? 'high' : 'medium',
+        // SMS for critical/emergency requests
+        sms: isEmergency && {
+          message: `URGENT: Emergency ${serviceRequest.issueType} request nearby. Check your app immediately!`,
           priority: 'high'
-        })
-      );
-    }
-
-    return await Promise.allSettled(notifications);
-  }
-
-  // Broadcast notification to mechanics
-  async broadcastToMechanics(serviceRequest, nearbyMechanics) {
-    const notifications = [];
-
-    for (const mechanic of nearbyMechanics) {
-      // Push notification for real-time alert
-      notifications.push(
-        this.sendPushNotification({
-          userId: mechanic._id,
-          title: this.templates.push.newRequest.title,
-          body: this.templates.push.newRequest.body
-            .replace('{{issueType}}', serviceRequest.issueType),
-          data: {
-            requestId: serviceRequest._id,
-            issueType: serviceRequest.issueType,
-            location: serviceRequest.location,
-            priority: serviceRequest.priority,
-            estimatedCost: serviceRequest.quotation,
-            type: 'new_request'
-          },
-          priority: serviceRequest.priority === 'emergency' ? 'high' : 'medium'
-        })
-      );
-
-      // SMS for critical/emergency requests
-      if (serviceRequest.priority === 'emergency' && mechanic.phone) {
-        notifications.push(
-          this.sendSMS({
-            to: mechanic.phone,
-            message: `URGENT: Emergency ${serviceRequest.issueType} request nearby. Check your app immediately!`,
-            priority: 'high'
-          })
-        );
-      }
-    }
+        }
+      })
+    ));
 
-    return await Promise.allSettled(notifications);
+    return results.flat();
   }
 
   // Request rejection notification
   async notifyRequestRejected(customer, mechanic, serviceRequest, reason) {
-    const notifications = [];
-
-    // Push notification
-    notifications.push(
-      this.sendPushNotification({
-        userId: customer._id,
-        title: 'Service Request Rejected',
-        body: `Your service request has been rejected by ${mechanic.name}`,
+    return this.notifyUser(customer, 'request_rejected', {
+      title: 'Service Request Rejected',
+      message: `Your service request has been rejected by ${mechanic.name}`,
+      data: {
+        requestId: serviceRequest._id,
+        mechanicId: mechanic._id,
+        reason
+      },
+      email: {
+        subject: 'Service Request Rejected',
+        template: 'request-rejected',
         data: {
+          customerName: customer.name,
+          mechanicName: mechanic.name,
           requestId: serviceRequest._id,
-          mechanicId: mechanic._id,
-          reason,
-          type: 'request_rejected'
-        },
-        priority: 'medium'
-      })
-    );
+          issueType: serviceRequest.issueType,
+          reason: reason || 'No reason provided',
+          supportEmail: process.env.SUPPORT_EMAIL || 'support@roadguard.com'
+        }
+      }
+    });
+  }
 
-    // Email notification
-    if (customer.email) {
-      notifications.push(
-        this.sendEmail({
-          to: customer.email,
-          subject: 'Service Request Rejected',
-          template: 'request-rejected',
-          context: {
-            customerName: customer.name,
-            mechanicName: mechanic.name,
-            requestId: serviceRequest._id,
-            issueType: serviceRequest.issueType,
-            reason: reason || 'No reason provided',
-            supportEmail: process.env.SUPPORT_EMAIL || 'support@roadguard.com'
-          }
-        })
-      );
-    }
+  // Ask the customer to rate the mechanic after a completed job
+  async notifyReviewPrompt(customer, serviceRequest) {
+    return this.notifyUser(customer, 'review_prompt', {
+      title: 'How was your service?',
+      message: 'Rate your mechanic to help other drivers',
+      data: { requestId: serviceRequest._id }
+    });
+  }
 
-    return await Promise.allSettled(notifications);
+  // A quote was proposed to the customer, or the customer answered the mechanic's quote
+  async notifyQuoteUpdate(user, serviceRequest) {
+    const { quote } = serviceRequest;
+    const current = quote?.revisions?.find(revision => revision.revision === quote.currentRevision);
+    if (!current) return [];
+
+    const extra = current.kind === 'supplementary' ? ' for additional work' : '';
+    const messages = {
+      proposed: `Your mechanic quoted ₹${current.total}${extra}. Please review it in the app`,
+      accepted: `The customer accepted your ₹${current.total} quote${extra}`,
+      rejected: `The customer declined your ₹${current.total} quote${extra}`,
+      countered: `The customer offered ₹${current.counterAmount} instead of your ₹${current.total} quote`
+    };
+    const message = messages[quote.status];
+
+    if (!message) return [];
+
+    return this.notifyUser(user, 'quote_update', {
+      title: 'Quote update',
+      message,
+      data: {
+        requestId: serviceRequest._id,
+        revision: current.revision,
+        status: quote.status,
+        total: current.total
+      },
+      sms: { message },
+      priority: quote.status === 'proposed' ? 'high' : 'medium'
+    });
   }
 
   // Payment notifications
   async notifyPaymentSuccess(customer, payment, serviceRequest) {
-    const notifications = [];
-
-    if (customer.email) {
-      notifications.push(
-        this.sendEmail({
-          to: customer.email,
-          subject: this.templates.email.paymentSuccess.subject,
-          template: 'payment-success',
-          data: {
-            customerName: customer.name,
-            amount: payment.amount,
-            requestId: serviceRequest._id,
-            paymentId: payment._id,
-            receipt: payment.receipt
-          }
-        })
-      );
-    }
+    const message = this.templates.sms.paymentSuccess
+      .replace('{{amount}}', payment.amount)
+      .replace('{{requestId}}', serviceRequest._id.toString().slice(-6));
+
+    return this.notifyUser(customer, 'payment_success', {
+      title: this.templates.email.paymentSuccess.subject,
+      message,
+      data: {
+        requestId: serviceRequest._id,
+        paymentId: payment._id,
+        amount: payment.amount
+      },
+      email: {
+        subject: this.templates.email.paymentSuccess.subject,
+        template: 'payment-success',
+        data: {
+          customerName: customer.name,
+          amount: payment.amount,
+          requestId: serviceRequest._id,
+          paymentId: payment._id,
+          receipt: payment.receipt
+        }
+      },
+      sms: { message },
+      push: false
+    });
+  }
 
-    if (customer.phone) {
-      const message = this.templates.sms.paymentSuccess
-        .replace('{{amount}}', payment.amount)
-        .replace('{{requestId}}', serviceRequest._id.toString().slice(-6));
-      
-      notifications.push(
-        this.sendSMS({
-          to: customer.phone,
+  // Tell the customer how their refund request is progressing
+  async notifyRefundUpdate(customer, refund) {
+    const amount = refund.approvedAmount || refund.amount;
+    const messages = {
+      processing: `Your refund of ₹${amount} has been approved and is being processed`,
+      processed: `₹${amount} has been refunded to your original payment method`,
+      denied: `Your refund request was declined${refund.adminNote ? `: ${refund.adminNote}` : ''}`,
+      failed: `Your refund of ₹${amount} could not be processed. Our team will contact you`
+    };
+    const message = messages[refund.status];
+
+    if (!message) return [];
+
+    return this.notifyUser(customer, 'refund_update', {
+      title: 'Refund update',
+      message,
+      data: {
+        requestId: refund.requestId,
+        paymentId: refund.paymentId,
+        refundId: refund._id,
+        status: refund.status,
+        amount
+      },
+      email: {
+        subject: 'Refund update - RoadGuard',
+        template: 'refund-update',
+        data: {
+          customerName: customer.name,
           message
-        })
-      );
-    }
+        }
+      }
+    });
+  }
 
-    return await Promise.allSettled(notifications);
+  // Keep both sides of a cash payment up to date while it is confirmed or reconciled
+  async notifyCashPaymentUpdate(user, payment) {
+    const { cash } = payment;
+    const collected = cash.collectedAmount;
+    const messages = {
+      awaiting_confirmation: `Your mechanic recorded ₹${collected} paid in cash. Please confirm it in the app`,
+      confirmed: `The customer confirmed paying ₹${collected} in cash`,
+      disputed: `The customer disputed the ₹${collected} cash payment. Our team will review it`,
+      resolved: `The cash payment was settled at ₹${payment.amount}`,
+      rejected: `The ₹${collected} cash payment was not accepted${cash.resolutionNote ? `: ${cash.resolutionNote}` : ''}`
+    };
+    const message = messages[cash.status];
+
+    if (!message) return [];
+
+    return this.notifyUser(user, 'cash_payment', {
+      title: 'Cash payment update',
+      message,
+      data: {
+        requestId: payment.requestId,
+        paymentId: payment._id,
+        cashStatus: cash.status,
+        amount: payment.amount
+      },
+      sms: { message }
+    });
+  }
+
+  // Tell the customer that support has picked up or closed their SOS
+  async notifySosUpdate(customer, incident) {
+    const messages = {
+      acknowledged: `RoadGuard support has seen your SOS ${incident.reference} and is on it`,
+      resolved: `Your SOS ${incident.reference} has been closed${incident.resolutionNote ? `: ${incident.resolutionNote}` : ''}`
+    };
+    const message = messages[incident.status];
+
+    if (!message) return [];
+
+    return this.notifyUser(customer, 'emergency_alert', {
+      title: 'SOS update',
+      message,
+      data: {
+        incidentId: incident._id,
+        requestId: incident.requestId,
+        status: incident.status
+      },
+      priority: 'high',
+      sms: { message, priority: 'high' }
+    });
   }
 
   // Utility methods
+  // Start of a booked slot in the mechanic's timezone
+  formatBookingTime({ startAt, timezone }) {
+    return new Date(startAt).toLocaleString('en-IN', {
+      timeZone: timezone || 'Asia/Kolkata',
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  }
+
   generateEmailHTML(template, data) {
     // Simple template engine for hackathon
     // In production, use proper template engine like Handlebars
@@ -588,6 +834,28 @@ class NotificationService {
         <p>Payment of ₹{{amount}} has been processed successfully.</p>
         <p><strong>Receipt Number:</strong> {{receipt}}</p>
         <p>Thank you for using RoadGuard!</p>
+      `,
+      'refund-update': `
+        <h2>Refund Update</h2>
+        <p>Hi {{customerName}},</p>
+        <p>{{message}}.</p>
+      `,
+      'sos-alert': `
+        <h2>SOS from {{customerName}}</h2>
+        <p>Hi {{contactName}},</p>
+        <p>{{customerName}} listed you as a trusted contact and has just raised an emergency alert on RoadGuard.</p>
+        <p><strong>Near:</strong> {{address}}</p>
+        <p><strong>Vehicle:</strong> {{vehicle}}</p>
+        <p><strong>Message:</strong> {{message}}</p>
+        <p><a href="{{shareUrl}}">Follow their live location</a> until the emergency is resolved.</p>
+        <p>Call them on {{customerPhone}}. If they cannot be reached, contact local emergency services.</p>
+      `,
+      'booking-scheduled': `
+        <h2>New Scheduled Booking</h2>
+        <p>Hi {{name}},</p>
+        <p>A customer booked your time for <strong>{{issueType}}</strong>.</p>
+        <p><strong>When:</strong> {{when}}</p>
+        <p><strong>Location:</strong> {{location}}</p>
       `
     };
 
@@ -624,13 +892,9 @@ class NotificationService {
     return html.replace(/<[^>]*>/g, '').trim();
   }
 
+  // Queued notifications are persisted so they survive restarts; see jobQueue
   addToQueue(priority, type, data) {
-    this.queues[priority].push({
-      type,
-      data,
-      timestamp: new Date(),
-      attempts: 0
-    });
+    return jobQueue.enqueue(`notification.${type}`, data, { priority });
   }
 
   isRateLimited(type, identifier) {
@@ -674,61 +938,15 @@ class NotificationService {
 
   // Queue processing
   startQueueProcessing() {
-    setInterval(() => {
-      this.processQueue('high');
-    }, 1000); // Process high priority every second
-
-    setInterval(() => {
-      this.processQueue('medium');
-    }, 5000); // Process medium priority every 5 seconds
-
-    setInterval(() => {
-      this.processQueue('low');
-    }, 30000); // Process low priority every 30 seconds
-  }
-
-  async processQueue(priority) {
-    const queue = this.queues[priority];
-    if (queue.length === 0) return;
-
-    const item = queue.shift();
-    const { type, data } = item;
-
-    try {
-      switch (type) {
-        case 'email':
-          await this.emailTransporter.sendMail(data);
-          break;
-        case 'sms':
-          // Process SMS from queue
-          logger.info('SMS sent from queue (simulated):', data);
-          break;
-        case 'push':
-          // Process push notification from queue
-          logger.info('Push notification sent from queue (simulated):', data);
-          break;
-      }
-      
-      logger.info(`${priority} priority ${type} notification processed from queue`);
-    } catch (error) {
-      logger.error(`Queue processing failed for ${type}:`, error);
-      
-      // Retry logic
-      item.attempts++;
-      if (item.attempts < 3) {
-        queue.push(item);
-      }
-    }
+    jobQueue.register('notification.email', (data) => this.emailTransporter.sendMail(data));
+    jobQueue.register('notification.sms', (data) => this.deliverSMS(data));
+    jobQueue.register('notification.push', (data) => this.deliverPush(data));
+    jobQueue.start();
   }
 
   // Get queue status (for monitoring)
   getQueueStatus() {
-    return {
-      high: this.queues.high.length,
-      medium: this.queues.medium.length,
-      low: this.queues.low.length,
-      total: this.queues.high.length + this.queues.medium.length + this.queues.low.length
-    };
+    return jobQueue.getStats();
   }
 }
 
@@ -1,75 +1,51 @@
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const Payment = require('../models/Payment');
 const ServiceRequest = require('../models/ServiceRequest');
 const User = require('../models/User');
 const logger = require('../config/logger');
 const notificationService = require('./notificationService');
+const { createPaymentGateway } = require('./payments');
 
 class PaymentService {
   constructor() {
-    // Use proper test credentials for development
-    const keyId = process.env.RAZORPAY_KEY_ID || 'rzp_test_CjxI6ZFqFKX7Xs';
-    const keySecret = process.env.RAZORPAY_KEY_SECRET || 'test_secret_key_here';
-    
-    console.log('Initializing Razorpay with key ID:', keyId);
-    
-    this.razorpay = new Razorpay({
-      key_id: keyId,
-      key_secret: keySecret,
-    });
+    this.gateway = createPaymentGateway();
+    logger.info(`Payment gateway: ${this.gateway.name}`);
 
     this.processingFeeRate = 0.02; // 2% processing fee
     this.minProcessingFee = 5; // Minimum ₹5
     this.maxProcessingFee = 200; // Maximum ₹200
   }
 
-  // Create Razorpay order (for internal use)
+  // Swap the gateway, e.g. for one pointed at a stub in tests
+  setGateway(gateway) {
+    this.gateway = gateway;
+  }
+
+  // Create a gateway order (for internal use); the amount is in paise
   async createOrder(orderData) {
     try {
-      console.log('Creating Razorpay order with data:', {
-        amount: orderData.amount,
-        currency: orderData.currency || 'INR',
-        receipt: orderData.receipt,
-        notes: orderData.notes
-      });
-
-      const razorpayOrder = await this.razorpay.orders.create({
+      const order = await this.gateway.createOrder({
         amount: orderData.amount,
         currency: orderData.currency || 'INR',
         receipt: orderData.receipt,
-        notes: orderData.notes || {},
-        partial_payment: false,
-        capture_method: 'automatic'
+        notes: orderData.notes || {}
       });
 
-      logger.info('Razorpay order created successfully:', {
-        orderId: razorpayOrder.id,
+      logger.info('Gateway order created:', {
+        gateway: this.gateway.name,
+        orderId: order.id,
         amount: orderData.amount,
         receipt: orderData.receipt
       });
 
-      return razorpayOrder;
+      return order;
     } catch (error) {
-      logger.error('Razorpay order creation failed:', {
+      logger.error('Gateway order creation failed:', {
+        gateway: this.gateway.name,
         error: error.message,
         code: error.error?.code,
         description: error.error?.description,
         orderData
       });
-      
-      // For development, create a mock order if Razorpay fails
-      if (process.env.NODE_ENV === 'development') {
-        console.log('Creating mock order for development...');
-        return {
-          id: `order_test_${Date.now()}`,
-          amount: orderData.amount,
-          currency: orderData.currency || 'INR',
-          receipt: orderData.receipt,
-          status: 'created'
-        };
-      }
-      
       throw error;
     }
   }
@@ -79,7 +55,7 @@ class PaymentService {
     try {
       const { amount, currency = 'INR', customerId, serviceRequestId } = paymentData;
       
-      // Create Razorpay order
+      // Create gateway order
       const order = await this.createOrder({
         amount: amount * 100, // Convert to paise
         currency,
@@ -103,45 +79,37 @@ class PaymentService {
     }
   }
 
-  // Verify payment signature
+  // Verify the signature the checkout returned for a payment
   verifyPaymentSignature(orderId, paymentId, signature) {
     try {
-      const body = orderId + '|' + paymentId;
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-        .update(body.toString())
-        .digest('hex');
-
-      return expectedSignature === signature;
+      return this.gateway.verifyPaymentSignature({ orderId, paymentId, signature });
     } catch (error) {
       logger.error('Error verifying payment signature:', error);
       return false;
     }
   }
 
-  // Process refund
-  async processRefund(paymentId, amount, reason) {
-    try {
-      const refund = await this.razorpay.payments.refund(paymentId, {
-        amount: amount * 100, // Convert to paise
-        speed: 'normal',
-        notes: {
-          reason: reason
-        }
-      });
+  /**
+   * Fetch a payment from the gateway and capture it if it was only authorized.
+   * Resolves to the captured gateway payment; throws when it is not (or no longer) capturable.
+   */
+  async capturePayment(gatewayPaymentId, { amount, currency = 'INR' }) {
+    let gatewayPayment = await this.gateway.fetchPayment(gatewayPaymentId);
 
-      logger.info('Refund processed successfully:', {
-        paymentId,
-        refundId: refund.id,
-        amount,
-        reason
-      });
+    if (gatewayPayment.status === 'authorized') {
+      gatewayPayment = await this.gateway.capturePayment(gatewayPaymentId, { amount, currency });
+    }
 
-      return refund;
-    } catch (error) {
-      logger.error('Error processing refund:', error);
-      throw error;
+    if (gatewayPayment.status !== 'captured') {
+      throw new Error(`Payment not captured. Status: ${gatewayPayment.status}`);
     }
+
+    return gatewayPayment;
+  }
+
+  // Signed webhook -> { eventId, event, body }, or null when the signature is wrong
+  parseWebhook(body, headers) {
+    return this.gateway.parseWebhook({ body, headers });
   }
 
   // Create payment order
@@ -177,8 +145,8 @@ class PaymentService {
       const processingFee = this.calculateProcessingFee(amount);
       const totalAmount = amount + processingFee;
 
-      // Create Razorpay order
-      const razorpayOrder = await this.razorpay.orders.create({
+      // Create gateway order
+      const razorpayOrder = await this.createOrder({
         amount: totalAmount * 100, // Convert to paise
         currency: 'INR',
         receipt: `rg_${requestId}_${Date.now()}`,
@@ -198,6 +166,7 @@ class PaymentService {
         amount,
         processingFee,
         method,
+        gateway: this.gateway.name,
         razorpayOrderId: razorpayOrder.id,
         status: 'pending'
       });
@@ -217,7 +186,8 @@ class PaymentService {
         orderId: razorpayOrder.id,
         amount: totalAmount,
         currency: 'INR',
-        key: process.env.RAZORPAY_KEY_ID,
+        key: this.gateway.checkoutKey,
+        gateway: this.gateway.name,
         receipt: razorpayOrder.receipt,
         breakdown: {
           serviceAmount: amount,
@@ -235,14 +205,7 @@ class PaymentService {
   // Verify payment signature
   async verifyPayment(orderId, paymentId, signature) {
     try {
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-        .update(`${orderId}|${paymentId}`)
-        .digest('hex');
-
-      const isValidSignature = expectedSignature === signature;
-
-      if (!isValidSignature) {
+      if (!this.verifyPaymentSignature(orderId, paymentId, signature)) {
         throw new Error('Invalid payment signature');
       }
 
@@ -254,8 +217,11 @@ class PaymentService {
         throw new Error('Payment record not found');
       }
 
-      // Fetch payment details from Razorpay
-      const razorpayPayment = await this.razorpay.payments.fetch(paymentId);
+      // Fetch payment details from the gateway
+      const razorpayPayment = await this.capturePayment(paymentId, {
+        amount: Math.round(payment.gatewayAmount * 100),
+        currency: payment.currency
+      });
 
       // Update payment status
       await payment.updateStatus('success', {
@@ -316,12 +282,7 @@ class PaymentService {
   async handleWebhook(body, signature) {
     try {
       // Verify webhook signature
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET || process.env.RAZORPAY_KEY_SECRET)
-        .update(JSON.stringify(body))
-        .digest('hex');
-
-      if (signature !== expectedSignature) {
+      if (!this.parseWebhook(body, { 'x-razorpay-signature': signature })) {
         throw new Error('Invalid webhook signature');
       }
 
@@ -350,60 +311,37 @@ class PaymentService {
     }
   }
 
-  // Process refund
-  async processRefund(paymentId, refundAmount, reason) {
+  // Create a refund at the gateway for a captured payment; the amount is in rupees
+  async processRefund(payment, amount, reason) {
     try {
-      const payment = await Payment.findById(paymentId)
-        .populate('requestId customerId mechanicId');
-
-      if (!payment) {
-        throw new Error('Payment not found');
+      if (payment.gateway && payment.gateway !== this.gateway.name) {
+        throw new Error(`Payment was taken through ${payment.gateway}, but the active gateway is ${this.gateway.name}`);
       }
 
-      if (!payment.canBeRefunded()) {
-        throw new Error('Payment cannot be refunded');
-      }
-
-      const maxRefundAmount = payment.netAmount || payment.amount;
-      const finalRefundAmount = refundAmount || maxRefundAmount;
-
-      if (finalRefundAmount > maxRefundAmount) {
-        throw new Error('Refund amount exceeds the maximum refundable amount');
-      }
-
-      // Create refund in Razorpay
-      const refund = await this.razorpay.payments.refund(payment.razorpayPaymentId, {
-        amount: finalRefundAmount * 100, // Convert to paise
-        speed: 'normal',
+      const refund = await this.gateway.refund(payment.razorpayPaymentId, {
+        amount: Math.round(amount * 100), // Convert to paise
         notes: {
           reason,
-          requestId: payment.requestId._id.toString()
+          paymentId: payment._id.toString(),
+          requestId: payment.requestId.toString()
         }
       });
 
-      // Update payment status
-      await payment.updateStatus('refunded', {
-        refundId: refund.id,
-        refundAmount: finalRefundAmount,
-        refundReason: reason
-      });
-
-      logger.info('Refund processed:', {
-        paymentId,
-        refundId: refund.id,
-        amount: finalRefundAmount,
-        reason
-      });
-
-      return {
-        success: true,
+      logger.info('Refund created at the payment gateway:', {
+        gateway: this.gateway.name,
+        paymentId: payment._id,
         refundId: refund.id,
-        amount: finalRefundAmount,
+        amount,
         status: refund.status
-      };
+      });
 
+      return refund;
     } catch (error) {
-      logger.error('Refund processing failed:', error);
+      logger.error('Refund processing failed:', {
+        paymentId: payment._id,
+        error: error.message,
+        description: error.error?.description
+      });
       throw error;
     }
   }
@@ -436,13 +374,14 @@ class PaymentService {
             totalProcessingFees: { $sum: '$processingFee' },
             averageAmount: { $avg: '$amount' },
             successfulPayments: {
-              $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] }
+              $sum: { $cond: [{ $in: ['$status', ['success', 'partially_refunded']] }, 1, 0] }
             },
             failedPayments: {
               $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
             },
+            // Payments refunded before partial refunds existed only carry refundAmount
             refundedAmount: {
-              $sum: { $cond: [{ $eq: ['$status', 'refunded'] }, '$refundAmount', 0] }
+              $sum: { $ifNull: ['$refundedAmount', { $ifNull: ['$refundAmount', 0] }] }
             }
           }
         },
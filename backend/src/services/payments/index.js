@@ -0,0 +1,59 @@
+const logger = require('../../config/logger');
+const RazorpayGateway = require('./razorpayGateway');
+const MockPaymentGateway = require('./mockGateway');
+
+/*
+ * A payment gateway has:
+ *   name, checkoutKey                          - stored on payments / handed to the checkout
+ *   createOrder({ amount, currency, receipt, notes }) -> order       (amounts in paise)
+ *   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+ *   fetchPayment(paymentId) -> payment
+ *   capturePayment(paymentId, { amount, currency }) -> payment
+ *   refund(paymentId, { amount, notes }) -> refund
+ *   parseWebhook({ body, headers }) -> { eventId, event, body } | null when the signature is wrong
+ * Orders, payments, refunds and webhook bodies use Razorpay's shapes and event names.
+ */
+
+// Build the gateway named by PAYMENT_GATEWAY (razorpay | mock).
+// Outside production, Razorpay without credentials falls back to the mock gateway;
+// in production the mock gateway is refused.
+const createPaymentGateway = (env = process.env) => {
+  const gatewayName = (env.PAYMENT_GATEWAY || 'razorpay').toLowerCase();
+  const isProduction = env.NODE_ENV === 'production';
+
+  if (gatewayName === 'razorpay') {
+    if (env.RAZORPAY_KEY_ID && env.RAZORPAY_KEY_SECRET) {
+      return new RazorpayGateway({
+        keyId: env.RAZORPAY_KEY_ID,
+        keySecret: env.RAZORPAY_KEY_SECRET,
+        webhookSecret: env.RAZORPAY_WEBHOOK_SECRET,
+        baseUrl: env.RAZORPAY_API_URL
+      });
+    }
+
+    if (isProduction) {
+      throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are required in production');
+    }
+    logger.warn('Razorpay credentials are missing - using the mock payment gateway');
+  } else if (gatewayName !== 'mock') {
+    throw new Error(`Unknown payment gateway "${gatewayName}"`);
+  }
+
+  if (isProduction) {
+    throw new Error('The mock payment gateway cannot be used in production');
+  }
+
+  return new MockPaymentGateway({
+    secret: env.MOCK_GATEWAY_SECRET,
+    outcome: env.MOCK_GATEWAY_OUTCOME,
+    delayMs: parseInt(env.MOCK_GATEWAY_DELAY_MS, 10) || 0,
+    webhookUrl: env.MOCK_GATEWAY_WEBHOOK_URL ||
+      (env.NODE_ENV === 'test' ? null : `http://localhost:${env.PORT || 4000}/api/payments/webhook/mock`)
+  });
+};
+
+module.exports = {
+  createPaymentGateway,
+  RazorpayGateway,
+  MockPaymentGateway
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const { sign, signPayment, isValidSignature, parseSignedWebhook } = require('./signature');
+
+// Outcome of a checkout -> status of the payment it creates
+const PAYMENT_STATUSES = {
+  success: 'captured',
+  failure: 'failed',
+  authorize: 'authorized' // left for the server to capture
+};
+const OUTCOMES = Object.keys(PAYMENT_STATUSES);
+
+// Errors shaped like the Razorpay SDK's, so callers handle both gateways the same way
+const gatewayError = (statusCode, description) => {
+  const error = new Error(description);
+  error.statusCode = statusCode;
+  error.error = { code: 'BAD_REQUEST_ERROR', description };
+  return error;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Offline gateway for development and tests. Orders, payments and refunds live in memory and
+ * use Razorpay's entity shapes, signatures and webhook format, so the rest of the app cannot tell
+ * the difference. Payments end in `outcome` (success | failure | authorize) unless a call overrides it,
+ * and refunds fail when it is failure;
+ * every call waits `delayMs` first. Webhooks are kept in `deliveries` and, when webhookUrl is set,
+ * posted there after the same delay.
+ */
+class MockPaymentGateway {
+  constructor({
+    secret = 'mock_gateway_secret',
+    outcome = 'success',
+    delayMs = 0,
+    webhookUrl = null,
+    idPrefix = crypto.randomBytes(3).toString('hex')
+  } = {}) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown mock gateway outcome "${outcome}"`);
+    }
+
+    this.name = 'mock';
+    this.checkoutKey = 'mock_checkout_key';
+    this.secret = secret;
+    this.outcome = outcome;
+    this.delayMs = delayMs;
+    this.webhookUrl = webhookUrl;
+    this.idPrefix = idPrefix;
+    this.sequence = 0;
+    this.orders = new Map();
+    this.payments = new Map();
+    this.refunds = new Map();
+    this.deliveries = [];
+  }
+
+  nextId(type) {
+    this.sequence += 1;
+    return `${type}_mock${this.idPrefix}${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  wait() {
+    return this.delayMs > 0 ? new Promise(resolve => setTimeout(resolve, this.delayMs)) : Promise.resolve();
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    await this.wait();
+
+    const order = {
+      id: this.nextId('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt,
+      status: 'created',
+      attempts: 0,
+      notes,
+      created_at: now()
+    };
+
+    this.orders.set(order.id, order);
+    return { ...order };
+  }
+
+  /**
+   * What Razorpay Checkout does in the browser: pay the order and sign the result.
+   * Resolves to { payment, signature }; a failed payment has no signature.
+   */
+  async pay(orderId, { outcome = this.outcome } = {}) {
+    await this.wait();
+
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw gatewayError(404, 'The order does not exist');
+    }
+    if (order.status === 'paid') {
+      throw gatewayError(400, 'Order has already been paid');
+    }
+    if (!OUTCOMES.includes(outcome)) {
+      throw gatewayError(400, `Unknown outcome "${outcome}"`);
+    }
+
+    order.attempts += 1;
+    order.status = 'attempted';
+    const failed = outcome === 'failure';
+    const payment = {
+      id: this.nextId('pay'),
+      entity: 'payment',
+      amount: order.amount,
+      currency: order.currency,
+      status: PAYMENT_STATUSES[outcome],
+      order_id: order.id,
+      method: 'card',
+      captured: false,
+      amount_refunded: 0,
+      error_code: failed ? 'BAD_REQUEST_ERROR' : null,
+      error_description: failed ? 'Payment declined by the mock gateway' : null,
+      notes: order.notes,
+      created_at: now()
+    };
+    this.payments.set(payment.id, payment);
+
+    if (failed) {
+      this.emit('payment.failed', { payment: { entity: payment } });
+      return { payment: { ...payment }, signature: null };
+    }
+
+    if (outcome === 'success') {
+      this.markCaptured(payment);
+    } else {
+      this.emit('payment.authorized', { payment: { entity: payment } });
+    }
+
+    return {
+      payment: { ...payment },
+      signature: signPayment(this.secret, order.id, payment.id)
+    };
+  }
+
+  markCaptured(payment) {
+    const order = this.orders.get(payment.order_id);
+    payment.status = 'captured';
+    payment.captured = true;
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+
+    this.emit('payment.captured', { payment: { entity: payment } });
+    this.emit('order.paid', { payment: { entity: payment }, order: { entity: order } });
+  }
+
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return isValidSignature(this.secret, `${orderId}|${paymentId}`, signature);
+  }
+
+  async fetchPayment(paymentId) {
+    await this.wait();
+
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw gatewayError(404, 'The payment does not exist');
+    }
+    return { ...payment };
+  }
+
+  async capturePayment(paymentId, { amount }) {
+    const payment = await this.fetchPayment(paymentId);
+    if (payment.status !== 'authorized') {
+      throw gatewayError(400, 'This payment has already been captured');
+    }
+    if (amount !== payment.amount) {
+      throw gatewayError(400, 'Capture amount must be equal to the amount authorized');
+    }
+
+    const captured = this.payments.get(paymentId);
+    this.markCaptured(captured);
+    return { ...captured };
+  }
+
+  // Refunds start pending and finish on a refund.processed (or refund.failed) webhook, as at Razorpay
+  async refund(paymentId, { amount, notes = {} }) {
+    const payment = await this.fetchPayment(paymentId);
+    if (payment.status !== 'captured') {
+      throw gatewayError(400, 'Only captured payments can be refunded');
+    }
+    if (amount > payment.amount - payment.amount_refunded) {
+      throw gatewayError(400, 'The refund amount exceeds the amount captured');
+    }
+
+    const refund = {
+      id: this.nextId('rfnd'),
+      entity: 'refund',
+      amount,
+      currency: payment.currency,
+      payment_id: paymentId,
+      status: 'pending',
+      notes,
+      created_at: now()
+    };
+    this.refunds.set(refund.id, refund);
+
+    const finished = this.outcome !== 'failure'
+      ? { ...refund, status: 'processed' }
+      : { ...refund, status: 'failed', error_description: 'Refund declined by the mock gateway' };
+    if (finished.status === 'processed') {
+      this.payments.get(paymentId).amount_refunded += amount;
+    }
+    this.refunds.set(refund.id, finished);
+    this.emit(`refund.${finished.status}`, { refund: { entity: finished }, payment: { entity: payment } });
+
+    return refund;
+  }
+
+  parseWebhook({ body, headers }) {
+    return parseSignedWebhook(this.secret, { body, headers });
+  }
+
+  // Record a signed webhook and post it to webhookUrl once the configured delay has passed
+  emit(event, payload) {
+    const body = {
+      entity: 'event',
+      account_id: 'acc_mock',
+      event,
+      contains: Object.keys(payload),
+      payload: JSON.parse(JSON.stringify(payload)), // snapshot; the entities keep changing
+      created_at: now()
+    };
+    const delivery = {
+      eventId: this.nextId('evt'),
+      body,
+      signature: sign(this.secret, JSON.stringify(body))
+    };
+    this.deliveries.push(delivery);
+
+    if (this.webhookUrl) {
+      setTimeout(() => this.deliver(delivery), this.delayMs).unref();
+    }
+    return delivery;
+  }
+
+  async deliver({ eventId, body, signature }) {
+    try {
+      const response = await fetch(this.webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-razorpay-signature': signature,
+          'x-razorpay-event-id': eventId
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        logger.warn('Mock gateway webhook was not accepted:', { eventId, event: body.event, status: response.status });
+      }
+    } catch (error) {
+      logger.warn('Mock gateway could not deliver webhook:', { eventId, event: body.event, error: error.message });
+    }
+  }
+}
+
+module.exports = MockPaymentGateway;
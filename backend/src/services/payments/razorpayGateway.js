@@ -0,0 +1,54 @@
+const Razorpay = require('razorpay');
+const { isValidSignature, parseSignedWebhook } = require('./signature');
+
+// Takes payments through Razorpay; baseUrl points the SDK at another host, e.g. a local stub
+class RazorpayGateway {
+  constructor({ keyId, keySecret, webhookSecret, baseUrl = null }) {
+    this.name = 'razorpay';
+    this.checkoutKey = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.razorpay = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+    if (baseUrl) {
+      this.razorpay.api.rq.defaults.baseURL = baseUrl.replace(/\/$/, '');
+    }
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    return this.razorpay.orders.create({
+      amount,
+      currency,
+      receipt,
+      notes,
+      partial_payment: false,
+      capture_method: 'automatic'
+    });
+  }
+
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return isValidSignature(this.keySecret, `${orderId}|${paymentId}`, signature);
+  }
+
+  async fetchPayment(paymentId) {
+    return this.razorpay.payments.fetch(paymentId);
+  }
+
+  async capturePayment(paymentId, { amount, currency = 'INR' }) {
+    return this.razorpay.payments.capture(paymentId, amount, currency);
+  }
+
+  async refund(paymentId, { amount, notes = {} }) {
+    return this.razorpay.payments.refund(paymentId, {
+      amount,
+      speed: 'normal',
+      notes
+    });
+  }
+
+  parseWebhook({ body, headers }) {
+    return parseSignedWebhook(this.webhookSecret, { body, headers });
+  }
+}
+
+module.exports = RazorpayGateway;
@@ -0,0 +1,210 @@
+const PricingRule = require('../models/PricingRule');
+const Counter = require('../models/Counter');
+const { AppError, cache, isPointInPolygon } = require('../utils/response');
+const { DEFAULT_PRICING, PRICING_RULE_CACHE_SECONDS } = require('../config/pricing');
+const logger = require('../config/logger');
+
+const ACTIVE_RULE_CACHE_KEY = 'pricing:activeRule';
+
+// Tables merged key by key, so a change to one issue type keeps the rest of the rule
+const MERGED_TABLES = ['baseRates', 'vehicleMultipliers', 'priorityMultipliers', 'weatherMultipliers', 'timeMultipliers'];
+
+// Allowance for clock drift between the admin's browser and the server
+const EFFECTIVE_FROM_TOLERANCE_MS = 60 * 1000;
+
+// Pricing tables of a stored rule; lean documents hold Maps as plain objects already
+const toPricing = (rule) => ({
+  version: rule.version,
+  effectiveFrom: rule.effectiveFrom,
+  baseRates: rule.baseRates,
+  vehicleMultipliers: rule.vehicleMultipliers,
+  priorityMultipliers: rule.priorityMultipliers,
+  weatherMultipliers: rule.weatherMultipliers,
+  timeMultipliers: rule.timeMultipliers,
+  regions: rule.regions,
+  defaultRegionMultiplier: rule.defaultRegionMultiplier
+});
+
+// Regions arrive as [{ lat, lng }] points like service areas and are stored as closed GeoJSON rings
+const toRegion = ({ name, multiplier, points }) => {
+  const ring = points.map(point => [Number(point.lng), Number(point.lat)]);
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push([...first]);
+  }
+  return { name, multiplier, area: { type: 'Polygon', coordinates: [ring] } };
+};
+
+const assertNotPast = (effectiveFrom) => {
+  if (effectiveFrom.getTime() < Date.now() - EFFECTIVE_FROM_TOLERANCE_MS) {
+    throw new AppError('A pricing rule cannot take effect in the past', 400);
+  }
+};
+
+// Versioned quotation pricing that admins publish; the aiQuotationService prices with the rule in force
+class PricingRuleService {
+  // Rule in force right now, or the built-in pricing when none has been published
+  async getActiveRule() {
+    const cached = cache.get(ACTIVE_RULE_CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const rule = await this.findActiveRule();
+      const pricing = rule ? toPricing(rule) : DEFAULT_PRICING;
+      cache.set(ACTIVE_RULE_CACHE_KEY, pricing, PRICING_RULE_CACHE_SECONDS);
+      return pricing;
+    } catch (error) {
+      logger.warn('Failed to load pricing rule, using built-in pricing:', { error: error.message });
+      return DEFAULT_PRICING;
+    }
+  }
+
+  async findActiveRule() {
+    return PricingRule.findOne({ effectiveFrom: { $lte: new Date() } })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .lean();
+  }
+
+  // First region of the rule containing the location, if any
+  findRegion(rule, location) {
+    if (!location || location.lat === undefined || location.lng === undefined) {
+      return null;
+    }
+
+    return rule.regions.find(region => (
+      isPointInPolygon(region.area.coordinates[0], location.lat, location.lng)
+    )) || null;
+  }
+
+  // Drop the cached rule so the next quotation sees an admin's change straight away
+  clearCache() {
+    cache.delete(ACTIVE_RULE_CACHE_KEY);
+  }
+
+  // Apply an admin's changes on top of a rule
+  mergeRule(base, changes = {}) {
+    const merged = {};
+    MERGED_TABLES.forEach(table => {
+      merged[table] = { ...base[table], ...changes[table] };
+    });
+
+    merged.regions = changes.regions ? changes.regions.map(toRegion) : base.regions;
+    merged.defaultRegionMultiplier = changes.defaultRegionMultiplier ?? base.defaultRegionMultiplier;
+    return merged;
+  }
+
+  // Unsaved rule for simulating a change against the rule in force
+  async previewRule(changes) {
+    const active = await this.getActiveRule();
+    return { ...this.mergeRule(active, changes), version: null };
+  }
+
+  async listRules({ page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [rules, total, active] = await Promise.all([
+      PricingRule.find()
+        .select('-regions.area')
+        .populate('createdBy', 'name')
+        .sort({ version: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      PricingRule.countDocuments(),
+      this.findActiveRule()
+    ]);
+
+    const now = new Date();
+    return {
+      rules: rules.map(rule => ({
+        ...rule,
+        status: rule.effectiveFrom > now
+          ? 'scheduled'
+          : rule.version === active?.version ? 'active' : 'superseded'
+      })),
+      activeVersion: active ? active.version : DEFAULT_PRICING.version,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        total
+      }
+    };
+  }
+
+  async getRule(ruleId) {
+    const rule = await PricingRule.findById(ruleId).lean();
+    if (!rule) {
+      throw new AppError('Pricing rule not found', 404);
+    }
+    return rule;
+  }
+
+  // Publish a new version: the rule in force with the admin's changes, effective now or later
+  async createRule(adminId, { effectiveFrom, note, ...changes }) {
+    const startsAt = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    assertNotPast(startsAt);
+
+    const base = (await this.findActiveRule()) || DEFAULT_PRICING;
+    const version = await Counter.next('pricingRule');
+
+    const rule = await PricingRule.create({
+      ...this.mergeRule(base, changes),
+      version,
+      effectiveFrom: startsAt,
+      note,
+      basedOnVersion: base.version,
+      createdBy: adminId
+    });
+
+    this.clearCache();
+    logger.info('Pricing rule published:', { version, basedOnVersion: base.version, effectiveFrom: startsAt, adminId });
+    return rule;
+  }
+
+  // Scheduled versions can still be edited; once in effect a rule is history and only a new version changes pricing
+  async updateRule(ruleId, adminId, { effectiveFrom, note, ...changes }) {
+    const rule = await PricingRule.findById(ruleId);
+    if (!rule) {
+      throw new AppError('Pricing rule not found', 404);
+    }
+    if (rule.effectiveFrom <= new Date()) {
+      throw new AppError(`Pricing rule v${rule.version} is already in effect; publish a new version instead`, 409);
+    }
+
+    rule.set(this.mergeRule(rule.toObject({ flattenMaps: true }), changes));
+    if (effectiveFrom) {
+      rule.effectiveFrom = new Date(effectiveFrom);
+      assertNotPast(rule.effectiveFrom);
+    }
+    if (note !== undefined) {
+      rule.note = note;
+    }
+    rule.updatedBy = adminId;
+
+    await rule.save();
+    this.clearCache();
+    logger.info('Scheduled pricing rule updated:', { version: rule.version, effectiveFrom: rule.effectiveFrom, adminId });
+    return rule;
+  }
+
+  async deleteRule(ruleId, adminId) {
+    const rule = await PricingRule.findOneAndDelete({ _id: ruleId, effectiveFrom: { $gt: new Date() } });
+
+    if (!rule) {
+      const exists = await PricingRule.exists({ _id: ruleId });
+      throw exists
+        ? new AppError('Pricing rules that have taken effect cannot be deleted', 409)
+        : new AppError('Pricing rule not found', 404);
+    }
+
+    this.clearCache();
+    logger.info('Scheduled pricing rule deleted:', { version: rule.version, adminId });
+    return rule;
+  }
+}
+
+module.exports = new PricingRuleService();
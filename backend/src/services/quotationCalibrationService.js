@@ -0,0 +1,217 @@
+const ServiceRequest = require('../models/ServiceRequest');
+const Payment = require('../models/Payment');
+const QuotationCalibration = require('../models/QuotationCalibration');
+const Counter = require('../models/Counter');
+const pricingRuleService = require('./pricingRuleService');
+const { cache } = require('../utils/response');
+const logger = require('../config/logger');
+
+const CALIBRATION_CACHE_KEY = 'quotation:calibration';
+const CALIBRATION_CACHE_SECONDS = 10 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_MIN_SAMPLES = parseInt(process.env.QUOTATION_CALIBRATION_MIN_SAMPLES, 10) || 20;
+const DEFAULT_WINDOW_DAYS = parseInt(process.env.QUOTATION_CALIBRATION_WINDOW_DAYS, 10) || 180;
+
+const ANY = '*';
+const OUTSIDE_REGIONS = 'outside';
+
+// Percentile of sorted values, interpolating between neighbours
+const percentile = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const summarizePrices = (values) => {
+  if (values.length === 0) {
+    return { samples: 0 };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    samples: sorted.length,
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p10: round(percentile(sorted, 0.1)),
+    p25: round(percentile(sorted, 0.25)),
+    p50: round(percentile(sorted, 0.5)),
+    p75: round(percentile(sorted, 0.75)),
+    p90: round(percentile(sorted, 0.9))
+  };
+};
+
+const summarizeDurations = (values) => {
+  if (values.length === 0) {
+    return { samples: 0 };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    samples: sorted.length,
+    p25: Math.round(percentile(sorted, 0.25)),
+    p50: Math.round(percentile(sorted, 0.5)),
+    p75: Math.round(percentile(sorted, 0.75))
+  };
+};
+
+const segmentKey = (issueType, vehicleType = ANY, region = ANY) => `${issueType}|${vehicleType}|${region}`;
+
+// Most specific first; a quotation falls back to a wider group when a narrow one has too few jobs
+const candidateKeys = ({ issueType, vehicleType, region }) => [
+  segmentKey(issueType, vehicleType, region || OUTSIDE_REGIONS),
+  segmentKey(issueType, vehicleType),
+  segmentKey(issueType)
+];
+
+/**
+ * Fits what customers actually paid, and how long jobs actually took, per issue type, vehicle and
+ * pricing region from completed service requests. Runs offline (`npm run calibrate:quotations`);
+ * the aiQuotationService reads the latest run.
+ */
+class QuotationCalibrationService {
+  // Completed jobs since `from`, with what was paid for each and how long the work took
+  async loadCompletedJobs(from, to) {
+    return ServiceRequest.aggregate([
+      { $match: { status: 'completed', completedAt: { $gte: from, $lt: to } } },
+      {
+        $lookup: {
+          from: Payment.collection.name,
+          let: { requestId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$requestId', '$$requestId'] }, status: 'success' } },
+            { $group: { _id: null, amount: { $sum: '$amount' } } }
+          ],
+          as: 'paid'
+        }
+      },
+      {
+        $project: {
+          issueType: 1,
+          vehicleType: '$vehicleInfo.type',
+          location: { lat: '$location.lat', lng: '$location.lng' },
+          actualDuration: 1,
+          paidAmount: { $ifNull: [{ $arrayElemAt: ['$paid.amount', 0] }, 0] }
+        }
+      }
+    ]);
+  }
+
+  // Group jobs into segments at every level of detail and summarize each
+  buildSegments(jobs, rule) {
+    const groups = new Map();
+    const add = (key, fields, job) => {
+      if (!groups.has(key)) {
+        groups.set(key, { ...fields, prices: [], durations: [] });
+      }
+      const group = groups.get(key);
+      if (job.paidAmount > 0) {
+        group.prices.push(job.paidAmount);
+      }
+      if (job.actualDuration > 0) {
+        group.durations.push(job.actualDuration);
+      }
+    };
+
+    jobs.forEach(job => {
+      const region = pricingRuleService.findRegion(rule, job.location)?.name || OUTSIDE_REGIONS;
+      const vehicleType = job.vehicleType || 'other';
+
+      add(segmentKey(job.issueType, vehicleType, region), { issueType: job.issueType, vehicleType, region }, job);
+      add(segmentKey(job.issueType, vehicleType), { issueType: job.issueType, vehicleType }, job);
+      add(segmentKey(job.issueType), { issueType: job.issueType }, job);
+    });
+
+    return [...groups.entries()].map(([key, group]) => ({
+      key,
+      issueType: group.issueType,
+      vehicleType: group.vehicleType || ANY,
+      region: group.region || ANY,
+      price: summarizePrices(group.prices),
+      duration: summarizeDurations(group.durations)
+    }));
+  }
+
+  // Fit a new calibration from the completed jobs of the last `windowDays` and make it the one quotations use
+  async calibrate({ windowDays = DEFAULT_WINDOW_DAYS, minSamples = DEFAULT_MIN_SAMPLES, now = new Date() } = {}) {
+    const from = new Date(now.getTime() - windowDays * DAY_MS);
+    const rule = await pricingRuleService.getActiveRule();
+    const jobs = await this.loadCompletedJobs(from, now);
+    const segments = this.buildSegments(jobs, rule);
+
+    const calibration = await QuotationCalibration.create({
+      version: await Counter.next('quotationCalibration'),
+      from,
+      to: now,
+      minSamples,
+      requestCount: jobs.length,
+      pricedCount: jobs.filter(job => job.paidAmount > 0).length,
+      regionRuleVersion: rule.version,
+      segments
+    });
+
+    this.clearCache();
+    logger.info('Quotation calibration stored:', {
+      version: calibration.version,
+      requestCount: calibration.requestCount,
+      pricedCount: calibration.pricedCount,
+      segments: segments.length,
+      usableSegments: segments.filter(segment => segment.price.samples >= minSamples).length
+    });
+    return calibration;
+  }
+
+  // Latest calibration with its segments indexed by key, or null before the first run
+  async getLatestCalibration() {
+    const cached = cache.get(CALIBRATION_CACHE_KEY);
+    if (cached) {
+      return cached.calibration;
+    }
+
+    try {
+      const latest = await QuotationCalibration.findOne().sort({ version: -1 }).lean();
+      const calibration = latest && {
+        version: latest.version,
+        minSamples: latest.minSamples,
+        segments: new Map(latest.segments.map(segment => [segment.key, segment]))
+      };
+      // Wrapped so that "no calibration yet" is cached too
+      cache.set(CALIBRATION_CACHE_KEY, { calibration }, CALIBRATION_CACHE_SECONDS);
+      return calibration;
+    } catch (error) {
+      logger.warn('Failed to load quotation calibration, quoting without it:', { error: error.message });
+      return null;
+    }
+  }
+
+  clearCache() {
+    cache.delete(CALIBRATION_CACHE_KEY);
+  }
+
+  // Most specific segment with enough priced jobs for the request
+  findPriceSegment(calibration, request) {
+    return this.findSegment(calibration, request, 'price');
+  }
+
+  // Most specific segment with enough timed jobs for the request
+  findDurationSegment(calibration, request) {
+    return this.findSegment(calibration, request, 'duration');
+  }
+
+  findSegment(calibration, request, measure) {
+    if (!calibration) {
+      return null;
+    }
+
+    return candidateKeys(request)
+      .map(key => calibration.segments.get(key))
+      .find(segment => segment && segment[measure].samples >= calibration.minSamples) || null;
+  }
+
+  // Confidence grows with the number of jobs behind the estimate: 0.5 at the minimum, approaching 0.95
+  confidenceFor(samples, minSamples) {
+    return round(0.95 - 0.45 * Math.sqrt(minSamples / samples));
+  }
+}
+
+module.exports = new QuotationCalibrationService();
@@ -0,0 +1,228 @@
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Request statuses a quote can still be proposed or answered in
+const OPEN_STATUSES = ['assigned', 'enroute', 'in_progress'];
+
+// What each customer action does to the revision it answers
+const RESPONSE_STATUSES = {
+  accept: 'accepted',
+  reject: 'rejected',
+  counter: 'countered'
+};
+
+/**
+ * Itemized quotes agreed before work starts. The mechanic proposes, the customer accepts, rejects or
+ * counters; work can only start on an accepted quote and cannot be billed above the approved amount
+ * without an accepted supplementary quote.
+ */
+class QuoteService {
+  // Price the items and wrap them in a new revision
+  buildRevision(items, { revision, kind = 'initial', note, proposedBy }) {
+    const pricedItems = items.map(item => {
+      const quantity = item.quantity || 1;
+      return {
+        type: item.type,
+        description: item.description,
+        quantity,
+        unitPrice: roundAmount(item.unitPrice),
+        amount: roundAmount(quantity * item.unitPrice)
+      };
+    });
+
+    const total = roundAmount(pricedItems.reduce((sum, item) => sum + item.amount, 0));
+    if (total < 1) {
+      throw new AppError('A quote has to add up to at least ₹1', 400);
+    }
+
+    return {
+      revision,
+      kind,
+      items: pricedItems,
+      total,
+      note,
+      proposedBy,
+      proposedAt: new Date(),
+      status: 'proposed'
+    };
+  }
+
+  // First revision for a request being accepted: the mechanic's items, or the quoted amount as one labour line
+  buildInitialQuote(mechanicId, { items, amount }) {
+    const revision = this.buildRevision(
+      items?.length ? items : [{ type: 'labour', description: 'Service charge', unitPrice: amount }],
+      { revision: 1, proposedBy: mechanicId }
+    );
+
+    return {
+      status: 'proposed',
+      currentRevision: 1,
+      revisions: [revision]
+    };
+  }
+
+  // The mechanic proposes a new revision; once work has started it is a supplementary quote
+  async proposeQuote(requestId, mechanicId, { items, note }) {
+    const serviceRequest = await ServiceRequest.findOne({ _id: requestId, mechanicId }).select('status quote');
+
+    if (!serviceRequest) {
+      throw new AppError('Service request not found', 404);
+    }
+
+    if (!OPEN_STATUSES.includes(serviceRequest.status)) {
+      throw new AppError(`A quote cannot be proposed for a ${serviceRequest.status} request`, 409);
+    }
+
+    const currentRevision = serviceRequest.quote?.currentRevision || 0;
+    const revision = this.buildRevision(items, {
+      revision: currentRevision + 1,
+      kind: serviceRequest.status === 'in_progress' ? 'supplementary' : 'initial',
+      note,
+      proposedBy: mechanicId
+    });
+
+    // Claimed on the revision number, so two proposals cannot both become the next revision
+    const updated = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: requestId,
+        mechanicId,
+        status: { $in: OPEN_STATUSES },
+        'quote.currentRevision': serviceRequest.quote?.currentRevision ?? null
+      },
+      {
+        $set: { 'quote.status': 'proposed', 'quote.currentRevision': revision.revision },
+        $push: { 'quote.revisions': revision }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new AppError('The quote changed while you were editing it; reload and try again', 409);
+    }
+
+    // An unanswered earlier revision can no longer be accepted
+    await ServiceRequest.updateOne(
+      { _id: requestId },
+      { $set: { 'quote.revisions.$[open].status': 'superseded' } },
+      { arrayFilters: [{ 'open.status': 'proposed', 'open.revision': { $lt: revision.revision } }] }
+    );
+
+    logger.info('Quote proposed:', { requestId, mechanicId, revision: revision.revision, kind: revision.kind, total: revision.total });
+
+    await this.notify(updated, 'customerId');
+    return updated;
+  }
+
+  // The customer accepts, rejects or counters the revision they were shown
+  async respondToQuote(requestId, customerId, { action, revision, amount, note }) {
+    const status = RESPONSE_STATUSES[action];
+    if (!status) {
+      throw new AppError('Unknown quote action', 400);
+    }
+
+    const serviceRequest = await ServiceRequest.findOne({ _id: requestId, customerId }).select('status quote');
+
+    if (!serviceRequest) {
+      throw new AppError('Service request not found', 404);
+    }
+
+    const { quote } = serviceRequest;
+    if (!quote?.currentRevision) {
+      throw new AppError('No quote has been proposed for this request', 404);
+    }
+
+    if (revision !== quote.currentRevision || quote.status !== 'proposed') {
+      throw new AppError('This quote has already been answered or replaced', 409);
+    }
+
+    const proposed = quote.revisions.find(item => item.revision === revision);
+    const respondedAt = new Date();
+    const update = {
+      'quote.status': status,
+      'quote.revisions.$[current].status': status,
+      'quote.revisions.$[current].respondedAt': respondedAt,
+      ...(note && { 'quote.revisions.$[current].responseNote': note })
+    };
+
+    if (action === 'accept') {
+      Object.assign(update, {
+        'quote.approvedAmount': proposed.total,
+        'quote.approvedRevision': revision,
+        quotation: proposed.total
+      });
+    }
+
+    if (action === 'counter') {
+      if (!amount || amount >= proposed.total) {
+        throw new AppError(`A counter offer has to be below the quoted ₹${proposed.total}`, 400);
+      }
+      update['quote.revisions.$[current].counterAmount'] = roundAmount(amount);
+    }
+
+    const updated = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: requestId,
+        customerId,
+        status: { $in: OPEN_STATUSES },
+        'quote.currentRevision': revision,
+        'quote.status': 'proposed'
+      },
+      { $set: update },
+      { new: true, runValidators: true, arrayFilters: [{ 'current.revision': revision }] }
+    );
+
+    if (!updated) {
+      throw new AppError('This quote has already been answered or replaced', 409);
+    }
+
+    logger.info('Quote answered:', { requestId, customerId, revision, action, total: proposed.total, counterAmount: amount });
+
+    await this.notify(updated, 'mechanicId');
+    return updated;
+  }
+
+  // Work starts only on a quote the customer accepted, and not while a newer one is waiting
+  isAccepted(serviceRequest) {
+    return serviceRequest.quote?.status === 'accepted';
+  }
+
+  /**
+   * Whether a final amount goes over what the customer approved. Requests started before quotes
+   * existed have no approved amount and are not checked.
+   */
+  exceedsApproved(serviceRequest, finalAmount) {
+    const approved = serviceRequest.quote?.approvedAmount;
+    return approved !== undefined && approved !== null && roundAmount(finalAmount) > approved;
+  }
+
+  /**
+   * What the customer owes under the approved quote: the final amount the job was completed at, which
+   * cannot be above the approved total, or the approved total itself. Null for requests without quotes.
+   */
+  amountDue(serviceRequest) {
+    const approved = serviceRequest.quote?.approvedAmount;
+    if (approved === undefined || approved === null) {
+      return null;
+    }
+    return roundAmount(serviceRequest.finalAmount ?? approved);
+  }
+
+  // Tell the other side that the quote changed
+  async notify(serviceRequest, recipientPath) {
+    try {
+      const recipient = await User.findById(serviceRequest[recipientPath]).select('name email phone notificationPreferences');
+      if (recipient) {
+        await notificationService.notifyQuoteUpdate(recipient, serviceRequest);
+      }
+    } catch (error) {
+      logger.warn('Failed to send quote notification:', { requestId: serviceRequest._id, error: error.message });
+    }
+  }
+}
+
+module.exports = new QuoteService();
@@ -0,0 +1,355 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const paymentService = require('./paymentService');
+const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
+const invoiceService = require('./invoiceService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Razorpay refund statuses that finish a refund
+const GATEWAY_FINAL_STATUSES = {
+  processed: 'processed',
+  failed: 'failed'
+};
+
+// Customer refund requests and the admin review that settles them
+class RefundService {
+  // Raise a refund request on a paid service; amount defaults to everything still refundable.
+  // toWallet asks for the whole refund as wallet credit instead of money back.
+  async requestRefund(customerId, paymentId, { amount, reason, toWallet = false }) {
+    const payment = await Payment.findOne({ _id: paymentId, customerId });
+
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    if (!payment.canBeRefunded()) {
+      throw new AppError('Only successful payments that have not been refunded in full can be refunded', 400);
+    }
+
+    const open = await Refund.exists({ paymentId: payment._id, status: { $in: Refund.OPEN_STATUSES } });
+    if (open) {
+      throw new AppError('A refund request for this payment is already being reviewed', 409);
+    }
+
+    const refundableAmount = payment.calculateRefundAmount();
+    const requestedAmount = amount || refundableAmount;
+
+    if (requestedAmount > refundableAmount) {
+      throw new AppError(`Refund amount cannot exceed ₹${refundableAmount}`, 400);
+    }
+
+    const refund = await Refund.create({
+      paymentId: payment._id,
+      requestId: payment.requestId,
+      customerId: payment.customerId,
+      mechanicId: payment.mechanicId,
+      refundableAmount,
+      amount: requestedAmount,
+      reason,
+      toWallet
+    });
+
+    logger.info('Refund requested:', {
+      refundId: refund._id,
+      paymentId: payment._id,
+      customerId,
+      amount: requestedAmount
+    });
+
+    return refund;
+  }
+
+  // Latest refund of a payment; customers only see their own
+  async getRefundStatus(paymentId, user) {
+    const filter = { paymentId };
+    if (user.role !== 'admin') {
+      filter.customerId = user._id;
+    }
+
+    return Refund.findOne(filter).sort({ createdAt: -1 });
+  }
+
+  async getRefunds({ status, page = 1, limit = 20 } = {}) {
+    const filter = status ? { status } : {};
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(filter)
+        .populate('customerId', 'name email phone')
+        .populate('paymentId', 'amount method receipt status paidAt')
+        .populate('requestId', 'issueType status')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Refund.countDocuments(filter)
+    ]);
+
+    return {
+      refunds,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        total
+      }
+    };
+  }
+
+  /**
+   * Approve a refund request in full or, with a lower amount, in part.
+   * Money goes back the way it was paid, the gateway share first and anything beyond it as wallet credit.
+   * A payment can be refunded in several parts until nothing is left.
+   * Razorpay refunds finish on the refund.processed webhook; cash is settled by hand and wallet credit is
+   * given at once.
+   */
+  async approveRefund(refundId, adminId, { amount, note } = {}) {
+    const refund = await Refund.findById(refundId);
+
+    if (!refund) {
+      throw new AppError('Refund request not found', 404);
+    }
+
+    if (refund.status !== 'requested') {
+      throw new AppError(`Refund request has already been ${refund.status}`, 409);
+    }
+
+    const payment = await Payment.findById(refund.paymentId);
+    if (!payment || !payment.canBeRefunded()) {
+      throw new AppError('Payment can no longer be refunded', 409);
+    }
+
+    const refundableAmount = payment.calculateRefundAmount();
+    const approvedAmount = amount || refund.amount;
+
+    if (approvedAmount > refundableAmount) {
+      throw new AppError(`Refund amount cannot exceed ₹${refundableAmount}`, 400);
+    }
+
+    const walletAmount = refund.toWallet
+      ? approvedAmount
+      : roundAmount(Math.max(approvedAmount - await this.getRefundableGatewayAmount(payment), 0));
+    const gatewayAmount = roundAmount(approvedAmount - walletAmount);
+
+    let gateway = 'wallet';
+    if (gatewayAmount > 0) {
+      gateway = payment.razorpayPaymentId ? (payment.gateway || 'razorpay') : 'manual';
+    }
+
+    // Claim the request so two admins cannot refund the same payment twice
+    const claimed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'requested' },
+      {
+        $set: {
+          status: 'processing',
+          approvedAmount,
+          walletAmount,
+          gateway,
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          ...(note && { adminNote: note })
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new AppError('Refund request has already been reviewed', 409);
+    }
+
+    if (gateway === 'manual' || gateway === 'wallet') {
+      return this.completeRefund(claimed, payment);
+    }
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await paymentService.processRefund(payment, gatewayAmount, claimed.reason);
+    } catch (error) {
+      await this.failRefund(claimed, error.error?.description || error.message);
+      throw new AppError('Payment gateway could not create the refund', 502);
+    }
+
+    claimed.gatewayRefundId = gatewayRefund.id;
+    claimed.gatewayResponse = gatewayRefund;
+    await claimed.save();
+
+    if (gatewayRefund.status === 'processed') {
+      return this.completeRefund(claimed, payment, gatewayRefund);
+    }
+
+    await this.notifyCustomer(claimed);
+    return claimed;
+  }
+
+  async denyRefund(refundId, adminId, { note }) {
+    const refund = await Refund.findOneAndUpdate(
+      { _id: refundId, status: 'requested' },
+      {
+        $set: {
+          status: 'denied',
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          adminNote: note
+        }
+      },
+      { new: true }
+    );
+
+    if (!refund) {
+      const exists = await Refund.exists({ _id: refundId });
+      throw exists
+        ? new AppError('Refund request has already been reviewed', 409)
+        : new AppError('Refund request not found', 404);
+    }
+
+    logger.info('Refund denied:', { refundId: refund._id, adminId });
+    await this.notifyCustomer(refund);
+    return refund;
+  }
+
+  // refund.processed / refund.failed webhooks from Razorpay
+  async handleGatewayRefund(refundEntity) {
+    const status = GATEWAY_FINAL_STATUSES[refundEntity.status];
+    if (!status) return null;
+
+    const refund = await Refund.findOne({ gatewayRefundId: refundEntity.id });
+
+    if (!refund) {
+      logger.warn('Refund webhook for an unknown refund:', { gatewayRefundId: refundEntity.id });
+      return null;
+    }
+
+    // Webhooks are retried, and a refund may already have finished synchronously
+    if (refund.status !== 'processing') {
+      return refund;
+    }
+
+    if (status === 'failed') {
+      return this.failRefund(refund, refundEntity.error_description || 'Refund failed at the payment gateway', refundEntity);
+    }
+
+    const payment = await Payment.findById(refund.paymentId);
+    return this.completeRefund(refund, payment, refundEntity);
+  }
+
+  // Gateway share of a payment that earlier refunds have not sent back yet
+  async getRefundableGatewayAmount(payment) {
+    if (!payment.refundedAmount) {
+      return payment.gatewayAmount;
+    }
+
+    const earlier = await Refund.find({ paymentId: payment._id, status: 'processed' }).select('approvedAmount walletAmount');
+    const refunded = earlier.reduce((sum, refund) => sum + refund.approvedAmount - (refund.walletAmount || 0), 0);
+    return roundAmount(Math.max(payment.gatewayAmount - refunded, 0));
+  }
+
+  // Mark the refund processed, credit its wallet share and mark its payment and service request as
+  // refunded, or partially refunded while part of the payment is left
+  async completeRefund(refund, payment, gatewayRefund = null) {
+    // The synchronous gateway response and the refund.processed webhook can both get here;
+    // only the one that moves the refund out of processing finishes it
+    const completed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'processing' },
+      {
+        $set: {
+          status: 'processed',
+          processedAt: new Date(),
+          ...(gatewayRefund && { gatewayResponse: gatewayRefund })
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) {
+      logger.info('Refund already finished:', { refundId: refund._id });
+      return Refund.findById(refund._id);
+    }
+    refund = completed;
+
+    // Posted once per refund, so a retried webhook cannot credit it twice
+    await walletService.creditRefund(refund);
+
+    let paymentStatus = 'refunded';
+    if (payment) {
+      const updated = await Payment.findByIdAndUpdate(
+        payment._id,
+        { $inc: { refundedAmount: refund.approvedAmount } },
+        { new: true }
+      );
+
+      if (updated) {
+        if (updated.getRemainingRefundable() > 0) {
+          paymentStatus = 'partially_refunded';
+        }
+
+        await updated.updateStatus(paymentStatus, {
+          refundId: refund.gatewayRefundId || refund._id.toString(),
+          refundAmount: refund.approvedAmount,
+          refundReason: refund.reason
+        });
+      }
+    }
+
+    await ServiceRequest.updateOne(
+      { _id: refund.requestId },
+      { $set: { paymentStatus } }
+    );
+
+    // Settlement batches backfill the ledger if this fails
+    try {
+      await ledgerService.recordRefund(refund);
+    } catch (error) {
+      logger.error('Failed to post refund to ledger:', { refundId: refund._id, error: error.message });
+    }
+
+    // Missing credit notes are issued when the invoice is next downloaded
+    try {
+      await invoiceService.issueCreditNote(refund);
+    } catch (error) {
+      logger.error('Failed to issue credit note:', { refundId: refund._id, error: error.message });
+    }
+
+    logger.info('Refund processed:', {
+      refundId: refund._id,
+      paymentId: refund.paymentId,
+      amount: refund.approvedAmount,
+      partial: refund.isPartial
+    });
+
+    await this.notifyCustomer(refund);
+    return refund;
+  }
+
+  async failRefund(refund, reason, gatewayRefund = null) {
+    refund.status = 'failed';
+    refund.failureReason = reason;
+    if (gatewayRefund) {
+      refund.gatewayResponse = gatewayRefund;
+    }
+    await refund.save();
+
+    logger.error('Refund failed:', { refundId: refund._id, paymentId: refund.paymentId, reason });
+
+    await this.notifyCustomer(refund);
+    return refund;
+  }
+
+  async notifyCustomer(refund) {
+    try {
+      const customer = await User.findById(refund.customerId).select('name email phone notificationPreferences');
+      if (customer) {
+        await notificationService.notifyRefundUpdate(customer, refund);
+      }
+    } catch (error) {
+      logger.warn('Failed to send refund notification:', { refundId: refund._id, error: error.message });
+    }
+  }
+}
+
+module.exports = new RefundService();
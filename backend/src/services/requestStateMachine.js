@@ -0,0 +1,105 @@
+const { InvalidTransitionError } = require('../utils/response');
+const logger = require('../config/logger');
+
+// Allowed status moves and the roles that may make each one.
+// 'system' covers server-side actors such as the dispatcher and scheduled jobs.
+const TRANSITIONS = {
+  // Future bookings are activated by the scheduler at their start time
+  scheduled: {
+    assigned: ['system'],
+    cancelled: ['customer', 'mechanic', 'admin', 'system']
+  },
+  pending: {
+    assigned: ['mechanic', 'admin', 'system'],
+    cancelled: ['customer', 'mechanic', 'admin', 'system']
+  },
+  assigned: {
+    enroute: ['mechanic'],
+    cancelled: ['customer', 'mechanic', 'admin', 'system']
+  },
+  enroute: {
+    in_progress: ['mechanic'],
+    cancelled: ['customer', 'mechanic', 'admin', 'system']
+  },
+  in_progress: {
+    completed: ['mechanic', 'admin'],
+    cancelled: ['mechanic', 'admin']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+// Guards ServiceRequest status changes and runs side effects once they are saved
+class RequestStateMachine {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.hooks = new Map();
+  }
+
+  // Statuses reachable from `from`, optionally limited to what `role` may do
+  getAllowedTransitions(from, role = null) {
+    const targets = this.transitions[from] || {};
+    return Object.keys(targets).filter(to => !role || targets[to].includes(role));
+  }
+
+  canTransition(from, to, role = 'system') {
+    return this.getAllowedTransitions(from, role).includes(to);
+  }
+
+  // Throw an InvalidTransitionError unless `role` may move the request from `from` to `to`
+  assertTransition(from, to, role = 'system') {
+    const targets = this.transitions[from] || {};
+
+    if (!targets[to]) {
+      throw new InvalidTransitionError({
+        from,
+        to,
+        role,
+        allowed: this.getAllowedTransitions(from, role)
+      });
+    }
+
+    if (!targets[to].includes(role)) {
+      throw new InvalidTransitionError({
+        from,
+        to,
+        role,
+        allowed: this.getAllowedTransitions(from, role),
+        forbidden: true
+      });
+    }
+  }
+
+  // Register a side effect for requests entering `status` ('*' for every change)
+  on(status, hook) {
+    if (!this.hooks.has(status)) {
+      this.hooks.set(status, []);
+    }
+    this.hooks.get(status).push(hook);
+  }
+
+  // Run hooks after a transition has been saved. Failures are logged, never thrown,
+  // so a flaky side effect cannot undo a status change the client already made.
+  async runHooks(serviceRequest, transition) {
+    const hooks = [
+      ...(this.hooks.get(transition.to) || []),
+      ...(this.hooks.get('*') || [])
+    ];
+
+    for (const hook of hooks) {
+      try {
+        await hook(serviceRequest, transition);
+      } catch (error) {
+        logger.error('Service request transition hook failed:', {
+          requestId: serviceRequest._id,
+          from: transition.from,
+          to: transition.to,
+          hook: hook.name || 'anonymous',
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new RequestStateMachine();
@@ -0,0 +1,120 @@
+const requestStateMachine = require('./requestStateMachine');
+const notificationService = require('./notificationService');
+const paymentService = require('./paymentService');
+const quoteService = require('./quoteService');
+const dispatchService = require('./dispatchService');
+const trackingShareService = require('./trackingShareService');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+
+// Customer and mechanic documents, reusing populated paths when present
+const loadParticipant = (serviceRequest, path) => {
+  if (serviceRequest.populated(path)) {
+    return serviceRequest[path];
+  }
+  if (!serviceRequest[path]) {
+    return null;
+  }
+  return User.findById(serviceRequest[path]).select('name email phone notificationPreferences');
+};
+
+const loadParticipants = async (serviceRequest) => {
+  const [customer, mechanic] = await Promise.all([
+    loadParticipant(serviceRequest, 'customerId'),
+    loadParticipant(serviceRequest, 'mechanicId')
+  ]);
+  return { customer, mechanic };
+};
+
+// Tell the customer who is coming
+const notifyAssignment = async (serviceRequest) => {
+  const { customer, mechanic } = await loadParticipants(serviceRequest);
+  if (customer && mechanic) {
+    await notificationService.notifyMechanicAssigned(customer, mechanic, serviceRequest);
+  }
+};
+
+// Progress updates for the customer
+const notifyProgress = async (serviceRequest, { to }) => {
+  const { customer } = await loadParticipants(serviceRequest);
+  if (customer) {
+    await notificationService.notifyStatusUpdate(customer, serviceRequest, to);
+  }
+};
+
+// Stop dispatching and tell whoever did not cancel
+const handleCancellation = async (serviceRequest, { from, role }) => {
+  if (from === 'pending') {
+    dispatchService.cancelDispatch(serviceRequest);
+  }
+
+  const { customer, mechanic } = await loadParticipants(serviceRequest);
+
+  if (role === 'customer') {
+    if (mechanic) {
+      await notificationService.notifyStatusUpdate(mechanic, serviceRequest, 'cancelled');
+    }
+  } else if (role === 'mechanic' && ['pending', 'scheduled'].includes(from) && customer) {
+    // A mechanic cancelling a pending or scheduled direct booking is a rejection
+    await notificationService.notifyRequestRejected(customer, mechanic, serviceRequest, serviceRequest.cancellationReason);
+  } else if (customer) {
+    await notificationService.notifyStatusUpdate(customer, serviceRequest, 'cancelled');
+  }
+};
+
+// Keep the mechanic's completed job counter in sync for discovery sorting
+const recordCompletedJob = async (serviceRequest) => {
+  if (serviceRequest.mechanicId) {
+    await User.findByIdAndUpdate(serviceRequest.mechanicId._id || serviceRequest.mechanicId, {
+      $inc: { completedJobs: 1 }
+    });
+  }
+};
+
+// Open a payment order so the customer can pay straight away
+const createPaymentOrder = async (serviceRequest) => {
+  const amount = quoteService.amountDue(serviceRequest) ?? serviceRequest.finalAmount;
+  if (!amount || serviceRequest.paymentStatus === 'paid') {
+    return;
+  }
+
+  const existingPayment = await Payment.exists({
+    requestId: serviceRequest._id,
+    status: { $in: ['pending', 'processing', 'success'] }
+  });
+  if (existingPayment) {
+    return;
+  }
+
+  const customerId = serviceRequest.customerId._id || serviceRequest.customerId;
+  await paymentService.createPaymentOrder(serviceRequest._id, customerId, amount);
+};
+
+// Ask the customer to review the mechanic
+const promptReview = async (serviceRequest) => {
+  if (serviceRequest.reviewId) {
+    return;
+  }
+
+  const { customer } = await loadParticipants(serviceRequest);
+  if (customer) {
+    await notificationService.notifyReviewPrompt(customer, serviceRequest);
+  }
+};
+
+// Keep shared tracking links in step; finishing the job ends them
+const updateSharedTracking = (serviceRequest, transition) => {
+  trackingShareService.handleStatusChange(serviceRequest, transition);
+};
+
+requestStateMachine.on('assigned', notifyAssignment);
+requestStateMachine.on('enroute', notifyProgress);
+requestStateMachine.on('in_progress', notifyProgress);
+requestStateMachine.on('completed', notifyProgress);
+requestStateMachine.on('completed', recordCompletedJob);
+requestStateMachine.on('completed', createPaymentOrder);
+requestStateMachine.on('completed', promptReview);
+requestStateMachine.on('cancelled', handleCancellation);
+requestStateMachine.on('*', updateSharedTracking);
+
+module.exports = requestStateMachine;
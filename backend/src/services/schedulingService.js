@@ -0,0 +1,326 @@
+const MechanicSchedule = require('../models/MechanicSchedule');
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Requests that hold a mechanic's time once they have a booked slot
+const BOOKED_STATUSES = ['scheduled', 'assigned', 'enroute', 'in_progress'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDateKey = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Wall-clock date and time of `date` in `timeZone`
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).reduce((values, { type, value }) => {
+    values[type] = Number(value);
+    return values;
+  }, {});
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    minutes: parts.hour * 60 + parts.minute
+  };
+};
+
+// The instant a wall-clock time on a local date occurs in `timeZone`
+const zonedTime = ({ year, month, day }, minutes, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const local = zonedParts(new Date(guess), timeZone);
+  const offset = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) - guess;
+  return new Date(guess - offset);
+};
+
+// Calendar date `offset` days after `date`
+const addDays = ({ year, month, day }, offset) => {
+  const next = new Date(Date.UTC(year, month - 1, day + offset));
+  return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+};
+
+const overlaps = (startAt, endAt, other) => startAt < other.endAt && other.startAt < endAt;
+
+// Weekly working hours, blocked-out times and bookable slots for scheduled services
+class SchedulingService {
+  constructor() {
+    this.config = {
+      reminderLeadMs: (parseInt(process.env.BOOKING_REMINDER_MINUTES) || 60) * MINUTE,
+      minNoticeMs: (parseInt(process.env.BOOKING_MIN_NOTICE_MINUTES) || 60) * MINUTE,
+      maxDaysAhead: parseInt(process.env.BOOKING_MAX_DAYS_AHEAD) || 30
+    };
+  }
+
+  // Saved schedule, or an empty one for mechanics who have not published hours
+  async getSchedule(mechanicId) {
+    const schedule = await MechanicSchedule.findOne({ mechanicId });
+    return schedule || new MechanicSchedule({ mechanicId });
+  }
+
+  async updateWorkingHours(mechanicId, { weeklyHours, slotMinutes, timezone }) {
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        throw new AppError(`Unknown timezone ${timezone}`, 400);
+      }
+    }
+
+    const sorted = [...weeklyHours].sort((a, b) => a.day - b.day || toMinutes(a.start) - toMinutes(b.start));
+    sorted.forEach((window, index) => {
+      if (toMinutes(window.end) <= toMinutes(window.start)) {
+        throw new AppError(`Working hours must end after they start (${window.start}-${window.end})`, 400);
+      }
+      const previous = sorted[index - 1];
+      if (previous && previous.day === window.day && toMinutes(window.start) < toMinutes(previous.end)) {
+        throw new AppError('Working hours on the same day cannot overlap', 400);
+      }
+    });
+
+    const update = { weeklyHours: sorted };
+    if (slotMinutes) update.slotMinutes = slotMinutes;
+    if (timezone) update.timezone = timezone;
+
+    return MechanicSchedule.findOneAndUpdate(
+      { mechanicId },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Block out time; refuses to hide a booking the mechanic has already taken
+  async addBlockedTime(mechanicId, { startAt, endAt, reason }) {
+    const start = new Date(startAt);
+    const end = new Date(endAt);
+
+    if (end <= start) {
+      throw new AppError('Blocked time must end after it starts', 400);
+    }
+    if (end <= new Date()) {
+      throw new AppError('Blocked time must be in the future', 400);
+    }
+
+    const booking = await ServiceRequest.findOne({
+      mechanicId,
+      status: 'scheduled',
+      'schedule.startAt': { $lt: end },
+      'schedule.endAt': { $gt: start }
+    }).select('schedule');
+
+    if (booking) {
+      throw new AppError('A booking falls inside this time. Cancel it before blocking the time off', 409);
+    }
+
+    return MechanicSchedule.findOneAndUpdate(
+      { mechanicId },
+      { $push: { blockedTimes: { startAt: start, endAt: end, reason } } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async removeBlockedTime(mechanicId, blockId) {
+    const schedule = await MechanicSchedule.findOneAndUpdate(
+      { mechanicId, 'blockedTimes._id': blockId },
+      { $pull: { blockedTimes: { _id: blockId } } },
+      { new: true }
+    );
+
+    if (!schedule) {
+      throw new AppError('Blocked time not found', 404);
+    }
+
+    return schedule;
+  }
+
+  // Scheduled and active bookings of a mechanic starting between `from` and `to`
+  async getBookings(mechanicId, from, to) {
+    return ServiceRequest.find({
+      mechanicId,
+      status: { $in: [...BOOKED_STATUSES, 'completed'] },
+      'schedule.startAt': { $gte: from, $lt: to }
+    })
+      .populate('customerId', 'name phone')
+      .sort({ 'schedule.startAt': 1 })
+      .lean();
+  }
+
+  // Every slot the weekly hours offer on one local date, ignoring blocks and bookings
+  buildDaySlots(schedule, date) {
+    const { year, month, day } = date;
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const length = schedule.slotMinutes;
+    const slots = [];
+
+    schedule.weeklyHours
+      .filter(window => window.day === weekday)
+      .forEach(window => {
+        for (let minutes = toMinutes(window.start); minutes + length <= toMinutes(window.end); minutes += length) {
+          slots.push({
+            startAt: zonedTime(date, minutes, schedule.timezone),
+            endAt: zonedTime(date, minutes + length, schedule.timezone)
+          });
+        }
+      });
+
+    return slots;
+  }
+
+  // Bookable slots per local date from `from` (defaults to today) for `days` days
+  async getAvailableSlots(mechanicId, { from, days = 7 } = {}) {
+    const schedule = await this.getSchedule(mechanicId);
+    const now = new Date();
+    const firstDay = from
+      ? { year: Number(from.slice(0, 4)), month: Number(from.slice(5, 7)), day: Number(from.slice(8, 10)) }
+      : zonedParts(now, schedule.timezone);
+    const dates = Array.from({ length: days }, (_, index) => addDays(firstDay, index));
+
+    const rangeStart = zonedTime(dates[0], 0, schedule.timezone);
+    const rangeEnd = zonedTime(addDays(dates[dates.length - 1], 1), 0, schedule.timezone);
+    const earliest = new Date(now.getTime() + this.config.minNoticeMs);
+    const latest = new Date(now.getTime() + this.config.maxDaysAhead * DAY);
+
+    const bookings = await ServiceRequest.find({
+      mechanicId,
+      status: { $in: BOOKED_STATUSES },
+      'schedule.startAt': { $lt: rangeEnd },
+      'schedule.endAt': { $gt: rangeStart }
+    }).select('schedule').lean();
+    const busy = [
+      ...schedule.blockedTimes,
+      ...bookings.map(booking => booking.schedule)
+    ];
+
+    return {
+      timezone: schedule.timezone,
+      slotMinutes: schedule.slotMinutes,
+      days: dates.map(date => ({
+        date: formatDateKey(date),
+        slots: this.buildDaySlots(schedule, date).filter(slot =>
+          slot.startAt >= earliest &&
+          slot.startAt <= latest &&
+          !busy.some(period => overlaps(slot.startAt, slot.endAt, period))
+        )
+      }))
+    };
+  }
+
+  // The slot starting at `startAt` with the mechanic's timezone, or an error explaining why it cannot be booked
+  async reserveSlot(mechanicId, startAt) {
+    const start = new Date(startAt);
+    const now = new Date();
+
+    if (start < new Date(now.getTime() + this.config.minNoticeMs)) {
+      throw new AppError(`Bookings need at least ${this.config.minNoticeMs / MINUTE} minutes notice`, 400);
+    }
+    if (start > new Date(now.getTime() + this.config.maxDaysAhead * DAY)) {
+      throw new AppError(`Bookings can be made up to ${this.config.maxDaysAhead} days ahead`, 400);
+    }
+
+    const schedule = await this.getSchedule(mechanicId);
+    const date = zonedParts(start, schedule.timezone);
+    const slot = this.buildDaySlots(schedule, date)
+      .find(candidate => candidate.startAt.getTime() === start.getTime());
+
+    if (!slot) {
+      throw new AppError('The mechanic does not take bookings at this time', 400);
+    }
+    slot.timezone = schedule.timezone;
+
+    if (schedule.blockedTimes.some(block => overlaps(slot.startAt, slot.endAt, block))) {
+      throw new AppError('The mechanic is unavailable at this time', 409);
+    }
+
+    const conflict = await ServiceRequest.exists({
+      mechanicId,
+      status: { $in: BOOKED_STATUSES },
+      'schedule.startAt': { $lt: slot.endAt },
+      'schedule.endAt': { $gt: slot.startAt }
+    });
+
+    if (conflict) {
+      throw new AppError('This slot has already been booked', 409);
+    }
+
+    return slot;
+  }
+
+  // Send reminders for bookings about to start and turn due bookings into assigned jobs
+  async processDueBookings(now = new Date()) {
+    const reminded = await this.sendReminders(now);
+    const activated = await this.activateDueBookings(now);
+    return { reminded, activated };
+  }
+
+  async sendReminders(now) {
+    const due = await ServiceRequest.find({
+      status: 'scheduled',
+      'schedule.startAt': { $gt: now, $lte: new Date(now.getTime() + this.config.reminderLeadMs) },
+      'schedule.reminderSentAt': null
+    }).select('_id');
+
+    let sent = 0;
+    for (const { _id } of due) {
+      // Claim the reminder first so overlapping runs never send it twice
+      const booking = await ServiceRequest.findOneAndUpdate(
+        { _id, status: 'scheduled', 'schedule.reminderSentAt': null },
+        { $set: { 'schedule.reminderSentAt': now } },
+        { new: true }
+      );
+      if (!booking) continue;
+
+      try {
+        const [customer, mechanic] = await Promise.all([
+          User.findById(booking.customerId).select('name email phone notificationPreferences'),
+          User.findById(booking.mechanicId).select('name email phone notificationPreferences')
+        ]);
+        await Promise.all([customer, mechanic]
+          .filter(Boolean)
+          .map(user => notificationService.notifyBookingReminder(user, booking)));
+        sent += 1;
+      } catch (error) {
+        logger.error('Failed to send booking reminder:', { requestId: _id, error: error.message });
+      }
+    }
+
+    return sent;
+  }
+
+  async activateDueBookings(now) {
+    const due = await ServiceRequest.find({
+      status: 'scheduled',
+      'schedule.startAt': { $lte: now }
+    });
+
+    let activated = 0;
+    for (const booking of due) {
+      try {
+        await booking.updateStatus('assigned', null, 'Scheduled booking started', 'system');
+        activated += 1;
+      } catch (error) {
+        logger.error('Failed to activate scheduled booking:', { requestId: booking._id, error: error.message });
+      }
+    }
+
+    return activated;
+  }
+}
+
+module.exports = new SchedulingService();
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const { SMS_STATUS } = require('./smsStatus');
+
+// Development provider: appends messages to a JSON-lines outbox file, or logs them when no file is set
+class FileSmsProvider {
+  constructor({ filePath = null } = {}) {
+    this.name = filePath ? 'file' : 'console';
+    this.filePath = filePath;
+  }
+
+  async send({ to, message }) {
+    const entry = {
+      messageId: `sms_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      to,
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    if (this.filePath) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    } else {
+      logger.info('SMS (console provider):', {
+        messageId: entry.messageId,
+        to,
+        text: message
+      });
+    }
+
+    return {
+      messageId: entry.messageId,
+      status: SMS_STATUS.DELIVERED,
+      provider: this.name
+    };
+  }
+
+  async getStatus(messageId) {
+    return {
+      messageId,
+      status: SMS_STATUS.DELIVERED,
+      errorCode: null
+    };
+  }
+}
+
+module.exports = FileSmsProvider;
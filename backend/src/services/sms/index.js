@@ -0,0 +1,63 @@
+const path = require('path');
+const logger = require('../../config/logger');
+const TwilioSmsProvider = require('./twilioProvider');
+const SnsSmsProvider = require('./snsProvider');
+const FileSmsProvider = require('./fileProvider');
+const { SMS_STATUS, FINAL_SMS_STATUSES } = require('./smsStatus');
+
+// Build the SMS provider named by SMS_PROVIDER (twilio | sns | file | console).
+// Falls back to the console provider when the chosen one is missing credentials.
+const createSmsProvider = (env = process.env) => {
+  const providerName = (env.SMS_PROVIDER || 'console').toLowerCase();
+
+  switch (providerName) {
+    case 'twilio':
+      if (env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN && env.TWILIO_PHONE_NUMBER) {
+        return new TwilioSmsProvider({
+          accountSid: env.TWILIO_ACCOUNT_SID,
+          authToken: env.TWILIO_AUTH_TOKEN,
+          from: env.TWILIO_PHONE_NUMBER,
+          baseUrl: env.TWILIO_API_URL,
+          statusCallbackUrl: env.TWILIO_STATUS_CALLBACK_URL
+        });
+      }
+      break;
+
+    case 'sns':
+      if (env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY) {
+        return new SnsSmsProvider({
+          accessKeyId: env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+          sessionToken: env.AWS_SESSION_TOKEN,
+          region: env.AWS_REGION,
+          endpoint: env.SNS_ENDPOINT,
+          senderId: env.SNS_SENDER_ID
+        });
+      }
+      break;
+
+    case 'file':
+      return new FileSmsProvider({
+        filePath: env.SMS_FILE_PATH || path.join(process.cwd(), 'logs', 'sms-outbox.log')
+      });
+
+    case 'console':
+      return new FileSmsProvider();
+
+    default:
+      logger.warn(`Unknown SMS provider "${providerName}" - using console provider`);
+      return new FileSmsProvider();
+  }
+
+  logger.warn(`SMS provider "${providerName}" is missing credentials - using console provider`);
+  return new FileSmsProvider();
+};
+
+module.exports = {
+  createSmsProvider,
+  TwilioSmsProvider,
+  SnsSmsProvider,
+  FileSmsProvider,
+  SMS_STATUS,
+  FINAL_SMS_STATUSES
+};
@@ -0,0 +1,21 @@
+// Delivery states shared by every SMS provider
+const SMS_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  UNDELIVERED: 'undelivered',
+  FAILED: 'failed',
+  UNKNOWN: 'unknown'
+};
+
+// States a message never leaves
+const FINAL_SMS_STATUSES = [
+  SMS_STATUS.DELIVERED,
+  SMS_STATUS.UNDELIVERED,
+  SMS_STATUS.FAILED
+];
+
+module.exports = {
+  SMS_STATUS,
+  FINAL_SMS_STATUSES
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { SMS_STATUS } = require('./smsStatus');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Pull a single element's text out of an SNS XML response
+const readXmlTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1] : null;
+};
+
+// Publishes SMS directly to phone numbers through the AWS SNS query API, signed with SigV4
+class SnsSmsProvider {
+  constructor({ accessKeyId, secretAccessKey, sessionToken = null, region = 'ap-south-1', endpoint = null, senderId = null, smsType = 'Transactional' }) {
+    this.name = 'sns';
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.sessionToken = sessionToken;
+    this.region = region;
+    this.endpoint = new URL(endpoint || `https://sns.${region}.amazonaws.com/`);
+    this.senderId = senderId;
+    this.smsType = smsType;
+  }
+
+  // AWS Signature Version 4 headers for a form-encoded POST
+  signRequest(body, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const contentType = 'application/x-www-form-urlencoded; charset=utf-8';
+
+    const headers = {
+      'content-type': contentType,
+      host: this.endpoint.host,
+      'x-amz-date': amzDate,
+      ...(this.sessionToken && { 'x-amz-security-token': this.sessionToken })
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalHeaders = Object.keys(headers)
+      .sort()
+      .map(name => `${name}:${headers[name]}\n`)
+      .join('');
+
+    const canonicalRequest = [
+      'POST',
+      this.endpoint.pathname,
+      '',
+      canonicalHeaders,
+      signedHeaders,
+      sha256(body)
+    ].join('\n');
+
+    const credentialScope = `${dateStamp}/${this.region}/sns/aws4_request`;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      credentialScope,
+      sha256(canonicalRequest)
+    ].join('\n');
+
+    const signingKey = ['sns', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  async send({ to, message }) {
+    const params = {
+      Action: 'Publish',
+      Version: '2010-03-31',
+      PhoneNumber: to,
+      Message: message,
+      'MessageAttributes.entry.1.Name': 'AWS.SNS.SMS.SMSType',
+      'MessageAttributes.entry.1.Value.DataType': 'String',
+      'MessageAttributes.entry.1.Value.StringValue': this.smsType
+    };
+    if (this.senderId) {
+      Object.assign(params, {
+        'MessageAttributes.entry.2.Name': 'AWS.SNS.SMS.SenderID',
+        'MessageAttributes.entry.2.Value.DataType': 'String',
+        'MessageAttributes.entry.2.Value.StringValue': this.senderId
+      });
+    }
+
+    const body = new URLSearchParams(params).toString();
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: this.signRequest(body),
+      body
+    });
+    const xml = await response.text();
+
+    if (!response.ok) {
+      const error = new Error(readXmlTag(xml, 'Message') || `SNS request failed with status ${response.status}`);
+      error.code = readXmlTag(xml, 'Code');
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    // SNS accepted the message for delivery to the carrier
+    return {
+      messageId: readXmlTag(xml, 'MessageId'),
+      status: SMS_STATUS.SENT,
+      provider: this.name
+    };
+  }
+
+  // SNS only reports per-message delivery to CloudWatch Logs, so the publish result is all we know
+  async getStatus(messageId) {
+    return {
+      messageId,
+      status: SMS_STATUS.SENT,
+      errorCode: null
+    };
+  }
+}
+
+module.exports = SnsSmsProvider;
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { SMS_STATUS } = require('./smsStatus');
+
+// Twilio message states -> our delivery states
+const STATUS_MAP = {
+  accepted: SMS_STATUS.QUEUED,
+  scheduled: SMS_STATUS.QUEUED,
+  queued: SMS_STATUS.QUEUED,
+  sending: SMS_STATUS.SENT,
+  sent: SMS_STATUS.SENT,
+  delivered: SMS_STATUS.DELIVERED,
+  read: SMS_STATUS.DELIVERED,
+  undelivered: SMS_STATUS.UNDELIVERED,
+  failed: SMS_STATUS.FAILED,
+  canceled: SMS_STATUS.FAILED
+};
+
+// Sends SMS through the Twilio Messages REST API (or any API speaking the same protocol)
+class TwilioSmsProvider {
+  constructor({ accountSid, authToken, from, baseUrl = 'https://api.twilio.com', statusCallbackUrl = null }) {
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.statusCallbackUrl = statusCallbackUrl;
+  }
+
+  mapStatus(status) {
+    return STATUS_MAP[status] || SMS_STATUS.UNKNOWN;
+  }
+
+  async request(path, { method = 'GET', form = null } = {}) {
+    const credentials = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
+    const response = await fetch(`${this.baseUrl}/2010-04-01/Accounts/${this.accountSid}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        ...(form && { 'Content-Type': 'application/x-www-form-urlencoded' })
+      },
+      body: form ? new URLSearchParams(form).toString() : undefined
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(payload.message || `Twilio request failed with status ${response.status}`);
+      error.code = payload.code;
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return payload;
+  }
+
+  async send({ to, message }) {
+    const created = await this.request('/Messages.json', {
+      method: 'POST',
+      form: {
+        To: to,
+        From: this.from,
+        Body: message,
+        ...(this.statusCallbackUrl && { StatusCallback: this.statusCallbackUrl })
+      }
+    });
+
+    return {
+      messageId: created.sid,
+      status: this.mapStatus(created.status),
+      provider: this.name
+    };
+  }
+
+  async getStatus(messageId) {
+    const message = await this.request(`/Messages/${messageId}.json`);
+
+    return {
+      messageId,
+      status: this.mapStatus(message.status),
+      errorCode: message.error_code || null
+    };
+  }
+
+  // Twilio signs callbacks with HMAC-SHA1 over the callback URL followed by the sorted POST params
+  isValidSignature(url, params, signature) {
+    if (!signature) {
+      return false;
+    }
+
+    const data = Object.keys(params)
+      .sort()
+      .reduce((acc, key) => acc + key + params[key], url);
+    const expected = crypto.createHmac('sha1', this.authToken).update(data).digest('base64');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  // Delivery report posted to statusCallbackUrl, or null when it is not genuine
+  parseStatusCallback({ params, signature }) {
+    if (!this.statusCallbackUrl || !this.isValidSignature(this.statusCallbackUrl, params, signature)) {
+      return null;
+    }
+
+    return {
+      messageId: params.MessageSid,
+      status: this.mapStatus(params.MessageStatus),
+      errorCode: params.ErrorCode || null
+    };
+  }
+}
+
+module.exports = TwilioSmsProvider;
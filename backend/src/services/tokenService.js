@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+const { generateToken, generateRefreshToken } = require('../middlewares/authMiddleware');
+const { AuthTokenError } = require('../utils/response');
+const logger = require('../config/logger');
+
+const expiryOf = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Per-device sessions with rotating refresh tokens and an access-token denylist
+class TokenService {
+  signTokens(userId, sessionId, tokenId) {
+    const accessToken = generateToken(userId, { sessionId });
+    const refreshToken = generateRefreshToken(userId, { sessionId, tokenId });
+
+    return {
+      accessToken,
+      refreshToken,
+      accessExpiresAt: expiryOf(accessToken),
+      refreshExpiresAt: expiryOf(refreshToken)
+    };
+  }
+
+  // Start a session for a fresh login; a device keeps only its newest session
+  async createSession(user, { deviceId, userAgent, ip } = {}) {
+    if (deviceId) {
+      const previous = await AuthSession.find({ userId: user._id, deviceId, revokedAt: null });
+      await Promise.all(previous.map(session => this.revokeSession(session, 'replaced')));
+    }
+
+    const tokenId = crypto.randomUUID();
+    const session = new AuthSession({ userId: user._id, currentTokenId: tokenId, deviceId, userAgent, ip });
+    const tokens = this.signTokens(user._id, session._id, tokenId);
+
+    session.expiresAt = tokens.refreshExpiresAt;
+    session.accessExpiresAt = tokens.accessExpiresAt;
+    await session.save();
+
+    return {
+      sessionId: session._id,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new pair; presenting a rotated token revokes the session
+  async rotateRefreshToken(refreshToken, { userAgent, ip } = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      throw new AuthTokenError('Invalid refresh token.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    // Tokens issued before sessions existed cannot be rotated safely
+    if (!decoded.sid || !decoded.jti) {
+      throw new AuthTokenError('Session expired. Please log in again.', 'SESSION_EXPIRED');
+    }
+
+    const session = await AuthSession.findById(decoded.sid);
+    if (!session || session.userId.toString() !== decoded.id) {
+      throw new AuthTokenError('Invalid refresh token.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (session.revokedAt) {
+      throw new AuthTokenError('Session has been revoked. Please log in again.', 'SESSION_REVOKED');
+    }
+
+    if (session.currentTokenId !== decoded.jti) {
+      await this.handleReuse(session);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      throw new AuthTokenError('Invalid refresh token.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (user.passwordChangedAt && user.passwordChangedAt > session.createdAt) {
+      await this.revokeSession(session, 'password_change');
+      throw new AuthTokenError('Password was changed. Please log in again.', 'SESSION_REVOKED');
+    }
+
+    const tokenId = crypto.randomUUID();
+    const tokens = this.signTokens(user._id, session._id, tokenId);
+
+    // Conditional on the old jti so two requests racing with the same token cannot both rotate
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, currentTokenId: decoded.jti, revokedAt: null },
+      {
+        $set: {
+          currentTokenId: tokenId,
+          lastUsedAt: new Date(),
+          expiresAt: tokens.refreshExpiresAt,
+          accessExpiresAt: tokens.accessExpiresAt,
+          ...(userAgent && { userAgent }),
+          ...(ip && { ip })
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await this.handleReuse(session);
+    }
+
+    return {
+      user,
+      sessionId: session._id,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    };
+  }
+
+  async handleReuse(session) {
+    logger.warn('Refresh token reuse detected, revoking session:', {
+      userId: session.userId,
+      sessionId: session._id,
+      deviceId: session.deviceId
+    });
+
+    await this.revokeSession(session, 'token_reuse');
+    throw new AuthTokenError('Refresh token reuse detected. Please log in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  // End a session and denylist every access token it issued
+  async revokeSession(session, reason) {
+    const now = new Date();
+
+    await AuthSession.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason } }
+    );
+
+    if (session.accessExpiresAt && session.accessExpiresAt > now) {
+      await RevokedToken.create({
+        sessionId: session._id,
+        userId: session.userId,
+        reason,
+        expiresAt: session.accessExpiresAt
+      });
+    }
+  }
+
+  async revokeSessionById(sessionId, reason) {
+    const session = await AuthSession.findById(sessionId);
+    if (session) {
+      await this.revokeSession(session, reason);
+    }
+    return session;
+  }
+
+  async revokeAllSessions(userId, reason) {
+    const sessions = await AuthSession.find({ userId, revokedAt: null });
+    await Promise.all(sessions.map(session => this.revokeSession(session, reason)));
+    return sessions.length;
+  }
+
+  // Denylist a single access token, e.g. one issued before sessions existed
+  async revokeAccessToken({ jti, id, exp }, reason) {
+    if (!jti || !exp) return;
+
+    await RevokedToken.create({
+      jti,
+      userId: id,
+      reason,
+      expiresAt: new Date(exp * 1000)
+    });
+  }
+}
+
+module.exports = new TokenService();
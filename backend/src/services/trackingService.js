@@ -0,0 +1,161 @@
+const ServiceRequest = require('../models/ServiceRequest');
+const trackingShareService = require('./trackingShareService');
+const { AppError, calculateDistance } = require('../utils/response');
+
+// Statuses in which the assigned mechanic's location is tracked
+const TRACKED_STATUSES = ['assigned', 'enroute', 'in_progress'];
+
+// Only the newest points are kept so one request cannot grow without bound
+const MAX_TRAIL_POINTS = 2000;
+
+// A new breadcrumb is stored after moving this far or after this long
+const MIN_STEP_KM = 0.02;
+const MIN_STEP_MS = 15 * 1000;
+
+// Roads are longer than the straight line between two points
+const ROAD_DISTANCE_FACTOR = 1.3;
+const DEFAULT_SPEED_KMH = 25; // city average while the mechanic's own speed is unknown
+const MIN_MOVING_SPEED_KMH = 5;
+const MAX_SPEED_KMH = 120;
+const ARRIVED_WITHIN_KM = 0.05;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Persists the assigned mechanic's breadcrumb trail and pushes distance/ETA to the request room
+class TrackingService {
+  constructor() {
+    this.socketHandlers = null;
+  }
+
+  setSocketHandlers(socketHandlers) {
+    this.socketHandlers = socketHandlers;
+  }
+
+  // Minutes to cover a straight-line distance at the given speed (km/h)
+  estimateEtaMinutes(distanceKm, speedKmh) {
+    if (distanceKm <= ARRIVED_WITHIN_KM) return 0;
+
+    const speed = speedKmh >= MIN_MOVING_SPEED_KMH ? speedKmh : DEFAULT_SPEED_KMH;
+    return Math.ceil((distanceKm * ROAD_DISTANCE_FACTOR / speed) * 60);
+  }
+
+  // Travel speed smoothed over recent breadcrumbs; device-reported speed (m/s) wins when present
+  smoothSpeed(previousKmh, last, point) {
+    let sampleKmh;
+
+    if (point.deviceSpeed !== undefined && point.deviceSpeed >= 0) {
+      sampleKmh = point.deviceSpeed * 3.6;
+    } else if (last) {
+      const hours = (point.recordedAt - last.recordedAt) / (60 * 60 * 1000);
+      if (hours <= 0) return previousKmh;
+      sampleKmh = calculateDistance(last.lat, last.lng, point.lat, point.lng) / hours;
+    } else {
+      return previousKmh;
+    }
+
+    sampleKmh = Math.min(sampleKmh, MAX_SPEED_KMH);
+    const smoothed = previousKmh === undefined ? sampleKmh : previousKmh * 0.6 + sampleKmh * 0.4;
+    return Math.round(smoothed * 10) / 10;
+  }
+
+  /**
+   * Record a location from the mechanic assigned to a request.
+   * Returns null when the mechanic is not tracking this request.
+   */
+  async recordLocation(requestId, mechanicId, location = {}) {
+    const lat = toNumber(location.lat);
+    const lng = toNumber(location.lng);
+
+    if (lat === undefined || lng === undefined || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new AppError('A valid lat and lng are required', 400);
+    }
+
+    const request = await ServiceRequest.findOne({
+      _id: requestId,
+      mechanicId,
+      status: { $in: TRACKED_STATUSES }
+    }).select('location status tracking.lastLocation tracking.speedKmh');
+
+    if (!request) return null;
+
+    const point = {
+      lat,
+      lng,
+      accuracy: toNumber(location.accuracy),
+      heading: toNumber(location.heading),
+      recordedAt: new Date(),
+      deviceSpeed: toNumber(location.speed)
+    };
+
+    const last = request.tracking && request.tracking.lastLocation;
+    const stepKm = last ? calculateDistance(last.lat, last.lng, lat, lng) : Infinity;
+    const stepMs = last ? point.recordedAt - last.recordedAt : Infinity;
+    const isNewBreadcrumb = stepKm >= MIN_STEP_KM || stepMs >= MIN_STEP_MS;
+
+    const previousSpeed = request.tracking ? request.tracking.speedKmh : undefined;
+    const speedKmh = isNewBreadcrumb ? this.smoothSpeed(previousSpeed, last, point) : previousSpeed;
+    const distanceKm = calculateDistance(lat, lng, request.location.lat, request.location.lng);
+    const etaMinutes = request.status === 'in_progress' ? 0 : this.estimateEtaMinutes(distanceKm, speedKmh);
+
+    const { deviceSpeed, ...breadcrumb } = point;
+    if (deviceSpeed !== undefined) {
+      breadcrumb.speed = Math.round(deviceSpeed * 3.6 * 10) / 10;
+    }
+
+    const update = {
+      $set: {
+        'tracking.distanceKm': distanceKm,
+        'tracking.etaMinutes': etaMinutes,
+        'tracking.updatedAt': point.recordedAt,
+        ...(speedKmh !== undefined && { 'tracking.speedKmh': speedKmh })
+      }
+    };
+
+    // Small jitters only refresh the ETA; real movement extends the trail
+    if (isNewBreadcrumb) {
+      update.$set['tracking.lastLocation'] = breadcrumb;
+      update.$push = { 'tracking.trail': { $each: [breadcrumb], $slice: -MAX_TRAIL_POINTS } };
+    }
+
+    await ServiceRequest.updateOne({ _id: request._id }, update);
+
+    const tracking = {
+      requestId: request._id,
+      mechanicId,
+      location: breadcrumb,
+      distanceKm,
+      etaMinutes,
+      estimatedArrival: new Date(point.recordedAt.getTime() + etaMinutes * 60 * 1000),
+      timestamp: point.recordedAt
+    };
+
+    if (this.socketHandlers) {
+      this.socketHandlers.emitToRequest(request._id, 'tracking-update', tracking);
+    }
+    trackingShareService.publishLocation(request._id, tracking);
+
+    return tracking;
+  }
+
+  // Stored trail and latest ETA of a request
+  async getTrail(requestId) {
+    const request = await ServiceRequest.findById(requestId).select('+tracking.trail');
+
+    if (!request) return null;
+
+    const tracking = request.tracking || {};
+    return {
+      request,
+      trail: tracking.trail || [],
+      lastLocation: tracking.lastLocation || null,
+      distanceKm: tracking.distanceKm ?? null,
+      etaMinutes: tracking.etaMinutes ?? null,
+      updatedAt: tracking.updatedAt || null
+    };
+  }
+}
+
+module.exports = new TrackingService();
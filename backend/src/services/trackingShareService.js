@@ -0,0 +1,223 @@
+const jwt = require('jsonwebtoken');
+const ServiceRequest = require('../models/ServiceRequest');
+const { AppError } = require('../utils/response');
+
+const TOKEN_AUDIENCE = 'tracking-share';
+
+// How long a link works when the customer does not choose; never longer than the maximum
+const DEFAULT_TTL_HOURS = parseInt(process.env.TRACKING_SHARE_TTL_HOURS, 10) || 4;
+const MAX_TTL_HOURS = 24;
+
+const MAX_ACTIVE_LINKS = 5;
+
+// Finished jobs end every link shared for them
+const ENDED_STATUSES = ['completed', 'cancelled'];
+
+// Points the shared page draws; the full trail stays on the request
+const SHARED_TRAIL_POINTS = 200;
+
+const getSecret = () => process.env.TRACKING_SHARE_SECRET || process.env.JWT_SECRET;
+
+const isActive = (link, now = new Date()) => !link.revokedAt && link.expiresAt > now;
+
+/**
+ * Read-only tracking links a customer shares for one request. The token is a JWT naming the request
+ * and the link entry on it, so a link is checked by signature and can still be revoked.
+ */
+class TrackingShareService {
+  constructor() {
+    this.socketHandlers = null;
+  }
+
+  setSocketHandlers(socketHandlers) {
+    this.socketHandlers = socketHandlers;
+  }
+
+  // The same link always signs to the same token, so active links can be listed again
+  signToken(requestId, link) {
+    return jwt.sign({
+      sub: requestId.toString(),
+      iat: Math.floor(link.createdAt.getTime() / 1000),
+      exp: Math.floor(link.expiresAt.getTime() / 1000)
+    }, getSecret(), {
+      audience: TOKEN_AUDIENCE,
+      jwtid: link._id.toString()
+    });
+  }
+
+  toLink(requestId, link) {
+    const token = this.signToken(requestId, link);
+    return {
+      _id: link._id,
+      label: link.label,
+      expiresAt: link.expiresAt,
+      createdAt: link.createdAt,
+      token,
+      url: `${process.env.FRONTEND_URL}/track/${token}`
+    };
+  }
+
+  async findCustomerRequest(requestId, customerId) {
+    const request = await ServiceRequest.findOne({ _id: requestId, customerId }).select('+shareLinks');
+    if (!request) {
+      throw new AppError('Service request not found', 404);
+    }
+    return request;
+  }
+
+  async listLinks(requestId, customerId) {
+    const request = await this.findCustomerRequest(requestId, customerId);
+
+    if (ENDED_STATUSES.includes(request.status)) {
+      return [];
+    }
+
+    const now = new Date();
+    return (request.shareLinks || [])
+      .filter(link => isActive(link, now))
+      .map(link => this.toLink(request._id, link));
+  }
+
+  async createLink(requestId, customerId, { label, expiresInHours = DEFAULT_TTL_HOURS } = {}) {
+    const request = await this.findCustomerRequest(requestId, customerId);
+
+    if (ENDED_STATUSES.includes(request.status)) {
+      throw new AppError('Tracking can only be shared while the request is active', 400);
+    }
+
+    const now = new Date();
+    const activeLinks = (request.shareLinks || []).filter(link => isActive(link, now));
+    if (activeLinks.length >= MAX_ACTIVE_LINKS) {
+      throw new AppError(`At most ${MAX_ACTIVE_LINKS} tracking links can be active, revoke one first`, 400);
+    }
+
+    const hours = Math.min(expiresInHours, MAX_TTL_HOURS);
+    const link = request.shareLinks.create({
+      label: label || undefined,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000)
+    });
+
+    await ServiceRequest.updateOne({ _id: request._id }, { $push: { shareLinks: link } });
+
+    return this.toLink(request._id, link);
+  }
+
+  async revokeLink(requestId, customerId, linkId) {
+    const request = await ServiceRequest.findOneAndUpdate(
+      { _id: requestId, customerId, shareLinks: { $elemMatch: { _id: linkId, revokedAt: null } } },
+      { $set: { 'shareLinks.$.revokedAt': new Date() } }
+    );
+
+    if (!request) {
+      throw new AppError('Tracking link not found', 404);
+    }
+
+    if (this.socketHandlers) {
+      this.socketHandlers.endShareLink(linkId, 'revoked');
+    }
+  }
+
+  /**
+   * Check a shared token and return the request with the link it names. Revoked and expired links,
+   * and links for finished jobs, are refused with 410 so the page can say tracking has ended.
+   */
+  async authorize(token, { withTrail = false } = {}) {
+    let claims;
+    try {
+      claims = jwt.verify(token, getSecret(), { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('This tracking link has expired', 410);
+      }
+      throw new AppError('Tracking link not found', 404);
+    }
+
+    const request = await ServiceRequest.findById(claims.sub)
+      .select(withTrail ? '+shareLinks +tracking.trail' : '+shareLinks')
+      .populate('mechanicId', 'name rating');
+
+    const link = request && request.shareLinks.id(claims.jti);
+    if (!link) {
+      throw new AppError('Tracking link not found', 404);
+    }
+
+    if (link.revokedAt) {
+      throw new AppError('This tracking link has been turned off', 410);
+    }
+
+    if (ENDED_STATUSES.includes(request.status)) {
+      throw new AppError(`This job is ${request.status}, so tracking has ended`, 410);
+    }
+
+    if (link.expiresAt <= new Date()) {
+      throw new AppError('This tracking link has expired', 410);
+    }
+
+    return { request, link };
+  }
+
+  // What the tracking page shows: no contact details, notes or payment information
+  async getSharedTracking(token) {
+    const { request, link } = await this.authorize(token, { withTrail: true });
+    const mechanic = request.mechanicId;
+    const tracking = request.tracking || {};
+
+    return {
+      requestId: request._id,
+      issueType: request.issueType,
+      status: request.status,
+      vehicle: {
+        type: request.vehicleInfo.type,
+        model: request.vehicleInfo.model,
+        plate: request.vehicleInfo.plate
+      },
+      mechanic: mechanic ? { name: mechanic.name, rating: mechanic.rating } : null,
+      destination: {
+        lat: request.location.lat,
+        lng: request.location.lng,
+        address: request.location.address
+      },
+      timeline: request.history
+        .filter(entry => entry.event === 'status_change')
+        .map(entry => ({ status: entry.status, timestamp: entry.timestamp })),
+      tracking: {
+        lastLocation: tracking.lastLocation || null,
+        trail: (tracking.trail || []).slice(-SHARED_TRAIL_POINTS),
+        distanceKm: tracking.distanceKm ?? null,
+        etaMinutes: tracking.etaMinutes ?? null,
+        updatedAt: tracking.updatedAt || null
+      },
+      expiresAt: link.expiresAt
+    };
+  }
+
+  // Relay the mechanic's position to people following a shared link
+  publishLocation(requestId, tracking) {
+    if (!this.socketHandlers) return;
+
+    this.socketHandlers.emitToViewers(requestId, 'tracking-update', {
+      location: tracking.location,
+      distanceKm: tracking.distanceKm,
+      etaMinutes: tracking.etaMinutes,
+      estimatedArrival: tracking.estimatedArrival,
+      timestamp: tracking.timestamp
+    });
+  }
+
+  // Status transition hook: update viewers, and end their links once the job is finished
+  handleStatusChange(serviceRequest, { to }) {
+    if (!this.socketHandlers) return;
+
+    this.socketHandlers.emitToViewers(serviceRequest._id, 'status-update', {
+      status: to,
+      timestamp: new Date()
+    });
+
+    if (ENDED_STATUSES.includes(to)) {
+      this.socketHandlers.endTracking(serviceRequest._id, to);
+    }
+  }
+}
+
+module.exports = new TrackingShareService();
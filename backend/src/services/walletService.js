@@ -0,0 +1,210 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const User = require('../models/User');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+
+const toPaise = (amount) => Math.round(amount * 100);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// Credits an admin may grant by hand
+const GRANTABLE_CATEGORIES = ['goodwill', 'referral_reward'];
+
+// Stored credit customers can spend on services: a balance plus the transactions that moved it
+class WalletService {
+  async getBalance(customerId) {
+    const wallet = await Wallet.findOne({ customerId });
+    return wallet ? wallet.balance : 0;
+  }
+
+  async getWallet(customerId) {
+    const [wallet, recentTransactions] = await Promise.all([
+      Wallet.findOne({ customerId }),
+      WalletTransaction.find({ customerId }).sort({ createdAt: -1 }).limit(5)
+    ]);
+
+    return {
+      balance: wallet ? wallet.balance : 0,
+      currency: wallet?.currency || 'INR',
+      recentTransactions
+    };
+  }
+
+  async getTransactions(customerId, { type, category, page = 1, limit = 20 } = {}) {
+    const filter = { customerId };
+    if (type) filter.type = type;
+    if (category) filter.category = category;
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [transactions, total] = await Promise.all([
+      WalletTransaction.find(filter)
+        .populate('requestId', 'issueType vehicleInfo')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      WalletTransaction.countDocuments(filter)
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        total
+      }
+    };
+  }
+
+  // How much of `amount` the wallet can pay right now
+  async getCoverableAmount(customerId, amount) {
+    return roundAmount(Math.min(await this.getBalance(customerId), amount));
+  }
+
+  /**
+   * Add money to the wallet. Transactions tied to a payment or refund are posted once per category,
+   * so a repeated call resolves to null and changes nothing.
+   */
+  async credit(customerId, { amount, category, ...details }) {
+    const transaction = await this.insertTransaction({
+      customerId,
+      type: 'credit',
+      category,
+      amount: roundAmount(amount),
+      ...details
+    });
+
+    if (!transaction) {
+      return null;
+    }
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { customerId },
+      { $inc: { balancePaise: toPaise(amount) } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    transaction.balanceAfter = wallet.balance;
+    await transaction.save();
+
+    logger.info('Wallet credited:', { customerId, category, amount, balance: wallet.balance });
+    return transaction;
+  }
+
+  // Spend from the wallet; the balance is checked and taken in one update so it can never go negative
+  async debit(customerId, { amount, category, ...details }) {
+    const wallet = await Wallet.findOneAndUpdate(
+      { customerId, balancePaise: { $gte: toPaise(amount) } },
+      { $inc: { balancePaise: -toPaise(amount) } },
+      { new: true }
+    );
+
+    if (!wallet) {
+      throw new AppError('Insufficient wallet balance', 400);
+    }
+
+    const transaction = await this.insertTransaction({
+      customerId,
+      type: 'debit',
+      category,
+      amount: roundAmount(amount),
+      balanceAfter: wallet.balance,
+      ...details
+    });
+
+    // Already spent on this before; give back what was just taken
+    if (!transaction) {
+      await Wallet.updateOne({ customerId }, { $inc: { balancePaise: toPaise(amount) } });
+      return null;
+    }
+
+    logger.info('Wallet debited:', { customerId, category, amount, balance: wallet.balance });
+    return transaction;
+  }
+
+  // Take the wallet share of a payment when its order is opened, so it cannot be spent twice
+  async holdForPayment(payment) {
+    return this.debit(payment.customerId, {
+      amount: payment.walletAmount,
+      category: 'payment',
+      description: 'Paid towards service',
+      paymentId: payment._id,
+      requestId: payment.requestId
+    });
+  }
+
+  // Give back the wallet share of a payment that failed or was dropped; safe to call for any payment
+  async releasePayment(payment) {
+    if (!payment?.walletAmount) {
+      return null;
+    }
+
+    const held = await WalletTransaction.exists({ paymentId: payment._id, category: 'payment' });
+    if (!held) {
+      return null;
+    }
+
+    return this.credit(payment.customerId, {
+      amount: payment.walletAmount,
+      category: 'payment_reversal',
+      description: 'Returned from an unfinished payment',
+      paymentId: payment._id,
+      requestId: payment.requestId
+    });
+  }
+
+  // Pay the wallet share of a processed refund back into the wallet
+  async creditRefund(refund) {
+    if (!refund?.walletAmount) {
+      return null;
+    }
+
+    return this.credit(refund.customerId, {
+      amount: refund.walletAmount,
+      category: 'refund',
+      description: refund.isPartial ? 'Partial refund' : 'Refund',
+      refundId: refund._id,
+      requestId: refund.requestId
+    });
+  }
+
+  // Goodwill and referral credits granted by an admin
+  async grantCredit(adminId, customerId, { amount, category = 'goodwill', note }) {
+    if (!GRANTABLE_CATEGORIES.includes(category)) {
+      throw new AppError(`Admins can only grant ${GRANTABLE_CATEGORIES.join(' or ')} credit`, 400);
+    }
+
+    const customer = await User.findOne({ _id: customerId, role: 'customer' }).select('_id');
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    return this.credit(customer._id, {
+      amount,
+      category,
+      description: note,
+      createdBy: adminId
+    });
+  }
+
+  async insertTransaction(data) {
+    try {
+      return await WalletTransaction.create(data);
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+
+      logger.info('Wallet transaction already posted:', {
+        customerId: data.customerId,
+        category: data.category,
+        paymentId: data.paymentId,
+        refundId: data.refundId
+      });
+      return null;
+    }
+  }
+}
+
+module.exports = new WalletService();
@@ -0,0 +1,130 @@
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const logger = require('../config/logger');
+
+// Push service responses meaning the subscription no longer exists
+const GONE_STATUS_CODES = [404, 410];
+
+// Browser Web Push delivery signed with the server's VAPID keys
+class WebPushService {
+  constructor() {
+    this.isConfigured = false;
+    this.publicKey = null;
+    this.configure();
+  }
+
+  configure(env = process.env) {
+    if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) {
+      logger.warn('Web Push not configured - VAPID keys missing, push notifications will only be logged');
+      this.isConfigured = false;
+      this.publicKey = null;
+      return;
+    }
+
+    try {
+      webpush.setVapidDetails(
+        env.VAPID_SUBJECT || 'mailto:support@roadguard.app',
+        env.VAPID_PUBLIC_KEY,
+        env.VAPID_PRIVATE_KEY
+      );
+      this.publicKey = env.VAPID_PUBLIC_KEY;
+      this.isConfigured = true;
+    } catch (error) {
+      logger.error('Invalid VAPID configuration:', error.message);
+      this.isConfigured = false;
+      this.publicKey = null;
+    }
+  }
+
+  // Save (or move to this user) a browser subscription
+  async subscribe(userId, { subscription, deviceId, userAgent }) {
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        userId,
+        keys: subscription.keys,
+        expirationTime: subscription.expirationTime || null,
+        deviceId,
+        userAgent,
+        failureCount: 0
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    // A device that resubscribes gets a new endpoint; drop the stale one
+    if (deviceId) {
+      await PushSubscription.deleteMany({
+        userId,
+        deviceId,
+        endpoint: { $ne: subscription.endpoint }
+      });
+    }
+
+    return saved;
+  }
+
+  async unsubscribe(userId, { endpoint, deviceId }) {
+    const filter = endpoint ? { userId, endpoint } : { userId, deviceId };
+    const result = await PushSubscription.deleteMany(filter);
+    return result.deletedCount;
+  }
+
+  // Deliver a notification to every device the user has subscribed
+  async sendToUser(userId, { title, body, data = {} }, { urgency = 'normal', ttl = 60 * 60 } = {}) {
+    if (!this.isConfigured) {
+      logger.info('Push notification (Web Push not configured):', { userId, title, body, data });
+      return { sent: 0, failed: 0, pruned: 0 };
+    }
+
+    const subscriptions = await PushSubscription.find({ userId });
+    const payload = JSON.stringify({
+      title,
+      body,
+      data,
+      timestamp: Date.now()
+    });
+
+    const results = await Promise.all(
+      subscriptions.map(subscription => this.sendToSubscription(subscription, payload, { urgency, TTL: ttl }))
+    );
+
+    return {
+      sent: results.filter(result => result === 'sent').length,
+      failed: results.filter(result => result === 'failed').length,
+      pruned: results.filter(result => result === 'pruned').length
+    };
+  }
+
+  async sendToSubscription(subscription, payload, options) {
+    try {
+      await webpush.sendNotification(subscription.toWebPush(), payload, options);
+      await PushSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastSuccessAt: new Date(), failureCount: 0 } }
+      );
+      return 'sent';
+    } catch (error) {
+      if (GONE_STATUS_CODES.includes(error.statusCode)) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+        logger.info('Pruned expired push subscription:', {
+          userId: subscription.userId,
+          statusCode: error.statusCode
+        });
+        return 'pruned';
+      }
+
+      await PushSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastFailureAt: new Date() }, $inc: { failureCount: 1 } }
+      );
+      logger.error('Web Push delivery failed:', {
+        userId: subscription.userId,
+        statusCode: error.statusCode,
+        error: error.message
+      });
+      return 'failed';
+    }
+  }
+}
+
+module.exports = new WebPushService();
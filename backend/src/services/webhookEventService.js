@@ -0,0 +1,127 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const { AppError } = require('../utils/response');
+const logger = require('../config/logger');
+
+// A delivery stuck in processing this long is assumed to have died with its worker
+const PROCESSING_TIMEOUT_MS = (parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_SECONDS, 10) || 300) * 1000;
+
+// Webhook event log: deduplicates provider redeliveries and keeps failed events for replay
+class WebhookEventService {
+  // Store a delivery; a redelivery of a known event only bumps its delivery count
+  async record(provider, eventId, event, body) {
+    return WebhookEvent.findOneAndUpdate(
+      { provider, eventId },
+      {
+        $setOnInsert: { event, body, status: 'received' },
+        $inc: { deliveries: 1 }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Run `handler` on the event unless it has already been processed or another delivery is processing it.
+   * Resolves to whether the handler ran; a handler error marks the event failed and is rethrown.
+   */
+  async process(webhookEvent, handler, { replayedBy } = {}) {
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: webhookEvent._id,
+        $or: [
+          { status: { $in: ['received', 'failed'] } },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          ...(replayedBy && { replayedBy, replayedAt: new Date() })
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      await handler(claimed);
+    } catch (error) {
+      await WebhookEvent.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'failed', lastError: error.message.slice(0, 1000) } }
+      );
+
+      logger.error('Webhook event failed:', {
+        provider: claimed.provider,
+        eventId: claimed.eventId,
+        event: claimed.event,
+        attempts: claimed.attempts,
+        error: error.message
+      });
+      throw error;
+    }
+
+    await WebhookEvent.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'processed', processedAt: new Date() }, $unset: { lastError: 1 } }
+    );
+    return true;
+  }
+
+  // Re-run a failed event from the admin panel; resolves to the event in its new state
+  async replay(id, adminId, handler) {
+    const webhookEvent = await WebhookEvent.findById(id);
+
+    if (!webhookEvent) {
+      throw new AppError('Webhook event not found', 404);
+    }
+
+    if (webhookEvent.status === 'processed') {
+      throw new AppError('Webhook event has already been processed', 409);
+    }
+
+    // A failure is recorded on the event, which is what the admin gets back
+    const ran = await this.process(webhookEvent, handler, { replayedBy: adminId })
+      .catch(() => true);
+
+    if (!ran) {
+      throw new AppError('Webhook event is already being processed', 409);
+    }
+
+    logger.info('Webhook event replayed:', { eventId: webhookEvent.eventId, adminId });
+    return WebhookEvent.findById(id);
+  }
+
+  async getEvents({ provider, status, event, page = 1, limit = 20 } = {}) {
+    const filter = {
+      ...(provider && { provider }),
+      ...(status && { status }),
+      ...(event && { event })
+    };
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .populate('replayedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        total
+      }
+    };
+  }
+}
+
+module.exports = new WebhookEventService();
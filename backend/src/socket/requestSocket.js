@@ -1,4 +1,36 @@
 const logger = require('../config/logger');
+const ServiceRequest = require('../models/ServiceRequest');
+const trackingService = require('../services/trackingService');
+const quoteService = require('../services/quoteService');
+const emergencyService = require('../services/emergencyService');
+const { schemas } = require('../middlewares/validationMiddleware');
+const { authenticateSocket, getRequestRole } = require('./socketAuth');
+
+const PARTICIPANTS = ['customer', 'mechanic', 'admin'];
+
+// True when an event names a user other than the authenticated one
+const claimsOtherIdentity = (socket, id) => !!id && id.toString() !== socket.user.id;
+
+// Tell the client an event was refused instead of silently dropping it
+const rejectEvent = (socket, event, message) => {
+  logger.warn(`Socket event ${event} rejected for user ${socket.user.id}: ${message}`);
+  socket.emit('action-rejected', { event, message });
+};
+
+// Run a request-scoped handler only for users taking part in the request in an allowed role
+const forRequest = (socket, event, allowedRoles, handler) => async (data = {}) => {
+  try {
+    const role = await getRequestRole(socket.user, data.requestId);
+    if (!role || !allowedRoles.includes(role)) {
+      rejectEvent(socket, event, 'Not allowed for this request');
+      return;
+    }
+
+    await handler(data, role);
+  } catch (error) {
+    logger.error(`Socket event ${event} failed:`, error);
+  }
+};
 
 /**
  * Initialize Socket.IO for real-time service request updates
@@ -8,41 +40,58 @@ const initializeRequestSocket = (io) => {
   // Namespace for service requests
   const requestNamespace = io.of('/requests');
 
+  // Only clients with a valid access token may connect
+  requestNamespace.use(authenticateSocket);
+
   requestNamespace.on('connection', (socket) => {
-    logger.info(`Client connected to requests namespace: ${socket.id}`);
+    const { user } = socket;
+    logger.info(`Client connected to requests namespace: ${socket.id} (user ${user.id})`);
+
+    // Every user gets their personal room without having to ask
+    socket.join(`user_${user.id}`);
+
+    // Admins follow the SOS incident console
+    if (user.role === 'admin') {
+      socket.join('admins');
+    }
 
     // Join user to their personal room
     socket.on('join-user-room', (userId) => {
-      if (userId) {
-        socket.join(`user_${userId}`);
-        logger.info(`User ${userId} joined their room`);
+      if (claimsOtherIdentity(socket, userId)) {
+        rejectEvent(socket, 'join-user-room', 'Cannot join another user\'s room');
+        return;
       }
+
+      socket.join(`user_${user.id}`);
+      logger.info(`User ${user.id} joined their room`);
     });
 
     // Join mechanic to their service area
     socket.on('join-mechanic-area', (mechanicId, location) => {
-      if (mechanicId && location) {
-        socket.join(`mechanic_${mechanicId}`);
+      if (user.role !== 'mechanic' || claimsOtherIdentity(socket, mechanicId)) {
+        rejectEvent(socket, 'join-mechanic-area', 'Only the mechanic themselves can join their service area');
+        return;
+      }
+
+      if (location) {
+        socket.join(`mechanic_${user.id}`);
         socket.join('available_mechanics');
-        logger.info(`Mechanic ${mechanicId} joined service area`);
+        logger.info(`Mechanic ${user.id} joined service area`);
         
         // Update mechanic location
-        socket.mechanicId = mechanicId;
+        socket.mechanicId = user.id;
         socket.location = location;
       }
     });
 
     // Join request room
-    socket.on('join_request', (data) => {
-      const { requestId } = data;
-      if (requestId) {
-        socket.join(`request_${requestId}`);
-        logger.info(`Client joined request room: ${requestId}`);
-      }
-    });
+    socket.on('join_request', forRequest(socket, 'join_request', PARTICIPANTS, ({ requestId }) => {
+      socket.join(`request_${requestId}`);
+      logger.info(`User ${user.id} joined request room: ${requestId}`);
+    }));
 
     // Leave request room
-    socket.on('leave_request', (data) => {
+    socket.on('leave_request', (data = {}) => {
       const { requestId } = data;
       if (requestId) {
         socket.leave(`request_${requestId}`);
@@ -50,51 +99,65 @@ const initializeRequestSocket = (io) => {
       }
     });
 
-    // Handle new service request
-    socket.on('new-request', (requestData) => {
-      logger.info('New service request received:', requestData);
-      
-      // Broadcast to available mechanics in the area (25km radius)
-      socket.to('available_mechanics').emit('new-request-available', {
-        requestId: requestData.requestId,
-        location: requestData.location,
-        issueType: requestData.issueType,
-        priority: requestData.priority,
-        estimatedCost: requestData.estimatedCost,
-        estimatedDuration: requestData.estimatedDuration,
-        vehicleInfo: requestData.vehicleInfo,
-        description: requestData.description,
-        customerId: requestData.customerId,
-        broadcastRadius: requestData.broadcastRadius || 25,
-        timestamp: new Date()
-      });
-      
-      logger.info('Service request broadcasted to available mechanics:', {
-        requestId: requestData.requestId,
-        broadcastRadius: requestData.broadcastRadius || 25
-      });
-    });
-
-    // Handle request acceptance by mechanic
-    socket.on('accept-request', (data) => {
+    // Relay a mechanic's acceptance only once the REST accept has actually assigned them
+    socket.on('accept-request', async (data = {}) => {
       const { requestId, mechanicId, estimatedArrival } = data;
-      
-      logger.info(`Request ${requestId} accepted by mechanic ${mechanicId}`);
-      
-      // Notify customer
-      requestNamespace.to(`request_${requestId}`).emit('request-accepted', {
-        mechanicId,
-        estimatedArrival,
-        status: 'accepted'
-      });
-      
-      // Notify other mechanics that request is no longer available
-      socket.to('available_mechanics').emit('request-taken', { requestId });
+
+      if (user.role !== 'mechanic' || claimsOtherIdentity(socket, mechanicId)) {
+        rejectEvent(socket, 'accept-request', 'Cannot accept a request for another mechanic');
+        return;
+      }
+
+      try {
+        const request = await ServiceRequest.exists({ _id: requestId, mechanicId: user.id, status: 'assigned' });
+        if (!request) {
+          socket.emit('request-taken', { requestId });
+          return;
+        }
+
+        logger.info(`Request ${requestId} accepted by mechanic ${user.id}`);
+
+        // Notify customer
+        requestNamespace.to(`request_${requestId}`).emit('request-accepted', {
+          mechanicId: user.id,
+          estimatedArrival,
+          status: 'accepted'
+        });
+
+        // Notify other mechanics that request is no longer available
+        socket.to('available_mechanics').emit('request-taken', { requestId });
+      } catch (error) {
+        logger.error('Failed to verify request acceptance:', error);
+      }
     });
 
     // Handle location updates
-    socket.on('location-update', (data) => {
-      const { userId, location, heading, speed } = data;
+    socket.on('location-update', async (data = {}) => {
+      const { requestId, userId, location, heading, speed } = data;
+
+      if (claimsOtherIdentity(socket, userId)) {
+        rejectEvent(socket, 'location-update', 'Cannot send another user\'s location');
+        return;
+      }
+
+      // The assigned mechanic's position is stored on the request and pushed as tracking-update
+      if (requestId && user.role === 'mechanic') {
+        try {
+          const tracking = await trackingService.recordLocation(
+            requestId,
+            user.id,
+            location ? { heading, speed, ...location } : data
+          );
+
+          if (!tracking) {
+            rejectEvent(socket, 'location-update', 'Not tracking this request');
+            return;
+          }
+        } catch (error) {
+          rejectEvent(socket, 'location-update', error.isOperational ? error.message : 'Location could not be recorded');
+          return;
+        }
+      }
       
       // Broadcast location update to relevant parties
       if (socket.mechanicId) {
@@ -108,8 +171,8 @@ const initializeRequestSocket = (io) => {
         });
       } else {
         // Customer location update - notify assigned mechanic
-        socket.to(`user_${userId}_mechanic`).emit('customer-location-update', {
-          customerId: userId,
+        socket.to(`user_${user.id}_mechanic`).emit('customer-location-update', {
+          customerId: user.id,
           location,
           timestamp: new Date()
         });
@@ -117,7 +180,7 @@ const initializeRequestSocket = (io) => {
     });
 
     // Handle status updates
-    socket.on('status-update', (data) => {
+    socket.on('status-update', forRequest(socket, 'status-update', ['mechanic', 'admin'], (data) => {
       const { requestId, status, message, location } = data;
       
       logger.info(`Status update for request ${requestId}: ${status}`);
@@ -129,22 +192,27 @@ const initializeRequestSocket = (io) => {
         location,
         timestamp: new Date()
       });
-    });
+    }));
 
     // Handle work started
-    socket.on('work-started', (data) => {
+    socket.on('work-started', forRequest(socket, 'work-started', ['mechanic', 'admin'], (data, role) => {
       const { requestId, mechanicId, arrivalTime } = data;
+
+      if (role === 'mechanic' && claimsOtherIdentity(socket, mechanicId)) {
+        rejectEvent(socket, 'work-started', 'Cannot start work for another mechanic');
+        return;
+      }
       
       requestNamespace.to(`request_${requestId}`).emit('work-started', {
-        mechanicId,
+        mechanicId: role === 'mechanic' ? user.id : mechanicId,
         arrivalTime,
         status: 'in_progress',
         timestamp: new Date()
       });
-    });
+    }));
 
     // Handle work completed
-    socket.on('work-completed', (data) => {
+    socket.on('work-completed', forRequest(socket, 'work-completed', ['mechanic', 'admin'], (data) => {
       const { requestId, workSummary, finalAmount, completionTime } = data;
       
       requestNamespace.to(`request_${requestId}`).emit('work-completed', {
@@ -154,37 +222,93 @@ const initializeRequestSocket = (io) => {
         status: 'completed',
         timestamp: new Date()
       });
-    });
+    }));
+
+    // The customer accepts, rejects or counters the mechanic's quote, as over REST
+    socket.on('quote-respond', forRequest(socket, 'quote-respond', ['customer'], async (data) => {
+      const { requestId, action, ...response } = data;
+
+      const { error, value } = schemas.quoteResponse.validate(response, { stripUnknown: true });
+      if (error) {
+        rejectEvent(socket, 'quote-respond', error.details[0].message);
+        return;
+      }
+
+      try {
+        const serviceRequest = await quoteService.respondToQuote(requestId, user.id, { ...value, action });
+
+        requestNamespace.to(`request_${requestId}`).emit('quote-updated', {
+          requestId,
+          quote: serviceRequest.quote,
+          timestamp: new Date()
+        });
+      } catch (responseError) {
+        rejectEvent(socket, 'quote-respond', responseError.isOperational ? responseError.message : 'Quote response could not be saved');
+      }
+    }));
 
     // Handle chat messages
-    socket.on('send-message', (data) => {
+    socket.on('send-message', forRequest(socket, 'send-message', PARTICIPANTS, (data) => {
       const { requestId, senderId, message, messageType } = data;
+
+      if (claimsOtherIdentity(socket, senderId)) {
+        rejectEvent(socket, 'send-message', 'Cannot send messages as another user');
+        return;
+      }
       
       requestNamespace.to(`request_${requestId}`).emit('new-message', {
-        senderId,
+        senderId: user.id,
         message,
         messageType,
         timestamp: new Date()
       });
-    });
+    }));
 
-    // Handle emergency alerts
-    socket.on('emergency-alert', (data) => {
+    // A customer's SOS is recorded and escalated like the REST SOS; anyone else's alert is relayed
+    socket.on('emergency-alert', forRequest(socket, 'emergency-alert', PARTICIPANTS, async (data, role) => {
       const { requestId, location, message } = data;
-      
-      logger.warn(`Emergency alert for request ${requestId}:`, message);
-      
-      // Broadcast emergency to all relevant parties and nearby mechanics
-      requestNamespace.emit('emergency-alert', {
-        requestId,
-        location,
-        message,
-        timestamp: new Date()
-      });
-    });
+
+      if (role !== 'customer') {
+        logger.warn(`Emergency alert for request ${requestId} from ${role}:`, message);
+
+        requestNamespace.to(`request_${requestId}`).to('available_mechanics').to('admins').emit('emergency-alert', {
+          requestId,
+          location,
+          message,
+          from: role,
+          timestamp: new Date()
+        });
+        return;
+      }
+
+      const { error, value } = schemas.sosAlert.validate({ location, message }, { stripUnknown: true });
+      if (error) {
+        rejectEvent(socket, 'emergency-alert', error.details[0].message);
+        return;
+      }
+
+      try {
+        const { incident, shareUrl, created } = await emergencyService.raiseIncident(user.id, {
+          location: value.location,
+          message: value.message,
+          requestId,
+          source: 'socket'
+        });
+
+        socket.emit('sos-raised', {
+          incidentId: incident._id,
+          reference: incident.reference,
+          status: incident.status,
+          shareUrl,
+          created
+        });
+      } catch (sosError) {
+        rejectEvent(socket, 'emergency-alert', sosError.isOperational ? sosError.message : 'SOS could not be recorded');
+      }
+    }));
 
     // Handle request cancellation
-    socket.on('cancel-request', (data) => {
+    socket.on('cancel-request', forRequest(socket, 'cancel-request', ['customer', 'admin'], (data) => {
       const { requestId, reason } = data;
       
       logger.info(`Request ${requestId} cancelled: ${reason}`);
@@ -196,15 +320,18 @@ const initializeRequestSocket = (io) => {
       
       // Notify available mechanics
       socket.to('available_mechanics').emit('request-cancelled', { requestId });
-    });
+    }));
 
     // Handle mechanic going offline
     socket.on('go-offline', (mechanicId) => {
-      if (mechanicId) {
-        socket.leave('available_mechanics');
-        socket.leave(`mechanic_${mechanicId}`);
-        logger.info(`Mechanic ${mechanicId} went offline`);
+      if (claimsOtherIdentity(socket, mechanicId)) {
+        rejectEvent(socket, 'go-offline', 'Cannot take another mechanic offline');
+        return;
       }
+
+      socket.leave('available_mechanics');
+      socket.leave(`mechanic_${user.id}`);
+      logger.info(`Mechanic ${user.id} went offline`);
     });
 
     // Handle disconnection
@@ -240,8 +367,12 @@ const initializeRequestSocket = (io) => {
     requestNamespace.to('available_mechanics').emit(event, data);
   };
 
-  // Helper function to broadcast service request to mechanics within 25km
-  const broadcastServiceRequest = (serviceRequest, nearbyMechanics) => {
+  const emitToAdmins = (event, data) => {
+    requestNamespace.to('admins').emit(event, data);
+  };
+
+  // Helper function to offer a service request to a dispatch wave of mechanics
+  const broadcastServiceRequest = (serviceRequest, nearbyMechanics, offer = null) => {
     const broadcastData = {
       requestId: serviceRequest._id,
       location: serviceRequest.location,
@@ -253,13 +384,10 @@ const initializeRequestSocket = (io) => {
       description: serviceRequest.description,
       customerId: serviceRequest.customerId,
       broadcastRadius: serviceRequest.broadcastRadius || 25,
+      offer,
       timestamp: new Date()
     };
 
-    // Broadcast to all available mechanics
-    requestNamespace.to('available_mechanics').emit('new-request-available', broadcastData);
-    
-    // Also emit to specific mechanic rooms for those in range
     nearbyMechanics.forEach(mechanic => {
       requestNamespace.to(`mechanic_${mechanic._id}`).emit('new-request-available', broadcastData);
     });
@@ -267,7 +395,7 @@ const initializeRequestSocket = (io) => {
     logger.info('Service request broadcasted to mechanics:', {
       requestId: serviceRequest._id,
       mechanicCount: nearbyMechanics.length,
-      broadcastRadius: serviceRequest.broadcastRadius || 25
+      wave: offer?.wave
     });
   };
 
@@ -276,6 +404,7 @@ const initializeRequestSocket = (io) => {
     emitToMechanic,
     emitToRequest,
     emitToAvailableMechanics,
+    emitToAdmins,
     broadcastServiceRequest,
     requestNamespace
   };
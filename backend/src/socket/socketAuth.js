@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequest');
+const { verifyAccessToken } = require('../middlewares/authMiddleware');
+const logger = require('../config/logger');
+
+// Token from socket.io's auth payload, falling back to an Authorization header
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Socket.IO middleware: verify the same JWT the REST API accepts before a client connects
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+
+  if (!token) {
+    const error = new Error('Access denied. No token provided.');
+    error.data = { code: 'UNAUTHENTICATED' };
+    return next(error);
+  }
+
+  try {
+    const { user, decoded } = await verifyAccessToken(token);
+
+    socket.user = {
+      id: user._id.toString(),
+      role: user.role,
+      name: user.name
+    };
+    socket.token = decoded;
+    next();
+  } catch (error) {
+    logger.warn('Socket authentication failed:', { socketId: socket.id, reason: error.message });
+
+    const authError = new Error(error.isOperational ? error.message : 'Token verification failed.');
+    authError.data = { code: 'UNAUTHENTICATED' };
+    next(authError);
+  }
+};
+
+/**
+ * How the socket's user takes part in a request: 'customer', 'mechanic', 'admin' or null
+ */
+const getRequestRole = async (user, requestId) => {
+  if (!requestId || !mongoose.isValidObjectId(requestId)) return null;
+  if (user.role === 'admin') return 'admin';
+
+  const request = await ServiceRequest.findById(requestId).select('customerId mechanicId').lean();
+  if (!request) return null;
+
+  if (request.customerId && request.customerId.toString() === user.id) return 'customer';
+  if (request.mechanicId && request.mechanicId.toString() === user.id) return 'mechanic';
+  return null;
+};
+
+module.exports = {
+  authenticateSocket,
+  getHandshakeToken,
+  getRequestRole
+};
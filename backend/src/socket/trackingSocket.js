@@ -0,0 +1,81 @@
+const logger = require('../config/logger');
+const trackingShareService = require('../services/trackingShareService');
+const { getHandshakeToken } = require('./socketAuth');
+
+/**
+ * Socket.IO namespace for people following a shared tracking link. Viewers have no account: the
+ * link's token admits them, they only receive events for that one request and cannot send any.
+ * @param {Object} io - Socket.IO server instance
+ */
+const initializeTrackingSocket = (io) => {
+  const trackingNamespace = io.of('/tracking');
+
+  trackingNamespace.use(async (socket, next) => {
+    const token = getHandshakeToken(socket.handshake);
+
+    if (!token) {
+      const error = new Error('Tracking link token required.');
+      error.data = { code: 'UNAUTHENTICATED' };
+      return next(error);
+    }
+
+    try {
+      const { request, link } = await trackingShareService.authorize(token);
+
+      socket.share = {
+        requestId: request._id.toString(),
+        linkId: link._id.toString(),
+        expiresAt: link.expiresAt
+      };
+      next();
+    } catch (error) {
+      logger.warn('Tracking link refused:', { socketId: socket.id, reason: error.message });
+
+      const authError = new Error(error.isOperational ? error.message : 'Tracking link could not be checked.');
+      authError.data = { code: error.statusCode === 410 ? 'LINK_ENDED' : 'UNAUTHENTICATED' };
+      next(authError);
+    }
+  });
+
+  trackingNamespace.on('connection', (socket) => {
+    const { requestId, linkId, expiresAt } = socket.share;
+
+    socket.join(`tracking_${requestId}`);
+    socket.join(`share_link_${linkId}`);
+
+    // The link's own expiry ends the connection even while the job goes on
+    const expiryTimer = setTimeout(() => {
+      socket.emit('tracking-ended', { reason: 'expired' });
+      socket.disconnect(true);
+    }, Math.max(new Date(expiresAt).getTime() - Date.now(), 0));
+
+    socket.on('disconnect', () => clearTimeout(expiryTimer));
+  });
+
+  const emitToViewers = (requestId, event, data) => {
+    trackingNamespace.to(`tracking_${requestId}`).emit(event, data);
+  };
+
+  // Every link for the request, once the job is completed or cancelled
+  const endTracking = (requestId, reason) => {
+    const room = `tracking_${requestId}`;
+    trackingNamespace.to(room).emit('tracking-ended', { reason });
+    trackingNamespace.in(room).disconnectSockets(true);
+  };
+
+  // One link the customer revoked
+  const endShareLink = (linkId, reason) => {
+    const room = `share_link_${linkId}`;
+    trackingNamespace.to(room).emit('tracking-ended', { reason });
+    trackingNamespace.in(room).disconnectSockets(true);
+  };
+
+  return {
+    emitToViewers,
+    endTracking,
+    endShareLink,
+    trackingNamespace
+  };
+};
+
+module.exports = initializeTrackingSocket;
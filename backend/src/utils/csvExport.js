@@ -100,6 +100,7 @@ class CSVExportService {
           { id: 'netAmount', title: 'Net Amount (₹)' },
           { id: 'method', title: 'Payment Method' },
           { id: 'status', title: 'Status' },
+          { id: 'cashStatus', title: 'Cash Reconciliation' },
           { id: 'transactionId', title: 'Transaction ID' },
           { id: 'receipt', title: 'Receipt Number' },
           { id: 'paidAt', title: 'Paid At' },
@@ -117,6 +118,7 @@ class CSVExportService {
         netAmount: payment.netAmount || payment.amount,
         method: payment.method,
         status: payment.status,
+        cashStatus: payment.cash?.status || 'N/A',
         transactionId: payment.transactionId || payment.razorpayPaymentId || 'N/A',
         receipt: payment.receipt || 'N/A',
         paidAt: payment.paidAt?.toISOString() || 'N/A',
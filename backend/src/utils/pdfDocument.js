@@ -0,0 +1,86 @@
+// Minimal single-page PDF writer for text documents such as invoices.
+// Uses the built-in Helvetica fonts, so only Latin-1 text can be drawn.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+
+// Approximate Helvetica advance widths (per 1000 units) for right-aligned amounts
+const NARROW = ' .,:;!|il\'';
+const WIDE = 'MWmw@%';
+
+const toLatin1 = (value) => String(value ?? '')
+  .replace(/₹\s?/g, 'Rs. ')
+  .replace(/[–—]/g, '-')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const escapeText = (value) => value.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+class PdfDocument {
+  constructor() {
+    this.operations = [];
+  }
+
+  static textWidth(text, size) {
+    let units = 0;
+    for (const char of toLatin1(text)) {
+      if (NARROW.includes(char)) units += 278;
+      else if (WIDE.includes(char)) units += 833;
+      else if (char >= 'A' && char <= 'Z') units += 667;
+      else units += 556;
+    }
+    return (units * size) / 1000;
+  }
+
+  // Draw text with its baseline `y` points from the top of the page
+  text(value, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+    const content = toLatin1(value);
+    let left = x;
+    if (align === 'right') left = x - PdfDocument.textWidth(content, size);
+    if (align === 'center') left = x - PdfDocument.textWidth(content, size) / 2;
+
+    this.operations.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapeText(content)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.operations.push(
+      `${width} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+    );
+    return this;
+  }
+
+  toBuffer() {
+    const stream = this.operations.join('\n');
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+    ];
+
+    let body = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(body, 'latin1');
+      body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+  }
+}
+
+PdfDocument.PAGE_WIDTH = PAGE_WIDTH;
+PdfDocument.PAGE_HEIGHT = PAGE_HEIGHT;
+
+module.exports = PdfDocument;
@@ -10,6 +10,30 @@ class AppError extends Error {
   }
 }
 
+// Raised when a service request cannot make a status change
+class InvalidTransitionError extends AppError {
+  constructor({ from, to, role, allowed = [], forbidden = false }) {
+    super(
+      forbidden
+        ? `A ${role} cannot move a request from ${from} to ${to}`
+        : `Cannot move a request from ${from} to ${to}`,
+      forbidden ? 403 : 409
+    );
+    this.name = 'InvalidTransitionError';
+    this.code = forbidden ? 'TRANSITION_FORBIDDEN' : 'INVALID_STATUS_TRANSITION';
+    this.details = { from, to, allowed };
+  }
+}
+
+// Raised when a refresh token cannot be exchanged
+class AuthTokenError extends AppError {
+  constructor(message, code) {
+    super(message, 401);
+    this.name = 'AuthTokenError';
+    this.code = code;
+  }
+}
+
 // Success Response Utility
 const sendSuccessResponse = (res, statusCode, message, data = null, meta = null) => {
   const response = {
@@ -143,6 +167,19 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return Math.round(distance * 100) / 100; // Round to 2 decimal places
 };
 
+// Ray casting test of a point against a GeoJSON ring of [lng, lat] pairs
+const isPointInPolygon = (ring, lat, lng) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = ((yi > lat) !== (yj > lat)) &&
+      (lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
 // Geospatial Query Builder
 const buildLocationQuery = (lat, lng, radiusKm = 10) => {
   return {
@@ -158,6 +195,25 @@ const buildLocationQuery = (lat, lng, radiusKm = 10) => {
   };
 };
 
+// Convert { lat, lng } input into a GeoJSON Point (GeoJSON input passes through)
+const toGeoPoint = (location) => {
+  if (!location || typeof location !== 'object') {
+    return undefined;
+  }
+
+  if (location.type === 'Point' && Array.isArray(location.coordinates)) {
+    return { type: 'Point', coordinates: location.coordinates.map(Number) };
+  }
+
+  const lat = parseFloat(location.lat ?? location.latitude);
+  const lng = parseFloat(location.lng ?? location.longitude);
+  if (isNaN(lat) || isNaN(lng)) {
+    return undefined;
+  }
+
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
 // Sanitize Input
 const sanitizeInput = (input) => {
   if (typeof input === 'string') {
@@ -253,6 +309,8 @@ const cache = new SimpleCache();
 
 module.exports = {
   AppError,
+  InvalidTransitionError,
+  AuthTokenError,
   sendSuccessResponse,
   sendErrorResponse,
   asyncHandler,
@@ -261,7 +319,9 @@ module.exports = {
   buildQueryFilter,
   buildSortOptions,
   calculateDistance,
+  isPointInPolygon,
   buildLocationQuery,
+  toGeoPoint,
   sanitizeInput,
   generateRandomString,
   formatPhoneNumber,
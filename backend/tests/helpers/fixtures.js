@@ -0,0 +1,63 @@
+const Payment = require('../../src/models/Payment');
+const Refund = require('../../src/models/Refund');
+
+// Fixed ids shared by the unit tests, so expectations can name the documents a builder makes
+const ids = {
+  requestId: '64b7f0c2a1b2c3d4e5f60001',
+  customerId: '64b7f0c2a1b2c3d4e5f60002',
+  mechanicId: '64b7f0c2a1b2c3d4e5f60003',
+  adminId: '64b7f0c2a1b2c3d4e5f60009',
+  paymentId: '64b7f0c2a1b2c3d4e5f60041',
+  refundId: '64b7f0c2a1b2c3d4e5f60051'
+};
+
+// A card payment of ₹800 that went through; override what a test needs to differ
+const buildPayment = (overrides = {}) => new Payment({
+  _id: ids.paymentId,
+  requestId: ids.requestId,
+  customerId: ids.customerId,
+  mechanicId: ids.mechanicId,
+  amount: 800,
+  method: 'Card',
+  status: 'success',
+  razorpayPaymentId: 'pay_123',
+  paidAt: new Date(),
+  ...overrides
+});
+
+// A customer's request to refund all of buildPayment(), waiting for review
+const buildRefund = (overrides = {}) => new Refund({
+  _id: ids.refundId,
+  paymentId: ids.paymentId,
+  requestId: ids.requestId,
+  customerId: ids.customerId,
+  mechanicId: ids.mechanicId,
+  refundableAmount: 800,
+  amount: 800,
+  reason: 'Mechanic never arrived',
+  status: 'requested',
+  ...overrides
+});
+
+// What Mongo throws when a unique index refuses an insert; bulk inserts add writeErrors and insertedDocs
+const duplicateKeyError = (fields = {}) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, ...fields });
+
+// Express response whose status, json and set calls can be inspected
+const mockResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+module.exports = {
+  ids,
+  buildPayment,
+  buildRefund,
+  duplicateKeyError,
+  mockResponse
+};
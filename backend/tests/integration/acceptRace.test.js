@@ -0,0 +1,153 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../app');
+const User = require('../../src/models/User');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const dispatchService = require('../../src/services/dispatchService');
+const { generateToken } = require('../../src/middlewares/authMiddleware');
+
+// Test database connection
+const TEST_DB_URI = process.env.TEST_MONGODB_URI || process.env.MONGODB_URI;
+
+describe('Service Request Acceptance Race', () => {
+  const socketHandlers = {
+    broadcastServiceRequest: jest.fn(),
+    emitToMechanic: jest.fn(),
+    emitToRequest: jest.fn(),
+    emitToUser: jest.fn()
+  };
+
+  let customer;
+  let mechanics;
+  let tokens;
+
+  const createOfferedRequest = () => ServiceRequest.create({
+    customerId: customer._id,
+    issueType: 'flat_tire',
+    description: 'Rear tyre punctured on the ring road',
+    vehicleInfo: {
+      type: 'car',
+      model: 'Maruti Swift',
+      plate: 'KA01AB1234'
+    },
+    location: { lat: 12.9716, lng: 77.5946 },
+    quotation: 800,
+    dispatch: {
+      wave: 1,
+      radius: 5,
+      offeredTo: mechanics.map(mechanic => mechanic._id),
+      currentOffer: mechanics.map(mechanic => mechanic._id),
+      offerExpiresAt: new Date(Date.now() + 60000)
+    }
+  });
+
+  const accept = (requestId, token) => request(app)
+    .patch(`/api/mechanic/requests/${requestId}/accept`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ estimatedArrival: 20, quotation: 900 });
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(TEST_DB_URI);
+    }
+
+    dispatchService.setSocketHandlers(socketHandlers);
+
+    customer = await User.create({
+      name: 'Race Customer',
+      email: 'race.customer@test.com',
+      phone: '+919000000001',
+      passwordHash: 'Password123!',
+      role: 'customer'
+    });
+
+    mechanics = await Promise.all([1, 2].map(index => User.create({
+      name: `Race Mechanic ${index}`,
+      email: `race.mechanic${index}@test.com`,
+      phone: `+91900000001${index}`,
+      passwordHash: 'Password123!',
+      role: 'mechanic',
+      isVerified: true,
+      location: { lat: 12.97, lng: 77.59 }
+    })));
+
+    tokens = mechanics.map(mechanic => generateToken(mechanic._id));
+  });
+
+  afterAll(async () => {
+    dispatchService.setSocketHandlers(null);
+
+    // Clean up test data
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.db.dropDatabase();
+      await mongoose.connection.close();
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('only one of two simultaneous accepts should win', async () => {
+    const serviceRequest = await createOfferedRequest();
+
+    const responses = await Promise.all(tokens.map(token => accept(serviceRequest._id, token)));
+    const statuses = responses.map(response => response.status).sort();
+
+    expect(statuses).toEqual([200, 409]);
+
+    const winnerIndex = responses.findIndex(response => response.status === 200);
+    const winner = mechanics[winnerIndex];
+    const loser = mechanics[1 - winnerIndex];
+
+    const stored = await ServiceRequest.findById(serviceRequest._id);
+    expect(stored.status).toBe('assigned');
+    expect(stored.mechanicId.toString()).toBe(winner._id.toString());
+    expect(stored.history.filter(entry => entry.status === 'assigned')).toHaveLength(1);
+
+    // Only the winner is announced to the customer
+    const acceptedEvents = socketHandlers.emitToRequest.mock.calls
+      .filter(([, event]) => event === 'request-accepted');
+    expect(acceptedEvents).toHaveLength(1);
+    expect(acceptedEvents[0][2].mechanicId.toString()).toBe(winner._id.toString());
+
+    // The loser is told the request is gone
+    expect(socketHandlers.emitToMechanic).toHaveBeenCalledWith(
+      expect.anything(),
+      'request-taken',
+      expect.anything()
+    );
+    const takenRecipients = socketHandlers.emitToMechanic.mock.calls
+      .filter(([, event]) => event === 'request-taken')
+      .map(([mechanicId]) => mechanicId.toString());
+    expect(takenRecipients).toContain(loser._id.toString());
+    expect(takenRecipients).not.toContain(winner._id.toString());
+  });
+
+  test('accepting an already assigned request should return 409', async () => {
+    const serviceRequest = await createOfferedRequest();
+
+    await accept(serviceRequest._id, tokens[0]).expect(200);
+    const response = await accept(serviceRequest._id, tokens[1]).expect(409);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(socketHandlers.emitToMechanic).toHaveBeenCalledWith(
+      mechanics[1].id,
+      'request-taken',
+      { requestId: serviceRequest._id.toString() }
+    );
+  });
+
+  test('mechanics outside the current offer should not be able to accept', async () => {
+    const serviceRequest = await createOfferedRequest();
+    await ServiceRequest.updateOne(
+      { _id: serviceRequest._id },
+      { $set: { 'dispatch.currentOffer': [mechanics[0]._id] } }
+    );
+
+    await accept(serviceRequest._id, tokens[1]).expect(403);
+
+    const stored = await ServiceRequest.findById(serviceRequest._id);
+    expect(stored.status).toBe('pending');
+  });
+});
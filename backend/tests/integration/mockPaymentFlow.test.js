@@ -0,0 +1,212 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../app');
+const User = require('../../src/models/User');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const Payment = require('../../src/models/Payment');
+const WebhookEvent = require('../../src/models/WebhookEvent');
+const WalletTransaction = require('../../src/models/WalletTransaction');
+const paymentService = require('../../src/services/paymentService');
+const ledgerService = require('../../src/services/ledgerService');
+const invoiceService = require('../../src/services/invoiceService');
+const walletService = require('../../src/services/walletService');
+const { MockPaymentGateway } = require('../../src/services/payments');
+const { generateToken } = require('../../src/middlewares/authMiddleware');
+
+// Test database connection
+const TEST_DB_URI = process.env.TEST_MONGODB_URI || process.env.MONGODB_URI;
+
+// The whole checkout against the offline gateway: order, pay, verify and webhooks
+describe('Mock Gateway Payment Flow', () => {
+  let gateway;
+  let originalGateway;
+  let customer;
+  let mechanic;
+  let customerToken;
+  let requestCount = 0;
+
+  const createCompletedRequest = () => {
+    requestCount += 1;
+    return ServiceRequest.create({
+      customerId: customer._id,
+      mechanicId: mechanic._id,
+      issueType: 'battery_dead',
+      description: `Battery flat outside the office, request ${requestCount}`,
+      vehicleInfo: {
+        type: 'car',
+        model: 'Hyundai i20',
+        plate: 'KA05MN4321'
+      },
+      location: { lat: 12.9716, lng: 77.5946 },
+      quotation: 600,
+      status: 'completed',
+      completedAt: new Date()
+    });
+  };
+
+  const asCustomer = (call) => call.set('Authorization', `Bearer ${customerToken}`);
+
+  const createOrder = async (useWallet = false) => {
+    const serviceRequest = await createCompletedRequest();
+    const response = await asCustomer(request(app).post('/api/payments/create-post-completion-order'))
+      .send({ serviceRequestId: serviceRequest._id.toString(), useWallet })
+      .expect(201);
+    return { serviceRequest, order: response.body.data };
+  };
+
+  const pay = (orderId, outcome) => asCustomer(request(app).post(`/api/payments/mock/orders/${orderId}/pay`))
+    .send(outcome ? { outcome } : {});
+
+  const verify = (order, checkout) => asCustomer(request(app).post('/api/payments/verify'))
+    .send({ paymentId: order.paymentId, ...checkout });
+
+  // What the gateway would have posted to us
+  const deliverWebhooks = (deliveries) => Promise.all(deliveries.map(({ eventId, body, signature }) => request(app)
+    .post('/api/payments/webhook/mock')
+    .set('x-razorpay-signature', signature)
+    .set('x-razorpay-event-id', eventId)
+    .send(body)
+    .expect(200)));
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(TEST_DB_URI);
+    }
+    await Promise.all([Payment.syncIndexes(), WebhookEvent.syncIndexes(), WalletTransaction.syncIndexes()]);
+
+    originalGateway = paymentService.gateway;
+
+    customer = await User.create({
+      name: 'Mock Flow Customer',
+      email: 'mockflow.customer@test.com',
+      phone: '+919000000301',
+      passwordHash: 'Password123!',
+      role: 'customer'
+    });
+
+    mechanic = await User.create({
+      name: 'Mock Flow Mechanic',
+      email: 'mockflow.mechanic@test.com',
+      phone: '+919000000302',
+      passwordHash: 'Password123!',
+      role: 'mechanic',
+      isVerified: true
+    });
+
+    customerToken = generateToken(customer._id);
+  });
+
+  afterAll(async () => {
+    paymentService.setGateway(originalGateway);
+
+    // Clean up test data
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.db.dropDatabase();
+      await mongoose.connection.close();
+    }
+  });
+
+  beforeEach(() => {
+    gateway = new MockPaymentGateway({ secret: 'mock-flow-secret' });
+    paymentService.setGateway(gateway);
+    jest.spyOn(ledgerService, 'recordPayment').mockResolvedValue([]);
+    jest.spyOn(invoiceService, 'issueInvoice').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a successful checkout should settle the payment once', async () => {
+    const { serviceRequest, order } = await createOrder();
+    expect(order.gateway).toBe('mock');
+    expect(order.razorpayKey).toBe('mock_checkout_key');
+
+    const checkout = await pay(order.razorpayOrderId).expect(200);
+    await verify(order, checkout.body.data).expect(200);
+
+    const payment = await Payment.findById(order.paymentId);
+    expect(payment.status).toBe('success');
+    expect(payment.gateway).toBe('mock');
+    expect(payment.razorpayPaymentId).toBe(checkout.body.data.razorpayPaymentId);
+    expect((await ServiceRequest.findById(serviceRequest._id)).paymentStatus).toBe('paid');
+
+    // The payment.captured webhook arrives after verify and changes nothing
+    await deliverWebhooks(gateway.deliveries);
+    expect(ledgerService.recordPayment).toHaveBeenCalledTimes(1);
+    expect(await WebhookEvent.countDocuments({ provider: 'mock', status: 'processed' })).toBe(gateway.deliveries.length);
+  });
+
+  test('an authorized payment should be captured when it is verified', async () => {
+    const { order } = await createOrder();
+
+    const checkout = await pay(order.razorpayOrderId, 'authorize').expect(200);
+    expect(checkout.body.data.status).toBe('authorized');
+
+    await verify(order, checkout.body.data).expect(200);
+
+    expect((await gateway.fetchPayment(checkout.body.data.razorpayPaymentId)).status).toBe('captured');
+    expect((await Payment.findById(order.paymentId)).status).toBe('success');
+  });
+
+  test('a declined payment should be failed by its webhook', async () => {
+    const { serviceRequest, order } = await createOrder();
+
+    const response = await pay(order.razorpayOrderId, 'failure').expect(402);
+    expect(response.body.message).toBe('Payment declined by the mock gateway');
+
+    await deliverWebhooks(gateway.deliveries);
+
+    const payment = await Payment.findById(order.paymentId);
+    expect(payment.status).toBe('failed');
+    expect(payment.failureReason).toBe('Payment declined by the mock gateway');
+    expect((await ServiceRequest.findById(serviceRequest._id)).paymentStatus).not.toBe('paid');
+  });
+
+  test('a tampered signature should fail verification', async () => {
+    const { order } = await createOrder();
+    const checkout = await pay(order.razorpayOrderId).expect(200);
+
+    await verify(order, { ...checkout.body.data, razorpaySignature: 'forged' }).expect(400);
+
+    expect((await Payment.findById(order.paymentId)).status).toBe('failed');
+  });
+
+  test('the wallet should pay part of an order and get it back when checkout fails', async () => {
+    await walletService.credit(customer._id, { amount: 200, category: 'goodwill', description: 'Welcome credit' });
+
+    const { order } = await createOrder(true);
+    expect(order).toMatchObject({ amount: 400, walletAmount: 200, totalAmount: 600, status: 'pending' });
+    expect(await walletService.getBalance(customer._id)).toBe(0);
+
+    await pay(order.razorpayOrderId, 'failure').expect(402);
+    await deliverWebhooks(gateway.deliveries);
+
+    expect((await Payment.findById(order.paymentId)).status).toBe('failed');
+    expect(await walletService.getBalance(customer._id)).toBe(200);
+  });
+
+  test('an order the wallet covers should be paid without a checkout', async () => {
+    await walletService.credit(customer._id, { amount: 400, category: 'goodwill', description: 'Top up' });
+
+    const { serviceRequest, order } = await createOrder(true);
+    expect(order).toMatchObject({ amount: 0, walletAmount: 600, status: 'success' });
+    expect(order.razorpayOrderId).toBeUndefined();
+
+    const payment = await Payment.findById(order.paymentId);
+    expect(payment.method).toBe('Wallet');
+    expect((await ServiceRequest.findById(serviceRequest._id)).paymentStatus).toBe('paid');
+    expect(await walletService.getBalance(customer._id)).toBe(0);
+    expect(ledgerService.recordPayment).toHaveBeenCalledTimes(1);
+
+    const history = await asCustomer(request(app).get('/api/customer/wallet/transactions?type=debit')).expect(200);
+    expect(history.body.data[0]).toMatchObject({ category: 'payment', amount: 600, balanceAfter: 0 });
+  });
+
+  test('webhooks for a gateway that is not active should be refused', async () => {
+    await request(app)
+      .post('/api/payments/webhook/razorpay')
+      .send({ event: 'payment.captured' })
+      .expect(404);
+  });
+});
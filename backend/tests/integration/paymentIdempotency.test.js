@@ -0,0 +1,274 @@
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../app');
+const User = require('../../src/models/User');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const Payment = require('../../src/models/Payment');
+const WebhookEvent = require('../../src/models/WebhookEvent');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const paymentService = require('../../src/services/paymentService');
+const { RazorpayGateway } = require('../../src/services/payments');
+const ledgerService = require('../../src/services/ledgerService');
+const invoiceService = require('../../src/services/invoiceService');
+const { generateToken } = require('../../src/middlewares/authMiddleware');
+
+// Test database connection
+const TEST_DB_URI = process.env.TEST_MONGODB_URI || process.env.MONGODB_URI;
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+// Local stand-in for the Razorpay orders API
+const startRazorpayStub = () => new Promise((resolve) => {
+  const stub = { orders: [] };
+
+  stub.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (req.method === 'POST' && req.url.endsWith('/orders')) {
+        const body = JSON.parse(raw);
+        const order = {
+          id: `order_stub_${stub.orders.length + 1}`,
+          entity: 'order',
+          amount: body.amount,
+          currency: body.currency,
+          receipt: body.receipt,
+          status: 'created'
+        };
+        stub.orders.push(order);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(order));
+      }
+
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { code: 'BAD_REQUEST_ERROR', description: 'Not stubbed' } }));
+    });
+  });
+
+  stub.server.listen(0, '127.0.0.1', () => {
+    stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+    resolve(stub);
+  });
+});
+
+describe('Payment Idempotency', () => {
+  let stub;
+  let originalGateway;
+  let customer;
+  let admin;
+  let customerToken;
+  let adminToken;
+  let mechanicCount = 0;
+
+  const createMechanic = () => {
+    mechanicCount += 1;
+    return User.create({
+      name: `Idempotency Mechanic ${mechanicCount}`,
+      email: `idempotency.mechanic${mechanicCount}@test.com`,
+      phone: `+91900000020${mechanicCount}`,
+      passwordHash: 'Password123!',
+      role: 'mechanic',
+      isVerified: true
+    });
+  };
+
+  const createCompletedRequest = (mechanic) => ServiceRequest.create({
+    customerId: customer._id,
+    mechanicId: mechanic._id,
+    issueType: 'flat_tire',
+    description: 'Rear tyre punctured on the ring road',
+    vehicleInfo: {
+      type: 'car',
+      model: 'Maruti Swift',
+      plate: 'KA01AB1234'
+    },
+    location: { lat: 12.9716, lng: 77.5946 },
+    quotation: 800,
+    status: 'completed',
+    completedAt: new Date()
+  });
+
+  const createOrder = (serviceRequestId, key) => {
+    const call = request(app)
+      .post('/api/payments/create-post-completion-order')
+      .set('Authorization', `Bearer ${customerToken}`);
+    if (key) call.set('Idempotency-Key', key);
+    return call.send({ serviceRequestId: serviceRequestId.toString() });
+  };
+
+  const deliverWebhook = (eventId, body) => {
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(JSON.stringify(body)).digest('hex');
+    return request(app)
+      .post('/api/payments/webhook/razorpay')
+      .set('x-razorpay-signature', signature)
+      .set('x-razorpay-event-id', eventId)
+      .send(body);
+  };
+
+  const capturedEvent = (orderId) => ({
+    entity: 'event',
+    event: 'payment.captured',
+    payload: {
+      payment: {
+        entity: { id: `pay_${orderId}`, order_id: orderId, amount: 80000, status: 'captured' }
+      }
+    }
+  });
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(TEST_DB_URI);
+    }
+    // The unique indexes are what make concurrent requests safe
+    await Promise.all([Payment.syncIndexes(), WebhookEvent.syncIndexes(), IdempotencyKey.syncIndexes()]);
+
+    stub = await startRazorpayStub();
+    originalGateway = paymentService.gateway;
+    paymentService.setGateway(new RazorpayGateway({
+      keyId: 'rzp_test_idempotency',
+      keySecret: 'test-key-secret',
+      webhookSecret: WEBHOOK_SECRET,
+      baseUrl: stub.url
+    }));
+
+    customer = await User.create({
+      name: 'Idempotency Customer',
+      email: 'idempotency.customer@test.com',
+      phone: '+919000000101',
+      passwordHash: 'Password123!',
+      role: 'customer'
+    });
+
+    admin = await User.create({
+      name: 'Idempotency Admin',
+      email: 'idempotency.admin@test.com',
+      phone: '+919000000109',
+      passwordHash: 'Password123!',
+      role: 'admin'
+    });
+
+    customerToken = generateToken(customer._id);
+    adminToken = generateToken(admin._id);
+  });
+
+  afterAll(async () => {
+    paymentService.setGateway(originalGateway);
+    await new Promise(resolve => stub.server.close(resolve));
+
+    // Clean up test data
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.db.dropDatabase();
+      await mongoose.connection.close();
+    }
+  });
+
+  beforeEach(() => {
+    stub.orders = [];
+    jest.spyOn(ledgerService, 'recordPayment').mockResolvedValue([]);
+    jest.spyOn(invoiceService, 'issueInvoice').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a double-clicked checkout should create one Razorpay order', async () => {
+    const serviceRequest = await createCompletedRequest(await createMechanic());
+    const key = crypto.randomUUID();
+
+    const responses = await Promise.all([createOrder(serviceRequest._id, key), createOrder(serviceRequest._id, key)]);
+
+    // The second click is either told to wait or, if the first finished, given its response
+    responses.forEach(response => expect([201, 409]).toContain(response.status));
+    expect(stub.orders).toHaveLength(1);
+
+    const replay = await createOrder(serviceRequest._id, key).expect(201);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body.data.razorpayOrderId).toBe(stub.orders[0].id);
+    expect(stub.orders).toHaveLength(1);
+
+    const pending = await Payment.find({ requestId: serviceRequest._id, status: 'pending' });
+    expect(pending).toHaveLength(1);
+  });
+
+  test('a new checkout for a service with an unpaid order should reuse that order', async () => {
+    const serviceRequest = await createCompletedRequest(await createMechanic());
+
+    const first = await createOrder(serviceRequest._id, crypto.randomUUID()).expect(201);
+    const second = await createOrder(serviceRequest._id, crypto.randomUUID()).expect(200);
+    const withoutKey = await createOrder(serviceRequest._id).expect(200);
+
+    expect(second.body.data.razorpayOrderId).toBe(first.body.data.razorpayOrderId);
+    expect(withoutKey.body.data.paymentId).toBe(first.body.data.paymentId);
+    expect(stub.orders).toHaveLength(1);
+  });
+
+  test('reusing a key for a different service should be rejected', async () => {
+    const mechanic = await createMechanic();
+    const [firstRequest, secondRequest] = await Promise.all([
+      createCompletedRequest(mechanic),
+      createCompletedRequest(mechanic)
+    ]);
+    const key = crypto.randomUUID();
+
+    await createOrder(firstRequest._id, key).expect(201);
+    const response = await createOrder(secondRequest._id, key).expect(422);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(stub.orders).toHaveLength(1);
+  });
+
+  test('a redelivered webhook should be applied once', async () => {
+    const serviceRequest = await createCompletedRequest(await createMechanic());
+    const order = await createOrder(serviceRequest._id, crypto.randomUUID()).expect(201);
+    const event = capturedEvent(order.body.data.razorpayOrderId);
+
+    const first = await deliverWebhook('evt_captured_once', event).expect(200);
+    const redelivery = await deliverWebhook('evt_captured_once', event).expect(200);
+
+    expect(first.body.message).toBe('Webhook processed successfully');
+    expect(redelivery.body.message).toBe('Webhook already received');
+    expect(ledgerService.recordPayment).toHaveBeenCalledTimes(1);
+
+    const stored = await WebhookEvent.findOne({ provider: 'razorpay', eventId: 'evt_captured_once' });
+    expect(stored.status).toBe('processed');
+    expect(stored.deliveries).toBe(2);
+    expect(stored.attempts).toBe(1);
+
+    const payment = await Payment.findById(order.body.data.paymentId);
+    expect(payment.status).toBe('success');
+  });
+
+  test('a failed webhook should be kept and replayable by an admin', async () => {
+    const serviceRequest = await createCompletedRequest(await createMechanic());
+    const order = await createOrder(serviceRequest._id, crypto.randomUUID()).expect(201);
+
+    jest.spyOn(Payment, 'findOneAndUpdate').mockRejectedValueOnce(new Error('Database unavailable'));
+    await deliverWebhook('evt_captured_retry', capturedEvent(order.body.data.razorpayOrderId)).expect(500);
+
+    const failed = await WebhookEvent.findOne({ eventId: 'evt_captured_retry' });
+    expect(failed.status).toBe('failed');
+    expect(failed.lastError).toBe('Database unavailable');
+
+    const listed = await request(app)
+      .get('/api/admin/payments/webhooks?status=failed')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(listed.body.data.map(item => item.eventId)).toContain('evt_captured_retry');
+
+    const replayed = await request(app)
+      .post(`/api/admin/payments/webhooks/${failed._id}/replay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(replayed.body.data.status).toBe('processed');
+    expect(replayed.body.data.attempts).toBe(2);
+    expect((await Payment.findById(order.body.data.paymentId)).status).toBe('success');
+
+    await request(app)
+      .post(`/api/admin/payments/webhooks/${failed._id}/replay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+  });
+});
@@ -24,7 +24,14 @@ jest.mock('../src/services/uploadService', () => ({
 jest.mock('../src/services/notificationService', () => ({
   sendEmail: jest.fn().mockResolvedValue(true),
   sendSMS: jest.fn().mockResolvedValue(true),
-  addToQueue: jest.fn().mockResolvedValue(true)
+  addToQueue: jest.fn().mockResolvedValue(true),
+  getQueueStatus: jest.fn().mockResolvedValue({
+    pending: { high: 0, medium: 0, low: 0, total: 0 },
+    processing: 0,
+    completed: 0,
+    dead: 0,
+    oldestPendingAt: null
+  })
 }));
 
 // Global test setup
@@ -1,6 +1,23 @@
 const aiQuotationService = require('../../src/services/aiQuotationService');
+const pricingRuleService = require('../../src/services/pricingRuleService');
+const quotationCalibrationService = require('../../src/services/quotationCalibrationService');
+const PricingRule = require('../../src/models/PricingRule');
+const QuotationCalibration = require('../../src/models/QuotationCalibration');
+const { DEFAULT_PRICING } = require('../../src/config/pricing');
 
 describe('AI Quotation Service', () => {
+  beforeEach(() => {
+    // No published rule, so quotations use the built-in pricing
+    jest.spyOn(PricingRule, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+    jest.spyOn(QuotationCalibration, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+    pricingRuleService.clearCache();
+    quotationCalibrationService.clearCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   describe('generateQuotation', () => {
     test('should generate quotation for engine trouble', async () => {
       const request = {
@@ -182,4 +199,147 @@ describe('AI Quotation Service', () => {
       expect(stormResult.quotation).toBeGreaterThanOrEqual(clearResult.quotation);
     });
   });
+
+  describe('Pricing rules', () => {
+    const request = {
+      issueType: 'battery_dead',
+      vehicleInfo: { type: 'car' },
+      priority: 'medium',
+      description: ''
+    };
+    // Neutral factors (weekday afternoon, clear weather, no travel) so only the rule changes the price
+    const factors = { timeOfDay: new Date('2024-01-03T14:00:00'), weather: 'clear', distance: 0, mechanicRating: 2 };
+
+    test('should price with the built-in rule when none is published', async () => {
+      const result = await aiQuotationService.generateQuotation({ ...request, location: { lat: 40.7128, lng: -74.0060 } }, factors);
+
+      expect(result.ruleVersion).toBe(0);
+      expect(result.region).toBeNull();
+      expect(result.quotation).toBe(500);
+    });
+
+    test('should apply the multiplier of the first region containing the location', async () => {
+      const cityCentre = await aiQuotationService.generateQuotation({ ...request, location: { lat: 28.6139, lng: 77.2090 } }, factors);
+      const suburb = await aiQuotationService.generateQuotation({ ...request, location: { lat: 28.4595, lng: 77.0266 } }, factors);
+
+      expect(cityCentre.region).toBe('Delhi');
+      expect(cityCentre.quotation).toBe(650);
+      expect(suburb.region).toBe('Delhi NCR');
+      expect(suburb.quotation).toBe(550);
+    });
+
+    test('should use the published rule in force and report its version', async () => {
+      PricingRule.findOne.mockReturnValue({
+        sort: () => ({
+          lean: async () => ({
+            ...DEFAULT_PRICING,
+            version: 4,
+            baseRates: { ...DEFAULT_PRICING.baseRates, battery_dead: { min: 300, base: 700, max: 900 } },
+            regions: []
+          })
+        })
+      });
+
+      const result = await aiQuotationService.generateQuotation({ ...request, location: { lat: 28.6139, lng: 77.2090 } }, factors);
+
+      expect(result.ruleVersion).toBe(4);
+      expect(result.region).toBeNull();
+      expect(result.quotation).toBe(700);
+    });
+
+    test('should compare the rule in force with a candidate rule', async () => {
+      const candidate = { ...DEFAULT_PRICING, version: null, defaultRegionMultiplier: 1.5 };
+
+      const simulation = await aiQuotationService.simulateQuotation(
+        { issueType: 'battery_dead', vehicleType: 'car', priority: 'medium', location: { lat: 40.7128, lng: -74.0060 } },
+        candidate,
+        factors
+      );
+
+      expect(simulation.current.quotation).toBe(500);
+      expect(simulation.candidate.quotation).toBe(750);
+      expect(simulation.candidate.ruleVersion).toBeNull();
+      expect(simulation.difference).toBe(250);
+    });
+  });
+
+  describe('Calibration', () => {
+    const request = {
+      issueType: 'battery_dead',
+      vehicleInfo: { type: 'car' },
+      priority: 'medium',
+      location: { lat: 28.6139, lng: 77.2090 },
+      description: ''
+    };
+    const factors = { timeOfDay: new Date('2024-01-03T14:00:00'), weather: 'clear', distance: 0, mechanicRating: 2 };
+
+    const mockCalibration = (samples, price = {}) => {
+      QuotationCalibration.findOne.mockReturnValue({
+        sort: () => ({
+          lean: async () => ({
+            version: 2,
+            minSamples: 20,
+            segments: [{
+              key: 'battery_dead|car|*',
+              price: { samples, mean: 610, p10: 420, p25: 500, p50: 600, p75: 700, p90: 820, ...price },
+              duration: { samples, p25: 18, p50: 25, p75: 40 }
+            }]
+          })
+        })
+      });
+    };
+
+    test('should return percentile ranges and a confidence based on sample size', async () => {
+      mockCalibration(80);
+
+      const result = await aiQuotationService.generateQuotation(request, factors);
+
+      expect(result.quotation).toBe(650);
+      expect(result.range).toEqual({ min: 420, max: 820, estimated: 650 });
+      expect(result.confidence).toBe(0.73);
+      expect(result.calibration).toEqual({
+        version: 2,
+        segment: 'battery_dead|car|*',
+        samples: 80,
+        percentiles: { p10: 420, p25: 500, p50: 600, p75: 700, p90: 820 }
+      });
+      expect(result.estimatedDuration).toBe(25);
+    });
+
+    test('should keep the estimate within the calibrated range', async () => {
+      // Similar jobs cost less than the rules would charge
+      mockCalibration(80, { p10: 300, p25: 340, p50: 380, p75: 420, p90: 480 });
+      const cheaper = await aiQuotationService.generateQuotation(request, factors);
+
+      expect(cheaper.range).toEqual({ min: 300, max: 480, estimated: 480 });
+      expect(cheaper.quotation).toBe(480);
+
+      // ...or more
+      quotationCalibrationService.clearCache();
+      mockCalibration(80, { p10: 900, p25: 950, p50: 1000, p75: 1100, p90: 1200 });
+      const dearer = await aiQuotationService.generateQuotation(request, factors);
+
+      expect(dearer.range).toEqual({ min: 900, max: 1200, estimated: 900 });
+    });
+
+    test('should use duration quartiles for low and high complexity', async () => {
+      mockCalibration(80);
+
+      const low = await aiQuotationService.generateQuotation(request, { ...factors, complexity: 'low' });
+      const high = await aiQuotationService.generateQuotation(request, { ...factors, complexity: 'high' });
+
+      expect(low.estimatedDuration).toBe(18);
+      expect(high.estimatedDuration).toBe(40);
+    });
+
+    test('should ignore segments with too few samples', async () => {
+      mockCalibration(5);
+
+      const result = await aiQuotationService.generateQuotation(request, factors);
+
+      expect(result.calibration).toBeNull();
+      expect(result.range).toEqual({ min: 520, max: 780, estimated: 650 });
+      expect(result.estimatedDuration).toBe(20);
+    });
+  });
 });
@@ -0,0 +1,193 @@
+const Payment = require('../../src/models/Payment');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const User = require('../../src/models/User');
+const ledgerService = require('../../src/services/ledgerService');
+const invoiceService = require('../../src/services/invoiceService');
+const notificationService = require('../../src/services/notificationService');
+const walletService = require('../../src/services/walletService');
+const cashPaymentService = require('../../src/services/cashPaymentService');
+const { ids } = require('../helpers/fixtures');
+
+const { customerId, mechanicId, adminId, requestId } = ids;
+const paymentId = '64b7f0c2a1b2c3d4e5f60061';
+
+const buildRequest = (overrides = {}) => new ServiceRequest({
+  _id: requestId,
+  customerId,
+  mechanicId,
+  status: 'completed',
+  ...overrides
+});
+
+const buildCashPayment = (cash = {}) => new Payment({
+  _id: paymentId,
+  requestId,
+  customerId,
+  mechanicId,
+  amount: 600,
+  method: 'Cash',
+  status: 'processing',
+  cash: {
+    collectedAmount: 600,
+    collectedAt: new Date(),
+    status: 'awaiting_confirmation',
+    ...cash
+  }
+});
+
+// findOneAndUpdate that applies the $set to the stored payment, like { new: true }
+const mockClaim = (payment) => jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+  if (!filter['cash.status'].$in.includes(payment.cash.status)) return null;
+  payment.set(update.$set);
+  return payment;
+});
+
+describe('Cash Payment Service', () => {
+  beforeEach(() => {
+    jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findById').mockImplementation((id) => ({
+      select: async () => ({ _id: id, name: 'User' })
+    }));
+    jest.spyOn(ledgerService, 'recordPayment').mockResolvedValue([]);
+    jest.spyOn(invoiceService, 'issueInvoice').mockResolvedValue(null);
+    notificationService.notifyCashPaymentUpdate = jest.fn().mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordCollection', () => {
+    test('should drop unpaid online orders and ask the customer to confirm', async () => {
+      const online = new Payment({ requestId, customerId, mechanicId, amount: 600, walletAmount: 200, method: 'Card' });
+      jest.spyOn(ServiceRequest, 'findOne').mockResolvedValue(buildRequest());
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(online);
+      jest.spyOn(walletService, 'releasePayment').mockResolvedValue(null);
+      const create = jest.spyOn(Payment, 'create').mockImplementation(async (data) => new Payment(data));
+
+      const payment = await cashPaymentService.recordCollection(mechanicId, requestId, { amount: 600 });
+
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'pending' }),
+        { $set: { status: 'failed', failureReason: 'Superseded by cash payment' } }
+      );
+      expect(walletService.releasePayment).toHaveBeenCalledWith(online);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'Cash',
+        status: 'processing',
+        amount: 600
+      }));
+      expect(payment.cash.status).toBe('awaiting_confirmation');
+      expect(notificationService.notifyCashPaymentUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse cash that differs from the approved quote', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockResolvedValue(buildRequest({ quote: { approvedAmount: 700 }, finalAmount: 650 }));
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+      const create = jest.spyOn(Payment, 'create').mockImplementation(async (data) => new Payment(data));
+
+      for (const amount of [700, 600]) {
+        await expect(cashPaymentService.recordCollection(mechanicId, requestId, { amount }))
+          .rejects.toMatchObject({ statusCode: 400, message: 'The cash collected must match the approved amount of ₹650' });
+      }
+      expect(create).not.toHaveBeenCalled();
+
+      await cashPaymentService.recordCollection(mechanicId, requestId, { amount: 650 });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ amount: 650 }));
+    });
+
+    test('should refuse services that are not completed or already paid', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockResolvedValue(buildRequest({ status: 'in_progress' }));
+      await expect(cashPaymentService.recordCollection(mechanicId, requestId, { amount: 600 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      ServiceRequest.findOne.mockResolvedValue(buildRequest());
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(new Payment({ status: 'success' }));
+      await expect(cashPaymentService.recordCollection(mechanicId, requestId, { amount: 600 }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'This service has already been paid' });
+    });
+  });
+
+  describe('confirmCollection', () => {
+    test('should mark the service paid and post the cash to the ledger', async () => {
+      const payment = buildCashPayment();
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      mockClaim(payment);
+
+      const confirmed = await cashPaymentService.confirmCollection(customerId, paymentId);
+
+      expect(Payment.findOne).toHaveBeenCalledWith({ _id: paymentId, customerId, method: 'Cash' });
+      expect(confirmed.status).toBe('success');
+      expect(confirmed.cash.status).toBe('confirmed');
+      expect(confirmed.cash.confirmedAmount).toBe(600);
+      expect(ServiceRequest.updateOne).toHaveBeenCalledWith(
+        { _id: payment.requestId },
+        { $set: { paymentStatus: 'paid', paidAt: confirmed.paidAt } }
+      );
+      expect(ledgerService.recordPayment).toHaveBeenCalledWith(confirmed);
+      expect(invoiceService.issueInvoice).toHaveBeenCalledWith(confirmed);
+    });
+
+    test('should not confirm cash that is already disputed', async () => {
+      const payment = buildCashPayment({ status: 'disputed' });
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      mockClaim(payment);
+
+      await expect(cashPaymentService.confirmCollection(customerId, paymentId))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(ledgerService.recordPayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('disputeCollection', () => {
+    test('should hold the payment for review without marking the service paid', async () => {
+      const payment = buildCashPayment();
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      mockClaim(payment);
+
+      const disputed = await cashPaymentService.disputeCollection(customerId, paymentId, {
+        amount: 400,
+        reason: 'I only paid four hundred rupees'
+      });
+
+      expect(disputed.status).toBe('processing');
+      expect(disputed.cash.status).toBe('disputed');
+      expect(disputed.cash.confirmedAmount).toBe(400);
+      expect(ServiceRequest.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveCollection', () => {
+    test('should settle a dispute at the amount the admin agreed', async () => {
+      const payment = buildCashPayment({ status: 'disputed', confirmedAmount: 400 });
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      mockClaim(payment);
+
+      const resolved = await cashPaymentService.resolveCollection(adminId, paymentId, { amount: 400, note: 'Agreed with both sides' });
+
+      expect(resolved.status).toBe('success');
+      expect(resolved.amount).toBe(400);
+      expect(resolved.netAmount).toBe(400);
+      expect(resolved.cash.status).toBe('resolved');
+      expect(ledgerService.recordPayment).toHaveBeenCalledWith(resolved);
+      expect(notificationService.notifyCashPaymentUpdate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('rejectCollection', () => {
+    test('should fail the payment and leave the service unpaid', async () => {
+      const payment = buildCashPayment({ status: 'disputed' });
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+      mockClaim(payment);
+
+      const rejected = await cashPaymentService.rejectCollection(adminId, paymentId, { note: 'No cash changed hands' });
+
+      expect(rejected.status).toBe('failed');
+      expect(rejected.cash.status).toBe('rejected');
+      expect(ServiceRequest.updateOne).not.toHaveBeenCalled();
+      expect(ledgerService.recordPayment).not.toHaveBeenCalled();
+    });
+  });
+});
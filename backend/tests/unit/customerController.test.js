@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const { getNearbyMechanics } = require('../../src/controllers/customerController');
+const { ids, mockResponse } = require('../helpers/fixtures');
+
+const freeId = new mongoose.Types.ObjectId(ids.mechanicId);
+const busyId = new mongoose.Types.ObjectId('64b7f0c2a1b2c3d4e5f60004');
+
+describe('Customer Controller', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getNearbyMechanics', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'aggregate').mockResolvedValue([
+        { _id: freeId, name: 'Ravi', rating: 4.5, distance: 1.234 },
+        { _id: busyId, name: 'Amit', rating: 4.1, distance: 2.5 }
+      ]);
+      jest.spyOn(ServiceRequest, 'distinct').mockResolvedValue([busyId]);
+    });
+
+    test('should search names and specialties and return public fields only', async () => {
+      await getNearbyMechanics({ query: { latitude: '12.97', longitude: '77.59', search: 'brake' } }, mockResponse());
+
+      const pipeline = User.aggregate.mock.calls[0][0];
+      expect(pipeline[0].$geoNear.query.$or).toEqual([
+        { name: { $regex: 'brake', $options: 'i' } },
+        { specialties: { $regex: 'brake', $options: 'i' } }
+      ]);
+
+      const { $project: projection } = pipeline.find(stage => stage.$project);
+      expect(Object.values(projection).every(value => value === 1)).toBe(true);
+      for (const field of ['email', 'phone', 'notificationPreferences', 'trustedContacts', 'vehicles', 'passwordHash']) {
+        expect(projection).not.toHaveProperty(field);
+      }
+    });
+
+    test('should mark mechanics on an active job as unavailable', async () => {
+      const res = mockResponse();
+
+      await getNearbyMechanics({ query: { latitude: '12.97', longitude: '77.59' } }, res);
+
+      expect(ServiceRequest.distinct).toHaveBeenCalledWith('mechanicId', {
+        mechanicId: { $in: [freeId, busyId] },
+        status: { $in: ['assigned', 'enroute', 'in_progress'] }
+      });
+      const { mechanics } = res.json.mock.calls[0][0].data;
+      expect(mechanics.map(mechanic => [mechanic.name, mechanic.isAvailable])).toEqual([['Ravi', true], ['Amit', false]]);
+      expect(mechanics[0].distance).toBe(1.23);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const dispatchService = require('../../src/services/dispatchService');
+const { ids } = require('../helpers/fixtures');
+
+const { requestId } = ids;
+
+const buildRequest = (overrides = {}) => ({
+  _id: requestId,
+  customerId: ids.customerId,
+  issueType: 'flat_tire',
+  location: { lat: 12.9716, lng: 77.5946 },
+  broadcastRadius: 15,
+  dispatch: { wave: 0, offeredTo: [], currentOffer: [] },
+  ...overrides
+});
+
+const buildCandidate = (id, overrides = {}) => ({
+  _id: id,
+  name: `Mechanic ${id}`,
+  distance: 2,
+  rating: 4,
+  activeJobs: 0,
+  specializations: [],
+  score: 0.5,
+  ...overrides
+});
+
+describe('Dispatch Service', () => {
+  const socketHandlers = {
+    broadcastServiceRequest: jest.fn(),
+    emitToMechanic: jest.fn(),
+    emitToRequest: jest.fn(),
+    emitToUser: jest.fn()
+  };
+
+  beforeEach(() => {
+    dispatchService.setSocketHandlers(socketHandlers);
+    dispatchService.config = {
+      waveSize: 2,
+      acceptWindowMs: 30000,
+      initialRadius: 5,
+      radiusStep: 5
+    };
+  });
+
+  afterEach(() => {
+    dispatchService.clearTimer(requestId);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('getWaveRadius', () => {
+    test('should widen each wave up to the broadcast radius', () => {
+      expect(dispatchService.getWaveRadius(1, 15)).toBe(5);
+      expect(dispatchService.getWaveRadius(2, 15)).toBe(10);
+      expect(dispatchService.getWaveRadius(4, 15)).toBe(15);
+    });
+  });
+
+  describe('scoreCandidate', () => {
+    const context = { issueType: 'flat_tire', radius: 10 };
+
+    test('should prefer closer mechanics', () => {
+      const near = dispatchService.scoreCandidate(buildCandidate('a', { distance: 1 }), context);
+      const far = dispatchService.scoreCandidate(buildCandidate('b', { distance: 9 }), context);
+
+      expect(near).toBeGreaterThan(far);
+    });
+
+    test('should penalise mechanics with active jobs', () => {
+      const idle = dispatchService.scoreCandidate(buildCandidate('a'), context);
+      const busy = dispatchService.scoreCandidate(buildCandidate('b', { activeJobs: 3 }), context);
+
+      expect(idle).toBeGreaterThan(busy);
+    });
+
+    test('should reward matching specializations', () => {
+      const specialist = dispatchService.scoreCandidate(
+        buildCandidate('a', { specializations: ['flat_tire'] }),
+        context
+      );
+      const generalist = dispatchService.scoreCandidate(buildCandidate('b'), context);
+
+      expect(specialist).toBeGreaterThan(generalist);
+    });
+  });
+
+  describe('runWave', () => {
+    test('should offer the request to the top ranked mechanics', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockResolvedValue(buildRequest());
+      jest.spyOn(dispatchService, 'rankCandidates').mockResolvedValue([
+        buildCandidate('m1'),
+        buildCandidate('m2'),
+        buildCandidate('m3')
+      ]);
+      const updateOne = jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await dispatchService.runWave(requestId, 1);
+
+      const update = updateOne.mock.calls[0][1];
+      expect(update.$set['dispatch.currentOffer']).toEqual(['m1', 'm2']);
+      expect(update.$push.history.$each).toHaveLength(2);
+      expect(update.$push.history.$each[0]).toMatchObject({ event: 'dispatch_offer', wave: 1, radius: 5 });
+
+      const [, offered, offer] = socketHandlers.broadcastServiceRequest.mock.calls[0];
+      expect(offered.map(candidate => candidate._id)).toEqual(['m1', 'm2']);
+      expect(offer).toMatchObject({ wave: 1, radius: 5 });
+      expect(dispatchService.timers.has(requestId)).toBe(true);
+    });
+
+    test('should skip to a wider wave when nobody is in range', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockResolvedValue(buildRequest());
+      const rank = jest.spyOn(dispatchService, 'rankCandidates')
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([buildCandidate('m1')]);
+      jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await dispatchService.runWave(requestId, 1);
+
+      expect(rank.mock.calls[0][1]).toBe(5);
+      expect(rank.mock.calls[1][1]).toBe(10);
+    });
+
+    test('should mark the dispatch exhausted at the broadcast radius', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockResolvedValue(buildRequest({ broadcastRadius: 5 }));
+      jest.spyOn(dispatchService, 'rankCandidates').mockResolvedValue([]);
+      const updateOne = jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await dispatchService.runWave(requestId, 1);
+
+      expect(updateOne.mock.calls[0][1].$push.history.event).toBe('dispatch_exhausted');
+      expect(socketHandlers.emitToUser).toHaveBeenCalledWith(
+        expect.anything(),
+        'dispatch-exhausted',
+        expect.objectContaining({ radius: 5 })
+      );
+    });
+
+    test('should stop once the request is no longer pending', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockResolvedValue(null);
+      const rank = jest.spyOn(dispatchService, 'rankCandidates');
+
+      await dispatchService.runWave(requestId, 1);
+
+      expect(rank).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleTimeout', () => {
+    test('should record timeouts and start the next wave', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          dispatch: { radius: 5, currentOffer: ['m1', 'm2'] }
+        })
+      });
+      const updateOne = jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const runWave = jest.spyOn(dispatchService, 'runWave').mockResolvedValue();
+
+      await dispatchService.handleTimeout(requestId, 1);
+
+      const entries = updateOne.mock.calls[0][1].$push.history.$each;
+      expect(entries.map(entry => entry.event)).toEqual(['dispatch_timeout', 'dispatch_timeout']);
+      expect(socketHandlers.emitToMechanic).toHaveBeenCalledWith('m1', 'request-offer-expired', { requestId });
+      expect(runWave).toHaveBeenCalledWith(requestId, 2);
+    });
+  });
+
+  describe('completeDispatch', () => {
+    test('should withdraw the offer from the other mechanics', () => {
+      dispatchService.completeDispatch(buildRequest({
+        dispatch: { currentOffer: ['m1', 'm2'] }
+      }), 'm1');
+
+      expect(socketHandlers.emitToMechanic).toHaveBeenCalledTimes(1);
+      expect(socketHandlers.emitToMechanic).toHaveBeenCalledWith('m2', 'request-taken', { requestId });
+    });
+
+    test('should announce the accepting mechanic to the customer', () => {
+      dispatchService.completeDispatch(buildRequest(), 'm1', { estimatedArrival: 20 });
+
+      expect(socketHandlers.emitToRequest).toHaveBeenCalledWith(
+        requestId,
+        'request-accepted',
+        expect.objectContaining({ mechanicId: 'm1', estimatedArrival: 20 })
+      );
+    });
+  });
+});
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const EmergencyIncident = require('../../src/models/EmergencyIncident');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const User = require('../../src/models/User');
+const Counter = require('../../src/models/Counter');
+const notificationService = require('../../src/services/notificationService');
+const emergencyService = require('../../src/services/emergencyService');
+const { ids, duplicateKeyError } = require('../helpers/fixtures');
+
+const { customerId, adminId, requestId } = ids;
+const incidentId = '64b7f0c2a1b2c3d4e5f60061';
+
+const location = { lat: 28.6139, lng: 77.2090, address: 'Connaught Place, New Delhi', accuracy: 12 };
+
+const buildCustomer = (overrides = {}) => new User({
+  _id: customerId,
+  name: 'Asha Rao',
+  email: 'asha@example.com',
+  phone: '+919876543210',
+  passwordHash: 'hashed-password',
+  role: 'customer',
+  vehicles: [{ name: 'Daily', type: 'car', make: 'Maruti', model: 'Swift', year: 2020, plate: 'DL01AB1234', isDefault: true }],
+  trustedContacts: [
+    { name: 'Ravi', phone: '+919812345678', email: 'ravi@example.com', relationship: 'Brother' },
+    { name: 'Meera', email: 'meera@example.com' }
+  ],
+  ...overrides
+});
+
+const buildIncident = (overrides = {}) => new EmergencyIncident({
+  _id: incidentId,
+  number: 1042,
+  customerId,
+  location,
+  status: 'open',
+  share: { expiresAt: new Date(Date.now() + 60 * 60 * 1000) },
+  ...overrides
+});
+
+// findOneAndUpdate that applies the $set to the stored incident when the filter's status matches
+const mockTransition = (incident) => jest.spyOn(EmergencyIncident, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+  const allowed = filter.status.$in || [filter.status];
+  if (!allowed.includes(incident.status)) return null;
+  incident.set(update.$set);
+  return incident;
+});
+
+describe('Emergency Service', () => {
+  let socketHandlers;
+
+  beforeEach(() => {
+    process.env.FRONTEND_URL = 'https://app.roadguard.test';
+    socketHandlers = { emitToAdmins: jest.fn(), emitToRequest: jest.fn(), emitToUser: jest.fn() };
+    emergencyService.setSocketHandlers(socketHandlers);
+
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(EmergencyIncident.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    notificationService.sendSMS = jest.fn().mockResolvedValue({ success: true, messageId: 'sms_1' });
+    notificationService.sendEmail = jest.fn().mockResolvedValue({ success: true, messageId: 'email_1' });
+    notificationService.notifySosUpdate = jest.fn().mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    emergencyService.setSocketHandlers(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('trusted contacts', () => {
+    test('should refuse more than five contacts', async () => {
+      const contacts = ['A', 'B', 'C', 'D', 'E'].map(name => ({ name, phone: '+919800000000' }));
+      jest.spyOn(User, 'findById').mockResolvedValue(buildCustomer({ trustedContacts: contacts }));
+
+      await expect(emergencyService.addTrustedContact(customerId, { name: 'F', phone: '+919811111111' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should replace a contact\'s details on update', async () => {
+      const customer = buildCustomer();
+      jest.spyOn(User, 'findById').mockResolvedValue(customer);
+      const contactId = customer.trustedContacts[0]._id;
+
+      const contact = await emergencyService.updateTrustedContact(customerId, contactId, { name: 'Ravi K', email: 'ravi.k@example.com' });
+
+      expect(contact).toMatchObject({ name: 'Ravi K', email: 'ravi.k@example.com' });
+      expect(contact.phone).toBeUndefined();
+      expect(contact.relationship).toBeUndefined();
+    });
+
+    test('should not let mechanics keep trusted contacts', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(buildCustomer({ role: 'mechanic' }));
+
+      await expect(emergencyService.getTrustedContacts(customerId)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('raiseIncident', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(buildCustomer());
+      jest.spyOn(EmergencyIncident, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Counter, 'next').mockResolvedValue(1042);
+    });
+
+    test('should record the incident and send every contact the live-location link', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockReturnValue({
+        select: async () => ({ _id: requestId, vehicleInfo: { type: 'motorcycle', make: 'Honda', model: 'Activa', plate: 'DL02CD5678' } })
+      });
+
+      const { incident, shareUrl, created } = await emergencyService.raiseIncident(customerId, {
+        location,
+        requestId,
+        message: 'Hit by a car',
+        source: 'accident_request'
+      });
+
+      expect(created).toBe(true);
+      expect(ServiceRequest.findOne).toHaveBeenCalledWith({ _id: requestId, customerId });
+      expect(incident).toMatchObject({ reference: 'SOS-1042', status: 'open', source: 'accident_request' });
+      expect(incident.vehicle).toMatchObject({ make: 'Honda', model: 'Activa', plate: 'DL02CD5678' });
+      expect(incident.lastLocation).toMatchObject({ lat: location.lat, lng: location.lng });
+
+      // Only the hash of the token is kept
+      const token = shareUrl.split('/sos/')[1];
+      expect(shareUrl).toMatch(/^https:\/\/app\.roadguard\.test\/sos\/[0-9a-f]{48}$/);
+      expect(incident.share.tokenHash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+
+      expect(notificationService.sendSMS).toHaveBeenCalledTimes(1);
+      expect(notificationService.sendSMS).toHaveBeenCalledWith({
+        to: '+919812345678',
+        message: expect.stringContaining(shareUrl),
+        priority: 'high'
+      });
+      expect(notificationService.sendEmail).toHaveBeenCalledTimes(2);
+      expect(notificationService.sendEmail.mock.calls.map(([email]) => email.to)).toEqual(['ravi@example.com', 'meera@example.com']);
+      expect(incident.contactAlerts.map(alert => `${alert.channel}:${alert.to}`)).toEqual([
+        'sms:+919812345678',
+        'email:ravi@example.com',
+        'email:meera@example.com'
+      ]);
+
+      expect(socketHandlers.emitToAdmins).toHaveBeenCalledWith('sos-incident', expect.objectContaining({
+        reference: 'SOS-1042',
+        customer: expect.objectContaining({ name: 'Asha Rao' }),
+        contactsAlerted: 3
+      }));
+      expect(socketHandlers.emitToRequest).toHaveBeenCalledWith(incident.requestId, 'emergency-alert', expect.objectContaining({
+        incidentId: incident._id
+      }));
+    });
+
+    test('should use the default vehicle and record failed alerts without failing the SOS', async () => {
+      notificationService.sendSMS.mockResolvedValue({ success: false, error: 'Provider unavailable' });
+
+      const { incident } = await emergencyService.raiseIncident(customerId, { location });
+
+      expect(incident.vehicle).toMatchObject({ make: 'Maruti', plate: 'DL01AB1234' });
+      expect(incident.contactAlerts[0]).toMatchObject({ channel: 'sms', delivered: false, error: 'Provider unavailable' });
+      expect(socketHandlers.emitToRequest).not.toHaveBeenCalled();
+    });
+
+    test('should only add the location to an SOS that is still active', async () => {
+      const active = buildIncident({ status: 'acknowledged' });
+      EmergencyIncident.findOne.mockResolvedValue(active);
+      jest.spyOn(EmergencyIncident, 'findOneAndUpdate').mockResolvedValue(active);
+
+      const { incident, shareUrl, created } = await emergencyService.raiseIncident(customerId, { location });
+
+      expect(created).toBe(false);
+      expect(shareUrl).toBeNull();
+      expect(incident).toBe(active);
+      expect(EmergencyIncident.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: active._id, customerId, status: { $in: ['open', 'acknowledged'] } },
+        expect.objectContaining({ $push: { trail: { $each: [expect.objectContaining({ lat: location.lat })], $slice: -500 } } }),
+        { new: true }
+      );
+      expect(Counter.next).not.toHaveBeenCalled();
+      expect(notificationService.sendSMS).not.toHaveBeenCalled();
+    });
+
+    test('should join the incident a simultaneous SOS created first', async () => {
+      const active = buildIncident();
+      EmergencyIncident.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(active);
+      EmergencyIncident.prototype.save.mockRejectedValueOnce(duplicateKeyError());
+      jest.spyOn(EmergencyIncident, 'findOneAndUpdate').mockResolvedValue(active);
+
+      const { incident, shareUrl, created } = await emergencyService.raiseIncident(customerId, { location });
+
+      expect(created).toBe(false);
+      expect(shareUrl).toBeNull();
+      expect(incident).toBe(active);
+      expect(EmergencyIncident.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(notificationService.sendSMS).not.toHaveBeenCalled();
+      expect(notificationService.sendEmail).not.toHaveBeenCalled();
+      expect(socketHandlers.emitToAdmins).not.toHaveBeenCalledWith('sos-incident', expect.anything());
+    });
+
+    test('should refuse a request of another customer', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockReturnValue({ select: async () => null });
+
+      await expect(emergencyService.raiseIncident(customerId, { location, requestId }))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Service request not found' });
+      expect(notificationService.sendSMS).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acknowledge and resolve', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => buildCustomer() });
+    });
+
+    test('should acknowledge an open incident and tell the customer', async () => {
+      const incident = buildIncident();
+      mockTransition(incident);
+
+      await emergencyService.acknowledgeIncident(incidentId, adminId);
+
+      expect(incident.status).toBe('acknowledged');
+      expect(incident.acknowledgedBy.toString()).toBe(adminId);
+      expect(notificationService.notifySosUpdate).toHaveBeenCalledWith(expect.anything(), incident);
+      expect(socketHandlers.emitToUser).toHaveBeenCalledWith(incident.customerId, 'sos-incident-updated', expect.objectContaining({
+        status: 'acknowledged'
+      }));
+    });
+
+    test('should refuse to acknowledge twice', async () => {
+      mockTransition(buildIncident({ status: 'acknowledged' }));
+      jest.spyOn(EmergencyIncident, 'exists').mockResolvedValue({ _id: incidentId });
+
+      await expect(emergencyService.acknowledgeIncident(incidentId, adminId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should let customers resolve only their own incidents, without notifying them', async () => {
+      const incident = buildIncident({ status: 'acknowledged' });
+      mockTransition(incident);
+
+      await emergencyService.resolveIncident(incidentId, customerId, { note: 'Marked safe by the customer', customerId });
+
+      expect(EmergencyIncident.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: incidentId,
+        status: { $in: ['open', 'acknowledged'] },
+        customerId
+      });
+      expect(incident).toMatchObject({ status: 'resolved', resolutionNote: 'Marked safe by the customer' });
+      expect(notificationService.notifySosUpdate).not.toHaveBeenCalled();
+      expect(socketHandlers.emitToAdmins).toHaveBeenCalledWith('sos-incident-updated', expect.objectContaining({ status: 'resolved' }));
+    });
+  });
+
+  describe('getSharedIncident', () => {
+    const token = 'a'.repeat(48);
+    const mockShared = (incident) => jest.spyOn(EmergencyIncident, 'findOne').mockReturnValue({
+      select: () => ({ populate: async () => incident })
+    });
+
+    test('should look the incident up by the hash of the token', async () => {
+      // As populated with the customer's name
+      mockShared({ ...buildIncident().toObject(), customerId: { _id: customerId, name: 'Asha Rao' } });
+
+      const shared = await emergencyService.getSharedIncident(token);
+
+      expect(EmergencyIncident.findOne).toHaveBeenCalledWith({
+        'share.tokenHash': crypto.createHash('sha256').update(token).digest('hex')
+      });
+      expect(shared).toMatchObject({ reference: 'SOS-1042', status: 'open', customerName: 'Asha Rao' });
+      expect(shared).not.toHaveProperty('customerId');
+    });
+
+    test('should stop sharing once the incident is resolved or the link expired', async () => {
+      mockShared(buildIncident({ status: 'resolved' }));
+      await expect(emergencyService.getSharedIncident(token)).rejects.toMatchObject({ statusCode: 410 });
+
+      mockShared(buildIncident({ share: { expiresAt: new Date(Date.now() - 1000) } }));
+      await expect(emergencyService.getSharedIncident(token)).rejects.toMatchObject({ statusCode: 410 });
+
+      mockShared(null);
+      await expect(emergencyService.getSharedIncident(token)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const { idempotent } = require('../../src/middlewares/idempotencyMiddleware');
+const { ids, duplicateKeyError, mockResponse } = require('../helpers/fixtures');
+
+const buildRequest = () => ({
+  method: 'POST',
+  baseUrl: '/api/payments',
+  path: '/create-order',
+  body: { serviceRequestId: ids.requestId },
+  user: { _id: ids.customerId },
+  get: (header) => (header === 'Idempotency-Key' ? 'key-1' : undefined)
+});
+
+describe('Idempotency Middleware', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should treat the request as new when the key disappears after the duplicate insert', async () => {
+    const record = { _id: 'record-1', key: 'key-1' };
+    jest.spyOn(IdempotencyKey, 'create')
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockResolvedValueOnce(record);
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(null);
+    const next = jest.fn();
+    const res = mockResponse();
+
+    await idempotent(buildRequest(), res, next);
+
+    expect(IdempotencyKey.create).toHaveBeenCalledTimes(2);
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('should answer 409 when another request takes the key first', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(null);
+    const next = jest.fn();
+    const res = mockResponse();
+
+    await idempotent(buildRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -0,0 +1,198 @@
+const Counter = require('../../src/models/Counter');
+const Invoice = require('../../src/models/Invoice');
+const MechanicVerification = require('../../src/models/MechanicVerification');
+const Payment = require('../../src/models/Payment');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const User = require('../../src/models/User');
+const invoiceService = require('../../src/services/invoiceService');
+const { findStateCode } = require('../../src/config/gst');
+const { ids, buildPayment } = require('../helpers/fixtures');
+
+const { customerId, mechanicId, paymentId, refundId } = ids;
+
+// ₹1000 of work plus 18% GST, paid by UPI
+const buildUpiPayment = (overrides = {}) => buildPayment({ amount: 1180, method: 'UPI', ...overrides });
+
+const selectResolving = (value) => ({ select: async () => value });
+
+// Shop in Maharashtra unless told otherwise; location decides the place of supply
+const mockParties = ({ gstNumber = '27ABCDE1234F1Z5', shopState = 'Maharashtra', location } = {}) => {
+  jest.spyOn(ServiceRequest, 'findById').mockReturnValue(selectResolving({
+    issueType: 'flat_tire',
+    location: location || { address: 'FC Road, Pune, Maharashtra 411004' }
+  }));
+  jest.spyOn(User, 'findById').mockImplementation((id) => selectResolving(
+    id.toString() === customerId ? { name: 'Asha', phone: '+919800000001' } : { name: 'Ravi', phone: '+919800000002' }
+  ));
+  jest.spyOn(MechanicVerification, 'findOne').mockReturnValue(selectResolving({
+    shopName: 'Ravi Auto Works',
+    gstNumber,
+    shopAddress: { street: '4 Main St', city: 'Pune', state: shopState, zipCode: '411001', country: 'India' }
+  }));
+};
+
+describe('Invoice Service', () => {
+  beforeEach(() => {
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Invoice, 'create').mockImplementation(async (data) => new Invoice(data));
+    jest.spyOn(Counter, 'next').mockResolvedValue(7);
+    jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const invoice = Invoice.create.mock.results.at(-1).value;
+      return (await invoice).set(update.$set);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findStateCode', () => {
+    test('should find the state in a free-text address', () => {
+      expect(findStateCode('12 MG Road, Bengaluru, Karnataka 560001')).toBe('29');
+      expect(findStateCode('Connaught Place, New Delhi')).toBe('07');
+      expect(findStateCode('West Bengal')).toBe('19');
+      expect(findStateCode('Somewhere unknown')).toBeNull();
+    });
+  });
+
+  describe('calculateTax', () => {
+    test('should split GST-inclusive amounts into CGST and SGST within a state', () => {
+      expect(invoiceService.calculateTax(1180, { rate: 18, interState: false })).toEqual({
+        taxableAmount: 1000,
+        totalTax: 180,
+        cgst: 90,
+        sgst: 90,
+        utgst: 0,
+        igst: 0
+      });
+    });
+
+    test('should charge IGST across states and UTGST in union territories', () => {
+      expect(invoiceService.calculateTax(1180, { rate: 18, interState: true })).toMatchObject({ igst: 180, cgst: 0 });
+      expect(invoiceService.calculateTax(1180, { rate: 18, interState: false, unionTerritory: true }))
+        .toMatchObject({ cgst: 90, utgst: 90, sgst: 0 });
+    });
+  });
+
+  describe('issueInvoice', () => {
+    test('should number an intra-state tax invoice with the SAC of the issue type', async () => {
+      mockParties();
+
+      const invoice = await invoiceService.issueInvoice(buildUpiPayment());
+
+      expect(invoice.number).toMatch(/^INV\/\d{2}-\d{2}\/000007$/);
+      expect(invoice.number.length).toBeLessThanOrEqual(16);
+      expect(Counter.next).toHaveBeenCalledWith(expect.stringMatching(/^invoice:\d{2}-\d{2}$/));
+      expect(invoice).toMatchObject({
+        title: 'Tax Invoice',
+        supplyType: 'intra_state',
+        taxableAmount: 1000,
+        cgst: 90,
+        sgst: 90,
+        total: 1180
+      });
+      expect(invoice.supplier).toMatchObject({ gstin: '27ABCDE1234F1Z5', stateCode: '27' });
+      expect(invoice.placeOfSupply).toMatchObject({ state: 'Maharashtra', stateCode: '27' });
+      expect(invoice.lineItems[0]).toMatchObject({ sac: '998714', taxRate: 18 });
+    });
+
+    test('should charge IGST when the service is done in another state', async () => {
+      mockParties({ location: { address: 'Near toll plaza', state: 'Karnataka' } });
+
+      const invoice = await invoiceService.issueInvoice(buildUpiPayment());
+
+      expect(invoice).toMatchObject({ supplyType: 'inter_state', igst: 180, cgst: 0, sgst: 0 });
+      expect(invoice.placeOfSupply.stateCode).toBe('29');
+    });
+
+    test('should issue a bill of supply without tax for unregistered mechanics', async () => {
+      mockParties({ gstNumber: null });
+
+      const invoice = await invoiceService.issueInvoice(buildUpiPayment());
+
+      expect(invoice).toMatchObject({ title: 'Bill of Supply', taxable: false, totalTax: 0, taxableAmount: 1180 });
+    });
+
+    test('should return the existing invoice instead of issuing another', async () => {
+      const existing = new Invoice({ type: 'invoice', number: 'INV/26-27/000001' });
+      Invoice.findOne.mockResolvedValue(existing);
+
+      await expect(invoiceService.issueInvoice(buildUpiPayment())).resolves.toBe(existing);
+      expect(Counter.next).not.toHaveBeenCalled();
+    });
+
+    test('should refuse payments that have not succeeded', async () => {
+      await expect(invoiceService.issueInvoice(buildUpiPayment({ status: 'pending' })))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('issueCreditNote', () => {
+    test('should credit the refunded amount with the tax split of the invoice', async () => {
+      const original = new Invoice({
+        type: 'invoice',
+        number: 'INV/26-27/000003',
+        paymentId,
+        customerId,
+        mechanicId,
+        supplyType: 'intra_state',
+        taxable: true,
+        placeOfSupply: { state: 'Maharashtra', stateCode: '27' },
+        lineItems: [{ description: 'Roadside tyre repair', sac: '998714', taxableValue: 1000, taxRate: 18 }],
+        taxableAmount: 1000,
+        total: 1180
+      });
+      jest.spyOn(Payment, 'findById').mockResolvedValue(buildUpiPayment({ status: 'refunded' }));
+      jest.spyOn(invoiceService, 'issueInvoice').mockResolvedValue(original);
+
+      const creditNote = await invoiceService.issueCreditNote({ _id: refundId, paymentId, approvedAmount: 590 });
+
+      expect(creditNote.number).toMatch(/^CN\/\d{2}-\d{2}\/000007$/);
+      expect(creditNote).toMatchObject({
+        title: 'Credit Note',
+        taxableAmount: 500,
+        cgst: 45,
+        sgst: 45,
+        total: 590
+      });
+      expect(creditNote.originalInvoiceId).toEqual(original._id);
+      expect(creditNote.lineItems[0].description).toBe('Refund against invoice INV/26-27/000003');
+    });
+  });
+
+  describe('getPaymentInvoice', () => {
+    test('should hide payments from users who are not part of them', async () => {
+      jest.spyOn(Payment, 'findById').mockResolvedValue(buildUpiPayment());
+
+      await expect(invoiceService.getPaymentInvoice(paymentId, { _id: '64b7f0c2a1b2c3d4e5f60099', role: 'customer' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('renderPdf', () => {
+    test('should render a PDF with the invoice number and tax lines', () => {
+      const invoice = new Invoice({
+        type: 'invoice',
+        number: 'INV/26-27/000007',
+        supplyType: 'intra_state',
+        taxable: true,
+        supplier: { name: 'Ravi Auto Works (Pune)', gstin: '27ABCDE1234F1Z5' },
+        recipient: { name: 'Asha' },
+        lineItems: [{ description: 'Roadside tyre repair', sac: '998714', taxableValue: 1000, taxRate: 18 }],
+        taxableAmount: 1000,
+        cgst: 90,
+        sgst: 90,
+        total: 1180,
+        issuedAt: new Date()
+      });
+
+      const pdf = invoiceService.renderPdf(invoice).toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf).toContain('INV/26-27/000007');
+      expect(pdf).toContain('(CGST @ 9%)');
+      expect(pdf).toContain('(Ravi Auto Works \\(Pune\\))');
+      expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    });
+  });
+});
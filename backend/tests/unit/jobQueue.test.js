@@ -0,0 +1,116 @@
+const QueueJob = require('../../src/models/QueueJob');
+const jobQueue = require('../../src/services/jobQueue');
+
+const buildJob = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60021',
+  type: 'notification.sms',
+  payload: { to: '+919876543210', message: 'Mechanic on the way' },
+  priority: 'medium',
+  attempts: 1,
+  maxAttempts: 3,
+  ...overrides
+});
+
+describe('Job Queue', () => {
+  beforeEach(() => {
+    jobQueue.baseDelayMs = 1000;
+    jobQueue.maxDelayMs = 60 * 1000;
+    jest.spyOn(QueueJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jobQueue.handlers.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('should double the retry delay on every attempt up to the cap', () => {
+    expect(jobQueue.getBackoffDelay(1)).toBe(1000);
+    expect(jobQueue.getBackoffDelay(2)).toBe(2000);
+    expect(jobQueue.getBackoffDelay(4)).toBe(8000);
+    expect(jobQueue.getBackoffDelay(10)).toBe(60 * 1000);
+  });
+
+  test('should persist new jobs with their priority', async () => {
+    jest.spyOn(QueueJob, 'create').mockImplementation(async (doc) => ({ _id: 'job', ...doc }));
+
+    await jobQueue.enqueue('notification.email', { to: 'asha@test.com' }, { priority: 'low' });
+    await jobQueue.enqueue('notification.email', { to: 'asha@test.com' }, { priority: 'urgent' });
+
+    expect(QueueJob.create.mock.calls[0][0]).toMatchObject({ type: 'notification.email', priority: 'low' });
+    expect(QueueJob.create.mock.calls[1][0].priority).toBe('medium');
+  });
+
+  test('should mark the job completed when the handler succeeds', async () => {
+    const handler = jest.fn().mockResolvedValue({ messageId: 'SM1' });
+    jobQueue.register('notification.sms', handler);
+    const job = buildJob();
+
+    await expect(jobQueue.runJob(job)).resolves.toBe(true);
+
+    expect(handler).toHaveBeenCalledWith(job.payload, job);
+    expect(QueueJob.updateOne).toHaveBeenCalledWith(
+      { _id: job._id },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'completed' }) })
+    );
+  });
+
+  test('should reschedule a failed job with backoff while attempts remain', async () => {
+    jobQueue.register('notification.sms', jest.fn().mockRejectedValue(new Error('Provider timeout')));
+    const before = Date.now();
+
+    await expect(jobQueue.runJob(buildJob({ attempts: 2 }))).resolves.toBe(false);
+
+    const [, update] = QueueJob.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ status: 'pending', lastError: 'Provider timeout' });
+    expect(update.$set.runAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+  });
+
+  test('should dead-letter a job once it is out of attempts', async () => {
+    jobQueue.register('notification.sms', jest.fn().mockRejectedValue(new Error('Invalid number')));
+
+    await jobQueue.runJob(buildJob({ attempts: 3 }));
+
+    const [, update] = QueueJob.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ status: 'dead', lastError: 'Invalid number' });
+    expect(update.$set.failedAt).toBeInstanceOf(Date);
+  });
+
+  test('should treat a job without a handler as a failure', async () => {
+    await jobQueue.runJob(buildJob({ type: 'unknown.job', attempts: 3 }));
+
+    const [, update] = QueueJob.updateOne.mock.calls[0];
+    expect(update.$set.status).toBe('dead');
+    expect(update.$set.lastError).toMatch(/No handler registered/);
+  });
+
+  test('should report counts by status and pending priority', async () => {
+    jest.spyOn(QueueJob, 'aggregate').mockResolvedValue([
+      { _id: { status: 'pending', priority: 'high' }, count: 2 },
+      { _id: { status: 'pending', priority: 'low' }, count: 3 },
+      { _id: { status: 'processing', priority: 'medium' }, count: 1 },
+      { _id: { status: 'dead', priority: 'medium' }, count: 4 }
+    ]);
+    const oldest = new Date('2026-01-01T00:00:00Z');
+    jest.spyOn(QueueJob, 'findOne').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => ({ createdAt: oldest }) }) })
+    });
+
+    await expect(jobQueue.getStats()).resolves.toEqual({
+      pending: { high: 2, medium: 0, low: 3, total: 5 },
+      processing: 1,
+      completed: 0,
+      dead: 4,
+      oldestPendingAt: oldest
+    });
+  });
+
+  test('should only replay jobs that are dead-lettered', async () => {
+    jest.spyOn(QueueJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(jobQueue.replay('64b7f0c2a1b2c3d4e5f60021', 'admin')).resolves.toBeNull();
+
+    const [filter, update] = QueueJob.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: '64b7f0c2a1b2c3d4e5f60021', status: 'dead' });
+    expect(update.$set).toMatchObject({ status: 'pending', attempts: 0, replayedBy: 'admin' });
+  });
+});
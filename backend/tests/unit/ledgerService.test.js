@@ -0,0 +1,188 @@
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Payout = require('../../src/models/Payout');
+const SettlementBatch = require('../../src/models/SettlementBatch');
+const ledgerService = require('../../src/services/ledgerService');
+const { ids, buildPayment, buildRefund, duplicateKeyError } = require('../helpers/fixtures');
+
+const { mechanicId, adminId, paymentId } = ids;
+const otherMechanicId = '64b7f0c2a1b2c3d4e5f60004';
+const payoutId = '64b7f0c2a1b2c3d4e5f60061';
+
+// insertMany with ordered: false reports which documents hit the unique index
+const bulkDuplicateKeyError = () => duplicateKeyError({ writeErrors: [{ code: 11000 }], insertedDocs: [] });
+
+describe('Ledger Service', () => {
+  const originalRate = process.env.PLATFORM_COMMISSION_RATE;
+
+  beforeEach(() => {
+    process.env.PLATFORM_COMMISSION_RATE = '0.2';
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (docs) => docs);
+  });
+
+  afterEach(() => {
+    process.env.PLATFORM_COMMISSION_RATE = originalRate;
+    jest.restoreAllMocks();
+  });
+
+  describe('getCommissionRate', () => {
+    test('should fall back to the default for missing or out-of-range rates', () => {
+      process.env.PLATFORM_COMMISSION_RATE = '';
+      expect(ledgerService.getCommissionRate()).toBe(0.15);
+
+      process.env.PLATFORM_COMMISSION_RATE = '1.5';
+      expect(ledgerService.getCommissionRate()).toBe(0.15);
+    });
+  });
+
+  describe('recordPayment', () => {
+    test('should credit the earning and debit the commission', async () => {
+      const entries = await ledgerService.recordPayment(buildPayment({ paidAt: new Date('2026-10-07T10:00:00Z') }));
+
+      expect(entries).toEqual([
+        expect.objectContaining({ type: 'credit', category: 'job_earning', amount: 800 }),
+        expect.objectContaining({ type: 'debit', category: 'platform_commission', amount: 160, commissionRate: 0.2 })
+      ]);
+      expect(entries[0].postedAt).toEqual(new Date('2026-10-07T10:00:00Z'));
+    });
+
+    test('should debit cash the mechanic collected', async () => {
+      const entries = await ledgerService.recordPayment(buildPayment({ method: 'Cash' }));
+
+      expect(entries).toContainEqual(expect.objectContaining({
+        type: 'debit',
+        category: 'cash_collected',
+        amount: 800
+      }));
+    });
+
+    test('should skip payments that are not successful', async () => {
+      const entries = await ledgerService.recordPayment(buildPayment({ status: 'pending' }));
+
+      expect(entries).toEqual([]);
+      expect(LedgerEntry.insertMany).not.toHaveBeenCalled();
+    });
+
+    test('should treat an already posted payment as done', async () => {
+      LedgerEntry.insertMany.mockRejectedValue(bulkDuplicateKeyError());
+
+      await expect(ledgerService.recordPayment(buildPayment())).resolves.toEqual([]);
+    });
+  });
+
+  describe('recordRefund', () => {
+    test('should debit the refund and return the commission at the original rate', async () => {
+      jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue({ commissionRate: 0.1 });
+      const refund = buildRefund({ amount: 400, approvedAmount: 400, status: 'processed' });
+
+      const entries = await ledgerService.recordRefund(refund);
+
+      expect(entries).toEqual([
+        expect.objectContaining({ type: 'debit', category: 'refund', amount: 400 }),
+        expect.objectContaining({ type: 'credit', category: 'commission_reversal', amount: 40 })
+      ]);
+      expect(entries[0].paymentId).toBeUndefined();
+    });
+  });
+
+  describe('runSettlement', () => {
+    const periodEnd = new Date('2026-10-12T00:00:00Z');
+    let batch;
+
+    beforeEach(() => {
+      batch = new SettlementBatch({ periodEnd, createdBy: adminId });
+      jest.spyOn(batch, 'save').mockResolvedValue(batch);
+      jest.spyOn(SettlementBatch, 'findOne')
+        .mockResolvedValueOnce(null)
+        .mockReturnValueOnce({ sort: async () => null });
+      jest.spyOn(SettlementBatch, 'create').mockResolvedValue(batch);
+      jest.spyOn(ledgerService, 'postMissingEntries').mockResolvedValue();
+      jest.spyOn(Payout, 'create').mockImplementation(async (data) => ({ _id: payoutId, ...data }));
+      jest.spyOn(LedgerEntry, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(LedgerEntry, 'create').mockImplementation(async (data) => data);
+    });
+
+    test('should pay out positive balances and carry the rest forward', async () => {
+      jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([
+        { _id: mechanicId, credits: 1000, debits: 200, entryIds: ['e1', 'e2'] },
+        { _id: otherMechanicId, credits: 500, debits: 600, entryIds: ['e3', 'e4', 'e5'] }
+      ]);
+
+      const result = await ledgerService.runSettlement({ periodEnd, adminId });
+
+      expect(ledgerService.postMissingEntries).toHaveBeenCalledWith(periodEnd);
+      expect(LedgerEntry.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { payoutId: null, postedAt: { $lt: periodEnd } }
+      });
+      expect(Payout.create).toHaveBeenCalledTimes(1);
+      expect(Payout.create).toHaveBeenCalledWith(expect.objectContaining({
+        mechanicId,
+        amount: 800,
+        entryCount: 2,
+        periodEnd
+      }));
+      expect(LedgerEntry.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['e1', 'e2'] }, payoutId: null },
+        { $set: { payoutId, settledAt: expect.any(Date) } }
+      );
+      expect(LedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'debit',
+        category: 'payout',
+        amount: 800,
+        payoutId
+      }));
+      expect(result.status).toBe('completed');
+      expect(result.totals.toObject()).toEqual({ payouts: 1, amount: 800, carriedForward: 1 });
+    });
+
+    test('should refuse a second batch for the same period', async () => {
+      SettlementBatch.findOne.mockReset();
+      SettlementBatch.findOne.mockResolvedValue(new SettlementBatch({ periodEnd, status: 'completed' }));
+
+      await expect(ledgerService.runSettlement({ periodEnd, adminId })).rejects.toMatchObject({ statusCode: 409 });
+      expect(SettlementBatch.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse periods ending in the future', async () => {
+      const nextYear = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+      await expect(ledgerService.runSettlement({ periodEnd: nextYear, adminId })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should mark the batch failed when settling breaks', async () => {
+      jest.spyOn(LedgerEntry, 'aggregate').mockRejectedValue(new Error('connection lost'));
+
+      await expect(ledgerService.runSettlement({ periodEnd, adminId })).rejects.toThrow('connection lost');
+      expect(batch.status).toBe('failed');
+      expect(batch.error).toBe('connection lost');
+    });
+  });
+
+  describe('updatePayoutStatus', () => {
+    test('should credit a failed payout back for the next batch', async () => {
+      jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue({ _id: payoutId, mechanicId, amount: 800, status: 'failed' });
+      jest.spyOn(LedgerEntry, 'create').mockImplementation(async (data) => data);
+
+      await ledgerService.updatePayoutStatus(payoutId, adminId, { status: 'failed', reason: 'Account closed' });
+
+      expect(Payout.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: payoutId, status: 'pending' },
+        { $set: expect.objectContaining({ status: 'failed', failureReason: 'Account closed' }) },
+        { new: true }
+      );
+      expect(LedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+        mechanicId,
+        type: 'credit',
+        category: 'payout_reversal',
+        amount: 800
+      }));
+    });
+
+    test('should not change a payout that is no longer pending', async () => {
+      jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Payout, 'exists').mockResolvedValue({ _id: payoutId });
+
+      await expect(ledgerService.updatePayoutStatus(payoutId, adminId, { status: 'paid', reference: 'UTR1' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const dispatchService = require('../../src/services/dispatchService');
+const { acceptRequest } = require('../../src/controllers/mechanicController');
+const { ids, mockResponse } = require('../helpers/fixtures');
+
+const { customerId, mechanicId, requestId } = ids;
+const otherMechanicId = '64b7f0c2a1b2c3d4e5f60004';
+
+const buildRequest = (overrides = {}) => new ServiceRequest({
+  _id: requestId,
+  customerId,
+  issueType: 'flat_tire',
+  description: 'Rear tyre is flat',
+  vehicleInfo: { type: 'car', model: 'Swift', plate: 'KA01AB1234' },
+  location: { lat: 12.9716, lng: 77.5946 },
+  status: 'assigned',
+  mechanicId,
+  acceptedAt: new Date(),
+  ...overrides
+});
+
+const acceptAs = (id) => ({ user: { id }, params: { requestId }, body: {} });
+
+describe('Mechanic Controller', () => {
+  beforeEach(() => {
+    jest.spyOn(ServiceRequest.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(ServiceRequest, 'claimForMechanic');
+    jest.spyOn(dispatchService, 'notifyRequestTaken').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('acceptRequest', () => {
+    test('should answer a retried accept from the mechanic who holds the request', async () => {
+      jest.spyOn(ServiceRequest, 'findById').mockResolvedValue(buildRequest());
+      const res = mockResponse();
+
+      await acceptRequest(acceptAs(mechanicId), res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, data: { status: 'assigned' } });
+      expect(ServiceRequest.claimForMechanic).not.toHaveBeenCalled();
+      expect(dispatchService.notifyRequestTaken).not.toHaveBeenCalled();
+    });
+
+    test('should answer a mechanic whose other accept won the claim', async () => {
+      jest.spyOn(ServiceRequest, 'findById')
+        .mockResolvedValueOnce(buildRequest({ status: 'pending' }))
+        .mockResolvedValueOnce(buildRequest());
+      ServiceRequest.claimForMechanic.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await acceptRequest({ ...acceptAs(mechanicId), body: { quotation: 800 } }, res);
+
+      expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, message: 'Service request already accepted' });
+      expect(dispatchService.notifyRequestTaken).not.toHaveBeenCalled();
+    });
+
+    test('should still refuse another mechanic with 409', async () => {
+      jest.spyOn(ServiceRequest, 'findById').mockResolvedValue(buildRequest());
+      const res = mockResponse();
+
+      await acceptRequest(acceptAs(otherMechanicId), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(dispatchService.notifyRequestTaken).toHaveBeenCalledWith(requestId, otherMechanicId);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const Notification = require('../../src/models/Notification');
+const { resolveChannels } = require('../../src/config/notificationEvents');
+
+// tests/setup.js mocks notificationService; these tests need the real fan-out logic
+const notificationService = jest.requireActual('../../src/services/notificationService');
+
+const customer = {
+  _id: '64b7f0c2a1b2c3d4e5f60002',
+  name: 'Asha',
+  email: 'asha@test.com',
+  phone: '+919876543210'
+};
+
+const serviceRequest = {
+  _id: '64b7f0c2a1b2c3d4e5f60001',
+  issueType: 'flat_tire',
+  location: { address: 'MG Road' }
+};
+
+describe('Notification Preferences', () => {
+  describe('resolveChannels', () => {
+    test('should use event defaults when nothing is saved', () => {
+      expect(resolveChannels(undefined, 'status_update')).toEqual({
+        email: false,
+        sms: true,
+        push: true,
+        inApp: true
+      });
+    });
+
+    test('should let saved choices override single channels', () => {
+      const preferences = new Map([['status_update', { sms: false }]]);
+
+      expect(resolveChannels(preferences, 'status_update')).toMatchObject({ sms: false, push: true });
+      expect(resolveChannels(preferences, 'request_assigned').sms).toBe(true);
+    });
+
+    test('should read plain objects from lean queries', () => {
+      expect(resolveChannels({ payment_success: { email: false } }, 'payment_success').email).toBe(false);
+    });
+  });
+
+  describe('notificationService.notifyUser', () => {
+    let socketHandlers;
+
+    beforeEach(() => {
+      socketHandlers = { emitToUser: jest.fn() };
+      notificationService.setSocketHandlers(socketHandlers);
+
+      jest.spyOn(notificationService, 'sendEmail').mockResolvedValue({ success: true });
+      jest.spyOn(notificationService, 'sendSMS').mockResolvedValue({ success: true });
+      jest.spyOn(notificationService, 'sendPushNotification').mockResolvedValue({ success: true });
+      jest.spyOn(Notification, 'create').mockImplementation(async (doc) => ({
+        ...doc,
+        toObject: () => doc
+      }));
+    });
+
+    afterEach(() => {
+      notificationService.setSocketHandlers(null);
+      jest.restoreAllMocks();
+    });
+
+    test('should send on every default channel and record the inbox entry', async () => {
+      await notificationService.notifyMechanicAssigned(
+        { ...customer, notificationPreferences: {} },
+        { _id: '64b7f0c2a1b2c3d4e5f60003', name: 'Ravi', phone: '+919000000000' },
+        serviceRequest
+      );
+
+      expect(notificationService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: customer.email }));
+      expect(notificationService.sendSMS).toHaveBeenCalledWith(expect.objectContaining({ to: customer.phone }));
+      expect(notificationService.sendPushNotification).toHaveBeenCalledWith(expect.objectContaining({
+        userId: customer._id,
+        data: expect.objectContaining({ type: 'request_assigned' })
+      }));
+
+      const [stored] = Notification.create.mock.calls[0];
+      expect(stored).toMatchObject({
+        userId: customer._id,
+        type: 'request_assigned',
+        requestId: serviceRequest._id,
+        channels: ['email', 'sms', 'push', 'inApp']
+      });
+      expect(socketHandlers.emitToUser).toHaveBeenCalledWith(
+        customer._id,
+        'new_notification',
+        expect.objectContaining({ type: 'request_assigned' })
+      );
+    });
+
+    test('should skip the channels the user switched off and keep in-app ones out of the inbox', async () => {
+      const preferences = new Map([['status_update', { sms: false, inApp: false }]]);
+
+      await notificationService.notifyStatusUpdate(
+        { ...customer, notificationPreferences: preferences },
+        serviceRequest,
+        'enroute'
+      );
+
+      expect(notificationService.sendSMS).not.toHaveBeenCalled();
+      expect(notificationService.sendPushNotification).toHaveBeenCalled();
+      expect(Notification.create).not.toHaveBeenCalled();
+      expect(socketHandlers.emitToUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const Payment = require('../../src/models/Payment');
+const User = require('../../src/models/User');
+const paymentService = require('../../src/services/paymentService');
+const walletService = require('../../src/services/walletService');
+const { createPaymentOrder, createPostCompletionPaymentOrder } = require('../../src/controllers/paymentController');
+const { ids, mockResponse } = require('../helpers/fixtures');
+
+const { customerId, mechanicId, requestId } = ids;
+
+const buildRequest = () => new ServiceRequest({
+  _id: requestId,
+  customerId,
+  mechanicId: new User({ _id: mechanicId, name: 'Ravi Kumar', role: 'mechanic' }),
+  issueType: 'flat_tire',
+  description: 'Rear tyre is flat',
+  vehicleInfo: { type: 'car', model: 'Swift', plate: 'KA01AB1234' },
+  location: { lat: 12.9716, lng: 77.5946 },
+  quotation: 760,
+  quote: { status: 'accepted', approvedAmount: 800 },
+  finalAmount: 800,
+  status: 'completed'
+});
+
+// The order the completed hook opens: gateway only, no wallet share
+const buildCompletionOrder = () => new Payment({
+  requestId,
+  customerId,
+  mechanicId,
+  amount: 800,
+  processingFee: 16,
+  method: 'UPI',
+  razorpayOrderId: 'order_completion',
+  status: 'pending'
+});
+
+describe('Payment Controller', () => {
+  let completionOrder;
+
+  beforeEach(() => {
+    completionOrder = buildCompletionOrder();
+    jest.spyOn(ServiceRequest, 'findOne').mockReturnValue({ populate: async () => buildRequest() });
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ sort: async () => completionOrder });
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(paymentService, 'createOrder').mockResolvedValue({ id: 'order_wallet_split' });
+    jest.spyOn(walletService, 'releasePayment').mockResolvedValue(null);
+    jest.spyOn(walletService, 'holdForPayment').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createPaymentOrder', () => {
+    test('should only accept the amount due under the approved quote', async () => {
+      Payment.findOne.mockReturnValue({ sort: async () => null });
+      const res = mockResponse();
+
+      await createPaymentOrder({ user: { id: customerId }, body: { serviceRequestId: requestId, amount: 760 } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ expected: 800, provided: 760 });
+      expect(paymentService.createOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createPostCompletionPaymentOrder', () => {
+    test('should charge the approved quote rather than the estimate', async () => {
+      Payment.findOne.mockReturnValue({ sort: async () => null });
+      const res = mockResponse();
+
+      await createPostCompletionPaymentOrder({ user: { id: customerId }, body: { serviceRequestId: requestId } }, res);
+
+      expect(paymentService.createOrder).toHaveBeenCalledWith(expect.objectContaining({ amount: 80000 }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should replace the order opened at completion when the customer pays from the wallet', async () => {
+      jest.spyOn(walletService, 'getCoverableAmount').mockResolvedValue(300);
+      const res = mockResponse();
+
+      await createPostCompletionPaymentOrder({ user: { id: customerId }, body: { serviceRequestId: requestId, useWallet: true } }, res);
+
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: completionOrder._id, status: 'pending' },
+        { $set: expect.objectContaining({ status: 'failed' }) }
+      );
+      expect(paymentService.createOrder).toHaveBeenCalledWith(expect.objectContaining({ amount: 50000 }));
+      expect(walletService.holdForPayment).toHaveBeenCalledWith(expect.objectContaining({ walletAmount: 300 }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ orderId: 'order_wallet_split', walletAmount: 300, amount: 500 });
+    });
+
+    test('should keep the open order when the wallet is not used or is empty', async () => {
+      jest.spyOn(walletService, 'getCoverableAmount').mockResolvedValue(0);
+
+      for (const useWallet of [false, true]) {
+        const res = mockResponse();
+        await createPostCompletionPaymentOrder({ user: { id: customerId }, body: { serviceRequestId: requestId, useWallet } }, res);
+
+        expect(res.json.mock.calls[0][0]).toMatchObject({
+          message: 'Payment order already created',
+          data: { orderId: 'order_completion', walletAmount: 0 }
+        });
+      }
+      expect(Payment.updateOne).not.toHaveBeenCalled();
+      expect(paymentService.createOrder).not.toHaveBeenCalled();
+    });
+  });
+});
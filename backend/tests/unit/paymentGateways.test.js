@@ -0,0 +1,259 @@
+const http = require('http');
+const crypto = require('crypto');
+const {
+  createPaymentGateway,
+  RazorpayGateway,
+  MockPaymentGateway
+} = require('../../src/services/payments');
+
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+// Minimal HTTP server that records requests and replies with canned responses
+const startStubServer = (handler) => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const recorded = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(recorded);
+      const { status = 200, payload = {} } = handler(recorded);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      server,
+      requests,
+      url: `http://127.0.0.1:${server.address().port}`
+    });
+  });
+});
+
+describe('Payment Gateways', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) {
+      await new Promise(resolve => stub.server.close(resolve));
+      stub = null;
+    }
+  });
+
+  describe('createPaymentGateway', () => {
+    test('should use Razorpay when it has credentials', () => {
+      const gateway = createPaymentGateway({ RAZORPAY_KEY_ID: 'rzp_test_key', RAZORPAY_KEY_SECRET: 'secret' });
+
+      expect(gateway).toBeInstanceOf(RazorpayGateway);
+      expect(gateway.checkoutKey).toBe('rzp_test_key');
+    });
+
+    test('should fall back to the mock gateway outside production only', () => {
+      expect(createPaymentGateway({ NODE_ENV: 'development' })).toBeInstanceOf(MockPaymentGateway);
+      expect(() => createPaymentGateway({ NODE_ENV: 'production' })).toThrow('RAZORPAY_KEY_ID');
+    });
+
+    test('should build the mock gateway from the environment', () => {
+      const gateway = createPaymentGateway({
+        PAYMENT_GATEWAY: 'mock',
+        NODE_ENV: 'test',
+        MOCK_GATEWAY_OUTCOME: 'failure',
+        MOCK_GATEWAY_DELAY_MS: '25'
+      });
+
+      expect(gateway.name).toBe('mock');
+      expect(gateway.outcome).toBe('failure');
+      expect(gateway.delayMs).toBe(25);
+      expect(gateway.webhookUrl).toBeNull();
+    });
+
+    test('should refuse the mock gateway in production and unknown gateways', () => {
+      expect(() => createPaymentGateway({ PAYMENT_GATEWAY: 'mock', NODE_ENV: 'production' })).toThrow('production');
+      expect(() => createPaymentGateway({ PAYMENT_GATEWAY: 'paypal' })).toThrow('Unknown payment gateway');
+    });
+  });
+
+  describe('MockPaymentGateway', () => {
+    const buildGateway = (options = {}) => new MockPaymentGateway({ secret: 'mock-secret', idPrefix: 'test', ...options });
+
+    test('should hand out deterministic IDs', async () => {
+      const gateway = buildGateway();
+
+      const first = await gateway.createOrder({ amount: 80000, receipt: 'rcpt_1' });
+      const second = await gateway.createOrder({ amount: 50000, receipt: 'rcpt_2' });
+
+      expect(first).toMatchObject({ id: 'order_mocktest000001', amount: 80000, currency: 'INR', status: 'created' });
+      expect(second.id).toBe('order_mocktest000002');
+    });
+
+    test('should capture a successful payment and sign it like Razorpay', async () => {
+      const gateway = buildGateway();
+      const order = await gateway.createOrder({ amount: 80000, receipt: 'rcpt_1' });
+
+      const { payment, signature } = await gateway.pay(order.id);
+
+      expect(payment).toMatchObject({ order_id: order.id, amount: 80000, status: 'captured' });
+      expect(signature).toBe(sign('mock-secret', `${order.id}|${payment.id}`));
+      expect(gateway.verifyPaymentSignature({ orderId: order.id, paymentId: payment.id, signature })).toBe(true);
+      expect(gateway.verifyPaymentSignature({ orderId: order.id, paymentId: payment.id, signature: 'forged' })).toBe(false);
+      expect(gateway.deliveries.map(delivery => delivery.body.event)).toEqual(['payment.captured', 'order.paid']);
+
+      await expect(gateway.pay(order.id)).rejects.toMatchObject({
+        statusCode: 400,
+        error: { description: 'Order has already been paid' }
+      });
+    });
+
+    test('should decline payments without a signature when told to fail', async () => {
+      const gateway = buildGateway({ outcome: 'failure' });
+      const order = await gateway.createOrder({ amount: 80000, receipt: 'rcpt_1' });
+
+      const { payment, signature } = await gateway.pay(order.id);
+
+      expect(payment.status).toBe('failed');
+      expect(payment.error_description).toBe('Payment declined by the mock gateway');
+      expect(signature).toBeNull();
+      expect(gateway.deliveries.map(delivery => delivery.body.event)).toEqual(['payment.failed']);
+    });
+
+    test('should leave authorized payments for the server to capture', async () => {
+      const gateway = buildGateway();
+      const order = await gateway.createOrder({ amount: 80000, receipt: 'rcpt_1' });
+      const { payment } = await gateway.pay(order.id, { outcome: 'authorize' });
+
+      expect(payment.status).toBe('authorized');
+      await expect(gateway.capturePayment(payment.id, { amount: 100 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      const captured = await gateway.capturePayment(payment.id, { amount: 80000 });
+
+      expect(captured.status).toBe('captured');
+      expect((await gateway.fetchPayment(payment.id)).status).toBe('captured');
+      expect(gateway.deliveries.map(delivery => delivery.body.event))
+        .toEqual(['payment.authorized', 'payment.captured', 'order.paid']);
+      // Each delivery is a snapshot, so the authorized event still says authorized
+      expect(gateway.deliveries[0].body.payload.payment.entity.status).toBe('authorized');
+    });
+
+    test('should wait the configured delay on every call', async () => {
+      const gateway = buildGateway({ delayMs: 30 });
+      const startedAt = Date.now();
+
+      await gateway.createOrder({ amount: 80000, receipt: 'rcpt_1' });
+
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(25);
+    });
+
+    test('should emit webhooks that parse back with their signature', async () => {
+      const gateway = buildGateway();
+      const order = await gateway.createOrder({ amount: 80000, receipt: 'rcpt_1' });
+      await gateway.pay(order.id);
+      const [delivery] = gateway.deliveries;
+
+      const parsed = gateway.parseWebhook({
+        body: delivery.body,
+        headers: { 'x-razorpay-signature': delivery.signature, 'x-razorpay-event-id': delivery.eventId }
+      });
+
+      expect(parsed).toEqual({ eventId: delivery.eventId, event: 'payment.captured', body: delivery.body });
+      expect(gateway.parseWebhook({
+        body: { ...delivery.body, event: 'payment.failed' },
+        headers: { 'x-razorpay-signature': delivery.signature }
+      })).toBeNull();
+    });
+
+    test('should post webhooks to the configured URL', async () => {
+      stub = await startStubServer(() => ({ payload: { success: true } }));
+      const gateway = buildGateway({ webhookUrl: `${stub.url}/api/payments/webhook/mock` });
+      const order = await gateway.createOrder({ amount: 80000, receipt: 'rcpt_1' });
+
+      await gateway.pay(order.id);
+      for (let waited = 0; stub.requests.length < 2 && waited < 2000; waited += 20) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(stub.requests).toHaveLength(2);
+      const sent = stub.requests.find(({ headers }) => headers['x-razorpay-event-id'] === gateway.deliveries[0].eventId);
+      expect(sent.url).toBe('/api/payments/webhook/mock');
+      expect(JSON.parse(sent.body).event).toBe('payment.captured');
+      expect(sent.headers['x-razorpay-signature']).toBe(sign('mock-secret', sent.body));
+    });
+
+    test('should refund captured payments and report the result by webhook', async () => {
+      const gateway = buildGateway();
+      const order = await gateway.createOrder({ amount: 80000, receipt: 'rcpt_1' });
+      const { payment } = await gateway.pay(order.id);
+
+      const refund = await gateway.refund(payment.id, { amount: 30000, notes: { reason: 'Partial refund' } });
+
+      expect(refund).toMatchObject({ payment_id: payment.id, amount: 30000, status: 'pending' });
+      const processed = gateway.deliveries[gateway.deliveries.length - 1].body;
+      expect(processed.event).toBe('refund.processed');
+      expect(processed.payload.refund.entity).toMatchObject({ id: refund.id, status: 'processed' });
+
+      await expect(gateway.refund(payment.id, { amount: 60000 }))
+        .rejects.toMatchObject({ error: { description: 'The refund amount exceeds the amount captured' } });
+    });
+  });
+
+  describe('RazorpayGateway', () => {
+    const buildGateway = (baseUrl) => new RazorpayGateway({
+      keyId: 'rzp_test_key',
+      keySecret: 'key-secret',
+      webhookSecret: 'webhook-secret',
+      baseUrl
+    });
+
+    test('should create orders through the Razorpay API', async () => {
+      stub = await startStubServer(() => ({
+        payload: { id: 'order_001', entity: 'order', amount: 80000, currency: 'INR', status: 'created' }
+      }));
+
+      const order = await buildGateway(stub.url).createOrder({ amount: 80000, receipt: 'rcpt_1', notes: { requestId: 'sr_1' } });
+
+      expect(order.id).toBe('order_001');
+      const [sent] = stub.requests;
+      expect(sent.method).toBe('POST');
+      expect(sent.url).toBe('/v1/orders');
+      expect(sent.headers.authorization).toBe(`Basic ${Buffer.from('rzp_test_key:key-secret').toString('base64')}`);
+      expect(JSON.parse(sent.body)).toMatchObject({ amount: 80000, currency: 'INR', receipt: 'rcpt_1' });
+    });
+
+    test('should capture and refund through the Razorpay API', async () => {
+      stub = await startStubServer(({ url }) => ({
+        payload: url.endsWith('/capture')
+          ? { id: 'pay_001', status: 'captured' }
+          : { id: 'rfnd_001', status: 'processed' }
+      }));
+      const gateway = buildGateway(stub.url);
+
+      await gateway.capturePayment('pay_001', { amount: 80000 });
+      await gateway.refund('pay_001', { amount: 30000, notes: { reason: 'Partial refund' } });
+
+      expect(stub.requests.map(sent => sent.url)).toEqual(['/v1/payments/pay_001/capture', '/v1/payments/pay_001/refund']);
+      expect(JSON.parse(stub.requests[0].body)).toEqual({ amount: 80000, currency: 'INR' });
+      expect(JSON.parse(stub.requests[1].body)).toMatchObject({ amount: 30000, speed: 'normal' });
+    });
+
+    test('should check payment and webhook signatures with their own secrets', () => {
+      const gateway = buildGateway();
+      const body = { event: 'payment.captured', payload: {} };
+
+      expect(gateway.verifyPaymentSignature({
+        orderId: 'order_001',
+        paymentId: 'pay_001',
+        signature: sign('key-secret', 'order_001|pay_001')
+      })).toBe(true);
+      expect(gateway.parseWebhook({
+        body,
+        headers: { 'x-razorpay-signature': sign('webhook-secret', JSON.stringify(body)), 'x-razorpay-event-id': 'evt_001' }
+      })).toEqual({ eventId: 'evt_001', event: 'payment.captured', body });
+      expect(gateway.parseWebhook({
+        body,
+        headers: { 'x-razorpay-signature': sign('key-secret', JSON.stringify(body)) }
+      })).toBeNull();
+    });
+  });
+});
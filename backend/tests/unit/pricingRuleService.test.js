@@ -0,0 +1,203 @@
+const PricingRule = require('../../src/models/PricingRule');
+const Counter = require('../../src/models/Counter');
+const pricingRuleService = require('../../src/services/pricingRuleService');
+const { DEFAULT_PRICING } = require('../../src/config/pricing');
+const { ids } = require('../helpers/fixtures');
+
+const { adminId } = ids;
+const ruleId = '64b7f0c2a1b2c3d4e5f600a1';
+
+const HOUR = 60 * 60 * 1000;
+
+const square = [
+  { lat: 10, lng: 10 },
+  { lat: 10, lng: 11 },
+  { lat: 11, lng: 11 },
+  { lat: 11, lng: 10 }
+];
+
+// findOne(...).sort(...).lean() resolving to the rule in force
+const mockActiveRule = (rule) => (
+  jest.spyOn(PricingRule, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => rule }) })
+);
+
+const buildRule = (overrides = {}) => new PricingRule({
+  ...DEFAULT_PRICING,
+  _id: ruleId,
+  version: 3,
+  effectiveFrom: new Date(Date.now() + HOUR),
+  basedOnVersion: 2,
+  ...overrides
+});
+
+describe('Pricing Rule Service', () => {
+  beforeEach(() => {
+    pricingRuleService.clearCache();
+    jest.spyOn(PricingRule, 'create').mockImplementation(async (data) => new PricingRule(data));
+    jest.spyOn(PricingRule.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('mergeRule', () => {
+    test('should merge tables key by key and keep the rest of the rule', () => {
+      const merged = pricingRuleService.mergeRule(DEFAULT_PRICING, {
+        baseRates: { flat_tire: { min: 600, base: 900, max: 1600 } },
+        timeMultipliers: { night: 1.8 }
+      });
+
+      expect(merged.baseRates.flat_tire).toEqual({ min: 600, base: 900, max: 1600 });
+      expect(merged.baseRates.battery_dead).toEqual(DEFAULT_PRICING.baseRates.battery_dead);
+      expect(merged.timeMultipliers).toEqual({ ...DEFAULT_PRICING.timeMultipliers, night: 1.8 });
+      expect(merged.regions).toBe(DEFAULT_PRICING.regions);
+      expect(merged.defaultRegionMultiplier).toBe(1);
+    });
+
+    test('should replace regions and close their rings', () => {
+      const merged = pricingRuleService.mergeRule(DEFAULT_PRICING, {
+        regions: [{ name: 'Test Town', multiplier: 1.2, points: square }],
+        defaultRegionMultiplier: 0.9
+      });
+
+      expect(merged.regions).toEqual([{
+        name: 'Test Town',
+        multiplier: 1.2,
+        area: { type: 'Polygon', coordinates: [[[10, 10], [11, 10], [11, 11], [10, 11], [10, 10]]] }
+      }]);
+      expect(merged.defaultRegionMultiplier).toBe(0.9);
+    });
+  });
+
+  describe('getActiveRule', () => {
+    test('should fall back to the built-in pricing and cache the result', async () => {
+      mockActiveRule(null);
+
+      const first = await pricingRuleService.getActiveRule();
+      const second = await pricingRuleService.getActiveRule();
+
+      expect(first).toBe(DEFAULT_PRICING);
+      expect(second).toBe(DEFAULT_PRICING);
+      expect(PricingRule.findOne).toHaveBeenCalledTimes(1);
+    });
+
+    test('should use the built-in pricing when the rule cannot be loaded', async () => {
+      jest.spyOn(PricingRule, 'findOne').mockReturnValue({
+        sort: () => ({ lean: async () => { throw new Error('connection lost'); } })
+      });
+
+      await expect(pricingRuleService.getActiveRule()).resolves.toBe(DEFAULT_PRICING);
+    });
+  });
+
+  describe('createRule', () => {
+    test('should publish the next version on top of the rule in force', async () => {
+      mockActiveRule({ ...DEFAULT_PRICING, version: 2 });
+      jest.spyOn(Counter, 'next').mockResolvedValue(3);
+
+      const rule = await pricingRuleService.createRule(adminId, {
+        note: 'Fuel price increase',
+        baseRates: { fuel_empty: { min: 250, base: 350, max: 600 } }
+      });
+
+      expect(Counter.next).toHaveBeenCalledWith('pricingRule');
+      expect(rule.version).toBe(3);
+      expect(rule.basedOnVersion).toBe(2);
+      expect(rule.note).toBe('Fuel price increase');
+      expect(rule.baseRates.get('fuel_empty').base).toBe(350);
+      expect(rule.baseRates.get('flat_tire').base).toBe(800);
+      expect(rule.createdBy.toString()).toBe(adminId);
+    });
+
+    test('should clear the cached rule so the next quotation sees the change', async () => {
+      mockActiveRule(null);
+      jest.spyOn(Counter, 'next').mockResolvedValue(1);
+      await pricingRuleService.getActiveRule();
+
+      await pricingRuleService.createRule(adminId, {});
+      await pricingRuleService.getActiveRule();
+
+      // Once for the first quotation, once as the base of the new rule, once after the cache was cleared
+      expect(PricingRule.findOne).toHaveBeenCalledTimes(3);
+    });
+
+    test('should refuse a rule that takes effect in the past', async () => {
+      jest.spyOn(Counter, 'next');
+
+      await expect(pricingRuleService.createRule(adminId, { effectiveFrom: new Date(Date.now() - HOUR) }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(Counter.next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateRule', () => {
+    test('should edit a scheduled rule', async () => {
+      const rule = buildRule();
+      jest.spyOn(PricingRule, 'findById').mockResolvedValue(rule);
+
+      await pricingRuleService.updateRule(ruleId, adminId, { vehicleMultipliers: { truck: 1.7 }, note: 'Trucks' });
+
+      expect(rule.vehicleMultipliers.get('truck')).toBe(1.7);
+      expect(rule.vehicleMultipliers.get('car')).toBe(1);
+      expect(rule.note).toBe('Trucks');
+      expect(rule.updatedBy.toString()).toBe(adminId);
+      expect(rule.save).toHaveBeenCalled();
+    });
+
+    test('should refuse to change a rule that is already in effect', async () => {
+      const rule = buildRule({ effectiveFrom: new Date(Date.now() - HOUR) });
+      jest.spyOn(PricingRule, 'findById').mockResolvedValue(rule);
+
+      await expect(pricingRuleService.updateRule(ruleId, adminId, { defaultRegionMultiplier: 1.1 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(rule.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteRule', () => {
+    test('should delete a scheduled rule', async () => {
+      jest.spyOn(PricingRule, 'findOneAndDelete').mockResolvedValue(buildRule());
+
+      const rule = await pricingRuleService.deleteRule(ruleId, adminId);
+
+      expect(rule.version).toBe(3);
+      expect(PricingRule.findOneAndDelete).toHaveBeenCalledWith({
+        _id: ruleId,
+        effectiveFrom: { $gt: expect.any(Date) }
+      });
+    });
+
+    test('should keep rules that have taken effect', async () => {
+      jest.spyOn(PricingRule, 'findOneAndDelete').mockResolvedValue(null);
+      jest.spyOn(PricingRule, 'exists').mockResolvedValue({ _id: ruleId });
+
+      await expect(pricingRuleService.deleteRule(ruleId, adminId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should report unknown rules as not found', async () => {
+      jest.spyOn(PricingRule, 'findOneAndDelete').mockResolvedValue(null);
+      jest.spyOn(PricingRule, 'exists').mockResolvedValue(null);
+
+      await expect(pricingRuleService.deleteRule(ruleId, adminId)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('PricingRule model', () => {
+    test('should reject base rates outside their own range', async () => {
+      const rule = buildRule({ baseRates: { flat_tire: { min: 500, base: 1600, max: 1500 } } });
+
+      await expect(rule.validate()).rejects.toThrow('min <= base <= max');
+    });
+
+    test('should reject regions whose ring is not closed', async () => {
+      const rule = buildRule({
+        regions: [{ name: 'Open', multiplier: 1.2, area: { type: 'Polygon', coordinates: [[[10, 10], [11, 10], [11, 11]]] } }]
+      });
+
+      await expect(rule.validate()).rejects.toThrow('closed ring');
+    });
+  });
+});
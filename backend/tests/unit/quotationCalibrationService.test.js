@@ -0,0 +1,131 @@
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const QuotationCalibration = require('../../src/models/QuotationCalibration');
+const Counter = require('../../src/models/Counter');
+const PricingRule = require('../../src/models/PricingRule');
+const pricingRuleService = require('../../src/services/pricingRuleService');
+const quotationCalibrationService = require('../../src/services/quotationCalibrationService');
+const { DEFAULT_PRICING } = require('../../src/config/pricing');
+
+const delhi = { lat: 28.6139, lng: 77.2090 };
+const rural = { lat: 26.9, lng: 75.2 };
+
+const job = (overrides = {}) => ({
+  issueType: 'flat_tire',
+  vehicleType: 'car',
+  location: delhi,
+  actualDuration: 30,
+  paidAmount: 800,
+  ...overrides
+});
+
+// Latest stored calibration, as findOne(...).sort(...).lean() resolves it
+const mockLatest = (calibration) => (
+  jest.spyOn(QuotationCalibration, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => calibration }) })
+);
+
+describe('Quotation Calibration Service', () => {
+  beforeEach(() => {
+    quotationCalibrationService.clearCache();
+    pricingRuleService.clearCache();
+    jest.spyOn(PricingRule, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildSegments', () => {
+    test('should summarize each issue type per vehicle and region and at the wider levels', () => {
+      const jobs = [
+        ...[500, 600, 700, 800, 900].map(paidAmount => job({ paidAmount })),
+        job({ location: rural, paidAmount: 400, actualDuration: 20 })
+      ];
+
+      const segments = quotationCalibrationService.buildSegments(jobs, DEFAULT_PRICING);
+      const byKey = Object.fromEntries(segments.map(segment => [segment.key, segment]));
+
+      expect(Object.keys(byKey).sort()).toEqual([
+        'flat_tire|*|*',
+        'flat_tire|car|*',
+        'flat_tire|car|Delhi',
+        'flat_tire|car|outside'
+      ]);
+      expect(byKey['flat_tire|car|Delhi']).toMatchObject({
+        issueType: 'flat_tire',
+        vehicleType: 'car',
+        region: 'Delhi',
+        price: { samples: 5, mean: 700, p10: 540, p25: 600, p50: 700, p75: 800, p90: 860 },
+        duration: { samples: 5, p50: 30 }
+      });
+      expect(byKey['flat_tire|*|*']).toMatchObject({ vehicleType: '*', region: '*', price: { samples: 6, p50: 650 } });
+    });
+
+    test('should count durations of unpaid jobs but not their prices', () => {
+      const segments = quotationCalibrationService.buildSegments([job({ paidAmount: 0, actualDuration: 45 })], DEFAULT_PRICING);
+
+      expect(segments[0].price).toEqual({ samples: 0 });
+      expect(segments[0].duration).toEqual({ samples: 1, p25: 45, p50: 45, p75: 45 });
+    });
+  });
+
+  describe('calibrate', () => {
+    test('should store the next version fitted over the window', async () => {
+      const now = new Date('2026-10-01T00:00:00Z');
+      jest.spyOn(ServiceRequest, 'aggregate').mockResolvedValue([job(), job({ paidAmount: 0 })]);
+      jest.spyOn(Counter, 'next').mockResolvedValue(7);
+      jest.spyOn(QuotationCalibration, 'create').mockImplementation(async (data) => new QuotationCalibration(data));
+
+      const calibration = await quotationCalibrationService.calibrate({ windowDays: 30, minSamples: 10, now });
+
+      expect(Counter.next).toHaveBeenCalledWith('quotationCalibration');
+      expect(ServiceRequest.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { status: 'completed', completedAt: { $gte: new Date('2026-09-01T00:00:00Z'), $lt: now } }
+      });
+      expect(calibration).toMatchObject({ version: 7, minSamples: 10, requestCount: 2, pricedCount: 1, regionRuleVersion: 0 });
+      expect(calibration.segments).toHaveLength(3);
+    });
+  });
+
+  describe('findPriceSegment', () => {
+    const calibrationWith = (segments) => ({
+      version: 3,
+      minSamples: 20,
+      segments: segments.map(([key, samples]) => ({ key, price: { samples }, duration: { samples: 0 } }))
+    });
+
+    test('should use the most specific segment with enough samples', async () => {
+      mockLatest(calibrationWith([['flat_tire|car|Delhi', 25], ['flat_tire|car|*', 60], ['flat_tire|*|*', 90]]));
+      const calibration = await quotationCalibrationService.getLatestCalibration();
+
+      const segment = quotationCalibrationService.findPriceSegment(calibration, { issueType: 'flat_tire', vehicleType: 'car', region: 'Delhi' });
+
+      expect(segment.key).toBe('flat_tire|car|Delhi');
+    });
+
+    test('should fall back to wider segments when a narrow one has too few samples', async () => {
+      mockLatest(calibrationWith([['flat_tire|truck|outside', 4], ['flat_tire|truck|*', 8], ['flat_tire|*|*', 90]]));
+      const calibration = await quotationCalibrationService.getLatestCalibration();
+
+      const segment = quotationCalibrationService.findPriceSegment(calibration, { issueType: 'flat_tire', vehicleType: 'truck', region: null });
+
+      expect(segment.key).toBe('flat_tire|*|*');
+      expect(quotationCalibrationService.findPriceSegment(calibration, { issueType: 'accident', vehicleType: 'car' })).toBeNull();
+    });
+
+    test('should cache the absence of a calibration', async () => {
+      mockLatest(null);
+
+      await expect(quotationCalibrationService.getLatestCalibration()).resolves.toBeNull();
+      await expect(quotationCalibrationService.getLatestCalibration()).resolves.toBeNull();
+      expect(QuotationCalibration.findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('confidenceFor', () => {
+    test('should grow with the number of samples', () => {
+      expect(quotationCalibrationService.confidenceFor(20, 20)).toBe(0.5);
+      expect(quotationCalibrationService.confidenceFor(80, 20)).toBe(0.73);
+      expect(quotationCalibrationService.confidenceFor(2000, 20)).toBe(0.9);
+    });
+  });
+});
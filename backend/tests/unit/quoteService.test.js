@@ -0,0 +1,187 @@
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const User = require('../../src/models/User');
+const notificationService = require('../../src/services/notificationService');
+const quoteService = require('../../src/services/quoteService');
+const { ids } = require('../helpers/fixtures');
+
+const { customerId, mechanicId, requestId } = ids;
+
+const buildRequest = (status, quote) => ({ _id: requestId, customerId, mechanicId, status, quote });
+
+const proposedQuote = (overrides = {}) => ({
+  status: 'proposed',
+  currentRevision: 1,
+  revisions: [{ revision: 1, kind: 'initial', total: 900, status: 'proposed' }],
+  ...overrides
+});
+
+const mockFindOne = (serviceRequest) => {
+  jest.spyOn(ServiceRequest, 'findOne').mockReturnValue({ select: async () => serviceRequest });
+};
+
+describe('Quote Service', () => {
+  beforeEach(() => {
+    notificationService.notifyQuoteUpdate = jest.fn().mockResolvedValue({ success: true });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ _id: customerId, name: 'Customer' }) });
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      _id: requestId,
+      customerId,
+      mechanicId,
+      quote: { status: update.$set['quote.status'] }
+    }));
+    jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildRevision', () => {
+    test('should price each line and total them', () => {
+      const revision = quoteService.buildRevision([
+        { type: 'labour', description: 'Replace brake pads', unitPrice: 450 },
+        { type: 'parts', description: 'Brake pad set', quantity: 2, unitPrice: 320.555 }
+      ], { revision: 2, kind: 'supplementary', proposedBy: mechanicId });
+
+      expect(revision.items[0]).toMatchObject({ quantity: 1, amount: 450 });
+      expect(revision.items[1]).toMatchObject({ quantity: 2, unitPrice: 320.56, amount: 641.11 });
+      expect(revision).toMatchObject({ revision: 2, kind: 'supplementary', total: 1091.11, status: 'proposed' });
+    });
+
+    test('should refuse a quote that adds up to nothing', () => {
+      expect(() => quoteService.buildRevision(
+        [{ type: 'travel', description: 'Travel', unitPrice: 0 }],
+        { revision: 1, proposedBy: mechanicId }
+      )).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('should turn the accepted quotation into a single labour line', () => {
+      const quote = quoteService.buildInitialQuote(mechanicId, { amount: 750 });
+
+      expect(quote).toMatchObject({ status: 'proposed', currentRevision: 1 });
+      expect(quote.revisions).toHaveLength(1);
+      expect(quote.revisions[0].items).toEqual([
+        { type: 'labour', description: 'Service charge', quantity: 1, unitPrice: 750, amount: 750 }
+      ]);
+    });
+  });
+
+  describe('proposeQuote', () => {
+    const items = [{ type: 'parts', description: 'Clutch plate', unitPrice: 1800 }];
+
+    test('should add a supplementary revision once work has started and supersede unanswered ones', async () => {
+      mockFindOne(buildRequest('in_progress', proposedQuote({ status: 'accepted', approvedAmount: 900 })));
+
+      await quoteService.proposeQuote(requestId, mechanicId, { items, note: 'Clutch is worn too' });
+
+      const [filter, update] = ServiceRequest.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: requestId, mechanicId, 'quote.currentRevision': 1 });
+      expect(update.$set).toEqual({ 'quote.status': 'proposed', 'quote.currentRevision': 2 });
+      expect(update.$push['quote.revisions']).toMatchObject({ revision: 2, kind: 'supplementary', total: 1800 });
+      expect(ServiceRequest.updateOne).toHaveBeenCalledWith(
+        { _id: requestId },
+        { $set: { 'quote.revisions.$[open].status': 'superseded' } },
+        { arrayFilters: [{ 'open.status': 'proposed', 'open.revision': { $lt: 2 } }] }
+      );
+      expect(User.findById).toHaveBeenCalledWith(customerId);
+      expect(notificationService.notifyQuoteUpdate).toHaveBeenCalled();
+    });
+
+    test('should start at the first revision for requests without a quote', async () => {
+      mockFindOne(buildRequest('assigned'));
+
+      await quoteService.proposeQuote(requestId, mechanicId, { items });
+
+      const [filter, update] = ServiceRequest.findOneAndUpdate.mock.calls[0];
+      expect(filter['quote.currentRevision']).toBeNull();
+      expect(update.$push['quote.revisions']).toMatchObject({ revision: 1, kind: 'initial' });
+    });
+
+    test('should refuse finished requests and lost races', async () => {
+      mockFindOne(buildRequest('completed', proposedQuote()));
+      await expect(quoteService.proposeQuote(requestId, mechanicId, { items }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      mockFindOne(buildRequest('enroute', proposedQuote()));
+      ServiceRequest.findOneAndUpdate.mockResolvedValue(null);
+      await expect(quoteService.proposeQuote(requestId, mechanicId, { items }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(notificationService.notifyQuoteUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('respondToQuote', () => {
+    test('should approve the total of an accepted revision', async () => {
+      mockFindOne(buildRequest('assigned', proposedQuote()));
+
+      const updated = await quoteService.respondToQuote(requestId, customerId, { action: 'accept', revision: 1 });
+
+      const [filter, update, options] = ServiceRequest.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: requestId, customerId, 'quote.currentRevision': 1, 'quote.status': 'proposed' });
+      expect(update.$set).toMatchObject({
+        'quote.status': 'accepted',
+        'quote.revisions.$[current].status': 'accepted',
+        'quote.approvedAmount': 900,
+        'quote.approvedRevision': 1,
+        quotation: 900
+      });
+      expect(options.arrayFilters).toEqual([{ 'current.revision': 1 }]);
+      expect(updated.quote.status).toBe('accepted');
+      expect(User.findById).toHaveBeenCalledWith(mechanicId);
+    });
+
+    test('should record a counter offer below the quote', async () => {
+      mockFindOne(buildRequest('assigned', proposedQuote()));
+
+      await quoteService.respondToQuote(requestId, customerId, { action: 'counter', revision: 1, amount: 700, note: 'Parts are cheaper locally' });
+
+      const [, update] = ServiceRequest.findOneAndUpdate.mock.calls[0];
+      expect(update.$set).toMatchObject({
+        'quote.status': 'countered',
+        'quote.revisions.$[current].counterAmount': 700,
+        'quote.revisions.$[current].responseNote': 'Parts are cheaper locally'
+      });
+      expect(update.$set).not.toHaveProperty('quote.approvedAmount');
+    });
+
+    test('should refuse counter offers that are missing or not lower', async () => {
+      mockFindOne(buildRequest('assigned', proposedQuote()));
+
+      await expect(quoteService.respondToQuote(requestId, customerId, { action: 'counter', revision: 1 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(quoteService.respondToQuote(requestId, customerId, { action: 'counter', revision: 1, amount: 900 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(ServiceRequest.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse stale or already answered revisions', async () => {
+      mockFindOne(buildRequest('assigned', proposedQuote({ currentRevision: 2 })));
+      await expect(quoteService.respondToQuote(requestId, customerId, { action: 'accept', revision: 1 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      mockFindOne(buildRequest('assigned', proposedQuote({ status: 'rejected' })));
+      await expect(quoteService.respondToQuote(requestId, customerId, { action: 'accept', revision: 1 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      mockFindOne(buildRequest('assigned'));
+      await expect(quoteService.respondToQuote(requestId, customerId, { action: 'accept', revision: 1 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('approval checks', () => {
+    test('should only treat an accepted latest revision as approved', () => {
+      expect(quoteService.isAccepted({ quote: { status: 'accepted' } })).toBe(true);
+      expect(quoteService.isAccepted({ quote: { status: 'proposed' } })).toBe(false);
+      expect(quoteService.isAccepted({})).toBe(false);
+    });
+
+    test('should flag final amounts above the approved total', () => {
+      const serviceRequest = { quote: { approvedAmount: 900 } };
+
+      expect(quoteService.exceedsApproved(serviceRequest, 900)).toBe(false);
+      expect(quoteService.exceedsApproved(serviceRequest, 900.01)).toBe(true);
+      expect(quoteService.exceedsApproved({}, 5000)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const Payment = require('../../src/models/Payment');
+const Refund = require('../../src/models/Refund');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const User = require('../../src/models/User');
+const paymentService = require('../../src/services/paymentService');
+const walletService = require('../../src/services/walletService');
+const ledgerService = require('../../src/services/ledgerService');
+const invoiceService = require('../../src/services/invoiceService');
+const refundService = require('../../src/services/refundService');
+const { ids, buildPayment, buildRefund } = require('../helpers/fixtures');
+
+const { customerId, adminId, requestId, paymentId, refundId } = ids;
+
+// findOneAndUpdate that applies the $set to the stored refund, like { new: true }
+const mockClaim = (refund) => jest.spyOn(Refund, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+  if (refund.status !== filter.status) return null;
+  refund.set(update.$set);
+  return refund;
+});
+
+// findByIdAndUpdate that applies the $inc to the stored payment, like { new: true }
+const mockPaymentIncrement = (payment) => jest.spyOn(Payment, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+  for (const [field, amount] of Object.entries(update.$inc)) {
+    payment.set(field, (payment.get(field) || 0) + amount);
+  }
+  return payment;
+});
+
+describe('Refund Service', () => {
+  beforeEach(() => {
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => null });
+    jest.spyOn(ledgerService, 'recordRefund').mockResolvedValue([]);
+    jest.spyOn(invoiceService, 'issueCreditNote').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestRefund', () => {
+    test('should default to the full refundable amount', async () => {
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(buildPayment());
+      jest.spyOn(Refund, 'exists').mockResolvedValue(null);
+      const create = jest.spyOn(Refund, 'create').mockImplementation(async (data) => data);
+
+      await refundService.requestRefund(customerId, paymentId, { reason: 'Mechanic never arrived' });
+
+      expect(Payment.findOne).toHaveBeenCalledWith({ _id: paymentId, customerId });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        refundableAmount: 800,
+        amount: 800
+      }));
+    });
+
+    test('should refuse payments that are not paid or already refunded', async () => {
+      jest.spyOn(Payment, 'findOne')
+        .mockResolvedValueOnce(buildPayment({ status: 'pending', paidAt: undefined }))
+        .mockResolvedValueOnce(buildPayment({ status: 'refunded', refundId: 'rfnd_1', refundedAmount: 800 }));
+
+      await expect(refundService.requestRefund(customerId, paymentId, { reason: 'Changed my mind' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(refundService.requestRefund(customerId, paymentId, { reason: 'Changed my mind' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should offer what is left after an earlier partial refund', async () => {
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(buildPayment({ status: 'partially_refunded', refundId: 'rfnd_1', refundedAmount: 300 }));
+      jest.spyOn(Refund, 'exists').mockResolvedValue(null);
+      const create = jest.spyOn(Refund, 'create').mockImplementation(async (data) => data);
+
+      await refundService.requestRefund(customerId, paymentId, { reason: 'Part of the repair failed again' });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        refundableAmount: 500,
+        amount: 500
+      }));
+      await expect(refundService.requestRefund(customerId, paymentId, { reason: 'Charged twice', amount: 600 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should refuse a second open request and amounts above the payment', async () => {
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(buildPayment());
+      jest.spyOn(Refund, 'exists')
+        .mockResolvedValueOnce({ _id: refundId })
+        .mockResolvedValueOnce(null);
+
+      await expect(refundService.requestRefund(customerId, paymentId, { reason: 'Charged twice' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(refundService.requestRefund(customerId, paymentId, { reason: 'Charged twice', amount: 900 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('approveRefund', () => {
+    test('should send a partial refund to Razorpay and wait for the webhook', async () => {
+      const refund = buildRefund();
+      jest.spyOn(Refund, 'findById').mockResolvedValue(refund);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(buildPayment());
+      mockClaim(refund);
+      jest.spyOn(paymentService, 'processRefund').mockResolvedValue({ id: 'rfnd_1', status: 'pending' });
+
+      const result = await refundService.approveRefund(refundId, adminId, { amount: 300, note: 'Diagnosis was done' });
+
+      expect(paymentService.processRefund).toHaveBeenCalledWith(expect.anything(), 300, 'Mechanic never arrived');
+      expect(result).toMatchObject({
+        status: 'processing',
+        approvedAmount: 300,
+        gateway: 'razorpay',
+        gatewayRefundId: 'rfnd_1',
+        isPartial: true
+      });
+      expect(ServiceRequest.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should settle cash payments straight away', async () => {
+      const refund = buildRefund();
+      const payment = buildPayment({ method: 'Cash', razorpayPaymentId: undefined });
+      jest.spyOn(Refund, 'findById').mockResolvedValue(refund);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      mockPaymentIncrement(payment);
+      mockClaim(refund);
+      jest.spyOn(paymentService, 'processRefund');
+
+      const result = await refundService.approveRefund(refundId, adminId);
+
+      expect(paymentService.processRefund).not.toHaveBeenCalled();
+      expect(result.status).toBe('processed');
+      expect(payment.status).toBe('refunded');
+      expect(payment.refundAmount).toBe(800);
+      expect(ServiceRequest.updateOne).toHaveBeenCalledWith(
+        { _id: refund.requestId },
+        { $set: { paymentStatus: 'refunded' } }
+      );
+      expect(ledgerService.recordRefund).toHaveBeenCalledWith(refund);
+      expect(invoiceService.issueCreditNote).toHaveBeenCalledWith(refund);
+    });
+
+    test('should credit the wallet straight away when the customer asked for wallet credit', async () => {
+      const refund = buildRefund({ toWallet: true });
+      const payment = buildPayment();
+      jest.spyOn(Refund, 'findById').mockResolvedValue(refund);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      mockPaymentIncrement(payment);
+      mockClaim(refund);
+      jest.spyOn(paymentService, 'processRefund');
+      jest.spyOn(walletService, 'creditRefund').mockResolvedValue({});
+
+      const result = await refundService.approveRefund(refundId, adminId);
+
+      expect(paymentService.processRefund).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'processed', gateway: 'wallet', walletAmount: 800 });
+      expect(walletService.creditRefund).toHaveBeenCalledWith(refund);
+      expect(payment.status).toBe('refunded');
+    });
+
+    test('should refund the gateway share first and the rest to the wallet', async () => {
+      const refund = buildRefund();
+      const payment = buildPayment({ walletAmount: 300 });
+      jest.spyOn(Refund, 'findById').mockResolvedValue(refund);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      mockPaymentIncrement(payment);
+      mockClaim(refund);
+      jest.spyOn(paymentService, 'processRefund').mockResolvedValue({ id: 'rfnd_2', status: 'processed' });
+      jest.spyOn(walletService, 'creditRefund').mockResolvedValue({});
+
+      const result = await refundService.approveRefund(refundId, adminId);
+
+      expect(paymentService.processRefund).toHaveBeenCalledWith(expect.anything(), 500, 'Mechanic never arrived');
+      expect(result).toMatchObject({ status: 'processed', gateway: 'razorpay', approvedAmount: 800, walletAmount: 300 });
+      expect(walletService.creditRefund).toHaveBeenCalledWith(refund);
+    });
+
+    test('should refund the rest of a partly refunded payment and mark it refunded', async () => {
+      const refund = buildRefund({ refundableAmount: 500, amount: 500 });
+      const payment = buildPayment({ walletAmount: 300, status: 'partially_refunded', refundId: 'rfnd_1', refundedAmount: 300 });
+      jest.spyOn(Refund, 'findById').mockResolvedValue(refund);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      mockPaymentIncrement(payment);
+      jest.spyOn(Refund, 'find').mockReturnValue({ select: async () => [{ approvedAmount: 300, walletAmount: 0 }] });
+      mockClaim(refund);
+      jest.spyOn(paymentService, 'processRefund').mockResolvedValue({ id: 'rfnd_2', status: 'processed' });
+      jest.spyOn(walletService, 'creditRefund').mockResolvedValue({});
+
+      const result = await refundService.approveRefund(refundId, adminId);
+
+      // 500 went through the gateway and 300 of it is already back, so the wallet takes the other 300
+      expect(paymentService.processRefund).toHaveBeenCalledWith(expect.anything(), 200, 'Mechanic never arrived');
+      expect(result).toMatchObject({ status: 'processed', approvedAmount: 500, walletAmount: 300, isPartial: false });
+      expect(payment).toMatchObject({ status: 'refunded', refundId: 'rfnd_2', refundAmount: 500, refundedAmount: 800 });
+      expect(payment.canBeRefunded()).toBe(false);
+      expect(ServiceRequest.updateOne).toHaveBeenCalledWith(
+        { _id: refund.requestId },
+        { $set: { paymentStatus: 'refunded' } }
+      );
+    });
+
+    test('should mark the refund failed when Razorpay rejects it', async () => {
+      const refund = buildRefund();
+      jest.spyOn(Refund, 'findById').mockResolvedValue(refund);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(buildPayment());
+      mockClaim(refund);
+      jest.spyOn(paymentService, 'processRefund').mockRejectedValue({ error: { description: 'Insufficient balance' } });
+
+      await expect(refundService.approveRefund(refundId, adminId)).rejects.toMatchObject({ statusCode: 502 });
+      expect(refund.status).toBe('failed');
+      expect(refund.failureReason).toBe('Insufficient balance');
+    });
+
+    test('should not review the same request twice', async () => {
+      jest.spyOn(Refund, 'findById').mockResolvedValue(buildRefund({ status: 'denied' }));
+
+      await expect(refundService.approveRefund(refundId, adminId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('handleGatewayRefund', () => {
+    test('should finish the refund on refund.processed and leave the rest refundable', async () => {
+      const refund = buildRefund({ status: 'processing', approvedAmount: 300, gatewayRefundId: 'rfnd_1' });
+      const payment = buildPayment();
+      jest.spyOn(Refund, 'findOne').mockResolvedValue(refund);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      mockPaymentIncrement(payment);
+      mockClaim(refund);
+
+      await refundService.handleGatewayRefund({ id: 'rfnd_1', status: 'processed' });
+
+      expect(refund.status).toBe('processed');
+      expect(payment).toMatchObject({ status: 'partially_refunded', refundId: 'rfnd_1', refundAmount: 300, refundedAmount: 300 });
+      expect(payment.calculateRefundAmount()).toBe(500);
+      expect(ServiceRequest.updateOne).toHaveBeenCalledWith(
+        { _id: refund.requestId },
+        { $set: { paymentStatus: 'partially_refunded' } }
+      );
+    });
+
+    test('should finish a refund once when the webhook races the synchronous response', async () => {
+      const refund = buildRefund({ status: 'processing', approvedAmount: 300, walletAmount: 100, gatewayRefundId: 'rfnd_1' });
+      const payment = buildPayment();
+      const gatewayRefund = { id: 'rfnd_1', status: 'processed' };
+      jest.spyOn(Refund, 'findOne').mockResolvedValue(refund);
+      jest.spyOn(Refund, 'findById').mockResolvedValue(refund);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      mockPaymentIncrement(payment);
+      mockClaim(refund);
+      jest.spyOn(walletService, 'creditRefund').mockResolvedValue({});
+
+      await Promise.all([
+        refundService.completeRefund(refund, payment, gatewayRefund),
+        refundService.handleGatewayRefund(gatewayRefund)
+      ]);
+
+      expect(Payment.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+      expect(walletService.creditRefund).toHaveBeenCalledTimes(1);
+      expect(ledgerService.recordRefund).toHaveBeenCalledTimes(1);
+      expect(payment).toMatchObject({ status: 'partially_refunded', refundedAmount: 300 });
+    });
+
+    test('should ignore repeated webhooks for a finished refund', async () => {
+      jest.spyOn(Refund, 'findOne').mockResolvedValue(buildRefund({ status: 'processed', gatewayRefundId: 'rfnd_1' }));
+      jest.spyOn(Payment, 'findById');
+
+      await refundService.handleGatewayRefund({ id: 'rfnd_1', status: 'processed' });
+
+      expect(Payment.findById).not.toHaveBeenCalled();
+      expect(ServiceRequest.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const dispatchService = require('../../src/services/dispatchService');
+const { acceptRequest } = require('../../src/controllers/requestController');
+const { ids, mockResponse } = require('../helpers/fixtures');
+
+const { customerId, mechanicId, requestId } = ids;
+
+const buildRequest = (overrides = {}) => new ServiceRequest({
+  _id: requestId,
+  customerId,
+  issueType: 'flat_tire',
+  description: 'Rear tyre is flat',
+  vehicleInfo: { type: 'car', model: 'Swift', plate: 'KA01AB1234' },
+  location: { lat: 12.9716, lng: 77.5946 },
+  status: 'assigned',
+  mechanicId,
+  ...overrides
+});
+
+// asyncHandler does not hand back its promise, so settle once the handler responds or fails
+const accept = (req) => new Promise((resolve, reject) => {
+  const res = mockResponse();
+  res.json.mockImplementation(() => {
+    resolve(res);
+    return res;
+  });
+  acceptRequest(req, res, reject);
+});
+
+const mechanic = { _id: mechanicId, location: { lat: 12.97, lng: 77.59 } };
+
+describe('Request Controller', () => {
+  beforeEach(() => {
+    jest.spyOn(ServiceRequest.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(ServiceRequest, 'claimForMechanic').mockResolvedValue(null);
+    jest.spyOn(dispatchService, 'notifyRequestTaken').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('acceptRequest', () => {
+    test('should answer a retried accept from the mechanic who holds the request', async () => {
+      jest.spyOn(ServiceRequest, 'findById').mockResolvedValue(buildRequest());
+
+      const res = await accept({ user: mechanic, params: { id: requestId }, body: {} });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, message: 'Service request already accepted' });
+      expect(ServiceRequest.claimForMechanic).not.toHaveBeenCalled();
+      expect(dispatchService.notifyRequestTaken).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a broadcast request that is not offered to the mechanic', async () => {
+      const pending = buildRequest({ status: 'pending', mechanicId: null });
+      jest.spyOn(ServiceRequest, 'findById').mockResolvedValue(pending);
+
+      const res = await accept({ user: mechanic, params: { id: requestId }, body: {} });
+
+      expect(res.statusCode).toBe(403);
+      expect(dispatchService.notifyRequestTaken).not.toHaveBeenCalled();
+    });
+
+    test('should give 409 and request-taken to a mechanic who lost the claim', async () => {
+      jest.spyOn(ServiceRequest, 'findById')
+        .mockResolvedValueOnce(buildRequest({ status: 'pending', mechanicId: null }))
+        .mockResolvedValueOnce(buildRequest({ mechanicId: '64b7f0c2a1b2c3d4e5f60004' }));
+
+      const res = await accept({ user: mechanic, params: { id: requestId }, body: {} });
+
+      expect(res.statusCode).toBe(409);
+      expect(dispatchService.notifyRequestTaken).toHaveBeenCalledWith(buildRequest()._id, mechanicId);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const User = require('../../src/models/User');
+const RevokedToken = require('../../src/models/RevokedToken');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const initializeRequestSocket = require('../../src/socket/requestSocket');
+const trackingService = require('../../src/services/trackingService');
+const quoteService = require('../../src/services/quoteService');
+const emergencyService = require('../../src/services/emergencyService');
+const { authenticateSocket } = require('../../src/socket/socketAuth');
+const { generateToken } = require('../../src/middlewares/authMiddleware');
+const { ids } = require('../helpers/fixtures');
+
+const { customerId, mechanicId, requestId } = ids;
+const strangerId = '64b7f0c2a1b2c3d4e5f60004';
+
+// Minimal stand-ins for a socket.io namespace and server-side socket
+const createNamespace = () => {
+  const namespace = new EventEmitter();
+  namespace.middlewares = [];
+  namespace.broadcasts = [];
+  namespace.use = (fn) => namespace.middlewares.push(fn);
+  namespace.to = (room) => ({
+    to: (other) => namespace.to(`${room},${other}`),
+    emit: (event, data) => namespace.broadcasts.push({ room, event, data })
+  });
+  return namespace;
+};
+
+const connect = (namespace, user) => {
+  const socket = new EventEmitter();
+  socket.id = `socket-${user.id}`;
+  socket.user = user;
+  socket.rooms = new Set();
+  socket.emitted = [];
+  socket.join = (room) => socket.rooms.add(room);
+  socket.leave = (room) => socket.rooms.delete(room);
+  socket.to = namespace.to;
+  const emit = socket.emit.bind(socket);
+  socket.emit = (event, data) => {
+    socket.emitted.push({ event, data });
+    return emit(event, data);
+  };
+  socket.trigger = async (event, ...args) => {
+    await Promise.all(socket.listeners(event).map(listener => listener(...args)));
+  };
+
+  namespace.emit('connection', socket);
+  return socket;
+};
+
+const rejectedEvents = (socket) => socket.emitted
+  .filter(({ event }) => event === 'action-rejected')
+  .map(({ data }) => data.event);
+
+describe('Request Socket', () => {
+  let namespace;
+
+  beforeEach(() => {
+    namespace = createNamespace();
+    initializeRequestSocket({ of: () => namespace });
+
+    jest.spyOn(ServiceRequest, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ _id: requestId, customerId, mechanicId }) })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('handshake', () => {
+    const handshakeWith = (token) => ({ id: 'socket-1', handshake: { auth: { token }, headers: {} } });
+
+    test('should authenticate the namespace with the REST access token', () => {
+      expect(namespace.middlewares).toEqual([authenticateSocket]);
+    });
+
+    test('should attach the user for a valid access token', async () => {
+      jest.spyOn(RevokedToken, 'exists').mockResolvedValue(null);
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: async () => ({ _id: customerId, role: 'customer', name: 'Asha', isActive: true })
+      });
+      const socket = handshakeWith(generateToken(customerId));
+      const next = jest.fn();
+
+      await authenticateSocket(socket, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.user).toEqual({ id: customerId, role: 'customer', name: 'Asha' });
+    });
+
+    test('should refuse missing, forged and revoked tokens', async () => {
+      const next = jest.fn();
+
+      await authenticateSocket({ id: 'socket-1', handshake: { auth: {}, headers: {} } }, next);
+      await authenticateSocket(handshakeWith(jwt.sign({ id: customerId }, 'wrong-secret')), next);
+
+      jest.spyOn(RevokedToken, 'exists').mockResolvedValue({ _id: 'entry' });
+      await authenticateSocket(handshakeWith(generateToken(customerId, { sessionId: requestId })), next);
+
+      expect(next.mock.calls.map(([error]) => error.message)).toEqual([
+        'Access denied. No token provided.',
+        'Invalid token.',
+        'Token has been revoked.'
+      ]);
+      next.mock.calls.forEach(([error]) => expect(error.data.code).toBe('UNAUTHENTICATED'));
+    });
+  });
+
+  describe('room authorization', () => {
+    test('should put users in their own room and refuse other users\' rooms', async () => {
+      const socket = connect(namespace, { id: customerId, role: 'customer' });
+
+      await socket.trigger('join-user-room', strangerId);
+
+      expect(socket.rooms).toEqual(new Set([`user_${customerId}`]));
+      expect(rejectedEvents(socket)).toEqual(['join-user-room']);
+    });
+
+    test('should let the customer and assigned mechanic join the request room', async () => {
+      const customer = connect(namespace, { id: customerId, role: 'customer' });
+      const mechanic = connect(namespace, { id: mechanicId, role: 'mechanic' });
+
+      await customer.trigger('join_request', { requestId });
+      await mechanic.trigger('join_request', { requestId });
+
+      expect(customer.rooms.has(`request_${requestId}`)).toBe(true);
+      expect(mechanic.rooms.has(`request_${requestId}`)).toBe(true);
+    });
+
+    test('should put admins in the incident console room', () => {
+      const admin = connect(namespace, { id: strangerId, role: 'admin' });
+      const customer = connect(namespace, { id: customerId, role: 'customer' });
+
+      expect(admin.rooms.has('admins')).toBe(true);
+      expect(customer.rooms.has('admins')).toBe(false);
+    });
+
+    test('should let admins join any request room', async () => {
+      const admin = connect(namespace, { id: strangerId, role: 'admin' });
+
+      await admin.trigger('join_request', { requestId });
+
+      expect(admin.rooms.has(`request_${requestId}`)).toBe(true);
+      expect(ServiceRequest.findById).not.toHaveBeenCalled();
+    });
+
+    test('should keep other users out of the request room', async () => {
+      const stranger = connect(namespace, { id: strangerId, role: 'mechanic' });
+
+      await stranger.trigger('join_request', { requestId });
+      await stranger.trigger('join_request', { requestId: 'not-an-id' });
+
+      expect(stranger.rooms.has(`request_${requestId}`)).toBe(false);
+      expect(rejectedEvents(stranger)).toEqual(['join_request', 'join_request']);
+    });
+
+    test('should only let mechanics join their own service area', async () => {
+      const customer = connect(namespace, { id: customerId, role: 'customer' });
+      const mechanic = connect(namespace, { id: mechanicId, role: 'mechanic' });
+      const location = { coordinates: [77.59, 12.97] };
+
+      await customer.trigger('join-mechanic-area', customerId, location);
+      await mechanic.trigger('join-mechanic-area', strangerId, location);
+      await mechanic.trigger('join-mechanic-area', mechanicId, location);
+
+      expect(customer.rooms.has('available_mechanics')).toBe(false);
+      expect(rejectedEvents(customer)).toEqual(['join-mechanic-area']);
+      expect(rejectedEvents(mechanic)).toEqual(['join-mechanic-area']);
+      expect(mechanic.rooms.has(`mechanic_${mechanicId}`)).toBe(true);
+    });
+  });
+
+  describe('emits', () => {
+    test('should reject accept-request sent on behalf of another mechanic', async () => {
+      jest.spyOn(ServiceRequest, 'exists');
+      const mechanic = connect(namespace, { id: strangerId, role: 'mechanic' });
+
+      await mechanic.trigger('accept-request', { requestId, mechanicId });
+
+      expect(rejectedEvents(mechanic)).toEqual(['accept-request']);
+      expect(ServiceRequest.exists).not.toHaveBeenCalled();
+      expect(namespace.broadcasts).toEqual([]);
+    });
+
+    test('should relay status updates only from the assigned mechanic', async () => {
+      const customer = connect(namespace, { id: customerId, role: 'customer' });
+      const mechanic = connect(namespace, { id: mechanicId, role: 'mechanic' });
+
+      await customer.trigger('status-update', { requestId, status: 'completed' });
+      await mechanic.trigger('status-update', { requestId, status: 'enroute' });
+
+      expect(rejectedEvents(customer)).toEqual(['status-update']);
+      expect(namespace.broadcasts).toEqual([
+        expect.objectContaining({ room: `request_${requestId}`, event: 'status-update', data: expect.objectContaining({ status: 'enroute' }) })
+      ]);
+    });
+
+    test('should stamp chat messages with the authenticated sender', async () => {
+      const customer = connect(namespace, { id: customerId, role: 'customer' });
+
+      await customer.trigger('send-message', { requestId, senderId: mechanicId, message: 'spoofed' });
+      await customer.trigger('send-message', { requestId, message: 'Where are you?' });
+
+      expect(rejectedEvents(customer)).toEqual(['send-message']);
+      expect(namespace.broadcasts).toEqual([
+        expect.objectContaining({ event: 'new-message', data: expect.objectContaining({ senderId: customerId, message: 'Where are you?' }) })
+      ]);
+    });
+
+    test('should record the assigned mechanic\'s location against the request', async () => {
+      jest.spyOn(trackingService, 'recordLocation')
+        .mockResolvedValueOnce({ requestId, etaMinutes: 4 })
+        .mockResolvedValueOnce(null);
+      const mechanic = connect(namespace, { id: mechanicId, role: 'mechanic' });
+
+      await mechanic.trigger('location-update', { requestId, lat: 12.98, lng: 77.59, speed: 8 });
+      await mechanic.trigger('location-update', { requestId: strangerId, location: { lat: 12.98, lng: 77.59 } });
+
+      expect(trackingService.recordLocation.mock.calls).toEqual([
+        [requestId, mechanicId, expect.objectContaining({ lat: 12.98, lng: 77.59, speed: 8 })],
+        [strangerId, mechanicId, expect.objectContaining({ lat: 12.98, lng: 77.59 })]
+      ]);
+      expect(rejectedEvents(mechanic)).toEqual(['location-update']);
+    });
+
+    test('should let only the customer answer a quote and share the result', async () => {
+      jest.spyOn(quoteService, 'respondToQuote').mockResolvedValue({ _id: requestId, quote: { status: 'accepted', currentRevision: 1 } });
+      const customer = connect(namespace, { id: customerId, role: 'customer' });
+      const mechanic = connect(namespace, { id: mechanicId, role: 'mechanic' });
+
+      await mechanic.trigger('quote-respond', { requestId, action: 'accept', revision: 1 });
+      await customer.trigger('quote-respond', { requestId, action: 'accept' });
+      await customer.trigger('quote-respond', { requestId, action: 'accept', revision: '1' });
+
+      expect(rejectedEvents(mechanic)).toEqual(['quote-respond']);
+      expect(rejectedEvents(customer)).toEqual(['quote-respond']);
+      expect(quoteService.respondToQuote).toHaveBeenCalledTimes(1);
+      expect(quoteService.respondToQuote).toHaveBeenCalledWith(requestId, customerId, { action: 'accept', revision: 1 });
+      expect(namespace.broadcasts).toEqual([
+        expect.objectContaining({ room: `request_${requestId}`, event: 'quote-updated', data: expect.objectContaining({ quote: { status: 'accepted', currentRevision: 1 } }) })
+      ]);
+    });
+
+    test('should record a customer\'s emergency alert as an SOS incident', async () => {
+      jest.spyOn(emergencyService, 'raiseIncident').mockResolvedValue({
+        incident: { _id: 'incident-1', reference: 'SOS-7', status: 'open' },
+        shareUrl: 'https://app.roadguard.test/sos/token',
+        created: true
+      });
+      const customer = connect(namespace, { id: customerId, role: 'customer' });
+      const mechanic = connect(namespace, { id: mechanicId, role: 'mechanic' });
+      const location = { lat: 12.97, lng: 77.59 };
+
+      await customer.trigger('emergency-alert', { requestId, message: 'Help' });
+      await customer.trigger('emergency-alert', { requestId, location, message: 'Help', source: 'button' });
+
+      expect(rejectedEvents(customer)).toEqual(['emergency-alert']);
+      expect(emergencyService.raiseIncident).toHaveBeenCalledTimes(1);
+      expect(emergencyService.raiseIncident).toHaveBeenCalledWith(customerId, {
+        location,
+        message: 'Help',
+        source: 'socket',
+        requestId
+      });
+      expect(customer.emitted).toContainEqual({
+        event: 'sos-raised',
+        data: expect.objectContaining({ reference: 'SOS-7', created: true })
+      });
+      expect(namespace.broadcasts).toEqual([]);
+    });
+
+    test('should relay a mechanic\'s emergency alert to the request and admins without an incident', async () => {
+      jest.spyOn(emergencyService, 'raiseIncident');
+      const mechanic = connect(namespace, { id: mechanicId, role: 'mechanic' });
+      const location = { lat: 12.97, lng: 77.59 };
+
+      await mechanic.trigger('emergency-alert', { requestId, location });
+
+      expect(emergencyService.raiseIncident).not.toHaveBeenCalled();
+      expect(namespace.broadcasts).toEqual([{
+        room: `request_${requestId},available_mechanics,admins`,
+        event: 'emergency-alert',
+        data: expect.objectContaining({ requestId, location, from: 'mechanic' })
+      }]);
+    });
+  });
+});
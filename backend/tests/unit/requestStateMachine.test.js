@@ -0,0 +1,111 @@
+const requestStateMachine = require('../../src/services/requestStateMachine');
+const { InvalidTransitionError } = require('../../src/utils/response');
+
+describe('Request State Machine', () => {
+  const originalHooks = requestStateMachine.hooks;
+
+  beforeEach(() => {
+    requestStateMachine.hooks = new Map();
+  });
+
+  afterAll(() => {
+    requestStateMachine.hooks = originalHooks;
+  });
+
+  describe('getAllowedTransitions', () => {
+    test('should list every move out of a status', () => {
+      expect(requestStateMachine.getAllowedTransitions('assigned')).toEqual(['enroute', 'cancelled']);
+    });
+
+    test('should limit moves to what the role may do', () => {
+      expect(requestStateMachine.getAllowedTransitions('assigned', 'customer')).toEqual(['cancelled']);
+      expect(requestStateMachine.getAllowedTransitions('in_progress', 'customer')).toEqual([]);
+    });
+
+    test('should treat completed and cancelled as terminal', () => {
+      expect(requestStateMachine.getAllowedTransitions('completed')).toEqual([]);
+      expect(requestStateMachine.getAllowedTransitions('cancelled')).toEqual([]);
+    });
+  });
+
+  describe('assertTransition', () => {
+    test('should allow the mechanic to progress a job', () => {
+      expect(() => requestStateMachine.assertTransition('assigned', 'enroute', 'mechanic')).not.toThrow();
+      expect(() => requestStateMachine.assertTransition('enroute', 'in_progress', 'mechanic')).not.toThrow();
+      expect(() => requestStateMachine.assertTransition('in_progress', 'completed', 'mechanic')).not.toThrow();
+    });
+
+    test('should reject skipped steps with a 409', () => {
+      let thrown;
+      try {
+        requestStateMachine.assertTransition('pending', 'completed', 'mechanic');
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeInstanceOf(InvalidTransitionError);
+      expect(thrown.statusCode).toBe(409);
+      expect(thrown.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(thrown.details).toEqual({
+        from: 'pending',
+        to: 'completed',
+        allowed: ['assigned', 'cancelled']
+      });
+    });
+
+    test('should reject moves the role may not make with a 403', () => {
+      let thrown;
+      try {
+        requestStateMachine.assertTransition('assigned', 'enroute', 'customer');
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeInstanceOf(InvalidTransitionError);
+      expect(thrown.statusCode).toBe(403);
+      expect(thrown.code).toBe('TRANSITION_FORBIDDEN');
+      expect(thrown.details.allowed).toEqual(['cancelled']);
+    });
+
+    test('should not let a customer cancel work in progress', () => {
+      expect(requestStateMachine.canTransition('in_progress', 'cancelled', 'customer')).toBe(false);
+      expect(requestStateMachine.canTransition('in_progress', 'cancelled', 'mechanic')).toBe(true);
+    });
+
+    test('should only let the scheduler activate a scheduled booking', () => {
+      expect(requestStateMachine.canTransition('scheduled', 'assigned', 'system')).toBe(true);
+      expect(requestStateMachine.canTransition('scheduled', 'assigned', 'mechanic')).toBe(false);
+      expect(requestStateMachine.canTransition('scheduled', 'cancelled', 'customer')).toBe(true);
+    });
+  });
+
+  describe('runHooks', () => {
+    const serviceRequest = { _id: '64b7f0c2a1b2c3d4e5f60001' };
+    const transition = { from: 'in_progress', to: 'completed', role: 'mechanic' };
+
+    test('should run hooks for the new status and wildcard hooks', async () => {
+      const onCompleted = jest.fn();
+      const onAny = jest.fn();
+      const onCancelled = jest.fn();
+      requestStateMachine.on('completed', onCompleted);
+      requestStateMachine.on('*', onAny);
+      requestStateMachine.on('cancelled', onCancelled);
+
+      await requestStateMachine.runHooks(serviceRequest, transition);
+
+      expect(onCompleted).toHaveBeenCalledWith(serviceRequest, transition);
+      expect(onAny).toHaveBeenCalledWith(serviceRequest, transition);
+      expect(onCancelled).not.toHaveBeenCalled();
+    });
+
+    test('should keep running hooks after one fails', async () => {
+      const failing = jest.fn().mockRejectedValue(new Error('SMS gateway down'));
+      const next = jest.fn();
+      requestStateMachine.on('completed', failing);
+      requestStateMachine.on('completed', next);
+
+      await expect(requestStateMachine.runHooks(serviceRequest, transition)).resolves.toBeUndefined();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const MechanicSchedule = require('../../src/models/MechanicSchedule');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const User = require('../../src/models/User');
+const notificationService = require('../../src/services/notificationService');
+const schedulingService = require('../../src/services/schedulingService');
+const { ids } = require('../helpers/fixtures');
+
+const { customerId, mechanicId } = ids;
+
+// Monday 19 Oct 2026, 08:15 in Kolkata
+const NOW = new Date('2026-10-19T02:45:00Z');
+
+const buildSchedule = (overrides = {}) => new MechanicSchedule({
+  mechanicId,
+  timezone: 'Asia/Kolkata',
+  slotMinutes: 60,
+  weeklyHours: [
+    { day: 1, start: '09:00', end: '12:00' },
+    { day: 2, start: '09:00', end: '11:00' }
+  ],
+  ...overrides
+});
+
+const leanResolving = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('Scheduling Service', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('buildDaySlots', () => {
+    test('should cut working hours into slots in the mechanic\'s timezone', () => {
+      const slots = schedulingService.buildDaySlots(buildSchedule(), { year: 2026, month: 10, day: 20 });
+
+      expect(slots).toEqual([
+        { startAt: new Date('2026-10-20T03:30:00Z'), endAt: new Date('2026-10-20T04:30:00Z') },
+        { startAt: new Date('2026-10-20T04:30:00Z'), endAt: new Date('2026-10-20T05:30:00Z') }
+      ]);
+    });
+
+    test('should offer nothing on days without working hours', () => {
+      expect(schedulingService.buildDaySlots(buildSchedule(), { year: 2026, month: 10, day: 21 })).toEqual([]);
+    });
+  });
+
+  describe('getAvailableSlots', () => {
+    test('should leave out slots that are too soon, blocked out or booked', async () => {
+      jest.spyOn(MechanicSchedule, 'findOne').mockResolvedValue(buildSchedule({
+        blockedTimes: [{ startAt: new Date('2026-10-20T04:00:00Z'), endAt: new Date('2026-10-20T05:00:00Z') }]
+      }));
+      jest.spyOn(ServiceRequest, 'find').mockReturnValue(leanResolving([
+        { schedule: { startAt: new Date('2026-10-19T05:30:00Z'), endAt: new Date('2026-10-19T06:30:00Z') } }
+      ]));
+
+      const availability = await schedulingService.getAvailableSlots(mechanicId, { days: 2 });
+
+      expect(availability.timezone).toBe('Asia/Kolkata');
+      expect(availability.days.map(day => day.date)).toEqual(['2026-10-19', '2026-10-20']);
+      // 09:00 is within the hour's notice and 11:00 is booked
+      expect(availability.days[0].slots).toEqual([
+        { startAt: new Date('2026-10-19T04:30:00Z'), endAt: new Date('2026-10-19T05:30:00Z') }
+      ]);
+      // Both Tuesday slots overlap the blocked time
+      expect(availability.days[1].slots).toEqual([]);
+    });
+  });
+
+  describe('reserveSlot', () => {
+    beforeEach(() => {
+      jest.spyOn(MechanicSchedule, 'findOne').mockResolvedValue(buildSchedule({
+        blockedTimes: [{ startAt: new Date('2026-10-26T03:30:00Z'), endAt: new Date('2026-10-26T06:30:00Z') }]
+      }));
+      jest.spyOn(ServiceRequest, 'exists').mockResolvedValue(null);
+    });
+
+    test('should return a free slot with the mechanic\'s timezone', async () => {
+      await expect(schedulingService.reserveSlot(mechanicId, '2026-10-20T03:30:00Z')).resolves.toEqual({
+        startAt: new Date('2026-10-20T03:30:00Z'),
+        endAt: new Date('2026-10-20T04:30:00Z'),
+        timezone: 'Asia/Kolkata'
+      });
+    });
+
+    test('should refuse times outside the working hours', async () => {
+      await expect(schedulingService.reserveSlot(mechanicId, '2026-10-20T08:30:00Z'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(schedulingService.reserveSlot(mechanicId, '2026-10-20T03:45:00Z'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should refuse slots without enough notice', async () => {
+      await expect(schedulingService.reserveSlot(mechanicId, '2026-10-19T03:30:00Z'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should report blocked and booked slots as conflicts', async () => {
+      await expect(schedulingService.reserveSlot(mechanicId, '2026-10-26T03:30:00Z'))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      ServiceRequest.exists.mockResolvedValue({ _id: ids.requestId });
+      await expect(schedulingService.reserveSlot(mechanicId, '2026-10-20T03:30:00Z'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'This slot has already been booked' });
+    });
+  });
+
+  describe('updateWorkingHours', () => {
+    test('should reject overlapping windows on the same day', async () => {
+      jest.spyOn(MechanicSchedule, 'findOneAndUpdate');
+
+      await expect(schedulingService.updateWorkingHours(mechanicId, {
+        weeklyHours: [
+          { day: 1, start: '09:00', end: '13:00' },
+          { day: 1, start: '12:00', end: '18:00' }
+        ]
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(MechanicSchedule.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processDueBookings', () => {
+    beforeEach(() => {
+      notificationService.notifyBookingReminder = jest.fn().mockResolvedValue([]);
+    });
+
+    test('should remind both sides once and activate bookings that are due', async () => {
+      const upcoming = new ServiceRequest({
+        customerId,
+        mechanicId,
+        status: 'scheduled',
+        schedule: { startAt: new Date(NOW.getTime() + 30 * 60 * 1000), timezone: 'Asia/Kolkata' }
+      });
+      const due = new ServiceRequest({ customerId, mechanicId, status: 'scheduled' });
+      jest.spyOn(due, 'updateStatus').mockResolvedValue(due);
+
+      jest.spyOn(ServiceRequest, 'find').mockImplementation((filter) => (
+        filter['schedule.reminderSentAt'] === null
+          ? { select: async () => [{ _id: upcoming._id }] }
+          : Promise.resolve([due])
+      ));
+      jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(upcoming);
+      jest.spyOn(User, 'findById').mockImplementation((id) => ({
+        select: async () => ({ _id: id, name: 'User' })
+      }));
+
+      await expect(schedulingService.processDueBookings(NOW)).resolves.toEqual({ reminded: 1, activated: 1 });
+
+      expect(ServiceRequest.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ 'schedule.reminderSentAt': null }),
+        { $set: { 'schedule.reminderSentAt': NOW } },
+        { new: true }
+      );
+      expect(notificationService.notifyBookingReminder).toHaveBeenCalledTimes(2);
+      expect(due.updateStatus).toHaveBeenCalledWith('assigned', null, 'Scheduled booking started', 'system');
+    });
+
+    test('should skip reminders another run already claimed', async () => {
+      jest.spyOn(ServiceRequest, 'find').mockImplementation((filter) => (
+        filter['schedule.reminderSentAt'] === null
+          ? { select: async () => [{ _id: ids.requestId }] }
+          : Promise.resolve([])
+      ));
+      jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(schedulingService.processDueBookings(NOW)).resolves.toEqual({ reminded: 0, activated: 0 });
+      expect(notificationService.notifyBookingReminder).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const ServiceArea = require('../../src/models/ServiceArea');
+
+describe('ServiceArea Model', () => {
+  describe('buildGeometry', () => {
+    test('should build a GeoJSON point for circles', () => {
+      const geometry = ServiceArea.buildGeometry('circle', { center: { lat: 12.9716, lng: 77.5946 } });
+
+      expect(geometry).toEqual({ type: 'Point', coordinates: [77.5946, 12.9716] });
+    });
+
+    test('should close polygon rings', () => {
+      const geometry = ServiceArea.buildGeometry('polygon', {
+        points: [
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 1 },
+          { lat: 1, lng: 1 }
+        ]
+      });
+
+      expect(geometry.type).toBe('Polygon');
+      expect(geometry.coordinates[0]).toHaveLength(4);
+      expect(geometry.coordinates[0][3]).toEqual([0, 0]);
+    });
+
+    test('should return null when the center is missing', () => {
+      expect(ServiceArea.buildGeometry('circle', {})).toBeNull();
+    });
+  });
+
+  describe('containsPoint', () => {
+    test('should match points within a circle radius', () => {
+      const area = new ServiceArea({
+        name: 'Central',
+        shape: 'circle',
+        geometry: { type: 'Point', coordinates: [77.5946, 12.9716] },
+        radius: 5
+      });
+
+      expect(area.containsPoint(12.98, 77.60)).toBe(true);
+      expect(area.containsPoint(13.2, 77.9)).toBe(false);
+    });
+
+    test('should match points inside a polygon', () => {
+      const area = new ServiceArea({
+        name: 'Grid',
+        shape: 'polygon',
+        geometry: ServiceArea.buildGeometry('polygon', {
+          points: [
+            { lat: 0, lng: 0 },
+            { lat: 0, lng: 2 },
+            { lat: 2, lng: 2 },
+            { lat: 2, lng: 0 }
+          ]
+        })
+      });
+
+      expect(area.containsPoint(1, 1)).toBe(true);
+      expect(area.containsPoint(3, 1)).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    test('should require a radius for circle areas', async () => {
+      const area = new ServiceArea({
+        mechanicId: '64b7f0c2a1b2c3d4e5f60718',
+        name: 'No radius',
+        shape: 'circle',
+        geometry: { type: 'Point', coordinates: [77.5946, 12.9716] }
+      });
+
+      await expect(area.validate()).rejects.toHaveProperty('errors.radius');
+    });
+
+    test('should reject polygons whose edges cross', async () => {
+      const buildArea = (points) => new ServiceArea({
+        mechanicId: '64b7f0c2a1b2c3d4e5f60718',
+        name: 'Bow tie',
+        shape: 'polygon',
+        geometry: ServiceArea.buildGeometry('polygon', { points })
+      });
+
+      const bowTie = buildArea([
+        { lat: 0, lng: 0 },
+        { lat: 2, lng: 2 },
+        { lat: 0, lng: 2 },
+        { lat: 2, lng: 0 }
+      ]);
+      await expect(bowTie.validate()).rejects.toHaveProperty('errors.geometry.message', 'Polygon area edges must not cross each other');
+
+      const square = buildArea([
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 2 },
+        { lat: 2, lng: 2 },
+        { lat: 2, lng: 0 }
+      ]);
+      await expect(square.validate()).resolves.toBeUndefined();
+    });
+  });
+});
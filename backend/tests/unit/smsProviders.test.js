@@ -0,0 +1,209 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  createSmsProvider,
+  TwilioSmsProvider,
+  SnsSmsProvider,
+  FileSmsProvider,
+  SMS_STATUS
+} = require('../../src/services/sms');
+
+// Minimal HTTP server that records requests and replies with canned responses
+const startStubServer = (handler) => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const recorded = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(recorded);
+      const { status = 200, type = 'application/json', payload = '' } = handler(recorded);
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      server,
+      requests,
+      url: `http://127.0.0.1:${server.address().port}`
+    });
+  });
+});
+
+describe('SMS Providers', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) {
+      await new Promise(resolve => stub.server.close(resolve));
+      stub = null;
+    }
+  });
+
+  describe('TwilioSmsProvider', () => {
+    const buildProvider = (baseUrl) => new TwilioSmsProvider({
+      accountSid: 'AC123',
+      authToken: 'twilio-token',
+      from: '+15005550006',
+      baseUrl,
+      statusCallbackUrl: 'https://api.roadguard.test/api/notifications/sms/status/twilio'
+    });
+
+    test('should post the message with basic auth and map the status', async () => {
+      stub = await startStubServer(() => ({
+        status: 201,
+        payload: { sid: 'SM001', status: 'queued' }
+      }));
+
+      const result = await buildProvider(stub.url).send({ to: '+919876543210', message: 'Your mechanic is on the way!' });
+
+      expect(result).toEqual({ messageId: 'SM001', status: SMS_STATUS.QUEUED, provider: 'twilio' });
+
+      const [sent] = stub.requests;
+      expect(sent.method).toBe('POST');
+      expect(sent.url).toBe('/2010-04-01/Accounts/AC123/Messages.json');
+      expect(sent.headers.authorization).toBe(`Basic ${Buffer.from('AC123:twilio-token').toString('base64')}`);
+
+      const form = new URLSearchParams(sent.body);
+      expect(form.get('To')).toBe('+919876543210');
+      expect(form.get('From')).toBe('+15005550006');
+      expect(form.get('Body')).toBe('Your mechanic is on the way!');
+      expect(form.get('StatusCallback')).toContain('/sms/status/twilio');
+    });
+
+    test('should surface API errors', async () => {
+      stub = await startStubServer(() => ({
+        status: 400,
+        payload: { code: 21211, message: "The 'To' number is not a valid phone number." }
+      }));
+
+      await expect(buildProvider(stub.url).send({ to: 'bad', message: 'hi' }))
+        .rejects.toMatchObject({ code: 21211, statusCode: 400 });
+    });
+
+    test('should fetch delivery status', async () => {
+      stub = await startStubServer(() => ({
+        payload: { sid: 'SM001', status: 'undelivered', error_code: 30003 }
+      }));
+
+      const report = await buildProvider(stub.url).getStatus('SM001');
+
+      expect(stub.requests[0].url).toBe('/2010-04-01/Accounts/AC123/Messages/SM001.json');
+      expect(report).toEqual({ messageId: 'SM001', status: SMS_STATUS.UNDELIVERED, errorCode: 30003 });
+    });
+
+    test('should accept only signed status callbacks', () => {
+      const provider = buildProvider('http://unused');
+      const params = { MessageSid: 'SM001', MessageStatus: 'delivered' };
+      const signature = crypto
+        .createHmac('sha1', 'twilio-token')
+        .update(`${provider.statusCallbackUrl}MessageSidSM001MessageStatusdelivered`)
+        .digest('base64');
+
+      expect(provider.parseStatusCallback({ params, signature })).toEqual({
+        messageId: 'SM001',
+        status: SMS_STATUS.DELIVERED,
+        errorCode: null
+      });
+      expect(provider.parseStatusCallback({ params, signature: 'forged' })).toBeNull();
+    });
+  });
+
+  describe('SnsSmsProvider', () => {
+    test('should publish a signed request and read the message id', async () => {
+      stub = await startStubServer(() => ({
+        type: 'text/xml',
+        payload: '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>'
+      }));
+
+      const provider = new SnsSmsProvider({
+        accessKeyId: 'AKIDEXAMPLE',
+        secretAccessKey: 'secret',
+        region: 'ap-south-1',
+        endpoint: `${stub.url}/`,
+        senderId: 'RDGUARD'
+      });
+      const result = await provider.send({ to: '+919876543210', message: 'Payment of ₹500 completed' });
+
+      expect(result).toEqual({ messageId: 'sns-msg-1', status: SMS_STATUS.SENT, provider: 'sns' });
+
+      const [sent] = stub.requests;
+      expect(sent.headers.authorization).toMatch(
+        /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/ap-south-1\/sns\/aws4_request, SignedHeaders=content-type;host;x-amz-date, Signature=[0-9a-f]{64}$/
+      );
+
+      const form = new URLSearchParams(sent.body);
+      expect(form.get('Action')).toBe('Publish');
+      expect(form.get('PhoneNumber')).toBe('+919876543210');
+      expect(form.get('Message')).toBe('Payment of ₹500 completed');
+      expect(form.get('MessageAttributes.entry.2.Value.StringValue')).toBe('RDGUARD');
+    });
+
+    test('should surface SNS errors', async () => {
+      stub = await startStubServer(() => ({
+        status: 400,
+        type: 'text/xml',
+        payload: '<ErrorResponse><Error><Code>InvalidParameter</Code><Message>Invalid parameter: PhoneNumber</Message></Error></ErrorResponse>'
+      }));
+
+      const provider = new SnsSmsProvider({
+        accessKeyId: 'AKIDEXAMPLE',
+        secretAccessKey: 'secret',
+        endpoint: `${stub.url}/`
+      });
+
+      await expect(provider.send({ to: 'bad', message: 'hi' }))
+        .rejects.toMatchObject({ code: 'InvalidParameter', message: 'Invalid parameter: PhoneNumber' });
+    });
+  });
+
+  describe('FileSmsProvider', () => {
+    test('should append messages to the outbox file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-outbox-'));
+      const filePath = path.join(dir, 'outbox.log');
+
+      try {
+        const provider = new FileSmsProvider({ filePath });
+        const result = await provider.send({ to: '+919876543210', message: 'Your RoadGuard OTP is: 123456' });
+
+        expect(result.provider).toBe('file');
+        expect(result.status).toBe(SMS_STATUS.DELIVERED);
+
+        const [line] = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        expect(JSON.parse(line)).toMatchObject({
+          messageId: result.messageId,
+          to: '+919876543210',
+          message: 'Your RoadGuard OTP is: 123456'
+        });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('createSmsProvider', () => {
+    test('should default to the console provider', () => {
+      expect(createSmsProvider({}).name).toBe('console');
+    });
+
+    test('should build the configured provider', () => {
+      const provider = createSmsProvider({
+        SMS_PROVIDER: 'twilio',
+        TWILIO_ACCOUNT_SID: 'AC123',
+        TWILIO_AUTH_TOKEN: 'token',
+        TWILIO_PHONE_NUMBER: '+15005550006'
+      });
+
+      expect(provider).toBeInstanceOf(TwilioSmsProvider);
+    });
+
+    test('should fall back to console when credentials are missing', () => {
+      expect(createSmsProvider({ SMS_PROVIDER: 'sns' }).name).toBe('console');
+    });
+  });
+});
@@ -0,0 +1,20 @@
+describe('Swagger Spec', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // swagger-jsdoc only prints YAML errors in route docs and leaves the broken paths out
+  test('should parse every route doc without YAML errors', () => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let specs;
+    jest.isolateModules(() => {
+      specs = require('../../src/config/swagger');
+    });
+
+    expect(console.error).not.toHaveBeenCalled();
+    expect(specs.paths).toHaveProperty(['/api/notifications/preferences']);
+    expect(specs.paths).toHaveProperty(['/api/notifications/{id}/read']);
+  });
+});
@@ -0,0 +1,140 @@
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../../src/models/AuthSession');
+const RevokedToken = require('../../src/models/RevokedToken');
+const User = require('../../src/models/User');
+const tokenService = require('../../src/services/tokenService');
+const { generateToken } = require('../../src/middlewares/authMiddleware');
+
+const userId = '64b7f0c2a1b2c3d4e5f60002';
+const sessionId = '64b7f0c2a1b2c3d4e5f60031';
+
+const buildSession = (overrides = {}) => new AuthSession({
+  _id: sessionId,
+  userId,
+  currentTokenId: 'token-1',
+  deviceId: 'laptop',
+  createdAt: new Date(Date.now() - 60 * 1000),
+  expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+  accessExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides
+});
+
+const refreshTokenFor = (tokenId, sid = sessionId) => jwt.sign(
+  { id: userId, sid },
+  process.env.JWT_REFRESH_SECRET,
+  { expiresIn: '7d', jwtid: tokenId }
+);
+
+describe('Token Service', () => {
+  beforeEach(() => {
+    jest.spyOn(AuthSession, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(RevokedToken, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should tie both tokens to a new session', async () => {
+    jest.spyOn(AuthSession, 'find').mockResolvedValue([]);
+    const save = jest.spyOn(AuthSession.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+
+    const result = await tokenService.createSession({ _id: userId }, { deviceId: 'laptop', ip: '127.0.0.1' });
+
+    const access = jwt.decode(result.accessToken);
+    const refresh = jwt.decode(result.refreshToken);
+    const session = save.mock.contexts[0];
+
+    expect(access).toMatchObject({ id: userId, sid: result.sessionId.toString() });
+    expect(refresh.sid).toBe(result.sessionId.toString());
+    expect(session.currentTokenId).toBe(refresh.jti);
+    expect(session.expiresAt.getTime()).toBe(refresh.exp * 1000);
+    expect(session.accessExpiresAt.getTime()).toBe(access.exp * 1000);
+  });
+
+  test('should replace the previous session of the same device', async () => {
+    const previous = buildSession();
+    jest.spyOn(AuthSession, 'find').mockResolvedValue([previous]);
+    jest.spyOn(AuthSession.prototype, 'save').mockResolvedValue();
+
+    await tokenService.createSession({ _id: userId }, { deviceId: 'laptop' });
+
+    expect(AuthSession.updateOne).toHaveBeenCalledWith(
+      { _id: previous._id, revokedAt: null },
+      { $set: expect.objectContaining({ revokedReason: 'replaced' }) }
+    );
+  });
+
+  test('should rotate the refresh token on every exchange', async () => {
+    jest.spyOn(AuthSession, 'findById').mockResolvedValue(buildSession());
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+    jest.spyOn(AuthSession, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      ...filter,
+      ...update.$set
+    }));
+
+    const result = await tokenService.rotateRefreshToken(refreshTokenFor('token-1'));
+
+    const [filter, update] = AuthSession.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: expect.anything(), currentTokenId: 'token-1', revokedAt: null });
+    expect(update.$set.currentTokenId).toBe(jwt.decode(result.refreshToken).jti);
+    expect(update.$set.currentTokenId).not.toBe('token-1');
+    expect(jwt.decode(result.accessToken).sid).toBe(sessionId);
+  });
+
+  test('should revoke the whole session when a rotated token is reused', async () => {
+    jest.spyOn(AuthSession, 'findById').mockResolvedValue(buildSession({ currentTokenId: 'token-2' }));
+    jest.spyOn(AuthSession, 'findOneAndUpdate');
+
+    await expect(tokenService.rotateRefreshToken(refreshTokenFor('token-1')))
+      .rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_REUSED' });
+
+    expect(AuthSession.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(AuthSession.updateOne).toHaveBeenCalledWith(
+      { _id: expect.anything(), revokedAt: null },
+      { $set: expect.objectContaining({ revokedReason: 'token_reuse' }) }
+    );
+    expect(RevokedToken.create).toHaveBeenCalledWith(expect.objectContaining({
+      sessionId: expect.anything(),
+      reason: 'token_reuse'
+    }));
+  });
+
+  test('should treat losing a concurrent rotation as reuse', async () => {
+    jest.spyOn(AuthSession, 'findById').mockResolvedValue(buildSession());
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+    jest.spyOn(AuthSession, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(tokenService.rotateRefreshToken(refreshTokenFor('token-1')))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+  });
+
+  test('should reject refresh tokens of revoked sessions', async () => {
+    jest.spyOn(AuthSession, 'findById').mockResolvedValue(buildSession({ revokedAt: new Date(), revokedReason: 'logout' }));
+
+    await expect(tokenService.rotateRefreshToken(refreshTokenFor('token-1')))
+      .rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+
+  test('should reject refresh tokens issued without a session', async () => {
+    const legacy = jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+
+    await expect(tokenService.rotateRefreshToken(legacy))
+      .rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+    await expect(tokenService.rotateRefreshToken('not-a-token'))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  test('should check access tokens against the denylist by jti and session', async () => {
+    const exists = jest.spyOn(RevokedToken, 'exists').mockResolvedValue({ _id: 'entry' });
+    const decoded = jwt.decode(generateToken(userId, { sessionId }));
+
+    await expect(RevokedToken.isRevoked(decoded)).resolves.toBe(true);
+    expect(exists).toHaveBeenCalledWith({ $or: [{ jti: decoded.jti }, { sessionId }] });
+
+    await expect(RevokedToken.isRevoked({})).resolves.toBe(false);
+    expect(exists).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,125 @@
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const trackingService = require('../../src/services/trackingService');
+const trackingShareService = require('../../src/services/trackingShareService');
+const { ids } = require('../helpers/fixtures');
+
+const { mechanicId, requestId } = ids;
+
+// Customer waiting in central Bengaluru
+const destination = { lat: 12.9716, lng: 77.5946 };
+
+const mockActiveRequest = (tracking, status = 'enroute') => jest.spyOn(ServiceRequest, 'findOne').mockReturnValue({
+  select: async () => ({ _id: requestId, status, location: destination, tracking })
+});
+
+describe('Tracking Service', () => {
+  let socketHandlers;
+
+  beforeEach(() => {
+    socketHandlers = { emitToRequest: jest.fn() };
+    trackingService.setSocketHandlers(socketHandlers);
+    jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('estimateEtaMinutes', () => {
+    test('should use road distance at the travelled speed', () => {
+      expect(trackingService.estimateEtaMinutes(10, 40)).toBe(20);
+    });
+
+    test('should fall back to city speed while standing still', () => {
+      expect(trackingService.estimateEtaMinutes(10, 0)).toBe(32);
+      expect(trackingService.estimateEtaMinutes(10, undefined)).toBe(32);
+    });
+
+    test('should report arrival within 50 metres', () => {
+      expect(trackingService.estimateEtaMinutes(0.03, 40)).toBe(0);
+    });
+  });
+
+  describe('recordLocation', () => {
+    test('should store the first point and push distance and ETA to the request room', async () => {
+      mockActiveRequest(undefined);
+      jest.spyOn(trackingShareService, 'publishLocation');
+
+      const tracking = await trackingService.recordLocation(requestId, mechanicId, {
+        lat: 12.9816, lng: 77.5946, accuracy: 8, speed: 10
+      });
+
+      expect(ServiceRequest.findOne).toHaveBeenCalledWith({
+        _id: requestId,
+        mechanicId,
+        status: { $in: ['assigned', 'enroute', 'in_progress'] }
+      });
+
+      const [, update] = ServiceRequest.updateOne.mock.calls[0];
+      expect(update.$push['tracking.trail']).toEqual({
+        $each: [expect.objectContaining({ lat: 12.9816, lng: 77.5946, accuracy: 8, speed: 36 })],
+        $slice: -2000
+      });
+      expect(update.$set['tracking.speedKmh']).toBe(36);
+
+      expect(tracking.distanceKm).toBeCloseTo(1.11, 2);
+      expect(tracking.etaMinutes).toBe(3);
+      expect(socketHandlers.emitToRequest).toHaveBeenCalledWith(requestId, 'tracking-update', tracking);
+      expect(trackingShareService.publishLocation).toHaveBeenCalledWith(requestId, tracking);
+    });
+
+    test('should only refresh the ETA for small jitters', async () => {
+      mockActiveRequest({
+        lastLocation: { lat: 12.9816, lng: 77.5946, recordedAt: new Date() },
+        speedKmh: 30
+      });
+
+      await trackingService.recordLocation(requestId, mechanicId, { lat: 12.98161, lng: 77.5946 });
+
+      const [, update] = ServiceRequest.updateOne.mock.calls[0];
+      expect(update.$push).toBeUndefined();
+      expect(update.$set['tracking.lastLocation']).toBeUndefined();
+      expect(update.$set['tracking.etaMinutes']).toBe(3);
+    });
+
+    test('should add a breadcrumb after moving or waiting long enough', async () => {
+      mockActiveRequest({
+        lastLocation: { lat: 12.9816, lng: 77.5946, recordedAt: new Date(Date.now() - 60 * 1000) },
+        speedKmh: 30
+      });
+
+      await trackingService.recordLocation(requestId, mechanicId, { lat: 12.98161, lng: 77.5946 });
+
+      const [, update] = ServiceRequest.updateOne.mock.calls[0];
+      expect(update.$push['tracking.trail'].$each).toHaveLength(1);
+      expect(update.$set['tracking.lastLocation']).toMatchObject({ lat: 12.98161 });
+    });
+
+    test('should not estimate arrival once work has started', async () => {
+      mockActiveRequest(undefined, 'in_progress');
+
+      const tracking = await trackingService.recordLocation(requestId, mechanicId, { lat: 12.9816, lng: 77.5946 });
+
+      expect(tracking.etaMinutes).toBe(0);
+    });
+
+    test('should ignore mechanics not assigned to an active request', async () => {
+      jest.spyOn(ServiceRequest, 'findOne').mockReturnValue({ select: async () => null });
+
+      await expect(trackingService.recordLocation(requestId, mechanicId, { lat: 12.98, lng: 77.59 }))
+        .resolves.toBeNull();
+      expect(ServiceRequest.updateOne).not.toHaveBeenCalled();
+      expect(socketHandlers.emitToRequest).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid coordinates', async () => {
+      jest.spyOn(ServiceRequest, 'findOne');
+
+      await expect(trackingService.recordLocation(requestId, mechanicId, { lat: 91, lng: 77.59 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(trackingService.recordLocation(requestId, mechanicId, { lng: 77.59 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(ServiceRequest.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
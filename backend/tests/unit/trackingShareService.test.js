@@ -0,0 +1,229 @@
+const jwt = require('jsonwebtoken');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const User = require('../../src/models/User');
+const trackingShareService = require('../../src/services/trackingShareService');
+const { ids } = require('../helpers/fixtures');
+
+const { customerId, mechanicId, requestId } = ids;
+
+const HOUR = 60 * 60 * 1000;
+
+const buildRequest = (overrides = {}) => new ServiceRequest({
+  _id: requestId,
+  customerId,
+  mechanicId,
+  issueType: 'flat_tire',
+  description: 'Rear tyre is flat',
+  vehicleInfo: { type: 'car', model: 'Swift', plate: 'KA01AB1234' },
+  location: { lat: 12.9716, lng: 77.5946, address: 'MG Road, Bengaluru' },
+  status: 'enroute',
+  history: [
+    { status: 'pending', timestamp: new Date(Date.now() - HOUR) },
+    { status: 'pending', event: 'dispatch_offer', mechanicId, wave: 1 },
+    { status: 'assigned', timestamp: new Date(Date.now() - HOUR / 2), note: 'Accepted', updatedBy: mechanicId },
+    { status: 'enroute', timestamp: new Date(Date.now() - HOUR / 4) }
+  ],
+  tracking: {
+    lastLocation: { lat: 12.98, lng: 77.59, recordedAt: new Date() },
+    distanceKm: 1.2,
+    etaMinutes: 4
+  },
+  ...overrides
+});
+
+// A request with one link on it and that link's token
+const withLink = (requestOverrides = {}, linkOverrides = {}) => {
+  const request = buildRequest(requestOverrides);
+  request.shareLinks.push({
+    label: 'Mum',
+    createdAt: new Date(Date.now() - 60 * 1000),
+    expiresAt: new Date(Date.now() + HOUR),
+    ...linkOverrides
+  });
+  const link = request.shareLinks[0];
+  return { request, link, token: trackingShareService.signToken(requestId, link) };
+};
+
+const mockFindById = (request) => jest.spyOn(ServiceRequest, 'findById').mockReturnValue({
+  select: () => ({ populate: async () => request })
+});
+
+const mockFindOne = (request) => jest.spyOn(ServiceRequest, 'findOne').mockReturnValue({
+  select: async () => request
+});
+
+describe('Tracking Share Service', () => {
+  let socketHandlers;
+
+  beforeEach(() => {
+    process.env.FRONTEND_URL = 'https://app.roadguard.test';
+    socketHandlers = { emitToViewers: jest.fn(), endTracking: jest.fn(), endShareLink: jest.fn() };
+    trackingShareService.setSocketHandlers(socketHandlers);
+    jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    trackingShareService.setSocketHandlers(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('createLink', () => {
+    test('should sign a token for the request that expires with the link', async () => {
+      mockFindOne(buildRequest());
+
+      const link = await trackingShareService.createLink(requestId, customerId, { label: 'Mum', expiresInHours: 2 });
+
+      expect(ServiceRequest.findOne).toHaveBeenCalledWith({ _id: requestId, customerId });
+      const [, update] = ServiceRequest.updateOne.mock.calls[0];
+      expect(update.$push.shareLinks).toMatchObject({ label: 'Mum' });
+
+      const claims = jwt.verify(link.token, process.env.JWT_SECRET, { audience: 'tracking-share' });
+      expect(claims.sub).toBe(requestId);
+      expect(claims.jti).toBe(link._id.toString());
+      expect(claims.exp * 1000).toBeCloseTo(link.expiresAt.getTime(), -4);
+      expect(link.expiresAt.getTime() - Date.now()).toBeGreaterThan(2 * HOUR - 60 * 1000);
+      expect(link.url).toBe(`https://app.roadguard.test/track/${link.token}`);
+    });
+
+    test('should refuse finished requests and more than five active links', async () => {
+      mockFindOne(buildRequest({ status: 'completed' }));
+      await expect(trackingShareService.createLink(requestId, customerId))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      const busy = buildRequest();
+      for (let i = 0; i < 5; i++) {
+        busy.shareLinks.push({ expiresAt: new Date(Date.now() + HOUR) });
+      }
+      busy.shareLinks.push({ expiresAt: new Date(Date.now() - HOUR) });
+      ServiceRequest.findOne.mockReturnValue({ select: async () => busy });
+
+      await expect(trackingShareService.createLink(requestId, customerId))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(ServiceRequest.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should 404 for another customer\'s request', async () => {
+      mockFindOne(null);
+
+      await expect(trackingShareService.createLink(requestId, customerId))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('listLinks', () => {
+    test('should list active links with the same token they were created with', async () => {
+      const { request, token } = withLink();
+      request.shareLinks.push({ expiresAt: new Date(Date.now() + HOUR), revokedAt: new Date() });
+      mockFindOne(request);
+
+      const links = await trackingShareService.listLinks(requestId, customerId);
+
+      expect(links).toHaveLength(1);
+      expect(links[0]).toMatchObject({ label: 'Mum', token });
+    });
+  });
+
+  describe('revokeLink', () => {
+    test('should revoke the link and disconnect its viewers', async () => {
+      jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(buildRequest());
+      const linkId = '64b7f0c2a1b2c3d4e5f60071';
+
+      await trackingShareService.revokeLink(requestId, customerId, linkId);
+
+      const [filter, update] = ServiceRequest.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: requestId, customerId, shareLinks: { $elemMatch: { _id: linkId, revokedAt: null } } });
+      expect(update.$set['shareLinks.$.revokedAt']).toBeInstanceOf(Date);
+      expect(socketHandlers.endShareLink).toHaveBeenCalledWith(linkId, 'revoked');
+    });
+
+    test('should 404 for unknown or already revoked links', async () => {
+      jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(trackingShareService.revokeLink(requestId, customerId, '64b7f0c2a1b2c3d4e5f60071'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(socketHandlers.endShareLink).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authorize', () => {
+    test('should refuse forged and access tokens', async () => {
+      const { link } = withLink();
+      const forged = jwt.sign({ sub: requestId }, 'not-the-secret', { audience: 'tracking-share', jwtid: link._id.toString() });
+      const accessToken = jwt.sign({ id: customerId }, process.env.JWT_SECRET);
+
+      await expect(trackingShareService.authorize(forged)).rejects.toMatchObject({ statusCode: 404 });
+      await expect(trackingShareService.authorize(accessToken)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should end links that expired, were revoked or belong to a finished job', async () => {
+      const expired = withLink({}, { createdAt: new Date(Date.now() - 3 * HOUR), expiresAt: new Date(Date.now() - HOUR) });
+      await expect(trackingShareService.authorize(expired.token)).rejects.toMatchObject({ statusCode: 410 });
+
+      const revoked = withLink({}, { revokedAt: new Date() });
+      mockFindById(revoked.request);
+      await expect(trackingShareService.authorize(revoked.token)).rejects.toMatchObject({ statusCode: 410 });
+
+      for (const status of ['completed', 'cancelled']) {
+        const finished = withLink({ status });
+        mockFindById(finished.request);
+        await expect(trackingShareService.authorize(finished.token))
+          .rejects.toMatchObject({ statusCode: 410, message: `This job is ${status}, so tracking has ended` });
+      }
+    });
+
+    test('should 404 once the link entry is gone', async () => {
+      const { token } = withLink();
+      mockFindById(buildRequest());
+
+      await expect(trackingShareService.authorize(token)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getSharedTracking', () => {
+    test('should show the mechanic, vehicle, timeline and location but no contact details', async () => {
+      const { request, token } = withLink();
+      request.mechanicId = new User({ _id: mechanicId, name: 'Ravi Kumar', rating: 4.6, phone: '+919812345678', role: 'mechanic' });
+      mockFindById(request);
+
+      const tracking = await trackingShareService.getSharedTracking(token);
+
+      expect(tracking.mechanic).toEqual({ name: 'Ravi Kumar', rating: 4.6 });
+      expect(tracking.vehicle).toEqual({ type: 'car', model: 'Swift', plate: 'KA01AB1234' });
+      expect(tracking.timeline.map(entry => entry.status)).toEqual(['pending', 'assigned', 'enroute']);
+      expect(tracking.timeline[1]).not.toHaveProperty('note');
+      expect(tracking.tracking).toMatchObject({ distanceKm: 1.2, etaMinutes: 4, lastLocation: expect.objectContaining({ lat: 12.98 }) });
+      expect(JSON.stringify(tracking)).not.toContain('+919812345678');
+      expect(tracking).not.toHaveProperty('customerId');
+    });
+  });
+
+  describe('live updates', () => {
+    test('should relay positions to viewers without the mechanic id', () => {
+      trackingShareService.publishLocation(requestId, {
+        requestId,
+        mechanicId,
+        location: { lat: 12.98, lng: 77.59 },
+        distanceKm: 1.2,
+        etaMinutes: 4,
+        estimatedArrival: new Date(),
+        timestamp: new Date()
+      });
+
+      const [room, event, data] = socketHandlers.emitToViewers.mock.calls[0];
+      expect([room, event]).toEqual([requestId, 'tracking-update']);
+      expect(data).not.toHaveProperty('mechanicId');
+      expect(data).toMatchObject({ distanceKm: 1.2, etaMinutes: 4 });
+    });
+
+    test('should end every link when the job is completed or cancelled', () => {
+      const request = buildRequest();
+
+      trackingShareService.handleStatusChange(request, { from: 'assigned', to: 'enroute' });
+      expect(socketHandlers.endTracking).not.toHaveBeenCalled();
+
+      trackingShareService.handleStatusChange(request, { from: 'in_progress', to: 'completed' });
+      expect(socketHandlers.emitToViewers).toHaveBeenCalledWith(request._id, 'status-update', expect.objectContaining({ status: 'completed' }));
+      expect(socketHandlers.endTracking).toHaveBeenCalledWith(request._id, 'completed');
+    });
+  });
+});
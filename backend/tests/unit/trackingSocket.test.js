@@ -0,0 +1,120 @@
+const EventEmitter = require('events');
+const initializeTrackingSocket = require('../../src/socket/trackingSocket');
+const trackingShareService = require('../../src/services/trackingShareService');
+const { AppError } = require('../../src/utils/response');
+const { ids } = require('../helpers/fixtures');
+
+const { requestId } = ids;
+const linkId = '64b7f0c2a1b2c3d4e5f60071';
+
+// Minimal stand-in for the /tracking namespace that records emits and disconnects per room
+const createNamespace = () => {
+  const namespace = new EventEmitter();
+  namespace.middlewares = [];
+  namespace.broadcasts = [];
+  namespace.disconnected = [];
+  namespace.use = (fn) => namespace.middlewares.push(fn);
+  namespace.to = (room) => ({
+    emit: (event, data) => namespace.broadcasts.push({ room, event, data })
+  });
+  namespace.in = (room) => ({
+    disconnectSockets: () => namespace.disconnected.push(room)
+  });
+  return namespace;
+};
+
+const connect = (namespace, share) => {
+  const socket = new EventEmitter();
+  socket.share = share;
+  socket.rooms = new Set();
+  socket.emitted = [];
+  socket.join = (room) => socket.rooms.add(room);
+  socket.disconnect = jest.fn();
+  const emit = socket.emit.bind(socket);
+  socket.emit = (event, data) => {
+    socket.emitted.push({ event, data });
+    return emit(event, data);
+  };
+
+  namespace.emit('connection', socket);
+  return socket;
+};
+
+describe('Tracking Socket', () => {
+  let namespace;
+  let handlers;
+
+  beforeEach(() => {
+    namespace = createNamespace();
+    handlers = initializeTrackingSocket({ of: () => namespace });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('handshake', () => {
+    const handshakeWith = (token) => ({ id: 'socket-1', handshake: { auth: { token }, headers: {} } });
+
+    test('should admit a valid link to its request only', async () => {
+      jest.spyOn(trackingShareService, 'authorize').mockResolvedValue({
+        request: { _id: requestId },
+        link: { _id: linkId, expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+      });
+      const socket = handshakeWith('share-token');
+      const next = jest.fn();
+
+      await namespace.middlewares[0](socket, next);
+
+      expect(trackingShareService.authorize).toHaveBeenCalledWith('share-token');
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.share).toMatchObject({ requestId, linkId });
+    });
+
+    test('should refuse missing tokens and links that ended', async () => {
+      jest.spyOn(trackingShareService, 'authorize').mockRejectedValue(new AppError('This tracking link has expired', 410));
+      const next = jest.fn();
+
+      await namespace.middlewares[0]({ id: 'socket-1', handshake: { auth: {}, headers: {} } }, next);
+      await namespace.middlewares[0](handshakeWith('old-token'), next);
+
+      expect(next.mock.calls.map(([error]) => [error.message, error.data.code])).toEqual([
+        ['Tracking link token required.', 'UNAUTHENTICATED'],
+        ['This tracking link has expired', 'LINK_ENDED']
+      ]);
+    });
+  });
+
+  describe('viewers', () => {
+    test('should join the request and link rooms and leave when the link expires', () => {
+      jest.useFakeTimers();
+      const socket = connect(namespace, { requestId, linkId, expiresAt: new Date(Date.now() + 1000) });
+
+      expect(socket.rooms).toEqual(new Set([`tracking_${requestId}`, `share_link_${linkId}`]));
+
+      jest.advanceTimersByTime(1000);
+
+      expect(socket.emitted).toContainEqual({ event: 'tracking-ended', data: { reason: 'expired' } });
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+
+    test('should ignore anything a viewer sends', () => {
+      const socket = connect(namespace, { requestId, linkId, expiresAt: new Date(Date.now() + 1000) });
+
+      expect(socket.eventNames()).toEqual(['disconnect']);
+      socket.emit('disconnect');
+    });
+
+    test('should end the request\'s links or a single revoked link', () => {
+      handlers.endTracking(requestId, 'completed');
+      handlers.endShareLink(linkId, 'revoked');
+
+      expect(namespace.broadcasts).toEqual([
+        { room: `tracking_${requestId}`, event: 'tracking-ended', data: { reason: 'completed' } },
+        { room: `share_link_${linkId}`, event: 'tracking-ended', data: { reason: 'revoked' } }
+      ]);
+      expect(namespace.disconnected).toEqual([`tracking_${requestId}`, `share_link_${linkId}`]);
+    });
+  });
+});
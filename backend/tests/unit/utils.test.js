@@ -5,7 +5,8 @@ const {
   getPaginationOptions,
   generatePaginationMeta,
   buildQueryFilter,
-  buildSortOptions
+  buildSortOptions,
+  toGeoPoint
 } = require('../../src/utils/response');
 
 describe('Utility Functions', () => {
@@ -185,4 +186,30 @@ describe('Utility Functions', () => {
       expect(sortOptions).toEqual({ invalidField: -1 });
     });
   });
+
+  describe('toGeoPoint', () => {
+    test('should convert lat/lng into a GeoJSON point', () => {
+      expect(toGeoPoint({ lat: '12.97', lng: 77.59 })).toEqual({
+        type: 'Point',
+        coordinates: [77.59, 12.97]
+      });
+    });
+
+    test('should accept latitude/longitude keys', () => {
+      expect(toGeoPoint({ latitude: 1, longitude: 2 })).toEqual({
+        type: 'Point',
+        coordinates: [2, 1]
+      });
+    });
+
+    test('should pass GeoJSON points through', () => {
+      const point = { type: 'Point', coordinates: [77.59, 12.97] };
+      expect(toGeoPoint(point)).toEqual(point);
+    });
+
+    test('should return undefined for invalid input', () => {
+      expect(toGeoPoint(null)).toBeUndefined();
+      expect(toGeoPoint({ lat: 'abc', lng: 1 })).toBeUndefined();
+    });
+  });
 });
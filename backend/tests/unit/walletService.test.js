@@ -0,0 +1,155 @@
+const Wallet = require('../../src/models/Wallet');
+const WalletTransaction = require('../../src/models/WalletTransaction');
+const User = require('../../src/models/User');
+const walletService = require('../../src/services/walletService');
+const { ids, buildPayment, buildRefund, duplicateKeyError } = require('../helpers/fixtures');
+
+const { customerId, adminId, paymentId, refundId } = ids;
+
+// An order paying ₹300 of its ₹800 from the wallet, not settled yet
+const buildWalletPayment = (overrides = {}) => buildPayment({ walletAmount: 300, status: 'pending', paidAt: undefined, ...overrides });
+
+// A wallet whose findOneAndUpdate applies $inc like the real query, refusing debits it cannot cover
+const mockWallet = (balancePaise) => {
+  const wallet = new Wallet({ customerId, balancePaise });
+
+  jest.spyOn(Wallet, 'findOne').mockImplementation(async () => wallet);
+  jest.spyOn(Wallet, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (filter.balancePaise && wallet.balancePaise < filter.balancePaise.$gte) return null;
+    wallet.balancePaise += update.$inc.balancePaise;
+    return wallet;
+  });
+  jest.spyOn(Wallet, 'updateOne').mockImplementation(async (filter, update) => {
+    wallet.balancePaise += update.$inc.balancePaise;
+    return { modifiedCount: 1 };
+  });
+
+  return wallet;
+};
+
+describe('Wallet Service', () => {
+  beforeEach(() => {
+    jest.spyOn(WalletTransaction.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(WalletTransaction, 'create').mockImplementation(async (data) => new WalletTransaction(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('credit and debit', () => {
+    test('should add credits to the balance and record the balance after', async () => {
+      const wallet = mockWallet(10000);
+
+      const transaction = await walletService.credit(customerId, { amount: 250.5, category: 'goodwill', description: 'Late arrival' });
+
+      expect(wallet.balance).toBe(350.5);
+      expect(transaction).toMatchObject({ type: 'credit', category: 'goodwill', amount: 250.5, balanceAfter: 350.5 });
+      expect(Wallet.findOneAndUpdate).toHaveBeenCalledWith(
+        { customerId },
+        { $inc: { balancePaise: 25050 } },
+        expect.objectContaining({ upsert: true })
+      );
+    });
+
+    test('should refuse a debit the balance cannot cover', async () => {
+      const wallet = mockWallet(20000);
+
+      await expect(walletService.debit(customerId, { amount: 300, category: 'payment', paymentId }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Insufficient wallet balance' });
+      expect(wallet.balance).toBe(200);
+      expect(WalletTransaction.create).not.toHaveBeenCalled();
+    });
+
+    test('should give the money back when the debit was already posted', async () => {
+      const wallet = mockWallet(50000);
+      WalletTransaction.create.mockRejectedValue(duplicateKeyError());
+
+      const transaction = await walletService.debit(customerId, { amount: 300, category: 'payment', paymentId });
+
+      expect(transaction).toBeNull();
+      expect(wallet.balance).toBe(500);
+    });
+
+    test('should not credit the same refund twice', async () => {
+      const wallet = mockWallet(0);
+      const refund = buildRefund({ approvedAmount: 800, walletAmount: 300 });
+
+      await walletService.creditRefund(refund);
+      WalletTransaction.create.mockRejectedValue(duplicateKeyError());
+      const repeated = await walletService.creditRefund(refund);
+
+      expect(repeated).toBeNull();
+      expect(wallet.balance).toBe(300);
+      expect(WalletTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        category: 'refund',
+        refundId: refund._id,
+        amount: 300
+      }));
+    });
+  });
+
+  describe('payments', () => {
+    test('should hold the wallet share of a payment', async () => {
+      const wallet = mockWallet(50000);
+      const payment = buildWalletPayment();
+
+      const transaction = await walletService.holdForPayment(payment);
+
+      expect(wallet.balance).toBe(200);
+      expect(transaction).toMatchObject({ type: 'debit', category: 'payment', amount: 300, balanceAfter: 200 });
+      expect(transaction.paymentId).toEqual(payment._id);
+    });
+
+    test('should release the hold of a payment that did not go through', async () => {
+      const wallet = mockWallet(20000);
+      jest.spyOn(WalletTransaction, 'exists').mockResolvedValue({ _id: 'held' });
+
+      const transaction = await walletService.releasePayment(buildWalletPayment());
+
+      expect(wallet.balance).toBe(500);
+      expect(transaction).toMatchObject({ type: 'credit', category: 'payment_reversal', amount: 300 });
+    });
+
+    test('should release nothing for payments that held nothing', async () => {
+      mockWallet(20000);
+      jest.spyOn(WalletTransaction, 'exists').mockResolvedValue(null);
+
+      expect(await walletService.releasePayment(buildWalletPayment({ walletAmount: 0 }))).toBeNull();
+      expect(await walletService.releasePayment(buildWalletPayment())).toBeNull();
+      expect(Wallet.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should cover at most the balance', async () => {
+      mockWallet(45050);
+
+      expect(await walletService.getCoverableAmount(customerId, 800)).toBe(450.5);
+      expect(await walletService.getCoverableAmount(customerId, 120)).toBe(120);
+    });
+  });
+
+  describe('grantCredit', () => {
+    test('should credit goodwill to a customer on behalf of an admin', async () => {
+      const wallet = mockWallet(0);
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => ({ _id: customerId }) });
+
+      const transaction = await walletService.grantCredit(adminId, customerId, { amount: 150, note: 'Sorry for the delay' });
+
+      expect(User.findOne).toHaveBeenCalledWith({ _id: customerId, role: 'customer' });
+      expect(wallet.balance).toBe(150);
+      expect(transaction).toMatchObject({ category: 'goodwill', description: 'Sorry for the delay' });
+      expect(transaction.createdBy.toString()).toBe(adminId);
+    });
+
+    test('should refuse unknown customers and categories admins cannot grant', async () => {
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => null });
+
+      await expect(walletService.grantCredit(adminId, customerId, { amount: 150, note: 'Goodwill' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(walletService.grantCredit(adminId, customerId, { amount: 150, category: 'payment_reversal', note: 'Goodwill' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
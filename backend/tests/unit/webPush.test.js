@@ -0,0 +1,111 @@
+jest.mock('web-push', () => ({
+  setVapidDetails: jest.fn(),
+  sendNotification: jest.fn()
+}));
+
+const webpush = require('web-push');
+const PushSubscription = require('../../src/models/PushSubscription');
+const webPushService = require('../../src/services/webPushService');
+
+const userId = '64b7f0c2a1b2c3d4e5f60002';
+
+const buildSubscription = (id, endpoint) => new PushSubscription({
+  _id: id,
+  userId,
+  endpoint,
+  keys: { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' }
+});
+
+describe('Web Push Service', () => {
+  beforeEach(() => {
+    webPushService.configure({
+      VAPID_PUBLIC_KEY: 'test-public-key',
+      VAPID_PRIVATE_KEY: 'test-private-key',
+      VAPID_SUBJECT: 'mailto:ops@roadguard.test'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should sign with the configured VAPID details', () => {
+    expect(webpush.setVapidDetails).toHaveBeenCalledWith(
+      'mailto:ops@roadguard.test',
+      'test-public-key',
+      'test-private-key'
+    );
+    expect(webPushService.publicKey).toBe('test-public-key');
+  });
+
+  test('should send the payload to every device of the user', async () => {
+    jest.spyOn(PushSubscription, 'find').mockResolvedValue([
+      buildSubscription('64b7f0c2a1b2c3d4e5f60011', 'https://fcm.googleapis.com/fcm/send/phone'),
+      buildSubscription('64b7f0c2a1b2c3d4e5f60012', 'https://updates.push.services.mozilla.com/wpush/v2/laptop')
+    ]);
+    jest.spyOn(PushSubscription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+    const result = await webPushService.sendToUser(userId, {
+      title: 'Request Assigned',
+      body: 'Your request has been assigned to Ravi',
+      data: { type: 'request_assigned' }
+    }, { urgency: 'high' });
+
+    expect(result).toEqual({ sent: 2, failed: 0, pruned: 0 });
+    expect(webpush.sendNotification).toHaveBeenCalledTimes(2);
+
+    const [target, payload, options] = webpush.sendNotification.mock.calls[0];
+    expect(target.endpoint).toBe('https://fcm.googleapis.com/fcm/send/phone');
+    expect(JSON.parse(payload)).toMatchObject({ title: 'Request Assigned', data: { type: 'request_assigned' } });
+    expect(options).toMatchObject({ urgency: 'high' });
+  });
+
+  test('should prune subscriptions the push service reports as gone', async () => {
+    jest.spyOn(PushSubscription, 'find').mockResolvedValue([
+      buildSubscription('64b7f0c2a1b2c3d4e5f60011', 'https://fcm.googleapis.com/fcm/send/live'),
+      buildSubscription('64b7f0c2a1b2c3d4e5f60012', 'https://fcm.googleapis.com/fcm/send/gone')
+    ]);
+    jest.spyOn(PushSubscription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const deleteOne = jest.spyOn(PushSubscription, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    webpush.sendNotification.mockImplementation(async (subscription) => {
+      if (subscription.endpoint.endsWith('/gone')) {
+        throw Object.assign(new Error('Received unexpected response code'), { statusCode: 410 });
+      }
+      return { statusCode: 201 };
+    });
+
+    const result = await webPushService.sendToUser(userId, { title: 'New Service Request', body: 'Nearby' });
+
+    expect(result).toEqual({ sent: 1, failed: 0, pruned: 1 });
+    expect(deleteOne).toHaveBeenCalledTimes(1);
+    expect(deleteOne.mock.calls[0][0]._id.toString()).toBe('64b7f0c2a1b2c3d4e5f60012');
+  });
+
+  test('should keep subscriptions after a transient failure', async () => {
+    jest.spyOn(PushSubscription, 'find').mockResolvedValue([
+      buildSubscription('64b7f0c2a1b2c3d4e5f60011', 'https://fcm.googleapis.com/fcm/send/flaky')
+    ]);
+    const updateOne = jest.spyOn(PushSubscription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const deleteOne = jest.spyOn(PushSubscription, 'deleteOne');
+    webpush.sendNotification.mockRejectedValue(Object.assign(new Error('Server error'), { statusCode: 500 }));
+
+    const result = await webPushService.sendToUser(userId, { title: 'Status Update', body: 'enroute' });
+
+    expect(result).toEqual({ sent: 0, failed: 1, pruned: 0 });
+    expect(deleteOne).not.toHaveBeenCalled();
+    expect(updateOne.mock.calls[0][1]).toMatchObject({ $inc: { failureCount: 1 } });
+  });
+
+  test('should skip delivery when VAPID keys are missing', async () => {
+    webPushService.configure({});
+    const find = jest.spyOn(PushSubscription, 'find');
+
+    const result = await webPushService.sendToUser(userId, { title: 'Status Update', body: 'enroute' });
+
+    expect(result).toEqual({ sent: 0, failed: 0, pruned: 0 });
+    expect(find).not.toHaveBeenCalled();
+    expect(webPushService.isConfigured).toBe(false);
+  });
+});
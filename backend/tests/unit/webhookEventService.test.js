@@ -0,0 +1,131 @@
+const WebhookEvent = require('../../src/models/WebhookEvent');
+const webhookEventService = require('../../src/services/webhookEventService');
+const { ids } = require('../helpers/fixtures');
+
+const { adminId } = ids;
+const eventDocId = '64b7f0c2a1b2c3d4e5f60071';
+
+const buildEvent = (overrides = {}) => new WebhookEvent({
+  _id: eventDocId,
+  provider: 'razorpay',
+  eventId: 'evt_Lq2J4kKJbR1x9Z',
+  event: 'payment.captured',
+  body: { event: 'payment.captured', payload: {} },
+  deliveries: 1,
+  ...overrides
+});
+
+// findOneAndUpdate that only claims events the filter would match in the database
+const mockClaim = (webhookEvent) => jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+  const claimable = ['received', 'failed'].includes(webhookEvent.status);
+  if (!claimable) return null;
+  webhookEvent.set(update.$set);
+  webhookEvent.attempts += update.$inc.attempts;
+  return webhookEvent;
+});
+
+describe('Webhook Event Service', () => {
+  beforeEach(() => {
+    jest.spyOn(WebhookEvent, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    test('should upsert by provider and event ID so redeliveries share one record', async () => {
+      const upsert = jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(buildEvent());
+      const body = { event: 'payment.captured', payload: {} };
+
+      await webhookEventService.record('razorpay', 'evt_Lq2J4kKJbR1x9Z', 'payment.captured', body);
+
+      expect(upsert).toHaveBeenCalledWith(
+        { provider: 'razorpay', eventId: 'evt_Lq2J4kKJbR1x9Z' },
+        {
+          $setOnInsert: { event: 'payment.captured', body, status: 'received' },
+          $inc: { deliveries: 1 }
+        },
+        expect.objectContaining({ upsert: true, new: true })
+      );
+    });
+  });
+
+  describe('process', () => {
+    test('should run the handler once and mark the event processed', async () => {
+      const webhookEvent = buildEvent();
+      mockClaim(webhookEvent);
+      const handler = jest.fn().mockResolvedValue();
+
+      await expect(webhookEventService.process(webhookEvent, handler)).resolves.toBe(true);
+
+      expect(handler).toHaveBeenCalledWith(webhookEvent);
+      expect(webhookEvent.attempts).toBe(1);
+      expect(WebhookEvent.updateOne).toHaveBeenCalledWith(
+        { _id: webhookEvent._id },
+        { $set: { status: 'processed', processedAt: expect.any(Date) }, $unset: { lastError: 1 } }
+      );
+    });
+
+    test('should skip a redelivery of an event that was already processed', async () => {
+      const webhookEvent = buildEvent({ status: 'processed', deliveries: 2 });
+      mockClaim(webhookEvent);
+      const handler = jest.fn();
+
+      await expect(webhookEventService.process(webhookEvent, handler)).resolves.toBe(false);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(WebhookEvent.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should mark the event failed and rethrow when the handler fails', async () => {
+      const webhookEvent = buildEvent();
+      mockClaim(webhookEvent);
+      const handler = jest.fn().mockRejectedValue(new Error('Payment not found'));
+
+      await expect(webhookEventService.process(webhookEvent, handler)).rejects.toThrow('Payment not found');
+
+      expect(WebhookEvent.updateOne).toHaveBeenCalledWith(
+        { _id: webhookEvent._id },
+        { $set: { status: 'failed', lastError: 'Payment not found' } }
+      );
+    });
+  });
+
+  describe('replay', () => {
+    test('should run a failed event again and record who replayed it', async () => {
+      const webhookEvent = buildEvent({ status: 'failed', attempts: 3, lastError: 'Payment not found' });
+      jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(webhookEvent);
+      mockClaim(webhookEvent);
+      const handler = jest.fn().mockResolvedValue();
+
+      await webhookEventService.replay(eventDocId, adminId, handler);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(webhookEvent.attempts).toBe(4);
+      expect(webhookEvent.replayedBy.toString()).toBe(adminId);
+      expect(WebhookEvent.updateOne).toHaveBeenCalledWith(
+        { _id: webhookEvent._id },
+        expect.objectContaining({ $set: expect.objectContaining({ status: 'processed' }) })
+      );
+    });
+
+    test('should return the event rather than throw when the replay fails again', async () => {
+      const webhookEvent = buildEvent({ status: 'failed' });
+      jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(webhookEvent);
+      mockClaim(webhookEvent);
+
+      await expect(webhookEventService.replay(eventDocId, adminId, jest.fn().mockRejectedValue(new Error('Still broken'))))
+        .resolves.toBe(webhookEvent);
+    });
+
+    test('should refuse events that were already processed', async () => {
+      jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(buildEvent({ status: 'processed' }));
+      const handler = jest.fn();
+
+      await expect(webhookEventService.replay(eventDocId, adminId, handler))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+});
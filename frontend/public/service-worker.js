@@ -0,0 +1,72 @@
+/* eslint-disable no-restricted-globals */
+// RoadGuard service worker: shows Web Push notifications while the app is closed
+
+// Where clicking a notification takes the user, by notification type
+const NOTIFICATION_ROUTES = {
+  new_request: '/mechanic/requests',
+  direct_booking: '/mechanic/requests',
+  request_assigned: '/customer/requests',
+  status_update: '/customer/requests',
+  request_rejected: '/customer/requests',
+  review_prompt: '/customer/requests',
+};
+
+const ICON = '/logo192.png';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let notification;
+  try {
+    notification = event.data ? event.data.json() : {};
+  } catch (error) {
+    notification = { title: 'RoadGuard', body: event.data.text() };
+  }
+
+  const { title = 'RoadGuard', body = '', data = {} } = notification;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const visible = windows.filter((client) => client.visibilityState === 'visible');
+
+    // An open tab shows its own toast; only raise a system notification otherwise
+    if (visible.length > 0) {
+      visible.forEach((client) => client.postMessage({ type: 'push-notification', notification }));
+      return;
+    }
+
+    await self.registration.showNotification(title, {
+      body,
+      icon: ICON,
+      badge: ICON,
+      tag: data.requestId ? `${data.type}-${data.requestId}` : data.type,
+      renotify: data.priority === 'emergency',
+      requireInteraction: data.priority === 'emergency',
+      data,
+    });
+  })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const data = event.notification.data || {};
+  const url = data.url || NOTIFICATION_ROUTES[data.type] || '/dashboard';
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+
+    if (existing) {
+      await existing.focus();
+      return existing.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
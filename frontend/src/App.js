@@ -12,6 +12,8 @@ import ForgotPassword from './components/auth/ForgotPassword';
 
 // Landing page
 import LandingPage from './pages/common/LandingPage';
+import SosShare from './pages/common/SosShare';
+import TrackShare from './pages/common/TrackShare';
 
 // Layout components
 import CustomerLayout from './layouts/CustomerLayout';
@@ -55,6 +57,8 @@ function App() {
             <Route path="/login" element={<LoginForm />} />
             <Route path="/register" element={<RegisterForm />} />
             <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/sos/:token" element={<SosShare />} />
+            <Route path="/track/:token" element={<TrackShare />} />
 
             {/* Role-based redirect */}
             <Route path="/dashboard" element={<RoleBasedRedirect />} />
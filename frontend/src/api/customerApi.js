@@ -66,6 +66,16 @@ const customerApi = {
     }
   },
 
+  // Free slots of a mechanic for scheduled bookings
+  getMechanicSlots: async (mechanicId, params = {}) => {
+    try {
+      const response = await apiClient.get(`/customer/mechanics/${mechanicId}/slots`, { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Service Requests
   getServiceRequests: async (params = {}) => {
     try {
@@ -74,6 +84,25 @@ const customerApi = {
     } catch (error) {
       throw error;
     }
+  },
+
+  // Wallet
+  getWallet: async () => {
+    try {
+      const response = await apiClient.get('/customer/wallet');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  getWalletTransactions: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/customer/wallet/transactions', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
   }
 };
 
@@ -101,6 +101,80 @@ const mechanicApi = {
     }
   },
 
+  // Payout ledger
+  getBalance: async () => {
+    try {
+      const response = await apiClient.get('/mechanic/earnings/balance');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  getLedgerEntries: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/mechanic/earnings/ledger', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  getPayouts: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/mechanic/earnings/payouts', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  getPayoutStatement: async (payoutId) => {
+    try {
+      const response = await apiClient.get(`/mechanic/earnings/payouts/${payoutId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Schedule
+  getSchedule: async (params) => {
+    try {
+      const response = await apiClient.get('/mechanic/schedule', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  updateWorkingHours: async (data) => {
+    try {
+      const response = await apiClient.put('/mechanic/schedule/hours', data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  addBlockedTime: async (data) => {
+    try {
+      const response = await apiClient.post('/mechanic/schedule/blocks', data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  removeBlockedTime: async (blockId) => {
+    try {
+      const response = await apiClient.delete(`/mechanic/schedule/blocks/${blockId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Service Areas
   getServiceAreas: async () => {
     try {
@@ -1,21 +1,27 @@
 import apiClient from './apiClient';
 
 const paymentApi = {
-  // Create payment order
-  createPaymentOrder: async (paymentData) => {
+  // Create payment order; repeats with the same idempotencyKey return the first order
+  createPaymentOrder: async (paymentData, idempotencyKey) => {
     try {
-      const response = await apiClient.post('/payments/create-order', paymentData);
+      const response = await apiClient.post('/payments/create-order', paymentData, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+      });
       return response.data;
     } catch (error) {
       throw error;
     }
   },
 
-  // Create post-completion payment order
-  createPostCompletionPaymentOrder: async (serviceRequestId) => {
+  // Create post-completion payment order; repeats with the same idempotencyKey return the first order.
+  // With useWallet the wallet balance pays what it can and the order is for the rest.
+  createPostCompletionPaymentOrder: async (serviceRequestId, idempotencyKey, useWallet = false) => {
     try {
       const response = await apiClient.post('/payments/create-post-completion-order', {
-        serviceRequestId
+        serviceRequestId,
+        useWallet
+      }, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
       });
       return response.data;
     } catch (error) {
@@ -33,6 +39,16 @@ const paymentApi = {
     }
   },
 
+  // Pay an order on the mock gateway, which stands in for Razorpay Checkout in development
+  payMockOrder: async (orderId, outcome) => {
+    try {
+      const response = await apiClient.post(`/payments/mock/orders/${orderId}/pay`, outcome ? { outcome } : {});
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Get payment history
   getPaymentHistory: async (params = {}) => {
     try {
@@ -63,10 +79,31 @@ const paymentApi = {
     }
   },
 
-  // Request refund
-  requestRefund: async (paymentId, reason) => {
+  // Get the cash payment the mechanic recorded for a service
+  getCashPayment: async (requestId) => {
     try {
-      const response = await apiClient.post(`/payments/${paymentId}/refund`, {
+      const response = await apiClient.get(`/payments/requests/${requestId}/cash`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Confirm paying the cash the mechanic recorded
+  confirmCashPayment: async (paymentId) => {
+    try {
+      const response = await apiClient.post(`/payments/${paymentId}/cash/confirm`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Dispute the recorded cash with the amount actually paid
+  disputeCashPayment: async (paymentId, amount, reason) => {
+    try {
+      const response = await apiClient.post(`/payments/${paymentId}/cash/dispute`, {
+        amount,
         reason
       });
       return response.data;
@@ -75,6 +112,20 @@ const paymentApi = {
     }
   },
 
+  // Request refund; leave amount out to ask for everything refundable, toWallet takes it as wallet credit
+  requestRefund: async (paymentId, reason, amount, toWallet = false) => {
+    try {
+      const response = await apiClient.post(`/payments/${paymentId}/refund`, {
+        reason,
+        amount,
+        toWallet
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Get refund status
   getRefundStatus: async (paymentId) => {
     try {
@@ -85,6 +136,42 @@ const paymentApi = {
     }
   },
 
+  // Get the GST invoice of a payment with its credit notes
+  getInvoice: async (paymentId) => {
+    try {
+      const response = await apiClient.get(`/payments/${paymentId}/invoice`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Download the GST invoice as a PDF
+  downloadInvoice: async (paymentId) => {
+    try {
+      const response = await apiClient.get(`/payments/${paymentId}/invoice`, {
+        params: { format: 'pdf' },
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Download a refund credit note as a PDF
+  downloadCreditNote: async (paymentId, creditNoteId) => {
+    try {
+      const response = await apiClient.get(`/payments/${paymentId}/credit-notes/${creditNoteId}`, {
+        params: { format: 'pdf' },
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Get payment methods
   getPaymentMethods: async () => {
     try {
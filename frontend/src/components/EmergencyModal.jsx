@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  XMarkIcon,
+  ExclamationTriangleIcon,
+  MapPinIcon,
+  CheckCircleIcon,
+  ClipboardDocumentIcon
+} from '@heroicons/react/24/outline';
+import Button from './common/Button';
+import customerApi from '../api/customerApi';
+import emergencyService from '../services/emergencyService';
+import socketService from '../services/socketService';
+import { getCurrentLocation } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+// How often the device's position is sent while the SOS is active
+const LOCATION_SHARE_INTERVAL_MS = 30000;
+
+const EmergencyModal = ({
+  isOpen,
+  onClose,
+  requestId,
+  vehicleId: initialVehicleId,
+  source = 'sos_button'
+}) => {
+  const [step, setStep] = useState('confirm'); // 'confirm', 'raising', 'active', 'safe'
+  const [vehicles, setVehicles] = useState([]);
+  const [vehicleId, setVehicleId] = useState(initialVehicleId || '');
+  const [message, setMessage] = useState('');
+  const [incident, setIncident] = useState(null);
+  const [shareUrl, setShareUrl] = useState(null);
+  const [lastSharedAt, setLastSharedAt] = useState(null);
+  const [closing, setClosing] = useState(false);
+  const [error, setError] = useState(null);
+  const shareTimer = useRef(null);
+  const incidentId = incident?._id;
+
+  useEffect(() => {
+    if (!isOpen || requestId) return;
+
+    // A request already carries its vehicle; otherwise let the customer say which one they are in
+    customerApi.getVehicles()
+      .then(response => {
+        if (response.success) {
+          setVehicles(response.data);
+        }
+      })
+      .catch(error => console.error('Error fetching vehicles:', error));
+  }, [isOpen, requestId]);
+
+  useEffect(() => {
+    if (step !== 'active' || !incidentId) return undefined;
+
+    const shareLocation = async () => {
+      try {
+        const position = await getCurrentLocation();
+        await emergencyService.updateSosLocation(incidentId, position);
+        setLastSharedAt(new Date());
+      } catch (error) {
+        console.error('Failed to share SOS location:', error);
+      }
+    };
+
+    shareTimer.current = setInterval(shareLocation, LOCATION_SHARE_INTERVAL_MS);
+    return () => clearInterval(shareTimer.current);
+  }, [step, incidentId]);
+
+  useEffect(() => {
+    if (step !== 'active' || !incidentId) return undefined;
+
+    // Support acknowledging or closing the SOS shows up here straight away
+    const handleIncidentUpdate = (update) => {
+      if (update.incidentId !== incidentId) return;
+
+      if (update.status === 'resolved') {
+        setIncident(prev => ({ ...prev, ...update }));
+        setStep('safe');
+        toast.success('Support has closed your SOS');
+      } else {
+        setIncident(prev => ({ ...prev, status: update.status }));
+      }
+    };
+
+    socketService.onSosIncidentUpdated(handleIncidentUpdate);
+    return () => socketService.off('sos-incident-updated', handleIncidentUpdate);
+  }, [step, incidentId]);
+
+  const resetModal = () => {
+    setStep('confirm');
+    setMessage('');
+    setIncident(null);
+    setShareUrl(null);
+    setLastSharedAt(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (step === 'active') {
+      toast('Your SOS stays open. Press SOS again to keep sharing your location.', { icon: '🚨' });
+    }
+    resetModal();
+    onClose();
+  };
+
+  const handleRaise = async () => {
+    setStep('raising');
+    setError(null);
+
+    try {
+      const position = await getCurrentLocation();
+      const response = await emergencyService.raiseSos({
+        location: position,
+        requestId,
+        vehicleId: vehicleId || undefined,
+        message: message.trim() || undefined,
+        source
+      });
+
+      setIncident(response.data.incident);
+      setShareUrl(response.data.shareUrl);
+      setLastSharedAt(new Date());
+      setStep('active');
+      toast(response.message, { icon: '🚨', duration: 6000 });
+    } catch (error) {
+      setError(error.message || 'Failed to raise SOS');
+      setStep('confirm');
+    }
+  };
+
+  const handleMarkSafe = async () => {
+    setClosing(true);
+
+    try {
+      const response = await emergencyService.markSafe(incident._id);
+      clearInterval(shareTimer.current);
+      setIncident(response.data);
+      setStep('safe');
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to close SOS');
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  const copyShareUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const getStepContent = () => {
+    switch (step) {
+      case 'confirm':
+        return (
+          <div className="p-6">
+            <p className="text-secondary-600 mb-4">
+              {source === 'accident_request'
+                ? 'You reported an accident. Raise an SOS to alert your trusted contacts and our support team with your location.'
+                : 'Raising an SOS alerts your trusted contacts and our support team with your live location.'}
+            </p>
+
+            {!requestId && vehicles.length > 0 && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Vehicle
+                </label>
+                <select
+                  value={vehicleId}
+                  onChange={(e) => setVehicleId(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="">My default vehicle</option>
+                  {vehicles.map(vehicle => (
+                    <option key={vehicle._id} value={vehicle._id}>
+                      {vehicle.name || `${vehicle.make} ${vehicle.model}`} ({vehicle.plate})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                What happened? (optional)
+              </label>
+              <textarea
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                placeholder="e.g. Collision on the highway, passenger injured"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                rows={3}
+                maxLength={500}
+              />
+            </div>
+
+            {error && (
+              <div className="mb-4 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+                <p className="text-sm text-danger-700">{error}</p>
+              </div>
+            )}
+
+            <div className="flex space-x-3">
+              <Button variant="secondary" onClick={handleClose} className="flex-1">
+                Cancel
+              </Button>
+              <Button
+                variant="danger"
+                onClick={handleRaise}
+                icon={<ExclamationTriangleIcon className="h-5 w-5" />}
+                className="flex-1"
+              >
+                Send SOS
+              </Button>
+            </div>
+          </div>
+        );
+
+      case 'raising':
+        return (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-danger-600 mx-auto mb-4"></div>
+            <h3 className="text-lg font-medium text-secondary-900 mb-2">
+              Sending SOS...
+            </h3>
+            <p className="text-secondary-600">
+              Finding your location and alerting your contacts.
+            </p>
+          </div>
+        );
+
+      case 'active': {
+        const alerted = incident.contactAlerts?.filter(alert => alert.delivered) || [];
+
+        return (
+          <div className="p-6">
+            <div className="bg-danger-50 border border-danger-200 rounded-lg p-4 mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <span className="font-medium text-danger-800">{incident.reference}</span>
+                <span className="text-xs font-medium uppercase text-danger-700">
+                  {incident.status === 'acknowledged' ? 'Support is on it' : 'Waiting for support'}
+                </span>
+              </div>
+              <p className="text-sm text-danger-700">
+                {alerted.length > 0
+                  ? `Alerted: ${[...new Set(alerted.map(alert => alert.name))].join(', ')}`
+                  : 'Our support team has your SOS. Add trusted contacts in your profile so they are alerted too.'}
+              </p>
+            </div>
+
+            <div className="flex items-center text-sm text-secondary-600 mb-4">
+              <MapPinIcon className="h-5 w-5 mr-2 text-danger-600" />
+              {lastSharedAt
+                ? `Sharing your location. Last sent at ${lastSharedAt.toLocaleTimeString()}`
+                : 'Sharing your location'}
+            </div>
+
+            {shareUrl && (
+              <div className="mb-6">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Live location link
+                </label>
+                <div className="flex">
+                  <input
+                    readOnly
+                    value={shareUrl}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-l-md text-sm text-secondary-700 bg-secondary-50"
+                  />
+                  <button
+                    onClick={copyShareUrl}
+                    className="px-3 border border-l-0 border-gray-300 rounded-r-md text-secondary-600 hover:bg-secondary-50"
+                    title="Copy link"
+                  >
+                    <ClipboardDocumentIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <Button
+              variant="success"
+              onClick={handleMarkSafe}
+              loading={closing}
+              icon={<CheckCircleIcon className="h-5 w-5" />}
+              fullWidth
+            >
+              I'm safe
+            </Button>
+          </div>
+        );
+      }
+
+      case 'safe':
+        return (
+          <div className="p-8 text-center">
+            <div className="w-16 h-16 bg-success-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <CheckCircleIcon className="h-10 w-10 text-success-600" />
+            </div>
+            <h3 className="text-lg font-medium text-secondary-900 mb-2">
+              SOS closed
+            </h3>
+            <p className="text-secondary-600 mb-6">
+              Your location is no longer shared and the link sent to your contacts has stopped working.
+            </p>
+            <Button variant="primary" onClick={handleClose} fullWidth>
+              Close
+            </Button>
+          </div>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div className="fixed inset-0 bg-secondary-500 bg-opacity-75 transition-opacity"></div>
+
+        {/* Modal panel */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          {/* Header */}
+          <div className="px-6 py-4 border-b border-secondary-200 bg-danger-600">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-medium text-white flex items-center">
+                <ExclamationTriangleIcon className="h-6 w-6 mr-2" />
+                Emergency SOS
+              </h2>
+              {step !== 'raising' && (
+                <button
+                  onClick={handleClose}
+                  className="text-danger-100 hover:text-white"
+                >
+                  <XMarkIcon className="h-6 w-6" />
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Content */}
+          {getStepContent()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmergencyModal;
@@ -0,0 +1,589 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { PlusIcon, TrashIcon, PencilIcon, CalculatorIcon } from '@heroicons/react/24/outline';
+import adminService from '../../services/adminService';
+import { formatCurrency, formatDateTime, createIdempotencyKey } from '../../utils/helpers';
+import { ISSUE_TYPE_LABELS, VEHICLE_TYPE_LABELS, PRIORITY_LABELS } from '../../utils/constants';
+import toast from 'react-hot-toast';
+import Button from '../common/Button';
+
+const TIME_LABELS = {
+  peak: 'Peak (7-10 AM, 5-8 PM)',
+  normal: 'Normal (10 AM - 5 PM)',
+  night: 'Night (8 PM - 7 AM)',
+  weekend: 'Weekend'
+};
+
+const WEATHER_LABELS = {
+  clear: 'Clear',
+  rain: 'Rain',
+  storm: 'Storm',
+  fog: 'Fog',
+  snow: 'Snow'
+};
+
+const MULTIPLIER_TABLES = [
+  { key: 'vehicleMultipliers', title: 'Vehicle', labels: VEHICLE_TYPE_LABELS },
+  { key: 'priorityMultipliers', title: 'Priority', labels: PRIORITY_LABELS },
+  { key: 'timeMultipliers', title: 'Time of Day', labels: TIME_LABELS },
+  { key: 'weatherMultipliers', title: 'Weather', labels: WEATHER_LABELS }
+];
+
+const STATUS_BADGES = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  active: 'bg-green-100 text-green-800',
+  superseded: 'bg-gray-100 text-gray-600'
+};
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm';
+
+// Region polygons are edited as one "lat, lng" point per line
+const toPointsText = (region) => (region.area?.coordinates?.[0] || [])
+  .slice(0, -1)
+  .map(([lng, lat]) => `${lat}, ${lng}`)
+  .join('\n');
+
+const parsePoints = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const [lat, lng] = line.split(',').map(value => Number(value.trim()));
+    return { lat, lng };
+  });
+
+const toForm = (rule) => ({
+  baseRates: rule.baseRates,
+  vehicleMultipliers: rule.vehicleMultipliers,
+  priorityMultipliers: rule.priorityMultipliers,
+  timeMultipliers: rule.timeMultipliers,
+  weatherMultipliers: rule.weatherMultipliers,
+  defaultRegionMultiplier: rule.defaultRegionMultiplier,
+  regions: (rule.regions || []).map(region => ({
+    name: region.name,
+    multiplier: region.multiplier,
+    points: toPointsText(region)
+  }))
+});
+
+const toNumbers = (table) => Object.fromEntries(
+  Object.entries(table).map(([key, value]) => [key, Number(value)])
+);
+
+// Tables as the API takes them; throws with a message for the admin when a region is malformed
+const toChanges = (form) => ({
+  baseRates: Object.fromEntries(
+    Object.entries(form.baseRates).map(([issueType, rate]) => [issueType, toNumbers(rate)])
+  ),
+  ...Object.fromEntries(MULTIPLIER_TABLES.map(({ key }) => [key, toNumbers(form[key])])),
+  defaultRegionMultiplier: Number(form.defaultRegionMultiplier),
+  regions: form.regions.map(region => {
+    const points = parsePoints(region.points);
+    if (points.length < 3 || points.some(point => Number.isNaN(point.lat) || Number.isNaN(point.lng))) {
+      throw new Error(`Region "${region.name || 'unnamed'}" needs at least 3 "lat, lng" points`);
+    }
+    return { name: region.name.trim(), multiplier: Number(region.multiplier), points };
+  })
+});
+
+// datetime-local value in the admin's timezone
+const toLocalInput = (date) => {
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+// Quotation pricing versions: publish or schedule a new version, and simulate its effect first
+const PricingRules = () => {
+  const [rules, setRules] = useState([]);
+  const [activeVersion, setActiveVersion] = useState(null);
+  const [form, setForm] = useState(null);
+  const [editingRule, setEditingRule] = useState(null);
+  const [effectiveFrom, setEffectiveFrom] = useState('');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [sample, setSample] = useState({
+    issueType: 'flat_tire',
+    vehicleType: 'car',
+    priority: 'medium',
+    lat: '28.6139',
+    lng: '77.2090'
+  });
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+  const publishKey = useRef(null);
+
+  const fetchPricing = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [rulesResponse, activeResponse] = await Promise.all([
+        adminService.getPricingRules({ limit: 20 }),
+        adminService.getActivePricingRule()
+      ]);
+
+      if (rulesResponse.success) {
+        setRules(rulesResponse.data.rules || []);
+        setActiveVersion(rulesResponse.data.activeVersion);
+      }
+      if (activeResponse.success) {
+        setForm(toForm(activeResponse.data));
+      }
+      setEditingRule(null);
+      setEffectiveFrom('');
+      setNote('');
+      setSimulation(null);
+    } catch (error) {
+      console.error('Error fetching pricing rules:', error);
+      toast.error(error.message || 'Failed to fetch pricing rules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPricing();
+  }, [fetchPricing]);
+
+  const updateTable = (table, key, value) => {
+    setForm(prev => ({ ...prev, [table]: { ...prev[table], [key]: value } }));
+  };
+
+  const updateRate = (issueType, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      baseRates: { ...prev.baseRates, [issueType]: { ...prev.baseRates[issueType], [field]: value } }
+    }));
+  };
+
+  const updateRegion = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      regions: prev.regions.map((region, i) => (i === index ? { ...region, [field]: value } : region))
+    }));
+  };
+
+  const editScheduledRule = async (rule) => {
+    try {
+      const response = await adminService.getPricingRule(rule._id);
+      if (response.success) {
+        setForm(toForm(response.data));
+        setEditingRule(response.data);
+        setEffectiveFrom(toLocalInput(response.data.effectiveFrom));
+        setNote(response.data.note || '');
+        setSimulation(null);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to load pricing rule');
+    }
+  };
+
+  const deleteScheduledRule = async (rule) => {
+    if (!window.confirm(`Delete scheduled pricing v${rule.version}?`)) {
+      return;
+    }
+
+    try {
+      await adminService.deletePricingRule(rule._id);
+      toast.success(`Pricing v${rule.version} deleted`);
+      fetchPricing();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete pricing rule');
+    }
+  };
+
+  const savePricing = async (e) => {
+    e.preventDefault();
+
+    let changes;
+    try {
+      changes = toChanges(form);
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    const ruleData = {
+      ...changes,
+      note: note.trim(),
+      ...(effectiveFrom && { effectiveFrom: new Date(effectiveFrom).toISOString() })
+    };
+
+    try {
+      setSaving(true);
+      let response;
+      if (editingRule) {
+        response = await adminService.updatePricingRule(editingRule._id, ruleData);
+      } else {
+        publishKey.current = publishKey.current || createIdempotencyKey();
+        response = await adminService.createPricingRule(ruleData, publishKey.current);
+      }
+
+      if (response.success) {
+        toast.success(response.message);
+        publishKey.current = null;
+        fetchPricing();
+      }
+    } catch (error) {
+      // The server answered, so a corrected form is a new publish rather than a retry
+      if (error.success === false) {
+        publishKey.current = null;
+      }
+      toast.error(error.message || 'Failed to save pricing rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const simulateQuote = async () => {
+    let changes;
+    try {
+      changes = toChanges(form);
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    try {
+      setSimulating(true);
+      const response = await adminService.simulateQuote({
+        changes,
+        request: {
+          issueType: sample.issueType,
+          vehicleType: sample.vehicleType,
+          priority: sample.priority,
+          location: { lat: Number(sample.lat), lng: Number(sample.lng) }
+        }
+      });
+      if (response.success) {
+        setSimulation(response.data);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to simulate quote');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  if (loading && !form) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Versions */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Pricing Versions</h2>
+          <p className="text-sm text-gray-500">
+            Quotations use v{activeVersion ?? 0}{activeVersion === 0 && ' (built-in pricing)'}. Versions can be changed until they take effect.
+          </p>
+        </div>
+        {rules.length === 0 ? (
+          <div className="p-6 text-center">
+            <p className="text-gray-500">No pricing rules published yet</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rules.map((rule) => (
+                <tr key={rule._id} className={editingRule?._id === rule._id ? 'bg-primary-50' : 'hover:bg-gray-50'}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">v{rule.version}</td>
+                  <td className="px-6 py-3 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_BADGES[rule.status]}`}>
+                      {rule.status.toUpperCase()}
+                    </span>
+                  </td>
+                  <td className="px-6 py-3 text-sm text-gray-600">
+                    <div>From {formatDateTime(rule.effectiveFrom)}</div>
+                    {rule.note && <div className="text-xs text-gray-500">{rule.note}</div>}
+                    {rule.createdBy && <div className="text-xs text-gray-400">By {rule.createdBy.name}</div>}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-right">
+                    {rule.status === 'scheduled' && (
+                      <div className="flex justify-end space-x-1">
+                        <button
+                          type="button"
+                          onClick={() => editScheduledRule(rule)}
+                          className="p-1 text-gray-400 hover:text-primary-600"
+                          title="Edit"
+                        >
+                          <PencilIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => deleteScheduledRule(rule)}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Delete"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Editor */}
+      <form onSubmit={savePricing} className="bg-white rounded-lg shadow p-6 space-y-6">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">
+            {editingRule ? `Edit Scheduled v${editingRule.version}` : 'New Pricing Version'}
+          </h2>
+          <p className="text-sm text-gray-500">
+            {editingRule ? 'Changes apply when this version takes effect.' : 'Starts from the pricing in force. Saving publishes a new version.'}
+          </p>
+        </div>
+
+        <div>
+          <h3 className="text-md font-medium text-gray-900 mb-2">Base Rates (₹)</h3>
+          <div className="grid grid-cols-4 gap-2 text-xs font-medium text-gray-500 mb-1">
+            <span>Issue</span>
+            <span>Min</span>
+            <span>Base</span>
+            <span>Max</span>
+          </div>
+          <div className="space-y-1">
+            {Object.entries(form.baseRates).map(([issueType, rate]) => (
+              <div key={issueType} className="grid grid-cols-4 gap-2 items-center">
+                <span className="text-sm text-gray-700">{ISSUE_TYPE_LABELS[issueType] || issueType}</span>
+                {['min', 'base', 'max'].map(field => (
+                  <input
+                    key={field}
+                    type="number"
+                    min="0"
+                    value={rate[field]}
+                    onChange={(e) => updateRate(issueType, field, e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {MULTIPLIER_TABLES.map(({ key, title, labels }) => (
+            <div key={key}>
+              <h3 className="text-md font-medium text-gray-900 mb-2">{title} Multipliers</h3>
+              <div className="space-y-1">
+                {Object.entries(form[key]).map(([name, value]) => (
+                  <div key={name} className="grid grid-cols-2 gap-2 items-center">
+                    <span className="text-sm text-gray-700">{labels[name] || name}</span>
+                    <input
+                      type="number"
+                      min="0.1"
+                      max="5"
+                      step="0.05"
+                      value={value}
+                      onChange={(e) => updateTable(key, name, e.target.value)}
+                      className={inputClass}
+                      required
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-md font-medium text-gray-900">Regions</h3>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => setForm(prev => ({ ...prev, regions: [...prev.regions, { name: '', multiplier: 1, points: '' }] }))}
+              disabled={form.regions.length >= 50}
+              icon={<PlusIcon className="h-4 w-4" />}
+            >
+              Add region
+            </Button>
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            The first region containing the location sets its multiplier, so list cities before their wider metro areas.
+          </p>
+          <div className="space-y-3">
+            {form.regions.map((region, index) => (
+              <div key={index} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={region.name}
+                    onChange={(e) => updateRegion(index, 'name', e.target.value)}
+                    placeholder="Region name"
+                    maxLength={100}
+                    className={`flex-1 ${inputClass}`}
+                    required
+                  />
+                  <input
+                    type="number"
+                    min="0.1"
+                    max="5"
+                    step="0.05"
+                    value={region.multiplier}
+                    onChange={(e) => updateRegion(index, 'multiplier', e.target.value)}
+                    className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                    title="Multiplier"
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setForm(prev => ({ ...prev, regions: prev.regions.filter((_, i) => i !== index) }))}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Remove"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+                <textarea
+                  value={region.points}
+                  onChange={(e) => updateRegion(index, 'points', e.target.value)}
+                  placeholder={'Boundary, one "lat, lng" point per line'}
+                  rows={3}
+                  className={`${inputClass} font-mono`}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2 items-center mt-3">
+            <span className="text-sm text-gray-700">Outside every region</span>
+            <input
+              type="number"
+              min="0.1"
+              max="5"
+              step="0.05"
+              value={form.defaultRegionMultiplier}
+              onChange={(e) => setForm(prev => ({ ...prev, defaultRegionMultiplier: e.target.value }))}
+              className={inputClass}
+              required
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Takes effect</label>
+            <input
+              type="datetime-local"
+              value={effectiveFrom}
+              onChange={(e) => setEffectiveFrom(e.target.value)}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">Leave empty to apply immediately</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Reason for the change"
+              maxLength={500}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {/* Simulation */}
+        <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+          <h3 className="text-md font-medium text-gray-900 flex items-center">
+            <CalculatorIcon className="h-5 w-5 mr-2 text-primary-600" />
+            Simulate a Quote
+          </h3>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            <select
+              value={sample.issueType}
+              onChange={(e) => setSample(prev => ({ ...prev, issueType: e.target.value }))}
+              className={inputClass}
+            >
+              {Object.keys(form.baseRates).map(issueType => (
+                <option key={issueType} value={issueType}>{ISSUE_TYPE_LABELS[issueType] || issueType}</option>
+              ))}
+            </select>
+            <select
+              value={sample.vehicleType}
+              onChange={(e) => setSample(prev => ({ ...prev, vehicleType: e.target.value }))}
+              className={inputClass}
+            >
+              {Object.entries(VEHICLE_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={sample.priority}
+              onChange={(e) => setSample(prev => ({ ...prev, priority: e.target.value }))}
+              className={inputClass}
+            >
+              {Object.entries(PRIORITY_LABELS).map(([priority, label]) => (
+                <option key={priority} value={priority}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="any"
+              value={sample.lat}
+              onChange={(e) => setSample(prev => ({ ...prev, lat: e.target.value }))}
+              placeholder="Latitude"
+              className={inputClass}
+            />
+            <input
+              type="number"
+              step="any"
+              value={sample.lng}
+              onChange={(e) => setSample(prev => ({ ...prev, lng: e.target.value }))}
+              placeholder="Longitude"
+              className={inputClass}
+            />
+          </div>
+          <Button type="button" variant="outline" size="sm" onClick={simulateQuote} loading={simulating} disabled={simulating}>
+            Compare with pricing in force
+          </Button>
+
+          {simulation && (
+            <div className="grid grid-cols-3 gap-4 text-sm">
+              <div>
+                <div className="text-gray-500">In force (v{simulation.current.ruleVersion})</div>
+                <div className="font-semibold">{formatCurrency(simulation.current.quotation)}</div>
+                <div className="text-xs text-gray-400">{simulation.current.region || 'No region'}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">This version</div>
+                <div className="font-semibold">{formatCurrency(simulation.candidate.quotation)}</div>
+                <div className="text-xs text-gray-400">{simulation.candidate.region || 'No region'}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Difference</div>
+                <div className={`font-semibold ${simulation.difference > 0 ? 'text-red-600' : simulation.difference < 0 ? 'text-green-600' : ''}`}>
+                  {simulation.difference > 0 ? '+' : simulation.difference < 0 ? '-' : ''}{formatCurrency(Math.abs(simulation.difference))}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          {editingRule && (
+            <Button type="button" variant="outline" onClick={fetchPricing} disabled={saving}>
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" variant="primary" loading={saving} disabled={saving}>
+            {editingRule ? 'Save Scheduled Version' : 'Publish Version'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PricingRules;
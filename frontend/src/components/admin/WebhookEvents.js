@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import adminService from '../../services/adminService';
+import { formatDateTime } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+import Button from '../common/Button';
+import Select from '../common/Select';
+
+const STATUS_BADGES = {
+  received: 'bg-gray-100 text-gray-800',
+  processing: 'bg-yellow-100 text-yellow-800',
+  processed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+// Razorpay webhook deliveries, with replay for the ones that failed
+const WebhookEvents = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('failed');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [replaying, setReplaying] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getWebhookEvents({ status, page, limit: 10 });
+
+      if (response.success) {
+        setEvents(response.data || []);
+        setTotalPages(response.meta?.totalPages || 0);
+      }
+    } catch (error) {
+      console.error('Error fetching webhook events:', error);
+      toast.error(error.message || 'Failed to fetch webhook events');
+      setEvents([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleReplay = async (webhookEvent) => {
+    try {
+      setReplaying(webhookEvent._id);
+      const response = await adminService.replayWebhookEvent(webhookEvent._id);
+
+      if (response.data?.status === 'processed') {
+        toast.success('Webhook event processed');
+      } else {
+        toast.error(response.data?.lastError || 'Webhook event failed again');
+      }
+      fetchEvents();
+    } catch (error) {
+      toast.error(error.message || 'Failed to replay webhook event');
+    } finally {
+      setReplaying(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Webhook Events</h2>
+          <p className="text-sm text-gray-500">Redeliveries are applied once; failed events can be replayed</p>
+        </div>
+        <div className="w-48">
+          <Select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+          >
+            <option value="">All</option>
+            <option value="failed">Failed</option>
+            <option value="processing">Processing</option>
+            <option value="processed">Processed</option>
+            <option value="received">Received</option>
+          </Select>
+        </div>
+      </div>
+
+      {loading && events.length === 0 ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : events.length === 0 ? (
+        <div className="p-6 text-center">
+          <p className="text-gray-500">No webhook events found</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Event
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Deliveries / Attempts
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Last Error
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {events.map((webhookEvent) => (
+                <tr key={webhookEvent._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="text-sm font-medium text-gray-900">{webhookEvent.event}</div>
+                    <div className="text-xs text-gray-500 font-mono">{webhookEvent.eventId}</div>
+                    <div className="text-xs text-gray-400">{formatDateTime(webhookEvent.createdAt)}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_BADGES[webhookEvent.status]}`}>
+                      {webhookEvent.status.toUpperCase()}
+                    </span>
+                    {webhookEvent.replayedBy && (
+                      <div className="text-xs text-gray-400 mt-1">Replayed by {webhookEvent.replayedBy.name}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {webhookEvent.deliveries} / {webhookEvent.attempts}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-red-600">
+                    {webhookEvent.lastError || <span className="text-gray-400">-</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {webhookEvent.status === 'failed' && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleReplay(webhookEvent)}
+                        loading={replaying === webhookEvent._id}
+                        disabled={replaying !== null}
+                      >
+                        <ArrowPathIcon className="h-4 w-4 mr-1" />
+                        Replay
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+          <div className="text-sm text-gray-700">
+            Page {page} of {totalPages}
+          </div>
+          <div className="flex space-x-2">
+            <Button variant="secondary" onClick={() => setPage(prev => prev - 1)} disabled={page === 1}>
+              Previous
+            </Button>
+            <Button variant="secondary" onClick={() => setPage(prev => prev + 1)} disabled={page === totalPages}>
+              Next
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookEvents;
@@ -1,10 +1,11 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { UserCircleIcon } from '@heroicons/react/24/outline';
+import NotificationCenter from './NotificationCenter';
 
 
 const Header = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAllDevices } = useAuth();
   const [showDropdown, setShowDropdown] = useState(false);
 
   const handleLogout = () => {
@@ -12,6 +13,11 @@ const Header = () => {
     setShowDropdown(false);
   };
 
+  const handleLogoutAll = () => {
+    setShowDropdown(false);
+    logoutAllDevices().catch(() => {});
+  };
+
   return (
     <header className="bg-white shadow-sm border-b border-secondary-200">
       <div className="px-6 py-4">
@@ -26,6 +32,8 @@ const Header = () => {
           </div>
           
           <div className="flex items-center space-x-4">
+            <NotificationCenter />
+
             {/* User menu */}
             <div className="relative">
               <button
@@ -60,6 +68,12 @@ const Header = () => {
                   >
                     Sign out
                   </button>
+                  <button
+                    onClick={handleLogoutAll}
+                    className="block w-full text-left px-4 py-2 text-sm text-danger-600 hover:bg-danger-50"
+                  >
+                    Sign out of all devices
+                  </button>
                 </div>
               )}
             </div>
@@ -9,32 +9,66 @@ import {
 } from '@heroicons/react/24/outline';
 import { getRelativeTime } from '../../utils/helpers';
 import Button from './Button';
-import api from '../../services/api';
+import notificationService from '../../services/notificationService';
 import socketService from '../../services/socketService';
+import pushService from '../../services/pushService';
+import { useAuth } from '../../contexts/AuthContext';
 import toast from 'react-hot-toast';
 
 const NotificationCenter = () => {
+  const { user } = useAuth();
   const [isOpen, setIsOpen] = useState(false);
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [loading, setLoading] = useState(false);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushUpdating, setPushUpdating] = useState(false);
 
   useEffect(() => {
     fetchNotifications();
     setupRealTimeNotifications();
+    pushService.isSubscribed().then(setPushEnabled).catch(() => setPushEnabled(false));
+
+    // Pushes that arrive while this tab is visible come through as toasts
+    const stopForegroundPush = pushService.onForegroundMessage((notification) => {
+      showToastNotification({
+        type: notification.data?.type,
+        message: notification.body || notification.title
+      });
+    });
     
     return () => {
       socketService.off('new_notification');
+      stopForegroundPush();
     };
   }, []);
 
+  const togglePushNotifications = async () => {
+    setPushUpdating(true);
+    try {
+      if (pushEnabled) {
+        await pushService.unsubscribe();
+        setPushEnabled(false);
+        toast.success('Push notifications turned off');
+      } else {
+        await pushService.subscribe();
+        setPushEnabled(true);
+        toast.success('Push notifications turned on');
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to update push notifications');
+    } finally {
+      setPushUpdating(false);
+    }
+  };
+
   const fetchNotifications = async () => {
     setLoading(true);
     try {
-      const response = await api.get('/notifications');
-      if (response.data.success) {
-        setNotifications(response.data.data.notifications || []);
-        setUnreadCount(response.data.data.unreadCount || 0);
+      const response = await notificationService.getNotifications({ limit: 20 });
+      if (response.success) {
+        setNotifications(response.data.notifications || []);
+        setUnreadCount(response.data.unreadCount || 0);
       }
     } catch (error) {
       console.error('Error fetching notifications:', error);
@@ -44,7 +78,7 @@ const NotificationCenter = () => {
   };
 
   const setupRealTimeNotifications = () => {
-    socketService.on('new_notification', (notification) => {
+    socketService.onNewNotification((notification) => {
       setNotifications(prev => [notification, ...prev]);
       setUnreadCount(prev => prev + 1);
       
@@ -63,14 +97,31 @@ const NotificationCenter = () => {
       case 'request_assigned':
         toast.success(notification.message, { ...options, icon: '🔧' });
         break;
-      case 'payment_received':
+      case 'new_request':
+      case 'direct_booking':
+      case 'booking_scheduled':
+        toast(notification.message, { ...options, icon: '🚗' });
+        break;
+      case 'booking_reminder':
+        toast(notification.message, { ...options, icon: '⏰' });
+        break;
+      case 'payment_success':
         toast.success(notification.message, { ...options, icon: '💰' });
         break;
+      case 'refund_update':
+        toast(notification.message, { ...options, icon: '↩️' });
+        break;
+      case 'cash_payment':
+        toast(notification.message, { ...options, icon: '💵' });
+        break;
+      case 'quote_update':
+        toast(notification.message, { ...options, icon: '📄' });
+        break;
       case 'emergency_alert':
         toast.error(notification.message, { ...options, icon: '🚨' });
         break;
-      case 'service_completed':
-        toast.success(notification.message, { ...options, icon: '✅' });
+      case 'review_prompt':
+        toast.success(notification.message, { ...options, icon: '⭐' });
         break;
       default:
         toast(notification.message, options);
@@ -79,7 +130,7 @@ const NotificationCenter = () => {
 
   const markAsRead = async (notificationId) => {
     try {
-      await api.patch(`/notifications/${notificationId}/read`);
+      await notificationService.markAsRead(notificationId);
       setNotifications(prev => 
         prev.map(notif => 
           notif._id === notificationId 
@@ -95,7 +146,7 @@ const NotificationCenter = () => {
 
   const markAllAsRead = async () => {
     try {
-      await api.patch('/notifications/read-all');
+      await notificationService.markAllAsRead();
       setNotifications(prev => 
         prev.map(notif => ({ ...notif, isRead: true }))
       );
@@ -107,7 +158,7 @@ const NotificationCenter = () => {
 
   const deleteNotification = async (notificationId) => {
     try {
-      await api.delete(`/notifications/${notificationId}`);
+      await notificationService.deleteNotification(notificationId);
       setNotifications(prev => 
         prev.filter(notif => notif._id !== notificationId)
       );
@@ -124,11 +175,17 @@ const NotificationCenter = () => {
   const getNotificationIcon = (type) => {
     switch (type) {
       case 'request_assigned':
-      case 'service_started':
-      case 'service_completed':
+      case 'status_update':
+      case 'new_request':
+      case 'direct_booking':
+      case 'booking_scheduled':
+      case 'booking_reminder':
+      case 'quote_update':
         return <WrenchScrewdriverIcon className="h-5 w-5 text-primary-600" />;
-      case 'payment_received':
+      case 'payment_success':
       case 'payment_due':
+      case 'refund_update':
+      case 'cash_payment':
         return <InformationCircleIcon className="h-5 w-5 text-success-600" />;
       case 'emergency_alert':
         return <ExclamationTriangleIcon className="h-5 w-5 text-danger-600" />;
@@ -143,7 +200,7 @@ const NotificationCenter = () => {
     switch (type) {
       case 'emergency_alert':
         return 'bg-danger-50 border-danger-200';
-      case 'payment_received':
+      case 'payment_success':
         return 'bg-success-50 border-success-200';
       case 'request_assigned':
         return 'bg-primary-50 border-primary-200';
@@ -185,6 +242,17 @@ const NotificationCenter = () => {
                   Notifications
                 </h3>
                 <div className="flex items-center space-x-2">
+                  {pushService.isSupported() && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={togglePushNotifications}
+                      disabled={pushUpdating}
+                      title="Alerts when RoadGuard is closed"
+                    >
+                      {pushEnabled ? 'Disable push' : 'Enable push'}
+                    </Button>
+                  )}
                   {unreadCount > 0 && (
                     <Button
                       variant="ghost"
@@ -230,6 +298,9 @@ const NotificationCenter = () => {
                           </div>
                           <div className="flex-1 min-w-0">
                             <p className={`text-sm ${notification.isRead ? 'text-secondary-600' : 'text-secondary-900 font-medium'}`}>
+                              {notification.title}
+                            </p>
+                            <p className="text-xs text-secondary-600 mt-0.5">
                               {notification.message}
                             </p>
                             <p className="text-xs text-secondary-500 mt-1">
@@ -274,14 +345,14 @@ const NotificationCenter = () => {
             </div>
 
             {/* Footer */}
-            {notifications.length > 0 && (
+            {notifications.length > 0 && user?.role === 'customer' && (
               <div className="p-3 border-t border-secondary-200 bg-secondary-50">
                 <Button
                   variant="ghost"
                   size="sm"
                   onClick={() => {
                     // Navigate to notifications page
-                    window.location.href = '/notifications';
+                    window.location.href = '/customer/notifications';
                   }}
                   className="w-full text-center"
                 >
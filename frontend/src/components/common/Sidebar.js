@@ -9,7 +9,9 @@ import {
   CurrencyDollarIcon,
   UsersIcon,
   ChartBarIcon,
-  CogIcon
+  CogIcon,
+  BellIcon,
+  ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 
 const iconMap = {
@@ -22,6 +24,8 @@ const iconMap = {
   UsersIcon,
   ChartBarIcon,
   CogIcon,
+  BellIcon,
+  ExclamationTriangleIcon,
 };
 
 const Sidebar = ({ navigationItems }) => {
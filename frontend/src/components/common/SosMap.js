@@ -0,0 +1,64 @@
+import React from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { formatTime } from '../../utils/helpers';
+
+const raisedIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-grey.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowSize: [41, 41]
+});
+
+const currentIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-red.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowSize: [41, 41]
+});
+
+// Where an SOS was raised, where the customer is now and the path between them
+const SosMap = ({ location, lastLocation, trail = [], height = '24rem' }) => {
+  const current = lastLocation || location;
+  const path = trail.map(point => [point.lat, point.lng]);
+
+  return (
+    <div style={{ height }} className="rounded-lg overflow-hidden">
+      <MapContainer
+        center={[current.lat, current.lng]}
+        zoom={15}
+        style={{ height: '100%', width: '100%' }}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+
+        {lastLocation && (
+          <Marker position={[location.lat, location.lng]} icon={raisedIcon}>
+            <Popup>SOS raised here</Popup>
+          </Marker>
+        )}
+
+        <Marker position={[current.lat, current.lng]} icon={currentIcon}>
+          <Popup>
+            {lastLocation?.recordedAt
+              ? `Last seen at ${formatTime(lastLocation.recordedAt)}`
+              : location.address || 'SOS location'}
+          </Popup>
+        </Marker>
+
+        {path.length > 1 && (
+          <Polyline positions={path} color="#dc2626" weight={3} />
+        )}
+      </MapContainer>
+    </div>
+  );
+};
+
+export default SosMap;
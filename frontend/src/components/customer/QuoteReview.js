@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { CheckIcon, XMarkIcon, ArrowsRightLeftIcon, DocumentTextIcon } from '@heroicons/react/24/outline';
+import Button from '../common/Button';
+import requestService from '../../services/requestService';
+import socketService from '../../services/socketService';
+import { formatCurrency, formatDateTime } from '../../utils/helpers';
+import { QUOTE_ITEM_TYPE_LABELS, QUOTE_STATUS_LABELS } from '../../utils/constants';
+import toast from 'react-hot-toast';
+
+// The mechanic's itemized quote, which the customer has to accept before work starts
+const QuoteReview = ({ request, onQuoteChange }) => {
+  const [quote, setQuote] = useState(request.quote || null);
+  const [responding, setResponding] = useState(null);
+  const [showCounter, setShowCounter] = useState(false);
+  const [counterAmount, setCounterAmount] = useState('');
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    setQuote(request.quote || null);
+  }, [request.quote]);
+
+  // The mechanic may send a new revision while this is open
+  useEffect(() => {
+    const handleQuoteUpdate = (data) => {
+      if (data.requestId !== request._id) return;
+      setQuote(data.quote);
+      if (data.quote?.status === 'proposed') {
+        toast('The mechanic sent a new quote', { icon: '📄' });
+      }
+    };
+
+    socketService.onQuoteUpdate(handleQuoteUpdate);
+    return () => socketService.off('quote-updated', handleQuoteUpdate);
+  }, [request._id]);
+
+  if (!quote?.revisions?.length) {
+    return null;
+  }
+
+  const latest = quote.revisions.find(revision => revision.revision === quote.currentRevision)
+    || quote.revisions[quote.revisions.length - 1];
+  const awaitingAnswer = quote.status === 'proposed';
+
+  const respond = async (action) => {
+    const amount = action === 'counter' ? Number(counterAmount) : undefined;
+    if (action === 'counter' && (!amount || amount >= latest.total)) {
+      toast.error(`Offer less than ${formatCurrency(latest.total)}`);
+      return;
+    }
+
+    try {
+      setResponding(action);
+      const response = await requestService.respondToQuote(request._id, action, {
+        revision: latest.revision,
+        amount,
+        note: note.trim() || undefined
+      });
+      if (response.success) {
+        toast.success(response.message);
+        setQuote(response.data);
+        setShowCounter(false);
+        setCounterAmount('');
+        setNote('');
+        if (onQuoteChange) {
+          onQuoteChange(response.data);
+        }
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to answer quote');
+    } finally {
+      setResponding(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-secondary-900 flex items-center">
+          <DocumentTextIcon className="h-5 w-5 mr-2 text-primary-600" />
+          {latest.kind === 'supplementary' ? 'Additional Work Quote' : 'Quote'}
+          <span className="ml-2 text-sm font-normal text-secondary-500">Revision {latest.revision}</span>
+        </h3>
+        <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+          quote.status === 'accepted' ? 'bg-success-100 text-success-700' :
+          quote.status === 'proposed' ? 'bg-warning-100 text-warning-700' :
+          'bg-secondary-100 text-secondary-700'
+        }`}>
+          {QUOTE_STATUS_LABELS[quote.status]}
+        </span>
+      </div>
+
+      <table className="w-full text-sm">
+        <tbody className="divide-y divide-secondary-100">
+          {latest.items.map((item, index) => (
+            <tr key={index}>
+              <td className="py-2 text-secondary-500">{QUOTE_ITEM_TYPE_LABELS[item.type]}</td>
+              <td className="py-2 text-secondary-900">
+                {item.description}
+                {item.quantity > 1 && (
+                  <span className="text-secondary-500"> × {item.quantity} @ {formatCurrency(item.unitPrice)}</span>
+                )}
+              </td>
+              <td className="py-2 text-right text-secondary-900">{formatCurrency(item.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t border-secondary-200">
+            <td colSpan={2} className="pt-2 font-semibold text-secondary-900">Total</td>
+            <td className="pt-2 text-right font-semibold text-secondary-900">{formatCurrency(latest.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      {latest.note && (
+        <p className="mt-3 text-sm text-secondary-600">Mechanic's note: {latest.note}</p>
+      )}
+      {quote.approvedAmount !== undefined && quote.approvedAmount !== null && quote.status !== 'accepted' && (
+        <p className="mt-2 text-sm text-secondary-600">
+          You approved up to {formatCurrency(quote.approvedAmount)} so far.
+        </p>
+      )}
+      {latest.counterAmount && (
+        <p className="mt-2 text-sm text-secondary-600">
+          You offered {formatCurrency(latest.counterAmount)}; waiting for the mechanic's revised quote.
+        </p>
+      )}
+      <p className="mt-2 text-xs text-secondary-500">Sent {formatDateTime(latest.proposedAt)}</p>
+
+      {awaitingAnswer && (
+        <div className="mt-4 space-y-3">
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={500}
+            placeholder="Note for the mechanic (optional)"
+            className="w-full px-3 py-2 border border-secondary-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+
+          {showCounter && (
+            <div className="flex items-center space-x-2">
+              <span className="text-sm text-secondary-700">Your offer ₹</span>
+              <input
+                type="number"
+                min="1"
+                step="0.01"
+                value={counterAmount}
+                onChange={(e) => setCounterAmount(e.target.value)}
+                className="w-32 px-3 py-2 border border-secondary-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+              <Button
+                variant="primary"
+                size="sm"
+                onClick={() => respond('counter')}
+                loading={responding === 'counter'}
+                disabled={!!responding}
+              >
+                Send Offer
+              </Button>
+            </div>
+          )}
+
+          <div className="flex space-x-2">
+            <Button
+              variant="success"
+              size="sm"
+              icon={<CheckIcon className="h-4 w-4" />}
+              onClick={() => respond('accept')}
+              loading={responding === 'accept'}
+              disabled={!!responding}
+            >
+              Accept {formatCurrency(latest.total)}
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              icon={<ArrowsRightLeftIcon className="h-4 w-4" />}
+              onClick={() => setShowCounter(!showCounter)}
+              disabled={!!responding}
+            >
+              Counter
+            </Button>
+            <Button
+              variant="danger"
+              size="sm"
+              icon={<XMarkIcon className="h-4 w-4" />}
+              onClick={() => respond('reject')}
+              loading={responding === 'reject'}
+              disabled={!!responding}
+            >
+              Reject
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuoteReview;
@@ -14,7 +14,10 @@ import {
 import { formatDate, formatTime, getRelativeTime } from '../../utils/helpers';
 import { REQUEST_STATUS_LABELS } from '../../utils/constants';
 import socketService from '../../services/socketService';
+import requestService from '../../services/requestService';
 import Button from '../common/Button';
+import QuoteReview from './QuoteReview';
+import ShareTracking from './ShareTracking';
 import toast from 'react-hot-toast';
 
 // Custom icons for different markers
@@ -39,6 +42,7 @@ const mechanicIcon = new L.Icon({
 const RequestTracker = ({ request, onStatusUpdate, onNewMessage }) => {
   const [mechanicLocation, setMechanicLocation] = useState(null);
   const [estimatedArrival, setEstimatedArrival] = useState(null);
+  const [distanceKm, setDistanceKm] = useState(null);
   const [route, setRoute] = useState([]);
   const [showChat, setShowChat] = useState(false);
   const [messages, setMessages] = useState([]);
@@ -67,6 +71,37 @@ const RequestTracker = ({ request, onStatusUpdate, onNewMessage }) => {
     return null;
   }, [request.location, mechanicLocation]);
 
+  // Restore the stored trail so a page refresh does not lose the mechanic's position
+  useEffect(() => {
+    if (!request._id || !request.mechanicId) return;
+
+    let cancelled = false;
+    requestService.getRequestTrail(request._id)
+      .then(({ data }) => {
+        if (cancelled || !data) return;
+
+        setRoute(data.trail.map(point => [point.lat, point.lng]));
+        if (data.lastLocation) {
+          setMechanicLocation({
+            lat: data.lastLocation.lat,
+            lng: data.lastLocation.lng,
+            timestamp: new Date(data.lastLocation.recordedAt)
+          });
+        }
+        if (data.etaMinutes !== null && data.updatedAt) {
+          setEstimatedArrival(new Date(new Date(data.updatedAt).getTime() + data.etaMinutes * 60000));
+        }
+        setDistanceKm(data.distanceKm);
+      })
+      .catch((error) => {
+        console.error('Failed to load location trail:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [request._id, request.mechanicId]);
+
   // Set up real-time updates
   useEffect(() => {
     if (request._id) {
@@ -82,13 +117,24 @@ const RequestTracker = ({ request, onStatusUpdate, onNewMessage }) => {
             timestamp: new Date()
           });
           
-          // Update estimated arrival if provided
+          // Update estimated arrival if provided (in minutes)
           if (data.estimatedArrival) {
-            setEstimatedArrival(data.estimatedArrival);
+            setEstimatedArrival(new Date(Date.now() + data.estimatedArrival * 60000));
           }
         }
       });
 
+      // Stored positions of the assigned mechanic with the server's distance and ETA
+      socketService.onTrackingUpdate((data) => {
+        if (data.requestId !== request._id) return;
+
+        const { lat, lng } = data.location;
+        setMechanicLocation({ lat, lng, timestamp: new Date(data.timestamp) });
+        setRoute(prev => [...prev, [lat, lng]]);
+        setEstimatedArrival(new Date(data.estimatedArrival));
+        setDistanceKm(data.distanceKm);
+      });
+
       // Listen for request status updates
       socketService.onRequestUpdate((data) => {
         if (data.requestId === request._id) {
@@ -128,20 +174,13 @@ const RequestTracker = ({ request, onStatusUpdate, onNewMessage }) => {
       return () => {
         socketService.leaveRequest(request._id);
         socketService.off('location_updated');
+        socketService.off('tracking-update');
         socketService.off('request_updated');
         socketService.off('new_message');
       };
     }
   }, [request._id, request.mechanicId, onStatusUpdate, onNewMessage]);
 
-  // Calculate estimated arrival time
-  const getEstimatedArrival = () => {
-    if (estimatedArrival) {
-      return new Date(Date.now() + estimatedArrival * 60000);
-    }
-    return null;
-  };
-
   // Send chat message
   const handleSendMessage = () => {
     if (newMessage.trim() && request._id) {
@@ -229,7 +268,8 @@ const RequestTracker = ({ request, onStatusUpdate, onNewMessage }) => {
                 </div>
                 {estimatedArrival && (
                   <p className="text-sm text-success-600">
-                    ETA: {formatTime(getEstimatedArrival())}
+                    ETA: {formatTime(estimatedArrival)}
+                    {distanceKm !== null && ` · ${distanceKm.toFixed(1)} km away`}
                   </p>
                 )}
               </div>
@@ -256,6 +296,12 @@ const RequestTracker = ({ request, onStatusUpdate, onNewMessage }) => {
         </div>
       )}
 
+      {/* Quote */}
+      <QuoteReview request={request} />
+
+      {/* Share Tracking */}
+      <ShareTracking request={request} />
+
       {/* Map */}
       <div className="bg-white rounded-lg shadow-card p-6">
         <h3 className="text-lg font-semibold text-secondary-900 mb-4">Live Location</h3>
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShareIcon, ClipboardDocumentIcon, TrashIcon, LinkIcon } from '@heroicons/react/24/outline';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import requestService from '../../services/requestService';
+import { formatDateTime } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+// Mirrors the limits enforced by the API
+const MAX_ACTIVE_LINKS = 5;
+const EXPIRY_OPTIONS = [1, 2, 4, 8, 24];
+
+const ENDED_STATUSES = ['completed', 'cancelled'];
+
+// Read-only live tracking links the customer can send to someone without an account
+const ShareTracking = ({ request }) => {
+  const [links, setLinks] = useState([]);
+  const [label, setLabel] = useState('');
+  const [expiresInHours, setExpiresInHours] = useState(4);
+  const [creating, setCreating] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+
+  const ended = ENDED_STATUSES.includes(request.status);
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      const response = await requestService.getShareLinks(request._id);
+      setLinks(response.data || []);
+    } catch (error) {
+      console.error('Error fetching tracking links:', error);
+    }
+  }, [request._id]);
+
+  useEffect(() => {
+    if (!request._id || ended) {
+      setLinks([]);
+      return;
+    }
+    fetchLinks();
+  }, [request._id, ended, fetchLinks]);
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const response = await requestService.createShareLink(request._id, {
+        label: label.trim() || undefined,
+        expiresInHours
+      });
+      const link = response.data;
+      setLinks(prev => [...prev, link]);
+      setLabel('');
+      setShowForm(false);
+
+      // Let the phone's share sheet send it where it can, otherwise copy it
+      if (navigator.share) {
+        navigator.share({ title: 'Follow my RoadGuard mechanic', url: link.url }).catch(() => {});
+      } else {
+        copyLink(link);
+      }
+    } catch (error) {
+      console.error('Error creating tracking link:', error);
+      toast.error(error.message || 'Failed to create tracking link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm(`Stop sharing tracking${link.label ? ` with ${link.label}` : ''}?`)) {
+      return;
+    }
+
+    try {
+      await requestService.revokeShareLink(request._id, link._id);
+      toast.success('Tracking link turned off');
+      setLinks(prev => prev.filter(l => l._id !== link._id));
+    } catch (error) {
+      console.error('Error revoking tracking link:', error);
+      toast.error(error.message || 'Failed to revoke tracking link');
+      fetchLinks();
+    }
+  };
+
+  if (ended) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-secondary-900">Share Live Tracking</h3>
+        {!showForm && links.length < MAX_ACTIVE_LINKS && (
+          <Button
+            variant="outline"
+            size="sm"
+            icon={<ShareIcon className="h-4 w-4" />}
+            onClick={() => setShowForm(true)}
+          >
+            Share
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-secondary-600 mb-4">
+        Anyone with the link can follow the mechanic's approach without signing in. Links stop working when they expire, when you turn them off, or when this request is completed or cancelled.
+      </p>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="border border-secondary-200 rounded-lg p-4 mb-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Who is it for?"
+              name="label"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              placeholder="e.g. Mum"
+              maxLength={50}
+            />
+            <div>
+              <label htmlFor="expiresInHours" className="block text-sm font-medium text-secondary-700 mb-1">
+                Works for
+              </label>
+              <select
+                id="expiresInHours"
+                value={expiresInHours}
+                onChange={(e) => setExpiresInHours(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-secondary-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {EXPIRY_OPTIONS.map(hours => (
+                  <option key={hours} value={hours}>
+                    {hours} {hours === 1 ? 'hour' : 'hours'}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="flex justify-end space-x-4">
+            <Button type="button" variant="outline" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" loading={creating}>
+              Create Link
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {links.length > 0 && (
+        <ul className="divide-y divide-secondary-200">
+          {links.map(link => (
+            <li key={link._id} className="py-3 flex items-center justify-between">
+              <div className="flex items-center min-w-0">
+                <LinkIcon className="h-5 w-5 mr-3 text-secondary-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="font-medium text-secondary-900 truncate">{link.label || 'Tracking link'}</p>
+                  <p className="text-sm text-secondary-500">Until {formatDateTime(link.expiresAt)}</p>
+                </div>
+              </div>
+              <div className="flex space-x-2 flex-shrink-0">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  icon={<ClipboardDocumentIcon className="h-4 w-4" />}
+                  onClick={() => copyLink(link)}
+                >
+                  Copy
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  icon={<TrashIcon className="h-4 w-4" />}
+                  onClick={() => handleRevoke(link)}
+                >
+                  Turn off
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ShareTracking;
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  PhoneIcon,
+  EnvelopeIcon,
+  UserIcon
+} from '@heroicons/react/24/outline';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import emergencyService from '../../services/emergencyService';
+import { validateEmail, validatePhone } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+// Mirrors the limit enforced by the API
+const MAX_TRUSTED_CONTACTS = 5;
+
+const emptyContact = { name: '', phone: '', email: '', relationship: '' };
+
+const TrustedContacts = () => {
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null); // contact _id, 'new' or null
+  const [formData, setFormData] = useState(emptyContact);
+
+  useEffect(() => {
+    fetchContacts();
+  }, []);
+
+  const fetchContacts = async () => {
+    try {
+      setLoading(true);
+      const response = await emergencyService.getTrustedContacts();
+      setContacts(response.data || []);
+    } catch (error) {
+      console.error('Error fetching trusted contacts:', error);
+      toast.error(error.message || 'Failed to load trusted contacts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const startEditing = (contact) => {
+    setEditingId(contact ? contact._id : 'new');
+    setFormData(contact ? {
+      name: contact.name || '',
+      phone: contact.phone || '',
+      email: contact.email || '',
+      relationship: contact.relationship || ''
+    } : emptyContact);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setFormData(emptyContact);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+
+    if (!formData.phone.trim() && !formData.email.trim()) {
+      toast.error('Add a phone number or an email so we can reach them');
+      return;
+    }
+
+    const phoneError = formData.phone.trim() && validatePhone(formData.phone.trim());
+    const emailError = formData.email.trim() && validateEmail(formData.email.trim());
+    if (phoneError || emailError) {
+      toast.error(phoneError || emailError);
+      return;
+    }
+
+    // Blank fields are left out so the API does not reject them
+    const contact = Object.fromEntries(
+      Object.entries(formData)
+        .map(([key, value]) => [key, value.trim()])
+        .filter(([, value]) => value)
+    );
+
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await emergencyService.addTrustedContact(contact);
+        toast.success('Trusted contact added');
+      } else {
+        await emergencyService.updateTrustedContact(editingId, contact);
+        toast.success('Trusted contact updated');
+      }
+      cancelEditing();
+      fetchContacts();
+    } catch (error) {
+      console.error('Error saving trusted contact:', error);
+      toast.error(error.message || 'Failed to save trusted contact');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (contact) => {
+    if (!window.confirm(`Remove ${contact.name} from your trusted contacts?`)) {
+      return;
+    }
+
+    try {
+      await emergencyService.removeTrustedContact(contact._id);
+      toast.success('Trusted contact removed');
+      setContacts(prev => prev.filter(c => c._id !== contact._id));
+    } catch (error) {
+      console.error('Error removing trusted contact:', error);
+      toast.error(error.message || 'Failed to remove trusted contact');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold text-secondary-900">Trusted Contacts</h2>
+        {!editingId && contacts.length < MAX_TRUSTED_CONTACTS && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => startEditing(null)}
+            icon={<PlusIcon className="w-4 h-4" />}
+          >
+            Add Contact
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-secondary-600 mb-6">
+        When you raise an SOS, up to {MAX_TRUSTED_CONTACTS} people are sent a text or email with a link to follow your location.
+      </p>
+
+      {editingId && (
+        <form onSubmit={handleSubmit} className="border border-secondary-200 rounded-lg p-4 mb-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Name"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              icon={<UserIcon className="w-5 h-5" />}
+              required
+            />
+            <Input
+              label="Relationship"
+              name="relationship"
+              value={formData.relationship}
+              onChange={handleInputChange}
+              placeholder="e.g. Spouse, Friend"
+            />
+            <Input
+              label="Phone Number"
+              name="phone"
+              value={formData.phone}
+              onChange={handleInputChange}
+              icon={<PhoneIcon className="w-5 h-5" />}
+            />
+            <Input
+              label="Email Address"
+              name="email"
+              type="email"
+              value={formData.email}
+              onChange={handleInputChange}
+              icon={<EnvelopeIcon className="w-5 h-5" />}
+            />
+          </div>
+          <div className="flex justify-end space-x-4">
+            <Button type="button" variant="outline" onClick={cancelEditing}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" loading={saving}>
+              {editingId === 'new' ? 'Add Contact' : 'Save Changes'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : contacts.length === 0 ? (
+        <p className="text-sm text-secondary-500 text-center py-6">
+          No trusted contacts yet. Only our support team will hear about an SOS until you add one.
+        </p>
+      ) : (
+        <ul className="divide-y divide-secondary-200">
+          {contacts.map(contact => (
+            <li key={contact._id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-medium text-secondary-900">
+                  {contact.name}
+                  {contact.relationship && (
+                    <span className="ml-2 text-sm font-normal text-secondary-500">{contact.relationship}</span>
+                  )}
+                </p>
+                <p className="text-sm text-secondary-600">
+                  {[contact.phone, contact.email].filter(Boolean).join(' · ')}
+                </p>
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => startEditing(contact)}
+                  className="p-2 text-secondary-400 hover:text-primary-600"
+                  title="Edit"
+                >
+                  <PencilIcon className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={() => handleRemove(contact)}
+                  className="p-2 text-secondary-400 hover:text-danger-600"
+                  title="Remove"
+                >
+                  <TrashIcon className="w-5 h-5" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrustedContacts;
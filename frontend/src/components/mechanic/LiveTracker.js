@@ -15,6 +15,7 @@ import {
 import Button from '../common/Button';
 import { getCurrentLocation, calculateDistance, formatTime } from '../../utils/helpers';
 import socketService from '../../services/socketService';
+import requestService from '../../services/requestService';
 import { useAuth } from '../../contexts/AuthContext';
 import toast from 'react-hot-toast';
 
@@ -47,11 +48,64 @@ const LiveTracker = ({ activeRequest = null, onLocationUpdate }) => {
   const [trackingStats, setTrackingStats] = useState({
     totalDistance: 0,
     startTime: null,
-    estimatedArrival: null
+    estimatedArrival: null,
+    distanceKm: null
   });
   const [watchId, setWatchId] = useState(null);
   const [locationHistory, setLocationHistory] = useState([]);
 
+  const activeRequestId = activeRequest?._id;
+
+  // Pick up the stored trail after a refresh and follow the server's distance/ETA
+  useEffect(() => {
+    if (!activeRequestId) return;
+
+    let cancelled = false;
+    requestService.getRequestTrail(activeRequestId, 'mechanic')
+      .then(({ data }) => {
+        if (cancelled || !data) return;
+
+        setLocationHistory(data.trail.slice(-100).map(point => ({
+          lat: point.lat,
+          lng: point.lng,
+          timestamp: point.recordedAt,
+          accuracy: point.accuracy
+        })));
+        if (data.lastLocation) {
+          setCurrentLocation(prev => prev || { ...data.lastLocation, timestamp: data.lastLocation.recordedAt });
+          setLastUpdate(prev => prev || new Date(data.lastLocation.recordedAt));
+        }
+        if (data.etaMinutes !== null && data.updatedAt) {
+          setTrackingStats(prev => ({
+            ...prev,
+            estimatedArrival: new Date(new Date(data.updatedAt).getTime() + data.etaMinutes * 60000),
+            distanceKm: data.distanceKm
+          }));
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load location trail:', error);
+      });
+
+    const handleTrackingUpdate = (data) => {
+      if (data.requestId !== activeRequestId) return;
+
+      setTrackingStats(prev => ({
+        ...prev,
+        estimatedArrival: new Date(data.estimatedArrival),
+        distanceKm: data.distanceKm
+      }));
+    };
+
+    socketService.joinRequest(activeRequestId);
+    socketService.onTrackingUpdate(handleTrackingUpdate);
+
+    return () => {
+      cancelled = true;
+      socketService.off('tracking-update', handleTrackingUpdate);
+    };
+  }, [activeRequestId]);
+
   // Start/stop tracking based on active request
   useEffect(() => {
     if (activeRequest && activeRequest.status === 'assigned') {
@@ -100,14 +154,12 @@ const LiveTracker = ({ activeRequest = null, onLocationUpdate }) => {
           return updated.slice(-100);
         });
 
-        // Calculate distance and ETA if we have an active request
-        if (activeRequest && activeRequest.location) {
-          updateTrackingStats(newLocation, activeRequest.location);
-        }
-
-        // Send location update via socket
-        if (socketService.isConnected() && activeRequest) {
+        // Send location update via socket; the server stores it and replies with distance and ETA
+        if (socketService.getConnectionStatus() && activeRequest) {
           socketService.updateLocation(newLocation, activeRequest._id);
+        } else if (activeRequest && activeRequest.location) {
+          // Offline: estimate locally until the socket is back
+          updateTrackingStats(newLocation, activeRequest.location);
         }
 
         // Call external callback if provided
@@ -161,7 +213,8 @@ const LiveTracker = ({ activeRequest = null, onLocationUpdate }) => {
     setTrackingStats({
       totalDistance: 0,
       startTime: null,
-      estimatedArrival: null
+      estimatedArrival: null,
+      distanceKm: null
     });
     
     if (isTracking) {
@@ -184,7 +237,8 @@ const LiveTracker = ({ activeRequest = null, onLocationUpdate }) => {
 
     setTrackingStats(prev => ({
       ...prev,
-      estimatedArrival
+      estimatedArrival,
+      distanceKm: distance
     }));
   };
 
@@ -300,6 +354,11 @@ const LiveTracker = ({ activeRequest = null, onLocationUpdate }) => {
                     : 'Calculating...'
                   }
                 </p>
+                {trackingStats.distanceKm !== null && (
+                  <p className="text-xs text-secondary-500">
+                    {trackingStats.distanceKm.toFixed(1)} km away
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { PlusIcon, TrashIcon, DocumentTextIcon } from '@heroicons/react/24/outline';
+import Button from '../common/Button';
+import requestService from '../../services/requestService';
+import { formatCurrency } from '../../utils/helpers';
+import { QUOTE_ITEM_TYPE_LABELS, QUOTE_STATUS_LABELS } from '../../utils/constants';
+import toast from 'react-hot-toast';
+
+const emptyItem = { type: 'labour', description: '', quantity: 1, unitPrice: '' };
+
+// Latest quote revision for a job and a form to propose the next one
+const QuoteEditor = ({ request, onQuoteProposed }) => {
+  const quote = request.quote;
+  const latest = quote?.revisions?.find(revision => revision.revision === quote.currentRevision);
+
+  const [items, setItems] = useState([emptyItem]);
+  const [note, setNote] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const total = items.reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0), 0);
+
+  const updateItem = (index, field, value) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  // Start from the latest revision so only what changed needs editing
+  const startEditing = () => {
+    setItems(latest
+      ? latest.items.map(({ type, description, quantity, unitPrice }) => ({ type, description, quantity, unitPrice }))
+      : [emptyItem]);
+    setNote('');
+    setEditing(true);
+  };
+
+  const proposeQuote = async (e) => {
+    e.preventDefault();
+    if (items.some(item => item.description.trim().length < 2 || item.unitPrice === '')) {
+      toast.error('Describe and price every line');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await requestService.proposeQuote(request._id, {
+        items: items.map(item => ({
+          type: item.type,
+          description: item.description.trim(),
+          quantity: Number(item.quantity) || 1,
+          unitPrice: Number(item.unitPrice)
+        })),
+        note: note.trim()
+      });
+      if (response.success) {
+        toast.success('Quote sent to the customer');
+        setEditing(false);
+        if (onQuoteProposed) {
+          onQuoteProposed(response.data);
+        }
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to propose quote');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-900 flex items-center">
+          <DocumentTextIcon className="w-4 h-4 mr-2 text-primary-600" />
+          Quote
+        </h4>
+        {quote?.status && (
+          <span className="text-xs font-medium text-gray-600">
+            Revision {quote.currentRevision}: {QUOTE_STATUS_LABELS[quote.status]}
+          </span>
+        )}
+      </div>
+
+      {latest && !editing && (
+        <div className="space-y-1 text-sm">
+          {latest.items.map((item, index) => (
+            <div key={index} className="flex justify-between">
+              <span className="text-gray-600">
+                {QUOTE_ITEM_TYPE_LABELS[item.type]}: {item.description}
+                {item.quantity > 1 && ` × ${item.quantity}`}
+              </span>
+              <span className="font-medium">{formatCurrency(item.amount)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between border-t pt-1 font-semibold">
+            <span>Total</span>
+            <span>{formatCurrency(latest.total)}</span>
+          </div>
+          {latest.counterAmount && (
+            <p className="text-amber-700">
+              Customer offered {formatCurrency(latest.counterAmount)}
+              {latest.responseNote && `: "${latest.responseNote}"`}
+            </p>
+          )}
+          {quote.approvedAmount !== undefined && quote.approvedAmount !== null && (
+            <p className="text-gray-600">Approved up to {formatCurrency(quote.approvedAmount)}</p>
+          )}
+        </div>
+      )}
+
+      {!latest && !editing && (
+        <p className="text-sm text-gray-600">No quote yet. The customer has to accept one before you can start work.</p>
+      )}
+
+      {editing ? (
+        <form onSubmit={proposeQuote} className="space-y-2 mt-2">
+          {items.map((item, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <select
+                value={item.type}
+                onChange={(e) => updateItem(index, 'type', e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              >
+                {Object.entries(QUOTE_ITEM_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={item.description}
+                onChange={(e) => updateItem(index, 'description', e.target.value)}
+                placeholder="Description"
+                maxLength={200}
+                className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              />
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={item.quantity}
+                onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+                className="w-16 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                title="Quantity"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={item.unitPrice}
+                onChange={(e) => updateItem(index, 'unitPrice', e.target.value)}
+                placeholder="₹"
+                className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                title="Unit price"
+              />
+              <button
+                type="button"
+                onClick={() => setItems(prev => prev.filter((_, i) => i !== index))}
+                disabled={items.length === 1}
+                className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                title="Remove"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Note for the customer (optional)"
+            maxLength={500}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+
+          <div className="flex items-center justify-between">
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => setItems(prev => [...prev, emptyItem])}
+              disabled={items.length >= 20}
+              icon={<PlusIcon className="h-4 w-4" />}
+            >
+              Add line
+            </Button>
+            <span className="text-sm font-semibold">Total {formatCurrency(Math.round(total * 100) / 100)}</span>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <Button type="button" variant="outline" size="sm" onClick={() => setEditing(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" size="sm" loading={saving} disabled={saving}>
+              {request.status === 'in_progress' ? 'Send Additional Quote' : 'Send Quote'}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <Button variant="outline" size="sm" className="mt-3" onClick={startEditing}>
+          {latest ? 'Revise Quote' : 'Create Quote'}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default QuoteEditor;
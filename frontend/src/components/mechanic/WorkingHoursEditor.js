@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { PlusIcon, TrashIcon, ClockIcon, NoSymbolIcon } from '@heroicons/react/24/outline';
+import Button from '../common/Button';
+import mechanicApi from '../../api/mechanicApi';
+import { formatDateTime } from '../../utils/helpers';
+import { WEEKDAY_LABELS, BOOKING_SLOT_MINUTES } from '../../utils/constants';
+import toast from 'react-hot-toast';
+
+const emptyBlock = { startAt: '', endAt: '', reason: '' };
+
+// Weekly working hours and blocked-out times that customers can book scheduled services into
+const WorkingHoursEditor = ({ schedule, onChange }) => {
+  const [weeklyHours, setWeeklyHours] = useState([]);
+  const [slotMinutes, setSlotMinutes] = useState(60);
+  const [savingHours, setSavingHours] = useState(false);
+  const [newBlock, setNewBlock] = useState(emptyBlock);
+  const [savingBlock, setSavingBlock] = useState(false);
+  const [removingBlockId, setRemovingBlockId] = useState(null);
+
+  useEffect(() => {
+    setWeeklyHours((schedule?.weeklyHours || []).map(({ day, start, end }) => ({ day, start, end })));
+    setSlotMinutes(schedule?.slotMinutes || 60);
+  }, [schedule]);
+
+  const updateWindow = (index, field, value) => {
+    setWeeklyHours(prev => prev.map((window, i) => (
+      i === index ? { ...window, [field]: field === 'day' ? Number(value) : value } : window
+    )));
+  };
+
+  const addWindow = () => {
+    setWeeklyHours(prev => [...prev, { day: 1, start: '09:00', end: '18:00' }]);
+  };
+
+  const removeWindow = (index) => {
+    setWeeklyHours(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const saveHours = async () => {
+    try {
+      setSavingHours(true);
+      const response = await mechanicApi.updateWorkingHours({ weeklyHours, slotMinutes });
+      if (response.success) {
+        toast.success('Working hours saved');
+        onChange(response.data);
+      }
+    } catch (error) {
+      console.error('Error saving working hours:', error);
+      toast.error(error.response?.data?.message || 'Failed to save working hours');
+    } finally {
+      setSavingHours(false);
+    }
+  };
+
+  const addBlock = async (e) => {
+    e.preventDefault();
+    if (!newBlock.startAt || !newBlock.endAt) {
+      toast.error('Choose when the blocked time starts and ends');
+      return;
+    }
+
+    try {
+      setSavingBlock(true);
+      const response = await mechanicApi.addBlockedTime({
+        startAt: new Date(newBlock.startAt).toISOString(),
+        endAt: new Date(newBlock.endAt).toISOString(),
+        reason: newBlock.reason
+      });
+      if (response.success) {
+        toast.success('Time blocked out');
+        setNewBlock(emptyBlock);
+        onChange(response.data);
+      }
+    } catch (error) {
+      console.error('Error blocking time:', error);
+      toast.error(error.response?.data?.message || 'Failed to block time');
+    } finally {
+      setSavingBlock(false);
+    }
+  };
+
+  const removeBlock = async (blockId) => {
+    try {
+      setRemovingBlockId(blockId);
+      const response = await mechanicApi.removeBlockedTime(blockId);
+      if (response.success) {
+        onChange(response.data);
+      }
+    } catch (error) {
+      console.error('Error removing blocked time:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove blocked time');
+    } finally {
+      setRemovingBlockId(null);
+    }
+  };
+
+  const upcomingBlocks = (schedule?.blockedTimes || [])
+    .filter(block => new Date(block.endAt) > new Date())
+    .sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {/* Working Hours */}
+      <div className="bg-white rounded-lg shadow-sm border p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <ClockIcon className="h-5 w-5 mr-2 text-primary-600" />
+            Working Hours
+          </h2>
+          <div className="flex items-center space-x-2 text-sm text-gray-600">
+            <label htmlFor="slot-minutes">Slot length</label>
+            <select
+              id="slot-minutes"
+              value={slotMinutes}
+              onChange={(e) => setSlotMinutes(Number(e.target.value))}
+              className="border border-gray-300 rounded-lg px-2 py-1"
+            >
+              {BOOKING_SLOT_MINUTES.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes} min</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Customers can book scheduled services in these hours{schedule?.timezone ? ` (${schedule.timezone})` : ''}.
+        </p>
+
+        <div className="space-y-2">
+          {weeklyHours.length === 0 && (
+            <p className="text-sm text-gray-500">No working hours yet, so customers cannot book you for later.</p>
+          )}
+          {weeklyHours.map((window, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <select
+                value={window.day}
+                onChange={(e) => updateWindow(index, 'day', e.target.value)}
+                className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              >
+                {WEEKDAY_LABELS.map((label, day) => (
+                  <option key={day} value={day}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="time"
+                value={window.start}
+                onChange={(e) => updateWindow(index, 'start', e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="time"
+                value={window.end}
+                onChange={(e) => updateWindow(index, 'end', e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => removeWindow(index)}
+                className="p-1 text-gray-400 hover:text-red-600"
+                title="Remove"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-between mt-4">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={addWindow}
+            icon={<PlusIcon className="h-4 w-4" />}
+          >
+            Add hours
+          </Button>
+          <Button
+            variant="primary"
+            size="sm"
+            onClick={saveHours}
+            loading={savingHours}
+            disabled={savingHours}
+          >
+            Save Hours
+          </Button>
+        </div>
+      </div>
+
+      {/* Blocked Time */}
+      <div className="bg-white rounded-lg shadow-sm border p-6">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center mb-4">
+          <NoSymbolIcon className="h-5 w-5 mr-2 text-red-500" />
+          Blocked Time
+        </h2>
+
+        <form onSubmit={addBlock} className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
+          <input
+            type="datetime-local"
+            value={newBlock.startAt}
+            onChange={(e) => setNewBlock(prev => ({ ...prev, startAt: e.target.value }))}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            aria-label="Blocked from"
+          />
+          <input
+            type="datetime-local"
+            value={newBlock.endAt}
+            onChange={(e) => setNewBlock(prev => ({ ...prev, endAt: e.target.value }))}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            aria-label="Blocked until"
+          />
+          <input
+            type="text"
+            value={newBlock.reason}
+            onChange={(e) => setNewBlock(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder="Reason (optional)"
+            maxLength={200}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+          <Button
+            type="submit"
+            variant="outline"
+            size="sm"
+            loading={savingBlock}
+            disabled={savingBlock}
+          >
+            Block Time
+          </Button>
+        </form>
+
+        {upcomingBlocks.length === 0 ? (
+          <p className="text-sm text-gray-500">No upcoming blocked time.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {upcomingBlocks.map(block => (
+              <li key={block._id} className="flex items-center justify-between py-2 text-sm">
+                <div>
+                  <p className="text-gray-900">
+                    {formatDateTime(block.startAt)} - {formatDateTime(block.endAt)}
+                  </p>
+                  {block.reason && <p className="text-gray-500">{block.reason}</p>}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeBlock(block._id)}
+                  disabled={removingBlockId === block._id}
+                  className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  title="Remove"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkingHoursEditor;
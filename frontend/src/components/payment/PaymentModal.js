@@ -1,9 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { XMarkIcon, CreditCardIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
 import Button from '../common/Button';
 import paymentApi from '../../api/paymentApi';
+import checkoutService from '../../services/checkoutService';
 import { useAuth } from '../../contexts/AuthContext';
-import { formatCurrency } from '../../utils/helpers';
+import { formatCurrency, createIdempotencyKey } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const PaymentModal = ({ 
@@ -19,83 +20,24 @@ const PaymentModal = ({
   const [paymentStep, setPaymentStep] = useState('details'); // 'details', 'processing', 'success', 'failed'
   const [paymentData, setPaymentData] = useState(null);
   const [error, setError] = useState(null);
+  // Shared by every click of one checkout attempt, so a double click opens a single order
+  const checkoutKey = useRef(null);
 
   useEffect(() => {
     if (isOpen) {
-      // Load Razorpay SDK when modal opens
-      loadRazorpaySDK().catch(error => {
+      // Load Razorpay Checkout while the customer reads the summary
+      checkoutService.loadRazorpay().catch(error => {
         console.error('Failed to load Razorpay SDK:', error);
-        setError('Payment system unavailable. Please try again later.');
       });
     }
   }, [isOpen]);
 
-  const loadRazorpaySDK = () => {
-    return new Promise((resolve, reject) => {
-      if (window.Razorpay) {
-        resolve(true);
-        return;
-      }
-
-      const script = document.createElement('script');
-      script.src = 'https://checkout.razorpay.com/v1/checkout.js';
-      script.onload = () => resolve(true);
-      script.onerror = () => reject(new Error('Failed to load Razorpay SDK'));
-      document.head.appendChild(script);
-    });
-  };
-
-  const processRazorpayPayment = (orderData) => {
-    return new Promise((resolve, reject) => {
-      if (!window.Razorpay) {
-        reject(new Error('Razorpay SDK not loaded'));
-        return;
-      }
-
-      const options = {
-        key: 'rzp_test_51O8X8X8X8X8X8', // Test key for development
-        amount: orderData.amount,
-        currency: orderData.currency || 'INR',
-        name: 'RoadGuard',
-        description: 'Service Payment',
-        order_id: orderData.orderId,
-        handler: function (response) {
-          console.log('Payment successful:', response);
-          resolve({
-            razorpayPaymentId: response.razorpay_payment_id,
-            razorpayOrderId: response.razorpay_order_id,
-            razorpaySignature: response.razorpay_signature,
-          });
-        },
-        prefill: {
-          name: orderData.customerName || 'Test Customer',
-          email: orderData.customerEmail || 'test@example.com',
-          contact: orderData.customerPhone || '9999999999',
-        },
-        theme: {
-          color: '#0ea5e9',
-        },
-        modal: {
-          ondismiss: function () {
-            console.log('Payment modal dismissed');
-            reject(new Error('Payment cancelled by user'));
-          },
-        },
-        notes: {
-          service_request_id: orderData.serviceRequestId || 'test_request',
-        },
-      };
-
-      const razorpayInstance = new window.Razorpay(options);
-      razorpayInstance.open();
-    });
-  };
-
   const resetModal = () => {
     setPaymentStep('details');
     setPaymentData(null);
     setError(null);
     setLoading(false);
+    checkoutKey.current = null;
   };
 
   const handleClose = () => {
@@ -112,37 +54,33 @@ const PaymentModal = ({
       setPaymentStep('processing');
       
       console.log('Creating payment order for service request:', serviceRequest._id);
-      const orderResponse = await paymentApi.createPostCompletionPaymentOrder(serviceRequest._id);
+      checkoutKey.current = checkoutKey.current || createIdempotencyKey();
+      const orderResponse = await paymentApi.createPostCompletionPaymentOrder(serviceRequest._id, checkoutKey.current);
       
 
       if (!orderResponse.success) {
         throw new Error(orderResponse.message || 'Failed to create payment order');
       }
 
-      const { orderId, amount, currency, paymentId } = orderResponse.data;
-      console.log('Payment order created:', { orderId, amount, currency, paymentId });
-
-      // Step 2: Process payment with Razorpay
-      const paymentData = {
-        orderId: orderId,
-        amount: amount,
-        currency: currency,
-        customerName: user?.name || 'Test Customer',
-        customerEmail: user?.email || 'test@example.com',
-        customerPhone: user?.phone || '9999999999',
-        serviceRequestId: serviceRequest._id
-      };
+      const orderData = orderResponse.data;
+      console.log('Payment order created:', orderData);
 
-      console.log('Processing payment with Razorpay:', paymentData);
-      const razorpayResult = await processRazorpayPayment(paymentData);
-      console.log('Razorpay payment result:', razorpayResult);
+      // Step 2: Pay through the order's gateway
+      const checkoutResult = await checkoutService.openCheckout(orderData, {
+        prefill: {
+          name: user?.name,
+          email: user?.email,
+          contact: user?.phone,
+        },
+        notes: {
+          service_request_id: serviceRequest._id,
+        },
+      });
 
       // Step 3: Verify payment on backend
       const verificationData = {
-        paymentId: paymentId,
-        razorpayPaymentId: razorpayResult.razorpayPaymentId,
-        razorpayOrderId: razorpayResult.razorpayOrderId,
-        razorpaySignature: razorpayResult.razorpaySignature
+        paymentId: orderData.paymentId,
+        ...checkoutResult
       };
 
       console.log('Verifying payment:', verificationData);
@@ -175,6 +113,7 @@ const PaymentModal = ({
       
       setError(errorMessage);
       setPaymentStep('failed');
+      checkoutKey.current = null;
       
       // Call failure callback
       if (onPaymentFailure) {
@@ -278,7 +217,7 @@ const PaymentModal = ({
               Processing Payment...
             </h3>
             <p className="text-secondary-600">
-              Please complete the payment in the Razorpay window.
+              Please complete the payment in the checkout window.
             </p>
           </div>
         );
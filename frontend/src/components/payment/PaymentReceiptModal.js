@@ -1,10 +1,11 @@
 import React, { useRef } from 'react';
 import { XMarkIcon, DocumentArrowDownIcon, PrinterIcon } from '@heroicons/react/24/outline';
 import Button from '../common/Button';
-import { formatCurrency, formatDateTime } from '../../utils/helpers';
+import { formatCurrency, formatDateTime, downloadFile } from '../../utils/helpers';
 import { PAYMENT_STATUS_LABELS } from '../../utils/constants';
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
+import paymentApi from '../../api/paymentApi';
 import toast from 'react-hot-toast';
 
 const PaymentReceiptModal = ({ isOpen, onClose, payment }) => {
@@ -47,6 +48,17 @@ const PaymentReceiptModal = ({ isOpen, onClose, payment }) => {
     }
   };
 
+  // Official invoice with GST breakdown, numbered by the server
+  const downloadInvoice = async () => {
+    try {
+      const pdf = await paymentApi.downloadInvoice(payment._id);
+      downloadFile(pdf, `invoice-${payment._id}.pdf`, 'application/pdf');
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      toast.error('Failed to download invoice');
+    }
+  };
+
   const printReceipt = () => {
     const printWindow = window.open('', '_blank');
     const receiptHTML = receiptRef.current.innerHTML;
@@ -100,6 +112,7 @@ const PaymentReceiptModal = ({ isOpen, onClose, payment }) => {
       pending: 'text-yellow-600 bg-yellow-100',
       success: 'text-green-600 bg-green-100',
       failed: 'text-red-600 bg-red-100',
+      partially_refunded: 'text-gray-600 bg-gray-100',
       refunded: 'text-gray-600 bg-gray-100'
     };
     return colors[status] || 'text-gray-600 bg-gray-100';
@@ -138,6 +151,16 @@ const PaymentReceiptModal = ({ isOpen, onClose, payment }) => {
               >
                 Download
               </Button>
+              {['success', 'partially_refunded', 'refunded'].includes(payment.status) && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={downloadInvoice}
+                  icon={<DocumentArrowDownIcon className="h-4 w-4" />}
+                >
+                  GST invoice
+                </Button>
+              )}
               <button
                 onClick={onClose}
                 className="text-secondary-400 hover:text-secondary-600"
@@ -1,36 +1,115 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   CheckCircleIcon,
   CurrencyDollarIcon,
   ClockIcon,
   UserIcon,
   WrenchScrewdriverIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  BanknotesIcon
 } from '@heroicons/react/24/outline';
 import Button from '../common/Button';
-import { formatCurrency, formatDate } from '../../utils/helpers';
+import paymentApi from '../../api/paymentApi';
+import checkoutService from '../../services/checkoutService';
+import { formatCurrency, formatDate, createIdempotencyKey } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const PostCompletionPayment = ({ serviceRequest, onPaymentSuccess, onClose }) => {
   const [loading, setLoading] = useState(false);
   const [paymentData, setPaymentData] = useState(null);
   const [paymentStatus, setPaymentStatus] = useState('pending');
+  const [cashPayment, setCashPayment] = useState(null);
+  const [showDisputeForm, setShowDisputeForm] = useState(false);
+  const [dispute, setDispute] = useState({ amount: '', reason: '' });
+  // Shared by every request of one checkout attempt, so a double click opens a single order
+  const checkoutKey = useRef(null);
 
   useEffect(() => {
     if (serviceRequest && serviceRequest.status === 'completed') {
-      createPaymentOrder();
+      loadPayment();
     }
   }, [serviceRequest]);
 
+  // Cash the mechanic recorded replaces the online payment unless an admin rejected it
+  const loadPayment = async () => {
+    try {
+      setLoading(true);
+      const response = await paymentApi.getCashPayment(serviceRequest._id);
+      if (response.success && response.data.cash?.status !== 'rejected') {
+        applyCashPayment(response.data);
+        return;
+      }
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Error loading cash payment:', error);
+      }
+    } finally {
+      setLoading(false);
+    }
+
+    createPaymentOrder();
+  };
+
+  const applyCashPayment = (payment) => {
+    setCashPayment(payment);
+    if (['confirmed', 'resolved'].includes(payment.cash?.status)) {
+      setPaymentStatus('success');
+    }
+  };
+
+  const confirmCashPayment = async () => {
+    try {
+      setLoading(true);
+      const response = await paymentApi.confirmCashPayment(cashPayment._id);
+      if (response.success) {
+        applyCashPayment(response.data);
+        toast.success('Cash payment confirmed. Thank you for using RoadGuard.');
+        if (onPaymentSuccess) {
+          onPaymentSuccess(response.data);
+        }
+      }
+    } catch (error) {
+      console.error('Error confirming cash payment:', error);
+      toast.error(error.response?.data?.message || 'Failed to confirm cash payment');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const disputeCashPayment = async (e) => {
+    e.preventDefault();
+    if (dispute.amount === '' || dispute.reason.trim().length < 10) {
+      toast.error('Tell us how much you paid and what went wrong (at least 10 characters)');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await paymentApi.disputeCashPayment(cashPayment._id, Number(dispute.amount), dispute.reason.trim());
+      if (response.success) {
+        applyCashPayment(response.data);
+        setShowDisputeForm(false);
+        toast.success('Dispute raised. Our team will review it shortly.');
+      }
+    } catch (error) {
+      console.error('Error disputing cash payment:', error);
+      toast.error(error.response?.data?.message || 'Failed to raise dispute');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const createPaymentOrder = async () => {
     try {
       setLoading(true);
+      checkoutKey.current = checkoutKey.current || createIdempotencyKey();
       
       const response = await fetch('/api/payments/create-post-completion-order', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+          'Idempotency-Key': checkoutKey.current
         },
         body: JSON.stringify({
           serviceRequestId: serviceRequest._id
@@ -41,52 +120,45 @@ const PostCompletionPayment = ({ serviceRequest, onPaymentSuccess, onClose }) =>
         const result = await response.json();
         if (result.success) {
           setPaymentData(result.data);
-          initializeRazorpayPayment(result.data);
+          openCheckout(result.data);
         } else {
+          checkoutKey.current = null;
           toast.error(result.message || 'Failed to create payment order');
         }
       } else {
+        checkoutKey.current = null;
         toast.error('Failed to create payment order');
       }
     } catch (error) {
       console.error('Error creating payment order:', error);
+      checkoutKey.current = null;
       toast.error('Failed to create payment order');
     } finally {
       setLoading(false);
     }
   };
 
-  const initializeRazorpayPayment = (paymentData) => {
-    const options = {
-      key: paymentData.razorpayKey,
-      amount: paymentData.amount * 100, // Convert to paise
-      currency: paymentData.currency,
-      name: 'RoadGuard',
-      description: `Payment for ${serviceRequest.issueType.replace('_', ' ')} service`,
-      order_id: paymentData.razorpayOrderId,
-      handler: function (response) {
-        handlePaymentSuccess(response);
-      },
-      prefill: {
-        name: serviceRequest.customerId?.name || '',
-        email: serviceRequest.customerId?.email || '',
-        contact: serviceRequest.customerId?.phone || ''
-      },
-      theme: {
-        color: '#3B82F6'
-      },
-      modal: {
-        ondismiss: function () {
-          toast.error('Payment cancelled');
+  const openCheckout = async (orderData) => {
+    try {
+      const checkoutResult = await checkoutService.openCheckout(orderData, {
+        description: `Payment for ${serviceRequest.issueType.replace('_', ' ')} service`,
+        prefill: {
+          name: serviceRequest.customerId?.name || '',
+          email: serviceRequest.customerId?.email || '',
+          contact: serviceRequest.customerId?.phone || ''
+        },
+        theme: {
+          color: '#3B82F6'
         }
-      }
-    };
-
-    const rzp = new window.Razorpay(options);
-    rzp.open();
+      });
+      await handlePaymentSuccess(orderData, checkoutResult);
+    } catch (error) {
+      checkoutKey.current = null;
+      toast.error(error.response?.data?.message || error.message || 'Payment cancelled');
+    }
   };
 
-  const handlePaymentSuccess = async (razorpayResponse) => {
+  const handlePaymentSuccess = async (orderData, checkoutResult) => {
     try {
       setLoading(true);
       
@@ -97,10 +169,8 @@ const PostCompletionPayment = ({ serviceRequest, onPaymentSuccess, onClose }) =>
           'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
         },
         body: JSON.stringify({
-          paymentId: paymentData.paymentId,
-          razorpayPaymentId: razorpayResponse.razorpay_payment_id,
-          razorpayOrderId: razorpayResponse.razorpay_order_id,
-          razorpaySignature: razorpayResponse.razorpay_signature
+          paymentId: orderData.paymentId,
+          ...checkoutResult
         })
       });
 
@@ -146,6 +216,13 @@ const PostCompletionPayment = ({ serviceRequest, onPaymentSuccess, onClose }) =>
   };
 
   const getStatusMessage = () => {
+    if (cashPayment?.cash?.status === 'awaiting_confirmation') {
+      return 'Confirm Cash Payment';
+    }
+    if (cashPayment?.cash?.status === 'disputed') {
+      return 'Cash Payment Under Review';
+    }
+
     switch (paymentStatus) {
       case 'success':
         return 'Payment Successful!';
@@ -157,6 +234,13 @@ const PostCompletionPayment = ({ serviceRequest, onPaymentSuccess, onClose }) =>
   };
 
   const getStatusDescription = () => {
+    if (cashPayment?.cash?.status === 'awaiting_confirmation') {
+      return `Your mechanic recorded ${formatCurrency(cashPayment.cash.collectedAmount)} paid in cash. Please confirm it matches what you paid.`;
+    }
+    if (cashPayment?.cash?.status === 'disputed') {
+      return 'You told us the cash amount was different. Our team will contact you and the mechanic to settle it.';
+    }
+
     switch (paymentStatus) {
       case 'success':
         return 'Your payment has been processed successfully. The mechanic will receive the payment shortly.';
@@ -241,8 +325,89 @@ const PostCompletionPayment = ({ serviceRequest, onPaymentSuccess, onClose }) =>
             </div>
           </div>
 
+          {/* Cash Confirmation */}
+          {cashPayment?.cash?.status === 'awaiting_confirmation' && !showDisputeForm && (
+            <div className="space-y-3">
+              <Button
+                variant="primary"
+                onClick={confirmCashPayment}
+                loading={loading}
+                disabled={loading}
+                className="w-full"
+              >
+                <BanknotesIcon className="w-5 h-5 mr-2" />
+                Yes, I paid {formatCurrency(cashPayment.cash.collectedAmount)}
+              </Button>
+
+              <Button
+                variant="outline"
+                onClick={() => setShowDisputeForm(true)}
+                disabled={loading}
+                className="w-full"
+              >
+                The amount is wrong
+              </Button>
+            </div>
+          )}
+
+          {cashPayment?.cash?.status === 'awaiting_confirmation' && showDisputeForm && (
+            <form onSubmit={disputeCashPayment} className="space-y-3 text-left">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Cash you paid (₹)
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  value={dispute.amount}
+                  onChange={(e) => setDispute(prev => ({ ...prev, amount: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  What happened?
+                </label>
+                <textarea
+                  rows={3}
+                  maxLength={500}
+                  value={dispute.reason}
+                  onChange={(e) => setDispute(prev => ({ ...prev, reason: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+              <Button
+                type="submit"
+                variant="primary"
+                loading={loading}
+                disabled={loading}
+                className="w-full"
+              >
+                Raise Dispute
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setShowDisputeForm(false)}
+                disabled={loading}
+                className="w-full"
+              >
+                Back
+              </Button>
+            </form>
+          )}
+
+          {cashPayment?.cash?.status === 'disputed' && (
+            <Button
+              variant="outline"
+              onClick={onClose}
+              className="w-full"
+            >
+              Close
+            </Button>
+          )}
+
           {/* Payment Actions */}
-          {paymentStatus === 'pending' && (
+          {paymentStatus === 'pending' && !cashPayment && (
             <div className="space-y-3">
               <Button
                 variant="primary"
@@ -320,6 +485,11 @@ const PostCompletionPayment = ({ serviceRequest, onPaymentSuccess, onClose }) =>
           )}
 
           {/* Payment Info */}
+          {cashPayment && (
+            <div className="mt-4 text-xs text-gray-500">
+              <p>Paid in cash · Receipt: {cashPayment.receipt}</p>
+            </div>
+          )}
           {paymentData && (
             <div className="mt-4 text-xs text-gray-500">
               <p>Order ID: {paymentData.orderId}</p>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   XMarkIcon, 
   CreditCardIcon, 
@@ -9,12 +9,15 @@ import {
   UserIcon,
   WrenchScrewdriverIcon,
   ShieldCheckIcon,
-  ReceiptIcon
+  ReceiptIcon,
+  WalletIcon
 } from '@heroicons/react/24/outline';
 import Button from '../common/Button';
 import paymentApi from '../../api/paymentApi';
+import customerApi from '../../api/customerApi';
+import checkoutService from '../../services/checkoutService';
 import { useAuth } from '../../contexts/AuthContext';
-import { formatCurrency, formatDate } from '../../utils/helpers';
+import { formatCurrency, formatDate, createIdempotencyKey } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const UnifiedPaymentModal = ({ 
@@ -31,28 +34,36 @@ const UnifiedPaymentModal = ({
   const [paymentStep, setPaymentStep] = useState('details'); // 'details', 'processing', 'success', 'failed'
   const [paymentData, setPaymentData] = useState(null);
   const [error, setError] = useState(null);
-  const [razorpayLoaded, setRazorpayLoaded] = useState(false);
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [useWallet, setUseWallet] = useState(false);
+  // Shared by every click of one checkout attempt, so a double click opens a single order
+  const checkoutKey = useRef(null);
 
   useEffect(() => {
     if (isOpen) {
-      loadRazorpaySDK();
+      // Load Razorpay Checkout while the customer reads the summary
+      checkoutService.loadRazorpay().catch(error => {
+        console.error('Failed to load Razorpay SDK:', error);
+      });
+
+      customerApi.getWallet()
+        .then(response => setWalletBalance(response.data?.balance || 0))
+        .catch(error => {
+          console.error('Failed to load wallet balance:', error);
+          setWalletBalance(0);
+        });
     }
   }, [isOpen]);
 
-  const loadRazorpaySDK = () => {
-    if (window.Razorpay) {
-      setRazorpayLoaded(true);
-      return;
-    }
+  const serviceAmount = paymentType === 'post-completion'
+    ? serviceRequest?.quotation || serviceRequest?.finalAmount || 500
+    : amount;
+  // What the wallet would pay if the customer ticks it; the order itself works this out again
+  const walletShare = useWallet ? Math.min(walletBalance, serviceAmount || 0) : 0;
 
-    const script = document.createElement('script');
-    script.src = 'https://checkout.razorpay.com/v1/checkout.js';
-    script.onload = () => setRazorpayLoaded(true);
-    script.onerror = () => {
-      setError('Payment system unavailable. Please try again later.');
-      toast.error('Failed to load payment system');
-    };
-    document.head.appendChild(script);
+  const toggleWallet = (event) => {
+    setUseWallet(event.target.checked);
+    checkoutKey.current = null;
   };
 
   const resetModal = () => {
@@ -60,6 +71,8 @@ const UnifiedPaymentModal = ({
     setPaymentData(null);
     setError(null);
     setLoading(false);
+    setUseWallet(false);
+    checkoutKey.current = null;
   };
 
   const handleClose = () => {
@@ -99,15 +112,18 @@ const UnifiedPaymentModal = ({
       });
 
       let response;
+      checkoutKey.current = checkoutKey.current || createIdempotencyKey();
       
       if (paymentType === 'post-completion') {
-        response = await paymentApi.createPostCompletionPaymentOrder(serviceRequest._id);
+        response = await paymentApi.createPostCompletionPaymentOrder(serviceRequest._id, checkoutKey.current, useWallet);
       } else if (paymentType === 'direct') {
         response = await paymentApi.createPaymentOrder({
           serviceRequestId: serviceRequest._id,
           amount: paymentAmount,
-          currency: 'INR'
-        });
+          currency: 'INR',
+          paymentMethod: 'card',
+          useWallet
+        }, checkoutKey.current);
       }
 
       console.log('Payment order response:', response);
@@ -117,59 +133,28 @@ const UnifiedPaymentModal = ({
       }
 
       setPaymentData(response.data);
-      await processRazorpayPayment(response.data);
-      
-    } catch (error) {
-      console.error('Error creating payment order:', error);
-      setError(error.message || 'Failed to create payment order');
-      setPaymentStep('failed');
-      toast.error(error.message || 'Failed to create payment order');
-    } finally {
-      setLoading(false);
-    }
-  };
 
-  const processRazorpayPayment = async (orderData) => {
-    return new Promise((resolve, reject) => {
-      if (!window.Razorpay) {
-        reject(new Error('Razorpay SDK not loaded'));
+      // The wallet covered everything, so there is nothing to check out
+      if (response.data.status === 'success') {
+        setPaymentStep('success');
+        toast.success('Paid from your wallet!');
+        if (onPaymentSuccess) {
+          onPaymentSuccess(response.data);
+        }
         return;
       }
-
-      const options = {
-        key: orderData.razorpayKey || process.env.REACT_APP_RAZORPAY_KEY_ID || 'rzp_test_CjxI6ZFqFKX7Xs',
-        amount: orderData.amount * 100, // Convert to paise
-        currency: orderData.currency || 'INR',
-        name: 'RoadGuard',
+      const checkoutResult = await checkoutService.openCheckout(response.data, {
         description: `Payment for ${serviceRequest.issueType?.replace('_', ' ') || 'roadside assistance'} service`,
-        order_id: orderData.razorpayOrderId,
-        handler: function (response) {
-          console.log('Payment successful:', response);
-          handlePaymentSuccess(response);
-          resolve(response);
-        },
         prefill: {
-          name: user?.name || 'Customer',
-          email: user?.email || 'customer@example.com',
-          contact: user?.phone || '9999999999',
-        },
-        theme: {
-          color: '#0ea5e9',
-        },
-        modal: {
-          ondismiss: function () {
-            console.log('Payment modal dismissed');
-            setPaymentStep('failed');
-            toast.error('Payment cancelled');
-            reject(new Error('Payment cancelled by user'));
-          },
+          name: user?.name,
+          email: user?.email,
+          contact: user?.phone,
         },
         notes: {
           service_request_id: serviceRequest._id,
           customer_id: user?.id,
           payment_type: paymentType
         },
-        // Add test mode configuration
         config: {
           display: {
             blocks: {
@@ -201,22 +186,28 @@ const UnifiedPaymentModal = ({
             }
           }
         }
-      };
-
-      const razorpayInstance = new window.Razorpay(options);
-      razorpayInstance.open();
-    });
+      });
+      await handlePaymentSuccess(response.data, checkoutResult);
+      
+    } catch (error) {
+      console.error('Error creating payment order:', error);
+      const message = error.response?.data?.message || error.message || 'Failed to create payment order';
+      checkoutKey.current = null;
+      setError(message);
+      setPaymentStep('failed');
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
   };
 
-  const handlePaymentSuccess = async (razorpayResponse) => {
+  const handlePaymentSuccess = async (orderData, checkoutResult) => {
     try {
       setLoading(true);
       
       const verificationData = {
-        paymentId: paymentData.paymentId,
-        razorpayPaymentId: razorpayResponse.razorpay_payment_id,
-        razorpayOrderId: razorpayResponse.razorpay_order_id,
-        razorpaySignature: razorpayResponse.razorpay_signature
+        paymentId: orderData.paymentId,
+        ...checkoutResult
       };
 
       const verificationResponse = await paymentApi.verifyPayment(verificationData);
@@ -280,7 +271,7 @@ const UnifiedPaymentModal = ({
                   </div>
                   <div className="text-right">
                     <div className="text-2xl font-bold text-blue-900">
-                      {formatCurrency(paymentData?.amount || amount || serviceRequest.quotation || 0)}
+                      {formatCurrency(paymentData?.totalAmount || amount || serviceRequest.quotation || 0)}
                     </div>
                     {paymentData?.processingFee && (
                       <div className="text-xs text-blue-600">
@@ -291,6 +282,35 @@ const UnifiedPaymentModal = ({
                 </div>
               </div>
 
+              {/* Wallet */}
+              {walletBalance > 0 && (
+                <label className="flex items-start bg-gray-50 border border-gray-200 rounded-lg p-4 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                    checked={useWallet}
+                    onChange={toggleWallet}
+                    disabled={loading}
+                  />
+                  <div className="ml-3 flex-1">
+                    <div className="flex items-center justify-between">
+                      <span className="flex items-center font-medium text-gray-900">
+                        <WalletIcon className="w-5 h-5 text-gray-600 mr-2" />
+                        Use wallet balance
+                      </span>
+                      <span className="text-sm text-gray-600">{formatCurrency(walletBalance)} available</span>
+                    </div>
+                    {useWallet && (
+                      <p className="text-sm text-gray-600 mt-1">
+                        {walletShare >= serviceAmount
+                          ? `Your wallet pays the full ${formatCurrency(walletShare)}.`
+                          : `Your wallet pays ${formatCurrency(walletShare)}; pay the remaining ${formatCurrency(serviceAmount - walletShare)} online.`}
+                      </p>
+                    )}
+                  </div>
+                </label>
+              )}
+
               {/* Security Notice */}
               <div className="bg-green-50 border border-green-200 rounded-lg p-4">
                 <div className="flex items-start">
@@ -319,10 +339,10 @@ const UnifiedPaymentModal = ({
                   variant="primary"
                   onClick={createPaymentOrder}
                   loading={loading}
-                  disabled={loading || !razorpayLoaded}
+                  disabled={loading}
                   className="flex-1"
                 >
-                  {loading ? 'Processing...' : 'Proceed to Payment'}
+                  {loading ? 'Processing...' : (useWallet && walletShare >= serviceAmount ? 'Pay from Wallet' : 'Proceed to Payment')}
                 </Button>
               </div>
             </div>
@@ -347,7 +367,7 @@ const UnifiedPaymentModal = ({
             </div>
             <h3 className="text-lg font-medium text-gray-900 mb-2">Payment Successful!</h3>
             <p className="text-gray-600 mb-4">
-              Your payment of {formatCurrency(paymentData?.amount || amount)} has been processed successfully.
+              Your payment of {formatCurrency(paymentData?.totalAmount || amount)} has been processed successfully.
             </p>
             
             {paymentData && (
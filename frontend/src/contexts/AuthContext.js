@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import authService from '../services/authService';
 import socketService from '../services/socketService';
+import pushService from '../services/pushService';
 import toast from 'react-hot-toast';
 
 // Initial state
@@ -451,13 +452,31 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Logout function
-  const logout = () => {
+  const logout = async () => {
+    // Stop push alerts, then revoke the session, while the token is still valid
+    await pushService.unsubscribe().catch(() => {});
+    await authService.revokeSession();
     authService.logout();
     socketService.disconnect();
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
     toast.success('Logged out successfully');
   };
 
+  // Revoke every session, then clear this device like a normal logout
+  const logoutAllDevices = async () => {
+    try {
+      await pushService.unsubscribe().catch(() => {});
+      await authService.logoutAllDevices();
+      authService.logout();
+      socketService.disconnect();
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      toast.success('Logged out of all devices');
+    } catch (error) {
+      toast.error(error.message || 'Failed to log out of all devices');
+      throw error;
+    }
+  };
+
   // Update user function
   const updateUser = (userData) => {
     const updatedUser = { ...state.user, ...userData };
@@ -489,6 +508,7 @@ export const AuthProvider = ({ children }) => {
     forgotPassword,
     resetPassword,
     logout,
+    logoutAllDevices,
     updateUser,
     clearError,
   };
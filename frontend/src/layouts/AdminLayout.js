@@ -3,6 +3,8 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import AdminDashboard from '../pages/admin/Dashboard';
 import UserManagement from '../pages/admin/UserManagement';
 import ServiceRequests from '../pages/admin/ServiceRequests';
+import Payments from '../pages/admin/Payments';
+import Incidents from '../pages/admin/Incidents';
 import VerificationManagement from '../pages/admin/VerificationManagement';
 import Analytics from '../pages/admin/Analytics';
 import Settings from '../pages/admin/Settings';
@@ -26,6 +28,16 @@ const AdminLayout = () => {
       href: '/admin/service-requests',
       icon: 'WrenchScrewdriverIcon',
     },
+    {
+      name: 'Payments',
+      href: '/admin/payments',
+      icon: 'CurrencyDollarIcon',
+    },
+    {
+      name: 'SOS Incidents',
+      href: '/admin/incidents',
+      icon: 'ExclamationTriangleIcon',
+    },
     {
       name: 'Verifications',
       href: '/admin/verifications',
@@ -57,6 +69,8 @@ const AdminLayout = () => {
                 <Route path="dashboard" element={<AdminDashboard />} />
                 <Route path="users" element={<UserManagement />} />
                 <Route path="service-requests" element={<ServiceRequests />} />
+                <Route path="payments" element={<Payments />} />
+                <Route path="incidents" element={<Incidents />} />
                 <Route path="verifications" element={<VerificationManagement />} />
                 <Route path="analytics" element={<Analytics />} />
                 <Route path="settings" element={<Settings />} />
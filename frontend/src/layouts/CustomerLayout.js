@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import CustomerDashboard from '../pages/customer/Dashboard';
 import NewRequest from '../pages/customer/NewRequest';
@@ -8,10 +8,15 @@ import PaymentHistory from '../pages/customer/PaymentHistory';
 import Profile from '../pages/customer/Profile';
 import MechanicDiscovery from '../pages/customer/MechanicDiscovery';
 import Chat from '../pages/customer/Chat';
+import Notifications from '../pages/customer/Notifications';
 import Sidebar from '../components/common/Sidebar';
 import Header from '../components/common/Header';
+import EmergencyModal from '../components/EmergencyModal';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
 
 const CustomerLayout = () => {
+  const [showSos, setShowSos] = useState(false);
+
   const navigationItems = [
     {
       name: 'Dashboard',
@@ -38,6 +43,11 @@ const CustomerLayout = () => {
       href: '/customer/payments',
       icon: 'CreditCardIcon',
     },
+    {
+      name: 'Notifications',
+      href: '/customer/notifications',
+      icon: 'BellIcon',
+    },
     {
       name: 'Messages',
       href: '/customer/chat',
@@ -68,6 +78,7 @@ const CustomerLayout = () => {
                 <Route path="requests" element={<RequestHistory />} />
                 <Route path="payments" element={<PaymentHistory />} />
                 <Route path="chat" element={<Chat />} />
+                <Route path="notifications" element={<Notifications />} />
                 <Route path="profile" element={<Profile />} />
                 <Route path="" element={<Navigate to="dashboard" replace />} />
               </Routes>
@@ -75,6 +86,21 @@ const CustomerLayout = () => {
           </main>
         </div>
       </div>
+
+      {/* SOS is reachable from every customer page */}
+      <button
+        onClick={() => setShowSos(true)}
+        className="fixed bottom-6 right-6 z-40 flex items-center px-4 py-3 rounded-full bg-danger-600 hover:bg-danger-700 text-white font-semibold shadow-lg focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-danger-500"
+        title="Emergency SOS"
+      >
+        <ExclamationTriangleIcon className="h-6 w-6 mr-2" />
+        SOS
+      </button>
+
+      <EmergencyModal
+        isOpen={showSos}
+        onClose={() => setShowSos(false)}
+      />
     </div>
   );
 };
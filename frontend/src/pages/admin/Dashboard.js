@@ -11,7 +11,7 @@ import {
   CheckCircleIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
-import { formatCurrency } from '../../utils/helpers';
+import { formatCurrency, formatDateTime } from '../../utils/helpers';
 import adminService from '../../services/adminService';
 import toast from 'react-hot-toast';
 
@@ -32,11 +32,46 @@ const AdminDashboard = () => {
     database: { status: 'operational', message: 'Connected and healthy' },
     payment: { status: 'operational', message: 'Processing normally' }
   });
+  const [deadJobs, setDeadJobs] = useState([]);
+  const [replayingJobId, setReplayingJobId] = useState(null);
 
   useEffect(() => {
     fetchDashboardStats();
   }, []);
 
+  const fetchDeadJobs = async () => {
+    try {
+      const response = await adminService.getDeadLetterJobs({ limit: 5 });
+      setDeadJobs(response.data?.jobs || []);
+    } catch (error) {
+      console.error('Error fetching dead-letter jobs:', error);
+    }
+  };
+
+  const refreshQueueStatus = async () => {
+    try {
+      const response = await adminService.getSystemHealth();
+      if (response.success) {
+        setSystemHealth(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching system health:', error);
+    }
+  };
+
+  const handleReplayJob = async (jobId) => {
+    try {
+      setReplayingJobId(jobId);
+      await adminService.replayDeadLetterJob(jobId);
+      toast.success('Job queued for replay');
+      await Promise.all([fetchDeadJobs(), refreshQueueStatus()]);
+    } catch (error) {
+      toast.error(error.message || 'Failed to replay job');
+    } finally {
+      setReplayingJobId(null);
+    }
+  };
+
   const fetchDashboardStats = async () => {
     try {
       setLoading(true);
@@ -86,6 +121,11 @@ const AdminDashboard = () => {
       // Set system health
       if (healthResponse.success) {
         setSystemHealth(healthResponse.data);
+        if (healthResponse.data.queue?.dead > 0) {
+          fetchDeadJobs();
+        } else {
+          setDeadJobs([]);
+        }
       }
 
       // Generate recent activity from various sources
@@ -436,6 +476,58 @@ const AdminDashboard = () => {
             }`}></div>
           </div>
         </div>
+
+        {systemHealth.queue && (
+          <div className="mt-6">
+            <h3 className="text-sm font-medium text-gray-900 mb-3">Notification Queue</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="p-4 rounded-lg bg-gray-50">
+                <p className="text-sm text-gray-500">Pending</p>
+                <p className="text-xl font-semibold text-gray-900">{systemHealth.queue.pending?.total || 0}</p>
+                <p className="text-xs text-gray-500">
+                  {systemHealth.queue.pending?.high || 0} high · {systemHealth.queue.pending?.medium || 0} medium · {systemHealth.queue.pending?.low || 0} low
+                </p>
+              </div>
+              <div className="p-4 rounded-lg bg-gray-50">
+                <p className="text-sm text-gray-500">Processing</p>
+                <p className="text-xl font-semibold text-gray-900">{systemHealth.queue.processing || 0}</p>
+              </div>
+              <div className="p-4 rounded-lg bg-gray-50">
+                <p className="text-sm text-gray-500">Completed (7 days)</p>
+                <p className="text-xl font-semibold text-gray-900">{systemHealth.queue.completed || 0}</p>
+              </div>
+              <div className={`p-4 rounded-lg ${systemHealth.queue.dead > 0 ? 'bg-red-50' : 'bg-gray-50'}`}>
+                <p className={`text-sm ${systemHealth.queue.dead > 0 ? 'text-red-800' : 'text-gray-500'}`}>Dead letter</p>
+                <p className={`text-xl font-semibold ${systemHealth.queue.dead > 0 ? 'text-red-700' : 'text-gray-900'}`}>
+                  {systemHealth.queue.dead || 0}
+                </p>
+              </div>
+            </div>
+
+            {deadJobs.length > 0 && (
+              <div className="mt-4 divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {deadJobs.map((job) => (
+                  <div key={job._id} className="flex items-center justify-between p-3">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900">{job.type}</p>
+                      <p className="text-sm text-red-600 truncate">{job.lastError || 'Unknown error'}</p>
+                      <p className="text-xs text-gray-500">
+                        {job.attempts} attempts · failed {formatDateTime(job.failedAt)}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleReplayJob(job._id)}
+                      disabled={replayingJobId === job._id}
+                      className="ml-4 px-3 py-1 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50 disabled:opacity-50"
+                    >
+                      {replayingJobId === job._id ? 'Replaying...' : 'Replay'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,467 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ExclamationTriangleIcon,
+  CheckCircleIcon,
+  EyeIcon,
+  PhoneIcon
+} from '@heroicons/react/24/outline';
+import adminService from '../../services/adminService';
+import socketService from '../../services/socketService';
+import { formatDateTime, getRelativeTime } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+import Button from '../../components/common/Button';
+import Select from '../../components/common/Select';
+import SosMap from '../../components/common/SosMap';
+
+const STATUS_LABELS = {
+  open: 'Open',
+  acknowledged: 'Acknowledged',
+  resolved: 'Resolved'
+};
+
+const SOURCE_LABELS = {
+  sos_button: 'SOS button',
+  accident_request: 'Accident request',
+  socket: 'During a request'
+};
+
+const describeVehicle = (vehicle) => {
+  if (!vehicle) return null;
+  const name = vehicle.name || [vehicle.make, vehicle.model].filter(Boolean).join(' ');
+  return [name, vehicle.plate].filter(Boolean).join(' · ') || null;
+};
+
+const Incidents = () => {
+  const [incidents, setIncidents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('');
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    totalPages: 0,
+    totalItems: 0
+  });
+  const [selected, setSelected] = useState(null);
+  const [resolving, setResolving] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchIncidents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: pagination.page, limit: pagination.limit };
+      if (status) params.status = status;
+
+      const response = await adminService.getIncidents(params);
+
+      if (response.success) {
+        setIncidents(response.data || []);
+        setPagination(prev => ({
+          ...prev,
+          totalPages: response.meta?.totalPages || 0,
+          totalItems: response.meta?.total || 0
+        }));
+      }
+    } catch (error) {
+      console.error('Error fetching incidents:', error);
+      toast.error('Failed to fetch incidents');
+      setIncidents([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, pagination.page, pagination.limit]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  useEffect(() => {
+    const handleNewIncident = (incident) => {
+      toast.error(`${incident.reference}: ${incident.customer?.name || 'A customer'} raised an SOS`, {
+        icon: '🚨',
+        duration: 10000
+      });
+      fetchIncidents();
+    };
+
+    // Status changes and fresh positions from the customer's device
+    const handleIncidentUpdate = (update) => {
+      const applyUpdate = (incident) => (
+        incident._id === update.incidentId ? { ...incident, ...update } : incident
+      );
+      setIncidents(prev => prev.map(applyUpdate));
+      setSelected(prev => {
+        if (!prev || prev._id !== update.incidentId) return prev;
+        const trail = update.lastLocation ? [...(prev.trail || []), update.lastLocation] : prev.trail;
+        return { ...applyUpdate(prev), trail };
+      });
+    };
+
+    socketService.onSosIncident(handleNewIncident);
+    socketService.onSosIncidentUpdated(handleIncidentUpdate);
+
+    return () => {
+      socketService.off('sos-incident', handleNewIncident);
+      socketService.off('sos-incident-updated', handleIncidentUpdate);
+    };
+  }, [fetchIncidents]);
+
+  const handleStatusChange = (value) => {
+    setStatus(value);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const openIncident = async (incident) => {
+    try {
+      const response = await adminService.getIncident(incident._id);
+      setSelected(response.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to fetch incident');
+    }
+  };
+
+  const handleAcknowledge = async (incident) => {
+    try {
+      const response = await adminService.acknowledgeIncident(incident._id);
+      toast.success(response.message);
+      fetchIncidents();
+      if (selected?._id === incident._id) {
+        openIncident(incident);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to acknowledge incident');
+    }
+  };
+
+  const handleResolve = async () => {
+    if (note.trim().length < 5) {
+      toast.error('Add a note describing how the incident was resolved');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await adminService.resolveIncident(resolving._id, note.trim());
+      toast.success(response.message);
+      if (selected?._id === resolving._id) {
+        openIncident(resolving);
+      }
+      setResolving(null);
+      setNote('');
+      fetchIncidents();
+    } catch (error) {
+      toast.error(error.message || 'Failed to resolve incident');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getStatusBadge = (value) => {
+    const baseClasses = 'px-2 py-1 text-xs font-medium rounded-full';
+    switch (value) {
+      case 'open':
+        return `${baseClasses} bg-red-100 text-red-800`;
+      case 'acknowledged':
+        return `${baseClasses} bg-yellow-100 text-yellow-800`;
+      case 'resolved':
+        return `${baseClasses} bg-green-100 text-green-800`;
+      default:
+        return `${baseClasses} bg-gray-100 text-gray-800`;
+    }
+  };
+
+  const renderActions = (incident) => (
+    <div className="flex space-x-2">
+      {incident.status === 'open' && (
+        <Button variant="warning" size="sm" onClick={() => handleAcknowledge(incident)}>
+          Acknowledge
+        </Button>
+      )}
+      {incident.status !== 'resolved' && (
+        <Button variant="success" size="sm" onClick={() => setResolving(incident)}>
+          Resolve
+        </Button>
+      )}
+    </div>
+  );
+
+  if (loading && incidents.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">SOS Incidents</h1>
+        <p className="text-gray-600">Emergencies raised by customers, newest first</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Select
+            label="Status"
+            value={status}
+            onChange={(e) => handleStatusChange(e.target.value)}
+          >
+            <option value="">All Status</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Select>
+        </div>
+      </div>
+
+      {/* Incident Detail */}
+      {selected && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900 flex items-center">
+                <ExclamationTriangleIcon className="h-5 w-5 mr-2 text-red-600" />
+                {selected.reference}
+                <span className={`ml-3 ${getStatusBadge(selected.status)}`}>
+                  {STATUS_LABELS[selected.status]}
+                </span>
+              </h2>
+              <p className="text-sm text-gray-500">
+                Raised {formatDateTime(selected.createdAt)} from {SOURCE_LABELS[selected.source]}
+              </p>
+            </div>
+            <Button variant="ghost" size="sm" onClick={() => setSelected(null)}>
+              Close
+            </Button>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <SosMap
+                location={selected.location}
+                lastLocation={selected.lastLocation}
+                trail={selected.trail}
+              />
+            </div>
+
+            <div className="space-y-4 text-sm">
+              <div>
+                <h3 className="font-medium text-gray-900">Customer</h3>
+                <p className="text-gray-700">{selected.customerId?.name}</p>
+                {selected.customerId?.phone && (
+                  <a href={`tel:${selected.customerId.phone}`} className="inline-flex items-center text-primary-600">
+                    <PhoneIcon className="h-4 w-4 mr-1" />
+                    {selected.customerId.phone}
+                  </a>
+                )}
+              </div>
+
+              {describeVehicle(selected.vehicle) && (
+                <div>
+                  <h3 className="font-medium text-gray-900">Vehicle</h3>
+                  <p className="text-gray-700">{describeVehicle(selected.vehicle)}</p>
+                </div>
+              )}
+
+              {selected.message && (
+                <div>
+                  <h3 className="font-medium text-gray-900">Message</h3>
+                  <p className="text-gray-700">{selected.message}</p>
+                </div>
+              )}
+
+              <div>
+                <h3 className="font-medium text-gray-900">Location</h3>
+                <p className="text-gray-700">
+                  {selected.location.address || `${selected.location.lat.toFixed(5)}, ${selected.location.lng.toFixed(5)}`}
+                </p>
+                {selected.lastLocation?.recordedAt && (
+                  <p className="text-gray-500">Last update {getRelativeTime(selected.lastLocation.recordedAt)}</p>
+                )}
+              </div>
+
+              <div>
+                <h3 className="font-medium text-gray-900">Trusted contacts alerted</h3>
+                {selected.contactAlerts?.length ? (
+                  <ul className="text-gray-700">
+                    {selected.contactAlerts.map((alert, index) => (
+                      <li key={index}>
+                        {alert.name} by {alert.channel.toUpperCase()}{' '}
+                        {alert.delivered
+                          ? <span className="text-green-600">sent</span>
+                          : <span className="text-red-600">failed</span>}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-gray-500">The customer has no trusted contacts</p>
+                )}
+              </div>
+
+              {selected.acknowledgedAt && (
+                <p className="text-gray-500">
+                  Acknowledged by {selected.acknowledgedBy?.name || 'an admin'} {getRelativeTime(selected.acknowledgedAt)}
+                </p>
+              )}
+              {selected.resolvedAt && (
+                <p className="text-gray-500">
+                  Resolved {getRelativeTime(selected.resolvedAt)}: {selected.resolutionNote}
+                </p>
+              )}
+
+              {renderActions(selected)}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Incidents Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            Incidents ({pagination.totalItems})
+          </h2>
+        </div>
+
+        {incidents.length === 0 ? (
+          <div className="p-6 text-center">
+            <CheckCircleIcon className="h-10 w-10 text-green-500 mx-auto mb-2" />
+            <p className="text-gray-500">No incidents found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Incident
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Customer
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Vehicle
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {incidents.map((incident) => (
+                  <tr key={incident._id} className={incident.status === 'open' ? 'bg-red-50' : 'hover:bg-gray-50'}>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{incident.reference}</div>
+                      <div className="text-sm text-gray-500">{SOURCE_LABELS[incident.source]}</div>
+                      <div className="text-xs text-gray-400">{getRelativeTime(incident.createdAt)}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="text-gray-900">{incident.customerId?.name || 'Unknown Customer'}</div>
+                      <div className="text-gray-500">{incident.customerId?.phone}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {describeVehicle(incident.vehicle) || <span className="text-gray-400">-</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={getStatusBadge(incident.status)}>
+                        {STATUS_LABELS[incident.status]}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => openIncident(incident)}
+                          className="p-1 text-gray-400 hover:text-primary-600"
+                          title="View"
+                        >
+                          <EyeIcon className="h-5 w-5" />
+                        </button>
+                        {renderActions(incident)}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200">
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-gray-700">
+                Page {pagination.page} of {pagination.totalPages}
+              </div>
+              <div className="flex space-x-2">
+                <Button
+                  variant="secondary"
+                  onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                  disabled={pagination.page === 1}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="secondary"
+                  onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                  disabled={pagination.page === pagination.totalPages}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Resolve Incident Modal */}
+      {resolving && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Resolve {resolving.reference}</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              The customer is told the SOS is closed and the link sent to their contacts stops working.
+            </p>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Resolution Note
+              </label>
+              <textarea
+                rows={3}
+                maxLength={500}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                placeholder="e.g. Spoke to the customer, tow truck dispatched"
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <Button
+                variant="secondary"
+                onClick={() => {
+                  setResolving(null);
+                  setNote('');
+                }}
+              >
+                Cancel
+              </Button>
+              <Button variant="success" onClick={handleResolve} loading={saving}>
+                Resolve
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Incidents;
@@ -0,0 +1,438 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  BanknotesIcon,
+  ClockIcon,
+  ExclamationTriangleIcon,
+  CurrencyDollarIcon
+} from '@heroicons/react/24/outline';
+import adminService from '../../services/adminService';
+import { formatDate, formatCurrency } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+import Button from '../../components/common/Button';
+import Select from '../../components/common/Select';
+import WebhookEvents from '../../components/admin/WebhookEvents';
+
+const CASH_STATUS_LABELS = {
+  awaiting_confirmation: 'Awaiting customer',
+  confirmed: 'Confirmed',
+  disputed: 'Disputed',
+  resolved: 'Resolved',
+  rejected: 'Rejected'
+};
+
+const Payments = () => {
+  const [payments, setPayments] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    status: '',
+    method: '',
+    cashStatus: ''
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 10,
+    totalPages: 0,
+    totalItems: 0
+  });
+  const [reconciling, setReconciling] = useState(null);
+  const [resolution, setResolution] = useState({ amount: '', note: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchPayments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page: pagination.page,
+        limit: pagination.limit
+      };
+      Object.keys(filters).forEach(key => {
+        if (filters[key]) params[key] = filters[key];
+      });
+
+      const response = await adminService.getPayments(params);
+
+      if (response.success) {
+        setPayments(response.data.payments || []);
+        setSummary(response.data.summary);
+        setPagination(prev => ({
+          ...prev,
+          totalPages: response.data.pagination?.totalPages || 0,
+          totalItems: response.data.pagination?.totalPayments || 0
+        }));
+      }
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      toast.error('Failed to fetch payments');
+      setPayments([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, pagination.page, pagination.limit]);
+
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const openReconcile = (payment) => {
+    setReconciling(payment);
+    setResolution({ amount: payment.cash?.collectedAmount || payment.amount, note: '' });
+  };
+
+  const handleResolve = async () => {
+    try {
+      setSaving(true);
+      await adminService.resolveCashPayment(reconciling._id, {
+        amount: Number(resolution.amount) || undefined,
+        note: resolution.note
+      });
+      toast.success('Cash payment accepted');
+      setReconciling(null);
+      fetchPayments();
+    } catch (error) {
+      toast.error(error.message || 'Failed to resolve cash payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReject = async () => {
+    if (resolution.note.trim().length < 5) {
+      toast.error('Add a note explaining why the cash is rejected');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await adminService.rejectCashPayment(reconciling._id, resolution.note.trim());
+      toast.success('Cash payment rejected');
+      setReconciling(null);
+      fetchPayments();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reject cash payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    const baseClasses = 'px-2 py-1 text-xs font-medium rounded-full';
+    switch (status) {
+      case 'success':
+        return `${baseClasses} bg-green-100 text-green-800`;
+      case 'pending':
+      case 'processing':
+        return `${baseClasses} bg-yellow-100 text-yellow-800`;
+      case 'failed':
+        return `${baseClasses} bg-red-100 text-red-800`;
+      case 'partially_refunded':
+      case 'refunded':
+        return `${baseClasses} bg-purple-100 text-purple-800`;
+      default:
+        return `${baseClasses} bg-gray-100 text-gray-800`;
+    }
+  };
+
+  if (loading && payments.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Payments</h1>
+        <p className="text-gray-600">Online payments and cash collected by mechanics</p>
+      </div>
+
+      {/* Summary */}
+      {summary && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="bg-white rounded-lg shadow p-4">
+            <div className="flex items-center text-sm text-gray-500">
+              <CurrencyDollarIcon className="h-5 w-5 mr-2 text-green-600" />
+              Collected
+            </div>
+            <p className="text-2xl font-semibold text-gray-900">{formatCurrency(summary.successfulPayments || 0)}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <div className="flex items-center text-sm text-gray-500">
+              <BanknotesIcon className="h-5 w-5 mr-2 text-primary-600" />
+              Cash collected
+            </div>
+            <p className="text-2xl font-semibold text-gray-900">{formatCurrency(summary.cashCollected || 0)}</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => handleFilterChange('cashStatus', 'awaiting_confirmation')}
+            className="bg-white rounded-lg shadow p-4 text-left hover:bg-gray-50"
+          >
+            <div className="flex items-center text-sm text-gray-500">
+              <ClockIcon className="h-5 w-5 mr-2 text-yellow-600" />
+              Cash awaiting customer
+            </div>
+            <p className="text-2xl font-semibold text-gray-900">{summary.cashAwaitingConfirmation || 0}</p>
+          </button>
+          <button
+            type="button"
+            onClick={() => handleFilterChange('cashStatus', 'disputed')}
+            className="bg-white rounded-lg shadow p-4 text-left hover:bg-gray-50"
+          >
+            <div className="flex items-center text-sm text-gray-500">
+              <ExclamationTriangleIcon className="h-5 w-5 mr-2 text-red-600" />
+              Cash disputes
+            </div>
+            <p className="text-2xl font-semibold text-gray-900">{summary.cashDisputed || 0}</p>
+          </button>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Select
+            label="Status"
+            value={filters.status}
+            onChange={(e) => handleFilterChange('status', e.target.value)}
+          >
+            <option value="">All Status</option>
+            <option value="pending">Pending</option>
+            <option value="processing">Processing</option>
+            <option value="success">Success</option>
+            <option value="failed">Failed</option>
+            <option value="partially_refunded">Partially refunded</option>
+            <option value="refunded">Refunded</option>
+          </Select>
+
+          <Select
+            label="Method"
+            value={filters.method}
+            onChange={(e) => handleFilterChange('method', e.target.value)}
+          >
+            <option value="">All Methods</option>
+            <option value="UPI">UPI</option>
+            <option value="Card">Card</option>
+            <option value="NetBanking">Net Banking</option>
+            <option value="Wallet">Wallet</option>
+            <option value="Cash">Cash</option>
+          </Select>
+
+          <Select
+            label="Cash Reconciliation"
+            value={filters.cashStatus}
+            onChange={(e) => handleFilterChange('cashStatus', e.target.value)}
+          >
+            <option value="">All</option>
+            {Object.entries(CASH_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Select>
+        </div>
+      </div>
+
+      {/* Payments Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            Payments ({pagination.totalItems})
+          </h2>
+        </div>
+
+        {payments.length === 0 ? (
+          <div className="p-6 text-center">
+            <p className="text-gray-500">No payments found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Payment
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Customer / Mechanic
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Amount
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Cash
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {payments.map((payment) => (
+                  <tr key={payment._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{payment.receipt || `#${payment._id.slice(-8)}`}</div>
+                      <div className="text-sm text-gray-500">
+                        {payment.method} · {payment.requestId?.issueType?.replace('_', ' ') || 'N/A'}
+                      </div>
+                      <div className="text-xs text-gray-400">{formatDate(payment.createdAt)}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="text-gray-900">{payment.customerId?.name || 'Unknown Customer'}</div>
+                      <div className="text-gray-500">{payment.mechanicId?.name || 'Unknown Mechanic'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {formatCurrency(payment.amount)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={getStatusBadge(payment.status)}>
+                        {payment.status.toUpperCase()}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      {payment.cash?.status ? (
+                        <div>
+                          <div className="text-gray-900">{CASH_STATUS_LABELS[payment.cash.status]}</div>
+                          <div className="text-gray-500">
+                            Recorded {formatCurrency(payment.cash.collectedAmount)}
+                            {payment.cash.confirmedAmount !== undefined && payment.cash.confirmedAmount !== payment.cash.collectedAmount && (
+                              <> · customer says {formatCurrency(payment.cash.confirmedAmount)}</>
+                            )}
+                          </div>
+                          {payment.cash.disputeReason && (
+                            <div className="text-xs text-red-600">{payment.cash.disputeReason}</div>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {['awaiting_confirmation', 'disputed'].includes(payment.cash?.status) && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => openReconcile(payment)}
+                        >
+                          Reconcile
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200">
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-gray-700">
+                Page {pagination.page} of {pagination.totalPages}
+              </div>
+              <div className="flex space-x-2">
+                <Button
+                  variant="secondary"
+                  onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                  disabled={pagination.page === 1}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="secondary"
+                  onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                  disabled={pagination.page === pagination.totalPages}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <WebhookEvents />
+
+      {/* Reconcile Cash Modal */}
+      {reconciling && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Reconcile Cash Payment</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {reconciling.mechanicId?.name || 'The mechanic'} recorded {formatCurrency(reconciling.cash.collectedAmount)}
+              {reconciling.cash.confirmedAmount !== undefined && (
+                <>; {reconciling.customerId?.name || 'the customer'} says they paid {formatCurrency(reconciling.cash.confirmedAmount)}</>
+              )}.
+            </p>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Accepted Amount (₹)
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={resolution.amount}
+                onChange={(e) => setResolution(prev => ({ ...prev, amount: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Note
+              </label>
+              <textarea
+                rows={3}
+                maxLength={500}
+                value={resolution.note}
+                onChange={(e) => setResolution(prev => ({ ...prev, note: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                placeholder="Required when rejecting"
+              />
+            </div>
+
+            <div className="flex gap-3">
+              <Button
+                variant="outline"
+                onClick={() => setReconciling(null)}
+                disabled={saving}
+                className="flex-1"
+              >
+                Cancel
+              </Button>
+              <Button
+                variant="danger"
+                onClick={handleReject}
+                disabled={saving}
+              >
+                Reject
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handleResolve}
+                loading={saving}
+                disabled={saving}
+              >
+                Accept
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Payments;
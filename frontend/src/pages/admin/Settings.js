@@ -3,7 +3,8 @@ import {
   UserIcon,
   ShieldCheckIcon,
   CogIcon,
-  BellIcon
+  BellIcon,
+  CurrencyRupeeIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
 import adminService from '../../services/adminService';
@@ -11,6 +12,7 @@ import { formatDate } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
+import PricingRules from '../../components/admin/PricingRules';
 
 const Settings = () => {
   const { user, updateUser } = useAuth();
@@ -129,6 +131,7 @@ const Settings = () => {
     { id: 'profile', name: 'Profile', icon: UserIcon },
     { id: 'security', name: 'Security', icon: ShieldCheckIcon },
     { id: 'activity', name: 'Activity', icon: BellIcon },
+    { id: 'pricing', name: 'Pricing', icon: CurrencyRupeeIcon },
     { id: 'system', name: 'System', icon: CogIcon }
   ];
 
@@ -328,6 +331,9 @@ const Settings = () => {
             </div>
           )}
 
+          {/* Pricing Tab */}
+          {activeTab === 'pricing' && <PricingRules />}
+
           {/* System Tab */}
           {activeTab === 'system' && (
             <div className="bg-white rounded-lg shadow p-6">
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  ExclamationTriangleIcon,
+  MapPinIcon,
+  ClockIcon,
+  TruckIcon
+} from '@heroicons/react/24/outline';
+import emergencyService from '../../services/emergencyService';
+import SosMap from '../../components/common/SosMap';
+import { formatDateTime, getRelativeTime } from '../../utils/helpers';
+
+// The customer's device reports every 30 seconds, so polling faster gains nothing
+const REFRESH_INTERVAL_MS = 15000;
+
+// Live view of an SOS for the trusted contacts it was sent to; no account needed
+const SosShare = () => {
+  const { token } = useParams();
+  const [incident, setIncident] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchIncident = useCallback(async () => {
+    try {
+      const response = await emergencyService.getSharedIncident(token);
+      setIncident(response.data);
+      setError(null);
+      return true;
+    } catch (error) {
+      // Resolved, expired or unknown links stop refreshing
+      setIncident(null);
+      setError(error.message || 'This emergency link is no longer available');
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    let timer = null;
+    let cancelled = false;
+
+    const refresh = async () => {
+      const active = await fetchIncident();
+      if (active && !cancelled) {
+        timer = setTimeout(refresh, REFRESH_INTERVAL_MS);
+      }
+    };
+
+    refresh();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fetchIncident]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-secondary-50">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-danger-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-secondary-50 px-4">
+        <div className="bg-white rounded-lg shadow-card p-8 max-w-md text-center">
+          <ExclamationTriangleIcon className="h-12 w-12 text-secondary-400 mx-auto mb-4" />
+          <h1 className="text-xl font-semibold text-secondary-900 mb-2">Link unavailable</h1>
+          <p className="text-secondary-600">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { vehicle } = incident;
+  const vehicleName = vehicle && [vehicle.name || [vehicle.make, vehicle.model].filter(Boolean).join(' '), vehicle.color]
+    .filter(Boolean)
+    .join(', ');
+
+  return (
+    <div className="min-h-screen bg-secondary-50">
+      <div className="bg-danger-600 text-white">
+        <div className="max-w-4xl mx-auto px-4 py-6">
+          <div className="flex items-center">
+            <ExclamationTriangleIcon className="h-8 w-8 mr-3" />
+            <div>
+              <h1 className="text-2xl font-bold">{incident.customerName} needs help</h1>
+              <p className="text-danger-100">
+                {incident.reference} · {incident.status === 'acknowledged'
+                  ? 'RoadGuard support is handling this emergency'
+                  : 'RoadGuard support has been alerted'}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto px-4 py-6 space-y-6">
+        <div className="bg-white rounded-lg shadow-card p-4">
+          <SosMap
+            location={incident.location}
+            lastLocation={incident.lastLocation}
+            trail={incident.trail}
+          />
+        </div>
+
+        <div className="bg-white rounded-lg shadow-card p-6 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          <div className="flex items-start">
+            <MapPinIcon className="h-5 w-5 mr-2 text-danger-600 flex-shrink-0" />
+            <div>
+              <p className="font-medium text-secondary-900">Location</p>
+              <p className="text-secondary-600">
+                {incident.location.address || `${incident.location.lat.toFixed(5)}, ${incident.location.lng.toFixed(5)}`}
+              </p>
+              {incident.lastLocation?.recordedAt && (
+                <p className="text-secondary-500">Updated {getRelativeTime(incident.lastLocation.recordedAt)}</p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-start">
+            <ClockIcon className="h-5 w-5 mr-2 text-danger-600 flex-shrink-0" />
+            <div>
+              <p className="font-medium text-secondary-900">Raised</p>
+              <p className="text-secondary-600">{formatDateTime(incident.raisedAt)}</p>
+              <p className="text-secondary-500">This link works until {formatDateTime(incident.expiresAt)}</p>
+            </div>
+          </div>
+
+          {vehicle && (
+            <div className="flex items-start">
+              <TruckIcon className="h-5 w-5 mr-2 text-danger-600 flex-shrink-0" />
+              <div>
+                <p className="font-medium text-secondary-900">Vehicle</p>
+                <p className="text-secondary-600">{vehicleName}</p>
+                {vehicle.plate && <p className="text-secondary-500">{vehicle.plate}</p>}
+              </div>
+            </div>
+          )}
+
+          {incident.message && (
+            <div className="md:col-span-2">
+              <p className="font-medium text-secondary-900">Message</p>
+              <p className="text-secondary-600">{incident.message}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SosShare;
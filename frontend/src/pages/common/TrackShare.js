@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import {
+  MapPinIcon,
+  ClockIcon,
+  TruckIcon,
+  CheckCircleIcon,
+  WrenchScrewdriverIcon
+} from '@heroicons/react/24/outline';
+import requestService from '../../services/requestService';
+import socketService from '../../services/socketService';
+import { formatDateTime, formatTime, getRelativeTime } from '../../utils/helpers';
+import { REQUEST_STATUS_LABELS } from '../../utils/constants';
+
+const destinationIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-red.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowSize: [41, 41]
+});
+
+const mechanicIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-green.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowSize: [41, 41]
+});
+
+const ENDED_MESSAGES = {
+  expired: 'This tracking link has expired',
+  revoked: 'This tracking link has been turned off',
+  completed: 'The job is completed, so tracking has ended',
+  cancelled: 'The request was cancelled, so tracking has ended'
+};
+
+// Read-only view of a service request for someone the customer shared a link with; no account needed
+const TrackShare = () => {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [ended, setEnded] = useState(null);
+
+  const fetchTracking = useCallback(async () => {
+    try {
+      const response = await requestService.getSharedTracking(token);
+      setShared(response.data);
+    } catch (error) {
+      setShared(null);
+      setEnded(error.message || 'This tracking link is no longer available');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchTracking();
+  }, [fetchTracking]);
+
+  // Live position and status over the link's own socket once the page has loaded
+  const active = Boolean(shared);
+  useEffect(() => {
+    if (!active) return;
+
+    const viewer = socketService.connectTrackingViewer(token);
+
+    viewer.on('tracking-update', (data) => {
+      setShared(prev => prev && {
+        ...prev,
+        tracking: {
+          ...prev.tracking,
+          lastLocation: { ...data.location, recordedAt: data.timestamp },
+          trail: [...prev.tracking.trail, data.location],
+          distanceKm: data.distanceKm ?? null,
+          etaMinutes: data.etaMinutes ?? null,
+          updatedAt: data.timestamp
+        }
+      });
+    });
+
+    // The timeline comes from the server, so reload it rather than guess
+    viewer.on('status-update', () => {
+      fetchTracking();
+    });
+
+    viewer.on('tracking-ended', (data) => {
+      setShared(null);
+      setEnded(ENDED_MESSAGES[data.reason] || 'Tracking has ended');
+    });
+
+    viewer.on('connect_error', (error) => {
+      if (error.data?.code === 'LINK_ENDED' || error.data?.code === 'UNAUTHENTICATED') {
+        viewer.disconnect();
+        setShared(null);
+        setEnded(error.message);
+      }
+    });
+
+    return () => {
+      viewer.disconnect();
+    };
+  }, [active, token, fetchTracking]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-secondary-50">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (ended) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-secondary-50 px-4">
+        <div className="bg-white rounded-lg shadow-card p-8 max-w-md text-center">
+          <CheckCircleIcon className="h-12 w-12 text-secondary-400 mx-auto mb-4" />
+          <h1 className="text-xl font-semibold text-secondary-900 mb-2">Tracking unavailable</h1>
+          <p className="text-secondary-600">{ended}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { mechanic, vehicle, destination, tracking, timeline } = shared;
+  const position = tracking.lastLocation;
+  const center = position ? [position.lat, position.lng] : [destination.lat, destination.lng];
+  const path = tracking.trail.map(point => [point.lat, point.lng]);
+  const eta = tracking.etaMinutes !== null && tracking.updatedAt
+    ? new Date(new Date(tracking.updatedAt).getTime() + tracking.etaMinutes * 60000)
+    : null;
+
+  return (
+    <div className="min-h-screen bg-secondary-50">
+      <div className="bg-primary-600 text-white">
+        <div className="max-w-4xl mx-auto px-4 py-6">
+          <div className="flex items-center">
+            <WrenchScrewdriverIcon className="h-8 w-8 mr-3" />
+            <div>
+              <h1 className="text-2xl font-bold">
+                {mechanic ? `${mechanic.name} is on the job` : 'Finding a mechanic'}
+              </h1>
+              <p className="text-primary-100">
+                {REQUEST_STATUS_LABELS[shared.status]}
+                {eta && ` · ETA ${formatTime(eta)}`}
+                {tracking.distanceKm !== null && ` · ${tracking.distanceKm.toFixed(1)} km away`}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto px-4 py-6 space-y-6">
+        <div className="bg-white rounded-lg shadow-card p-4">
+          <div className="h-96 rounded-lg overflow-hidden">
+            <MapContainer center={center} zoom={14} style={{ height: '100%', width: '100%' }}>
+              <TileLayer
+                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              />
+
+              <Marker position={[destination.lat, destination.lng]} icon={destinationIcon}>
+                <Popup>{destination.address || 'Service location'}</Popup>
+              </Marker>
+
+              {position && (
+                <Marker position={[position.lat, position.lng]} icon={mechanicIcon}>
+                  <Popup>
+                    {mechanic?.name || 'Mechanic'}
+                    {position.recordedAt && ` · ${getRelativeTime(position.recordedAt)}`}
+                  </Popup>
+                </Marker>
+              )}
+
+              {path.length > 1 && (
+                <Polyline positions={path} color="#0ea5e9" weight={4} opacity={0.7} />
+              )}
+            </MapContainer>
+          </div>
+          {!position && mechanic && (
+            <p className="mt-3 text-sm text-secondary-500">Waiting for the mechanic's location...</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-card p-6 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          <div className="flex items-start">
+            <MapPinIcon className="h-5 w-5 mr-2 text-primary-600 flex-shrink-0" />
+            <div>
+              <p className="font-medium text-secondary-900">Service location</p>
+              <p className="text-secondary-600">
+                {destination.address || `${destination.lat.toFixed(5)}, ${destination.lng.toFixed(5)}`}
+              </p>
+            </div>
+          </div>
+
+          <div className="flex items-start">
+            <TruckIcon className="h-5 w-5 mr-2 text-primary-600 flex-shrink-0" />
+            <div>
+              <p className="font-medium text-secondary-900">Vehicle</p>
+              <p className="text-secondary-600">{[vehicle.model, vehicle.type].filter(Boolean).join(', ')}</p>
+              {vehicle.plate && <p className="text-secondary-500">{vehicle.plate}</p>}
+            </div>
+          </div>
+
+          {mechanic && (
+            <div className="flex items-start">
+              <WrenchScrewdriverIcon className="h-5 w-5 mr-2 text-primary-600 flex-shrink-0" />
+              <div>
+                <p className="font-medium text-secondary-900">Mechanic</p>
+                <p className="text-secondary-600">
+                  {mechanic.name} · ⭐ {mechanic.rating ? mechanic.rating.toFixed(1) : 'New'}
+                </p>
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-start">
+            <ClockIcon className="h-5 w-5 mr-2 text-primary-600 flex-shrink-0" />
+            <div>
+              <p className="font-medium text-secondary-900">Link</p>
+              <p className="text-secondary-600">Works until {formatDateTime(shared.expiresAt)}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-card p-6">
+          <h2 className="text-lg font-semibold text-secondary-900 mb-4">Progress</h2>
+          <ol className="space-y-3">
+            {timeline.map((entry, index) => (
+              <li key={`${entry.status}-${index}`} className="flex items-center text-sm">
+                <CheckCircleIcon className="h-5 w-5 mr-3 text-success-600 flex-shrink-0" />
+                <span className="font-medium text-secondary-900 flex-1">{REQUEST_STATUS_LABELS[entry.status]}</span>
+                <span className="text-secondary-500">{formatDateTime(entry.timestamp)}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrackShare;
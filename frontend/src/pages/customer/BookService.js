@@ -11,7 +11,8 @@ import {
   PhoneIcon,
   ClockIcon,
   ChevronDownIcon,
-  PlusIcon
+  PlusIcon,
+  CalendarDaysIcon
 } from '@heroicons/react/24/outline';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
@@ -20,7 +21,7 @@ import requestService from '../../services/requestService';
 import customerApi from '../../api/customerApi';
 import { useAuth } from '../../contexts/AuthContext';
 import { ISSUE_TYPES, ISSUE_TYPE_LABELS, PRIORITY_LEVELS, PRIORITY_LABELS, VEHICLE_TYPES, VEHICLE_TYPE_LABELS } from '../../utils/constants';
-import { validateRequired } from '../../utils/helpers';
+import { validateRequired, formatDate, formatDateTime, formatTime } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const BookService = () => {
@@ -51,6 +52,11 @@ const BookService = () => {
   const [loadingVehicles, setLoadingVehicles] = useState(false);
   const [showVehicleDropdown, setShowVehicleDropdown] = useState(false);
   const [selectedVehicleName, setSelectedVehicleName] = useState('');
+  const [bookingMode, setBookingMode] = useState('now');
+  const [slotDays, setSlotDays] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
   
   console.log('BookService component loaded');
   console.log('Search params:', searchParams.toString());
@@ -79,6 +85,13 @@ const BookService = () => {
     fetchVehicles();
   }, [searchParams, navigate]);
 
+  // Load the mechanic's free slots when booking for later
+  useEffect(() => {
+    if (bookingMode === 'later' && selectedMechanic) {
+      fetchSlots(selectedMechanic._id);
+    }
+  }, [bookingMode, selectedMechanic]);
+
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -121,6 +134,33 @@ const BookService = () => {
     }
   };
 
+  const fetchSlots = async (mechanicId) => {
+    try {
+      setLoadingSlots(true);
+      const response = await customerApi.getMechanicSlots(mechanicId, { days: 7 });
+      if (response.success) {
+        const days = response.data.days || [];
+        setSlotDays(days);
+        setSelectedDate(prev => (
+          days.some(day => day.date === prev) ? prev : days.find(day => day.slots.length > 0)?.date || null
+        ));
+      }
+    } catch (error) {
+      console.error('Error fetching slots:', error);
+      toast.error(error.response?.data?.message || 'Failed to load available times');
+    } finally {
+      setLoadingSlots(false);
+    }
+  };
+
+  const handleBookingModeChange = (mode) => {
+    setBookingMode(mode);
+    setSelectedSlot(null);
+    if (errors.scheduledFor) {
+      setErrors(prev => ({ ...prev, scheduledFor: '' }));
+    }
+  };
+
   const fetchVehicles = async () => {
     try {
       setLoadingVehicles(true);
@@ -270,6 +310,10 @@ const BookService = () => {
       newErrors.location = 'Please select a valid location on the map';
     }
 
+    if (bookingMode === 'later' && !selectedSlot) {
+      newErrors.scheduledFor = 'Please choose a time slot';
+    }
+
     console.log('Validation errors:', newErrors);
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -315,7 +359,8 @@ const BookService = () => {
         ...formData,
         images: imageUrls,
         mechanicId: selectedMechanic._id, // Direct booking to specific mechanic
-        isDirectBooking: true // Flag to indicate this is a direct booking
+        isDirectBooking: true, // Flag to indicate this is a direct booking
+        ...(bookingMode === 'later' && { scheduledFor: selectedSlot })
       };
 
       console.log('Request data being sent:', JSON.stringify(requestData, null, 2));
@@ -323,14 +368,23 @@ const BookService = () => {
       const response = await requestService.createRequest(requestData);
 
       if (response.success) {
-        toast.success('Service request sent to mechanic successfully!');
+        toast.success(bookingMode === 'later'
+          ? `Service booked for ${formatDateTime(selectedSlot)}`
+          : 'Service request sent to mechanic successfully!');
         navigate(`/customer/requests/${response.data.request._id}`);
       } else {
         toast.error(response.message || 'Failed to create service request');
       }
     } catch (error) {
       console.error('Error creating service request:', error);
-      toast.error('Failed to create service request. Please try again.');
+      if (bookingMode === 'later') {
+        // The slot may have been taken meanwhile; show what is still free
+        toast.error(error.message || 'Could not book this time. Please pick another slot.');
+        setSelectedSlot(null);
+        fetchSlots(selectedMechanic._id);
+      } else {
+        toast.error('Failed to create service request. Please try again.');
+      }
     } finally {
       setLoading(false);
     }
@@ -722,7 +776,10 @@ const BookService = () => {
               <button
                 key={value}
                 type="button"
-                onClick={() => setFormData(prev => ({ ...prev, priority: value }))}
+                onClick={() => {
+                  setFormData(prev => ({ ...prev, priority: value }));
+                  if (value === 'emergency') handleBookingModeChange('now');
+                }}
                 className={`p-4 border-2 rounded-lg text-center transition-all ${
                   formData.priority === value
                     ? 'border-primary-500 bg-primary-50 text-primary-700'
@@ -735,6 +792,103 @@ const BookService = () => {
           </div>
         </div>
 
+        {/* Booking Time */}
+        <div className="bg-white rounded-lg shadow-card p-6">
+          <h2 className="text-xl font-semibold text-secondary-900 mb-4 flex items-center">
+            <CalendarDaysIcon className="h-6 w-6 mr-2 text-primary-600" />
+            When do you need the service?
+          </h2>
+
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            {[
+              { value: 'now', label: 'As soon as possible' },
+              { value: 'later', label: 'Schedule for later' }
+            ].map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => handleBookingModeChange(option.value)}
+                disabled={option.value === 'later' && formData.priority === 'emergency'}
+                className={`p-4 border-2 rounded-lg text-center transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                  bookingMode === option.value
+                    ? 'border-primary-500 bg-primary-50 text-primary-700'
+                    : 'border-secondary-300 hover:border-secondary-400 text-secondary-700'
+                }`}
+              >
+                <div className="font-medium">{option.label}</div>
+              </button>
+            ))}
+          </div>
+
+          {formData.priority === 'emergency' && (
+            <p className="text-sm text-secondary-500 mb-2">Emergencies are always sent right away.</p>
+          )}
+
+          {bookingMode === 'later' && (
+            loadingSlots ? (
+              <div className="flex items-center justify-center h-24">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              </div>
+            ) : slotDays.every(day => day.slots.length === 0) ? (
+              <p className="text-sm text-secondary-600">
+                {selectedMechanic?.name || 'This mechanic'} has no free times in the next week. Try booking for now or choose another mechanic.
+              </p>
+            ) : (
+              <div className="space-y-4">
+                <div className="flex flex-wrap gap-2">
+                  {slotDays.map(day => (
+                    <button
+                      key={day.date}
+                      type="button"
+                      onClick={() => setSelectedDate(day.date)}
+                      disabled={day.slots.length === 0}
+                      className={`px-3 py-2 rounded-lg border text-sm disabled:opacity-40 disabled:cursor-not-allowed ${
+                        selectedDate === day.date
+                          ? 'border-primary-500 bg-primary-50 text-primary-700'
+                          : 'border-secondary-300 text-secondary-700 hover:border-secondary-400'
+                      }`}
+                    >
+                      <div className="font-medium">{formatDate(day.date, 'ddd')}</div>
+                      <div>{formatDate(day.date, 'MMM DD')}</div>
+                    </button>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-3 md:grid-cols-6 gap-2">
+                  {(slotDays.find(day => day.date === selectedDate)?.slots || []).map(slot => (
+                    <button
+                      key={slot.startAt}
+                      type="button"
+                      onClick={() => {
+                        setSelectedSlot(slot.startAt);
+                        setErrors(prev => ({ ...prev, scheduledFor: '' }));
+                      }}
+                      className={`px-3 py-2 rounded-lg border text-sm ${
+                        selectedSlot === slot.startAt
+                          ? 'border-primary-500 bg-primary-600 text-white'
+                          : 'border-secondary-300 text-secondary-700 hover:border-primary-400'
+                      }`}
+                    >
+                      {formatTime(slot.startAt)}
+                    </button>
+                  ))}
+                </div>
+
+                {selectedSlot && (
+                  <p className="text-sm text-secondary-600 flex items-center">
+                    <ClockIcon className="h-4 w-4 mr-1" />
+                    Booked for {formatDateTime(selectedSlot)}. You will get a reminder before the mechanic arrives.
+                  </p>
+                )}
+              </div>
+            )
+          )}
+
+          {errors.scheduledFor && (
+            <p className="text-danger-600 text-sm mt-2">{errors.scheduledFor}</p>
+          )}
+        </div>
+
         {/* Image Upload */}
         <div className="bg-white rounded-lg shadow-card p-6">
           <h2 className="text-xl font-semibold text-secondary-900 mb-4 flex items-center">
@@ -829,7 +983,9 @@ const BookService = () => {
             loading={loading || uploadingImages}
             disabled={loading || uploadingImages}
           >
-            {loading || uploadingImages ? 'Sending Request...' : 'Send Request to Mechanic'}
+            {loading || uploadingImages
+              ? 'Sending Request...'
+              : bookingMode === 'later' ? 'Book Service' : 'Send Request to Mechanic'}
           </Button>
         </div>
       </form>
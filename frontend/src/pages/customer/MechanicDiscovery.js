@@ -70,6 +70,8 @@ const MechanicDiscovery = () => {
   const [chatMechanic, setChatMechanic] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
   const [locationError, setLocationError] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [filters, setFilters] = useState({
     search: '',
     rating: '',
@@ -77,6 +79,15 @@ const MechanicDiscovery = () => {
     sortBy: 'distance'
   });
 
+  const buildSearchParams = useCallback((location) => ({
+    search: filters.search,
+    rating: filters.rating,
+    sortBy: filters.sortBy,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    maxDistance: filters.distance
+  }), [filters]);
+
   const fetchMechanics = useCallback(async () => {
     try {
       setLoading(true);
@@ -106,28 +117,47 @@ const MechanicDiscovery = () => {
         throw new Error('Unable to get your location. Please enable location services.');
       }
 
-      const params = {
-        ...filters,
-        latitude: currentLocation.latitude,
-        longitude: currentLocation.longitude,
-        maxDistance: filters.distance
-      };
+      const params = buildSearchParams(currentLocation);
 
       console.log('Fetching mechanics with params:', params);
       const response = await customerService.getNearbyMechanics(params);
       
       if (response.success) {
         setMechanics(response.data.mechanics || []);
+        setNextCursor(response.data.pagination?.nextCursor || null);
       }
     } catch (error) {
       console.error('Error fetching mechanics:', error);
       const errorMessage = error.message || 'Failed to fetch nearby mechanics';
       toast.error(errorMessage);
       setMechanics([]);
+      setNextCursor(null);
     } finally {
       setLoading(false);
     }
-  }, [filters, userLocation]);
+  }, [buildSearchParams, userLocation]);
+
+  const loadMoreMechanics = async () => {
+    if (!nextCursor || !userLocation) return;
+
+    try {
+      setLoadingMore(true);
+      const response = await customerService.getNearbyMechanics({
+        ...buildSearchParams(userLocation),
+        cursor: nextCursor
+      });
+
+      if (response.success) {
+        setMechanics(prev => [...prev, ...(response.data.mechanics || [])]);
+        setNextCursor(response.data.pagination?.nextCursor || null);
+      }
+    } catch (error) {
+      console.error('Error loading more mechanics:', error);
+      toast.error(error.message || 'Failed to load more mechanics');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
   const getCurrentPosition = () => {
     return new Promise((resolve, reject) => {
@@ -409,6 +439,17 @@ const MechanicDiscovery = () => {
               </div>
             </div>
           ))}
+          {nextCursor && (
+            <div className="col-span-full flex justify-center">
+              <Button
+                variant="secondary"
+                onClick={loadMoreMechanics}
+                disabled={loadingMore}
+              >
+                {loadingMore ? 'Loading...' : 'Load More'}
+              </Button>
+            </div>
+          )}
         </div>
       ) : (
         /* Map View */
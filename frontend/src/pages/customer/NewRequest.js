@@ -13,6 +13,7 @@ import Input from '../../components/common/Input';
 import Select from '../../components/common/Select';
 import MapLocationPicker from '../../components/common/MapLocationPicker';
 import VehicleSelector from '../../components/customer/VehicleSelector';
+import EmergencyModal from '../../components/EmergencyModal';
 import { useAuth } from '../../contexts/AuthContext';
 import requestService from '../../services/requestService';
 import toast from 'react-hot-toast';
@@ -24,6 +25,8 @@ const NewRequest = () => {
   const [submitting, setSubmitting] = useState(false);
   const [userLocation, setUserLocation] = useState(null);
   const [selectedVehicle, setSelectedVehicle] = useState(null);
+  // Request an accident was just reported on, while the SOS offer is showing
+  const [sosRequestId, setSosRequestId] = useState(null);
   const [formData, setFormData] = useState({
     issueType: '',
     description: '',
@@ -202,7 +205,14 @@ const NewRequest = () => {
       
       if (response.success) {
         toast.success('Service request created and broadcasted to nearby mechanics!');
-        navigate('/customer/requests');
+
+        // Offer an SOS for accidents unless one is already running
+        const { sosOffer, request } = response.data || {};
+        if (sosOffer && !sosOffer.activeIncidentId) {
+          setSosRequestId(request._id);
+        } else {
+          navigate('/customer/requests');
+        }
       } else {
         toast.error(response.message || 'Failed to create request');
       }
@@ -515,6 +525,13 @@ const NewRequest = () => {
           </Button>
         </div>
       </form>
+
+      <EmergencyModal
+        isOpen={Boolean(sosRequestId)}
+        onClose={() => navigate('/customer/requests')}
+        requestId={sosRequestId}
+        source="accident_request"
+      />
     </div>
   );
 };
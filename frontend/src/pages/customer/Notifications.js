@@ -9,86 +9,51 @@ import {
   TrashIcon
 } from '@heroicons/react/24/outline';
 import Button from '../../components/common/Button';
+import notificationService from '../../services/notificationService';
 import { formatDate, getRelativeTime } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
+// Visual tone for each notification event type
+const NOTIFICATION_TONES = {
+  payment_success: 'success',
+  review_prompt: 'success',
+  request_rejected: 'warning',
+};
+
+const CHANNEL_LABELS = {
+  email: 'Email',
+  sms: 'SMS',
+  push: 'Push',
+  inApp: 'In-app',
+};
+
 const Notifications = () => {
   const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all'); // all, unread, read
   const [selectedNotifications, setSelectedNotifications] = useState([]);
+  const [preferences, setPreferences] = useState([]);
+  const [channels, setChannels] = useState([]);
 
   useEffect(() => {
     fetchNotifications();
   }, [filter]);
 
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
   const fetchNotifications = async () => {
     try {
       setLoading(true);
-      
-      // Mock data for now - in real app, this would be an API call
-      const mockNotifications = [
-        {
-          _id: '1',
-          title: 'Service Request Completed',
-          message: 'Your flat tire service has been completed successfully. Please rate your experience.',
-          type: 'success',
-          read: false,
-          createdAt: new Date().toISOString(),
-          relatedTo: 'service_request',
-          relatedId: 'req_123'
-        },
-        {
-          _id: '2',
-          title: 'Mechanic En Route',
-          message: 'Your assigned mechanic is on the way to your location. Estimated arrival: 15 minutes.',
-          type: 'info',
-          read: false,
-          createdAt: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
-          relatedTo: 'service_request',
-          relatedId: 'req_124'
-        },
-        {
-          _id: '3',
-          title: 'Payment Successful',
-          message: 'Your payment of ₹850 for roadside assistance has been processed successfully.',
-          type: 'success',
-          read: true,
-          createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
-          relatedTo: 'payment',
-          relatedId: 'pay_456'
-        },
-        {
-          _id: '4',
-          title: 'Service Request Assigned',
-          message: 'Your service request has been assigned to Rajesh Kumar, a verified mechanic in your area.',
-          type: 'info',
-          read: true,
-          createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-          relatedTo: 'service_request',
-          relatedId: 'req_125'
-        },
-        {
-          _id: '5',
-          title: 'Profile Update Required',
-          message: 'Please update your profile information to improve our service recommendations.',
-          type: 'warning',
-          read: false,
-          createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-          relatedTo: 'profile',
-          relatedId: null
-        }
-      ];
-
-      // Filter notifications based on selected filter
-      let filtered = mockNotifications;
-      if (filter === 'unread') {
-        filtered = mockNotifications.filter(n => !n.read);
-      } else if (filter === 'read') {
-        filtered = mockNotifications.filter(n => n.read);
-      }
+      const response = await notificationService.getNotifications({
+        status: filter === 'all' ? undefined : filter,
+        limit: 50,
+      });
 
-      setNotifications(filtered);
+      setNotifications(response.data.notifications || []);
+      setUnreadCount(response.data.unreadCount || 0);
     } catch (error) {
       console.error('Error fetching notifications:', error);
       toast.error('Failed to load notifications');
@@ -97,43 +62,37 @@ const Notifications = () => {
     }
   };
 
-  const markAsRead = async (notificationIds) => {
+  const fetchPreferences = async () => {
     try {
-      const updatedNotifications = notifications.map(notification => 
-        notificationIds.includes(notification._id) 
-          ? { ...notification, read: true }
-          : notification
-      );
-      setNotifications(updatedNotifications);
-      toast.success('Marked as read');
+      const response = await notificationService.getPreferences();
+      setPreferences(response.data.preferences || []);
+      setChannels(response.data.channels || []);
     } catch (error) {
-      console.error('Error marking as read:', error);
-      toast.error('Failed to update notifications');
+      console.error('Error fetching notification preferences:', error);
     }
   };
 
-  const markAsUnread = async (notificationIds) => {
+  const updateReadState = async (notificationIds, isRead) => {
     try {
-      const updatedNotifications = notifications.map(notification => 
-        notificationIds.includes(notification._id) 
-          ? { ...notification, read: false }
-          : notification
-      );
-      setNotifications(updatedNotifications);
-      toast.success('Marked as unread');
+      await Promise.all(notificationIds.map(id => notificationService.markAsRead(id, isRead)));
+      setSelectedNotifications([]);
+      await fetchNotifications();
+      toast.success(isRead ? 'Marked as read' : 'Marked as unread');
     } catch (error) {
-      console.error('Error marking as unread:', error);
+      console.error('Error updating notifications:', error);
       toast.error('Failed to update notifications');
     }
   };
 
+  const markAsRead = (notificationIds) => updateReadState(notificationIds, true);
+
+  const markAsUnread = (notificationIds) => updateReadState(notificationIds, false);
+
   const deleteNotifications = async (notificationIds) => {
     try {
-      const updatedNotifications = notifications.filter(
-        notification => !notificationIds.includes(notification._id)
-      );
-      setNotifications(updatedNotifications);
+      await Promise.all(notificationIds.map(id => notificationService.deleteNotification(id)));
       setSelectedNotifications([]);
+      await fetchNotifications();
       toast.success('Notifications deleted');
     } catch (error) {
       console.error('Error deleting notifications:', error);
@@ -141,6 +100,18 @@ const Notifications = () => {
     }
   };
 
+  const togglePreference = async (type, channel, enabled) => {
+    try {
+      const response = await notificationService.updatePreferences({
+        [type]: { [channel]: enabled },
+      });
+      setPreferences(response.data.preferences || []);
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      toast.error(error.message || 'Failed to update preferences');
+    }
+  };
+
   const handleSelectNotification = (notificationId) => {
     setSelectedNotifications(prev => 
       prev.includes(notificationId)
@@ -158,7 +129,7 @@ const Notifications = () => {
   };
 
   const getNotificationIcon = (type) => {
-    switch (type) {
+    switch (NOTIFICATION_TONES[type]) {
       case 'success':
         return <CheckCircleIcon className="w-6 h-6 text-success-500" />;
       case 'warning':
@@ -172,7 +143,7 @@ const Notifications = () => {
   };
 
   const getBorderColor = (type) => {
-    switch (type) {
+    switch (NOTIFICATION_TONES[type]) {
       case 'success':
         return 'border-l-success-500';
       case 'warning':
@@ -225,7 +196,7 @@ const Notifications = () => {
                   {filterOption.charAt(0).toUpperCase() + filterOption.slice(1)}
                   {filterOption === 'unread' && (
                     <span className="ml-1 bg-primary-500 text-white rounded-full px-1.5 py-0.5 text-xs">
-                      {notifications.filter(n => !n.read).length}
+                      {unreadCount}
                     </span>
                   )}
                 </button>
@@ -297,7 +268,7 @@ const Notifications = () => {
               <div
                 key={notification._id}
                 className={`p-6 hover:bg-secondary-50 transition-colors ${
-                  !notification.read ? 'bg-primary-50/30' : ''
+                  !notification.isRead ? 'bg-primary-50/30' : ''
                 }`}
               >
                 <div className="flex items-start space-x-4">
@@ -316,10 +287,10 @@ const Notifications = () => {
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
                         <h4 className={`text-sm font-medium ${
-                          !notification.read ? 'text-secondary-900' : 'text-secondary-700'
+                          !notification.isRead ? 'text-secondary-900' : 'text-secondary-700'
                         }`}>
                           {notification.title}
-                          {!notification.read && (
+                          {!notification.isRead && (
                             <span className="ml-2 inline-block w-2 h-2 bg-primary-500 rounded-full"></span>
                           )}
                         </h4>
@@ -335,13 +306,13 @@ const Notifications = () => {
                       
                       <div className="ml-4 flex-shrink-0">
                         <button
-                          onClick={() => notification.read 
+                          onClick={() => notification.isRead 
                             ? markAsUnread([notification._id])
                             : markAsRead([notification._id])
                           }
                           className="text-primary-600 hover:text-primary-700 text-sm font-medium"
                         >
-                          {notification.read ? 'Mark unread' : 'Mark read'}
+                          {notification.isRead ? 'Mark unread' : 'Mark read'}
                         </button>
                       </div>
                     </div>
@@ -352,6 +323,46 @@ const Notifications = () => {
           </div>
         )}
       </div>
+
+      {/* Delivery Preferences */}
+      {preferences.length > 0 && (
+        <div className="bg-white rounded-lg shadow-card p-6">
+          <h2 className="text-lg font-semibold text-secondary-900">Delivery Preferences</h2>
+          <p className="text-sm text-secondary-600 mt-1">Choose how you hear about each kind of update</p>
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-secondary-500">
+                  <th className="py-2 pr-4 font-medium">Event</th>
+                  {channels.map((channel) => (
+                    <th key={channel} className="py-2 px-4 font-medium text-center">
+                      {CHANNEL_LABELS[channel] || channel}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-secondary-200">
+                {preferences.map((preference) => (
+                  <tr key={preference.type}>
+                    <td className="py-3 pr-4 text-secondary-900">{preference.label}</td>
+                    {channels.map((channel) => (
+                      <td key={channel} className="py-3 px-4 text-center">
+                        <input
+                          type="checkbox"
+                          checked={!!preference.channels[channel]}
+                          onChange={(e) => togglePreference(preference.type, channel, e.target.checked)}
+                          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-secondary-300 rounded"
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,9 +1,21 @@
 import React, { useState, useEffect } from 'react';
-import { CreditCardIcon, CalendarIcon, ClockIcon, CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { CreditCardIcon, CalendarIcon, ClockIcon, CheckCircleIcon, XCircleIcon, ArrowUturnLeftIcon, DocumentArrowDownIcon } from '@heroicons/react/24/outline';
 import paymentApi from '../../api/paymentApi';
-import { formatCurrency, formatDate } from '../../utils/helpers';
+import { formatCurrency, formatDate, downloadFile } from '../../utils/helpers';
+import { PAYMENT_STATUS_LABELS, REFUND_STATUS_LABELS } from '../../utils/constants';
 import toast from 'react-hot-toast';
 
+// Invoices exist for every payment that went through, including refunded ones
+const hasInvoice = (payment) => ['success', 'partially_refunded', 'refunded'].includes(payment.status);
+
+// What is left to refund after earlier partial refunds
+const getRefundableAmount = (payment) => (payment.netAmount || payment.amount) - (payment.refundedAmount || 0);
+
+// A payment can be refunded in parts until nothing is left, and not while a request for it is open
+const canRequestRefund = (payment) => ['success', 'partially_refunded'].includes(payment.status) &&
+  getRefundableAmount(payment) > 0 &&
+  (!payment.refund || ['denied', 'failed', 'processed'].includes(payment.refund.status));
+
 const PaymentHistory = () => {
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -13,6 +25,9 @@ const PaymentHistory = () => {
     startDate: '',
     endDate: ''
   });
+  const [refundPayment, setRefundPayment] = useState(null);
+  const [refundForm, setRefundForm] = useState({ reason: '', amount: '', toWallet: false });
+  const [submittingRefund, setSubmittingRefund] = useState(false);
 
   useEffect(() => {
     fetchPaymentHistory();
@@ -41,9 +56,58 @@ const PaymentHistory = () => {
     }
   };
 
+  const handleDownloadInvoice = async (payment) => {
+    try {
+      const pdf = await paymentApi.downloadInvoice(payment._id);
+      downloadFile(pdf, `invoice-${payment._id}.pdf`, 'application/pdf');
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      toast.error('Failed to download invoice');
+    }
+  };
+
+  const handleDownloadCreditNotes = async (payment) => {
+    try {
+      const response = await paymentApi.getInvoice(payment._id);
+      for (const creditNote of response.data.creditNotes) {
+        const pdf = await paymentApi.downloadCreditNote(payment._id, creditNote._id);
+        downloadFile(pdf, `${(creditNote.number || creditNote._id).replace(/\//g, '-')}.pdf`, 'application/pdf');
+      }
+    } catch (error) {
+      console.error('Error downloading credit note:', error);
+      toast.error(error.response?.data?.message || 'Failed to download credit note');
+    }
+  };
+
+  const openRefundForm = (payment) => {
+    setRefundPayment(payment);
+    setRefundForm({ reason: '', amount: '', toWallet: false });
+  };
+
+  const handleRefundSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmittingRefund(true);
+      const response = await paymentApi.requestRefund(
+        refundPayment._id,
+        refundForm.reason.trim(),
+        refundForm.amount ? Number(refundForm.amount) : undefined,
+        refundForm.toWallet
+      );
+      toast.success(response.message || 'Refund requested');
+      setRefundPayment(null);
+      fetchPaymentHistory();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to request refund');
+    } finally {
+      setSubmittingRefund(false);
+    }
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'completed':
+      case 'success':
         return <CheckCircleIcon className="h-5 w-5 text-green-500" />;
       case 'failed':
         return <XCircleIcon className="h-5 w-5 text-red-500" />;
@@ -56,7 +120,7 @@ const PaymentHistory = () => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'completed':
+      case 'success':
         return 'text-green-600 bg-green-50';
       case 'failed':
         return 'text-red-600 bg-red-50';
@@ -96,9 +160,11 @@ const PaymentHistory = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
             >
               <option value="">All Status</option>
-              <option value="completed">Completed</option>
+              <option value="success">Completed</option>
               <option value="pending">Pending</option>
               <option value="failed">Failed</option>
+              <option value="partially_refunded">Partially refunded</option>
+              <option value="refunded">Refunded</option>
             </select>
           </div>
           
@@ -165,6 +231,12 @@ const PaymentHistory = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Date
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Refund
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Documents
+                  </th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
@@ -178,17 +250,17 @@ const PaymentHistory = () => {
                             {payment.razorpayPaymentId || payment._id.slice(-8)}
                           </div>
                           <div className="text-sm text-gray-500">
-                            {payment.paymentMethod || 'Online Payment'}
+                            {payment.method || 'Online Payment'}
                           </div>
                         </div>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-900">
-                        {payment.serviceRequest?.issueType?.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'N/A'}
+                        {payment.requestId?.issueType?.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'N/A'}
                       </div>
                       <div className="text-sm text-gray-500">
-                        {payment.serviceRequest?.vehicleInfo?.model || 'N/A'}
+                        {payment.requestId?.vehicleInfo?.model || 'N/A'}
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -200,7 +272,7 @@ const PaymentHistory = () => {
                       <div className="flex items-center">
                         {getStatusIcon(payment.status)}
                         <span className={`ml-2 px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(payment.status)}`}>
-                          {payment.status}
+                          {PAYMENT_STATUS_LABELS[payment.status] || payment.status}
                         </span>
                       </div>
                     </td>
@@ -210,6 +282,55 @@ const PaymentHistory = () => {
                         {formatDate(payment.createdAt)}
                       </div>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {payment.refund && (
+                        <div className="text-sm">
+                          <div className="font-medium text-gray-900">
+                            {REFUND_STATUS_LABELS[payment.refund.status]}
+                          </div>
+                          <div className="text-gray-500">
+                            {formatCurrency(payment.refund.approvedAmount || payment.refund.amount)}
+                            {payment.refund.approvedAmount && payment.refund.approvedAmount < payment.refund.refundableAmount && ' (partial)'}
+                          </div>
+                          {payment.refund.status === 'denied' && payment.refund.adminNote && (
+                            <div className="text-xs text-gray-500 max-w-xs truncate" title={payment.refund.adminNote}>
+                              {payment.refund.adminNote}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                      {canRequestRefund(payment) && (
+                        <button
+                          onClick={() => openRefundForm(payment)}
+                          className="mt-1 inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+                        >
+                          <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                          Request refund
+                        </button>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {hasInvoice(payment) && (
+                        <div className="flex flex-col items-start space-y-1">
+                          <button
+                            onClick={() => handleDownloadInvoice(payment)}
+                            className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+                          >
+                            <DocumentArrowDownIcon className="h-4 w-4 mr-1" />
+                            GST invoice
+                          </button>
+                          {payment.refund?.status === 'processed' && (
+                            <button
+                              onClick={() => handleDownloadCreditNotes(payment)}
+                              className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+                            >
+                              <DocumentArrowDownIcon className="h-4 w-4 mr-1" />
+                              Credit note
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -217,6 +338,77 @@ const PaymentHistory = () => {
           </div>
         )}
       </div>
+
+      {/* Refund Request */}
+      {refundPayment && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <form onSubmit={handleRefundSubmit} className="bg-white rounded-lg shadow-lg w-full max-w-md p-6 space-y-4">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Request a refund</h3>
+              <p className="text-sm text-gray-500">
+                Paid {formatCurrency(refundPayment.amount)} on {formatDate(refundPayment.paidAt || refundPayment.createdAt)}
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reason
+              </label>
+              <textarea
+                value={refundForm.reason}
+                onChange={(e) => setRefundForm(prev => ({ ...prev, reason: e.target.value }))}
+                rows={3}
+                minLength={10}
+                maxLength={500}
+                required
+                placeholder="Tell us what went wrong"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Amount (leave empty to refund the {formatCurrency(getRefundableAmount(refundPayment))} left)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max={getRefundableAmount(refundPayment)}
+                value={refundForm.amount}
+                onChange={(e) => setRefundForm(prev => ({ ...prev, amount: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={refundForm.toWallet}
+                onChange={(e) => setRefundForm(prev => ({ ...prev, toWallet: e.target.checked }))}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+              />
+              Refund to my wallet instead, ready for my next service
+            </label>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setRefundPayment(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submittingRefund}
+                className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+              >
+                {submittingRefund ? 'Submitting...' : 'Request refund'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
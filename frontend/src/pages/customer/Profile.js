@@ -9,6 +9,7 @@ import {
 } from '@heroicons/react/24/outline';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
+import TrustedContacts from '../../components/customer/TrustedContacts';
 import { useAuth } from '../../contexts/AuthContext';
 import { validateEmail, validatePhone } from '../../utils/helpers';
 import toast from 'react-hot-toast';
@@ -184,6 +185,8 @@ const CustomerProfile = () => {
         </form>
       </div>
 
+      {/* Trusted contacts alerted by an SOS */}
+      <TrustedContacts />
     </div>
   );
 };
@@ -15,12 +15,12 @@ import {
 } from '@heroicons/react/24/outline';
 import Button from '../../components/common/Button';
 import RequestTracker from '../../components/customer/RequestTracker';
-import DemoPaymentModal from '../../components/payment/DemoPaymentModal';
+import PaymentModal from '../../components/payment/PaymentModal';
 import AddReview from '../../components/customer/AddReview';
 import ChatModal from '../../components/chat/ChatModal';
 import requestService from '../../services/requestService';
 import { useAuth } from '../../contexts/AuthContext';
-import { formatCurrency, getRelativeTime } from '../../utils/helpers';
+import { formatCurrency, formatDateTime, getRelativeTime } from '../../utils/helpers';
 import { REQUEST_STATUS_LABELS, ISSUE_TYPE_LABELS } from '../../utils/constants';
 import toast from 'react-hot-toast';
 
@@ -172,6 +172,7 @@ const RequestHistory = () => {
 
   const getStatusColor = (status) => {
     const colors = {
+      scheduled: 'status-scheduled',
       pending: 'status-pending',
       assigned: 'status-assigned',
       enroute: 'status-in-progress',
@@ -302,6 +303,7 @@ const RequestHistory = () => {
               className="w-full px-3 py-2 border border-secondary-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
             >
               <option value="">All Status</option>
+              <option value="scheduled">Scheduled</option>
               <option value="pending">Pending</option>
               <option value="assigned">Assigned</option>
               <option value="in_progress">In Progress</option>
@@ -411,7 +413,11 @@ const RequestHistory = () => {
                           <strong>Vehicle:</strong> {request.vehicleInfo.model} ({request.vehicleInfo.plate})
                         </div>
                         <div>
-                          <strong>Created:</strong> {getRelativeTime(request.createdAt)}
+                          {request.schedule?.startAt ? (
+                            <><strong>Booked for:</strong> {formatDateTime(request.schedule.startAt)}</>
+                          ) : (
+                            <><strong>Created:</strong> {getRelativeTime(request.createdAt)}</>
+                          )}
                         </div>
                       </div>
 
@@ -518,10 +524,11 @@ const RequestHistory = () => {
 
       {/* Payment Modal */}
       {showPaymentModal && paymentRequest && (
-        <DemoPaymentModal
+        <PaymentModal
           isOpen={showPaymentModal}
           onClose={() => setShowPaymentModal(false)}
           serviceRequest={paymentRequest}
+          amount={paymentRequest.quotation || paymentRequest.finalAmount}
           onPaymentSuccess={handlePaymentSuccess}
         />
       )}
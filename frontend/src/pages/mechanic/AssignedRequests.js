@@ -9,18 +9,20 @@ import {
   TruckIcon,
   ChatBubbleLeftIcon,
   ArrowTopRightOnSquareIcon,
-  WrenchScrewdriverIcon
+  WrenchScrewdriverIcon,
+  BanknotesIcon
 } from '@heroicons/react/24/outline';
 import Button from '../../components/common/Button';
 import NavigationModal from '../../components/mechanic/NavigationModal';
+import QuoteEditor from '../../components/mechanic/QuoteEditor';
 import requestService from '../../services/requestService';
-import { formatDate, formatDistance } from '../../utils/helpers';
+import { formatDate, formatDistance, formatTransitionError } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 
 // Request Details Modal Component
-const RequestDetailsModal = ({ request, onClose, onStatusUpdate, onNavigate }) => {
+const RequestDetailsModal = ({ request, onClose, onStatusUpdate, onNavigate, onQuoteProposed }) => {
   const [updating, setUpdating] = useState(false);
 
   const handleStatusUpdate = async (newStatus) => {
@@ -150,6 +152,10 @@ const RequestDetailsModal = ({ request, onClose, onStatusUpdate, onNavigate }) =
                         )}
                       </div>
                     </div>
+
+                    {['assigned', 'enroute', 'in_progress'].includes(request.status) && (
+                      <QuoteEditor request={request} onQuoteProposed={onQuoteProposed} />
+                    )}
                   </div>
 
                   {/* Right Column - Customer & Location */}
@@ -490,6 +496,9 @@ const AssignedRequests = () => {
     estimatedArrival: 30,
     quotation: ''
   });
+  const [showCashModal, setShowCashModal] = useState(false);
+  const [cashAmount, setCashAmount] = useState('');
+  const [recordingCash, setRecordingCash] = useState(false);
   const [filters, setFilters] = useState({
     status: '',
     search: ''
@@ -556,8 +565,11 @@ const AssignedRequests = () => {
         fetchAssignedRequests(); // Refresh the list
       }
     } catch (error) {
-      const errorMessage = error.message || 'Failed to update request status';
+      const errorMessage = formatTransitionError(error) || 'Failed to update request status';
       toast.error(errorMessage);
+      if (error.code) {
+        fetchAssignedRequests(); // Our copy of the status was stale
+      }
     }
   };
 
@@ -575,6 +587,10 @@ const AssignedRequests = () => {
     } catch (error) {
       const errorMessage = error.message || 'Failed to accept request';
       toast.error(errorMessage);
+      // Another mechanic may have taken it - drop it from the list
+      setShowAcceptModal(false);
+      setSelectedRequest(null);
+      fetchAssignedRequests();
     }
   };
 
@@ -598,6 +614,36 @@ const AssignedRequests = () => {
     }
   };
 
+  const openCashModal = (request) => {
+    setSelectedRequest(request);
+    setCashAmount(request.finalAmount || request.quotation || '');
+    setShowCashModal(true);
+  };
+
+  const handleRecordCash = async () => {
+    const amount = Number(cashAmount);
+    if (!amount || amount < 1) {
+      toast.error('Enter the cash amount you collected');
+      return;
+    }
+
+    setRecordingCash(true);
+    try {
+      const response = await requestService.recordCashCollection(selectedRequest._id, amount);
+
+      if (response.success) {
+        toast.success('Cash recorded. The customer will be asked to confirm it.');
+        setShowCashModal(false);
+        setSelectedRequest(null);
+        fetchAssignedRequests();
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to record cash payment');
+    } finally {
+      setRecordingCash(false);
+    }
+  };
+
   const handleViewDetails = (request) => {
     setSelectedRequest(request);
     setShowDetailsModal(true);
@@ -842,6 +888,17 @@ const AssignedRequests = () => {
                           Complete
                         </Button>
                       )}
+
+                      {request.status === 'completed' && request.paymentStatus !== 'paid' && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => openCashModal(request)}
+                          icon={<BanknotesIcon className="h-4 w-4" />}
+                        >
+                          Record Cash
+                        </Button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -934,12 +991,64 @@ const AssignedRequests = () => {
         </div>
       )}
 
+      {/* Record Cash Modal */}
+      {showCashModal && selectedRequest && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Record Cash Payment</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                {selectedRequest.customerId?.name || 'The customer'} will be asked to confirm the amount.
+                The platform commission on cash jobs is taken from your next payout.
+              </p>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Cash Collected (₹)
+                </label>
+                <input
+                  type="number"
+                  value={cashAmount}
+                  onChange={(e) => setCashAmount(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  min="1"
+                  placeholder="Enter the amount you collected"
+                />
+              </div>
+
+              <div className="flex gap-3">
+                <Button
+                  variant="outline"
+                  onClick={() => setShowCashModal(false)}
+                  disabled={recordingCash}
+                  className="flex-1"
+                >
+                  Cancel
+                </Button>
+                <Button
+                  variant="primary"
+                  onClick={handleRecordCash}
+                  loading={recordingCash}
+                  disabled={recordingCash}
+                >
+                  Record Cash
+                </Button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Request Details Modal */}
       {showDetailsModal && selectedRequest && (
         <RequestDetailsModal
           request={selectedRequest}
           onClose={() => setShowDetailsModal(false)}
           onStatusUpdate={handleStatusUpdate}
+          onQuoteProposed={(quote) => {
+            setSelectedRequest(prev => ({ ...prev, quote }));
+            fetchAssignedRequests();
+          }}
           onNavigate={(request) => {
             setSelectedRequest(request);
             setShowDetailsModal(false);
@@ -11,8 +11,9 @@ import {
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import Button from '../../components/common/Button';
+import WorkingHoursEditor from '../../components/mechanic/WorkingHoursEditor';
 import mechanicApi from '../../api/mechanicApi';
-import { formatDate, formatCurrency, getRelativeTime } from '../../utils/helpers';
+import { formatDate, formatDateTime, formatTime, formatCurrency, getRelativeTime } from '../../utils/helpers';
 import { REQUEST_STATUS_LABELS } from '../../utils/constants';
 import toast from 'react-hot-toast';
 
@@ -22,11 +23,30 @@ const Calendar = () => {
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showRequestModal, setShowRequestModal] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [schedule, setSchedule] = useState(null);
 
   useEffect(() => {
     fetchMonthRequests();
+    fetchSchedule();
   }, [currentDate]);
 
+  // Scheduled bookings sit on their booked slot, everything else on the day it came in
+  const getRequestDate = (request) => new Date(request.schedule?.startAt || request.createdAt);
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await mechanicApi.getSchedule({
+        from: new Date(currentDate.getFullYear(), currentDate.getMonth(), 1).toISOString(),
+        to: new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1).toISOString()
+      });
+      if (response.success) {
+        setSchedule(response.data.schedule);
+      }
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+    }
+  };
+
   const fetchMonthRequests = async () => {
     try {
       setLoading(true);
@@ -50,7 +70,7 @@ const Calendar = () => {
         const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0, 23, 59, 59, 999);
         
         const monthRequests = requestsData.filter(request => {
-          const requestDate = new Date(request.createdAt);
+          const requestDate = getRequestDate(request);
           return requestDate >= startOfMonth && requestDate <= endOfMonth;
         });
         
@@ -106,15 +126,24 @@ const Calendar = () => {
   const getRequestsForDate = (date) => {
     if (!date) return [];
     
-    const dateString = date.toISOString().split('T')[0];
-    return requests.filter(request => {
-      const requestDate = new Date(request.createdAt).toISOString().split('T')[0];
-      return requestDate === dateString;
-    });
+    return requests
+      .filter(request => getRequestDate(request).toDateString() === date.toDateString())
+      .sort((a, b) => getRequestDate(a) - getRequestDate(b));
+  };
+
+  const isBlocked = (date) => {
+    if (!date || !schedule) return false;
+
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    return (schedule.blockedTimes || []).some(block =>
+      new Date(block.startAt) < dayEnd && new Date(block.endAt) > dayStart
+    );
   };
 
   const getStatusColor = (status) => {
     const statusColors = {
+      scheduled: 'bg-gray-100 text-gray-800 border border-dashed border-gray-400',
       pending: 'bg-yellow-100 text-yellow-800',
       assigned: 'bg-blue-100 text-blue-800',
       enroute: 'bg-purple-100 text-purple-800',
@@ -174,7 +203,7 @@ const Calendar = () => {
       <div className="flex justify-between items-center">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Service Calendar</h1>
-          <p className="text-gray-600">View and manage your service requests by month</p>
+          <p className="text-gray-600">View your bookings and service requests by month and set when customers can book you</p>
         </div>
         <div className="flex items-center space-x-4">
           <Button
@@ -244,11 +273,16 @@ const Calendar = () => {
               >
                 {day && (
                   <>
-                    <div className={`text-sm font-medium mb-1 ${
-                      isToday ? 'bg-primary-600 text-white rounded-full w-6 h-6 flex items-center justify-center' :
-                      isCurrentMonth ? 'text-gray-900' : 'text-gray-400'
-                    }`}>
-                      {day.getDate()}
+                    <div className="flex items-center justify-between mb-1">
+                      <div className={`text-sm font-medium ${
+                        isToday ? 'bg-primary-600 text-white rounded-full w-6 h-6 flex items-center justify-center' :
+                        isCurrentMonth ? 'text-gray-900' : 'text-gray-400'
+                      }`}>
+                        {day.getDate()}
+                      </div>
+                      {isBlocked(day) && (
+                        <span className="text-xs text-red-600">Blocked</span>
+                      )}
                     </div>
                     
                     {/* Requests for this day */}
@@ -263,6 +297,7 @@ const Calendar = () => {
                           }}
                         >
                           <div className="font-medium truncate">
+                            {request.schedule?.startAt && `${formatTime(request.schedule.startAt)} `}
                             {request.issueType?.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}
                           </div>
                           <div className="text-xs opacity-75">
@@ -334,6 +369,8 @@ const Calendar = () => {
         </div>
       </div>
 
+      <WorkingHoursEditor schedule={schedule} onChange={setSchedule} />
+
       {/* Request Details Modal */}
       {showRequestModal && selectedRequest && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -371,6 +408,14 @@ const Calendar = () => {
                       <label className="block text-sm font-medium text-gray-700">Created</label>
                       <p className="text-gray-900">{formatDate(selectedRequest.createdAt)}</p>
                     </div>
+                    {selectedRequest.schedule?.startAt && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Booked For</label>
+                        <p className="text-gray-900">
+                          {formatDateTime(selectedRequest.schedule.startAt)} - {formatTime(selectedRequest.schedule.endAt)}
+                        </p>
+                      </div>
+                    )}
                     <div>
                       <label className="block text-sm font-medium text-gray-700">Quotation</label>
                       <p className="text-gray-900">
@@ -48,6 +48,7 @@ const MechanicDashboard = () => {
       // Cleanup socket listeners
       socketService.off('new-request-available');
       socketService.off('request-taken');
+      socketService.off('request-offer-expired');
     };
   }, []);
 
@@ -71,6 +72,12 @@ const MechanicDashboard = () => {
       // Refresh dashboard data
       fetchDashboardData();
     });
+
+    // Listen for offers that lapsed before we accepted
+    socketService.onRequestOfferExpired(() => {
+      toast('A request offered to you has expired');
+      fetchDashboardData();
+    });
   };
 
   const fetchDashboardData = async () => {
@@ -79,9 +86,9 @@ const MechanicDashboard = () => {
       
       console.log('Fetching dashboard data...');
       
-      // Fetch assigned requests and stats (including available broadcast requests)
+      // Fetch assigned requests and stats (including requests offered to us by dispatch)
       const [requestsResponse, statsResponse] = await Promise.all([
-        mechanicApi.getAssignedRequests({ limit: 5, page: 1 }), // Temporarily disable includeAvailable
+        mechanicApi.getAssignedRequests({ limit: 5, page: 1, includeAvailable: true }),
         mechanicApi.getStats()
       ]);
       
@@ -10,18 +10,27 @@ import {
   ChartBarIcon,
   ArrowDownTrayIcon,
   StarIcon,
-  FireIcon
+  FireIcon,
+  BanknotesIcon,
+  ReceiptPercentIcon,
+  ChevronDownIcon,
+  ChevronUpIcon
 } from '@heroicons/react/24/outline';
 import Button from '../../components/common/Button';
 import Select from '../../components/common/Select';
 import mechanicApi from '../../api/mechanicApi';
 import { formatCurrency, formatDate, getRelativeTime } from '../../utils/helpers';
+import { LEDGER_CATEGORY_LABELS, PAYOUT_STATUS_LABELS } from '../../utils/constants';
 import toast from 'react-hot-toast';
 
 const Earnings = () => {
   const [earningsSummary, setEarningsSummary] = useState(null);
   const [detailedEarnings, setDetailedEarnings] = useState([]);
   const [chartData, setChartData] = useState(null);
+  const [balance, setBalance] = useState(null);
+  const [payouts, setPayouts] = useState([]);
+  const [statement, setStatement] = useState(null);
+  const [loadingStatementId, setLoadingStatementId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
     period: 'month',
@@ -33,6 +42,50 @@ const Earnings = () => {
     fetchEarningsData();
   }, [filters]);
 
+  useEffect(() => {
+    fetchPayoutData();
+  }, []);
+
+  const fetchPayoutData = async () => {
+    try {
+      const [balanceResponse, payoutsResponse] = await Promise.all([
+        mechanicApi.getBalance(),
+        mechanicApi.getPayouts({ limit: 10 })
+      ]);
+
+      if (balanceResponse.success) {
+        setBalance(balanceResponse.data);
+      }
+
+      if (payoutsResponse.success) {
+        setPayouts(payoutsResponse.data || []);
+      }
+    } catch (error) {
+      console.error('Error fetching payout data:', error);
+      toast.error(error.response?.data?.message || 'Failed to load payouts');
+    }
+  };
+
+  const toggleStatement = async (payoutId) => {
+    if (statement?.payout._id === payoutId) {
+      setStatement(null);
+      return;
+    }
+
+    try {
+      setLoadingStatementId(payoutId);
+      const response = await mechanicApi.getPayoutStatement(payoutId);
+      if (response.success) {
+        setStatement(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching payout statement:', error);
+      toast.error(error.response?.data?.message || 'Failed to load statement');
+    } finally {
+      setLoadingStatementId(null);
+    }
+  };
+
   const fetchEarningsData = async () => {
     try {
       setLoading(true);
@@ -96,6 +149,12 @@ const Earnings = () => {
     return 'text-gray-600';
   };
 
+  const getPayoutStatusColor = (status) => {
+    if (status === 'paid') return 'bg-green-100 text-green-800';
+    if (status === 'pending') return 'bg-yellow-100 text-yellow-800';
+    return 'bg-red-100 text-red-800';
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -248,6 +307,75 @@ const Earnings = () => {
         </div>
       )}
 
+      {/* Payout Balance */}
+      {balance && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">
+                  {balance.pendingBalance < 0 ? 'Owed to Platform' : 'Pending Balance'}
+                </p>
+                <p className={`text-2xl font-bold ${balance.pendingBalance < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  {formatCurrency(Math.abs(balance.pendingBalance))}
+                </p>
+                <p className="text-sm text-gray-500 mt-2">
+                  Next settlement {formatDate(balance.nextSettlementAt)}
+                </p>
+              </div>
+              <BanknotesIcon className="h-8 w-8 text-green-500" />
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">In Transit</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {formatCurrency(balance.inTransit)}
+                </p>
+                <p className="text-sm text-gray-500 mt-2">
+                  settled, awaiting transfer
+                </p>
+              </div>
+              <ClockIcon className="h-8 w-8 text-yellow-500" />
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Settled to Date</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {formatCurrency(balance.totalSettled)}
+                </p>
+                <p className="text-sm text-gray-500 mt-2">
+                  {balance.lastPayout
+                    ? `Last paid ${getRelativeTime(balance.lastPayout.paidAt)}`
+                    : 'No payouts yet'}
+                </p>
+              </div>
+              <CalendarIcon className="h-8 w-8 text-blue-500" />
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Platform Commission</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {formatCurrency(earningsSummary?.commission || 0)}
+                </p>
+                <p className="text-sm text-gray-500 mt-2">
+                  {Math.round(balance.commissionRate * 100)}% of each payment this period
+                </p>
+              </div>
+              <ReceiptPercentIcon className="h-8 w-8 text-purple-500" />
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Chart Section */}
       {chartData && (
         <div className="bg-white rounded-lg shadow-sm border p-6">
@@ -351,6 +479,87 @@ const Earnings = () => {
         )}
       </div>
 
+      {/* Payout Statements */}
+      <div className="bg-white rounded-lg shadow-sm border">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Payout Statements</h3>
+          <p className="text-sm text-gray-500">Weekly settlements of your earnings after commission and cash collected</p>
+        </div>
+
+        {payouts.length === 0 ? (
+          <div className="p-6 text-center">
+            <BanknotesIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500">No payouts yet. Your balance is settled every Monday.</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {payouts.map((payout) => (
+              <li key={payout._id}>
+                <button
+                  type="button"
+                  onClick={() => toggleStatement(payout._id)}
+                  className="w-full px-6 py-4 flex items-center justify-between hover:bg-gray-50 text-left"
+                >
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">
+                      {payout.periodStart ? `${formatDate(payout.periodStart)} – ` : 'Until '}
+                      {formatDate(payout.periodEnd)}
+                    </div>
+                    <div className="text-sm text-gray-500">
+                      {payout.entryCount} entries
+                      {payout.reference && ` · Ref ${payout.reference}`}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getPayoutStatusColor(payout.status)}`}>
+                      {PAYOUT_STATUS_LABELS[payout.status] || payout.status}
+                    </span>
+                    <span className="text-sm font-semibold text-gray-900">
+                      {formatCurrency(payout.amount)}
+                    </span>
+                    {statement?.payout._id === payout._id
+                      ? <ChevronUpIcon className="h-5 w-5 text-gray-400" />
+                      : <ChevronDownIcon className="h-5 w-5 text-gray-400" />}
+                  </div>
+                </button>
+
+                {loadingStatementId === payout._id && (
+                  <div className="px-6 pb-4 text-sm text-gray-500">Loading statement...</div>
+                )}
+
+                {statement?.payout._id === payout._id && (
+                  <div className="px-6 pb-4">
+                    <table className="min-w-full text-sm">
+                      <tbody className="divide-y divide-gray-100">
+                        {statement.entries.map((entry) => (
+                          <tr key={entry._id}>
+                            <td className="py-2 text-gray-500 whitespace-nowrap">{formatDate(entry.postedAt)}</td>
+                            <td className="py-2 text-gray-900">
+                              {LEDGER_CATEGORY_LABELS[entry.category] || entry.category}
+                              {entry.requestId?._id && (
+                                <span className="text-gray-500"> · #{entry.requestId._id.slice(-6)}</span>
+                              )}
+                            </td>
+                            <td className={`py-2 text-right font-medium whitespace-nowrap ${entry.type === 'credit' ? 'text-green-600' : 'text-red-600'}`}>
+                              {entry.type === 'credit' ? '+' : '−'}{formatCurrency(entry.amount)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {statement.payout.status === 'failed' && statement.payout.failureReason && (
+                      <p className="mt-2 text-sm text-red-600">
+                        Transfer failed: {statement.payout.failureReason}. The amount is added back to your next payout.
+                      </p>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       {/* Performance Metrics */}
       {earningsSummary && (
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
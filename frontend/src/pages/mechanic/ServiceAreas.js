@@ -20,10 +20,12 @@ const ServiceAreas = () => {
   const [editingArea, setEditingArea] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
+    shape: 'circle',
     address: '',
     latitude: '',
     longitude: '',
     radius: 10,
+    points: '',
     basePrice: '',
     description: ''
   });
@@ -54,13 +56,54 @@ const ServiceAreas = () => {
     }));
   };
 
+  // Polygon vertices are entered one "lat, lng" pair per line
+  const parsePoints = (text) => {
+    return text
+      .split('\n')
+      .map(line => line.split(',').map(value => parseFloat(value.trim())))
+      .filter(([lat, lng]) => !isNaN(lat) && !isNaN(lng))
+      .map(([lat, lng]) => ({ lat, lng }));
+  };
+
+  const buildPayload = () => {
+    const payload = {
+      name: formData.name,
+      shape: formData.shape,
+      address: formData.address,
+      description: formData.description
+    };
+
+    if (formData.basePrice !== '') {
+      payload.basePrice = parseFloat(formData.basePrice);
+    }
+
+    if (formData.shape === 'polygon') {
+      payload.points = parsePoints(formData.points);
+    } else {
+      payload.center = {
+        lat: parseFloat(formData.latitude),
+        lng: parseFloat(formData.longitude)
+      };
+      payload.radius = parseFloat(formData.radius);
+    }
+
+    return payload;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (formData.shape === 'polygon' && parsePoints(formData.points).length < 3) {
+      toast.error('A polygon needs at least 3 points');
+      return;
+    }
     
     try {
+      const payload = buildPayload();
+
       if (editingArea) {
         // Update existing area
-        const response = await mechanicApi.updateServiceArea(editingArea._id, formData);
+        const response = await mechanicApi.updateServiceArea(editingArea._id, payload);
         if (response.success) {
           setServiceAreas(prev => 
             prev.map(area => 
@@ -71,7 +114,7 @@ const ServiceAreas = () => {
         }
       } else {
         // Add new area
-        const response = await mechanicApi.addServiceArea(formData);
+        const response = await mechanicApi.addServiceArea(payload);
         if (response.success) {
           setServiceAreas(prev => [...prev, response.data.serviceArea]);
           toast.success('Service area added successfully!');
@@ -81,7 +124,22 @@ const ServiceAreas = () => {
       resetForm();
     } catch (error) {
       console.error('Error saving service area:', error);
-      toast.error('Failed to save service area');
+      toast.error(error.response?.data?.message || 'Failed to save service area');
+    }
+  };
+
+  const handleToggleActive = async (area) => {
+    try {
+      const response = await mechanicApi.updateServiceArea(area._id, { isActive: !area.isActive });
+      if (response.success) {
+        setServiceAreas(prev =>
+          prev.map(item => (item._id === area._id ? response.data.serviceArea : item))
+        );
+        toast.success(`Service area ${area.isActive ? 'paused' : 'activated'}`);
+      }
+    } catch (error) {
+      console.error('Error toggling service area:', error);
+      toast.error('Failed to update service area');
     }
   };
 
@@ -104,13 +162,18 @@ const ServiceAreas = () => {
 
   const handleEdit = (area) => {
     setEditingArea(area);
+    const isPolygon = area.shape === 'polygon';
     setFormData({
       name: area.name || '',
+      shape: area.shape || 'circle',
       address: area.address || '',
-      latitude: area.location?.coordinates?.[1] || '',
-      longitude: area.location?.coordinates?.[0] || '',
+      latitude: isPolygon ? '' : area.geometry?.coordinates?.[1] ?? '',
+      longitude: isPolygon ? '' : area.geometry?.coordinates?.[0] ?? '',
       radius: area.radius || 10,
-      basePrice: area.basePrice || '',
+      points: isPolygon
+        ? area.geometry.coordinates[0].slice(0, -1).map(([lng, lat]) => `${lat}, ${lng}`).join('\n')
+        : '',
+      basePrice: area.basePrice ?? '',
       description: area.description || ''
     });
     setShowAddForm(true);
@@ -119,10 +182,12 @@ const ServiceAreas = () => {
   const resetForm = () => {
     setFormData({
       name: '',
+      shape: 'circle',
       address: '',
       latitude: '',
       longitude: '',
       radius: 10,
+      points: '',
       basePrice: '',
       description: ''
     });
@@ -195,6 +260,20 @@ const ServiceAreas = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Area Shape
+                </label>
+                <select
+                  value={formData.shape}
+                  onChange={(e) => handleInputChange('shape', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="circle">Circle (center + radius)</option>
+                  <option value="polygon">Polygon (custom boundary)</option>
+                </select>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Base Price (₹)
@@ -209,54 +288,73 @@ const ServiceAreas = () => {
 
               <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Address *
+                  Address
                 </label>
                 <Input
                   value={formData.address}
                   onChange={(e) => handleInputChange('address', e.target.value)}
                   placeholder="Full address of the service area"
-                  required
                 />
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Latitude
-                </label>
-                <Input
-                  type="number"
-                  step="any"
-                  value={formData.latitude}
-                  onChange={(e) => handleInputChange('latitude', e.target.value)}
-                  placeholder="e.g., 12.9716"
-                />
-              </div>
+              {formData.shape === 'polygon' ? (
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Boundary Points *
+                  </label>
+                  <textarea
+                    value={formData.points}
+                    onChange={(e) => handleInputChange('points', e.target.value)}
+                    placeholder={'One "latitude, longitude" pair per line, e.g.\n12.9716, 77.5946\n12.9816, 77.6046\n12.9616, 77.6146'}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    rows={5}
+                    required
+                  />
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Latitude
+                    </label>
+                    <Input
+                      type="number"
+                      step="any"
+                      value={formData.latitude}
+                      onChange={(e) => handleInputChange('latitude', e.target.value)}
+                      placeholder="e.g., 12.9716"
+                      required
+                    />
+                  </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Longitude
-                </label>
-                <Input
-                  type="number"
-                  step="any"
-                  value={formData.longitude}
-                  onChange={(e) => handleInputChange('longitude', e.target.value)}
-                  placeholder="e.g., 77.5946"
-                />
-              </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Longitude
+                    </label>
+                    <Input
+                      type="number"
+                      step="any"
+                      value={formData.longitude}
+                      onChange={(e) => handleInputChange('longitude', e.target.value)}
+                      placeholder="e.g., 77.5946"
+                      required
+                    />
+                  </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Service Radius (km)
-                </label>
-                <Input
-                  type="number"
-                  value={formData.radius}
-                  onChange={(e) => handleInputChange('radius', e.target.value)}
-                  min="1"
-                  max="50"
-                />
-              </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Service Radius (km)
+                    </label>
+                    <Input
+                      type="number"
+                      value={formData.radius}
+                      onChange={(e) => handleInputChange('radius', e.target.value)}
+                      min="1"
+                      max="50"
+                    />
+                  </div>
+                </>
+              )}
             </div>
 
             <div>
@@ -322,8 +420,12 @@ const ServiceAreas = () => {
                     
                     <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
                       <div>
-                        <span className="text-gray-500">Radius:</span>
-                        <span className="ml-1 font-medium">{area.radius} km</span>
+                        <span className="text-gray-500">Coverage:</span>
+                        <span className="ml-1 font-medium">
+                          {area.shape === 'polygon'
+                            ? `${area.geometry.coordinates[0].length - 1}-point boundary`
+                            : `${area.radius} km radius`}
+                        </span>
                       </div>
                       <div>
                         <span className="text-gray-500">Base Price:</span>
@@ -347,6 +449,13 @@ const ServiceAreas = () => {
                   </div>
 
                   <div className="flex space-x-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleToggleActive(area)}
+                    >
+                      {area.isActive ? 'Pause' : 'Activate'}
+                    </Button>
                     <Button
                       variant="outline"
                       size="sm"
@@ -376,6 +485,8 @@ const ServiceAreas = () => {
       <div className="bg-blue-50 rounded-lg p-4">
         <h4 className="text-sm font-medium text-blue-900 mb-2">💡 Tips for Service Areas</h4>
         <ul className="text-sm text-blue-800 space-y-1">
+          <li>• Only active areas receive new request broadcasts — pause an area instead of deleting it</li>
+          <li>• Use a polygon when your coverage follows roads or city limits rather than a circle</li>
           <li>• Set realistic service radius based on your travel preferences</li>
           <li>• Use descriptive names to help customers identify your coverage</li>
           <li>• Set competitive base prices to attract more customers</li>
@@ -107,6 +107,155 @@ class AdminService {
     }
   }
 
+  // Accept a cash payment, optionally at a different amount
+  async resolveCashPayment(paymentId, data = {}) {
+    try {
+      const response = await api.post(`/admin/payments/${paymentId}/cash/resolve`, data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to resolve cash payment' };
+    }
+  }
+
+  async rejectCashPayment(paymentId, note) {
+    try {
+      const response = await api.post(`/admin/payments/${paymentId}/cash/reject`, { note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reject cash payment' };
+    }
+  }
+
+  // Payment gateway webhook events, failed ones can be replayed
+  async getWebhookEvents(params = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+      Object.keys(params).forEach(key => {
+        if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+          queryParams.append(key, params[key]);
+        }
+      });
+
+      const response = await api.get(`/admin/payments/webhooks?${queryParams.toString()}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch webhook events' };
+    }
+  }
+
+  async replayWebhookEvent(eventId) {
+    try {
+      const response = await api.post(`/admin/payments/webhooks/${eventId}/replay`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to replay webhook event' };
+    }
+  }
+
+  // SOS incidents raised by customers, acknowledged and resolved from the incident console
+  async getIncidents(params = {}) {
+    try {
+      const response = await api.get('/admin/incidents', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch incidents' };
+    }
+  }
+
+  async getIncident(incidentId) {
+    try {
+      const response = await api.get(`/admin/incidents/${incidentId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch incident' };
+    }
+  }
+
+  async acknowledgeIncident(incidentId) {
+    try {
+      const response = await api.post(`/admin/incidents/${incidentId}/acknowledge`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to acknowledge incident' };
+    }
+  }
+
+  async resolveIncident(incidentId, note) {
+    try {
+      const response = await api.post(`/admin/incidents/${incidentId}/resolve`, { note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to resolve incident' };
+    }
+  }
+
+  // Pricing Rules: versioned quotation pricing, editable until a version takes effect
+  async getPricingRules(params = {}) {
+    try {
+      const response = await api.get('/admin/pricing-rules', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch pricing rules' };
+    }
+  }
+
+  async getActivePricingRule() {
+    try {
+      const response = await api.get('/admin/pricing-rules/active');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch active pricing' };
+    }
+  }
+
+  async getPricingRule(ruleId) {
+    try {
+      const response = await api.get(`/admin/pricing-rules/${ruleId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch pricing rule' };
+    }
+  }
+
+  async createPricingRule(ruleData, idempotencyKey) {
+    try {
+      const response = await api.post('/admin/pricing-rules', ruleData, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to publish pricing rule' };
+    }
+  }
+
+  async updatePricingRule(ruleId, ruleData) {
+    try {
+      const response = await api.put(`/admin/pricing-rules/${ruleId}`, ruleData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update pricing rule' };
+    }
+  }
+
+  async deletePricingRule(ruleId) {
+    try {
+      const response = await api.delete(`/admin/pricing-rules/${ruleId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to delete pricing rule' };
+    }
+  }
+
+  // Price a sample request with the rule in force and with a candidate (`ruleId` or unsaved `changes`)
+  async simulateQuote(simulation) {
+    try {
+      const response = await api.post('/admin/pricing-rules/simulate', simulation);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to simulate quote' };
+    }
+  }
+
   // Review Management
   async getReviews(params = {}) {
     try {
@@ -187,6 +336,24 @@ class AdminService {
     }
   }
 
+  async getDeadLetterJobs(params = {}) {
+    try {
+      const response = await api.get('/admin/system/queue/dead-letter', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch dead-letter jobs' };
+    }
+  }
+
+  async replayDeadLetterJob(jobId) {
+    try {
+      const response = await api.post(`/admin/system/queue/dead-letter/${jobId}/replay`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to replay job' };
+    }
+  }
+
   // Admin Profile
   async getProfile() {
     try {
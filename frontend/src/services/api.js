@@ -24,6 +24,40 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh tokens rotate on every use and a reused one ends the session,
+// so concurrent callers must share a single in-flight refresh
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token available');
+      }
+
+      const response = await axios.post(
+        `${process.env.REACT_APP_API_URL || 'http://localhost:4000/api'}/auth/refresh-token`,
+        { refreshToken }
+      );
+
+      // Handle the correct response structure
+      if (!response.data.success || !response.data.data) {
+        throw new Error('Invalid refresh token response');
+      }
+
+      const { accessToken, refreshToken: nextRefreshToken } = response.data.data;
+      localStorage.setItem('accessToken', accessToken);
+      localStorage.setItem('refreshToken', nextRefreshToken);
+      return accessToken;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor to handle common errors
 api.interceptors.response.use(
   (response) => {
@@ -33,31 +67,15 @@ api.interceptors.response.use(
     const originalRequest = error.config;
 
     // Handle 401 unauthorized errors
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && !originalRequest._retry && !originalRequest.skipAuthRefresh) {
       originalRequest._retry = true;
 
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (refreshToken) {
-          const response = await axios.post(
-            `${process.env.REACT_APP_API_URL || 'http://localhost:4000/api'}/auth/refresh-token`,
-            { refreshToken }
-          );
-
-          // Handle the correct response structure
-          if (response.data.success && response.data.data) {
-            const { accessToken } = response.data.data;
-            localStorage.setItem('accessToken', accessToken);
-
-            // Retry the original request with new token
-            originalRequest.headers.Authorization = `Bearer ${accessToken}`;
-            return api(originalRequest);
-          } else {
-            throw new Error('Invalid refresh token response');
-          }
-        } else {
-          throw new Error('No refresh token available');
-        }
+        const accessToken = await refreshSession();
+
+        // Retry the original request with new token
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+        return api(originalRequest);
       } catch (refreshError) {
         // Refresh failed, clear all auth data
         localStorage.removeItem('accessToken');
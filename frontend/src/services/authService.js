@@ -1,10 +1,15 @@
-import api from './api';
+import api, { refreshSession } from './api';
+import pushService from './pushService';
 
 class AuthService {
   // Login - Step 1: Verify credentials and send OTP
   async login(email, password) {
     try {
-      const response = await api.post('/auth/login', { email, password });
+      const response = await api.post('/auth/login', {
+        email,
+        password,
+        deviceId: pushService.getDeviceId()
+      });
       return response.data;
     } catch (error) {
       throw error.response?.data || { message: 'Login failed' };
@@ -14,7 +19,11 @@ class AuthService {
   // Login - Step 2: Verify OTP and complete login
   async verifyLoginOTP(email, otp) {
     try {
-      const response = await api.post('/auth/verify-login-otp', { email, otp });
+      const response = await api.post('/auth/verify-login-otp', {
+        email,
+        otp,
+        deviceId: pushService.getDeviceId()
+      });
       
       if (response.data.success) {
         const { user, tokens } = response.data.data;
@@ -91,23 +100,10 @@ class AuthService {
     }
   }
 
-  // Refresh token
+  // Refresh token; the server rotates the refresh token as well
   async refreshToken() {
     try {
-      const refreshToken = localStorage.getItem('refreshToken');
-      if (!refreshToken) {
-        throw new Error('No refresh token available');
-      }
-
-      const response = await api.post('/auth/refresh-token', { refreshToken });
-      
-      if (response.data.success && response.data.data) {
-        const { accessToken } = response.data.data;
-        localStorage.setItem('accessToken', accessToken);
-        return accessToken;
-      }
-      
-      throw new Error('Token refresh failed');
+      return await refreshSession();
     } catch (error) {
       // Clear stored data and redirect to login
       this.logout();
@@ -115,6 +111,28 @@ class AuthService {
     }
   }
 
+  // Revoke this device's session on the server before local data is cleared
+  async revokeSession() {
+    if (!localStorage.getItem('accessToken')) return;
+
+    try {
+      await api.post('/auth/logout', null, { skipAuthRefresh: true });
+    } catch (error) {
+      // The session still expires on its own; logging out locally must not fail
+      console.warn('Failed to revoke session:', error);
+    }
+  }
+
+  // Revoke every session of the user, on all devices
+  async logoutAllDevices() {
+    try {
+      const response = await api.post('/auth/logout-all');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to log out of all devices' };
+    }
+  }
+
   // Logout
   logout() {
     localStorage.removeItem('user');
@@ -0,0 +1,76 @@
+import paymentApi from '../api/paymentApi';
+
+const RAZORPAY_CHECKOUT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+
+let razorpayScript = null;
+
+// Load Razorpay Checkout once, however many modals ask for it
+const loadRazorpay = () => {
+  if (window.Razorpay) {
+    return Promise.resolve();
+  }
+
+  if (!razorpayScript) {
+    razorpayScript = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = RAZORPAY_CHECKOUT_URL;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        razorpayScript = null;
+        reject(new Error('Payment system unavailable. Please try again later.'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  return razorpayScript;
+};
+
+const openRazorpay = async (orderData, options) => {
+  await loadRazorpay();
+
+  return new Promise((resolve, reject) => {
+    const razorpayInstance = new window.Razorpay({
+      name: 'RoadGuard',
+      description: 'Service Payment',
+      theme: {
+        color: '#0ea5e9',
+      },
+      ...options,
+      key: orderData.razorpayKey,
+      amount: Math.round(orderData.amount * 100), // Convert to paise
+      currency: orderData.currency || 'INR',
+      order_id: orderData.razorpayOrderId,
+      handler: (response) => resolve({
+        razorpayPaymentId: response.razorpay_payment_id,
+        razorpayOrderId: response.razorpay_order_id,
+        razorpaySignature: response.razorpay_signature,
+      }),
+      modal: {
+        ondismiss: () => reject(new Error('Payment cancelled by user')),
+      },
+    });
+    razorpayInstance.open();
+  });
+};
+
+const checkoutService = {
+  loadRazorpay,
+
+  // Take the customer through the checkout of the gateway the order was created with.
+  // Resolves to the IDs and signature /payments/verify expects; options go to Razorpay Checkout.
+  openCheckout: async (orderData, options = {}) => {
+    if (orderData.gateway === 'mock') {
+      const response = await paymentApi.payMockOrder(orderData.razorpayOrderId);
+      return {
+        razorpayPaymentId: response.data.razorpayPaymentId,
+        razorpayOrderId: response.data.razorpayOrderId,
+        razorpaySignature: response.data.razorpaySignature,
+      };
+    }
+
+    return openRazorpay(orderData, options);
+  }
+};
+
+export default checkoutService;
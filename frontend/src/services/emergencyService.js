@@ -0,0 +1,91 @@
+import api from './api';
+
+class EmergencyService {
+  // Trusted contacts alerted when the customer raises an SOS
+  async getTrustedContacts() {
+    try {
+      const response = await api.get('/customer/trusted-contacts');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch trusted contacts' };
+    }
+  }
+
+  async addTrustedContact(contact) {
+    try {
+      const response = await api.post('/customer/trusted-contacts', contact);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add trusted contact' };
+    }
+  }
+
+  async updateTrustedContact(contactId, contact) {
+    try {
+      const response = await api.put(`/customer/trusted-contacts/${contactId}`, contact);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update trusted contact' };
+    }
+  }
+
+  async removeTrustedContact(contactId) {
+    try {
+      const response = await api.delete(`/customer/trusted-contacts/${contactId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to remove trusted contact' };
+    }
+  }
+
+  // Raise an SOS; an SOS that is still active is returned instead of a new one
+  async raiseSos({ location, requestId, vehicleId, message, source }) {
+    try {
+      const response = await api.post('/customer/sos', { location, requestId, vehicleId, message, source });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to raise SOS' };
+    }
+  }
+
+  async getMySosIncidents() {
+    try {
+      const response = await api.get('/customer/sos');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch SOS incidents' };
+    }
+  }
+
+  // Share the device's position while the SOS is active
+  async updateSosLocation(incidentId, { lat, lng, accuracy }) {
+    try {
+      const response = await api.post(`/customer/sos/${incidentId}/location`, { lat, lng, accuracy });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to share location' };
+    }
+  }
+
+  async markSafe(incidentId, note = '') {
+    try {
+      const response = await api.post(`/customer/sos/${incidentId}/resolve`, note ? { note } : {});
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to close SOS' };
+    }
+  }
+
+  // The page behind the link sent to trusted contacts; no login needed
+  async getSharedIncident(token) {
+    try {
+      const response = await api.get(`/public/sos/${token}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to load emergency' };
+    }
+  }
+}
+
+const emergencyService = new EmergencyService();
+export default emergencyService;
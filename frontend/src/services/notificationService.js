@@ -0,0 +1,62 @@
+import api from './api';
+
+const notificationService = {
+  // Inbox with unread count; params: { status: 'unread' | 'read', type, page, limit }
+  getNotifications: async (params = {}) => {
+    try {
+      const response = await api.get('/notifications', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  markAsRead: async (notificationId, isRead = true) => {
+    try {
+      const response = await api.patch(`/notifications/${notificationId}/read`, { isRead });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  markAllAsRead: async () => {
+    try {
+      const response = await api.patch('/notifications/read-all');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  deleteNotification: async (notificationId) => {
+    try {
+      const response = await api.delete(`/notifications/${notificationId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Channel settings per event type
+  getPreferences: async () => {
+    try {
+      const response = await api.get('/notifications/preferences');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // preferences: { [eventType]: { email, sms, push, inApp } }
+  updatePreferences: async (preferences) => {
+    try {
+      const response = await api.put('/notifications/preferences', { preferences });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+};
+
+export default notificationService;
@@ -0,0 +1,121 @@
+import api from './api';
+import { STORAGE_KEYS } from '../utils/constants';
+
+const SERVICE_WORKER_URL = '/service-worker.js';
+
+// VAPID keys are URL-safe base64; PushManager wants raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const rawData = window.atob(base64);
+  return Uint8Array.from([...rawData].map((char) => char.charCodeAt(0)));
+};
+
+class PushService {
+  // Browser supports service workers, Push API and notifications
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  }
+
+  // Stable per-browser identifier so the server can replace stale subscriptions
+  getDeviceId() {
+    let deviceId = localStorage.getItem(STORAGE_KEYS.PUSH_DEVICE_ID);
+    if (!deviceId) {
+      deviceId = window.crypto?.randomUUID
+        ? window.crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      localStorage.setItem(STORAGE_KEYS.PUSH_DEVICE_ID, deviceId);
+    }
+    return deviceId;
+  }
+
+  async registerServiceWorker() {
+    return navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  }
+
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    return registration ? registration.pushManager.getSubscription() : null;
+  }
+
+  async isSubscribed() {
+    return !!(await this.getSubscription());
+  }
+
+  // Ask for permission, subscribe this browser and register it with the API
+  async subscribe() {
+    if (!this.isSupported()) {
+      throw new Error('Push notifications are not supported in this browser');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notification permission was not granted');
+    }
+
+    try {
+      const { data } = await api.get('/notifications/push/public-key');
+      const registration = await this.registerServiceWorker();
+      await navigator.serviceWorker.ready;
+
+      const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(data.data.publicKey),
+        });
+
+      const response = await api.post('/notifications/push/subscriptions', {
+        subscription: subscription.toJSON(),
+        deviceId: this.getDeviceId(),
+        userAgent: navigator.userAgent,
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  }
+
+  // Stop pushes to this browser; safe to call while logging out
+  async unsubscribe() {
+    const token = localStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+
+    const { endpoint } = subscription;
+    await subscription.unsubscribe();
+
+    if (token) {
+      try {
+        await api.delete('/notifications/push/subscriptions', {
+          data: { endpoint, deviceId: this.getDeviceId() },
+          headers: { Authorization: `Bearer ${token}` },
+        });
+      } catch (error) {
+        // The server prunes the endpoint on its next 410 anyway
+        console.warn('Failed to remove push subscription:', error);
+      }
+    }
+  }
+
+  // Forward notifications the service worker received while a tab was open
+  onForegroundMessage(callback) {
+    if (!this.isSupported()) return () => {};
+
+    const handler = (event) => {
+      if (event.data?.type === 'push-notification') {
+        callback(event.data.notification);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handler);
+    return () => navigator.serviceWorker.removeEventListener('message', handler);
+  }
+}
+
+const pushService = new PushService();
+export default pushService;
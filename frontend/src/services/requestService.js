@@ -73,6 +73,26 @@ class RequestService {
     }
   }
 
+  // Propose an itemized quote revision (Mechanic)
+  async proposeQuote(requestId, { items, note }) {
+    try {
+      const response = await api.post(`/mechanic/requests/${requestId}/quote`, { items, note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to propose quote' };
+    }
+  }
+
+  // Accept, reject or counter the latest quote revision (Customer)
+  async respondToQuote(requestId, action, { revision, amount, note }) {
+    try {
+      const response = await api.post(`/customer/requests/${requestId}/quote/${action}`, { revision, amount, note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to answer quote' };
+    }
+  }
+
   // Start work on a request (Mechanic)
   async startWork(requestId, data = {}) {
     try {
@@ -93,6 +113,16 @@ class RequestService {
     }
   }
 
+  // Record cash collected for a completed request (Mechanic)
+  async recordCashCollection(requestId, amount) {
+    try {
+      const response = await api.post(`/mechanic/requests/${requestId}/cash`, { amount });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to record cash payment' };
+    }
+  }
+
   // Update request status (Mechanic)
   async updateRequestStatus(requestId, status) {
     try {
@@ -103,6 +133,54 @@ class RequestService {
     }
   }
 
+  // Get the mechanic's stored location trail and latest ETA for a request
+  async getRequestTrail(requestId, role = 'customer') {
+    try {
+      const response = await api.get(`/${role}/requests/${requestId}/trail`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch location trail' };
+    }
+  }
+
+  // Read-only tracking links the customer shares, e.g. with family (Customer)
+  async getShareLinks(requestId) {
+    try {
+      const response = await api.get(`/customer/requests/${requestId}/share-links`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch tracking links' };
+    }
+  }
+
+  async createShareLink(requestId, { label, expiresInHours }) {
+    try {
+      const response = await api.post(`/customer/requests/${requestId}/share-links`, { label, expiresInHours });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create tracking link' };
+    }
+  }
+
+  async revokeShareLink(requestId, linkId) {
+    try {
+      const response = await api.delete(`/customer/requests/${requestId}/share-links/${linkId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to revoke tracking link' };
+    }
+  }
+
+  // The page behind a shared tracking link; no login needed
+  async getSharedTracking(token) {
+    try {
+      const response = await api.get(`/public/track/${token}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to load tracking' };
+    }
+  }
+
   // Upload images for a request
   async uploadImages(files) {
     try {
@@ -1,10 +1,17 @@
 import { io } from 'socket.io-client';
+import { refreshSession } from './api';
+
+// Read the token on every (re)connect so a refreshed access token is picked up
+const withCurrentToken = (fallbackToken) => (callback) => {
+  callback({ token: localStorage.getItem('accessToken') || fallbackToken });
+};
 
 class SocketService {
   constructor() {
     this.socket = null;
     this.isConnected = false;
     this.requestNamespace = null;
+    this.retriedAuth = false;
   }
 
   // Initialize socket connection
@@ -15,14 +22,14 @@ class SocketService {
 
     // Connect to main socket
     this.socket = io(process.env.REACT_APP_SOCKET_URL || 'http://localhost:4000', {
-      auth: { token },
+      auth: withCurrentToken(token),
       transports: ['websocket', 'polling'],
       timeout: 20000,
     });
 
     // Connect to requests namespace
     this.requestNamespace = io(`${process.env.REACT_APP_SOCKET_URL || 'http://localhost:4000'}/requests`, {
-      auth: { token },
+      auth: withCurrentToken(token),
       transports: ['websocket', 'polling'],
       timeout: 20000,
     });
@@ -57,14 +64,30 @@ class SocketService {
     if (this.requestNamespace) {
       this.requestNamespace.on('connect', () => {
         console.log('Request namespace connected:', this.requestNamespace.id);
+        this.retriedAuth = false;
       });
 
       this.requestNamespace.on('disconnect', (reason) => {
         console.log('Request namespace disconnected:', reason);
       });
 
-      this.requestNamespace.on('connect_error', (error) => {
+      this.requestNamespace.on('connect_error', async (error) => {
         console.error('Request namespace connection error:', error);
+
+        // The server refuses the handshake for expired or revoked tokens; refresh once and retry
+        if (error.data?.code === 'UNAUTHENTICATED' && !this.retriedAuth) {
+          this.retriedAuth = true;
+          try {
+            await refreshSession();
+            this.requestNamespace?.connect();
+          } catch (refreshError) {
+            console.error('Socket token refresh failed:', refreshError);
+          }
+        }
+      });
+
+      this.requestNamespace.on('action-rejected', ({ event, message }) => {
+        console.warn(`Socket event ${event} rejected:`, message);
       });
     }
   }
@@ -101,13 +124,16 @@ class SocketService {
     }
   }
 
-  // Update location (for mechanics)
-  updateLocation(location) {
+  // Update location (for mechanics); with a requestId the point is stored on the request's trail
+  updateLocation(location, requestId) {
     if (this.requestNamespace && this.requestNamespace.connected) {
       this.requestNamespace.emit('location-update', {
+        requestId,
         lat: location.lat,
         lng: location.lng,
         accuracy: location.accuracy || 10,
+        heading: location.heading,
+        speed: location.speed,
       });
     }
   }
@@ -124,14 +150,13 @@ class SocketService {
     }
   }
 
-  // Send emergency alert
-  sendEmergencyAlert(requestId, alertType, location) {
+  // Send emergency alert; a customer's alert is recorded as an SOS and answered with 'sos-raised'
+  sendEmergencyAlert(requestId, location, message) {
     if (this.requestNamespace && this.requestNamespace.connected) {
       this.requestNamespace.emit('emergency-alert', {
         requestId,
-        type: alertType,
         location,
-        timestamp: new Date().toISOString(),
+        message,
       });
     }
   }
@@ -150,6 +175,20 @@ class SocketService {
     }
   }
 
+  // Listen for the assigned mechanic's position with distance and ETA
+  onTrackingUpdate(callback) {
+    if (this.requestNamespace) {
+      this.requestNamespace.on('tracking-update', callback);
+    }
+  }
+
+  // Listen for quotes proposed by the mechanic or answered by the customer
+  onQuoteUpdate(callback) {
+    if (this.requestNamespace) {
+      this.requestNamespace.on('quote-updated', callback);
+    }
+  }
+
   // Listen for new messages
   onNewMessage(callback) {
     if (this.requestNamespace) {
@@ -164,6 +203,27 @@ class SocketService {
     }
   }
 
+  // Listen for the SOS recorded from this customer's emergency alert
+  onSosRaised(callback) {
+    if (this.requestNamespace) {
+      this.requestNamespace.on('sos-raised', callback);
+    }
+  }
+
+  // Listen for new SOS incidents (for admins)
+  onSosIncident(callback) {
+    if (this.requestNamespace) {
+      this.requestNamespace.on('sos-incident', callback);
+    }
+  }
+
+  // Listen for SOS incidents being acknowledged, resolved or moving
+  onSosIncidentUpdated(callback) {
+    if (this.requestNamespace) {
+      this.requestNamespace.on('sos-incident-updated', callback);
+    }
+  }
+
   // Listen for mechanic assigned
   onMechanicAssigned(callback) {
     if (this.requestNamespace) {
@@ -199,6 +259,13 @@ class SocketService {
     }
   }
 
+  // Listen for dispatch offers that expired unanswered (for mechanics)
+  onRequestOfferExpired(callback) {
+    if (this.requestNamespace) {
+      this.requestNamespace.on('request-offer-expired', callback);
+    }
+  }
+
   // Listen for request accepted (for customers)
   onRequestAccepted(callback) {
     if (this.requestNamespace) {
@@ -206,6 +273,22 @@ class SocketService {
     }
   }
 
+  // Listen for new inbox notifications
+  onNewNotification(callback) {
+    if (this.requestNamespace) {
+      this.requestNamespace.on('new_notification', callback);
+    }
+  }
+
+  // Separate connection for someone following a shared tracking link; the page owns and closes it
+  connectTrackingViewer(shareToken) {
+    return io(`${process.env.REACT_APP_SOCKET_URL || 'http://localhost:4000'}/tracking`, {
+      auth: { token: shareToken },
+      transports: ['websocket', 'polling'],
+      timeout: 20000,
+    });
+  }
+
   // Remove event listeners
   off(event, callback) {
     if (this.requestNamespace) {
@@ -36,6 +36,7 @@ export const API_ENDPOINTS = {
 
 // Request status options
 export const REQUEST_STATUS = {
+  SCHEDULED: 'scheduled',
   PENDING: 'pending',
   ASSIGNED: 'assigned',
   ENROUTE: 'enroute',
@@ -45,6 +46,7 @@ export const REQUEST_STATUS = {
 };
 
 export const REQUEST_STATUS_LABELS = {
+  [REQUEST_STATUS.SCHEDULED]: 'Scheduled',
   [REQUEST_STATUS.PENDING]: 'Pending',
   [REQUEST_STATUS.ASSIGNED]: 'Assigned',
   [REQUEST_STATUS.ENROUTE]: 'En Route',
@@ -54,6 +56,7 @@ export const REQUEST_STATUS_LABELS = {
 };
 
 export const REQUEST_STATUS_COLORS = {
+  [REQUEST_STATUS.SCHEDULED]: 'secondary',
   [REQUEST_STATUS.PENDING]: 'warning',
   [REQUEST_STATUS.ASSIGNED]: 'primary',
   [REQUEST_STATUS.ENROUTE]: 'blue',
@@ -146,6 +149,7 @@ export const PAYMENT_STATUS = {
   PENDING: 'pending',
   SUCCESS: 'success',
   FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded',
 };
 
@@ -153,9 +157,57 @@ export const PAYMENT_STATUS_LABELS = {
   [PAYMENT_STATUS.PENDING]: 'Pending',
   [PAYMENT_STATUS.SUCCESS]: 'Success',
   [PAYMENT_STATUS.FAILED]: 'Failed',
+  [PAYMENT_STATUS.PARTIALLY_REFUNDED]: 'Partially refunded',
   [PAYMENT_STATUS.REFUNDED]: 'Refunded',
 };
 
+// Refund request status
+export const REFUND_STATUS_LABELS = {
+  requested: 'Refund requested',
+  processing: 'Refund processing',
+  processed: 'Refunded',
+  denied: 'Refund denied',
+  failed: 'Refund failed',
+};
+
+// Mechanic payout ledger
+export const LEDGER_CATEGORY_LABELS = {
+  job_earning: 'Job earning',
+  platform_commission: 'Platform commission',
+  cash_collected: 'Cash collected',
+  refund: 'Customer refund',
+  commission_reversal: 'Commission returned',
+  payout: 'Payout',
+  payout_reversal: 'Payout returned',
+  adjustment: 'Adjustment',
+};
+
+export const PAYOUT_STATUS_LABELS = {
+  pending: 'In transit',
+  paid: 'Paid',
+  failed: 'Failed',
+};
+
+// Itemized quotes
+export const QUOTE_ITEM_TYPE_LABELS = {
+  labour: 'Labour',
+  parts: 'Parts',
+  travel: 'Travel',
+  surcharge: 'Surcharge',
+};
+
+export const QUOTE_STATUS_LABELS = {
+  proposed: 'Awaiting approval',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  countered: 'Counter offer sent',
+  superseded: 'Replaced',
+};
+
+export const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const BOOKING_SLOT_MINUTES = [30, 60, 90, 120];
+
 // Local storage keys
 export const STORAGE_KEYS = {
   ACCESS_TOKEN: 'accessToken',
@@ -163,6 +215,7 @@ export const STORAGE_KEYS = {
   USER: 'user',
   THEME: 'theme',
   LANGUAGE: 'language',
+  PUSH_DEVICE_ID: 'pushDeviceId',
 };
 
 // Default values
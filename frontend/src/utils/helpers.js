@@ -1,5 +1,5 @@
 import moment from 'moment';
-import { VALIDATION_PATTERNS, ERROR_MESSAGES } from './constants';
+import { VALIDATION_PATTERNS, ERROR_MESSAGES, REQUEST_STATUS_LABELS } from './constants';
 
 // Format date and time
 export const formatDate = (date, format = 'MMM DD, YYYY') => {
@@ -260,6 +260,14 @@ export const generateId = () => {
   return Math.random().toString(36).substr(2, 9);
 };
 
+// Key for one checkout attempt, sent as Idempotency-Key so a double submit is only processed once
+export const createIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
 // Download file
 export const downloadFile = (data, filename, type = 'text/csv') => {
   const blob = new Blob([data], { type });
@@ -304,6 +312,21 @@ export const removeLocalStorage = (key) => {
   }
 };
 
+// Describe a rejected status change (INVALID_STATUS_TRANSITION / TRANSITION_FORBIDDEN)
+export const formatTransitionError = (error) => {
+  if (!['INVALID_STATUS_TRANSITION', 'TRANSITION_FORBIDDEN'].includes(error?.code)) {
+    return error?.message;
+  }
+
+  const { from, to, allowed = [] } = error.details || {};
+  const label = (status) => REQUEST_STATUS_LABELS[status] || status;
+  const base = `This request is ${label(from)} and can't be moved to ${label(to)}.`;
+
+  return allowed.length > 0
+    ? `${base} Next step: ${allowed.map(label).join(' or ')}.`
+    : base;
+};
+
 // Token utilities
 export const decodeJWT = (token) => {
   try {